@@ -5,29 +5,41 @@
  * Translations generated by AI - corrections welcome!
  * Licensed under MIT
  */
-"use strict";var v=(r,e)=>()=>(e||r((e={exports:{}}).exports,e),e.exports);var N=v((le,O)=>{"use strict";var P=["en","de","zh","ja","es","fr","pt","ru"],D={en:{recycleBin:"Recycle Bin",recycleBinSettings:"Recycle Bin Settings",trashedFilePreview:"Trashed File Preview",binEmpty:"Your recycle bin is empty",deletedFilesAppear:"Deleted files will appear here",binNotConfigured:"Recycle Bin is not configured",usingSystemTrash:"\u26A0\uFE0F You're using System Trash.",goToSettings:"Go to Settings \u2192 Recycle Bin to enable.",restore:"Restore",deleteForever:"Delete Forever",emptyAll:"Empty All",refresh:"Refresh",close:"Close",cancel:"Cancel",delete:"Delete",preview:"Preview",originalLocation:"Original location",size:"Size",deleted:"Deleted",items:"items",today:"Today",yesterday:"Yesterday",daysAgo:"days ago",unknown:"Unknown",fileInBin:"This file is in the Recycle Bin",trashLocation:"\u{1F4CD} Trash Location",deletedFilesLocation:"Deleted files location",deletedFilesLocationDesc:'Choose where deleted files should go. "Obsidian .trash" is required for this plugin to work.',obsidianTrashFolder:"\u{1F4C1} Obsidian .trash folder (recommended)",systemTrash:"\u{1F5D1}\uFE0F System trash",permanentDelete:"\u26A0\uFE0F Permanently delete (no recovery)",usingObsidianTrash:"\u2713 Using Obsidian's .trash folder",deletedFilesWillAppear:"Deleted files will appear in this Recycle Bin.",usingSystemTrashWarning:"\u26A0 Using System Trash",systemTrashWarningDesc:"Deleted files go to your OS trash, not this Recycle Bin. Change below to use this plugin.",permanentDeleteWarning:"\u26A0 Permanent Deletion Enabled",permanentDeleteWarningDesc:"Deleted files are immediately destroyed! Change below to enable recovery.",trashLocationChanged:"Trash location changed to",pluginSettings:"\u2699\uFE0F Plugin Settings",settingsDisabled:"\u26A0\uFE0F Settings disabled",settingsDisabledDesc:'Change "Deleted files location" above to "Obsidian .trash folder" to enable this plugin.',autoPurge:"Auto-purge old files",autoPurgeDesc:"Automatically delete files older than a specified number of days",autoPurgeDays:"Auto-purge after (days)",autoPurgeDaysDesc:"Delete files older than this many days",showConfirmations:"Show confirmation dialogs",showConfirmationsDesc:"Ask for confirmation before deleting or emptying trash",showMetadata:"Show file metadata",showMetadataDesc:"Display file size and deletion date in the list",showDeleteButton:"Show per-item delete button",showDeleteButtonDesc:"Show a delete button on each item to permanently delete individual files",language:"Language",languageDesc:"Choose display language (auto = detect from Obsidian)",languageAuto:"Auto-detect",acknowledgements:"Acknowledgements",acknowledgementsText:'This plugin was inspired by <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> by <strong>Per Mortensen</strong>. Thank you for the original concept and inspiration!',translationNote:'\u{1F30D} Translations were generated by AI. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Report errors</a>',deletePermanently:"Delete permanently",deleteConfirmMessage:'Are you sure you want to permanently delete "{name}"? This cannot be undone.',emptyBin:"Empty recycle bin",emptyBinConfirmMessage:"Are you sure you want to permanently delete ALL files in the recycle bin? This cannot be undone!",restored:'Restored "{name}"',cannotRestore:"Cannot restore: file already exists at original location",binEmptied:"Recycle bin emptied",binAlreadyEmpty:"Recycle bin is already empty",autoPurged:"Auto-purged {count} old file(s) from recycle bin",searchPlaceholder:"Search deleted files...",sortNewest:"Newest first",sortOldest:"Oldest first",sortNameAZ:"Name A-Z",sortNameZA:"Name Z-A",sortLargest:"Largest first",sortSmallest:"Smallest first",previewNotAvailable:"Preview not available for",files:"files",restoreToView:"Restore the file to view it normally",unableToLoadImage:"Unable to load image",noFileSelected:"No file selected"},de:{recycleBin:"Papierkorb",recycleBinSettings:"Papierkorb-Einstellungen",trashedFilePreview:"Gel\xF6schte Datei Vorschau",binEmpty:"Dein Papierkorb ist leer",deletedFilesAppear:"Gel\xF6schte Dateien erscheinen hier",binNotConfigured:"Papierkorb ist nicht konfiguriert",usingSystemTrash:"\u26A0\uFE0F Du verwendest den System-Papierkorb.",goToSettings:"Gehe zu Einstellungen \u2192 Papierkorb zum Aktivieren.",restore:"Wiederherstellen",deleteForever:"Endg\xFCltig l\xF6schen",emptyAll:"Alles leeren",refresh:"Aktualisieren",close:"Schlie\xDFen",cancel:"Abbrechen",delete:"L\xF6schen",preview:"Vorschau",originalLocation:"Urspr\xFCnglicher Speicherort",size:"Gr\xF6\xDFe",deleted:"Gel\xF6scht",items:"Elemente",today:"Heute",yesterday:"Gestern",daysAgo:"Tagen",unknown:"Unbekannt",fileInBin:"Diese Datei befindet sich im Papierkorb",trashLocation:"\u{1F4CD} Papierkorb-Speicherort",deletedFilesLocation:"Speicherort f\xFCr gel\xF6schte Dateien",deletedFilesLocationDesc:'W\xE4hle, wohin gel\xF6schte Dateien gehen sollen. "Obsidian .trash" ist f\xFCr dieses Plugin erforderlich.',obsidianTrashFolder:"\u{1F4C1} Obsidian .trash Ordner (empfohlen)",systemTrash:"\u{1F5D1}\uFE0F System-Papierkorb",permanentDelete:"\u26A0\uFE0F Endg\xFCltig l\xF6schen (keine Wiederherstellung)",usingObsidianTrash:"\u2713 Verwendet Obsidians .trash-Ordner",deletedFilesWillAppear:"Gel\xF6schte Dateien erscheinen in diesem Papierkorb.",usingSystemTrashWarning:"\u26A0 Verwendet System-Papierkorb",systemTrashWarningDesc:"Gel\xF6schte Dateien gehen in den OS-Papierkorb, nicht in diesen. \xC4ndere unten, um dieses Plugin zu verwenden.",permanentDeleteWarning:"\u26A0 Endg\xFCltiges L\xF6schen aktiviert",permanentDeleteWarningDesc:"Gel\xF6schte Dateien werden sofort zerst\xF6rt! \xC4ndere unten, um Wiederherstellung zu erm\xF6glichen.",trashLocationChanged:"Papierkorb-Speicherort ge\xE4ndert zu",pluginSettings:"\u2699\uFE0F Plugin-Einstellungen",settingsDisabled:"\u26A0\uFE0F Einstellungen deaktiviert",settingsDisabledDesc:'\xC4ndere "Speicherort f\xFCr gel\xF6schte Dateien" oben zu "Obsidian .trash Ordner", um dieses Plugin zu aktivieren.',autoPurge:"Alte Dateien automatisch l\xF6schen",autoPurgeDesc:"Automatisch Dateien l\xF6schen, die \xE4lter als eine bestimmte Anzahl von Tagen sind",autoPurgeDays:"Automatisch l\xF6schen nach (Tagen)",autoPurgeDaysDesc:"Dateien l\xF6schen, die \xE4lter als diese Anzahl von Tagen sind",showConfirmations:"Best\xE4tigungsdialoge anzeigen",showConfirmationsDesc:"Vor dem L\xF6schen oder Leeren des Papierkorbs um Best\xE4tigung bitten",showMetadata:"Datei-Metadaten anzeigen",showMetadataDesc:"Dateigr\xF6\xDFe und L\xF6schdatum in der Liste anzeigen",showDeleteButton:"L\xF6schen-Schaltfl\xE4che pro Element anzeigen",showDeleteButtonDesc:"Eine L\xF6schen-Schaltfl\xE4che auf jedem Element anzeigen, um einzelne Dateien endg\xFCltig zu l\xF6schen",language:"Sprache",languageDesc:"Anzeigesprache w\xE4hlen (auto = von Obsidian erkennen)",languageAuto:"Automatisch erkennen",acknowledgements:"Danksagungen",acknowledgementsText:'Dieses Plugin wurde inspiriert von <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> von <strong>Per Mortensen</strong>. Danke f\xFCr das urspr\xFCngliche Konzept und die Inspiration!',translationNote:'\u{1F30D} \xDCbersetzungen wurden von KI generiert. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Fehler melden</a>',deletePermanently:"Endg\xFCltig l\xF6schen",deleteConfirmMessage:'Bist du sicher, dass du "{name}" endg\xFCltig l\xF6schen m\xF6chtest? Dies kann nicht r\xFCckg\xE4ngig gemacht werden.',emptyBin:"Papierkorb leeren",emptyBinConfirmMessage:"Bist du sicher, dass du ALLE Dateien im Papierkorb endg\xFCltig l\xF6schen m\xF6chtest? Dies kann nicht r\xFCckg\xE4ngig gemacht werden!",restored:'"{name}" wiederhergestellt',cannotRestore:"Kann nicht wiederherstellen: Datei existiert bereits am urspr\xFCnglichen Speicherort",binEmptied:"Papierkorb geleert",binAlreadyEmpty:"Papierkorb ist bereits leer",autoPurged:"{count} alte Datei(en) automatisch aus dem Papierkorb gel\xF6scht",searchPlaceholder:"Gel\xF6schte Dateien suchen...",sortNewest:"Neueste zuerst",sortOldest:"\xC4lteste zuerst",sortNameAZ:"Name A-Z",sortNameZA:"Name Z-A",sortLargest:"Gr\xF6\xDFte zuerst",sortSmallest:"Kleinste zuerst",previewNotAvailable:"Vorschau nicht verf\xFCgbar f\xFCr",files:"Dateien",restoreToView:"Stelle die Datei wieder her, um sie normal anzuzeigen",unableToLoadImage:"Bild konnte nicht geladen werden",noFileSelected:"Keine Datei ausgew\xE4hlt"},zh:{recycleBin:"\u56DE\u6536\u7AD9",recycleBinSettings:"\u56DE\u6536\u7AD9\u8BBE\u7F6E",trashedFilePreview:"\u5DF2\u5220\u9664\u6587\u4EF6\u9884\u89C8",binEmpty:"\u56DE\u6536\u7AD9\u662F\u7A7A\u7684",deletedFilesAppear:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u5C06\u663E\u793A\u5728\u8FD9\u91CC",binNotConfigured:"\u56DE\u6536\u7AD9\u672A\u914D\u7F6E",usingSystemTrash:"\u26A0\uFE0F \u60A8\u6B63\u5728\u4F7F\u7528\u7CFB\u7EDF\u56DE\u6536\u7AD9\u3002",goToSettings:"\u524D\u5F80 \u8BBE\u7F6E \u2192 \u56DE\u6536\u7AD9 \u4EE5\u542F\u7528\u3002",restore:"\u6062\u590D",deleteForever:"\u6C38\u4E45\u5220\u9664",emptyAll:"\u6E05\u7A7A\u5168\u90E8",refresh:"\u5237\u65B0",close:"\u5173\u95ED",cancel:"\u53D6\u6D88",delete:"\u5220\u9664",preview:"\u9884\u89C8",originalLocation:"\u539F\u59CB\u4F4D\u7F6E",size:"\u5927\u5C0F",deleted:"\u5DF2\u5220\u9664",items:"\u9879\u76EE",today:"\u4ECA\u5929",yesterday:"\u6628\u5929",daysAgo:"\u5929\u524D",unknown:"\u672A\u77E5",fileInBin:"\u6B64\u6587\u4EF6\u5728\u56DE\u6536\u7AD9\u4E2D",trashLocation:"\u{1F4CD} \u56DE\u6536\u7AD9\u4F4D\u7F6E",deletedFilesLocation:"\u5DF2\u5220\u9664\u6587\u4EF6\u4F4D\u7F6E",deletedFilesLocationDesc:'\u9009\u62E9\u5DF2\u5220\u9664\u6587\u4EF6\u7684\u5B58\u653E\u4F4D\u7F6E\u3002\u6B64\u63D2\u4EF6\u9700\u8981"Obsidian .trash"\u3002',obsidianTrashFolder:"\u{1F4C1} Obsidian .trash \u6587\u4EF6\u5939\uFF08\u63A8\u8350\uFF09",systemTrash:"\u{1F5D1}\uFE0F \u7CFB\u7EDF\u56DE\u6536\u7AD9",permanentDelete:"\u26A0\uFE0F \u6C38\u4E45\u5220\u9664\uFF08\u65E0\u6CD5\u6062\u590D\uFF09",usingObsidianTrash:"\u2713 \u6B63\u5728\u4F7F\u7528 Obsidian \u7684 .trash \u6587\u4EF6\u5939",deletedFilesWillAppear:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u5C06\u663E\u793A\u5728\u6B64\u56DE\u6536\u7AD9\u4E2D\u3002",usingSystemTrashWarning:"\u26A0 \u6B63\u5728\u4F7F\u7528\u7CFB\u7EDF\u56DE\u6536\u7AD9",systemTrashWarningDesc:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u4F1A\u8FDB\u5165\u7CFB\u7EDF\u56DE\u6536\u7AD9\uFF0C\u800C\u975E\u6B64\u56DE\u6536\u7AD9\u3002\u8BF7\u5728\u4E0B\u65B9\u66F4\u6539\u4EE5\u4F7F\u7528\u6B64\u63D2\u4EF6\u3002",permanentDeleteWarning:"\u26A0 \u5DF2\u542F\u7528\u6C38\u4E45\u5220\u9664",permanentDeleteWarningDesc:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u4F1A\u88AB\u7ACB\u5373\u9500\u6BC1\uFF01\u8BF7\u5728\u4E0B\u65B9\u66F4\u6539\u4EE5\u542F\u7528\u6062\u590D\u529F\u80FD\u3002",trashLocationChanged:"\u56DE\u6536\u7AD9\u4F4D\u7F6E\u5DF2\u66F4\u6539\u4E3A",pluginSettings:"\u2699\uFE0F \u63D2\u4EF6\u8BBE\u7F6E",settingsDisabled:"\u26A0\uFE0F \u8BBE\u7F6E\u5DF2\u7981\u7528",settingsDisabledDesc:'\u8BF7\u5C06\u4E0A\u65B9\u7684"\u5DF2\u5220\u9664\u6587\u4EF6\u4F4D\u7F6E"\u66F4\u6539\u4E3A"Obsidian .trash \u6587\u4EF6\u5939"\u4EE5\u542F\u7528\u6B64\u63D2\u4EF6\u3002',autoPurge:"\u81EA\u52A8\u6E05\u9664\u65E7\u6587\u4EF6",autoPurgeDesc:"\u81EA\u52A8\u5220\u9664\u8D85\u8FC7\u6307\u5B9A\u5929\u6570\u7684\u6587\u4EF6",autoPurgeDays:"\u81EA\u52A8\u6E05\u9664\u5929\u6570",autoPurgeDaysDesc:"\u5220\u9664\u8D85\u8FC7\u6B64\u5929\u6570\u7684\u6587\u4EF6",showConfirmations:"\u663E\u793A\u786E\u8BA4\u5BF9\u8BDD\u6846",showConfirmationsDesc:"\u5728\u5220\u9664\u6216\u6E05\u7A7A\u56DE\u6536\u7AD9\u4E4B\u524D\u786E\u8BA4",showMetadata:"\u663E\u793A\u6587\u4EF6\u5143\u6570\u636E",showMetadataDesc:"\u5728\u5217\u8868\u4E2D\u663E\u793A\u6587\u4EF6\u5927\u5C0F\u548C\u5220\u9664\u65E5\u671F",showDeleteButton:"\u663E\u793A\u5355\u9879\u5220\u9664\u6309\u94AE",showDeleteButtonDesc:"\u5728\u6BCF\u4E2A\u9879\u76EE\u4E0A\u663E\u793A\u5220\u9664\u6309\u94AE\u4EE5\u6C38\u4E45\u5220\u9664\u5355\u4E2A\u6587\u4EF6",language:"\u8BED\u8A00",languageDesc:"\u9009\u62E9\u663E\u793A\u8BED\u8A00\uFF08\u81EA\u52A8 = \u4ECE Obsidian \u68C0\u6D4B\uFF09",languageAuto:"\u81EA\u52A8\u68C0\u6D4B",acknowledgements:"\u81F4\u8C22",acknowledgementsText:'\u6B64\u63D2\u4EF6\u53D7\u5230 <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a>\uFF08\u7531 <strong>Per Mortensen</strong> \u5F00\u53D1\uFF09\u7684\u542F\u53D1\u3002\u611F\u8C22\u539F\u521B\u6982\u5FF5\u548C\u7075\u611F\uFF01',translationNote:'\u{1F30D} \u7FFB\u8BD1\u7531 AI \u751F\u6210\u3002<a href="https://github.com/wronginput/obsidian-recycle-bin/issues">\u62A5\u544A\u9519\u8BEF</a>',deletePermanently:"\u6C38\u4E45\u5220\u9664",deleteConfirmMessage:'\u60A8\u786E\u5B9A\u8981\u6C38\u4E45\u5220\u9664"{name}"\u5417\uFF1F\u6B64\u64CD\u4F5C\u65E0\u6CD5\u64A4\u6D88\u3002',emptyBin:"\u6E05\u7A7A\u56DE\u6536\u7AD9",emptyBinConfirmMessage:"\u60A8\u786E\u5B9A\u8981\u6C38\u4E45\u5220\u9664\u56DE\u6536\u7AD9\u4E2D\u7684\u6240\u6709\u6587\u4EF6\u5417\uFF1F\u6B64\u64CD\u4F5C\u65E0\u6CD5\u64A4\u6D88\uFF01",restored:'\u5DF2\u6062\u590D"{name}"',cannotRestore:"\u65E0\u6CD5\u6062\u590D\uFF1A\u539F\u4F4D\u7F6E\u5DF2\u5B58\u5728\u8BE5\u6587\u4EF6",binEmptied:"\u56DE\u6536\u7AD9\u5DF2\u6E05\u7A7A",binAlreadyEmpty:"\u56DE\u6536\u7AD9\u5DF2\u7ECF\u662F\u7A7A\u7684",autoPurged:"\u5DF2\u81EA\u52A8\u4ECE\u56DE\u6536\u7AD9\u6E05\u9664 {count} \u4E2A\u65E7\u6587\u4EF6",searchPlaceholder:"\u641C\u7D22\u5DF2\u5220\u9664\u7684\u6587\u4EF6...",sortNewest:"\u6700\u65B0\u4F18\u5148",sortOldest:"\u6700\u65E7\u4F18\u5148",sortNameAZ:"\u540D\u79F0 A-Z",sortNameZA:"\u540D\u79F0 Z-A",sortLargest:"\u6700\u5927\u4F18\u5148",sortSmallest:"\u6700\u5C0F\u4F18\u5148",previewNotAvailable:"\u9884\u89C8\u4E0D\u53EF\u7528",files:"\u6587\u4EF6",restoreToView:"\u6062\u590D\u6587\u4EF6\u4EE5\u6B63\u5E38\u67E5\u770B",unableToLoadImage:"\u65E0\u6CD5\u52A0\u8F7D\u56FE\u7247",noFileSelected:"\u672A\u9009\u62E9\u6587\u4EF6"},ja:{recycleBin:"\u3054\u307F\u7BB1",recycleBinSettings:"\u3054\u307F\u7BB1\u306E\u8A2D\u5B9A",trashedFilePreview:"\u524A\u9664\u6E08\u307F\u30D5\u30A1\u30A4\u30EB\u306E\u30D7\u30EC\u30D3\u30E5\u30FC",binEmpty:"\u3054\u307F\u7BB1\u306F\u7A7A\u3067\u3059",deletedFilesAppear:"\u524A\u9664\u3055\u308C\u305F\u30D5\u30A1\u30A4\u30EB\u306F\u3053\u3053\u306B\u8868\u793A\u3055\u308C\u307E\u3059",binNotConfigured:"\u3054\u307F\u7BB1\u304C\u8A2D\u5B9A\u3055\u308C\u3066\u3044\u307E\u305B\u3093",usingSystemTrash:"\u26A0\uFE0F \u30B7\u30B9\u30C6\u30E0\u306E\u3054\u307F\u7BB1\u3092\u4F7F\u7528\u3057\u3066\u3044\u307E\u3059\u3002",goToSettings:"\u8A2D\u5B9A \u2192 \u3054\u307F\u7BB1 \u306B\u79FB\u52D5\u3057\u3066\u6709\u52B9\u306B\u3057\u3066\u304F\u3060\u3055\u3044\u3002",restore:"\u5FA9\u5143",deleteForever:"\u5B8C\u5168\u306B\u524A\u9664",emptyAll:"\u3059\u3079\u3066\u524A\u9664",refresh:"\u66F4\u65B0",close:"\u9589\u3058\u308B",cancel:"\u30AD\u30E3\u30F3\u30BB\u30EB",delete:"\u524A\u9664",preview:"\u30D7\u30EC\u30D3\u30E5\u30FC",originalLocation:"\u5143\u306E\u5834\u6240",size:"\u30B5\u30A4\u30BA",deleted:"\u524A\u9664\u65E5",items:"\u9805\u76EE",today:"\u4ECA\u65E5",yesterday:"\u6628\u65E5",daysAgo:"\u65E5\u524D",unknown:"\u4E0D\u660E",fileInBin:"\u3053\u306E\u30D5\u30A1\u30A4\u30EB\u306F\u3054\u307F\u7BB1\u306B\u3042\u308A\u307E\u3059",trashLocation:"\u{1F4CD} \u3054\u307F\u7BB1\u306E\u5834\u6240",deletedFilesLocation:"\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u5834\u6240",deletedFilesLocationDesc:"\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u4FDD\u5B58\u5148\u3092\u9078\u629E\u3057\u3066\u304F\u3060\u3055\u3044\u3002\u3053\u306E\u30D7\u30E9\u30B0\u30A4\u30F3\u306B\u306F\u300CObsidian .trash\u300D\u304C\u5FC5\u8981\u3067\u3059\u3002",obsidianTrashFolder:"\u{1F4C1} Obsidian .trash \u30D5\u30A9\u30EB\u30C0\uFF08\u63A8\u5968\uFF09",systemTrash:"\u{1F5D1}\uFE0F \u30B7\u30B9\u30C6\u30E0\u306E\u3054\u307F\u7BB1",permanentDelete:"\u26A0\uFE0F \u5B8C\u5168\u306B\u524A\u9664\uFF08\u5FA9\u5143\u4E0D\u53EF\uFF09",usingObsidianTrash:"\u2713 Obsidian \u306E .trash \u30D5\u30A9\u30EB\u30C0\u3092\u4F7F\u7528\u4E2D",deletedFilesWillAppear:"\u524A\u9664\u3055\u308C\u305F\u30D5\u30A1\u30A4\u30EB\u306F\u3053\u306E\u3054\u307F\u7BB1\u306B\u8868\u793A\u3055\u308C\u307E\u3059\u3002",usingSystemTrashWarning:"\u26A0 \u30B7\u30B9\u30C6\u30E0\u306E\u3054\u307F\u7BB1\u3092\u4F7F\u7528\u4E2D",systemTrashWarningDesc:"\u524A\u9664\u3055\u308C\u305F\u30D5\u30A1\u30A4\u30EB\u306FOS\u306E\u3054\u307F\u7BB1\u306B\u79FB\u52D5\u3057\u3001\u3053\u306E\u30D7\u30E9\u30B0\u30A4\u30F3\u3067\u306F\u8868\u793A\u3055\u308C\u307E\u305B\u3093\u3002\u4E0B\u3067\u5909\u66F4\u3057\u3066\u304F\u3060\u3055\u3044\u3002",permanentDeleteWarning:"\u26A0 \u5B8C\u5168\u524A\u9664\u304C\u6709\u52B9",permanentDeleteWarningDesc:"\u524A\u9664\u3055\u308C\u305F\u30D5\u30A1\u30A4\u30EB\u306F\u5373\u5EA7\u306B\u7834\u58CA\u3055\u308C\u307E\u3059\uFF01\u4E0B\u3067\u5909\u66F4\u3057\u3066\u5FA9\u5143\u3092\u6709\u52B9\u306B\u3057\u3066\u304F\u3060\u3055\u3044\u3002",trashLocationChanged:"\u3054\u307F\u7BB1\u306E\u5834\u6240\u3092\u5909\u66F4\u3057\u307E\u3057\u305F",pluginSettings:"\u2699\uFE0F \u30D7\u30E9\u30B0\u30A4\u30F3\u8A2D\u5B9A",settingsDisabled:"\u26A0\uFE0F \u8A2D\u5B9A\u304C\u7121\u52B9\u3067\u3059",settingsDisabledDesc:"\u4E0A\u306E\u300C\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u5834\u6240\u300D\u3092\u300CObsidian .trash \u30D5\u30A9\u30EB\u30C0\u300D\u306B\u5909\u66F4\u3057\u3066\u3053\u306E\u30D7\u30E9\u30B0\u30A4\u30F3\u3092\u6709\u52B9\u306B\u3057\u3066\u304F\u3060\u3055\u3044\u3002",autoPurge:"\u53E4\u3044\u30D5\u30A1\u30A4\u30EB\u3092\u81EA\u52D5\u524A\u9664",autoPurgeDesc:"\u6307\u5B9A\u3057\u305F\u65E5\u6570\u3088\u308A\u53E4\u3044\u30D5\u30A1\u30A4\u30EB\u3092\u81EA\u52D5\u7684\u306B\u524A\u9664\u3057\u307E\u3059",autoPurgeDays:"\u81EA\u52D5\u524A\u9664\u307E\u3067\u306E\u65E5\u6570",autoPurgeDaysDesc:"\u3053\u306E\u65E5\u6570\u3088\u308A\u53E4\u3044\u30D5\u30A1\u30A4\u30EB\u3092\u524A\u9664",showConfirmations:"\u78BA\u8A8D\u30C0\u30A4\u30A2\u30ED\u30B0\u3092\u8868\u793A",showConfirmationsDesc:"\u524A\u9664\u307E\u305F\u306F\u3054\u307F\u7BB1\u3092\u7A7A\u306B\u3059\u308B\u524D\u306B\u78BA\u8A8D\u3092\u6C42\u3081\u308B",showMetadata:"\u30D5\u30A1\u30A4\u30EB\u306E\u30E1\u30BF\u30C7\u30FC\u30BF\u3092\u8868\u793A",showMetadataDesc:"\u30EA\u30B9\u30C8\u306B\u30D5\u30A1\u30A4\u30EB\u30B5\u30A4\u30BA\u3068\u524A\u9664\u65E5\u3092\u8868\u793A",showDeleteButton:"\u9805\u76EE\u3054\u3068\u306E\u524A\u9664\u30DC\u30BF\u30F3\u3092\u8868\u793A",showDeleteButtonDesc:"\u5404\u9805\u76EE\u306B\u524A\u9664\u30DC\u30BF\u30F3\u3092\u8868\u793A\u3057\u3066\u500B\u5225\u306E\u30D5\u30A1\u30A4\u30EB\u3092\u5B8C\u5168\u306B\u524A\u9664",language:"\u8A00\u8A9E",languageDesc:"\u8868\u793A\u8A00\u8A9E\u3092\u9078\u629E\uFF08\u81EA\u52D5 = Obsidian \u304B\u3089\u691C\u51FA\uFF09",languageAuto:"\u81EA\u52D5\u691C\u51FA",acknowledgements:"\u8B1D\u8F9E",acknowledgementsText:'\u3053\u306E\u30D7\u30E9\u30B0\u30A4\u30F3\u306F <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a>\uFF08<strong>Per Mortensen</strong> \u4F5C\uFF09\u304B\u3089\u30A4\u30F3\u30B9\u30D4\u30EC\u30FC\u30B7\u30E7\u30F3\u3092\u53D7\u3051\u307E\u3057\u305F\u3002\u30AA\u30EA\u30B8\u30CA\u30EB\u306E\u30B3\u30F3\u30BB\u30D7\u30C8\u3068\u30A4\u30F3\u30B9\u30D4\u30EC\u30FC\u30B7\u30E7\u30F3\u306B\u611F\u8B1D\u3057\u307E\u3059\uFF01',translationNote:'\u{1F30D} \u7FFB\u8A33\u306FAI\u306B\u3088\u3063\u3066\u751F\u6210\u3055\u308C\u307E\u3057\u305F\u3002<a href="https://github.com/wronginput/obsidian-recycle-bin/issues">\u30A8\u30E9\u30FC\u3092\u5831\u544A</a>',deletePermanently:"\u5B8C\u5168\u306B\u524A\u9664",deleteConfirmMessage:"\u300C{name}\u300D\u3092\u5B8C\u5168\u306B\u524A\u9664\u3057\u3066\u3082\u3088\u308D\u3057\u3044\u3067\u3059\u304B\uFF1F\u3053\u306E\u64CD\u4F5C\u306F\u53D6\u308A\u6D88\u305B\u307E\u305B\u3093\u3002",emptyBin:"\u3054\u307F\u7BB1\u3092\u7A7A\u306B\u3059\u308B",emptyBinConfirmMessage:"\u3054\u307F\u7BB1\u5185\u306E\u3059\u3079\u3066\u306E\u30D5\u30A1\u30A4\u30EB\u3092\u5B8C\u5168\u306B\u524A\u9664\u3057\u3066\u3082\u3088\u308D\u3057\u3044\u3067\u3059\u304B\uFF1F\u3053\u306E\u64CD\u4F5C\u306F\u53D6\u308A\u6D88\u305B\u307E\u305B\u3093\uFF01",restored:"\u300C{name}\u300D\u3092\u5FA9\u5143\u3057\u307E\u3057\u305F",cannotRestore:"\u5FA9\u5143\u3067\u304D\u307E\u305B\u3093\uFF1A\u5143\u306E\u5834\u6240\u306B\u30D5\u30A1\u30A4\u30EB\u304C\u65E2\u306B\u5B58\u5728\u3057\u307E\u3059",binEmptied:"\u3054\u307F\u7BB1\u3092\u7A7A\u306B\u3057\u307E\u3057\u305F",binAlreadyEmpty:"\u3054\u307F\u7BB1\u306F\u65E2\u306B\u7A7A\u3067\u3059",autoPurged:"\u3054\u307F\u7BB1\u304B\u3089 {count} \u500B\u306E\u53E4\u3044\u30D5\u30A1\u30A4\u30EB\u3092\u81EA\u52D5\u524A\u9664\u3057\u307E\u3057\u305F",searchPlaceholder:"\u524A\u9664\u6E08\u307F\u30D5\u30A1\u30A4\u30EB\u3092\u691C\u7D22...",sortNewest:"\u65B0\u3057\u3044\u9806",sortOldest:"\u53E4\u3044\u9806",sortNameAZ:"\u540D\u524D A-Z",sortNameZA:"\u540D\u524D Z-A",sortLargest:"\u5927\u304D\u3044\u9806",sortSmallest:"\u5C0F\u3055\u3044\u9806",previewNotAvailable:"\u30D7\u30EC\u30D3\u30E5\u30FC\u306F\u5229\u7528\u3067\u304D\u307E\u305B\u3093",files:"\u30D5\u30A1\u30A4\u30EB",restoreToView:"\u30D5\u30A1\u30A4\u30EB\u3092\u5FA9\u5143\u3057\u3066\u901A\u5E38\u8868\u793A",unableToLoadImage:"\u753B\u50CF\u3092\u8AAD\u307F\u8FBC\u3081\u307E\u305B\u3093",noFileSelected:"\u30D5\u30A1\u30A4\u30EB\u304C\u9078\u629E\u3055\u308C\u3066\u3044\u307E\u305B\u3093"},es:{recycleBin:"Papelera",recycleBinSettings:"Ajustes de Papelera",trashedFilePreview:"Vista previa de archivo eliminado",binEmpty:"Tu papelera est\xE1 vac\xEDa",deletedFilesAppear:"Los archivos eliminados aparecer\xE1n aqu\xED",binNotConfigured:"La papelera no est\xE1 configurada",usingSystemTrash:"\u26A0\uFE0F Est\xE1s usando la papelera del sistema.",goToSettings:"Ve a Ajustes \u2192 Papelera para activar.",restore:"Restaurar",deleteForever:"Eliminar permanentemente",emptyAll:"Vaciar todo",refresh:"Actualizar",close:"Cerrar",cancel:"Cancelar",delete:"Eliminar",preview:"Vista previa",originalLocation:"Ubicaci\xF3n original",size:"Tama\xF1o",deleted:"Eliminado",items:"elementos",today:"Hoy",yesterday:"Ayer",daysAgo:"d\xEDas",unknown:"Desconocido",fileInBin:"Este archivo est\xE1 en la Papelera",trashLocation:"\u{1F4CD} Ubicaci\xF3n de la Papelera",deletedFilesLocation:"Ubicaci\xF3n de archivos eliminados",deletedFilesLocationDesc:'Elige d\xF3nde van los archivos eliminados. Se requiere "Obsidian .trash" para que este plugin funcione.',obsidianTrashFolder:"\u{1F4C1} Carpeta .trash de Obsidian (recomendado)",systemTrash:"\u{1F5D1}\uFE0F Papelera del sistema",permanentDelete:"\u26A0\uFE0F Eliminar permanentemente (sin recuperaci\xF3n)",usingObsidianTrash:"\u2713 Usando la carpeta .trash de Obsidian",deletedFilesWillAppear:"Los archivos eliminados aparecer\xE1n en esta Papelera.",usingSystemTrashWarning:"\u26A0 Usando la papelera del sistema",systemTrashWarningDesc:"Los archivos eliminados van a la papelera del SO, no a esta Papelera. Cambia abajo para usar este plugin.",permanentDeleteWarning:"\u26A0 Eliminaci\xF3n permanente activada",permanentDeleteWarningDesc:"\xA1Los archivos eliminados se destruyen inmediatamente! Cambia abajo para habilitar la recuperaci\xF3n.",trashLocationChanged:"Ubicaci\xF3n de papelera cambiada a",pluginSettings:"\u2699\uFE0F Ajustes del Plugin",settingsDisabled:"\u26A0\uFE0F Ajustes desactivados",settingsDisabledDesc:'Cambia "Ubicaci\xF3n de archivos eliminados" arriba a "Carpeta .trash de Obsidian" para activar este plugin.',autoPurge:"Auto-eliminar archivos antiguos",autoPurgeDesc:"Eliminar autom\xE1ticamente archivos m\xE1s antiguos que un n\xFAmero especificado de d\xEDas",autoPurgeDays:"Auto-eliminar despu\xE9s de (d\xEDas)",autoPurgeDaysDesc:"Eliminar archivos m\xE1s antiguos que este n\xFAmero de d\xEDas",showConfirmations:"Mostrar di\xE1logos de confirmaci\xF3n",showConfirmationsDesc:"Pedir confirmaci\xF3n antes de eliminar o vaciar la papelera",showMetadata:"Mostrar metadatos de archivos",showMetadataDesc:"Mostrar tama\xF1o y fecha de eliminaci\xF3n en la lista",showDeleteButton:"Mostrar bot\xF3n de eliminar por elemento",showDeleteButtonDesc:"Mostrar un bot\xF3n de eliminar en cada elemento para eliminar archivos individuales permanentemente",language:"Idioma",languageDesc:"Elegir idioma de visualizaci\xF3n (auto = detectar de Obsidian)",languageAuto:"Auto-detectar",acknowledgements:"Agradecimientos",acknowledgementsText:'Este plugin fue inspirado por <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. \xA1Gracias por el concepto original y la inspiraci\xF3n!',translationNote:'\u{1F30D} Las traducciones fueron generadas por IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Reportar errores</a>',deletePermanently:"Eliminar permanentemente",deleteConfirmMessage:'\xBFEst\xE1s seguro de que quieres eliminar permanentemente "{name}"? Esto no se puede deshacer.',emptyBin:"Vaciar papelera",emptyBinConfirmMessage:"\xBFEst\xE1s seguro de que quieres eliminar permanentemente TODOS los archivos de la papelera? \xA1Esto no se puede deshacer!",restored:'"{name}" restaurado',cannotRestore:"No se puede restaurar: el archivo ya existe en la ubicaci\xF3n original",binEmptied:"Papelera vaciada",binAlreadyEmpty:"La papelera ya est\xE1 vac\xEDa",autoPurged:"Se eliminaron autom\xE1ticamente {count} archivo(s) antiguo(s) de la papelera",searchPlaceholder:"Buscar archivos eliminados...",sortNewest:"M\xE1s recientes primero",sortOldest:"M\xE1s antiguos primero",sortNameAZ:"Nombre A-Z",sortNameZA:"Nombre Z-A",sortLargest:"M\xE1s grandes primero",sortSmallest:"M\xE1s peque\xF1os primero",previewNotAvailable:"Vista previa no disponible para",files:"archivos",restoreToView:"Restaura el archivo para verlo normalmente",unableToLoadImage:"No se pudo cargar la imagen",noFileSelected:"Ning\xFAn archivo seleccionado"},fr:{recycleBin:"Corbeille",recycleBinSettings:"Param\xE8tres de la Corbeille",trashedFilePreview:"Aper\xE7u du fichier supprim\xE9",binEmpty:"Votre corbeille est vide",deletedFilesAppear:"Les fichiers supprim\xE9s appara\xEEtront ici",binNotConfigured:"La corbeille n'est pas configur\xE9e",usingSystemTrash:"\u26A0\uFE0F Vous utilisez la corbeille syst\xE8me.",goToSettings:"Allez dans Param\xE8tres \u2192 Corbeille pour activer.",restore:"Restaurer",deleteForever:"Supprimer d\xE9finitivement",emptyAll:"Tout vider",refresh:"Actualiser",close:"Fermer",cancel:"Annuler",delete:"Supprimer",preview:"Aper\xE7u",originalLocation:"Emplacement d'origine",size:"Taille",deleted:"Supprim\xE9",items:"\xE9l\xE9ments",today:"Aujourd'hui",yesterday:"Hier",daysAgo:"jours",unknown:"Inconnu",fileInBin:"Ce fichier est dans la Corbeille",trashLocation:"\u{1F4CD} Emplacement de la Corbeille",deletedFilesLocation:"Emplacement des fichiers supprim\xE9s",deletedFilesLocationDesc:'Choisissez o\xF9 vont les fichiers supprim\xE9s. "Obsidian .trash" est requis pour que ce plugin fonctionne.',obsidianTrashFolder:"\u{1F4C1} Dossier .trash d'Obsidian (recommand\xE9)",systemTrash:"\u{1F5D1}\uFE0F Corbeille syst\xE8me",permanentDelete:"\u26A0\uFE0F Supprimer d\xE9finitivement (sans r\xE9cup\xE9ration)",usingObsidianTrash:"\u2713 Utilise le dossier .trash d'Obsidian",deletedFilesWillAppear:"Les fichiers supprim\xE9s appara\xEEtront dans cette Corbeille.",usingSystemTrashWarning:"\u26A0 Utilise la corbeille syst\xE8me",systemTrashWarningDesc:"Les fichiers supprim\xE9s vont dans la corbeille de l'OS, pas dans cette Corbeille. Changez ci-dessous pour utiliser ce plugin.",permanentDeleteWarning:"\u26A0 Suppression permanente activ\xE9e",permanentDeleteWarningDesc:"Les fichiers supprim\xE9s sont d\xE9truits imm\xE9diatement ! Changez ci-dessous pour activer la r\xE9cup\xE9ration.",trashLocationChanged:"Emplacement de la corbeille chang\xE9 en",pluginSettings:"\u2699\uFE0F Param\xE8tres du Plugin",settingsDisabled:"\u26A0\uFE0F Param\xE8tres d\xE9sactiv\xE9s",settingsDisabledDesc:`Changez "Emplacement des fichiers supprim\xE9s" ci-dessus en "Dossier .trash d'Obsidian" pour activer ce plugin.`,autoPurge:"Supprimer automatiquement les anciens fichiers",autoPurgeDesc:"Supprimer automatiquement les fichiers plus anciens qu'un nombre sp\xE9cifi\xE9 de jours",autoPurgeDays:"Supprimer automatiquement apr\xE8s (jours)",autoPurgeDaysDesc:"Supprimer les fichiers plus anciens que ce nombre de jours",showConfirmations:"Afficher les dialogues de confirmation",showConfirmationsDesc:"Demander confirmation avant de supprimer ou vider la corbeille",showMetadata:"Afficher les m\xE9tadonn\xE9es des fichiers",showMetadataDesc:"Afficher la taille et la date de suppression dans la liste",showDeleteButton:"Afficher le bouton de suppression par \xE9l\xE9ment",showDeleteButtonDesc:"Afficher un bouton de suppression sur chaque \xE9l\xE9ment pour supprimer d\xE9finitivement des fichiers individuels",language:"Langue",languageDesc:"Choisir la langue d'affichage (auto = d\xE9tecter d'Obsidian)",languageAuto:"D\xE9tection automatique",acknowledgements:"Remerciements",acknowledgementsText:`Ce plugin a \xE9t\xE9 inspir\xE9 par <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. Merci pour le concept original et l'inspiration !`,translationNote:'\u{1F30D} Les traductions ont \xE9t\xE9 g\xE9n\xE9r\xE9es par IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Signaler des erreurs</a>',deletePermanently:"Supprimer d\xE9finitivement",deleteConfirmMessage:'\xCAtes-vous s\xFBr de vouloir supprimer d\xE9finitivement "{name}" ? Cette action est irr\xE9versible.',emptyBin:"Vider la corbeille",emptyBinConfirmMessage:"\xCAtes-vous s\xFBr de vouloir supprimer d\xE9finitivement TOUS les fichiers de la corbeille ? Cette action est irr\xE9versible !",restored:'"{name}" restaur\xE9',cannotRestore:"Impossible de restaurer : le fichier existe d\xE9j\xE0 \xE0 l'emplacement d'origine",binEmptied:"Corbeille vid\xE9e",binAlreadyEmpty:"La corbeille est d\xE9j\xE0 vide",autoPurged:"{count} ancien(s) fichier(s) automatiquement supprim\xE9(s) de la corbeille",searchPlaceholder:"Rechercher des fichiers supprim\xE9s...",sortNewest:"Plus r\xE9cents d'abord",sortOldest:"Plus anciens d'abord",sortNameAZ:"Nom A-Z",sortNameZA:"Nom Z-A",sortLargest:"Plus grands d'abord",sortSmallest:"Plus petits d'abord",previewNotAvailable:"Aper\xE7u non disponible pour",files:"fichiers",restoreToView:"Restaurez le fichier pour le voir normalement",unableToLoadImage:"Impossible de charger l'image",noFileSelected:"Aucun fichier s\xE9lectionn\xE9"},pt:{recycleBin:"Lixeira",recycleBinSettings:"Configura\xE7\xF5es da Lixeira",trashedFilePreview:"Visualiza\xE7\xE3o de arquivo exclu\xEDdo",binEmpty:"Sua lixeira est\xE1 vazia",deletedFilesAppear:"Arquivos exclu\xEDdos aparecer\xE3o aqui",binNotConfigured:"A lixeira n\xE3o est\xE1 configurada",usingSystemTrash:"\u26A0\uFE0F Voc\xEA est\xE1 usando a lixeira do sistema.",goToSettings:"V\xE1 para Configura\xE7\xF5es \u2192 Lixeira para ativar.",restore:"Restaurar",deleteForever:"Excluir permanentemente",emptyAll:"Esvaziar tudo",refresh:"Atualizar",close:"Fechar",cancel:"Cancelar",delete:"Excluir",preview:"Visualizar",originalLocation:"Local original",size:"Tamanho",deleted:"Exclu\xEDdo",items:"itens",today:"Hoje",yesterday:"Ontem",daysAgo:"dias atr\xE1s",unknown:"Desconhecido",fileInBin:"Este arquivo est\xE1 na Lixeira",trashLocation:"\u{1F4CD} Local da Lixeira",deletedFilesLocation:"Local dos arquivos exclu\xEDdos",deletedFilesLocationDesc:'Escolha para onde v\xE3o os arquivos exclu\xEDdos. "Obsidian .trash" \xE9 necess\xE1rio para este plugin funcionar.',obsidianTrashFolder:"\u{1F4C1} Pasta .trash do Obsidian (recomendado)",systemTrash:"\u{1F5D1}\uFE0F Lixeira do sistema",permanentDelete:"\u26A0\uFE0F Excluir permanentemente (sem recupera\xE7\xE3o)",usingObsidianTrash:"\u2713 Usando a pasta .trash do Obsidian",deletedFilesWillAppear:"Arquivos exclu\xEDdos aparecer\xE3o nesta Lixeira.",usingSystemTrashWarning:"\u26A0 Usando a lixeira do sistema",systemTrashWarningDesc:"Arquivos exclu\xEDdos v\xE3o para a lixeira do SO, n\xE3o para esta Lixeira. Mude abaixo para usar este plugin.",permanentDeleteWarning:"\u26A0 Exclus\xE3o permanente ativada",permanentDeleteWarningDesc:"Arquivos exclu\xEDdos s\xE3o destru\xEDdos imediatamente! Mude abaixo para ativar a recupera\xE7\xE3o.",trashLocationChanged:"Local da lixeira alterado para",pluginSettings:"\u2699\uFE0F Configura\xE7\xF5es do Plugin",settingsDisabled:"\u26A0\uFE0F Configura\xE7\xF5es desativadas",settingsDisabledDesc:'Altere "Local dos arquivos exclu\xEDdos" acima para "Pasta .trash do Obsidian" para ativar este plugin.',autoPurge:"Excluir arquivos antigos automaticamente",autoPurgeDesc:"Excluir automaticamente arquivos mais antigos que um n\xFAmero especificado de dias",autoPurgeDays:"Excluir automaticamente ap\xF3s (dias)",autoPurgeDaysDesc:"Excluir arquivos mais antigos que este n\xFAmero de dias",showConfirmations:"Mostrar di\xE1logos de confirma\xE7\xE3o",showConfirmationsDesc:"Pedir confirma\xE7\xE3o antes de excluir ou esvaziar a lixeira",showMetadata:"Mostrar metadados de arquivos",showMetadataDesc:"Exibir tamanho e data de exclus\xE3o na lista",showDeleteButton:"Mostrar bot\xE3o de exclus\xE3o por item",showDeleteButtonDesc:"Mostrar um bot\xE3o de exclus\xE3o em cada item para excluir permanentemente arquivos individuais",language:"Idioma",languageDesc:"Escolher idioma de exibi\xE7\xE3o (auto = detectar do Obsidian)",languageAuto:"Detectar automaticamente",acknowledgements:"Agradecimentos",acknowledgementsText:'Este plugin foi inspirado pelo <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. Obrigado pelo conceito original e inspira\xE7\xE3o!',translationNote:'\u{1F30D} Tradu\xE7\xF5es foram geradas por IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Reportar erros</a>',deletePermanently:"Excluir permanentemente",deleteConfirmMessage:'Tem certeza de que deseja excluir permanentemente "{name}"? Esta a\xE7\xE3o n\xE3o pode ser desfeita.',emptyBin:"Esvaziar lixeira",emptyBinConfirmMessage:"Tem certeza de que deseja excluir permanentemente TODOS os arquivos da lixeira? Esta a\xE7\xE3o n\xE3o pode ser desfeita!",restored:'"{name}" restaurado',cannotRestore:"N\xE3o \xE9 poss\xEDvel restaurar: arquivo j\xE1 existe no local original",binEmptied:"Lixeira esvaziada",binAlreadyEmpty:"A lixeira j\xE1 est\xE1 vazia",autoPurged:"{count} arquivo(s) antigo(s) exclu\xEDdo(s) automaticamente da lixeira",searchPlaceholder:"Pesquisar arquivos exclu\xEDdos...",sortNewest:"Mais recentes primeiro",sortOldest:"Mais antigos primeiro",sortNameAZ:"Nome A-Z",sortNameZA:"Nome Z-A",sortLargest:"Maiores primeiro",sortSmallest:"Menores primeiro",previewNotAvailable:"Visualiza\xE7\xE3o n\xE3o dispon\xEDvel para",files:"arquivos",restoreToView:"Restaure o arquivo para visualiz\xE1-lo normalmente",unableToLoadImage:"N\xE3o foi poss\xEDvel carregar a imagem",noFileSelected:"Nenhum arquivo selecionado"},ru:{recycleBin:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430",recycleBinSettings:"\u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u041A\u043E\u0440\u0437\u0438\u043D\u044B",trashedFilePreview:"\u041F\u0440\u043E\u0441\u043C\u043E\u0442\u0440 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u043E\u0433\u043E \u0444\u0430\u0439\u043B\u0430",binEmpty:"\u0412\u0430\u0448\u0430 \u043A\u043E\u0440\u0437\u0438\u043D\u0430 \u043F\u0443\u0441\u0442\u0430",deletedFilesAppear:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u043F\u043E\u044F\u0432\u044F\u0442\u0441\u044F \u0437\u0434\u0435\u0441\u044C",binNotConfigured:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u043D\u0435 \u043D\u0430\u0441\u0442\u0440\u043E\u0435\u043D\u0430",usingSystemTrash:"\u26A0\uFE0F \u0412\u044B \u0438\u0441\u043F\u043E\u043B\u044C\u0437\u0443\u0435\u0442\u0435 \u0441\u0438\u0441\u0442\u0435\u043C\u043D\u0443\u044E \u043A\u043E\u0440\u0437\u0438\u043D\u0443.",goToSettings:"\u041F\u0435\u0440\u0435\u0439\u0434\u0438\u0442\u0435 \u0432 \u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u2192 \u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u0434\u043B\u044F \u0432\u043A\u043B\u044E\u0447\u0435\u043D\u0438\u044F.",restore:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C",deleteForever:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430",emptyAll:"\u041E\u0447\u0438\u0441\u0442\u0438\u0442\u044C \u0432\u0441\u0451",refresh:"\u041E\u0431\u043D\u043E\u0432\u0438\u0442\u044C",close:"\u0417\u0430\u043A\u0440\u044B\u0442\u044C",cancel:"\u041E\u0442\u043C\u0435\u043D\u0430",delete:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C",preview:"\u041F\u0440\u043E\u0441\u043C\u043E\u0442\u0440",originalLocation:"\u0418\u0441\u0445\u043E\u0434\u043D\u043E\u0435 \u0440\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435",size:"\u0420\u0430\u0437\u043C\u0435\u0440",deleted:"\u0423\u0434\u0430\u043B\u0435\u043D\u043E",items:"\u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432",today:"\u0421\u0435\u0433\u043E\u0434\u043D\u044F",yesterday:"\u0412\u0447\u0435\u0440\u0430",daysAgo:"\u0434\u043D\u0435\u0439 \u043D\u0430\u0437\u0430\u0434",unknown:"\u041D\u0435\u0438\u0437\u0432\u0435\u0441\u0442\u043D\u043E",fileInBin:"\u042D\u0442\u043E\u0442 \u0444\u0430\u0439\u043B \u043D\u0430\u0445\u043E\u0434\u0438\u0442\u0441\u044F \u0432 \u041A\u043E\u0440\u0437\u0438\u043D\u0435",trashLocation:"\u{1F4CD} \u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u041A\u043E\u0440\u0437\u0438\u043D\u044B",deletedFilesLocation:"\u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432",deletedFilesLocationDesc:'\u0412\u044B\u0431\u0435\u0440\u0438\u0442\u0435, \u043A\u0443\u0434\u0430 \u043E\u0442\u043F\u0440\u0430\u0432\u043B\u044F\u044E\u0442\u0441\u044F \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B. \u0414\u043B\u044F \u0440\u0430\u0431\u043E\u0442\u044B \u044D\u0442\u043E\u0433\u043E \u043F\u043B\u0430\u0433\u0438\u043D\u0430 \u0442\u0440\u0435\u0431\u0443\u0435\u0442\u0441\u044F "Obsidian .trash".',obsidianTrashFolder:"\u{1F4C1} \u041F\u0430\u043F\u043A\u0430 .trash Obsidian (\u0440\u0435\u043A\u043E\u043C\u0435\u043D\u0434\u0443\u0435\u0442\u0441\u044F)",systemTrash:"\u{1F5D1}\uFE0F \u0421\u0438\u0441\u0442\u0435\u043C\u043D\u0430\u044F \u043A\u043E\u0440\u0437\u0438\u043D\u0430",permanentDelete:"\u26A0\uFE0F \u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 (\u0431\u0435\u0437 \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u044F)",usingObsidianTrash:"\u2713 \u0418\u0441\u043F\u043E\u043B\u044C\u0437\u0443\u0435\u0442\u0441\u044F \u043F\u0430\u043F\u043A\u0430 .trash Obsidian",deletedFilesWillAppear:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u043F\u043E\u044F\u0432\u044F\u0442\u0441\u044F \u0432 \u044D\u0442\u043E\u0439 \u041A\u043E\u0440\u0437\u0438\u043D\u0435.",usingSystemTrashWarning:"\u26A0 \u0418\u0441\u043F\u043E\u043B\u044C\u0437\u0443\u0435\u0442\u0441\u044F \u0441\u0438\u0441\u0442\u0435\u043C\u043D\u0430\u044F \u043A\u043E\u0440\u0437\u0438\u043D\u0430",systemTrashWarningDesc:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u043E\u0442\u043F\u0440\u0430\u0432\u043B\u044F\u044E\u0442\u0441\u044F \u0432 \u043A\u043E\u0440\u0437\u0438\u043D\u0443 \u041E\u0421, \u0430 \u043D\u0435 \u0432 \u044D\u0442\u0443 \u041A\u043E\u0440\u0437\u0438\u043D\u0443. \u0418\u0437\u043C\u0435\u043D\u0438\u0442\u0435 \u043D\u0438\u0436\u0435, \u0447\u0442\u043E\u0431\u044B \u0438\u0441\u043F\u043E\u043B\u044C\u0437\u043E\u0432\u0430\u0442\u044C \u044D\u0442\u043E\u0442 \u043F\u043B\u0430\u0433\u0438\u043D.",permanentDeleteWarning:"\u26A0 \u0412\u043A\u043B\u044E\u0447\u0435\u043D\u043E \u0431\u0435\u0437\u0432\u043E\u0437\u0432\u0440\u0430\u0442\u043D\u043E\u0435 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435",permanentDeleteWarningDesc:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u0443\u043D\u0438\u0447\u0442\u043E\u0436\u0430\u044E\u0442\u0441\u044F \u043D\u0435\u043C\u0435\u0434\u043B\u0435\u043D\u043D\u043E! \u0418\u0437\u043C\u0435\u043D\u0438\u0442\u0435 \u043D\u0438\u0436\u0435, \u0447\u0442\u043E\u0431\u044B \u0432\u043A\u043B\u044E\u0447\u0438\u0442\u044C \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u0435.",trashLocationChanged:"\u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u043A\u043E\u0440\u0437\u0438\u043D\u044B \u0438\u0437\u043C\u0435\u043D\u0435\u043D\u043E \u043D\u0430",pluginSettings:"\u2699\uFE0F \u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u043F\u043B\u0430\u0433\u0438\u043D\u0430",settingsDisabled:"\u26A0\uFE0F \u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u043E\u0442\u043A\u043B\u044E\u0447\u0435\u043D\u044B",settingsDisabledDesc:'\u0418\u0437\u043C\u0435\u043D\u0438\u0442\u0435 "\u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432" \u0432\u044B\u0448\u0435 \u043D\u0430 "\u041F\u0430\u043F\u043A\u0430 .trash Obsidian", \u0447\u0442\u043E\u0431\u044B \u0432\u043A\u043B\u044E\u0447\u0438\u0442\u044C \u044D\u0442\u043E\u0442 \u043F\u043B\u0430\u0433\u0438\u043D.',autoPurge:"\u0410\u0432\u0442\u043E\u043C\u0430\u0442\u0438\u0447\u0435\u0441\u043A\u0438 \u0443\u0434\u0430\u043B\u044F\u0442\u044C \u0441\u0442\u0430\u0440\u044B\u0435 \u0444\u0430\u0439\u043B\u044B",autoPurgeDesc:"\u0410\u0432\u0442\u043E\u043C\u0430\u0442\u0438\u0447\u0435\u0441\u043A\u0438 \u0443\u0434\u0430\u043B\u044F\u0442\u044C \u0444\u0430\u0439\u043B\u044B \u0441\u0442\u0430\u0440\u0448\u0435 \u0443\u043A\u0430\u0437\u0430\u043D\u043D\u043E\u0433\u043E \u043A\u043E\u043B\u0438\u0447\u0435\u0441\u0442\u0432\u0430 \u0434\u043D\u0435\u0439",autoPurgeDays:"\u0410\u0432\u0442\u043E\u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435 \u0447\u0435\u0440\u0435\u0437 (\u0434\u043D\u0435\u0439)",autoPurgeDaysDesc:"\u0423\u0434\u0430\u043B\u044F\u0442\u044C \u0444\u0430\u0439\u043B\u044B \u0441\u0442\u0430\u0440\u0448\u0435 \u044D\u0442\u043E\u0433\u043E \u043A\u043E\u043B\u0438\u0447\u0435\u0441\u0442\u0432\u0430 \u0434\u043D\u0435\u0439",showConfirmations:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u0434\u0438\u0430\u043B\u043E\u0433\u0438 \u043F\u043E\u0434\u0442\u0432\u0435\u0440\u0436\u0434\u0435\u043D\u0438\u044F",showConfirmationsDesc:"\u0417\u0430\u043F\u0440\u0430\u0448\u0438\u0432\u0430\u0442\u044C \u043F\u043E\u0434\u0442\u0432\u0435\u0440\u0436\u0434\u0435\u043D\u0438\u0435 \u043F\u0435\u0440\u0435\u0434 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435\u043C \u0438\u043B\u0438 \u043E\u0447\u0438\u0441\u0442\u043A\u043E\u0439 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",showMetadata:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u043C\u0435\u0442\u0430\u0434\u0430\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u043E\u0432",showMetadataDesc:"\u041E\u0442\u043E\u0431\u0440\u0430\u0436\u0430\u0442\u044C \u0440\u0430\u0437\u043C\u0435\u0440 \u0444\u0430\u0439\u043B\u0430 \u0438 \u0434\u0430\u0442\u0443 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u0432 \u0441\u043F\u0438\u0441\u043A\u0435",showDeleteButton:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u043A\u043D\u043E\u043F\u043A\u0443 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u0434\u043B\u044F \u043A\u0430\u0436\u0434\u043E\u0433\u043E \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u0430",showDeleteButtonDesc:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u043A\u043D\u043E\u043F\u043A\u0443 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u043D\u0430 \u043A\u0430\u0436\u0434\u043E\u043C \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u0435 \u0434\u043B\u044F \u0431\u0435\u0437\u0432\u043E\u0437\u0432\u0440\u0430\u0442\u043D\u043E\u0433\u043E \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u043E\u0442\u0434\u0435\u043B\u044C\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432",language:"\u042F\u0437\u044B\u043A",languageDesc:"\u0412\u044B\u0431\u0435\u0440\u0438\u0442\u0435 \u044F\u0437\u044B\u043A \u043E\u0442\u043E\u0431\u0440\u0430\u0436\u0435\u043D\u0438\u044F (\u0430\u0432\u0442\u043E = \u043E\u043F\u0440\u0435\u0434\u0435\u043B\u0438\u0442\u044C \u0438\u0437 Obsidian)",languageAuto:"\u0410\u0432\u0442\u043E\u043E\u043F\u0440\u0435\u0434\u0435\u043B\u0435\u043D\u0438\u0435",acknowledgements:"\u0411\u043B\u0430\u0433\u043E\u0434\u0430\u0440\u043D\u043E\u0441\u0442\u0438",acknowledgementsText:'\u042D\u0442\u043E\u0442 \u043F\u043B\u0430\u0433\u0438\u043D \u0431\u044B\u043B \u0432\u0434\u043E\u0445\u043D\u043E\u0432\u043B\u0451\u043D <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> \u043E\u0442 <strong>Per Mortensen</strong>. \u0421\u043F\u0430\u0441\u0438\u0431\u043E \u0437\u0430 \u043E\u0440\u0438\u0433\u0438\u043D\u0430\u043B\u044C\u043D\u0443\u044E \u043A\u043E\u043D\u0446\u0435\u043F\u0446\u0438\u044E \u0438 \u0432\u0434\u043E\u0445\u043D\u043E\u0432\u0435\u043D\u0438\u0435!',translationNote:'\u{1F30D} \u041F\u0435\u0440\u0435\u0432\u043E\u0434\u044B \u0431\u044B\u043B\u0438 \u0441\u0433\u0435\u043D\u0435\u0440\u0438\u0440\u043E\u0432\u0430\u043D\u044B \u0418\u0418. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">\u0421\u043E\u043E\u0431\u0449\u0438\u0442\u044C \u043E\u0431 \u043E\u0448\u0438\u0431\u043A\u0430\u0445</a>',deletePermanently:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430",deleteConfirmMessage:'\u0412\u044B \u0443\u0432\u0435\u0440\u0435\u043D\u044B, \u0447\u0442\u043E \u0445\u043E\u0442\u0438\u0442\u0435 \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 \u0443\u0434\u0430\u043B\u0438\u0442\u044C "{name}"? \u042D\u0442\u043E \u0434\u0435\u0439\u0441\u0442\u0432\u0438\u0435 \u043D\u0435\u043B\u044C\u0437\u044F \u043E\u0442\u043C\u0435\u043D\u0438\u0442\u044C.',emptyBin:"\u041E\u0447\u0438\u0441\u0442\u0438\u0442\u044C \u043A\u043E\u0440\u0437\u0438\u043D\u0443",emptyBinConfirmMessage:"\u0412\u044B \u0443\u0432\u0435\u0440\u0435\u043D\u044B, \u0447\u0442\u043E \u0445\u043E\u0442\u0438\u0442\u0435 \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 \u0443\u0434\u0430\u043B\u0438\u0442\u044C \u0412\u0421\u0415 \u0444\u0430\u0439\u043B\u044B \u0438\u0437 \u043A\u043E\u0440\u0437\u0438\u043D\u044B? \u042D\u0442\u043E \u0434\u0435\u0439\u0441\u0442\u0432\u0438\u0435 \u043D\u0435\u043B\u044C\u0437\u044F \u043E\u0442\u043C\u0435\u043D\u0438\u0442\u044C!",restored:'"{name}" \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D',cannotRestore:"\u041D\u0435\u0432\u043E\u0437\u043C\u043E\u0436\u043D\u043E \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C: \u0444\u0430\u0439\u043B \u0443\u0436\u0435 \u0441\u0443\u0449\u0435\u0441\u0442\u0432\u0443\u0435\u0442 \u0432 \u0438\u0441\u0445\u043E\u0434\u043D\u043E\u043C \u0440\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0438",binEmptied:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u043E\u0447\u0438\u0449\u0435\u043D\u0430",binAlreadyEmpty:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u0443\u0436\u0435 \u043F\u0443\u0441\u0442\u0430",autoPurged:"\u0410\u0432\u0442\u043E\u043C\u0430\u0442\u0438\u0447\u0435\u0441\u043A\u0438 \u0443\u0434\u0430\u043B\u0435\u043D\u043E {count} \u0441\u0442\u0430\u0440\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432 \u0438\u0437 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",searchPlaceholder:"\u041F\u043E\u0438\u0441\u043A \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432...",sortNewest:"\u0421\u043D\u0430\u0447\u0430\u043B\u0430 \u043D\u043E\u0432\u044B\u0435",sortOldest:"\u0421\u043D\u0430\u0447\u0430\u043B\u0430 \u0441\u0442\u0430\u0440\u044B\u0435",sortNameAZ:"\u0418\u043C\u044F \u0410-\u042F",sortNameZA:"\u0418\u043C\u044F \u042F-\u0410",sortLargest:"\u0421\u043D\u0430\u0447\u0430\u043B\u0430 \u0431\u043E\u043B\u044C\u0448\u0438\u0435",sortSmallest:"\u0421\u043D\u0430\u0447\u0430\u043B\u0430 \u043C\u0430\u043B\u0435\u043D\u044C\u043A\u0438\u0435",previewNotAvailable:"\u041F\u0440\u043E\u0441\u043C\u043E\u0442\u0440 \u043D\u0435\u0434\u043E\u0441\u0442\u0443\u043F\u0435\u043D \u0434\u043B\u044F",files:"\u0444\u0430\u0439\u043B\u043E\u0432",restoreToView:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u0435 \u0444\u0430\u0439\u043B \u0434\u043B\u044F \u043E\u0431\u044B\u0447\u043D\u043E\u0433\u043E \u043F\u0440\u043E\u0441\u043C\u043E\u0442\u0440\u0430",unableToLoadImage:"\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0437\u0430\u0433\u0440\u0443\u0437\u0438\u0442\u044C \u0438\u0437\u043E\u0431\u0440\u0430\u0436\u0435\u043D\u0438\u0435",noFileSelected:"\u0424\u0430\u0439\u043B \u043D\u0435 \u0432\u044B\u0431\u0440\u0430\u043D"}},T="en";function j(r,e){var a,s;if(e!=null&&e.language&&e.language!=="auto")return e.language;try{let o=(((s=(a=r==null?void 0:r.vault)==null?void 0:a.config)==null?void 0:s.locale)||(navigator==null?void 0:navigator.language)||"en").split("-")[0].toLowerCase();if(P.includes(o))return o}catch(i){}return"en"}function Z(r){P.includes(r)&&(T=r)}function U(r,e={}){var s;let a=((s=D[T])==null?void 0:s[r])||D.en[r]||r;for(let[i,o]of Object.entries(e))a=a.replace(`{${i}}`,o);return a}O.exports={SUPPORTED_LANGUAGES:P,TRANSLATIONS:D,getLanguage:j,setLanguage:Z,t:U,get currentLanguage(){return T}}});var k=v((ce,B)=>{"use strict";function $(r){if(r===0)return"0 B";if(!r||isNaN(r))return"? B";let e=1024,a=["B","KB","MB","GB"],s=Math.floor(Math.log(r)/Math.log(e));return parseFloat((r/Math.pow(e,s)).toFixed(1))+" "+a[s]}function G(r,e={}){if(!r)return e.unknown||"Unknown";let a=new Date(r),s=new Date,i=new Date(s.getFullYear(),s.getMonth(),s.getDate()),o=new Date(i.getTime()-864e5);return a>=i?e.today||"Today":a>=o?e.yesterday||"Yesterday":`${Math.floor((i.getTime()-a.getTime())/864e5)} ${e.daysAgo||"days ago"}`}function H(r){if(!r||typeof r!="string")return"";let e=r.split(".");return e.length>1?e.pop().toLowerCase():""}function _(r){if(!r||typeof r!="string")return"";let e={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"};return r.replace(/[&<>"']/g,a=>e[a])}function Y(r){return!(!r||typeof r!="string"||r.includes("..")||r.startsWith("/")||r.startsWith("\\")||r.includes("://"))}function K(r,e){let a;return function(...i){let o=()=>{clearTimeout(a),r(...i)};clearTimeout(a),a=setTimeout(o,e)}}B.exports={formatFileSize:$,formatDate:G,getExtension:H,escapeHtml:_,isValidPath:Y,debounce:K}});var M=v((de,F)=>{"use strict";var Q="recycle-bin-view",J="recycle-bin-preview",X="recycle-bin",ee=".trash",te={autoPurgeEnabled:!1,autoPurgeDays:90,showConfirmations:!0,showMetadata:!0,showDeleteButton:!1,sortBy:"date",sortOrder:"desc",language:"auto"},ae={markdown:["md","markdown"],code:["js","ts","jsx","tsx","css","scss","less","html","json","xml","yaml","yml","py","rb","java","c","cpp","h","go","rs","php","sh","bash"],image:["png","jpg","jpeg","gif","webp","svg","bmp","ico"],document:["pdf","doc","docx","xls","xlsx","ppt","pptx","txt"],archive:["zip","tar","gz","rar","7z"],audio:["mp3","wav","ogg","flac","m4a"],video:["mp4","webm","mov","avi","mkv"]},se={md:"\u{1F4DD}",txt:"\u{1F4C4}",pdf:"\u{1F4D5}",js:"\u{1F49B}",ts:"\u{1F499}",css:"\u{1F49C}",html:"\u{1F9E1}",json:"\u{1F4CB}",png:"\u{1F5BC}\uFE0F",jpg:"\u{1F5BC}\uFE0F",gif:"\u{1F39E}\uFE0F",svg:"\u{1F3A8}",mp3:"\u{1F3B5}",mp4:"\u{1F3AC}",zip:"\u{1F4E6}",default:"\u{1F4C4}"};F.exports={VIEW_TYPE:Q,PREVIEW_VIEW_TYPE:J,PLUGIN_ID:X,TRASH_FOLDER:ee,DEFAULT_SETTINGS:te,FILE_TYPES:ae,FILE_ICONS:se}});var c=require("obsidian"),{t,getLanguage:I,setLanguage:V,TRANSLATIONS:ue,SUPPORTED_LANGUAGES:he}=N(),{formatFileSize:W,formatDate:R,escapeHtml:ie,isValidPath:q,debounce:ne}=k(),{VIEW_TYPE:p,PREVIEW_VIEW_TYPE:f,TRASH_FOLDER:x,DEFAULT_SETTINGS:re,FILE_ICONS:z}=M(),y="en",E=class{constructor(e,a,s){this.vault=e,this.path=a,this.stat=s,this.kind="file";let i=a.split("/");this.name=i.pop(),i.shift(),this.originalPath=i.length>0?i.join("/")+"/"+this.name:this.name}get size(){var e;return((e=this.stat)==null?void 0:e.size)||0}get mtime(){var e;return((e=this.stat)==null?void 0:e.mtime)||0}get extension(){let e=this.name.split(".");return e.length>1?e.pop().toLowerCase():""}async restore(){try{if(!q(this.originalPath))return console.error("Invalid restore path:",this.originalPath),!1;if(await this.vault.adapter.exists(this.originalPath))return!1;let a=await this.vault.adapter.read(this.path),s=this.originalPath.split("/").slice(0,-1).join("/");return s&&await this.vault.adapter.mkdir(s),await this.vault.adapter.write(this.originalPath,a),await this.vault.adapter.remove(this.path),!0}catch(e){return console.error("Failed to restore file:",e),!1}}async delete(){try{return await this.vault.adapter.remove(this.path),!0}catch(e){return console.error("Failed to delete file:",e),!1}}},A=class{constructor(e,a){this.vault=e,this.path=a,this.kind="folder",this.children=[];let s=a.split("/");this.name=s.pop(),s.shift(),this.originalPath=s.length>0?s.join("/")+"/"+this.name:this.name}get size(){return this.children.reduce((e,a)=>e+a.size,0)}get mtime(){return this.children.length===0?0:Math.max(...this.children.map(e=>e.mtime))}async restore(){try{if(!q(this.originalPath))return console.error("Invalid restore path:",this.originalPath),!1;await this.vault.adapter.mkdir(this.originalPath);for(let e of this.children)await e.restore();return await this.vault.adapter.rmdir(this.path,!0),!0}catch(e){return console.error("Failed to restore folder:",e),!1}}async delete(){try{return await this.vault.adapter.rmdir(this.path,!0),!0}catch(e){return console.error("Failed to delete folder:",e),!1}}},S=class{constructor(e){this.vault=e,this.items=[]}async refresh(){this.items=[],await this.vault.adapter.exists(x)&&await this.scanFolder(x)}async scanFolder(e,a=null){try{let s=await this.vault.adapter.list(e);for(let i of s.files){let o=await this.vault.adapter.stat(i),d=new E(this.vault,i,o);a?a.children.push(d):this.items.push(d)}for(let i of s.folders){if(i===x)continue;let o=new A(this.vault,i);await this.scanFolder(i,o),a?a.children.push(o):this.items.push(o)}}catch(s){console.error("Failed to scan folder:",s)}}async empty(){for(let e of this.items)await e.delete();this.items=[]}async purgeOlderThan(e){let a=Date.now()-e*24*60*60*1e3,s=0;for(let i of[...this.items])i.mtime<a&&(await i.delete(),this.items=this.items.filter(o=>o!==i),s++);return s}sort(e,a="desc"){this.items.sort((s,i)=>{let o=0;switch(e){case"name":o=s.name.localeCompare(i.name);break;case"size":o=s.size-i.size;break;case"date":default:o=s.mtime-i.mtime}return a==="desc"?-o:o})}filter(e){if(!e||!e.trim())return this.items;let a=e.toLowerCase();return this.items.filter(s=>s.name.toLowerCase().includes(a))}},b=class extends c.ItemView{constructor(e,a){super(e),this.plugin=a,this.file=null}getViewType(){return f}getDisplayText(){return this.file?`\u{1F5D1}\uFE0F ${this.file.name}`:t("trashedFilePreview")}getIcon(){return"trash-2"}async setFile(e){this.file=e,await this.render(),this.leaf.updateHeader()}async render(){let e=this.containerEl.children[1];if(e.empty(),e.addClass("recycle-bin-preview-container"),!this.file){e.createEl("p",{text:t("noFileSelected")});return}let a=e.createDiv({cls:"recycle-bin-preview-banner"});a.innerHTML=`
+"use strict";var k=(a,e)=>()=>(e||a((e={exports:{}}).exports,e),e.exports);var Me=k((hr,Le)=>{"use strict";var re=["en","de","zh","ja","es","fr","pt","ru"],se={en:{recycleBin:"Recycle Bin",recycleBinSettings:"Recycle Bin Settings",trashedFilePreview:"Trashed File Preview",binEmpty:"Your recycle bin is empty",deletedFilesAppear:"Deleted files will appear here",binNotConfigured:"Recycle Bin is not configured",usingSystemTrash:"\u26A0\uFE0F You're using System Trash.",goToSettings:"Go to Settings \u2192 Recycle Bin to enable.",restore:"Restore",restoreTo:"Restore to\u2026",chooseFolder:"Choose a folder to restore into\u2026",createFolder:'Create folder "{path}"',deleteForever:"Delete Forever",emptyAll:"Empty All",refresh:"Refresh",close:"Close",cancel:"Cancel",delete:"Delete",preview:"Preview",originalLocation:"Original location",size:"Size",deleted:"Deleted",items:"items",deletedOnDevice:"on {device}",today:"Today",yesterday:"Yesterday",daysAgo:"days ago",unknown:"Unknown",fileInBin:"This file is in the Recycle Bin",trashLocation:"\u{1F4CD} Trash Location",deletedFilesLocation:"Deleted files location",deletedFilesLocationDesc:'Choose where deleted files should go. With the system trash or permanent deletion, turn on "Keep copies of deleted files" below to use this plugin.',obsidianTrashFolder:"\u{1F4C1} Obsidian .trash folder (recommended)",systemTrash:"\u{1F5D1}\uFE0F System trash",permanentDelete:"\u26A0\uFE0F Permanently delete (no recovery)",usingObsidianTrash:"\u2713 Using Obsidian's .trash folder",deletedFilesWillAppear:"Deleted files will appear in this Recycle Bin.",usingSystemTrashWarning:"\u26A0 Using System Trash",systemTrashWarningDesc:"Deleted files go to your OS trash, not this Recycle Bin. Change below, or keep copies of deleted files, to use this plugin.",permanentDeleteWarning:"\u26A0 Permanent Deletion Enabled",permanentDeleteWarningDesc:"Deleted files are immediately destroyed! Change below to enable recovery.",trashLocationChanged:"Trash location changed to",captureMode:"Keep copies of deleted files",captureModeDesc:"Copy every file deleted in Obsidian into the plugin's own bin (.recycle-bin) before it goes to the system trash or is deleted, so you can still preview and restore it here.",captureActive:"\u2713 Keeping copies of deleted files",captureActiveDesc:"Deleted files are copied into this Recycle Bin before Obsidian removes them.",captureFailed:"Could not keep a copy of {name}, so it was not deleted",binFolders:"Additional bin folders",binFoldersDesc:"Folders whose contents are listed in this Recycle Bin alongside the trash, for example a folder other tools move deleted notes to. Paths are relative to the vault root.",addBinFolder:"Add folder",removeBinFolder:"Remove folder",invalidBinFolder:"This folder cannot be used as a bin folder",binSource:"Bin folder",sourceTrash:"Trash",sourceCapture:"Kept copy",pluginSettings:"\u2699\uFE0F Plugin Settings",settingsDisabled:"\u26A0\uFE0F Settings disabled",settingsDisabledDesc:'Change "Deleted files location" above to "Obsidian .trash folder", or turn on "Keep copies of deleted files", to enable this plugin.',autoPurge:"Auto-purge old files",autoPurgeDesc:"Automatically delete files older than a specified number of days",autoPurgeDays:"Auto-purge after (days)",autoPurgeDaysDesc:"Delete files that match no retention rule once they are older than this many days",autoPurgeInterval:"Auto-purge schedule",hourly:"Hourly",daily:"Daily",nextPurge:"Next auto-purge: {time}",expiringSoon:"Expiring soon",expiresInDays:"Expires in {count} day(s)",expiresNextPurge:"Purged on next run",keepForever:"Keep forever",allowPurge:"Allow auto-purge",keptForever:"Kept forever",maxBinSize:"Maximum bin size (MB)",maxBinSizeDesc:"When the bin grows beyond this size, the oldest items are purged first. 0 means no limit.",purgeAction:"Purged items",purgeActionDesc:"What Empty All and auto-purge do with the items they remove. Archived items are added to a ZIP archive per month, with a manifest of their original paths and deletion dates.",purgeActionDelete:"Delete permanently",purgeActionArchive:"Move to archive",archiveLocation:"Archive location",archiveLocationDesc:"Vault folder for the archives, or on desktop an absolute path outside the vault, such as /Users/me/Backups.",retentionRules:"Retention rules",retentionRulesDesc:"Checked from top to bottom; the first rule matching an item decides how long it is kept. Empty fields match everything. Paths are globs against the original path, e.g. Journal/** or **/*.png.",retentionRule:"Rule {number}",ruleExtensions:"Extensions, e.g. md, png",rulePath:"Path, e.g. Journal/**",ruleMinSize:"Min size (MB)",ruleDays:"Days",rulePurgeAfter:"Purge after days",ruleKeepForever:"Never purge",moveUp:"Move up",moveDown:"Move down",removeRule:"Remove rule",addRule:"Add rule",previewPurge:"Preview next purge",purgeNothing:"The next purge would not remove anything.",purgeSummary:"The next purge would remove {count} item(s), freeing {size}:",archiveNow:"Archive now",purgeNow:"Delete now",purgeReasonDefault:"Default age",purgeReasonSize:"Bin size limit",undoGraceSeconds:"Undo grace period (seconds)",undoGraceSecondsDesc:"Permanently deleted items are held back this long so they can be undone. 0 deletes immediately.",undoLimit:"Undo history",undoLimitDesc:"Number of recent restore and delete operations that can be undone",showConfirmations:"Show confirmation dialogs",showConfirmationsDesc:"Ask for confirmation before deleting or emptying trash",showMetadata:"Show file metadata",showMetadataDesc:"Display file size and deletion date in the list",searchContent:"Search file contents",searchContentDesc:"Also match the text of trashed markdown and text files when searching (slower on large bins)",showDeleteButton:"Show per-item delete button",showDeleteButtonDesc:"Show a delete button on each item to permanently delete individual files",language:"Language",languageDesc:"Choose display language (auto = detect from Obsidian)",languageAuto:"Auto-detect",acknowledgements:"Acknowledgements",acknowledgementsText:'This plugin was inspired by <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> by <strong>Per Mortensen</strong>. Thank you for the original concept and inspiration!',translationNote:'\u{1F30D} Translations were generated by AI. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Report errors</a>',deletePermanently:"Delete permanently",deleteConfirmMessage:'Are you sure you want to permanently delete "{name}"? It can only be undone until the undo grace period ends.',restoreConflict:"File already exists",restoreConflictMessage:'"{path}" already exists in your vault. What would you like to do?',restoreKeepBoth:'Restore as "{name}"',restoreOverwrite:"Overwrite (move current file to bin)",restoreCompare:"Compare",restoreSkip:"Skip",applyToAll:"Apply to all conflicts",trashedVersion:"In recycle bin",currentVersion:"Current file",emptyBin:"Empty recycle bin",emptyBinConfirmMessage:"Are you sure you want to permanently delete ALL files in the recycle bin? It can only be undone until the undo grace period ends!",archiveAll:"Archive all",restored:'Restored "{name}"',cannotRestore:'Could not restore "{name}". See the console for details.',restoreSkipped:'Skipped restoring "{name}"',cannotDelete:'Could not delete "{name}". See the console for details.',undo:"Undo",undoLastAction:"Undo last recycle bin action",undone:"Recycle bin action undone",undoFailed:"Undo incomplete: {count} item(s) could not be moved back",nothingToUndo:"Nothing to undo",binEmptied:"Recycle bin emptied",binAlreadyEmpty:"Recycle bin is already empty",autoPurged:"Auto-purged {count} old file(s) from recycle bin",autoArchived:"Archived {count} old item(s) from the recycle bin",binArchived:"Recycle bin archived to {path} and emptied",archiveFailed:"Archiving failed, nothing was deleted. See the developer console for details",purgeFailed:"Purging the recycle bin failed. See the developer console for details",exportingProgress:"Exporting {count} item(s)...",exportedItems:"Exported {count} item(s) to {path}",exportFailed:"Export failed, see the developer console for details",importingProgress:"Importing {name}...",importedItems:"Imported {count} item(s) into the recycle bin",importFailed:"Could not import {name}",searchPlaceholder:"Search deleted files... (try ext:pdf or is:folder)",noMatches:"No items match your search",sortNewest:"Newest first",sortOldest:"Oldest first",sortNameAZ:"Name A-Z",sortNameZA:"Name Z-A",sortLargest:"Largest first",sortSmallest:"Smallest first",exportBinToZip:"Export recycle bin to ZIP",importFromZip:"Import from ZIP",selectedCount:"{count} selected",selectAllMatching:"Select all",invertSelection:"Invert",restoreSelected:"Restore selected",deleteSelected:"Delete selected",restoreNewestVersion:"Restore the newest version",deleteAllVersions:"Delete all {count} versions permanently",exportSelected:"Export selected",deleteSelectedConfirmMessage:"Are you sure you want to permanently delete {count} selected item(s)? It can only be undone until the undo grace period ends.",deleteItemsConfirmMessage:"Are you sure you want to permanently delete {count} item(s)? It can only be undone until the undo grace period ends.",deleteVersionsConfirmMessage:'Are you sure you want to permanently delete all {count} versions of "{name}"? It can only be undone until the undo grace period ends.',restoringProgress:"Restoring {done}/{total}\u2026",deletingProgress:"Deleting {done}/{total}\u2026",bulkRestoreSummary:"Restored {succeeded} item(s), skipped {skipped}, failed {failed}",bulkDeleteSummary:"Deleted {succeeded} item(s), failed {failed}",previewNotAvailable:"Preview not available for",files:"files",restoreToView:"Restore the file to view it normally",unableToLoadImage:"Unable to load image",unableToPlay:"This file cannot be played here",archiveSummary:"{count} file(s), {size} uncompressed",archiveName:"Name",archiveModified:"Modified",showSource:"Source",showRendered:"Rendered",wordWrap:"Word wrap",find:"Find",findPlaceholder:"Find in file\u2026",noMatchesShort:"No results",previousMatch:"Previous match (Shift+Enter)",nextMatch:"Next match (Enter)",noLongerInBin:"{name} is no longer in the recycle bin",noLongerInBinRestored:"It was restored to {path}.",noLongerInBinDesc:"It was restored or permanently deleted.",openFile:"Open file",originalTaken:"Original path in use",originalTakenDesc:"A file now exists at the original location; restoring will ask how to resolve the conflict",noFileSelected:"No file selected",linkedFrom:"Linked from {count} note(s) when deleted:",updateLinks:"Update links",updateLinksMessage:"{count} note(s) linked to the restored file(s) at their old location. Update those links to the new location?",updateLinksConfirm:"Update links",linksUpdated:"Updated {count} link(s)",compareWithCurrent:"Compare with current",showPreview:"Show preview",filesIdentical:"The trashed file is identical to the current version",copyHunkToCurrent:"Copy to current note",hunkCopied:'Copied lines into "{path}"',hunkOutdated:"The note changed since the comparison was shown. Check the updated comparison and try again.",hunkCopyFailed:"Could not copy lines into the current note. See the console for details.",versionCount:"{count} versions",versionDeleted:"Deleted {date}",compareWithNewest:"Compare with newest version",restoreVersion:"Restore this version",trashStatistics:"Trash statistics",totalSize:"Total size",trashedItems:"Items",itemsAndFiles:"{count} ({files} files)",itemsCount:"{count} item(s)",nextPurgeFrees:"Next purge frees",byFileType:"By file type",deletionsOverTime:"Deletions over time",perDay:"Per day",perWeek:"Per week",largestItems:"Largest items",topFolders:"Top original folders",category_markdown:"Markdown",category_code:"Code",category_image:"Images",category_document:"Documents",category_archive:"Archives",category_audio:"Audio",category_video:"Video",category_other:"Other",groupNone:"No grouping",groupByFolder:"Group by folder",groupByType:"Group by file type",groupByDate:"Group by deletion date",category_folder:"Folders",thisWeek:"This week",older:"Older",restoreAll:"Restore all",deleteAll:"Delete all"},de:{recycleBin:"Papierkorb",recycleBinSettings:"Papierkorb-Einstellungen",trashedFilePreview:"Gel\xF6schte Datei Vorschau",binEmpty:"Dein Papierkorb ist leer",deletedFilesAppear:"Gel\xF6schte Dateien erscheinen hier",binNotConfigured:"Papierkorb ist nicht konfiguriert",usingSystemTrash:"\u26A0\uFE0F Du verwendest den System-Papierkorb.",goToSettings:"Gehe zu Einstellungen \u2192 Papierkorb zum Aktivieren.",restore:"Wiederherstellen",restoreTo:"Wiederherstellen nach\u2026",chooseFolder:"Ordner f\xFCr die Wiederherstellung w\xE4hlen\u2026",createFolder:'Ordner "{path}" erstellen',deleteForever:"Endg\xFCltig l\xF6schen",emptyAll:"Alles leeren",refresh:"Aktualisieren",close:"Schlie\xDFen",cancel:"Abbrechen",delete:"L\xF6schen",preview:"Vorschau",originalLocation:"Urspr\xFCnglicher Speicherort",size:"Gr\xF6\xDFe",deleted:"Gel\xF6scht",items:"Elemente",deletedOnDevice:"auf {device}",today:"Heute",yesterday:"Gestern",daysAgo:"Tagen",unknown:"Unbekannt",fileInBin:"Diese Datei befindet sich im Papierkorb",trashLocation:"\u{1F4CD} Papierkorb-Speicherort",deletedFilesLocation:"Speicherort f\xFCr gel\xF6schte Dateien",deletedFilesLocationDesc:'W\xE4hle, wohin gel\xF6schte Dateien gehen sollen. Mit dem System-Papierkorb oder endg\xFCltigem L\xF6schen schalte unten "Kopien gel\xF6schter Dateien behalten" ein, um dieses Plugin zu verwenden.',obsidianTrashFolder:"\u{1F4C1} Obsidian .trash Ordner (empfohlen)",systemTrash:"\u{1F5D1}\uFE0F System-Papierkorb",permanentDelete:"\u26A0\uFE0F Endg\xFCltig l\xF6schen (keine Wiederherstellung)",usingObsidianTrash:"\u2713 Verwendet Obsidians .trash-Ordner",deletedFilesWillAppear:"Gel\xF6schte Dateien erscheinen in diesem Papierkorb.",usingSystemTrashWarning:"\u26A0 Verwendet System-Papierkorb",systemTrashWarningDesc:"Gel\xF6schte Dateien gehen in den OS-Papierkorb, nicht in diesen. \xC4ndere unten die Einstellung oder behalte Kopien gel\xF6schter Dateien, um dieses Plugin zu verwenden.",permanentDeleteWarning:"\u26A0 Endg\xFCltiges L\xF6schen aktiviert",permanentDeleteWarningDesc:"Gel\xF6schte Dateien werden sofort zerst\xF6rt! \xC4ndere unten, um Wiederherstellung zu erm\xF6glichen.",trashLocationChanged:"Papierkorb-Speicherort ge\xE4ndert zu",captureMode:"Kopien gel\xF6schter Dateien behalten",captureModeDesc:"Jede in Obsidian gel\xF6schte Datei in den eigenen Papierkorb des Plugins (.recycle-bin) kopieren, bevor sie in den System-Papierkorb verschoben oder gel\xF6scht wird, damit du sie hier weiterhin ansehen und wiederherstellen kannst.",captureActive:"\u2713 Kopien gel\xF6schter Dateien werden behalten",captureActiveDesc:"Gel\xF6schte Dateien werden in diesen Papierkorb kopiert, bevor Obsidian sie entfernt.",captureFailed:"Von {name} konnte keine Kopie behalten werden, daher wurde die Datei nicht gel\xF6scht",binFolders:"Zus\xE4tzliche Papierkorb-Ordner",binFoldersDesc:"Ordner, deren Inhalt neben dem Papierkorb in diesem Papierkorb aufgelistet wird, zum Beispiel ein Ordner, in den andere Tools gel\xF6schte Notizen verschieben. Pfade sind relativ zum Vault-Stammordner.",addBinFolder:"Ordner hinzuf\xFCgen",removeBinFolder:"Ordner entfernen",invalidBinFolder:"Dieser Ordner kann nicht als Papierkorb-Ordner verwendet werden",binSource:"Papierkorb-Ordner",sourceTrash:"Papierkorb",sourceCapture:"Behaltene Kopie",pluginSettings:"\u2699\uFE0F Plugin-Einstellungen",settingsDisabled:"\u26A0\uFE0F Einstellungen deaktiviert",settingsDisabledDesc:'\xC4ndere "Speicherort f\xFCr gel\xF6schte Dateien" oben zu "Obsidian .trash Ordner" oder schalte "Kopien gel\xF6schter Dateien behalten" ein, um dieses Plugin zu aktivieren.',autoPurge:"Alte Dateien automatisch l\xF6schen",autoPurgeDesc:"Automatisch Dateien l\xF6schen, die \xE4lter als eine bestimmte Anzahl von Tagen sind",autoPurgeDays:"Automatisch l\xF6schen nach (Tagen)",autoPurgeDaysDesc:"Dateien, auf die keine Aufbewahrungsregel zutrifft, l\xF6schen, sobald sie \xE4lter als diese Anzahl von Tagen sind",autoPurgeInterval:"Zeitplan f\xFCr automatisches L\xF6schen",hourly:"St\xFCndlich",daily:"T\xE4glich",nextPurge:"N\xE4chstes automatisches L\xF6schen: {time}",expiringSoon:"L\xE4uft bald ab",expiresInDays:"L\xE4uft in {count} Tag(en) ab",expiresNextPurge:"Wird beim n\xE4chsten Durchlauf gel\xF6scht",keepForever:"F\xFCr immer behalten",allowPurge:"Automatisches L\xF6schen erlauben",keptForever:"Wird f\xFCr immer behalten",maxBinSize:"Maximale Papierkorbgr\xF6\xDFe (MB)",maxBinSizeDesc:"Wenn der Papierkorb gr\xF6\xDFer als diese Gr\xF6\xDFe wird, werden die \xE4ltesten Elemente zuerst gel\xF6scht. 0 bedeutet keine Begrenzung.",purgeAction:"Gel\xF6schte Elemente",purgeActionDesc:'Was "Alles leeren" und das automatische L\xF6schen mit den entfernten Elementen tun. Archivierte Elemente werden pro Monat einem ZIP-Archiv hinzugef\xFCgt, mit einem Manifest ihrer urspr\xFCnglichen Pfade und L\xF6schdaten.',purgeActionDelete:"Endg\xFCltig l\xF6schen",purgeActionArchive:"In Archiv verschieben",archiveLocation:"Archiv-Speicherort",archiveLocationDesc:"Vault-Ordner f\xFCr die Archive oder auf dem Desktop ein absoluter Pfad au\xDFerhalb des Vaults, z. B. /Users/ich/Backups.",retentionRules:"Aufbewahrungsregeln",retentionRulesDesc:"Werden von oben nach unten gepr\xFCft; die erste Regel, die auf ein Element zutrifft, bestimmt, wie lange es behalten wird. Leere Felder treffen auf alles zu. Pfade sind Globs f\xFCr den urspr\xFCnglichen Pfad, z. B. Journal/** oder **/*.png.",retentionRule:"Regel {number}",ruleExtensions:"Endungen, z. B. md, png",rulePath:"Pfad, z. B. Journal/**",ruleMinSize:"Mindestgr\xF6\xDFe (MB)",ruleDays:"Tage",rulePurgeAfter:"L\xF6schen nach Tagen",ruleKeepForever:"Nie l\xF6schen",moveUp:"Nach oben",moveDown:"Nach unten",removeRule:"Regel entfernen",addRule:"Regel hinzuf\xFCgen",previewPurge:"N\xE4chstes L\xF6schen anzeigen",purgeNothing:"Das n\xE4chste L\xF6schen w\xFCrde nichts entfernen.",purgeSummary:"Das n\xE4chste L\xF6schen w\xFCrde {count} Element(e) entfernen und {size} freigeben:",archiveNow:"Jetzt archivieren",purgeNow:"Jetzt l\xF6schen",purgeReasonDefault:"Standardalter",purgeReasonSize:"Gr\xF6\xDFenlimit des Papierkorbs",undoGraceSeconds:"R\xFCckg\xE4ngig-Frist (Sekunden)",undoGraceSecondsDesc:"Endg\xFCltig gel\xF6schte Elemente werden so lange zur\xFCckgehalten, damit das L\xF6schen r\xFCckg\xE4ngig gemacht werden kann. 0 l\xF6scht sofort.",undoLimit:"R\xFCckg\xE4ngig-Verlauf",undoLimitDesc:"Anzahl der letzten Wiederherstellungen und L\xF6schungen, die r\xFCckg\xE4ngig gemacht werden k\xF6nnen",showConfirmations:"Best\xE4tigungsdialoge anzeigen",showConfirmationsDesc:"Vor dem L\xF6schen oder Leeren des Papierkorbs um Best\xE4tigung bitten",showMetadata:"Datei-Metadaten anzeigen",showMetadataDesc:"Dateigr\xF6\xDFe und L\xF6schdatum in der Liste anzeigen",searchContent:"Dateiinhalte durchsuchen",searchContentDesc:"Bei der Suche auch den Text gel\xF6schter Markdown- und Textdateien durchsuchen (langsamer bei gro\xDFen Papierk\xF6rben)",showDeleteButton:"L\xF6schen-Schaltfl\xE4che pro Element anzeigen",showDeleteButtonDesc:"Eine L\xF6schen-Schaltfl\xE4che auf jedem Element anzeigen, um einzelne Dateien endg\xFCltig zu l\xF6schen",language:"Sprache",languageDesc:"Anzeigesprache w\xE4hlen (auto = von Obsidian erkennen)",languageAuto:"Automatisch erkennen",acknowledgements:"Danksagungen",acknowledgementsText:'Dieses Plugin wurde inspiriert von <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> von <strong>Per Mortensen</strong>. Danke f\xFCr das urspr\xFCngliche Konzept und die Inspiration!',translationNote:'\u{1F30D} \xDCbersetzungen wurden von KI generiert. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Fehler melden</a>',deletePermanently:"Endg\xFCltig l\xF6schen",deleteConfirmMessage:'Bist du sicher, dass du "{name}" endg\xFCltig l\xF6schen m\xF6chtest? Dies kann nur bis zum Ende der R\xFCckg\xE4ngig-Frist r\xFCckg\xE4ngig gemacht werden.',restoreConflict:"Datei existiert bereits",restoreConflictMessage:'"{path}" existiert bereits in deinem Vault. Was m\xF6chtest du tun?',restoreKeepBoth:'Als "{name}" wiederherstellen',restoreOverwrite:"\xDCberschreiben (aktuelle Datei in den Papierkorb verschieben)",restoreCompare:"Vergleichen",restoreSkip:"\xDCberspringen",applyToAll:"Auf alle Konflikte anwenden",trashedVersion:"Im Papierkorb",currentVersion:"Aktuelle Datei",emptyBin:"Papierkorb leeren",emptyBinConfirmMessage:"Bist du sicher, dass du ALLE Dateien im Papierkorb endg\xFCltig l\xF6schen m\xF6chtest? Dies kann nur bis zum Ende der R\xFCckg\xE4ngig-Frist r\xFCckg\xE4ngig gemacht werden!",archiveAll:"Alles archivieren",restored:'"{name}" wiederhergestellt',cannotRestore:'"{name}" konnte nicht wiederhergestellt werden. Details in der Konsole.',restoreSkipped:'Wiederherstellung von "{name}" \xFCbersprungen',cannotDelete:'"{name}" konnte nicht gel\xF6scht werden. Details in der Konsole.',undo:"R\xFCckg\xE4ngig",undoLastAction:"Letzte Papierkorb-Aktion r\xFCckg\xE4ngig machen",undone:"Papierkorb-Aktion r\xFCckg\xE4ngig gemacht",undoFailed:"R\xFCckg\xE4ngig unvollst\xE4ndig: {count} Element(e) konnten nicht zur\xFCckverschoben werden",nothingToUndo:"Nichts r\xFCckg\xE4ngig zu machen",binEmptied:"Papierkorb geleert",binAlreadyEmpty:"Papierkorb ist bereits leer",autoPurged:"{count} alte Datei(en) automatisch aus dem Papierkorb gel\xF6scht",autoArchived:"{count} alte(s) Element(e) aus dem Papierkorb archiviert",binArchived:"Papierkorb nach {path} archiviert und geleert",archiveFailed:"Archivieren fehlgeschlagen, es wurde nichts gel\xF6scht. Details in der Entwicklerkonsole",purgeFailed:"Leeren des Papierkorbs fehlgeschlagen. Details in der Entwicklerkonsole",exportingProgress:"{count} Element(e) werden exportiert...",exportedItems:"{count} Element(e) nach {path} exportiert",exportFailed:"Export fehlgeschlagen, Details in der Entwicklerkonsole",importingProgress:"{name} wird importiert...",importedItems:"{count} Element(e) in den Papierkorb importiert",importFailed:"{name} konnte nicht importiert werden",searchPlaceholder:"Gel\xF6schte Dateien durchsuchen... (z. B. ext:pdf oder is:folder)",noMatches:"Keine Elemente entsprechen deiner Suche",sortNewest:"Neueste zuerst",sortOldest:"\xC4lteste zuerst",sortNameAZ:"Name A-Z",sortNameZA:"Name Z-A",sortLargest:"Gr\xF6\xDFte zuerst",sortSmallest:"Kleinste zuerst",exportBinToZip:"Papierkorb als ZIP exportieren",importFromZip:"Aus ZIP importieren",selectedCount:"{count} ausgew\xE4hlt",selectAllMatching:"Alle ausw\xE4hlen",invertSelection:"Umkehren",restoreSelected:"Auswahl wiederherstellen",deleteSelected:"Auswahl l\xF6schen",restoreNewestVersion:"Neueste Version wiederherstellen",deleteAllVersions:"Alle {count} Versionen endg\xFCltig l\xF6schen",exportSelected:"Auswahl exportieren",deleteSelectedConfirmMessage:"Bist du sicher, dass du {count} ausgew\xE4hlte(s) Element(e) endg\xFCltig l\xF6schen m\xF6chtest? Dies kann nur bis zum Ende der R\xFCckg\xE4ngig-Frist r\xFCckg\xE4ngig gemacht werden.",deleteItemsConfirmMessage:"Bist du sicher, dass du {count} Element(e) endg\xFCltig l\xF6schen m\xF6chtest? Dies kann nur bis zum Ende der R\xFCckg\xE4ngig-Frist r\xFCckg\xE4ngig gemacht werden.",deleteVersionsConfirmMessage:'Bist du sicher, dass du alle {count} Versionen von "{name}" endg\xFCltig l\xF6schen m\xF6chtest? Dies kann nur bis zum Ende der R\xFCckg\xE4ngig-Frist r\xFCckg\xE4ngig gemacht werden.',restoringProgress:"Wiederherstellen {done}/{total}\u2026",deletingProgress:"L\xF6schen {done}/{total}\u2026",bulkRestoreSummary:"{succeeded} Element(e) wiederhergestellt, {skipped} \xFCbersprungen, {failed} fehlgeschlagen",bulkDeleteSummary:"{succeeded} Element(e) gel\xF6scht, {failed} fehlgeschlagen",previewNotAvailable:"Vorschau nicht verf\xFCgbar f\xFCr",files:"Dateien",restoreToView:"Stelle die Datei wieder her, um sie normal anzuzeigen",unableToLoadImage:"Bild konnte nicht geladen werden",unableToPlay:"Diese Datei kann hier nicht abgespielt werden",archiveSummary:"{count} Datei(en), {size} unkomprimiert",archiveName:"Name",archiveModified:"Ge\xE4ndert",showSource:"Quelltext",showRendered:"Gerendert",wordWrap:"Zeilenumbruch",find:"Suchen",findPlaceholder:"In Datei suchen\u2026",noMatchesShort:"Keine Ergebnisse",previousMatch:"Vorheriger Treffer (Umschalt+Enter)",nextMatch:"N\xE4chster Treffer (Enter)",noLongerInBin:"{name} ist nicht mehr im Papierkorb",noLongerInBinRestored:"Die Datei wurde nach {path} wiederhergestellt.",noLongerInBinDesc:"Die Datei wurde wiederhergestellt oder endg\xFCltig gel\xF6scht.",openFile:"Datei \xF6ffnen",originalTaken:"Urspr\xFCnglicher Pfad belegt",originalTakenDesc:"Am urspr\xFCnglichen Speicherort existiert jetzt eine Datei; beim Wiederherstellen wirst du gefragt, wie der Konflikt gel\xF6st werden soll",noFileSelected:"Keine Datei ausgew\xE4hlt",linkedFrom:"Beim L\xF6schen von {count} Notiz(en) verlinkt:",updateLinks:"Links aktualisieren",updateLinksMessage:"{count} Notiz(en) verlinkten die wiederhergestellte(n) Datei(en) am alten Speicherort. Diese Links auf den neuen Speicherort aktualisieren?",updateLinksConfirm:"Links aktualisieren",linksUpdated:"{count} Link(s) aktualisiert",compareWithCurrent:"Mit aktueller Version vergleichen",showPreview:"Vorschau anzeigen",filesIdentical:"Die gel\xF6schte Datei ist identisch mit der aktuellen Version",copyHunkToCurrent:"In aktuelle Notiz kopieren",hunkCopied:'Zeilen in "{path}" kopiert',hunkOutdated:"Die Notiz hat sich ge\xE4ndert, seit der Vergleich angezeigt wurde. Pr\xFCfe den aktualisierten Vergleich und versuche es erneut.",hunkCopyFailed:"Zeilen konnten nicht in die aktuelle Notiz kopiert werden. Details in der Konsole.",versionCount:"{count} Versionen",versionDeleted:"Gel\xF6scht {date}",compareWithNewest:"Mit neuester Version vergleichen",restoreVersion:"Diese Version wiederherstellen",trashStatistics:"Papierkorb-Statistik",totalSize:"Gesamtgr\xF6\xDFe",trashedItems:"Elemente",itemsAndFiles:"{count} ({files} Dateien)",itemsCount:"{count} Element(e)",nextPurgeFrees:"N\xE4chstes L\xF6schen gibt frei",byFileType:"Nach Dateityp",deletionsOverTime:"L\xF6schungen im Zeitverlauf",perDay:"Pro Tag",perWeek:"Pro Woche",largestItems:"Gr\xF6\xDFte Elemente",topFolders:"H\xE4ufigste urspr\xFCngliche Ordner",category_markdown:"Markdown",category_code:"Code",category_image:"Bilder",category_document:"Dokumente",category_archive:"Archive",category_audio:"Audio",category_video:"Video",category_other:"Sonstige",groupNone:"Keine Gruppierung",groupByFolder:"Nach Ordner gruppieren",groupByType:"Nach Dateityp gruppieren",groupByDate:"Nach L\xF6schdatum gruppieren",category_folder:"Ordner",thisWeek:"Diese Woche",older:"\xC4lter",restoreAll:"Alle wiederherstellen",deleteAll:"Alle l\xF6schen"},zh:{recycleBin:"\u56DE\u6536\u7AD9",recycleBinSettings:"\u56DE\u6536\u7AD9\u8BBE\u7F6E",trashedFilePreview:"\u5DF2\u5220\u9664\u6587\u4EF6\u9884\u89C8",binEmpty:"\u56DE\u6536\u7AD9\u662F\u7A7A\u7684",deletedFilesAppear:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u5C06\u663E\u793A\u5728\u8FD9\u91CC",binNotConfigured:"\u56DE\u6536\u7AD9\u672A\u914D\u7F6E",usingSystemTrash:"\u26A0\uFE0F \u60A8\u6B63\u5728\u4F7F\u7528\u7CFB\u7EDF\u56DE\u6536\u7AD9\u3002",goToSettings:"\u524D\u5F80 \u8BBE\u7F6E \u2192 \u56DE\u6536\u7AD9 \u4EE5\u542F\u7528\u3002",restore:"\u6062\u590D",restoreTo:"\u6062\u590D\u5230\u2026",chooseFolder:"\u9009\u62E9\u8981\u6062\u590D\u5230\u7684\u6587\u4EF6\u5939\u2026",createFolder:'\u521B\u5EFA\u6587\u4EF6\u5939"{path}"',deleteForever:"\u6C38\u4E45\u5220\u9664",emptyAll:"\u6E05\u7A7A\u5168\u90E8",refresh:"\u5237\u65B0",close:"\u5173\u95ED",cancel:"\u53D6\u6D88",delete:"\u5220\u9664",preview:"\u9884\u89C8",originalLocation:"\u539F\u59CB\u4F4D\u7F6E",size:"\u5927\u5C0F",deleted:"\u5DF2\u5220\u9664",items:"\u9879\u76EE",deletedOnDevice:"\u5728 {device} \u4E0A",today:"\u4ECA\u5929",yesterday:"\u6628\u5929",daysAgo:"\u5929\u524D",unknown:"\u672A\u77E5",fileInBin:"\u6B64\u6587\u4EF6\u5728\u56DE\u6536\u7AD9\u4E2D",trashLocation:"\u{1F4CD} \u56DE\u6536\u7AD9\u4F4D\u7F6E",deletedFilesLocation:"\u5DF2\u5220\u9664\u6587\u4EF6\u4F4D\u7F6E",deletedFilesLocationDesc:'\u9009\u62E9\u5DF2\u5220\u9664\u6587\u4EF6\u7684\u5B58\u653E\u4F4D\u7F6E\u3002\u4F7F\u7528\u7CFB\u7EDF\u56DE\u6536\u7AD9\u6216\u6C38\u4E45\u5220\u9664\u65F6\uFF0C\u8BF7\u5728\u4E0B\u65B9\u5F00\u542F"\u4FDD\u7559\u5DF2\u5220\u9664\u6587\u4EF6\u7684\u526F\u672C"\u4EE5\u4F7F\u7528\u6B64\u63D2\u4EF6\u3002',obsidianTrashFolder:"\u{1F4C1} Obsidian .trash \u6587\u4EF6\u5939\uFF08\u63A8\u8350\uFF09",systemTrash:"\u{1F5D1}\uFE0F \u7CFB\u7EDF\u56DE\u6536\u7AD9",permanentDelete:"\u26A0\uFE0F \u6C38\u4E45\u5220\u9664\uFF08\u65E0\u6CD5\u6062\u590D\uFF09",usingObsidianTrash:"\u2713 \u6B63\u5728\u4F7F\u7528 Obsidian \u7684 .trash \u6587\u4EF6\u5939",deletedFilesWillAppear:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u5C06\u663E\u793A\u5728\u6B64\u56DE\u6536\u7AD9\u4E2D\u3002",usingSystemTrashWarning:"\u26A0 \u6B63\u5728\u4F7F\u7528\u7CFB\u7EDF\u56DE\u6536\u7AD9",systemTrashWarningDesc:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u4F1A\u8FDB\u5165\u7CFB\u7EDF\u56DE\u6536\u7AD9\uFF0C\u800C\u975E\u6B64\u56DE\u6536\u7AD9\u3002\u8BF7\u5728\u4E0B\u65B9\u66F4\u6539\uFF0C\u6216\u4FDD\u7559\u5DF2\u5220\u9664\u6587\u4EF6\u7684\u526F\u672C\uFF0C\u4EE5\u4F7F\u7528\u6B64\u63D2\u4EF6\u3002",permanentDeleteWarning:"\u26A0 \u5DF2\u542F\u7528\u6C38\u4E45\u5220\u9664",permanentDeleteWarningDesc:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u4F1A\u88AB\u7ACB\u5373\u9500\u6BC1\uFF01\u8BF7\u5728\u4E0B\u65B9\u66F4\u6539\u4EE5\u542F\u7528\u6062\u590D\u529F\u80FD\u3002",trashLocationChanged:"\u56DE\u6536\u7AD9\u4F4D\u7F6E\u5DF2\u66F4\u6539\u4E3A",captureMode:"\u4FDD\u7559\u5DF2\u5220\u9664\u6587\u4EF6\u7684\u526F\u672C",captureModeDesc:"\u5728 Obsidian \u4E2D\u5220\u9664\u7684\u6BCF\u4E2A\u6587\u4EF6\u8FDB\u5165\u7CFB\u7EDF\u56DE\u6536\u7AD9\u6216\u88AB\u5220\u9664\u4E4B\u524D\uFF0C\u5148\u590D\u5236\u5230\u63D2\u4EF6\u81EA\u5DF1\u7684\u56DE\u6536\u7AD9\uFF08.recycle-bin\uFF09\uFF0C\u4EE5\u4FBF\u60A8\u4ECD\u53EF\u5728\u6B64\u9884\u89C8\u548C\u6062\u590D\u3002",captureActive:"\u2713 \u6B63\u5728\u4FDD\u7559\u5DF2\u5220\u9664\u6587\u4EF6\u7684\u526F\u672C",captureActiveDesc:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u4F1A\u5728 Obsidian \u79FB\u9664\u524D\u590D\u5236\u5230\u6B64\u56DE\u6536\u7AD9\u3002",captureFailed:"\u65E0\u6CD5\u4FDD\u7559 {name} \u7684\u526F\u672C\uFF0C\u56E0\u6B64\u672A\u5220\u9664\u8BE5\u6587\u4EF6",binFolders:"\u5176\u4ED6\u56DE\u6536\u7AD9\u6587\u4EF6\u5939",binFoldersDesc:"\u5176\u5185\u5BB9\u4E0E\u56DE\u6536\u7AD9\u4E00\u8D77\u5728\u6B64\u56DE\u6536\u7AD9\u4E2D\u5217\u51FA\u7684\u6587\u4EF6\u5939\uFF0C\u4F8B\u5982\u5176\u4ED6\u5DE5\u5177\u5B58\u653E\u5DF2\u5220\u9664\u7B14\u8BB0\u7684\u6587\u4EF6\u5939\u3002\u8DEF\u5F84\u76F8\u5BF9\u4E8E\u4ED3\u5E93\u6839\u76EE\u5F55\u3002",addBinFolder:"\u6DFB\u52A0\u6587\u4EF6\u5939",removeBinFolder:"\u79FB\u9664\u6587\u4EF6\u5939",invalidBinFolder:"\u6B64\u6587\u4EF6\u5939\u4E0D\u80FD\u7528\u4F5C\u56DE\u6536\u7AD9\u6587\u4EF6\u5939",binSource:"\u56DE\u6536\u7AD9\u6587\u4EF6\u5939",sourceTrash:"\u56DE\u6536\u7AD9",sourceCapture:"\u4FDD\u7559\u7684\u526F\u672C",pluginSettings:"\u2699\uFE0F \u63D2\u4EF6\u8BBE\u7F6E",settingsDisabled:"\u26A0\uFE0F \u8BBE\u7F6E\u5DF2\u7981\u7528",settingsDisabledDesc:'\u8BF7\u5C06\u4E0A\u65B9\u7684"\u5DF2\u5220\u9664\u6587\u4EF6\u4F4D\u7F6E"\u66F4\u6539\u4E3A"Obsidian .trash \u6587\u4EF6\u5939"\uFF0C\u6216\u5F00\u542F"\u4FDD\u7559\u5DF2\u5220\u9664\u6587\u4EF6\u7684\u526F\u672C"\uFF0C\u4EE5\u542F\u7528\u6B64\u63D2\u4EF6\u3002',autoPurge:"\u81EA\u52A8\u6E05\u9664\u65E7\u6587\u4EF6",autoPurgeDesc:"\u81EA\u52A8\u5220\u9664\u8D85\u8FC7\u6307\u5B9A\u5929\u6570\u7684\u6587\u4EF6",autoPurgeDays:"\u81EA\u52A8\u6E05\u9664\u5929\u6570",autoPurgeDaysDesc:"\u4E0D\u5339\u914D\u4EFB\u4F55\u4FDD\u7559\u89C4\u5219\u7684\u6587\u4EF6\u5728\u8D85\u8FC7\u6B64\u5929\u6570\u540E\u5220\u9664",autoPurgeInterval:"\u81EA\u52A8\u6E05\u9664\u8BA1\u5212",hourly:"\u6BCF\u5C0F\u65F6",daily:"\u6BCF\u5929",nextPurge:"\u4E0B\u6B21\u81EA\u52A8\u6E05\u9664\uFF1A{time}",expiringSoon:"\u5373\u5C06\u8FC7\u671F",expiresInDays:"{count} \u5929\u540E\u8FC7\u671F",expiresNextPurge:"\u4E0B\u6B21\u8FD0\u884C\u65F6\u6E05\u9664",keepForever:"\u6C38\u4E45\u4FDD\u7559",allowPurge:"\u5141\u8BB8\u81EA\u52A8\u6E05\u9664",keptForever:"\u6C38\u4E45\u4FDD\u7559\u4E2D",maxBinSize:"\u56DE\u6536\u7AD9\u6700\u5927\u5927\u5C0F\uFF08MB\uFF09",maxBinSizeDesc:"\u56DE\u6536\u7AD9\u8D85\u8FC7\u6B64\u5927\u5C0F\u65F6\uFF0C\u6700\u65E7\u7684\u9879\u76EE\u4F1A\u5148\u88AB\u6E05\u9664\u30020 \u8868\u793A\u4E0D\u9650\u5236\u3002",purgeAction:"\u6E05\u9664\u7684\u9879\u76EE",purgeActionDesc:'"\u6E05\u7A7A\u5168\u90E8"\u548C\u81EA\u52A8\u6E05\u9664\u5982\u4F55\u5904\u7406\u79FB\u9664\u7684\u9879\u76EE\u3002\u5F52\u6863\u7684\u9879\u76EE\u6309\u6708\u6DFB\u52A0\u5230 ZIP \u5F52\u6863\u4E2D\uFF0C\u5E76\u9644\u5E26\u8BB0\u5F55\u5176\u539F\u59CB\u8DEF\u5F84\u548C\u5220\u9664\u65E5\u671F\u7684\u6E05\u5355\u3002',purgeActionDelete:"\u6C38\u4E45\u5220\u9664",purgeActionArchive:"\u79FB\u81F3\u5F52\u6863",archiveLocation:"\u5F52\u6863\u4F4D\u7F6E",archiveLocationDesc:"\u5B58\u653E\u5F52\u6863\u7684\u4ED3\u5E93\u6587\u4EF6\u5939\uFF0C\u6216\u5728\u684C\u9762\u7AEF\u4F7F\u7528\u4ED3\u5E93\u5916\u7684\u7EDD\u5BF9\u8DEF\u5F84\uFF0C\u4F8B\u5982 /Users/me/Backups\u3002",retentionRules:"\u4FDD\u7559\u89C4\u5219",retentionRulesDesc:"\u4ECE\u4E0A\u5230\u4E0B\u68C0\u67E5\uFF1B\u7B2C\u4E00\u6761\u5339\u914D\u9879\u76EE\u7684\u89C4\u5219\u51B3\u5B9A\u5176\u4FDD\u7559\u65F6\u957F\u3002\u7A7A\u5B57\u6BB5\u5339\u914D\u6240\u6709\u5185\u5BB9\u3002\u8DEF\u5F84\u662F\u9488\u5BF9\u539F\u59CB\u8DEF\u5F84\u7684\u901A\u914D\u7B26\uFF0C\u4F8B\u5982 Journal/** \u6216 **/*.png\u3002",retentionRule:"\u89C4\u5219 {number}",ruleExtensions:"\u6269\u5C55\u540D\uFF0C\u4F8B\u5982 md, png",rulePath:"\u8DEF\u5F84\uFF0C\u4F8B\u5982 Journal/**",ruleMinSize:"\u6700\u5C0F\u5927\u5C0F\uFF08MB\uFF09",ruleDays:"\u5929\u6570",rulePurgeAfter:"\u591A\u5C11\u5929\u540E\u6E05\u9664",ruleKeepForever:"\u4ECE\u4E0D\u6E05\u9664",moveUp:"\u4E0A\u79FB",moveDown:"\u4E0B\u79FB",removeRule:"\u79FB\u9664\u89C4\u5219",addRule:"\u6DFB\u52A0\u89C4\u5219",previewPurge:"\u9884\u89C8\u4E0B\u6B21\u6E05\u9664",purgeNothing:"\u4E0B\u6B21\u6E05\u9664\u4E0D\u4F1A\u79FB\u9664\u4EFB\u4F55\u5185\u5BB9\u3002",purgeSummary:"\u4E0B\u6B21\u6E05\u9664\u5C06\u79FB\u9664 {count} \u4E2A\u9879\u76EE\uFF0C\u91CA\u653E {size}\uFF1A",archiveNow:"\u7ACB\u5373\u5F52\u6863",purgeNow:"\u7ACB\u5373\u5220\u9664",purgeReasonDefault:"\u9ED8\u8BA4\u671F\u9650",purgeReasonSize:"\u56DE\u6536\u7AD9\u5927\u5C0F\u9650\u5236",undoGraceSeconds:"\u64A4\u9500\u5BBD\u9650\u671F\uFF08\u79D2\uFF09",undoGraceSecondsDesc:"\u6C38\u4E45\u5220\u9664\u7684\u9879\u76EE\u4F1A\u4FDD\u7559\u8FD9\u4E48\u957F\u65F6\u95F4\uFF0C\u4EE5\u4FBF\u64A4\u9500\u30020 \u8868\u793A\u7ACB\u5373\u5220\u9664\u3002",undoLimit:"\u64A4\u9500\u5386\u53F2",undoLimitDesc:"\u53EF\u64A4\u9500\u7684\u6700\u8FD1\u6062\u590D\u548C\u5220\u9664\u64CD\u4F5C\u7684\u6570\u91CF",showConfirmations:"\u663E\u793A\u786E\u8BA4\u5BF9\u8BDD\u6846",showConfirmationsDesc:"\u5728\u5220\u9664\u6216\u6E05\u7A7A\u56DE\u6536\u7AD9\u4E4B\u524D\u786E\u8BA4",showMetadata:"\u663E\u793A\u6587\u4EF6\u5143\u6570\u636E",showMetadataDesc:"\u5728\u5217\u8868\u4E2D\u663E\u793A\u6587\u4EF6\u5927\u5C0F\u548C\u5220\u9664\u65E5\u671F",searchContent:"\u641C\u7D22\u6587\u4EF6\u5185\u5BB9",searchContentDesc:"\u641C\u7D22\u65F6\u540C\u65F6\u5339\u914D\u5DF2\u5220\u9664\u7684 Markdown \u548C\u6587\u672C\u6587\u4EF6\u7684\u5185\u5BB9\uFF08\u56DE\u6536\u7AD9\u8F83\u5927\u65F6\u4F1A\u53D8\u6162\uFF09",showDeleteButton:"\u663E\u793A\u5355\u9879\u5220\u9664\u6309\u94AE",showDeleteButtonDesc:"\u5728\u6BCF\u4E2A\u9879\u76EE\u4E0A\u663E\u793A\u5220\u9664\u6309\u94AE\u4EE5\u6C38\u4E45\u5220\u9664\u5355\u4E2A\u6587\u4EF6",language:"\u8BED\u8A00",languageDesc:"\u9009\u62E9\u663E\u793A\u8BED\u8A00\uFF08\u81EA\u52A8 = \u4ECE Obsidian \u68C0\u6D4B\uFF09",languageAuto:"\u81EA\u52A8\u68C0\u6D4B",acknowledgements:"\u81F4\u8C22",acknowledgementsText:'\u6B64\u63D2\u4EF6\u53D7\u5230 <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a>\uFF08\u7531 <strong>Per Mortensen</strong> \u5F00\u53D1\uFF09\u7684\u542F\u53D1\u3002\u611F\u8C22\u539F\u521B\u6982\u5FF5\u548C\u7075\u611F\uFF01',translationNote:'\u{1F30D} \u7FFB\u8BD1\u7531 AI \u751F\u6210\u3002<a href="https://github.com/wronginput/obsidian-recycle-bin/issues">\u62A5\u544A\u9519\u8BEF</a>',deletePermanently:"\u6C38\u4E45\u5220\u9664",deleteConfirmMessage:'\u60A8\u786E\u5B9A\u8981\u6C38\u4E45\u5220\u9664"{name}"\u5417\uFF1F\u6B64\u64CD\u4F5C\u53EA\u80FD\u5728\u64A4\u9500\u5BBD\u9650\u671F\u5185\u64A4\u9500\u3002',restoreConflict:"\u6587\u4EF6\u5DF2\u5B58\u5728",restoreConflictMessage:'"{path}"\u5DF2\u5B58\u5728\u4E8E\u60A8\u7684\u4ED3\u5E93\u4E2D\u3002\u60A8\u60F3\u600E\u4E48\u505A\uFF1F',restoreKeepBoth:'\u6062\u590D\u4E3A"{name}"',restoreOverwrite:"\u8986\u76D6\uFF08\u5C06\u5F53\u524D\u6587\u4EF6\u79FB\u81F3\u56DE\u6536\u7AD9\uFF09",restoreCompare:"\u6BD4\u8F83",restoreSkip:"\u8DF3\u8FC7",applyToAll:"\u5E94\u7528\u4E8E\u6240\u6709\u51B2\u7A81",trashedVersion:"\u56DE\u6536\u7AD9\u4E2D",currentVersion:"\u5F53\u524D\u6587\u4EF6",emptyBin:"\u6E05\u7A7A\u56DE\u6536\u7AD9",emptyBinConfirmMessage:"\u60A8\u786E\u5B9A\u8981\u6C38\u4E45\u5220\u9664\u56DE\u6536\u7AD9\u4E2D\u7684\u6240\u6709\u6587\u4EF6\u5417\uFF1F\u6B64\u64CD\u4F5C\u53EA\u80FD\u5728\u64A4\u9500\u5BBD\u9650\u671F\u5185\u64A4\u9500\uFF01",archiveAll:"\u5168\u90E8\u5F52\u6863",restored:'\u5DF2\u6062\u590D"{name}"',cannotRestore:'\u65E0\u6CD5\u6062\u590D"{name}"\uFF0C\u8BE6\u60C5\u8BF7\u67E5\u770B\u63A7\u5236\u53F0\u3002',restoreSkipped:'\u5DF2\u8DF3\u8FC7\u6062\u590D"{name}"',cannotDelete:'\u65E0\u6CD5\u5220\u9664"{name}"\u3002\u8BE6\u60C5\u8BF7\u67E5\u770B\u63A7\u5236\u53F0\u3002',undo:"\u64A4\u9500",undoLastAction:"\u64A4\u9500\u4E0A\u4E00\u6B21\u56DE\u6536\u7AD9\u64CD\u4F5C",undone:"\u56DE\u6536\u7AD9\u64CD\u4F5C\u5DF2\u64A4\u9500",undoFailed:"\u64A4\u9500\u672A\u5B8C\u6210\uFF1A{count} \u4E2A\u9879\u76EE\u65E0\u6CD5\u79FB\u56DE",nothingToUndo:"\u6CA1\u6709\u53EF\u64A4\u9500\u7684\u64CD\u4F5C",binEmptied:"\u56DE\u6536\u7AD9\u5DF2\u6E05\u7A7A",binAlreadyEmpty:"\u56DE\u6536\u7AD9\u5DF2\u7ECF\u662F\u7A7A\u7684",autoPurged:"\u5DF2\u81EA\u52A8\u4ECE\u56DE\u6536\u7AD9\u6E05\u9664 {count} \u4E2A\u65E7\u6587\u4EF6",autoArchived:"\u5DF2\u4ECE\u56DE\u6536\u7AD9\u5F52\u6863 {count} \u4E2A\u65E7\u9879\u76EE",binArchived:"\u56DE\u6536\u7AD9\u5DF2\u5F52\u6863\u5230 {path} \u5E76\u6E05\u7A7A",archiveFailed:"\u5F52\u6863\u5931\u8D25\uFF0C\u672A\u5220\u9664\u4EFB\u4F55\u5185\u5BB9\u3002\u8BE6\u60C5\u8BF7\u67E5\u770B\u5F00\u53D1\u8005\u63A7\u5236\u53F0",purgeFailed:"\u6E05\u9664\u56DE\u6536\u7AD9\u5931\u8D25\u3002\u8BE6\u60C5\u8BF7\u67E5\u770B\u5F00\u53D1\u8005\u63A7\u5236\u53F0",exportingProgress:"\u6B63\u5728\u5BFC\u51FA {count} \u4E2A\u9879\u76EE...",exportedItems:"\u5DF2\u5C06 {count} \u4E2A\u9879\u76EE\u5BFC\u51FA\u5230 {path}",exportFailed:"\u5BFC\u51FA\u5931\u8D25\uFF0C\u8BE6\u60C5\u8BF7\u67E5\u770B\u5F00\u53D1\u8005\u63A7\u5236\u53F0",importingProgress:"\u6B63\u5728\u5BFC\u5165 {name}...",importedItems:"\u5DF2\u5C06 {count} \u4E2A\u9879\u76EE\u5BFC\u5165\u56DE\u6536\u7AD9",importFailed:"\u65E0\u6CD5\u5BFC\u5165 {name}",searchPlaceholder:"\u641C\u7D22\u5DF2\u5220\u9664\u7684\u6587\u4EF6...\uFF08\u8BD5\u8BD5 ext:pdf \u6216 is:folder\uFF09",noMatches:"\u6CA1\u6709\u7B26\u5408\u641C\u7D22\u6761\u4EF6\u7684\u9879\u76EE",sortNewest:"\u6700\u65B0\u4F18\u5148",sortOldest:"\u6700\u65E7\u4F18\u5148",sortNameAZ:"\u540D\u79F0 A-Z",sortNameZA:"\u540D\u79F0 Z-A",sortLargest:"\u6700\u5927\u4F18\u5148",sortSmallest:"\u6700\u5C0F\u4F18\u5148",exportBinToZip:"\u5C06\u56DE\u6536\u7AD9\u5BFC\u51FA\u4E3A ZIP",importFromZip:"\u4ECE ZIP \u5BFC\u5165",selectedCount:"\u5DF2\u9009\u62E9 {count} \u4E2A",selectAllMatching:"\u5168\u9009",invertSelection:"\u53CD\u9009",restoreSelected:"\u6062\u590D\u6240\u9009",deleteSelected:"\u5220\u9664\u6240\u9009",restoreNewestVersion:"\u6062\u590D\u6700\u65B0\u7248\u672C",deleteAllVersions:"\u6C38\u4E45\u5220\u9664\u5168\u90E8 {count} \u4E2A\u7248\u672C",exportSelected:"\u5BFC\u51FA\u6240\u9009",deleteSelectedConfirmMessage:"\u60A8\u786E\u5B9A\u8981\u6C38\u4E45\u5220\u9664\u6240\u9009\u7684 {count} \u4E2A\u9879\u76EE\u5417\uFF1F\u6B64\u64CD\u4F5C\u53EA\u80FD\u5728\u64A4\u9500\u5BBD\u9650\u671F\u5185\u64A4\u9500\u3002",deleteItemsConfirmMessage:"\u60A8\u786E\u5B9A\u8981\u6C38\u4E45\u5220\u9664 {count} \u4E2A\u9879\u76EE\u5417\uFF1F\u6B64\u64CD\u4F5C\u53EA\u80FD\u5728\u64A4\u9500\u5BBD\u9650\u671F\u5185\u64A4\u9500\u3002",deleteVersionsConfirmMessage:'\u60A8\u786E\u5B9A\u8981\u6C38\u4E45\u5220\u9664"{name}"\u7684\u5168\u90E8 {count} \u4E2A\u7248\u672C\u5417\uFF1F\u6B64\u64CD\u4F5C\u53EA\u80FD\u5728\u64A4\u9500\u5BBD\u9650\u671F\u5185\u64A4\u9500\u3002',restoringProgress:"\u6B63\u5728\u6062\u590D {done}/{total}\u2026",deletingProgress:"\u6B63\u5728\u5220\u9664 {done}/{total}\u2026",bulkRestoreSummary:"\u5DF2\u6062\u590D {succeeded} \u4E2A\u9879\u76EE\uFF0C\u8DF3\u8FC7 {skipped} \u4E2A\uFF0C\u5931\u8D25 {failed} \u4E2A",bulkDeleteSummary:"\u5DF2\u5220\u9664 {succeeded} \u4E2A\u9879\u76EE\uFF0C\u5931\u8D25 {failed} \u4E2A",previewNotAvailable:"\u9884\u89C8\u4E0D\u53EF\u7528",files:"\u6587\u4EF6",restoreToView:"\u6062\u590D\u6587\u4EF6\u4EE5\u6B63\u5E38\u67E5\u770B",unableToLoadImage:"\u65E0\u6CD5\u52A0\u8F7D\u56FE\u7247",unableToPlay:"\u65E0\u6CD5\u5728\u6B64\u64AD\u653E\u6B64\u6587\u4EF6",archiveSummary:"{count} \u4E2A\u6587\u4EF6\uFF0C\u672A\u538B\u7F29 {size}",archiveName:"\u540D\u79F0",archiveModified:"\u4FEE\u6539\u65F6\u95F4",showSource:"\u6E90\u7801",showRendered:"\u6E32\u67D3",wordWrap:"\u81EA\u52A8\u6362\u884C",find:"\u67E5\u627E",findPlaceholder:"\u5728\u6587\u4EF6\u4E2D\u67E5\u627E\u2026",noMatchesShort:"\u65E0\u7ED3\u679C",previousMatch:"\u4E0A\u4E00\u4E2A\u5339\u914D\uFF08Shift+Enter\uFF09",nextMatch:"\u4E0B\u4E00\u4E2A\u5339\u914D\uFF08Enter\uFF09",noLongerInBin:"{name} \u5DF2\u4E0D\u5728\u56DE\u6536\u7AD9\u4E2D",noLongerInBinRestored:"\u5B83\u5DF2\u6062\u590D\u5230 {path}\u3002",noLongerInBinDesc:"\u5B83\u5DF2\u88AB\u6062\u590D\u6216\u6C38\u4E45\u5220\u9664\u3002",openFile:"\u6253\u5F00\u6587\u4EF6",originalTaken:"\u539F\u59CB\u8DEF\u5F84\u5DF2\u88AB\u5360\u7528",originalTakenDesc:"\u539F\u59CB\u4F4D\u7F6E\u73B0\u5728\u5DF2\u6709\u6587\u4EF6\uFF1B\u6062\u590D\u65F6\u4F1A\u8BE2\u95EE\u5982\u4F55\u89E3\u51B3\u51B2\u7A81",noFileSelected:"\u672A\u9009\u62E9\u6587\u4EF6",linkedFrom:"\u5220\u9664\u65F6\u88AB {count} \u7BC7\u7B14\u8BB0\u94FE\u63A5\uFF1A",updateLinks:"\u66F4\u65B0\u94FE\u63A5",updateLinksMessage:"\u6709 {count} \u7BC7\u7B14\u8BB0\u94FE\u63A5\u5230\u6062\u590D\u6587\u4EF6\u7684\u65E7\u4F4D\u7F6E\u3002\u8981\u5C06\u8FD9\u4E9B\u94FE\u63A5\u66F4\u65B0\u5230\u65B0\u4F4D\u7F6E\u5417\uFF1F",updateLinksConfirm:"\u66F4\u65B0\u94FE\u63A5",linksUpdated:"\u5DF2\u66F4\u65B0 {count} \u4E2A\u94FE\u63A5",compareWithCurrent:"\u4E0E\u5F53\u524D\u7248\u672C\u6BD4\u8F83",showPreview:"\u663E\u793A\u9884\u89C8",filesIdentical:"\u5DF2\u5220\u9664\u7684\u6587\u4EF6\u4E0E\u5F53\u524D\u7248\u672C\u76F8\u540C",copyHunkToCurrent:"\u590D\u5236\u5230\u5F53\u524D\u7B14\u8BB0",hunkCopied:'\u5DF2\u5C06\u8FD9\u4E9B\u884C\u590D\u5236\u5230"{path}"',hunkOutdated:"\u663E\u793A\u6BD4\u8F83\u540E\u7B14\u8BB0\u5DF2\u66F4\u6539\u3002\u8BF7\u68C0\u67E5\u66F4\u65B0\u540E\u7684\u6BD4\u8F83\u5E76\u91CD\u8BD5\u3002",hunkCopyFailed:"\u65E0\u6CD5\u5C06\u8FD9\u4E9B\u884C\u590D\u5236\u5230\u5F53\u524D\u7B14\u8BB0\u3002\u8BE6\u60C5\u8BF7\u67E5\u770B\u63A7\u5236\u53F0\u3002",versionCount:"{count} \u4E2A\u7248\u672C",versionDeleted:"\u5220\u9664\u4E8E {date}",compareWithNewest:"\u4E0E\u6700\u65B0\u7248\u672C\u6BD4\u8F83",restoreVersion:"\u6062\u590D\u6B64\u7248\u672C",trashStatistics:"\u56DE\u6536\u7AD9\u7EDF\u8BA1",totalSize:"\u603B\u5927\u5C0F",trashedItems:"\u9879\u76EE",itemsAndFiles:"{count}\uFF08{files} \u4E2A\u6587\u4EF6\uFF09",itemsCount:"{count} \u4E2A\u9879\u76EE",nextPurgeFrees:"\u4E0B\u6B21\u6E05\u9664\u91CA\u653E",byFileType:"\u6309\u6587\u4EF6\u7C7B\u578B",deletionsOverTime:"\u5220\u9664\u8D8B\u52BF",perDay:"\u6309\u5929",perWeek:"\u6309\u5468",largestItems:"\u6700\u5927\u7684\u9879\u76EE",topFolders:"\u6700\u5E38\u89C1\u7684\u539F\u59CB\u6587\u4EF6\u5939",category_markdown:"Markdown",category_code:"\u4EE3\u7801",category_image:"\u56FE\u7247",category_document:"\u6587\u6863",category_archive:"\u538B\u7F29\u5305",category_audio:"\u97F3\u9891",category_video:"\u89C6\u9891",category_other:"\u5176\u4ED6",groupNone:"\u4E0D\u5206\u7EC4",groupByFolder:"\u6309\u6587\u4EF6\u5939\u5206\u7EC4",groupByType:"\u6309\u6587\u4EF6\u7C7B\u578B\u5206\u7EC4",groupByDate:"\u6309\u5220\u9664\u65E5\u671F\u5206\u7EC4",category_folder:"\u6587\u4EF6\u5939",thisWeek:"\u672C\u5468",older:"\u66F4\u65E9",restoreAll:"\u5168\u90E8\u6062\u590D",deleteAll:"\u5168\u90E8\u5220\u9664"},ja:{recycleBin:"\u3054\u307F\u7BB1",recycleBinSettings:"\u3054\u307F\u7BB1\u306E\u8A2D\u5B9A",trashedFilePreview:"\u524A\u9664\u6E08\u307F\u30D5\u30A1\u30A4\u30EB\u306E\u30D7\u30EC\u30D3\u30E5\u30FC",binEmpty:"\u3054\u307F\u7BB1\u306F\u7A7A\u3067\u3059",deletedFilesAppear:"\u524A\u9664\u3055\u308C\u305F\u30D5\u30A1\u30A4\u30EB\u306F\u3053\u3053\u306B\u8868\u793A\u3055\u308C\u307E\u3059",binNotConfigured:"\u3054\u307F\u7BB1\u304C\u8A2D\u5B9A\u3055\u308C\u3066\u3044\u307E\u305B\u3093",usingSystemTrash:"\u26A0\uFE0F \u30B7\u30B9\u30C6\u30E0\u306E\u3054\u307F\u7BB1\u3092\u4F7F\u7528\u3057\u3066\u3044\u307E\u3059\u3002",goToSettings:"\u8A2D\u5B9A \u2192 \u3054\u307F\u7BB1 \u306B\u79FB\u52D5\u3057\u3066\u6709\u52B9\u306B\u3057\u3066\u304F\u3060\u3055\u3044\u3002",restore:"\u5FA9\u5143",restoreTo:"\u5FA9\u5143\u5148\u3092\u6307\u5B9A\u2026",chooseFolder:"\u5FA9\u5143\u5148\u306E\u30D5\u30A9\u30EB\u30C0\u3092\u9078\u629E\u2026",createFolder:"\u30D5\u30A9\u30EB\u30C0\u300C{path}\u300D\u3092\u4F5C\u6210",deleteForever:"\u5B8C\u5168\u306B\u524A\u9664",emptyAll:"\u3059\u3079\u3066\u524A\u9664",refresh:"\u66F4\u65B0",close:"\u9589\u3058\u308B",cancel:"\u30AD\u30E3\u30F3\u30BB\u30EB",delete:"\u524A\u9664",preview:"\u30D7\u30EC\u30D3\u30E5\u30FC",originalLocation:"\u5143\u306E\u5834\u6240",size:"\u30B5\u30A4\u30BA",deleted:"\u524A\u9664\u65E5",items:"\u9805\u76EE",deletedOnDevice:"{device} \u3067",today:"\u4ECA\u65E5",yesterday:"\u6628\u65E5",daysAgo:"\u65E5\u524D",unknown:"\u4E0D\u660E",fileInBin:"\u3053\u306E\u30D5\u30A1\u30A4\u30EB\u306F\u3054\u307F\u7BB1\u306B\u3042\u308A\u307E\u3059",trashLocation:"\u{1F4CD} \u3054\u307F\u7BB1\u306E\u5834\u6240",deletedFilesLocation:"\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u5834\u6240",deletedFilesLocationDesc:"\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u4FDD\u5B58\u5148\u3092\u9078\u629E\u3057\u3066\u304F\u3060\u3055\u3044\u3002\u30B7\u30B9\u30C6\u30E0\u306E\u3054\u307F\u7BB1\u307E\u305F\u306F\u5B8C\u5168\u306B\u524A\u9664\u3092\u4F7F\u3046\u5834\u5408\u306F\u3001\u4E0B\u306E\u300C\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u30B3\u30D4\u30FC\u3092\u4FDD\u6301\u300D\u3092\u30AA\u30F3\u306B\u3059\u308B\u3068\u3053\u306E\u30D7\u30E9\u30B0\u30A4\u30F3\u3092\u4F7F\u3048\u307E\u3059\u3002",obsidianTrashFolder:"\u{1F4C1} Obsidian .trash \u30D5\u30A9\u30EB\u30C0\uFF08\u63A8\u5968\uFF09",systemTrash:"\u{1F5D1}\uFE0F \u30B7\u30B9\u30C6\u30E0\u306E\u3054\u307F\u7BB1",permanentDelete:"\u26A0\uFE0F \u5B8C\u5168\u306B\u524A\u9664\uFF08\u5FA9\u5143\u4E0D\u53EF\uFF09",usingObsidianTrash:"\u2713 Obsidian \u306E .trash \u30D5\u30A9\u30EB\u30C0\u3092\u4F7F\u7528\u4E2D",deletedFilesWillAppear:"\u524A\u9664\u3055\u308C\u305F\u30D5\u30A1\u30A4\u30EB\u306F\u3053\u306E\u3054\u307F\u7BB1\u306B\u8868\u793A\u3055\u308C\u307E\u3059\u3002",usingSystemTrashWarning:"\u26A0 \u30B7\u30B9\u30C6\u30E0\u306E\u3054\u307F\u7BB1\u3092\u4F7F\u7528\u4E2D",systemTrashWarningDesc:"\u524A\u9664\u3055\u308C\u305F\u30D5\u30A1\u30A4\u30EB\u306FOS\u306E\u3054\u307F\u7BB1\u306B\u79FB\u52D5\u3057\u3001\u3053\u306E\u3054\u307F\u7BB1\u306B\u306F\u5165\u308A\u307E\u305B\u3093\u3002\u3053\u306E\u30D7\u30E9\u30B0\u30A4\u30F3\u3092\u4F7F\u3046\u306B\u306F\u4E0B\u3067\u5909\u66F4\u3059\u308B\u304B\u3001\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u30B3\u30D4\u30FC\u3092\u4FDD\u6301\u3057\u3066\u304F\u3060\u3055\u3044\u3002",permanentDeleteWarning:"\u26A0 \u5B8C\u5168\u524A\u9664\u304C\u6709\u52B9",permanentDeleteWarningDesc:"\u524A\u9664\u3055\u308C\u305F\u30D5\u30A1\u30A4\u30EB\u306F\u5373\u5EA7\u306B\u7834\u58CA\u3055\u308C\u307E\u3059\uFF01\u4E0B\u3067\u5909\u66F4\u3057\u3066\u5FA9\u5143\u3092\u6709\u52B9\u306B\u3057\u3066\u304F\u3060\u3055\u3044\u3002",trashLocationChanged:"\u3054\u307F\u7BB1\u306E\u5834\u6240\u3092\u5909\u66F4\u3057\u307E\u3057\u305F",captureMode:"\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u30B3\u30D4\u30FC\u3092\u4FDD\u6301",captureModeDesc:"Obsidian \u3067\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u3092\u3001\u30B7\u30B9\u30C6\u30E0\u306E\u3054\u307F\u7BB1\u306B\u79FB\u52D5\u307E\u305F\u306F\u524A\u9664\u3055\u308C\u308B\u524D\u306B\u30D7\u30E9\u30B0\u30A4\u30F3\u72EC\u81EA\u306E\u3054\u307F\u7BB1\uFF08.recycle-bin\uFF09\u306B\u30B3\u30D4\u30FC\u3057\u3001\u3053\u3053\u3067\u30D7\u30EC\u30D3\u30E5\u30FC\u3084\u5FA9\u5143\u304C\u3067\u304D\u308B\u3088\u3046\u306B\u3057\u307E\u3059\u3002",captureActive:"\u2713 \u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u30B3\u30D4\u30FC\u3092\u4FDD\u6301\u4E2D",captureActiveDesc:"\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306F Obsidian \u304C\u524A\u9664\u3059\u308B\u524D\u306B\u3053\u306E\u3054\u307F\u7BB1\u306B\u30B3\u30D4\u30FC\u3055\u308C\u307E\u3059\u3002",captureFailed:"{name} \u306E\u30B3\u30D4\u30FC\u3092\u4FDD\u6301\u3067\u304D\u306A\u304B\u3063\u305F\u305F\u3081\u3001\u524A\u9664\u3057\u307E\u305B\u3093\u3067\u3057\u305F",binFolders:"\u8FFD\u52A0\u306E\u3054\u307F\u7BB1\u30D5\u30A9\u30EB\u30C0",binFoldersDesc:"\u3054\u307F\u7BB1\u3068\u4E00\u7DD2\u306B\u3053\u306E\u3054\u307F\u7BB1\u306B\u5185\u5BB9\u304C\u8868\u793A\u3055\u308C\u308B\u30D5\u30A9\u30EB\u30C0\u3002\u305F\u3068\u3048\u3070\u4ED6\u306E\u30C4\u30FC\u30EB\u304C\u524A\u9664\u3057\u305F\u30CE\u30FC\u30C8\u3092\u79FB\u52D5\u3059\u308B\u30D5\u30A9\u30EB\u30C0\u3067\u3059\u3002\u30D1\u30B9\u306F\u4FDD\u7BA1\u5EAB\u306E\u30EB\u30FC\u30C8\u304B\u3089\u306E\u76F8\u5BFE\u30D1\u30B9\u3067\u3059\u3002",addBinFolder:"\u30D5\u30A9\u30EB\u30C0\u3092\u8FFD\u52A0",removeBinFolder:"\u30D5\u30A9\u30EB\u30C0\u3092\u524A\u9664",invalidBinFolder:"\u3053\u306E\u30D5\u30A9\u30EB\u30C0\u306F\u3054\u307F\u7BB1\u30D5\u30A9\u30EB\u30C0\u3068\u3057\u3066\u4F7F\u7528\u3067\u304D\u307E\u305B\u3093",binSource:"\u3054\u307F\u7BB1\u30D5\u30A9\u30EB\u30C0",sourceTrash:"\u3054\u307F\u7BB1",sourceCapture:"\u4FDD\u6301\u3057\u305F\u30B3\u30D4\u30FC",pluginSettings:"\u2699\uFE0F \u30D7\u30E9\u30B0\u30A4\u30F3\u8A2D\u5B9A",settingsDisabled:"\u26A0\uFE0F \u8A2D\u5B9A\u304C\u7121\u52B9\u3067\u3059",settingsDisabledDesc:"\u4E0A\u306E\u300C\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u5834\u6240\u300D\u3092\u300CObsidian .trash \u30D5\u30A9\u30EB\u30C0\u300D\u306B\u5909\u66F4\u3059\u308B\u304B\u3001\u300C\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u30B3\u30D4\u30FC\u3092\u4FDD\u6301\u300D\u3092\u30AA\u30F3\u306B\u3057\u3066\u3053\u306E\u30D7\u30E9\u30B0\u30A4\u30F3\u3092\u6709\u52B9\u306B\u3057\u3066\u304F\u3060\u3055\u3044\u3002",autoPurge:"\u53E4\u3044\u30D5\u30A1\u30A4\u30EB\u3092\u81EA\u52D5\u524A\u9664",autoPurgeDesc:"\u6307\u5B9A\u3057\u305F\u65E5\u6570\u3088\u308A\u53E4\u3044\u30D5\u30A1\u30A4\u30EB\u3092\u81EA\u52D5\u7684\u306B\u524A\u9664\u3057\u307E\u3059",autoPurgeDays:"\u81EA\u52D5\u524A\u9664\u307E\u3067\u306E\u65E5\u6570",autoPurgeDaysDesc:"\u3069\u306E\u4FDD\u6301\u30EB\u30FC\u30EB\u306B\u3082\u4E00\u81F4\u3057\u306A\u3044\u30D5\u30A1\u30A4\u30EB\u3092\u3001\u3053\u306E\u65E5\u6570\u3088\u308A\u53E4\u304F\u306A\u3063\u305F\u3089\u524A\u9664",autoPurgeInterval:"\u81EA\u52D5\u524A\u9664\u306E\u30B9\u30B1\u30B8\u30E5\u30FC\u30EB",hourly:"\u6BCE\u6642",daily:"\u6BCE\u65E5",nextPurge:"\u6B21\u56DE\u306E\u81EA\u52D5\u524A\u9664\uFF1A{time}",expiringSoon:"\u307E\u3082\u306A\u304F\u671F\u9650\u5207\u308C",expiresInDays:"{count} \u65E5\u5F8C\u306B\u671F\u9650\u5207\u308C",expiresNextPurge:"\u6B21\u56DE\u306E\u5B9F\u884C\u3067\u524A\u9664",keepForever:"\u6C38\u4E45\u306B\u4FDD\u6301",allowPurge:"\u81EA\u52D5\u524A\u9664\u3092\u8A31\u53EF",keptForever:"\u6C38\u4E45\u306B\u4FDD\u6301\u4E2D",maxBinSize:"\u3054\u307F\u7BB1\u306E\u6700\u5927\u30B5\u30A4\u30BA\uFF08MB\uFF09",maxBinSizeDesc:"\u3054\u307F\u7BB1\u304C\u3053\u306E\u30B5\u30A4\u30BA\u3092\u8D85\u3048\u308B\u3068\u3001\u53E4\u3044\u9805\u76EE\u304B\u3089\u524A\u9664\u3055\u308C\u307E\u3059\u30020 \u306F\u7121\u5236\u9650\u3067\u3059\u3002",purgeAction:"\u524A\u9664\u3055\u308C\u305F\u9805\u76EE",purgeActionDesc:"\u300C\u3059\u3079\u3066\u524A\u9664\u300D\u3068\u81EA\u52D5\u524A\u9664\u3067\u53D6\u308A\u9664\u3044\u305F\u9805\u76EE\u306E\u6271\u3044\u3002\u30A2\u30FC\u30AB\u30A4\u30D6\u3057\u305F\u9805\u76EE\u306F\u6708\u3054\u3068\u306E ZIP \u30A2\u30FC\u30AB\u30A4\u30D6\u306B\u8FFD\u52A0\u3055\u308C\u3001\u5143\u306E\u30D1\u30B9\u3068\u524A\u9664\u65E5\u306E\u30DE\u30CB\u30D5\u30A7\u30B9\u30C8\u304C\u4ED8\u304D\u307E\u3059\u3002",purgeActionDelete:"\u5B8C\u5168\u306B\u524A\u9664",purgeActionArchive:"\u30A2\u30FC\u30AB\u30A4\u30D6\u306B\u79FB\u52D5",archiveLocation:"\u30A2\u30FC\u30AB\u30A4\u30D6\u306E\u5834\u6240",archiveLocationDesc:"\u30A2\u30FC\u30AB\u30A4\u30D6\u3092\u7F6E\u304F\u4FDD\u7BA1\u5EAB\u5185\u306E\u30D5\u30A9\u30EB\u30C0\u3002\u30C7\u30B9\u30AF\u30C8\u30C3\u30D7\u3067\u306F\u4FDD\u7BA1\u5EAB\u5916\u306E\u7D76\u5BFE\u30D1\u30B9\uFF08\u4F8B\uFF1A/Users/me/Backups\uFF09\u3082\u6307\u5B9A\u3067\u304D\u307E\u3059\u3002",retentionRules:"\u4FDD\u6301\u30EB\u30FC\u30EB",retentionRulesDesc:"\u4E0A\u304B\u3089\u9806\u306B\u78BA\u8A8D\u3055\u308C\u3001\u9805\u76EE\u306B\u6700\u521D\u306B\u4E00\u81F4\u3057\u305F\u30EB\u30FC\u30EB\u304C\u4FDD\u6301\u671F\u9593\u3092\u6C7A\u3081\u307E\u3059\u3002\u7A7A\u6B04\u306F\u3059\u3079\u3066\u306B\u4E00\u81F4\u3057\u307E\u3059\u3002\u30D1\u30B9\u306F\u5143\u306E\u30D1\u30B9\u306B\u5BFE\u3059\u308B glob \u3067\u3059\uFF08\u4F8B\uFF1AJournal/** \u3084 **/*.png\uFF09\u3002",retentionRule:"\u30EB\u30FC\u30EB {number}",ruleExtensions:"\u62E1\u5F35\u5B50\uFF08\u4F8B\uFF1Amd, png\uFF09",rulePath:"\u30D1\u30B9\uFF08\u4F8B\uFF1AJournal/**\uFF09",ruleMinSize:"\u6700\u5C0F\u30B5\u30A4\u30BA\uFF08MB\uFF09",ruleDays:"\u65E5\u6570",rulePurgeAfter:"\u524A\u9664\u307E\u3067\u306E\u65E5\u6570",ruleKeepForever:"\u524A\u9664\u3057\u306A\u3044",moveUp:"\u4E0A\u3078\u79FB\u52D5",moveDown:"\u4E0B\u3078\u79FB\u52D5",removeRule:"\u30EB\u30FC\u30EB\u3092\u524A\u9664",addRule:"\u30EB\u30FC\u30EB\u3092\u8FFD\u52A0",previewPurge:"\u6B21\u56DE\u306E\u524A\u9664\u3092\u30D7\u30EC\u30D3\u30E5\u30FC",purgeNothing:"\u6B21\u56DE\u306E\u524A\u9664\u3067\u306F\u4F55\u3082\u524A\u9664\u3055\u308C\u307E\u305B\u3093\u3002",purgeSummary:"\u6B21\u56DE\u306E\u524A\u9664\u3067 {count} \u500B\u306E\u9805\u76EE\u304C\u524A\u9664\u3055\u308C\u3001{size} \u304C\u89E3\u653E\u3055\u308C\u307E\u3059\uFF1A",archiveNow:"\u4ECA\u3059\u3050\u30A2\u30FC\u30AB\u30A4\u30D6",purgeNow:"\u4ECA\u3059\u3050\u524A\u9664",purgeReasonDefault:"\u65E2\u5B9A\u306E\u671F\u9593",purgeReasonSize:"\u3054\u307F\u7BB1\u306E\u30B5\u30A4\u30BA\u4E0A\u9650",undoGraceSeconds:"\u53D6\u308A\u6D88\u3057\u7336\u4E88\u671F\u9593\uFF08\u79D2\uFF09",undoGraceSecondsDesc:"\u5B8C\u5168\u306B\u524A\u9664\u3057\u305F\u9805\u76EE\u306F\u3053\u306E\u671F\u9593\u4FDD\u7559\u3055\u308C\u3001\u53D6\u308A\u6D88\u3059\u3053\u3068\u304C\u3067\u304D\u307E\u3059\u30020 \u3067\u3059\u3050\u306B\u524A\u9664\u3057\u307E\u3059\u3002",undoLimit:"\u53D6\u308A\u6D88\u3057\u5C65\u6B74",undoLimitDesc:"\u53D6\u308A\u6D88\u305B\u308B\u6700\u8FD1\u306E\u5FA9\u5143\u30FB\u524A\u9664\u64CD\u4F5C\u306E\u6570",showConfirmations:"\u78BA\u8A8D\u30C0\u30A4\u30A2\u30ED\u30B0\u3092\u8868\u793A",showConfirmationsDesc:"\u524A\u9664\u307E\u305F\u306F\u3054\u307F\u7BB1\u3092\u7A7A\u306B\u3059\u308B\u524D\u306B\u78BA\u8A8D\u3092\u6C42\u3081\u308B",showMetadata:"\u30D5\u30A1\u30A4\u30EB\u306E\u30E1\u30BF\u30C7\u30FC\u30BF\u3092\u8868\u793A",showMetadataDesc:"\u30EA\u30B9\u30C8\u306B\u30D5\u30A1\u30A4\u30EB\u30B5\u30A4\u30BA\u3068\u524A\u9664\u65E5\u3092\u8868\u793A",searchContent:"\u30D5\u30A1\u30A4\u30EB\u306E\u5185\u5BB9\u3092\u691C\u7D22",searchContentDesc:"\u691C\u7D22\u6642\u306B\u524A\u9664\u3057\u305F Markdown \u3084\u30C6\u30AD\u30B9\u30C8\u30D5\u30A1\u30A4\u30EB\u306E\u672C\u6587\u3082\u5BFE\u8C61\u306B\u3057\u307E\u3059\uFF08\u5927\u304D\u306A\u3054\u307F\u7BB1\u3067\u306F\u9045\u304F\u306A\u308A\u307E\u3059\uFF09",showDeleteButton:"\u9805\u76EE\u3054\u3068\u306E\u524A\u9664\u30DC\u30BF\u30F3\u3092\u8868\u793A",showDeleteButtonDesc:"\u5404\u9805\u76EE\u306B\u524A\u9664\u30DC\u30BF\u30F3\u3092\u8868\u793A\u3057\u3066\u500B\u5225\u306E\u30D5\u30A1\u30A4\u30EB\u3092\u5B8C\u5168\u306B\u524A\u9664",language:"\u8A00\u8A9E",languageDesc:"\u8868\u793A\u8A00\u8A9E\u3092\u9078\u629E\uFF08\u81EA\u52D5 = Obsidian \u304B\u3089\u691C\u51FA\uFF09",languageAuto:"\u81EA\u52D5\u691C\u51FA",acknowledgements:"\u8B1D\u8F9E",acknowledgementsText:'\u3053\u306E\u30D7\u30E9\u30B0\u30A4\u30F3\u306F <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a>\uFF08<strong>Per Mortensen</strong> \u4F5C\uFF09\u304B\u3089\u30A4\u30F3\u30B9\u30D4\u30EC\u30FC\u30B7\u30E7\u30F3\u3092\u53D7\u3051\u307E\u3057\u305F\u3002\u30AA\u30EA\u30B8\u30CA\u30EB\u306E\u30B3\u30F3\u30BB\u30D7\u30C8\u3068\u30A4\u30F3\u30B9\u30D4\u30EC\u30FC\u30B7\u30E7\u30F3\u306B\u611F\u8B1D\u3057\u307E\u3059\uFF01',translationNote:'\u{1F30D} \u7FFB\u8A33\u306FAI\u306B\u3088\u3063\u3066\u751F\u6210\u3055\u308C\u307E\u3057\u305F\u3002<a href="https://github.com/wronginput/obsidian-recycle-bin/issues">\u30A8\u30E9\u30FC\u3092\u5831\u544A</a>',deletePermanently:"\u5B8C\u5168\u306B\u524A\u9664",deleteConfirmMessage:"\u300C{name}\u300D\u3092\u5B8C\u5168\u306B\u524A\u9664\u3057\u3066\u3082\u3088\u308D\u3057\u3044\u3067\u3059\u304B\uFF1F\u53D6\u308A\u6D88\u305B\u308B\u306E\u306F\u53D6\u308A\u6D88\u3057\u7336\u4E88\u671F\u9593\u304C\u7D42\u308F\u308B\u307E\u3067\u3067\u3059\u3002",restoreConflict:"\u30D5\u30A1\u30A4\u30EB\u304C\u65E2\u306B\u5B58\u5728\u3057\u307E\u3059",restoreConflictMessage:"\u300C{path}\u300D\u306F\u65E2\u306B\u4FDD\u7BA1\u5EAB\u306B\u5B58\u5728\u3057\u307E\u3059\u3002\u3069\u3046\u3057\u307E\u3059\u304B\uFF1F",restoreKeepBoth:"\u300C{name}\u300D\u3068\u3057\u3066\u5FA9\u5143",restoreOverwrite:"\u4E0A\u66F8\u304D\uFF08\u73FE\u5728\u306E\u30D5\u30A1\u30A4\u30EB\u3092\u3054\u307F\u7BB1\u306B\u79FB\u52D5\uFF09",restoreCompare:"\u6BD4\u8F03",restoreSkip:"\u30B9\u30AD\u30C3\u30D7",applyToAll:"\u3059\u3079\u3066\u306E\u7AF6\u5408\u306B\u9069\u7528",trashedVersion:"\u3054\u307F\u7BB1\u5185",currentVersion:"\u73FE\u5728\u306E\u30D5\u30A1\u30A4\u30EB",emptyBin:"\u3054\u307F\u7BB1\u3092\u7A7A\u306B\u3059\u308B",emptyBinConfirmMessage:"\u3054\u307F\u7BB1\u5185\u306E\u3059\u3079\u3066\u306E\u30D5\u30A1\u30A4\u30EB\u3092\u5B8C\u5168\u306B\u524A\u9664\u3057\u3066\u3082\u3088\u308D\u3057\u3044\u3067\u3059\u304B\uFF1F\u53D6\u308A\u6D88\u305B\u308B\u306E\u306F\u53D6\u308A\u6D88\u3057\u7336\u4E88\u671F\u9593\u304C\u7D42\u308F\u308B\u307E\u3067\u3067\u3059\uFF01",archiveAll:"\u3059\u3079\u3066\u30A2\u30FC\u30AB\u30A4\u30D6",restored:"\u300C{name}\u300D\u3092\u5FA9\u5143\u3057\u307E\u3057\u305F",cannotRestore:"\u300C{name}\u300D\u3092\u5FA9\u5143\u3067\u304D\u307E\u305B\u3093\u3067\u3057\u305F\u3002\u8A73\u7D30\u306F\u30B3\u30F3\u30BD\u30FC\u30EB\u3092\u78BA\u8A8D\u3057\u3066\u304F\u3060\u3055\u3044\u3002",restoreSkipped:"\u300C{name}\u300D\u306E\u5FA9\u5143\u3092\u30B9\u30AD\u30C3\u30D7\u3057\u307E\u3057\u305F",cannotDelete:"\u300C{name}\u300D\u3092\u524A\u9664\u3067\u304D\u307E\u305B\u3093\u3067\u3057\u305F\u3002\u8A73\u7D30\u306F\u30B3\u30F3\u30BD\u30FC\u30EB\u3092\u78BA\u8A8D\u3057\u3066\u304F\u3060\u3055\u3044\u3002",undo:"\u53D6\u308A\u6D88\u3057",undoLastAction:"\u6700\u5F8C\u306E\u3054\u307F\u7BB1\u64CD\u4F5C\u3092\u53D6\u308A\u6D88\u3059",undone:"\u3054\u307F\u7BB1\u64CD\u4F5C\u3092\u53D6\u308A\u6D88\u3057\u307E\u3057\u305F",undoFailed:"\u53D6\u308A\u6D88\u3057\u304C\u5B8C\u4E86\u3057\u307E\u305B\u3093\u3067\u3057\u305F\uFF1A{count} \u500B\u306E\u9805\u76EE\u3092\u623B\u305B\u307E\u305B\u3093\u3067\u3057\u305F",nothingToUndo:"\u53D6\u308A\u6D88\u3059\u64CD\u4F5C\u306F\u3042\u308A\u307E\u305B\u3093",binEmptied:"\u3054\u307F\u7BB1\u3092\u7A7A\u306B\u3057\u307E\u3057\u305F",binAlreadyEmpty:"\u3054\u307F\u7BB1\u306F\u65E2\u306B\u7A7A\u3067\u3059",autoPurged:"\u3054\u307F\u7BB1\u304B\u3089 {count} \u500B\u306E\u53E4\u3044\u30D5\u30A1\u30A4\u30EB\u3092\u81EA\u52D5\u524A\u9664\u3057\u307E\u3057\u305F",autoArchived:"\u3054\u307F\u7BB1\u304B\u3089\u53E4\u3044\u9805\u76EE\u3092 {count} \u500B\u30A2\u30FC\u30AB\u30A4\u30D6\u3057\u307E\u3057\u305F",binArchived:"\u3054\u307F\u7BB1\u3092 {path} \u306B\u30A2\u30FC\u30AB\u30A4\u30D6\u3057\u3066\u7A7A\u306B\u3057\u307E\u3057\u305F",archiveFailed:"\u30A2\u30FC\u30AB\u30A4\u30D6\u306B\u5931\u6557\u3057\u305F\u305F\u3081\u3001\u4F55\u3082\u524A\u9664\u3057\u3066\u3044\u307E\u305B\u3093\u3002\u8A73\u7D30\u306F\u958B\u767A\u8005\u30B3\u30F3\u30BD\u30FC\u30EB\u3092\u78BA\u8A8D\u3057\u3066\u304F\u3060\u3055\u3044",purgeFailed:"\u3054\u307F\u7BB1\u306E\u524A\u9664\u306B\u5931\u6557\u3057\u307E\u3057\u305F\u3002\u8A73\u7D30\u306F\u958B\u767A\u8005\u30B3\u30F3\u30BD\u30FC\u30EB\u3092\u78BA\u8A8D\u3057\u3066\u304F\u3060\u3055\u3044",exportingProgress:"{count} \u500B\u306E\u9805\u76EE\u3092\u30A8\u30AF\u30B9\u30DD\u30FC\u30C8\u4E2D...",exportedItems:"{count} \u500B\u306E\u9805\u76EE\u3092 {path} \u306B\u30A8\u30AF\u30B9\u30DD\u30FC\u30C8\u3057\u307E\u3057\u305F",exportFailed:"\u30A8\u30AF\u30B9\u30DD\u30FC\u30C8\u306B\u5931\u6557\u3057\u307E\u3057\u305F\u3002\u8A73\u7D30\u306F\u958B\u767A\u8005\u30B3\u30F3\u30BD\u30FC\u30EB\u3092\u78BA\u8A8D\u3057\u3066\u304F\u3060\u3055\u3044",importingProgress:"{name} \u3092\u30A4\u30F3\u30DD\u30FC\u30C8\u4E2D...",importedItems:"{count} \u500B\u306E\u9805\u76EE\u3092\u3054\u307F\u7BB1\u306B\u30A4\u30F3\u30DD\u30FC\u30C8\u3057\u307E\u3057\u305F",importFailed:"{name} \u3092\u30A4\u30F3\u30DD\u30FC\u30C8\u3067\u304D\u307E\u305B\u3093\u3067\u3057\u305F",searchPlaceholder:"\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u3092\u691C\u7D22...\uFF08ext:pdf \u3084 is:folder \u3082\u4F7F\u3048\u307E\u3059\uFF09",noMatches:"\u691C\u7D22\u306B\u4E00\u81F4\u3059\u308B\u9805\u76EE\u306F\u3042\u308A\u307E\u305B\u3093",sortNewest:"\u65B0\u3057\u3044\u9806",sortOldest:"\u53E4\u3044\u9806",sortNameAZ:"\u540D\u524D A-Z",sortNameZA:"\u540D\u524D Z-A",sortLargest:"\u5927\u304D\u3044\u9806",sortSmallest:"\u5C0F\u3055\u3044\u9806",exportBinToZip:"\u3054\u307F\u7BB1\u3092 ZIP \u306B\u30A8\u30AF\u30B9\u30DD\u30FC\u30C8",importFromZip:"ZIP \u304B\u3089\u30A4\u30F3\u30DD\u30FC\u30C8",selectedCount:"{count} \u500B\u9078\u629E\u4E2D",selectAllMatching:"\u3059\u3079\u3066\u9078\u629E",invertSelection:"\u9078\u629E\u3092\u53CD\u8EE2",restoreSelected:"\u9078\u629E\u9805\u76EE\u3092\u5FA9\u5143",deleteSelected:"\u9078\u629E\u9805\u76EE\u3092\u524A\u9664",restoreNewestVersion:"\u6700\u65B0\u306E\u30D0\u30FC\u30B8\u30E7\u30F3\u3092\u5FA9\u5143",deleteAllVersions:"{count} \u500B\u306E\u30D0\u30FC\u30B8\u30E7\u30F3\u3092\u3059\u3079\u3066\u5B8C\u5168\u306B\u524A\u9664",exportSelected:"\u9078\u629E\u9805\u76EE\u3092\u30A8\u30AF\u30B9\u30DD\u30FC\u30C8",deleteSelectedConfirmMessage:"\u9078\u629E\u3057\u305F {count} \u500B\u306E\u9805\u76EE\u3092\u5B8C\u5168\u306B\u524A\u9664\u3057\u3066\u3082\u3088\u308D\u3057\u3044\u3067\u3059\u304B\uFF1F\u53D6\u308A\u6D88\u305B\u308B\u306E\u306F\u53D6\u308A\u6D88\u3057\u7336\u4E88\u671F\u9593\u304C\u7D42\u308F\u308B\u307E\u3067\u3067\u3059\u3002",deleteItemsConfirmMessage:"{count} \u500B\u306E\u9805\u76EE\u3092\u5B8C\u5168\u306B\u524A\u9664\u3057\u3066\u3082\u3088\u308D\u3057\u3044\u3067\u3059\u304B\uFF1F\u53D6\u308A\u6D88\u305B\u308B\u306E\u306F\u53D6\u308A\u6D88\u3057\u7336\u4E88\u671F\u9593\u304C\u7D42\u308F\u308B\u307E\u3067\u3067\u3059\u3002",deleteVersionsConfirmMessage:"\u300C{name}\u300D\u306E {count} \u500B\u306E\u30D0\u30FC\u30B8\u30E7\u30F3\u3092\u3059\u3079\u3066\u5B8C\u5168\u306B\u524A\u9664\u3057\u3066\u3082\u3088\u308D\u3057\u3044\u3067\u3059\u304B\uFF1F\u53D6\u308A\u6D88\u305B\u308B\u306E\u306F\u53D6\u308A\u6D88\u3057\u7336\u4E88\u671F\u9593\u304C\u7D42\u308F\u308B\u307E\u3067\u3067\u3059\u3002",restoringProgress:"\u5FA9\u5143\u4E2D {done}/{total}\u2026",deletingProgress:"\u524A\u9664\u4E2D {done}/{total}\u2026",bulkRestoreSummary:"{succeeded} \u500B\u306E\u9805\u76EE\u3092\u5FA9\u5143\u3001{skipped} \u500B\u3092\u30B9\u30AD\u30C3\u30D7\u3001{failed} \u500B\u304C\u5931\u6557",bulkDeleteSummary:"{succeeded} \u500B\u306E\u9805\u76EE\u3092\u524A\u9664\u3001{failed} \u500B\u304C\u5931\u6557",previewNotAvailable:"\u30D7\u30EC\u30D3\u30E5\u30FC\u306F\u5229\u7528\u3067\u304D\u307E\u305B\u3093",files:"\u30D5\u30A1\u30A4\u30EB",restoreToView:"\u30D5\u30A1\u30A4\u30EB\u3092\u5FA9\u5143\u3057\u3066\u901A\u5E38\u8868\u793A",unableToLoadImage:"\u753B\u50CF\u3092\u8AAD\u307F\u8FBC\u3081\u307E\u305B\u3093",unableToPlay:"\u3053\u306E\u30D5\u30A1\u30A4\u30EB\u306F\u3053\u3053\u3067\u306F\u518D\u751F\u3067\u304D\u307E\u305B\u3093",archiveSummary:"{count} \u500B\u306E\u30D5\u30A1\u30A4\u30EB\u3001\u975E\u5727\u7E2E\u3067 {size}",archiveName:"\u540D\u524D",archiveModified:"\u66F4\u65B0\u65E5\u6642",showSource:"\u30BD\u30FC\u30B9",showRendered:"\u30EC\u30F3\u30C0\u30EA\u30F3\u30B0",wordWrap:"\u6298\u308A\u8FD4\u3057",find:"\u691C\u7D22",findPlaceholder:"\u30D5\u30A1\u30A4\u30EB\u5185\u3092\u691C\u7D22\u2026",noMatchesShort:"\u7D50\u679C\u306A\u3057",previousMatch:"\u524D\u306E\u4E00\u81F4\uFF08Shift+Enter\uFF09",nextMatch:"\u6B21\u306E\u4E00\u81F4\uFF08Enter\uFF09",noLongerInBin:"{name} \u306F\u3082\u3046\u3054\u307F\u7BB1\u306B\u3042\u308A\u307E\u305B\u3093",noLongerInBinRestored:"{path} \u306B\u5FA9\u5143\u3055\u308C\u307E\u3057\u305F\u3002",noLongerInBinDesc:"\u5FA9\u5143\u3055\u308C\u305F\u304B\u3001\u5B8C\u5168\u306B\u524A\u9664\u3055\u308C\u307E\u3057\u305F\u3002",openFile:"\u30D5\u30A1\u30A4\u30EB\u3092\u958B\u304F",originalTaken:"\u5143\u306E\u30D1\u30B9\u306F\u4F7F\u7528\u4E2D\u3067\u3059",originalTakenDesc:"\u5143\u306E\u5834\u6240\u306B\u5225\u306E\u30D5\u30A1\u30A4\u30EB\u304C\u3042\u308A\u307E\u3059\u3002\u5FA9\u5143\u6642\u306B\u7AF6\u5408\u306E\u89E3\u6C7A\u65B9\u6CD5\u3092\u78BA\u8A8D\u3057\u307E\u3059",noFileSelected:"\u30D5\u30A1\u30A4\u30EB\u304C\u9078\u629E\u3055\u308C\u3066\u3044\u307E\u305B\u3093",linkedFrom:"\u524A\u9664\u6642\u306B {count} \u4EF6\u306E\u30CE\u30FC\u30C8\u304B\u3089\u30EA\u30F3\u30AF\u3055\u308C\u3066\u3044\u307E\u3057\u305F\uFF1A",updateLinks:"\u30EA\u30F3\u30AF\u3092\u66F4\u65B0",updateLinksMessage:"{count} \u4EF6\u306E\u30CE\u30FC\u30C8\u304C\u5FA9\u5143\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306E\u5143\u306E\u5834\u6240\u306B\u30EA\u30F3\u30AF\u3057\u3066\u3044\u307E\u3059\u3002\u3053\u308C\u3089\u306E\u30EA\u30F3\u30AF\u3092\u65B0\u3057\u3044\u5834\u6240\u306B\u66F4\u65B0\u3057\u307E\u3059\u304B\uFF1F",updateLinksConfirm:"\u30EA\u30F3\u30AF\u3092\u66F4\u65B0",linksUpdated:"{count} \u4EF6\u306E\u30EA\u30F3\u30AF\u3092\u66F4\u65B0\u3057\u307E\u3057\u305F",compareWithCurrent:"\u73FE\u5728\u306E\u30D0\u30FC\u30B8\u30E7\u30F3\u3068\u6BD4\u8F03",showPreview:"\u30D7\u30EC\u30D3\u30E5\u30FC\u3092\u8868\u793A",filesIdentical:"\u524A\u9664\u3057\u305F\u30D5\u30A1\u30A4\u30EB\u306F\u73FE\u5728\u306E\u30D0\u30FC\u30B8\u30E7\u30F3\u3068\u540C\u3058\u3067\u3059",copyHunkToCurrent:"\u73FE\u5728\u306E\u30CE\u30FC\u30C8\u306B\u30B3\u30D4\u30FC",hunkCopied:"\u300C{path}\u300D\u306B\u884C\u3092\u30B3\u30D4\u30FC\u3057\u307E\u3057\u305F",hunkOutdated:"\u6BD4\u8F03\u3092\u8868\u793A\u3057\u305F\u5F8C\u306B\u30CE\u30FC\u30C8\u304C\u5909\u66F4\u3055\u308C\u307E\u3057\u305F\u3002\u66F4\u65B0\u3055\u308C\u305F\u6BD4\u8F03\u3092\u78BA\u8A8D\u3057\u3066\u3082\u3046\u4E00\u5EA6\u304A\u8A66\u3057\u304F\u3060\u3055\u3044\u3002",hunkCopyFailed:"\u73FE\u5728\u306E\u30CE\u30FC\u30C8\u306B\u884C\u3092\u30B3\u30D4\u30FC\u3067\u304D\u307E\u305B\u3093\u3067\u3057\u305F\u3002\u8A73\u7D30\u306F\u30B3\u30F3\u30BD\u30FC\u30EB\u3092\u78BA\u8A8D\u3057\u3066\u304F\u3060\u3055\u3044\u3002",versionCount:"{count} \u500B\u306E\u30D0\u30FC\u30B8\u30E7\u30F3",versionDeleted:"{date} \u306B\u524A\u9664",compareWithNewest:"\u6700\u65B0\u306E\u30D0\u30FC\u30B8\u30E7\u30F3\u3068\u6BD4\u8F03",restoreVersion:"\u3053\u306E\u30D0\u30FC\u30B8\u30E7\u30F3\u3092\u5FA9\u5143",trashStatistics:"\u3054\u307F\u7BB1\u306E\u7D71\u8A08",totalSize:"\u5408\u8A08\u30B5\u30A4\u30BA",trashedItems:"\u9805\u76EE",itemsAndFiles:"{count}\uFF08{files} \u500B\u306E\u30D5\u30A1\u30A4\u30EB\uFF09",itemsCount:"{count} \u500B\u306E\u9805\u76EE",nextPurgeFrees:"\u6B21\u56DE\u306E\u524A\u9664\u3067\u89E3\u653E",byFileType:"\u30D5\u30A1\u30A4\u30EB\u306E\u7A2E\u985E\u5225",deletionsOverTime:"\u524A\u9664\u306E\u63A8\u79FB",perDay:"\u65E5\u3054\u3068",perWeek:"\u9031\u3054\u3068",largestItems:"\u6700\u3082\u5927\u304D\u3044\u9805\u76EE",topFolders:"\u591A\u3044\u5143\u306E\u30D5\u30A9\u30EB\u30C0",category_markdown:"Markdown",category_code:"\u30B3\u30FC\u30C9",category_image:"\u753B\u50CF",category_document:"\u30C9\u30AD\u30E5\u30E1\u30F3\u30C8",category_archive:"\u30A2\u30FC\u30AB\u30A4\u30D6",category_audio:"\u30AA\u30FC\u30C7\u30A3\u30AA",category_video:"\u52D5\u753B",category_other:"\u305D\u306E\u4ED6",groupNone:"\u30B0\u30EB\u30FC\u30D7\u5316\u3057\u306A\u3044",groupByFolder:"\u30D5\u30A9\u30EB\u30C0\u3067\u30B0\u30EB\u30FC\u30D7\u5316",groupByType:"\u30D5\u30A1\u30A4\u30EB\u306E\u7A2E\u985E\u3067\u30B0\u30EB\u30FC\u30D7\u5316",groupByDate:"\u524A\u9664\u65E5\u3067\u30B0\u30EB\u30FC\u30D7\u5316",category_folder:"\u30D5\u30A9\u30EB\u30C0",thisWeek:"\u4ECA\u9031",older:"\u305D\u308C\u4EE5\u524D",restoreAll:"\u3059\u3079\u3066\u5FA9\u5143",deleteAll:"\u3059\u3079\u3066\u524A\u9664"},es:{recycleBin:"Papelera",recycleBinSettings:"Ajustes de Papelera",trashedFilePreview:"Vista previa de archivo eliminado",binEmpty:"Tu papelera est\xE1 vac\xEDa",deletedFilesAppear:"Los archivos eliminados aparecer\xE1n aqu\xED",binNotConfigured:"La papelera no est\xE1 configurada",usingSystemTrash:"\u26A0\uFE0F Est\xE1s usando la papelera del sistema.",goToSettings:"Ve a Ajustes \u2192 Papelera para activar.",restore:"Restaurar",restoreTo:"Restaurar en\u2026",chooseFolder:"Elige una carpeta donde restaurar\u2026",createFolder:'Crear carpeta "{path}"',deleteForever:"Eliminar permanentemente",emptyAll:"Vaciar todo",refresh:"Actualizar",close:"Cerrar",cancel:"Cancelar",delete:"Eliminar",preview:"Vista previa",originalLocation:"Ubicaci\xF3n original",size:"Tama\xF1o",deleted:"Eliminado",items:"elementos",deletedOnDevice:"en {device}",today:"Hoy",yesterday:"Ayer",daysAgo:"d\xEDas",unknown:"Desconocido",fileInBin:"Este archivo est\xE1 en la Papelera",trashLocation:"\u{1F4CD} Ubicaci\xF3n de la Papelera",deletedFilesLocation:"Ubicaci\xF3n de archivos eliminados",deletedFilesLocationDesc:'Elige d\xF3nde van los archivos eliminados. Con la papelera del sistema o la eliminaci\xF3n permanente, activa "Conservar copias de archivos eliminados" abajo para usar este plugin.',obsidianTrashFolder:"\u{1F4C1} Carpeta .trash de Obsidian (recomendado)",systemTrash:"\u{1F5D1}\uFE0F Papelera del sistema",permanentDelete:"\u26A0\uFE0F Eliminar permanentemente (sin recuperaci\xF3n)",usingObsidianTrash:"\u2713 Usando la carpeta .trash de Obsidian",deletedFilesWillAppear:"Los archivos eliminados aparecer\xE1n en esta Papelera.",usingSystemTrashWarning:"\u26A0 Usando la papelera del sistema",systemTrashWarningDesc:"Los archivos eliminados van a la papelera del SO, no a esta Papelera. Cambia abajo, o conserva copias de los archivos eliminados, para usar este plugin.",permanentDeleteWarning:"\u26A0 Eliminaci\xF3n permanente activada",permanentDeleteWarningDesc:"\xA1Los archivos eliminados se destruyen inmediatamente! Cambia abajo para habilitar la recuperaci\xF3n.",trashLocationChanged:"Ubicaci\xF3n de papelera cambiada a",captureMode:"Conservar copias de archivos eliminados",captureModeDesc:"Copia cada archivo eliminado en Obsidian a la papelera propia del plugin (.recycle-bin) antes de que vaya a la papelera del sistema o se elimine, para que puedas seguir vi\xE9ndolo y restaur\xE1ndolo aqu\xED.",captureActive:"\u2713 Conservando copias de archivos eliminados",captureActiveDesc:"Los archivos eliminados se copian en esta Papelera antes de que Obsidian los quite.",captureFailed:"No se pudo conservar una copia de {name}, as\xED que no se elimin\xF3",binFolders:"Carpetas de papelera adicionales",binFoldersDesc:"Carpetas cuyo contenido se muestra en esta Papelera junto a la papelera, por ejemplo una carpeta a la que otras herramientas mueven las notas eliminadas. Las rutas son relativas a la ra\xEDz de la b\xF3veda.",addBinFolder:"A\xF1adir carpeta",removeBinFolder:"Quitar carpeta",invalidBinFolder:"Esta carpeta no se puede usar como carpeta de papelera",binSource:"Carpeta de papelera",sourceTrash:"Papelera",sourceCapture:"Copia conservada",pluginSettings:"\u2699\uFE0F Ajustes del Plugin",settingsDisabled:"\u26A0\uFE0F Ajustes desactivados",settingsDisabledDesc:'Cambia "Ubicaci\xF3n de archivos eliminados" arriba a "Carpeta .trash de Obsidian", o activa "Conservar copias de archivos eliminados", para activar este plugin.',autoPurge:"Auto-eliminar archivos antiguos",autoPurgeDesc:"Eliminar autom\xE1ticamente archivos m\xE1s antiguos que un n\xFAmero especificado de d\xEDas",autoPurgeDays:"Auto-eliminar despu\xE9s de (d\xEDas)",autoPurgeDaysDesc:"Eliminar los archivos que no coinciden con ninguna regla de retenci\xF3n cuando superen este n\xFAmero de d\xEDas",autoPurgeInterval:"Programaci\xF3n de auto-eliminaci\xF3n",hourly:"Cada hora",daily:"Cada d\xEDa",nextPurge:"Pr\xF3xima auto-eliminaci\xF3n: {time}",expiringSoon:"Caduca pronto",expiresInDays:"Caduca en {count} d\xEDa(s)",expiresNextPurge:"Se eliminar\xE1 en la pr\xF3xima ejecuci\xF3n",keepForever:"Conservar para siempre",allowPurge:"Permitir auto-eliminaci\xF3n",keptForever:"Conservado para siempre",maxBinSize:"Tama\xF1o m\xE1ximo de la papelera (MB)",maxBinSizeDesc:"Cuando la papelera supera este tama\xF1o, se eliminan primero los elementos m\xE1s antiguos. 0 significa sin l\xEDmite.",purgeAction:"Elementos eliminados",purgeActionDesc:"Qu\xE9 hacen Vaciar todo y la auto-eliminaci\xF3n con los elementos que quitan. Los elementos archivados se a\xF1aden a un archivo ZIP por mes, con un manifiesto de sus rutas originales y fechas de eliminaci\xF3n.",purgeActionDelete:"Eliminar permanentemente",purgeActionArchive:"Mover al archivo",archiveLocation:"Ubicaci\xF3n del archivo",archiveLocationDesc:"Carpeta de la b\xF3veda para los archivos, o en escritorio una ruta absoluta fuera de la b\xF3veda, como /Users/yo/Copias.",retentionRules:"Reglas de retenci\xF3n",retentionRulesDesc:"Se comprueban de arriba abajo; la primera regla que coincide con un elemento decide cu\xE1nto tiempo se conserva. Los campos vac\xEDos coinciden con todo. Las rutas son globs sobre la ruta original, p. ej. Journal/** o **/*.png.",retentionRule:"Regla {number}",ruleExtensions:"Extensiones, p. ej. md, png",rulePath:"Ruta, p. ej. Journal/**",ruleMinSize:"Tama\xF1o m\xEDn. (MB)",ruleDays:"D\xEDas",rulePurgeAfter:"Eliminar tras d\xEDas",ruleKeepForever:"No eliminar nunca",moveUp:"Subir",moveDown:"Bajar",removeRule:"Quitar regla",addRule:"A\xF1adir regla",previewPurge:"Vista previa de la pr\xF3xima eliminaci\xF3n",purgeNothing:"La pr\xF3xima eliminaci\xF3n no quitar\xEDa nada.",purgeSummary:"La pr\xF3xima eliminaci\xF3n quitar\xEDa {count} elemento(s) y liberar\xEDa {size}:",archiveNow:"Archivar ahora",purgeNow:"Eliminar ahora",purgeReasonDefault:"Antig\xFCedad predeterminada",purgeReasonSize:"L\xEDmite de tama\xF1o de la papelera",undoGraceSeconds:"Periodo de gracia para deshacer (segundos)",undoGraceSecondsDesc:"Los elementos eliminados permanentemente se retienen este tiempo para poder deshacerlo. 0 elimina de inmediato.",undoLimit:"Historial de deshacer",undoLimitDesc:"N\xFAmero de restauraciones y eliminaciones recientes que se pueden deshacer",showConfirmations:"Mostrar di\xE1logos de confirmaci\xF3n",showConfirmationsDesc:"Pedir confirmaci\xF3n antes de eliminar o vaciar la papelera",showMetadata:"Mostrar metadatos de archivos",showMetadataDesc:"Mostrar tama\xF1o y fecha de eliminaci\xF3n en la lista",searchContent:"Buscar en el contenido de los archivos",searchContentDesc:"Al buscar, comparar tambi\xE9n el texto de los archivos markdown y de texto eliminados (m\xE1s lento en papeleras grandes)",showDeleteButton:"Mostrar bot\xF3n de eliminar por elemento",showDeleteButtonDesc:"Mostrar un bot\xF3n de eliminar en cada elemento para eliminar archivos individuales permanentemente",language:"Idioma",languageDesc:"Elegir idioma de visualizaci\xF3n (auto = detectar de Obsidian)",languageAuto:"Auto-detectar",acknowledgements:"Agradecimientos",acknowledgementsText:'Este plugin fue inspirado por <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. \xA1Gracias por el concepto original y la inspiraci\xF3n!',translationNote:'\u{1F30D} Las traducciones fueron generadas por IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Reportar errores</a>',deletePermanently:"Eliminar permanentemente",deleteConfirmMessage:'\xBFEst\xE1s seguro de que quieres eliminar permanentemente "{name}"? Solo se puede deshacer hasta que termine el periodo de gracia.',restoreConflict:"El archivo ya existe",restoreConflictMessage:'"{path}" ya existe en tu b\xF3veda. \xBFQu\xE9 quieres hacer?',restoreKeepBoth:'Restaurar como "{name}"',restoreOverwrite:"Sobrescribir (mover el archivo actual a la papelera)",restoreCompare:"Comparar",restoreSkip:"Omitir",applyToAll:"Aplicar a todos los conflictos",trashedVersion:"En la papelera",currentVersion:"Archivo actual",emptyBin:"Vaciar papelera",emptyBinConfirmMessage:"\xBFEst\xE1s seguro de que quieres eliminar permanentemente TODOS los archivos de la papelera? \xA1Solo se puede deshacer hasta que termine el periodo de gracia!",archiveAll:"Archivar todo",restored:'"{name}" restaurado',cannotRestore:'No se pudo restaurar "{name}". Consulta la consola para m\xE1s detalles.',restoreSkipped:'Se omiti\xF3 restaurar "{name}"',cannotDelete:'No se pudo eliminar "{name}". Consulta la consola para m\xE1s detalles.',undo:"Deshacer",undoLastAction:"Deshacer la \xFAltima acci\xF3n de la papelera",undone:"Acci\xF3n de la papelera deshecha",undoFailed:"Deshacer incompleto: {count} elemento(s) no se pudieron devolver",nothingToUndo:"Nada que deshacer",binEmptied:"Papelera vaciada",binAlreadyEmpty:"La papelera ya est\xE1 vac\xEDa",autoPurged:"Se eliminaron autom\xE1ticamente {count} archivo(s) antiguo(s) de la papelera",autoArchived:"Se archivaron {count} elemento(s) antiguos de la papelera",binArchived:"Papelera archivada en {path} y vaciada",archiveFailed:"Error al archivar, no se elimin\xF3 nada. Consulta la consola de desarrollador para m\xE1s detalles",purgeFailed:"Error al vaciar la papelera. Consulta la consola de desarrollador para m\xE1s detalles",exportingProgress:"Exportando {count} elemento(s)...",exportedItems:"Se exportaron {count} elemento(s) a {path}",exportFailed:"Error al exportar, consulta la consola de desarrollador para m\xE1s detalles",importingProgress:"Importando {name}...",importedItems:"Se importaron {count} elemento(s) a la papelera",importFailed:"No se pudo importar {name}",searchPlaceholder:"Buscar archivos eliminados... (prueba ext:pdf o is:folder)",noMatches:"Ning\xFAn elemento coincide con tu b\xFAsqueda",sortNewest:"M\xE1s recientes primero",sortOldest:"M\xE1s antiguos primero",sortNameAZ:"Nombre A-Z",sortNameZA:"Nombre Z-A",sortLargest:"M\xE1s grandes primero",sortSmallest:"M\xE1s peque\xF1os primero",exportBinToZip:"Exportar papelera a ZIP",importFromZip:"Importar desde ZIP",selectedCount:"{count} seleccionado(s)",selectAllMatching:"Seleccionar todo",invertSelection:"Invertir",restoreSelected:"Restaurar selecci\xF3n",deleteSelected:"Eliminar selecci\xF3n",restoreNewestVersion:"Restaurar la versi\xF3n m\xE1s reciente",deleteAllVersions:"Eliminar permanentemente las {count} versiones",exportSelected:"Exportar selecci\xF3n",deleteSelectedConfirmMessage:"\xBFEst\xE1s seguro de que quieres eliminar permanentemente {count} elemento(s) seleccionado(s)? Solo se puede deshacer hasta que termine el periodo de gracia.",deleteItemsConfirmMessage:"\xBFEst\xE1s seguro de que quieres eliminar permanentemente {count} elemento(s)? Solo se puede deshacer hasta que termine el periodo de gracia.",deleteVersionsConfirmMessage:'\xBFEst\xE1s seguro de que quieres eliminar permanentemente las {count} versiones de "{name}"? Solo se puede deshacer hasta que termine el periodo de gracia.',restoringProgress:"Restaurando {done}/{total}\u2026",deletingProgress:"Eliminando {done}/{total}\u2026",bulkRestoreSummary:"Se restauraron {succeeded} elemento(s), {skipped} omitido(s), {failed} con error",bulkDeleteSummary:"Se eliminaron {succeeded} elemento(s), {failed} con error",previewNotAvailable:"Vista previa no disponible para",files:"archivos",restoreToView:"Restaura el archivo para verlo normalmente",unableToLoadImage:"No se pudo cargar la imagen",unableToPlay:"Este archivo no se puede reproducir aqu\xED",archiveSummary:"{count} archivo(s), {size} sin comprimir",archiveName:"Nombre",archiveModified:"Modificado",showSource:"C\xF3digo fuente",showRendered:"Renderizado",wordWrap:"Ajuste de l\xEDnea",find:"Buscar",findPlaceholder:"Buscar en el archivo\u2026",noMatchesShort:"Sin resultados",previousMatch:"Coincidencia anterior (May\xFAs+Intro)",nextMatch:"Siguiente coincidencia (Intro)",noLongerInBin:"{name} ya no est\xE1 en la papelera",noLongerInBinRestored:"Se restaur\xF3 en {path}.",noLongerInBinDesc:"Se restaur\xF3 o se elimin\xF3 permanentemente.",openFile:"Abrir archivo",originalTaken:"Ruta original en uso",originalTakenDesc:"Ahora existe un archivo en la ubicaci\xF3n original; al restaurar se preguntar\xE1 c\xF3mo resolver el conflicto",noFileSelected:"Ning\xFAn archivo seleccionado",linkedFrom:"Enlazado desde {count} nota(s) al eliminarse:",updateLinks:"Actualizar enlaces",updateLinksMessage:"{count} nota(s) enlazaban a los archivos restaurados en su ubicaci\xF3n anterior. \xBFActualizar esos enlaces a la nueva ubicaci\xF3n?",updateLinksConfirm:"Actualizar enlaces",linksUpdated:"Se actualizaron {count} enlace(s)",compareWithCurrent:"Comparar con la actual",showPreview:"Mostrar vista previa",filesIdentical:"El archivo eliminado es id\xE9ntico a la versi\xF3n actual",copyHunkToCurrent:"Copiar a la nota actual",hunkCopied:'L\xEDneas copiadas en "{path}"',hunkOutdated:"La nota cambi\xF3 desde que se mostr\xF3 la comparaci\xF3n. Revisa la comparaci\xF3n actualizada e int\xE9ntalo de nuevo.",hunkCopyFailed:"No se pudieron copiar las l\xEDneas en la nota actual. Consulta la consola para m\xE1s detalles.",versionCount:"{count} versiones",versionDeleted:"Eliminado {date}",compareWithNewest:"Comparar con la versi\xF3n m\xE1s reciente",restoreVersion:"Restaurar esta versi\xF3n",trashStatistics:"Estad\xEDsticas de la papelera",totalSize:"Tama\xF1o total",trashedItems:"Elementos",itemsAndFiles:"{count} ({files} archivos)",itemsCount:"{count} elemento(s)",nextPurgeFrees:"La pr\xF3xima eliminaci\xF3n libera",byFileType:"Por tipo de archivo",deletionsOverTime:"Eliminaciones a lo largo del tiempo",perDay:"Por d\xEDa",perWeek:"Por semana",largestItems:"Elementos m\xE1s grandes",topFolders:"Carpetas originales principales",category_markdown:"Markdown",category_code:"C\xF3digo",category_image:"Im\xE1genes",category_document:"Documentos",category_archive:"Archivos comprimidos",category_audio:"Audio",category_video:"V\xEDdeo",category_other:"Otros",groupNone:"Sin agrupar",groupByFolder:"Agrupar por carpeta",groupByType:"Agrupar por tipo de archivo",groupByDate:"Agrupar por fecha de eliminaci\xF3n",category_folder:"Carpetas",thisWeek:"Esta semana",older:"M\xE1s antiguos",restoreAll:"Restaurar todo",deleteAll:"Eliminar todo"},fr:{recycleBin:"Corbeille",recycleBinSettings:"Param\xE8tres de la Corbeille",trashedFilePreview:"Aper\xE7u du fichier supprim\xE9",binEmpty:"Votre corbeille est vide",deletedFilesAppear:"Les fichiers supprim\xE9s appara\xEEtront ici",binNotConfigured:"La corbeille n'est pas configur\xE9e",usingSystemTrash:"\u26A0\uFE0F Vous utilisez la corbeille syst\xE8me.",goToSettings:"Allez dans Param\xE8tres \u2192 Corbeille pour activer.",restore:"Restaurer",restoreTo:"Restaurer dans\u2026",chooseFolder:"Choisissez un dossier o\xF9 restaurer\u2026",createFolder:'Cr\xE9er le dossier "{path}"',deleteForever:"Supprimer d\xE9finitivement",emptyAll:"Tout vider",refresh:"Actualiser",close:"Fermer",cancel:"Annuler",delete:"Supprimer",preview:"Aper\xE7u",originalLocation:"Emplacement d'origine",size:"Taille",deleted:"Supprim\xE9",items:"\xE9l\xE9ments",deletedOnDevice:"sur {device}",today:"Aujourd'hui",yesterday:"Hier",daysAgo:"jours",unknown:"Inconnu",fileInBin:"Ce fichier est dans la Corbeille",trashLocation:"\u{1F4CD} Emplacement de la Corbeille",deletedFilesLocation:"Emplacement des fichiers supprim\xE9s",deletedFilesLocationDesc:'Choisissez o\xF9 vont les fichiers supprim\xE9s. Avec la corbeille syst\xE8me ou la suppression d\xE9finitive, activez "Conserver des copies des fichiers supprim\xE9s" ci-dessous pour utiliser ce plugin.',obsidianTrashFolder:"\u{1F4C1} Dossier .trash d'Obsidian (recommand\xE9)",systemTrash:"\u{1F5D1}\uFE0F Corbeille syst\xE8me",permanentDelete:"\u26A0\uFE0F Supprimer d\xE9finitivement (sans r\xE9cup\xE9ration)",usingObsidianTrash:"\u2713 Utilise le dossier .trash d'Obsidian",deletedFilesWillAppear:"Les fichiers supprim\xE9s appara\xEEtront dans cette Corbeille.",usingSystemTrashWarning:"\u26A0 Utilise la corbeille syst\xE8me",systemTrashWarningDesc:"Les fichiers supprim\xE9s vont dans la corbeille de l'OS, pas dans cette Corbeille. Changez ci-dessous, ou conservez des copies des fichiers supprim\xE9s, pour utiliser ce plugin.",permanentDeleteWarning:"\u26A0 Suppression permanente activ\xE9e",permanentDeleteWarningDesc:"Les fichiers supprim\xE9s sont d\xE9truits imm\xE9diatement ! Changez ci-dessous pour activer la r\xE9cup\xE9ration.",trashLocationChanged:"Emplacement de la corbeille chang\xE9 en",captureMode:"Conserver des copies des fichiers supprim\xE9s",captureModeDesc:"Copie chaque fichier supprim\xE9 dans Obsidian dans la corbeille propre au plugin (.recycle-bin) avant qu'il ne parte dans la corbeille syst\xE8me ou ne soit supprim\xE9, pour que vous puissiez toujours le pr\xE9visualiser et le restaurer ici.",captureActive:"\u2713 Copies des fichiers supprim\xE9s conserv\xE9es",captureActiveDesc:"Les fichiers supprim\xE9s sont copi\xE9s dans cette Corbeille avant qu'Obsidian ne les retire.",captureFailed:"Impossible de conserver une copie de {name}, le fichier n'a donc pas \xE9t\xE9 supprim\xE9",binFolders:"Dossiers de corbeille suppl\xE9mentaires",binFoldersDesc:"Dossiers dont le contenu est list\xE9 dans cette Corbeille \xE0 c\xF4t\xE9 de la corbeille, par exemple un dossier dans lequel d'autres outils d\xE9placent les notes supprim\xE9es. Les chemins sont relatifs \xE0 la racine du coffre.",addBinFolder:"Ajouter un dossier",removeBinFolder:"Retirer le dossier",invalidBinFolder:"Ce dossier ne peut pas \xEAtre utilis\xE9 comme dossier de corbeille",binSource:"Dossier de corbeille",sourceTrash:"Corbeille",sourceCapture:"Copie conserv\xE9e",pluginSettings:"\u2699\uFE0F Param\xE8tres du Plugin",settingsDisabled:"\u26A0\uFE0F Param\xE8tres d\xE9sactiv\xE9s",settingsDisabledDesc:`Changez "Emplacement des fichiers supprim\xE9s" ci-dessus en "Dossier .trash d'Obsidian", ou activez "Conserver des copies des fichiers supprim\xE9s", pour activer ce plugin.`,autoPurge:"Supprimer automatiquement les anciens fichiers",autoPurgeDesc:"Supprimer automatiquement les fichiers plus anciens qu'un nombre sp\xE9cifi\xE9 de jours",autoPurgeDays:"Supprimer automatiquement apr\xE8s (jours)",autoPurgeDaysDesc:"Supprimer les fichiers qui ne correspondent \xE0 aucune r\xE8gle de conservation une fois plus anciens que ce nombre de jours",autoPurgeInterval:"Planification de la suppression automatique",hourly:"Toutes les heures",daily:"Tous les jours",nextPurge:"Prochaine suppression automatique : {time}",expiringSoon:"Expire bient\xF4t",expiresInDays:"Expire dans {count} jour(s)",expiresNextPurge:"Supprim\xE9 au prochain passage",keepForever:"Conserver pour toujours",allowPurge:"Autoriser la suppression automatique",keptForever:"Conserv\xE9 pour toujours",maxBinSize:"Taille maximale de la corbeille (Mo)",maxBinSizeDesc:"Quand la corbeille d\xE9passe cette taille, les \xE9l\xE9ments les plus anciens sont supprim\xE9s en premier. 0 signifie aucune limite.",purgeAction:"\xC9l\xE9ments supprim\xE9s",purgeActionDesc:"Ce que Tout vider et la suppression automatique font des \xE9l\xE9ments qu'ils retirent. Les \xE9l\xE9ments archiv\xE9s sont ajout\xE9s \xE0 une archive ZIP par mois, avec un manifeste de leurs chemins d'origine et dates de suppression.",purgeActionDelete:"Supprimer d\xE9finitivement",purgeActionArchive:"D\xE9placer vers l'archive",archiveLocation:"Emplacement des archives",archiveLocationDesc:"Dossier du coffre pour les archives, ou sur ordinateur un chemin absolu hors du coffre, comme /Users/moi/Sauvegardes.",retentionRules:"R\xE8gles de conservation",retentionRulesDesc:"V\xE9rifi\xE9es de haut en bas ; la premi\xE8re r\xE8gle correspondant \xE0 un \xE9l\xE9ment d\xE9cide combien de temps il est conserv\xE9. Les champs vides correspondent \xE0 tout. Les chemins sont des globs sur le chemin d'origine, p. ex. Journal/** ou **/*.png.",retentionRule:"R\xE8gle {number}",ruleExtensions:"Extensions, p. ex. md, png",rulePath:"Chemin, p. ex. Journal/**",ruleMinSize:"Taille min. (Mo)",ruleDays:"Jours",rulePurgeAfter:"Supprimer apr\xE8s (jours)",ruleKeepForever:"Ne jamais supprimer",moveUp:"Monter",moveDown:"Descendre",removeRule:"Retirer la r\xE8gle",addRule:"Ajouter une r\xE8gle",previewPurge:"Aper\xE7u de la prochaine suppression",purgeNothing:"La prochaine suppression ne retirerait rien.",purgeSummary:"La prochaine suppression retirerait {count} \xE9l\xE9ment(s) et lib\xE9rerait {size} :",archiveNow:"Archiver maintenant",purgeNow:"Supprimer maintenant",purgeReasonDefault:"\xC2ge par d\xE9faut",purgeReasonSize:"Limite de taille de la corbeille",undoGraceSeconds:"D\xE9lai d'annulation (secondes)",undoGraceSecondsDesc:"Les \xE9l\xE9ments supprim\xE9s d\xE9finitivement sont retenus pendant ce d\xE9lai pour pouvoir \xEAtre annul\xE9s. 0 supprime imm\xE9diatement.",undoLimit:"Historique d'annulation",undoLimitDesc:"Nombre de restaurations et suppressions r\xE9centes qui peuvent \xEAtre annul\xE9es",showConfirmations:"Afficher les dialogues de confirmation",showConfirmationsDesc:"Demander confirmation avant de supprimer ou vider la corbeille",showMetadata:"Afficher les m\xE9tadonn\xE9es des fichiers",showMetadataDesc:"Afficher la taille et la date de suppression dans la liste",searchContent:"Rechercher dans le contenu des fichiers",searchContentDesc:"Rechercher aussi dans le texte des fichiers markdown et texte supprim\xE9s (plus lent pour les grandes corbeilles)",showDeleteButton:"Afficher le bouton de suppression par \xE9l\xE9ment",showDeleteButtonDesc:"Afficher un bouton de suppression sur chaque \xE9l\xE9ment pour supprimer d\xE9finitivement des fichiers individuels",language:"Langue",languageDesc:"Choisir la langue d'affichage (auto = d\xE9tecter d'Obsidian)",languageAuto:"D\xE9tection automatique",acknowledgements:"Remerciements",acknowledgementsText:`Ce plugin a \xE9t\xE9 inspir\xE9 par <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. Merci pour le concept original et l'inspiration !`,translationNote:'\u{1F30D} Les traductions ont \xE9t\xE9 g\xE9n\xE9r\xE9es par IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Signaler des erreurs</a>',deletePermanently:"Supprimer d\xE9finitivement",deleteConfirmMessage:`\xCAtes-vous s\xFBr de vouloir supprimer d\xE9finitivement "{name}" ? Cette action ne peut \xEAtre annul\xE9e que pendant le d\xE9lai d'annulation.`,restoreConflict:"Le fichier existe d\xE9j\xE0",restoreConflictMessage:'"{path}" existe d\xE9j\xE0 dans votre coffre. Que voulez-vous faire ?',restoreKeepBoth:'Restaurer sous "{name}"',restoreOverwrite:"\xC9craser (d\xE9placer le fichier actuel dans la corbeille)",restoreCompare:"Comparer",restoreSkip:"Ignorer",applyToAll:"Appliquer \xE0 tous les conflits",trashedVersion:"Dans la corbeille",currentVersion:"Fichier actuel",emptyBin:"Vider la corbeille",emptyBinConfirmMessage:"\xCAtes-vous s\xFBr de vouloir supprimer d\xE9finitivement TOUS les fichiers de la corbeille ? Cette action ne peut \xEAtre annul\xE9e que pendant le d\xE9lai d'annulation !",archiveAll:"Tout archiver",restored:'"{name}" restaur\xE9',cannotRestore:'Impossible de restaurer "{name}". Consultez la console pour plus de d\xE9tails.',restoreSkipped:'Restauration de "{name}" ignor\xE9e',cannotDelete:'Impossible de supprimer "{name}". Voir la console pour plus de d\xE9tails.',undo:"Annuler",undoLastAction:"Annuler la derni\xE8re action de la corbeille",undone:"Action de la corbeille annul\xE9e",undoFailed:"Annulation incompl\xE8te : {count} \xE9l\xE9ment(s) n'ont pas pu \xEAtre remis en place",nothingToUndo:"Rien \xE0 annuler",binEmptied:"Corbeille vid\xE9e",binAlreadyEmpty:"La corbeille est d\xE9j\xE0 vide",autoPurged:"{count} ancien(s) fichier(s) automatiquement supprim\xE9(s) de la corbeille",autoArchived:"{count} ancien(s) \xE9l\xE9ment(s) archiv\xE9(s) depuis la corbeille",binArchived:"Corbeille archiv\xE9e dans {path} et vid\xE9e",archiveFailed:"\xC9chec de l'archivage, rien n'a \xE9t\xE9 supprim\xE9. Voir la console d\xE9veloppeur pour plus de d\xE9tails",purgeFailed:"\xC9chec du vidage de la corbeille. Voir la console d\xE9veloppeur pour plus de d\xE9tails",exportingProgress:"Export de {count} \xE9l\xE9ment(s)...",exportedItems:"{count} \xE9l\xE9ment(s) export\xE9(s) vers {path}",exportFailed:"\xC9chec de l'export, voir la console d\xE9veloppeur pour plus de d\xE9tails",importingProgress:"Import de {name}...",importedItems:"{count} \xE9l\xE9ment(s) import\xE9(s) dans la corbeille",importFailed:"Impossible d'importer {name}",searchPlaceholder:"Rechercher des fichiers supprim\xE9s... (essayez ext:pdf ou is:folder)",noMatches:"Aucun \xE9l\xE9ment ne correspond \xE0 votre recherche",sortNewest:"Plus r\xE9cents d'abord",sortOldest:"Plus anciens d'abord",sortNameAZ:"Nom A-Z",sortNameZA:"Nom Z-A",sortLargest:"Plus grands d'abord",sortSmallest:"Plus petits d'abord",exportBinToZip:"Exporter la corbeille en ZIP",importFromZip:"Importer depuis un ZIP",selectedCount:"{count} s\xE9lectionn\xE9(s)",selectAllMatching:"Tout s\xE9lectionner",invertSelection:"Inverser",restoreSelected:"Restaurer la s\xE9lection",deleteSelected:"Supprimer la s\xE9lection",restoreNewestVersion:"Restaurer la version la plus r\xE9cente",deleteAllVersions:"Supprimer d\xE9finitivement les {count} versions",exportSelected:"Exporter la s\xE9lection",deleteSelectedConfirmMessage:"\xCAtes-vous s\xFBr de vouloir supprimer d\xE9finitivement {count} \xE9l\xE9ment(s) s\xE9lectionn\xE9(s) ? Cette action ne peut \xEAtre annul\xE9e que pendant le d\xE9lai d'annulation.",deleteItemsConfirmMessage:"\xCAtes-vous s\xFBr de vouloir supprimer d\xE9finitivement {count} \xE9l\xE9ment(s) ? Cette action ne peut \xEAtre annul\xE9e que pendant le d\xE9lai d'annulation.",deleteVersionsConfirmMessage:`\xCAtes-vous s\xFBr de vouloir supprimer d\xE9finitivement les {count} versions de "{name}" ? Cette action ne peut \xEAtre annul\xE9e que pendant le d\xE9lai d'annulation.`,restoringProgress:"Restauration {done}/{total}\u2026",deletingProgress:"Suppression {done}/{total}\u2026",bulkRestoreSummary:"{succeeded} \xE9l\xE9ment(s) restaur\xE9(s), {skipped} ignor\xE9(s), {failed} en \xE9chec",bulkDeleteSummary:"{succeeded} \xE9l\xE9ment(s) supprim\xE9(s), {failed} en \xE9chec",previewNotAvailable:"Aper\xE7u non disponible pour",files:"fichiers",restoreToView:"Restaurez le fichier pour le voir normalement",unableToLoadImage:"Impossible de charger l'image",unableToPlay:"Ce fichier ne peut pas \xEAtre lu ici",archiveSummary:"{count} fichier(s), {size} non compress\xE9(s)",archiveName:"Nom",archiveModified:"Modifi\xE9",showSource:"Source",showRendered:"Rendu",wordWrap:"Retour \xE0 la ligne",find:"Rechercher",findPlaceholder:"Rechercher dans le fichier\u2026",noMatchesShort:"Aucun r\xE9sultat",previousMatch:"R\xE9sultat pr\xE9c\xE9dent (Maj+Entr\xE9e)",nextMatch:"R\xE9sultat suivant (Entr\xE9e)",noLongerInBin:"{name} n'est plus dans la corbeille",noLongerInBinRestored:"Il a \xE9t\xE9 restaur\xE9 dans {path}.",noLongerInBinDesc:"Il a \xE9t\xE9 restaur\xE9 ou supprim\xE9 d\xE9finitivement.",openFile:"Ouvrir le fichier",originalTaken:"Chemin d'origine utilis\xE9",originalTakenDesc:"Un fichier existe maintenant \xE0 l'emplacement d'origine ; la restauration demandera comment r\xE9soudre le conflit",noFileSelected:"Aucun fichier s\xE9lectionn\xE9",linkedFrom:"Li\xE9 depuis {count} note(s) lors de la suppression :",updateLinks:"Mettre \xE0 jour les liens",updateLinksMessage:"{count} note(s) pointaient vers le ou les fichiers restaur\xE9s \xE0 leur ancien emplacement. Mettre \xE0 jour ces liens vers le nouvel emplacement ?",updateLinksConfirm:"Mettre \xE0 jour les liens",linksUpdated:"{count} lien(s) mis \xE0 jour",compareWithCurrent:"Comparer avec la version actuelle",showPreview:"Afficher l'aper\xE7u",filesIdentical:"Le fichier supprim\xE9 est identique \xE0 la version actuelle",copyHunkToCurrent:"Copier dans la note actuelle",hunkCopied:'Lignes copi\xE9es dans "{path}"',hunkOutdated:"La note a chang\xE9 depuis l'affichage de la comparaison. V\xE9rifiez la comparaison mise \xE0 jour et r\xE9essayez.",hunkCopyFailed:"Impossible de copier les lignes dans la note actuelle. Voir la console pour plus de d\xE9tails.",versionCount:"{count} versions",versionDeleted:"Supprim\xE9 {date}",compareWithNewest:"Comparer avec la version la plus r\xE9cente",restoreVersion:"Restaurer cette version",trashStatistics:"Statistiques de la corbeille",totalSize:"Taille totale",trashedItems:"\xC9l\xE9ments",itemsAndFiles:"{count} ({files} fichiers)",itemsCount:"{count} \xE9l\xE9ment(s)",nextPurgeFrees:"La prochaine suppression lib\xE8re",byFileType:"Par type de fichier",deletionsOverTime:"Suppressions dans le temps",perDay:"Par jour",perWeek:"Par semaine",largestItems:"Plus gros \xE9l\xE9ments",topFolders:"Principaux dossiers d'origine",category_markdown:"Markdown",category_code:"Code",category_image:"Images",category_document:"Documents",category_archive:"Archives",category_audio:"Audio",category_video:"Vid\xE9o",category_other:"Autres",groupNone:"Aucun regroupement",groupByFolder:"Grouper par dossier",groupByType:"Grouper par type de fichier",groupByDate:"Grouper par date de suppression",category_folder:"Dossiers",thisWeek:"Cette semaine",older:"Plus ancien",restoreAll:"Tout restaurer",deleteAll:"Tout supprimer"},pt:{recycleBin:"Lixeira",recycleBinSettings:"Configura\xE7\xF5es da Lixeira",trashedFilePreview:"Visualiza\xE7\xE3o de arquivo exclu\xEDdo",binEmpty:"Sua lixeira est\xE1 vazia",deletedFilesAppear:"Arquivos exclu\xEDdos aparecer\xE3o aqui",binNotConfigured:"A lixeira n\xE3o est\xE1 configurada",usingSystemTrash:"\u26A0\uFE0F Voc\xEA est\xE1 usando a lixeira do sistema.",goToSettings:"V\xE1 para Configura\xE7\xF5es \u2192 Lixeira para ativar.",restore:"Restaurar",restoreTo:"Restaurar em\u2026",chooseFolder:"Escolha uma pasta para restaurar\u2026",createFolder:'Criar pasta "{path}"',deleteForever:"Excluir permanentemente",emptyAll:"Esvaziar tudo",refresh:"Atualizar",close:"Fechar",cancel:"Cancelar",delete:"Excluir",preview:"Visualizar",originalLocation:"Local original",size:"Tamanho",deleted:"Exclu\xEDdo",items:"itens",deletedOnDevice:"em {device}",today:"Hoje",yesterday:"Ontem",daysAgo:"dias atr\xE1s",unknown:"Desconhecido",fileInBin:"Este arquivo est\xE1 na Lixeira",trashLocation:"\u{1F4CD} Local da Lixeira",deletedFilesLocation:"Local dos arquivos exclu\xEDdos",deletedFilesLocationDesc:'Escolha para onde v\xE3o os arquivos exclu\xEDdos. Com a lixeira do sistema ou a exclus\xE3o permanente, ative "Manter c\xF3pias dos arquivos exclu\xEDdos" abaixo para usar este plugin.',obsidianTrashFolder:"\u{1F4C1} Pasta .trash do Obsidian (recomendado)",systemTrash:"\u{1F5D1}\uFE0F Lixeira do sistema",permanentDelete:"\u26A0\uFE0F Excluir permanentemente (sem recupera\xE7\xE3o)",usingObsidianTrash:"\u2713 Usando a pasta .trash do Obsidian",deletedFilesWillAppear:"Arquivos exclu\xEDdos aparecer\xE3o nesta Lixeira.",usingSystemTrashWarning:"\u26A0 Usando a lixeira do sistema",systemTrashWarningDesc:"Arquivos exclu\xEDdos v\xE3o para a lixeira do SO, n\xE3o para esta Lixeira. Mude abaixo, ou mantenha c\xF3pias dos arquivos exclu\xEDdos, para usar este plugin.",permanentDeleteWarning:"\u26A0 Exclus\xE3o permanente ativada",permanentDeleteWarningDesc:"Arquivos exclu\xEDdos s\xE3o destru\xEDdos imediatamente! Mude abaixo para ativar a recupera\xE7\xE3o.",trashLocationChanged:"Local da lixeira alterado para",captureMode:"Manter c\xF3pias dos arquivos exclu\xEDdos",captureModeDesc:"Copia cada arquivo exclu\xEDdo no Obsidian para a lixeira pr\xF3pria do plugin (.recycle-bin) antes que ele v\xE1 para a lixeira do sistema ou seja exclu\xEDdo, para que voc\xEA ainda possa visualiz\xE1-lo e restaur\xE1-lo aqui.",captureActive:"\u2713 Mantendo c\xF3pias dos arquivos exclu\xEDdos",captureActiveDesc:"Arquivos exclu\xEDdos s\xE3o copiados para esta Lixeira antes que o Obsidian os remova.",captureFailed:"N\xE3o foi poss\xEDvel manter uma c\xF3pia de {name}, por isso ele n\xE3o foi exclu\xEDdo",binFolders:"Pastas de lixeira adicionais",binFoldersDesc:"Pastas cujo conte\xFAdo \xE9 listado nesta Lixeira junto com a lixeira, por exemplo uma pasta para onde outras ferramentas movem notas exclu\xEDdas. Os caminhos s\xE3o relativos \xE0 raiz do cofre.",addBinFolder:"Adicionar pasta",removeBinFolder:"Remover pasta",invalidBinFolder:"Esta pasta n\xE3o pode ser usada como pasta de lixeira",binSource:"Pasta de lixeira",sourceTrash:"Lixeira",sourceCapture:"C\xF3pia mantida",pluginSettings:"\u2699\uFE0F Configura\xE7\xF5es do Plugin",settingsDisabled:"\u26A0\uFE0F Configura\xE7\xF5es desativadas",settingsDisabledDesc:'Altere "Local dos arquivos exclu\xEDdos" acima para "Pasta .trash do Obsidian", ou ative "Manter c\xF3pias dos arquivos exclu\xEDdos", para ativar este plugin.',autoPurge:"Excluir arquivos antigos automaticamente",autoPurgeDesc:"Excluir automaticamente arquivos mais antigos que um n\xFAmero especificado de dias",autoPurgeDays:"Excluir automaticamente ap\xF3s (dias)",autoPurgeDaysDesc:"Excluir arquivos que n\xE3o correspondem a nenhuma regra de reten\xE7\xE3o quando forem mais antigos que este n\xFAmero de dias",autoPurgeInterval:"Agendamento da exclus\xE3o autom\xE1tica",hourly:"A cada hora",daily:"Diariamente",nextPurge:"Pr\xF3xima exclus\xE3o autom\xE1tica: {time}",expiringSoon:"Expirando em breve",expiresInDays:"Expira em {count} dia(s)",expiresNextPurge:"Exclu\xEDdo na pr\xF3xima execu\xE7\xE3o",keepForever:"Manter para sempre",allowPurge:"Permitir exclus\xE3o autom\xE1tica",keptForever:"Mantido para sempre",maxBinSize:"Tamanho m\xE1ximo da lixeira (MB)",maxBinSizeDesc:"Quando a lixeira ultrapassa este tamanho, os itens mais antigos s\xE3o exclu\xEDdos primeiro. 0 significa sem limite.",purgeAction:"Itens exclu\xEDdos",purgeActionDesc:"O que Esvaziar tudo e a exclus\xE3o autom\xE1tica fazem com os itens que removem. Itens arquivados s\xE3o adicionados a um arquivo ZIP por m\xEAs, com um manifesto dos caminhos originais e datas de exclus\xE3o.",purgeActionDelete:"Excluir permanentemente",purgeActionArchive:"Mover para o arquivo",archiveLocation:"Local do arquivo",archiveLocationDesc:"Pasta do cofre para os arquivos, ou no desktop um caminho absoluto fora do cofre, como /Users/eu/Backups.",retentionRules:"Regras de reten\xE7\xE3o",retentionRulesDesc:"Verificadas de cima para baixo; a primeira regra que corresponde a um item decide por quanto tempo ele \xE9 mantido. Campos vazios correspondem a tudo. Caminhos s\xE3o globs sobre o caminho original, ex.: Journal/** ou **/*.png.",retentionRule:"Regra {number}",ruleExtensions:"Extens\xF5es, ex.: md, png",rulePath:"Caminho, ex.: Journal/**",ruleMinSize:"Tamanho m\xEDn. (MB)",ruleDays:"Dias",rulePurgeAfter:"Excluir ap\xF3s dias",ruleKeepForever:"Nunca excluir",moveUp:"Mover para cima",moveDown:"Mover para baixo",removeRule:"Remover regra",addRule:"Adicionar regra",previewPurge:"Visualizar pr\xF3xima exclus\xE3o",purgeNothing:"A pr\xF3xima exclus\xE3o n\xE3o removeria nada.",purgeSummary:"A pr\xF3xima exclus\xE3o removeria {count} item(ns), liberando {size}:",archiveNow:"Arquivar agora",purgeNow:"Excluir agora",purgeReasonDefault:"Idade padr\xE3o",purgeReasonSize:"Limite de tamanho da lixeira",undoGraceSeconds:"Per\xEDodo de car\xEAncia para desfazer (segundos)",undoGraceSecondsDesc:"Itens exclu\xEDdos permanentemente s\xE3o retidos por este tempo para que possam ser desfeitos. 0 exclui imediatamente.",undoLimit:"Hist\xF3rico de desfazer",undoLimitDesc:"N\xFAmero de restaura\xE7\xF5es e exclus\xF5es recentes que podem ser desfeitas",showConfirmations:"Mostrar di\xE1logos de confirma\xE7\xE3o",showConfirmationsDesc:"Pedir confirma\xE7\xE3o antes de excluir ou esvaziar a lixeira",showMetadata:"Mostrar metadados de arquivos",showMetadataDesc:"Exibir tamanho e data de exclus\xE3o na lista",searchContent:"Pesquisar conte\xFAdo dos arquivos",searchContentDesc:"Tamb\xE9m pesquisar o texto dos arquivos markdown e de texto exclu\xEDdos (mais lento em lixeiras grandes)",showDeleteButton:"Mostrar bot\xE3o de exclus\xE3o por item",showDeleteButtonDesc:"Mostrar um bot\xE3o de exclus\xE3o em cada item para excluir permanentemente arquivos individuais",language:"Idioma",languageDesc:"Escolher idioma de exibi\xE7\xE3o (auto = detectar do Obsidian)",languageAuto:"Detectar automaticamente",acknowledgements:"Agradecimentos",acknowledgementsText:'Este plugin foi inspirado pelo <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. Obrigado pelo conceito original e inspira\xE7\xE3o!',translationNote:'\u{1F30D} Tradu\xE7\xF5es foram geradas por IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Reportar erros</a>',deletePermanently:"Excluir permanentemente",deleteConfirmMessage:'Tem certeza de que deseja excluir permanentemente "{name}"? S\xF3 \xE9 poss\xEDvel desfazer at\xE9 o fim do per\xEDodo de car\xEAncia.',restoreConflict:"O arquivo j\xE1 existe",restoreConflictMessage:'"{path}" j\xE1 existe no seu cofre. O que voc\xEA deseja fazer?',restoreKeepBoth:'Restaurar como "{name}"',restoreOverwrite:"Sobrescrever (mover o arquivo atual para a lixeira)",restoreCompare:"Comparar",restoreSkip:"Pular",applyToAll:"Aplicar a todos os conflitos",trashedVersion:"Na lixeira",currentVersion:"Arquivo atual",emptyBin:"Esvaziar lixeira",emptyBinConfirmMessage:"Tem certeza de que deseja excluir permanentemente TODOS os arquivos da lixeira? S\xF3 \xE9 poss\xEDvel desfazer at\xE9 o fim do per\xEDodo de car\xEAncia!",archiveAll:"Arquivar tudo",restored:'"{name}" restaurado',cannotRestore:'N\xE3o foi poss\xEDvel restaurar "{name}". Veja o console para detalhes.',restoreSkipped:'Restaura\xE7\xE3o de "{name}" pulada',cannotDelete:'N\xE3o foi poss\xEDvel excluir "{name}". Veja o console para detalhes.',undo:"Desfazer",undoLastAction:"Desfazer a \xFAltima a\xE7\xE3o da lixeira",undone:"A\xE7\xE3o da lixeira desfeita",undoFailed:"Desfazer incompleto: {count} item(ns) n\xE3o puderam ser devolvidos",nothingToUndo:"Nada para desfazer",binEmptied:"Lixeira esvaziada",binAlreadyEmpty:"A lixeira j\xE1 est\xE1 vazia",autoPurged:"{count} arquivo(s) antigo(s) exclu\xEDdo(s) automaticamente da lixeira",autoArchived:"{count} item(ns) antigo(s) arquivado(s) da lixeira",binArchived:"Lixeira arquivada em {path} e esvaziada",archiveFailed:"Falha ao arquivar, nada foi exclu\xEDdo. Veja o console do desenvolvedor para detalhes",purgeFailed:"Falha ao esvaziar a lixeira. Veja o console do desenvolvedor para detalhes",exportingProgress:"Exportando {count} item(ns)...",exportedItems:"{count} item(ns) exportado(s) para {path}",exportFailed:"Falha na exporta\xE7\xE3o, veja o console do desenvolvedor para detalhes",importingProgress:"Importando {name}...",importedItems:"{count} item(ns) importado(s) para a lixeira",importFailed:"N\xE3o foi poss\xEDvel importar {name}",searchPlaceholder:"Pesquisar arquivos exclu\xEDdos... (experimente ext:pdf ou is:folder)",noMatches:"Nenhum item corresponde \xE0 sua pesquisa",sortNewest:"Mais recentes primeiro",sortOldest:"Mais antigos primeiro",sortNameAZ:"Nome A-Z",sortNameZA:"Nome Z-A",sortLargest:"Maiores primeiro",sortSmallest:"Menores primeiro",exportBinToZip:"Exportar lixeira para ZIP",importFromZip:"Importar de ZIP",selectedCount:"{count} selecionado(s)",selectAllMatching:"Selecionar tudo",invertSelection:"Inverter",restoreSelected:"Restaurar sele\xE7\xE3o",deleteSelected:"Excluir sele\xE7\xE3o",restoreNewestVersion:"Restaurar a vers\xE3o mais recente",deleteAllVersions:"Excluir permanentemente todas as {count} vers\xF5es",exportSelected:"Exportar sele\xE7\xE3o",deleteSelectedConfirmMessage:"Tem certeza de que deseja excluir permanentemente {count} item(ns) selecionado(s)? S\xF3 \xE9 poss\xEDvel desfazer at\xE9 o fim do per\xEDodo de car\xEAncia.",deleteItemsConfirmMessage:"Tem certeza de que deseja excluir permanentemente {count} item(ns)? S\xF3 \xE9 poss\xEDvel desfazer at\xE9 o fim do per\xEDodo de car\xEAncia.",deleteVersionsConfirmMessage:'Tem certeza de que deseja excluir permanentemente todas as {count} vers\xF5es de "{name}"? S\xF3 \xE9 poss\xEDvel desfazer at\xE9 o fim do per\xEDodo de car\xEAncia.',restoringProgress:"Restaurando {done}/{total}\u2026",deletingProgress:"Excluindo {done}/{total}\u2026",bulkRestoreSummary:"{succeeded} item(ns) restaurado(s), {skipped} pulado(s), {failed} com falha",bulkDeleteSummary:"{succeeded} item(ns) exclu\xEDdo(s), {failed} com falha",previewNotAvailable:"Visualiza\xE7\xE3o n\xE3o dispon\xEDvel para",files:"arquivos",restoreToView:"Restaure o arquivo para visualiz\xE1-lo normalmente",unableToLoadImage:"N\xE3o foi poss\xEDvel carregar a imagem",unableToPlay:"Este arquivo n\xE3o pode ser reproduzido aqui",archiveSummary:"{count} arquivo(s), {size} descompactado(s)",archiveName:"Nome",archiveModified:"Modificado",showSource:"C\xF3digo-fonte",showRendered:"Renderizado",wordWrap:"Quebra de linha",find:"Localizar",findPlaceholder:"Localizar no arquivo\u2026",noMatchesShort:"Sem resultados",previousMatch:"Resultado anterior (Shift+Enter)",nextMatch:"Pr\xF3ximo resultado (Enter)",noLongerInBin:"{name} n\xE3o est\xE1 mais na lixeira",noLongerInBinRestored:"Foi restaurado em {path}.",noLongerInBinDesc:"Foi restaurado ou exclu\xEDdo permanentemente.",openFile:"Abrir arquivo",originalTaken:"Caminho original em uso",originalTakenDesc:"Agora existe um arquivo no local original; ao restaurar, ser\xE1 perguntado como resolver o conflito",noFileSelected:"Nenhum arquivo selecionado",linkedFrom:"Vinculado por {count} nota(s) ao ser exclu\xEDdo:",updateLinks:"Atualizar links",updateLinksMessage:"{count} nota(s) vinculavam o(s) arquivo(s) restaurado(s) no local antigo. Atualizar esses links para o novo local?",updateLinksConfirm:"Atualizar links",linksUpdated:"{count} link(s) atualizado(s)",compareWithCurrent:"Comparar com a atual",showPreview:"Mostrar visualiza\xE7\xE3o",filesIdentical:"O arquivo exclu\xEDdo \xE9 id\xEAntico \xE0 vers\xE3o atual",copyHunkToCurrent:"Copiar para a nota atual",hunkCopied:'Linhas copiadas para "{path}"',hunkOutdated:"A nota mudou desde que a compara\xE7\xE3o foi exibida. Verifique a compara\xE7\xE3o atualizada e tente novamente.",hunkCopyFailed:"N\xE3o foi poss\xEDvel copiar as linhas para a nota atual. Veja o console para detalhes.",versionCount:"{count} vers\xF5es",versionDeleted:"Exclu\xEDdo {date}",compareWithNewest:"Comparar com a vers\xE3o mais recente",restoreVersion:"Restaurar esta vers\xE3o",trashStatistics:"Estat\xEDsticas da lixeira",totalSize:"Tamanho total",trashedItems:"Itens",itemsAndFiles:"{count} ({files} arquivos)",itemsCount:"{count} item(ns)",nextPurgeFrees:"A pr\xF3xima exclus\xE3o libera",byFileType:"Por tipo de arquivo",deletionsOverTime:"Exclus\xF5es ao longo do tempo",perDay:"Por dia",perWeek:"Por semana",largestItems:"Maiores itens",topFolders:"Principais pastas originais",category_markdown:"Markdown",category_code:"C\xF3digo",category_image:"Imagens",category_document:"Documentos",category_archive:"Arquivos compactados",category_audio:"\xC1udio",category_video:"V\xEDdeo",category_other:"Outros",groupNone:"Sem agrupamento",groupByFolder:"Agrupar por pasta",groupByType:"Agrupar por tipo de arquivo",groupByDate:"Agrupar por data de exclus\xE3o",category_folder:"Pastas",thisWeek:"Esta semana",older:"Mais antigos",restoreAll:"Restaurar tudo",deleteAll:"Excluir tudo"},ru:{recycleBin:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430",recycleBinSettings:"\u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u041A\u043E\u0440\u0437\u0438\u043D\u044B",trashedFilePreview:"\u041F\u0440\u043E\u0441\u043C\u043E\u0442\u0440 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u043E\u0433\u043E \u0444\u0430\u0439\u043B\u0430",binEmpty:"\u0412\u0430\u0448\u0430 \u043A\u043E\u0440\u0437\u0438\u043D\u0430 \u043F\u0443\u0441\u0442\u0430",deletedFilesAppear:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u043F\u043E\u044F\u0432\u044F\u0442\u0441\u044F \u0437\u0434\u0435\u0441\u044C",binNotConfigured:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u043D\u0435 \u043D\u0430\u0441\u0442\u0440\u043E\u0435\u043D\u0430",usingSystemTrash:"\u26A0\uFE0F \u0412\u044B \u0438\u0441\u043F\u043E\u043B\u044C\u0437\u0443\u0435\u0442\u0435 \u0441\u0438\u0441\u0442\u0435\u043C\u043D\u0443\u044E \u043A\u043E\u0440\u0437\u0438\u043D\u0443.",goToSettings:"\u041F\u0435\u0440\u0435\u0439\u0434\u0438\u0442\u0435 \u0432 \u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u2192 \u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u0434\u043B\u044F \u0432\u043A\u043B\u044E\u0447\u0435\u043D\u0438\u044F.",restore:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C",restoreTo:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C \u0432\u2026",chooseFolder:"\u0412\u044B\u0431\u0435\u0440\u0438\u0442\u0435 \u043F\u0430\u043F\u043A\u0443 \u0434\u043B\u044F \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u044F\u2026",createFolder:'\u0421\u043E\u0437\u0434\u0430\u0442\u044C \u043F\u0430\u043F\u043A\u0443 "{path}"',deleteForever:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430",emptyAll:"\u041E\u0447\u0438\u0441\u0442\u0438\u0442\u044C \u0432\u0441\u0451",refresh:"\u041E\u0431\u043D\u043E\u0432\u0438\u0442\u044C",close:"\u0417\u0430\u043A\u0440\u044B\u0442\u044C",cancel:"\u041E\u0442\u043C\u0435\u043D\u0430",delete:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C",preview:"\u041F\u0440\u043E\u0441\u043C\u043E\u0442\u0440",originalLocation:"\u0418\u0441\u0445\u043E\u0434\u043D\u043E\u0435 \u0440\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435",size:"\u0420\u0430\u0437\u043C\u0435\u0440",deleted:"\u0423\u0434\u0430\u043B\u0435\u043D\u043E",items:"\u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432",deletedOnDevice:"\u043D\u0430 {device}",today:"\u0421\u0435\u0433\u043E\u0434\u043D\u044F",yesterday:"\u0412\u0447\u0435\u0440\u0430",daysAgo:"\u0434\u043D\u0435\u0439 \u043D\u0430\u0437\u0430\u0434",unknown:"\u041D\u0435\u0438\u0437\u0432\u0435\u0441\u0442\u043D\u043E",fileInBin:"\u042D\u0442\u043E\u0442 \u0444\u0430\u0439\u043B \u043D\u0430\u0445\u043E\u0434\u0438\u0442\u0441\u044F \u0432 \u041A\u043E\u0440\u0437\u0438\u043D\u0435",trashLocation:"\u{1F4CD} \u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u041A\u043E\u0440\u0437\u0438\u043D\u044B",deletedFilesLocation:"\u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432",deletedFilesLocationDesc:'\u0412\u044B\u0431\u0435\u0440\u0438\u0442\u0435, \u043A\u0443\u0434\u0430 \u043E\u0442\u043F\u0440\u0430\u0432\u043B\u044F\u044E\u0442\u0441\u044F \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B. \u041F\u0440\u0438 \u0441\u0438\u0441\u0442\u0435\u043C\u043D\u043E\u0439 \u043A\u043E\u0440\u0437\u0438\u043D\u0435 \u0438\u043B\u0438 \u0431\u0435\u0437\u0432\u043E\u0437\u0432\u0440\u0430\u0442\u043D\u043E\u043C \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0438 \u0432\u043A\u043B\u044E\u0447\u0438\u0442\u0435 \u043D\u0438\u0436\u0435 "\u0421\u043E\u0445\u0440\u0430\u043D\u044F\u0442\u044C \u043A\u043E\u043F\u0438\u0438 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432", \u0447\u0442\u043E\u0431\u044B \u0438\u0441\u043F\u043E\u043B\u044C\u0437\u043E\u0432\u0430\u0442\u044C \u044D\u0442\u043E\u0442 \u043F\u043B\u0430\u0433\u0438\u043D.',obsidianTrashFolder:"\u{1F4C1} \u041F\u0430\u043F\u043A\u0430 .trash Obsidian (\u0440\u0435\u043A\u043E\u043C\u0435\u043D\u0434\u0443\u0435\u0442\u0441\u044F)",systemTrash:"\u{1F5D1}\uFE0F \u0421\u0438\u0441\u0442\u0435\u043C\u043D\u0430\u044F \u043A\u043E\u0440\u0437\u0438\u043D\u0430",permanentDelete:"\u26A0\uFE0F \u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 (\u0431\u0435\u0437 \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u044F)",usingObsidianTrash:"\u2713 \u0418\u0441\u043F\u043E\u043B\u044C\u0437\u0443\u0435\u0442\u0441\u044F \u043F\u0430\u043F\u043A\u0430 .trash Obsidian",deletedFilesWillAppear:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u043F\u043E\u044F\u0432\u044F\u0442\u0441\u044F \u0432 \u044D\u0442\u043E\u0439 \u041A\u043E\u0440\u0437\u0438\u043D\u0435.",usingSystemTrashWarning:"\u26A0 \u0418\u0441\u043F\u043E\u043B\u044C\u0437\u0443\u0435\u0442\u0441\u044F \u0441\u0438\u0441\u0442\u0435\u043C\u043D\u0430\u044F \u043A\u043E\u0440\u0437\u0438\u043D\u0430",systemTrashWarningDesc:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u043E\u0442\u043F\u0440\u0430\u0432\u043B\u044F\u044E\u0442\u0441\u044F \u0432 \u043A\u043E\u0440\u0437\u0438\u043D\u0443 \u041E\u0421, \u0430 \u043D\u0435 \u0432 \u044D\u0442\u0443 \u041A\u043E\u0440\u0437\u0438\u043D\u0443. \u0418\u0437\u043C\u0435\u043D\u0438\u0442\u0435 \u043D\u0438\u0436\u0435 \u0438\u043B\u0438 \u0441\u043E\u0445\u0440\u0430\u043D\u044F\u0439\u0442\u0435 \u043A\u043E\u043F\u0438\u0438 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432, \u0447\u0442\u043E\u0431\u044B \u0438\u0441\u043F\u043E\u043B\u044C\u0437\u043E\u0432\u0430\u0442\u044C \u044D\u0442\u043E\u0442 \u043F\u043B\u0430\u0433\u0438\u043D.",permanentDeleteWarning:"\u26A0 \u0412\u043A\u043B\u044E\u0447\u0435\u043D\u043E \u0431\u0435\u0437\u0432\u043E\u0437\u0432\u0440\u0430\u0442\u043D\u043E\u0435 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435",permanentDeleteWarningDesc:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u0443\u043D\u0438\u0447\u0442\u043E\u0436\u0430\u044E\u0442\u0441\u044F \u043D\u0435\u043C\u0435\u0434\u043B\u0435\u043D\u043D\u043E! \u0418\u0437\u043C\u0435\u043D\u0438\u0442\u0435 \u043D\u0438\u0436\u0435, \u0447\u0442\u043E\u0431\u044B \u0432\u043A\u043B\u044E\u0447\u0438\u0442\u044C \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u0435.",trashLocationChanged:"\u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u043A\u043E\u0440\u0437\u0438\u043D\u044B \u0438\u0437\u043C\u0435\u043D\u0435\u043D\u043E \u043D\u0430",captureMode:"\u0421\u043E\u0445\u0440\u0430\u043D\u044F\u0442\u044C \u043A\u043E\u043F\u0438\u0438 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432",captureModeDesc:"\u041A\u043E\u043F\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u043A\u0430\u0436\u0434\u044B\u0439 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0439 \u0432 Obsidian \u0444\u0430\u0439\u043B \u0432 \u0441\u043E\u0431\u0441\u0442\u0432\u0435\u043D\u043D\u0443\u044E \u043A\u043E\u0440\u0437\u0438\u043D\u0443 \u043F\u043B\u0430\u0433\u0438\u043D\u0430 (.recycle-bin) \u0434\u043E \u0442\u043E\u0433\u043E, \u043A\u0430\u043A \u043E\u043D \u043F\u043E\u043F\u0430\u0434\u0451\u0442 \u0432 \u0441\u0438\u0441\u0442\u0435\u043C\u043D\u0443\u044E \u043A\u043E\u0440\u0437\u0438\u043D\u0443 \u0438\u043B\u0438 \u0431\u0443\u0434\u0435\u0442 \u0443\u0434\u0430\u043B\u0451\u043D, \u0447\u0442\u043E\u0431\u044B \u0435\u0433\u043E \u043C\u043E\u0436\u043D\u043E \u0431\u044B\u043B\u043E \u043F\u0440\u043E\u0441\u043C\u043E\u0442\u0440\u0435\u0442\u044C \u0438 \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C \u0437\u0434\u0435\u0441\u044C.",captureActive:"\u2713 \u041A\u043E\u043F\u0438\u0438 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432 \u0441\u043E\u0445\u0440\u0430\u043D\u044F\u044E\u0442\u0441\u044F",captureActiveDesc:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u043A\u043E\u043F\u0438\u0440\u0443\u044E\u0442\u0441\u044F \u0432 \u044D\u0442\u0443 \u041A\u043E\u0440\u0437\u0438\u043D\u0443 \u0434\u043E \u0442\u043E\u0433\u043E, \u043A\u0430\u043A Obsidian \u0438\u0445 \u0443\u0434\u0430\u043B\u0438\u0442.",captureFailed:"\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0441\u043E\u0445\u0440\u0430\u043D\u0438\u0442\u044C \u043A\u043E\u043F\u0438\u044E {name}, \u043F\u043E\u044D\u0442\u043E\u043C\u0443 \u0444\u0430\u0439\u043B \u043D\u0435 \u0431\u044B\u043B \u0443\u0434\u0430\u043B\u0451\u043D",binFolders:"\u0414\u043E\u043F\u043E\u043B\u043D\u0438\u0442\u0435\u043B\u044C\u043D\u044B\u0435 \u043F\u0430\u043F\u043A\u0438 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",binFoldersDesc:"\u041F\u0430\u043F\u043A\u0438, \u0441\u043E\u0434\u0435\u0440\u0436\u0438\u043C\u043E\u0435 \u043A\u043E\u0442\u043E\u0440\u044B\u0445 \u043F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0435\u0442\u0441\u044F \u0432 \u044D\u0442\u043E\u0439 \u041A\u043E\u0440\u0437\u0438\u043D\u0435 \u0432\u043C\u0435\u0441\u0442\u0435 \u0441 \u043A\u043E\u0440\u0437\u0438\u043D\u043E\u0439, \u043D\u0430\u043F\u0440\u0438\u043C\u0435\u0440 \u043F\u0430\u043F\u043A\u0430, \u0432 \u043A\u043E\u0442\u043E\u0440\u0443\u044E \u0434\u0440\u0443\u0433\u0438\u0435 \u0438\u043D\u0441\u0442\u0440\u0443\u043C\u0435\u043D\u0442\u044B \u043F\u0435\u0440\u0435\u043C\u0435\u0449\u0430\u044E\u0442 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u0437\u0430\u043C\u0435\u0442\u043A\u0438. \u041F\u0443\u0442\u0438 \u0443\u043A\u0430\u0437\u044B\u0432\u0430\u044E\u0442\u0441\u044F \u043E\u0442\u043D\u043E\u0441\u0438\u0442\u0435\u043B\u044C\u043D\u043E \u043A\u043E\u0440\u043D\u044F \u0445\u0440\u0430\u043D\u0438\u043B\u0438\u0449\u0430.",addBinFolder:"\u0414\u043E\u0431\u0430\u0432\u0438\u0442\u044C \u043F\u0430\u043F\u043A\u0443",removeBinFolder:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043F\u0430\u043F\u043A\u0443",invalidBinFolder:"\u042D\u0442\u0443 \u043F\u0430\u043F\u043A\u0443 \u043D\u0435\u043B\u044C\u0437\u044F \u0438\u0441\u043F\u043E\u043B\u044C\u0437\u043E\u0432\u0430\u0442\u044C \u043A\u0430\u043A \u043F\u0430\u043F\u043A\u0443 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",binSource:"\u041F\u0430\u043F\u043A\u0430 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",sourceTrash:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430",sourceCapture:"\u0421\u043E\u0445\u0440\u0430\u043D\u0451\u043D\u043D\u0430\u044F \u043A\u043E\u043F\u0438\u044F",pluginSettings:"\u2699\uFE0F \u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u043F\u043B\u0430\u0433\u0438\u043D\u0430",settingsDisabled:"\u26A0\uFE0F \u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438 \u043E\u0442\u043A\u043B\u044E\u0447\u0435\u043D\u044B",settingsDisabledDesc:'\u0418\u0437\u043C\u0435\u043D\u0438\u0442\u0435 "\u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432" \u0432\u044B\u0448\u0435 \u043D\u0430 "\u041F\u0430\u043F\u043A\u0430 .trash Obsidian" \u0438\u043B\u0438 \u0432\u043A\u043B\u044E\u0447\u0438\u0442\u0435 "\u0421\u043E\u0445\u0440\u0430\u043D\u044F\u0442\u044C \u043A\u043E\u043F\u0438\u0438 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432", \u0447\u0442\u043E\u0431\u044B \u0432\u043A\u043B\u044E\u0447\u0438\u0442\u044C \u044D\u0442\u043E\u0442 \u043F\u043B\u0430\u0433\u0438\u043D.',autoPurge:"\u0410\u0432\u0442\u043E\u043C\u0430\u0442\u0438\u0447\u0435\u0441\u043A\u0438 \u0443\u0434\u0430\u043B\u044F\u0442\u044C \u0441\u0442\u0430\u0440\u044B\u0435 \u0444\u0430\u0439\u043B\u044B",autoPurgeDesc:"\u0410\u0432\u0442\u043E\u043C\u0430\u0442\u0438\u0447\u0435\u0441\u043A\u0438 \u0443\u0434\u0430\u043B\u044F\u0442\u044C \u0444\u0430\u0439\u043B\u044B \u0441\u0442\u0430\u0440\u0448\u0435 \u0443\u043A\u0430\u0437\u0430\u043D\u043D\u043E\u0433\u043E \u043A\u043E\u043B\u0438\u0447\u0435\u0441\u0442\u0432\u0430 \u0434\u043D\u0435\u0439",autoPurgeDays:"\u0410\u0432\u0442\u043E\u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435 \u0447\u0435\u0440\u0435\u0437 (\u0434\u043D\u0435\u0439)",autoPurgeDaysDesc:"\u0423\u0434\u0430\u043B\u044F\u0442\u044C \u0444\u0430\u0439\u043B\u044B, \u043D\u0435 \u043F\u043E\u0434\u043F\u0430\u0434\u0430\u044E\u0449\u0438\u0435 \u043D\u0438 \u043F\u043E\u0434 \u043E\u0434\u043D\u043E \u043F\u0440\u0430\u0432\u0438\u043B\u043E \u0445\u0440\u0430\u043D\u0435\u043D\u0438\u044F, \u043A\u043E\u0433\u0434\u0430 \u043E\u043D\u0438 \u0441\u0442\u0430\u0440\u0448\u0435 \u044D\u0442\u043E\u0433\u043E \u043A\u043E\u043B\u0438\u0447\u0435\u0441\u0442\u0432\u0430 \u0434\u043D\u0435\u0439",autoPurgeInterval:"\u0420\u0430\u0441\u043F\u0438\u0441\u0430\u043D\u0438\u0435 \u0430\u0432\u0442\u043E\u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F",hourly:"\u041A\u0430\u0436\u0434\u044B\u0439 \u0447\u0430\u0441",daily:"\u041A\u0430\u0436\u0434\u044B\u0439 \u0434\u0435\u043D\u044C",nextPurge:"\u0421\u043B\u0435\u0434\u0443\u044E\u0449\u0435\u0435 \u0430\u0432\u0442\u043E\u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435: {time}",expiringSoon:"\u0421\u043A\u043E\u0440\u043E \u0438\u0441\u0442\u0435\u043A\u0430\u0435\u0442",expiresInDays:"\u0418\u0441\u0442\u0435\u043A\u0430\u0435\u0442 \u0447\u0435\u0440\u0435\u0437 {count} \u0434\u043D.",expiresNextPurge:"\u0411\u0443\u0434\u0435\u0442 \u0443\u0434\u0430\u043B\u0435\u043D\u043E \u043F\u0440\u0438 \u0441\u043B\u0435\u0434\u0443\u044E\u0449\u0435\u043C \u0437\u0430\u043F\u0443\u0441\u043A\u0435",keepForever:"\u0425\u0440\u0430\u043D\u0438\u0442\u044C \u0432\u0441\u0435\u0433\u0434\u0430",allowPurge:"\u0420\u0430\u0437\u0440\u0435\u0448\u0438\u0442\u044C \u0430\u0432\u0442\u043E\u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435",keptForever:"\u0425\u0440\u0430\u043D\u0438\u0442\u0441\u044F \u0432\u0441\u0435\u0433\u0434\u0430",maxBinSize:"\u041C\u0430\u043A\u0441\u0438\u043C\u0430\u043B\u044C\u043D\u044B\u0439 \u0440\u0430\u0437\u043C\u0435\u0440 \u043A\u043E\u0440\u0437\u0438\u043D\u044B (\u041C\u0411)",maxBinSizeDesc:"\u041A\u043E\u0433\u0434\u0430 \u043A\u043E\u0440\u0437\u0438\u043D\u0430 \u043F\u0440\u0435\u0432\u044B\u0448\u0430\u0435\u0442 \u044D\u0442\u043E\u0442 \u0440\u0430\u0437\u043C\u0435\u0440, \u0441\u043D\u0430\u0447\u0430\u043B\u0430 \u0443\u0434\u0430\u043B\u044F\u044E\u0442\u0441\u044F \u0441\u0430\u043C\u044B\u0435 \u0441\u0442\u0430\u0440\u044B\u0435 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u044B. 0 \u043E\u0437\u043D\u0430\u0447\u0430\u0435\u0442 \u0431\u0435\u0437 \u043E\u0433\u0440\u0430\u043D\u0438\u0447\u0435\u043D\u0438\u0439.",purgeAction:"\u0423\u0434\u0430\u043B\u044F\u0435\u043C\u044B\u0435 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u044B",purgeActionDesc:'\u0427\u0442\u043E "\u041E\u0447\u0438\u0441\u0442\u0438\u0442\u044C \u0432\u0441\u0451" \u0438 \u0430\u0432\u0442\u043E\u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435 \u0434\u0435\u043B\u0430\u044E\u0442 \u0441 \u0443\u0434\u0430\u043B\u044F\u0435\u043C\u044B\u043C\u0438 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u0430\u043C\u0438. \u0410\u0440\u0445\u0438\u0432\u0438\u0440\u0443\u0435\u043C\u044B\u0435 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u044B \u0434\u043E\u0431\u0430\u0432\u043B\u044F\u044E\u0442\u0441\u044F \u0432 ZIP-\u0430\u0440\u0445\u0438\u0432 \u0437\u0430 \u043C\u0435\u0441\u044F\u0446 \u0432\u043C\u0435\u0441\u0442\u0435 \u0441 \u043C\u0430\u043D\u0438\u0444\u0435\u0441\u0442\u043E\u043C \u0438\u0445 \u0438\u0441\u0445\u043E\u0434\u043D\u044B\u0445 \u043F\u0443\u0442\u0435\u0439 \u0438 \u0434\u0430\u0442 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F.',purgeActionDelete:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430",purgeActionArchive:"\u041F\u0435\u0440\u0435\u043C\u0435\u0441\u0442\u0438\u0442\u044C \u0432 \u0430\u0440\u0445\u0438\u0432",archiveLocation:"\u0420\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435 \u0430\u0440\u0445\u0438\u0432\u0430",archiveLocationDesc:"\u041F\u0430\u043F\u043A\u0430 \u0445\u0440\u0430\u043D\u0438\u043B\u0438\u0449\u0430 \u0434\u043B\u044F \u0430\u0440\u0445\u0438\u0432\u043E\u0432 \u0438\u043B\u0438 \u043D\u0430 \u043A\u043E\u043C\u043F\u044C\u044E\u0442\u0435\u0440\u0435 \u0430\u0431\u0441\u043E\u043B\u044E\u0442\u043D\u044B\u0439 \u043F\u0443\u0442\u044C \u0432\u043D\u0435 \u0445\u0440\u0430\u043D\u0438\u043B\u0438\u0449\u0430, \u043D\u0430\u043F\u0440\u0438\u043C\u0435\u0440 /Users/me/Backups.",retentionRules:"\u041F\u0440\u0430\u0432\u0438\u043B\u0430 \u0445\u0440\u0430\u043D\u0435\u043D\u0438\u044F",retentionRulesDesc:"\u041F\u0440\u043E\u0432\u0435\u0440\u044F\u044E\u0442\u0441\u044F \u0441\u0432\u0435\u0440\u0445\u0443 \u0432\u043D\u0438\u0437; \u043F\u0435\u0440\u0432\u043E\u0435 \u043F\u043E\u0434\u0445\u043E\u0434\u044F\u0449\u0435\u0435 \u043A \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u0443 \u043F\u0440\u0430\u0432\u0438\u043B\u043E \u043E\u043F\u0440\u0435\u0434\u0435\u043B\u044F\u0435\u0442, \u0441\u043A\u043E\u043B\u044C\u043A\u043E \u043E\u043D \u0445\u0440\u0430\u043D\u0438\u0442\u0441\u044F. \u041F\u0443\u0441\u0442\u044B\u0435 \u043F\u043E\u043B\u044F \u043F\u043E\u0434\u0445\u043E\u0434\u044F\u0442 \u043A\u043E \u0432\u0441\u0435\u043C\u0443. \u041F\u0443\u0442\u0438 \u0437\u0430\u0434\u0430\u044E\u0442\u0441\u044F glob-\u0448\u0430\u0431\u043B\u043E\u043D\u0430\u043C\u0438 \u043F\u043E \u0438\u0441\u0445\u043E\u0434\u043D\u043E\u043C\u0443 \u043F\u0443\u0442\u0438, \u043D\u0430\u043F\u0440\u0438\u043C\u0435\u0440 Journal/** \u0438\u043B\u0438 **/*.png.",retentionRule:"\u041F\u0440\u0430\u0432\u0438\u043B\u043E {number}",ruleExtensions:"\u0420\u0430\u0441\u0448\u0438\u0440\u0435\u043D\u0438\u044F, \u043D\u0430\u043F\u0440\u0438\u043C\u0435\u0440 md, png",rulePath:"\u041F\u0443\u0442\u044C, \u043D\u0430\u043F\u0440\u0438\u043C\u0435\u0440 Journal/**",ruleMinSize:"\u041C\u0438\u043D. \u0440\u0430\u0437\u043C\u0435\u0440 (\u041C\u0411)",ruleDays:"\u0414\u043D\u0435\u0439",rulePurgeAfter:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u0447\u0435\u0440\u0435\u0437 (\u0434\u043D\u0435\u0439)",ruleKeepForever:"\u041D\u0438\u043A\u043E\u0433\u0434\u0430 \u043D\u0435 \u0443\u0434\u0430\u043B\u044F\u0442\u044C",moveUp:"\u0412\u0432\u0435\u0440\u0445",moveDown:"\u0412\u043D\u0438\u0437",removeRule:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043F\u0440\u0430\u0432\u0438\u043B\u043E",addRule:"\u0414\u043E\u0431\u0430\u0432\u0438\u0442\u044C \u043F\u0440\u0430\u0432\u0438\u043B\u043E",previewPurge:"\u041F\u0440\u0435\u0434\u043F\u0440\u043E\u0441\u043C\u043E\u0442\u0440 \u0441\u043B\u0435\u0434\u0443\u044E\u0449\u0435\u0433\u043E \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F",purgeNothing:"\u0421\u043B\u0435\u0434\u0443\u044E\u0449\u0435\u0435 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435 \u043D\u0438\u0447\u0435\u0433\u043E \u043D\u0435 \u0443\u0434\u0430\u043B\u0438\u0442.",purgeSummary:"\u0421\u043B\u0435\u0434\u0443\u044E\u0449\u0435\u0435 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435 \u0443\u0434\u0430\u043B\u0438\u0442 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432: {count} \u0438 \u043E\u0441\u0432\u043E\u0431\u043E\u0434\u0438\u0442 {size}:",archiveNow:"\u0410\u0440\u0445\u0438\u0432\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u0441\u0435\u0439\u0447\u0430\u0441",purgeNow:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u0441\u0435\u0439\u0447\u0430\u0441",purgeReasonDefault:"\u0412\u043E\u0437\u0440\u0430\u0441\u0442 \u043F\u043E \u0443\u043C\u043E\u043B\u0447\u0430\u043D\u0438\u044E",purgeReasonSize:"\u041E\u0433\u0440\u0430\u043D\u0438\u0447\u0435\u043D\u0438\u0435 \u0440\u0430\u0437\u043C\u0435\u0440\u0430 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",undoGraceSeconds:"\u041F\u0435\u0440\u0438\u043E\u0434 \u043E\u0442\u043C\u0435\u043D\u044B (\u0441\u0435\u043A\u0443\u043D\u0434\u044B)",undoGraceSecondsDesc:"\u0411\u0435\u0437\u0432\u043E\u0437\u0432\u0440\u0430\u0442\u043D\u043E \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0435 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u044B \u0443\u0434\u0435\u0440\u0436\u0438\u0432\u0430\u044E\u0442\u0441\u044F \u044D\u0442\u043E \u0432\u0440\u0435\u043C\u044F, \u0447\u0442\u043E\u0431\u044B \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435 \u043C\u043E\u0436\u043D\u043E \u0431\u044B\u043B\u043E \u043E\u0442\u043C\u0435\u043D\u0438\u0442\u044C. 0 \u0443\u0434\u0430\u043B\u044F\u0435\u0442 \u0441\u0440\u0430\u0437\u0443.",undoLimit:"\u0418\u0441\u0442\u043E\u0440\u0438\u044F \u043E\u0442\u043C\u0435\u043D\u044B",undoLimitDesc:"\u041A\u043E\u043B\u0438\u0447\u0435\u0441\u0442\u0432\u043E \u043F\u043E\u0441\u043B\u0435\u0434\u043D\u0438\u0445 \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u0439 \u0438 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0439, \u043A\u043E\u0442\u043E\u0440\u044B\u0435 \u043C\u043E\u0436\u043D\u043E \u043E\u0442\u043C\u0435\u043D\u0438\u0442\u044C",showConfirmations:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u0434\u0438\u0430\u043B\u043E\u0433\u0438 \u043F\u043E\u0434\u0442\u0432\u0435\u0440\u0436\u0434\u0435\u043D\u0438\u044F",showConfirmationsDesc:"\u0417\u0430\u043F\u0440\u0430\u0448\u0438\u0432\u0430\u0442\u044C \u043F\u043E\u0434\u0442\u0432\u0435\u0440\u0436\u0434\u0435\u043D\u0438\u0435 \u043F\u0435\u0440\u0435\u0434 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435\u043C \u0438\u043B\u0438 \u043E\u0447\u0438\u0441\u0442\u043A\u043E\u0439 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",showMetadata:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u043C\u0435\u0442\u0430\u0434\u0430\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u043E\u0432",showMetadataDesc:"\u041E\u0442\u043E\u0431\u0440\u0430\u0436\u0430\u0442\u044C \u0440\u0430\u0437\u043C\u0435\u0440 \u0444\u0430\u0439\u043B\u0430 \u0438 \u0434\u0430\u0442\u0443 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u0432 \u0441\u043F\u0438\u0441\u043A\u0435",searchContent:"\u0418\u0441\u043A\u0430\u0442\u044C \u0432 \u0441\u043E\u0434\u0435\u0440\u0436\u0438\u043C\u043E\u043C \u0444\u0430\u0439\u043B\u043E\u0432",searchContentDesc:"\u041F\u0440\u0438 \u043F\u043E\u0438\u0441\u043A\u0435 \u0442\u0430\u043A\u0436\u0435 \u043F\u0440\u043E\u0432\u0435\u0440\u044F\u0442\u044C \u0442\u0435\u043A\u0441\u0442 \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 markdown- \u0438 \u0442\u0435\u043A\u0441\u0442\u043E\u0432\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432 (\u043C\u0435\u0434\u043B\u0435\u043D\u043D\u0435\u0435 \u0434\u043B\u044F \u0431\u043E\u043B\u044C\u0448\u0438\u0445 \u043A\u043E\u0440\u0437\u0438\u043D)",showDeleteButton:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u043A\u043D\u043E\u043F\u043A\u0443 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u0434\u043B\u044F \u043A\u0430\u0436\u0434\u043E\u0433\u043E \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u0430",showDeleteButtonDesc:"\u041F\u043E\u043A\u0430\u0437\u044B\u0432\u0430\u0442\u044C \u043A\u043D\u043E\u043F\u043A\u0443 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u043D\u0430 \u043A\u0430\u0436\u0434\u043E\u043C \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u0435 \u0434\u043B\u044F \u0431\u0435\u0437\u0432\u043E\u0437\u0432\u0440\u0430\u0442\u043D\u043E\u0433\u043E \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u043E\u0442\u0434\u0435\u043B\u044C\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432",language:"\u042F\u0437\u044B\u043A",languageDesc:"\u0412\u044B\u0431\u0435\u0440\u0438\u0442\u0435 \u044F\u0437\u044B\u043A \u043E\u0442\u043E\u0431\u0440\u0430\u0436\u0435\u043D\u0438\u044F (\u0430\u0432\u0442\u043E = \u043E\u043F\u0440\u0435\u0434\u0435\u043B\u0438\u0442\u044C \u0438\u0437 Obsidian)",languageAuto:"\u0410\u0432\u0442\u043E\u043E\u043F\u0440\u0435\u0434\u0435\u043B\u0435\u043D\u0438\u0435",acknowledgements:"\u0411\u043B\u0430\u0433\u043E\u0434\u0430\u0440\u043D\u043E\u0441\u0442\u0438",acknowledgementsText:'\u042D\u0442\u043E\u0442 \u043F\u043B\u0430\u0433\u0438\u043D \u0431\u044B\u043B \u0432\u0434\u043E\u0445\u043D\u043E\u0432\u043B\u0451\u043D <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> \u043E\u0442 <strong>Per Mortensen</strong>. \u0421\u043F\u0430\u0441\u0438\u0431\u043E \u0437\u0430 \u043E\u0440\u0438\u0433\u0438\u043D\u0430\u043B\u044C\u043D\u0443\u044E \u043A\u043E\u043D\u0446\u0435\u043F\u0446\u0438\u044E \u0438 \u0432\u0434\u043E\u0445\u043D\u043E\u0432\u0435\u043D\u0438\u0435!',translationNote:'\u{1F30D} \u041F\u0435\u0440\u0435\u0432\u043E\u0434\u044B \u0431\u044B\u043B\u0438 \u0441\u0433\u0435\u043D\u0435\u0440\u0438\u0440\u043E\u0432\u0430\u043D\u044B \u0418\u0418. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">\u0421\u043E\u043E\u0431\u0449\u0438\u0442\u044C \u043E\u0431 \u043E\u0448\u0438\u0431\u043A\u0430\u0445</a>',deletePermanently:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430",deleteConfirmMessage:'\u0412\u044B \u0443\u0432\u0435\u0440\u0435\u043D\u044B, \u0447\u0442\u043E \u0445\u043E\u0442\u0438\u0442\u0435 \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 \u0443\u0434\u0430\u043B\u0438\u0442\u044C "{name}"? \u041E\u0442\u043C\u0435\u043D\u0438\u0442\u044C \u044D\u0442\u043E \u043C\u043E\u0436\u043D\u043E \u0442\u043E\u043B\u044C\u043A\u043E \u0434\u043E \u043A\u043E\u043D\u0446\u0430 \u043F\u0435\u0440\u0438\u043E\u0434\u0430 \u043E\u0442\u043C\u0435\u043D\u044B.',restoreConflict:"\u0424\u0430\u0439\u043B \u0443\u0436\u0435 \u0441\u0443\u0449\u0435\u0441\u0442\u0432\u0443\u0435\u0442",restoreConflictMessage:'"{path}" \u0443\u0436\u0435 \u0441\u0443\u0449\u0435\u0441\u0442\u0432\u0443\u0435\u0442 \u0432 \u0432\u0430\u0448\u0435\u043C \u0445\u0440\u0430\u043D\u0438\u043B\u0438\u0449\u0435. \u0427\u0442\u043E \u0432\u044B \u0445\u043E\u0442\u0438\u0442\u0435 \u0441\u0434\u0435\u043B\u0430\u0442\u044C?',restoreKeepBoth:'\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C \u043A\u0430\u043A "{name}"',restoreOverwrite:"\u041F\u0435\u0440\u0435\u0437\u0430\u043F\u0438\u0441\u0430\u0442\u044C (\u043F\u0435\u0440\u0435\u043C\u0435\u0441\u0442\u0438\u0442\u044C \u0442\u0435\u043A\u0443\u0449\u0438\u0439 \u0444\u0430\u0439\u043B \u0432 \u043A\u043E\u0440\u0437\u0438\u043D\u0443)",restoreCompare:"\u0421\u0440\u0430\u0432\u043D\u0438\u0442\u044C",restoreSkip:"\u041F\u0440\u043E\u043F\u0443\u0441\u0442\u0438\u0442\u044C",applyToAll:"\u041F\u0440\u0438\u043C\u0435\u043D\u0438\u0442\u044C \u043A\u043E \u0432\u0441\u0435\u043C \u043A\u043E\u043D\u0444\u043B\u0438\u043A\u0442\u0430\u043C",trashedVersion:"\u0412 \u043A\u043E\u0440\u0437\u0438\u043D\u0435",currentVersion:"\u0422\u0435\u043A\u0443\u0449\u0438\u0439 \u0444\u0430\u0439\u043B",emptyBin:"\u041E\u0447\u0438\u0441\u0442\u0438\u0442\u044C \u043A\u043E\u0440\u0437\u0438\u043D\u0443",emptyBinConfirmMessage:"\u0412\u044B \u0443\u0432\u0435\u0440\u0435\u043D\u044B, \u0447\u0442\u043E \u0445\u043E\u0442\u0438\u0442\u0435 \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 \u0443\u0434\u0430\u043B\u0438\u0442\u044C \u0412\u0421\u0415 \u0444\u0430\u0439\u043B\u044B \u0438\u0437 \u043A\u043E\u0440\u0437\u0438\u043D\u044B? \u041E\u0442\u043C\u0435\u043D\u0438\u0442\u044C \u044D\u0442\u043E \u043C\u043E\u0436\u043D\u043E \u0442\u043E\u043B\u044C\u043A\u043E \u0434\u043E \u043A\u043E\u043D\u0446\u0430 \u043F\u0435\u0440\u0438\u043E\u0434\u0430 \u043E\u0442\u043C\u0435\u043D\u044B!",archiveAll:"\u0410\u0440\u0445\u0438\u0432\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u0432\u0441\u0451",restored:'"{name}" \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D',cannotRestore:'\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C "{name}". \u041F\u043E\u0434\u0440\u043E\u0431\u043D\u043E\u0441\u0442\u0438 \u0432 \u043A\u043E\u043D\u0441\u043E\u043B\u0438.',restoreSkipped:'\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u0435 "{name}" \u043F\u0440\u043E\u043F\u0443\u0449\u0435\u043D\u043E',cannotDelete:'\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0443\u0434\u0430\u043B\u0438\u0442\u044C "{name}". \u041F\u043E\u0434\u0440\u043E\u0431\u043D\u043E\u0441\u0442\u0438 \u0432 \u043A\u043E\u043D\u0441\u043E\u043B\u0438.',undo:"\u041E\u0442\u043C\u0435\u043D\u0438\u0442\u044C",undoLastAction:"\u041E\u0442\u043C\u0435\u043D\u0438\u0442\u044C \u043F\u043E\u0441\u043B\u0435\u0434\u043D\u0435\u0435 \u0434\u0435\u0439\u0441\u0442\u0432\u0438\u0435 \u0441 \u043A\u043E\u0440\u0437\u0438\u043D\u043E\u0439",undone:"\u0414\u0435\u0439\u0441\u0442\u0432\u0438\u0435 \u0441 \u043A\u043E\u0440\u0437\u0438\u043D\u043E\u0439 \u043E\u0442\u043C\u0435\u043D\u0435\u043D\u043E",undoFailed:"\u041E\u0442\u043C\u0435\u043D\u0430 \u043D\u0435 \u0437\u0430\u0432\u0435\u0440\u0448\u0435\u043D\u0430: \u043D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0432\u0435\u0440\u043D\u0443\u0442\u044C \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432: {count}",nothingToUndo:"\u041D\u0435\u0447\u0435\u0433\u043E \u043E\u0442\u043C\u0435\u043D\u044F\u0442\u044C",binEmptied:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u043E\u0447\u0438\u0449\u0435\u043D\u0430",binAlreadyEmpty:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u0443\u0436\u0435 \u043F\u0443\u0441\u0442\u0430",autoPurged:"\u0410\u0432\u0442\u043E\u043C\u0430\u0442\u0438\u0447\u0435\u0441\u043A\u0438 \u0443\u0434\u0430\u043B\u0435\u043D\u043E {count} \u0441\u0442\u0430\u0440\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432 \u0438\u0437 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",autoArchived:"\u0418\u0437 \u043A\u043E\u0440\u0437\u0438\u043D\u044B \u0430\u0440\u0445\u0438\u0432\u0438\u0440\u043E\u0432\u0430\u043D\u043E \u0441\u0442\u0430\u0440\u044B\u0445 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432: {count}",binArchived:"\u041A\u043E\u0440\u0437\u0438\u043D\u0430 \u0430\u0440\u0445\u0438\u0432\u0438\u0440\u043E\u0432\u0430\u043D\u0430 \u0432 {path} \u0438 \u043E\u0447\u0438\u0449\u0435\u043D\u0430",archiveFailed:"\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0430\u0440\u0445\u0438\u0432\u0438\u0440\u043E\u0432\u0430\u0442\u044C, \u043D\u0438\u0447\u0435\u0433\u043E \u043D\u0435 \u0443\u0434\u0430\u043B\u0435\u043D\u043E. \u041F\u043E\u0434\u0440\u043E\u0431\u043D\u043E\u0441\u0442\u0438 \u0432 \u043A\u043E\u043D\u0441\u043E\u043B\u0438 \u0440\u0430\u0437\u0440\u0430\u0431\u043E\u0442\u0447\u0438\u043A\u0430",purgeFailed:"\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u043E\u0447\u0438\u0441\u0442\u0438\u0442\u044C \u043A\u043E\u0440\u0437\u0438\u043D\u0443. \u041F\u043E\u0434\u0440\u043E\u0431\u043D\u043E\u0441\u0442\u0438 \u0432 \u043A\u043E\u043D\u0441\u043E\u043B\u0438 \u0440\u0430\u0437\u0440\u0430\u0431\u043E\u0442\u0447\u0438\u043A\u0430",exportingProgress:"\u042D\u043A\u0441\u043F\u043E\u0440\u0442 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432: {count}...",exportedItems:"\u042D\u043A\u0441\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u043D\u043E \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432: {count} \u0432 {path}",exportFailed:"\u041E\u0448\u0438\u0431\u043A\u0430 \u044D\u043A\u0441\u043F\u043E\u0440\u0442\u0430, \u043F\u043E\u0434\u0440\u043E\u0431\u043D\u043E\u0441\u0442\u0438 \u0432 \u043A\u043E\u043D\u0441\u043E\u043B\u0438 \u0440\u0430\u0437\u0440\u0430\u0431\u043E\u0442\u0447\u0438\u043A\u0430",importingProgress:"\u0418\u043C\u043F\u043E\u0440\u0442 {name}...",importedItems:"\u0418\u043C\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u043D\u043E \u0432 \u043A\u043E\u0440\u0437\u0438\u043D\u0443 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432: {count}",importFailed:"\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0438\u043C\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u0442\u044C {name}",searchPlaceholder:"\u041F\u043E\u0438\u0441\u043A \u0443\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0445 \u0444\u0430\u0439\u043B\u043E\u0432... (\u043F\u043E\u043F\u0440\u043E\u0431\u0443\u0439\u0442\u0435 ext:pdf \u0438\u043B\u0438 is:folder)",noMatches:"\u041D\u0435\u0442 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432, \u0441\u043E\u043E\u0442\u0432\u0435\u0442\u0441\u0442\u0432\u0443\u044E\u0449\u0438\u0445 \u043F\u043E\u0438\u0441\u043A\u0443",sortNewest:"\u0421\u043D\u0430\u0447\u0430\u043B\u0430 \u043D\u043E\u0432\u044B\u0435",sortOldest:"\u0421\u043D\u0430\u0447\u0430\u043B\u0430 \u0441\u0442\u0430\u0440\u044B\u0435",sortNameAZ:"\u0418\u043C\u044F \u0410-\u042F",sortNameZA:"\u0418\u043C\u044F \u042F-\u0410",sortLargest:"\u0421\u043D\u0430\u0447\u0430\u043B\u0430 \u0431\u043E\u043B\u044C\u0448\u0438\u0435",sortSmallest:"\u0421\u043D\u0430\u0447\u0430\u043B\u0430 \u043C\u0430\u043B\u0435\u043D\u044C\u043A\u0438\u0435",exportBinToZip:"\u042D\u043A\u0441\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u043A\u043E\u0440\u0437\u0438\u043D\u0443 \u0432 ZIP",importFromZip:"\u0418\u043C\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u0438\u0437 ZIP",selectedCount:"\u0412\u044B\u0431\u0440\u0430\u043D\u043E: {count}",selectAllMatching:"\u0412\u044B\u0431\u0440\u0430\u0442\u044C \u0432\u0441\u0435",invertSelection:"\u0418\u043D\u0432\u0435\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u0442\u044C",restoreSelected:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C \u0432\u044B\u0431\u0440\u0430\u043D\u043D\u044B\u0435",deleteSelected:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u0432\u044B\u0431\u0440\u0430\u043D\u043D\u044B\u0435",restoreNewestVersion:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C \u043D\u043E\u0432\u0435\u0439\u0448\u0443\u044E \u0432\u0435\u0440\u0441\u0438\u044E",deleteAllVersions:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 \u0432\u0441\u0435 \u0432\u0435\u0440\u0441\u0438\u0438 ({count})",exportSelected:"\u042D\u043A\u0441\u043F\u043E\u0440\u0442\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u0432\u044B\u0431\u0440\u0430\u043D\u043D\u044B\u0435",deleteSelectedConfirmMessage:"\u0412\u044B \u0443\u0432\u0435\u0440\u0435\u043D\u044B, \u0447\u0442\u043E \u0445\u043E\u0442\u0438\u0442\u0435 \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 \u0443\u0434\u0430\u043B\u0438\u0442\u044C \u0432\u044B\u0431\u0440\u0430\u043D\u043D\u044B\u0435 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u044B ({count})? \u041E\u0442\u043C\u0435\u043D\u0438\u0442\u044C \u044D\u0442\u043E \u043C\u043E\u0436\u043D\u043E \u0442\u043E\u043B\u044C\u043A\u043E \u0434\u043E \u043A\u043E\u043D\u0446\u0430 \u043F\u0435\u0440\u0438\u043E\u0434\u0430 \u043E\u0442\u043C\u0435\u043D\u044B.",deleteItemsConfirmMessage:"\u0412\u044B \u0443\u0432\u0435\u0440\u0435\u043D\u044B, \u0447\u0442\u043E \u0445\u043E\u0442\u0438\u0442\u0435 \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 \u0443\u0434\u0430\u043B\u0438\u0442\u044C \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u044B ({count})? \u041E\u0442\u043C\u0435\u043D\u0438\u0442\u044C \u044D\u0442\u043E \u043C\u043E\u0436\u043D\u043E \u0442\u043E\u043B\u044C\u043A\u043E \u0434\u043E \u043A\u043E\u043D\u0446\u0430 \u043F\u0435\u0440\u0438\u043E\u0434\u0430 \u043E\u0442\u043C\u0435\u043D\u044B.",deleteVersionsConfirmMessage:'\u0412\u044B \u0443\u0432\u0435\u0440\u0435\u043D\u044B, \u0447\u0442\u043E \u0445\u043E\u0442\u0438\u0442\u0435 \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430 \u0443\u0434\u0430\u043B\u0438\u0442\u044C \u0432\u0441\u0435 \u0432\u0435\u0440\u0441\u0438\u0438 "{name}" ({count})? \u041E\u0442\u043C\u0435\u043D\u0438\u0442\u044C \u044D\u0442\u043E \u043C\u043E\u0436\u043D\u043E \u0442\u043E\u043B\u044C\u043A\u043E \u0434\u043E \u043A\u043E\u043D\u0446\u0430 \u043F\u0435\u0440\u0438\u043E\u0434\u0430 \u043E\u0442\u043C\u0435\u043D\u044B.',restoringProgress:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u0435 {done}/{total}\u2026",deletingProgress:"\u0423\u0434\u0430\u043B\u0435\u043D\u0438\u0435 {done}/{total}\u2026",bulkRestoreSummary:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u043E: {succeeded}, \u043F\u0440\u043E\u043F\u0443\u0449\u0435\u043D\u043E: {skipped}, \u0441 \u043E\u0448\u0438\u0431\u043A\u043E\u0439: {failed}",bulkDeleteSummary:"\u0423\u0434\u0430\u043B\u0435\u043D\u043E: {succeeded}, \u0441 \u043E\u0448\u0438\u0431\u043A\u043E\u0439: {failed}",previewNotAvailable:"\u041F\u0440\u043E\u0441\u043C\u043E\u0442\u0440 \u043D\u0435\u0434\u043E\u0441\u0442\u0443\u043F\u0435\u043D \u0434\u043B\u044F",files:"\u0444\u0430\u0439\u043B\u043E\u0432",restoreToView:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u0435 \u0444\u0430\u0439\u043B \u0434\u043B\u044F \u043E\u0431\u044B\u0447\u043D\u043E\u0433\u043E \u043F\u0440\u043E\u0441\u043C\u043E\u0442\u0440\u0430",unableToLoadImage:"\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0437\u0430\u0433\u0440\u0443\u0437\u0438\u0442\u044C \u0438\u0437\u043E\u0431\u0440\u0430\u0436\u0435\u043D\u0438\u0435",unableToPlay:"\u042D\u0442\u043E\u0442 \u0444\u0430\u0439\u043B \u043D\u0435\u043B\u044C\u0437\u044F \u0432\u043E\u0441\u043F\u0440\u043E\u0438\u0437\u0432\u0435\u0441\u0442\u0438 \u0437\u0434\u0435\u0441\u044C",archiveSummary:"\u0424\u0430\u0439\u043B\u043E\u0432: {count}, {size} \u0431\u0435\u0437 \u0441\u0436\u0430\u0442\u0438\u044F",archiveName:"\u0418\u043C\u044F",archiveModified:"\u0418\u0437\u043C\u0435\u043D\u0451\u043D",showSource:"\u0418\u0441\u0445\u043E\u0434\u043D\u044B\u0439 \u0442\u0435\u043A\u0441\u0442",showRendered:"\u041E\u0442\u043E\u0431\u0440\u0430\u0436\u0435\u043D\u0438\u0435",wordWrap:"\u041F\u0435\u0440\u0435\u043D\u043E\u0441 \u0441\u0442\u0440\u043E\u043A",find:"\u041D\u0430\u0439\u0442\u0438",findPlaceholder:"\u041D\u0430\u0439\u0442\u0438 \u0432 \u0444\u0430\u0439\u043B\u0435\u2026",noMatchesShort:"\u041D\u0435\u0442 \u0440\u0435\u0437\u0443\u043B\u044C\u0442\u0430\u0442\u043E\u0432",previousMatch:"\u041F\u0440\u0435\u0434\u044B\u0434\u0443\u0449\u0435\u0435 \u0441\u043E\u0432\u043F\u0430\u0434\u0435\u043D\u0438\u0435 (Shift+Enter)",nextMatch:"\u0421\u043B\u0435\u0434\u0443\u044E\u0449\u0435\u0435 \u0441\u043E\u0432\u043F\u0430\u0434\u0435\u043D\u0438\u0435 (Enter)",noLongerInBin:"{name} \u0431\u043E\u043B\u044C\u0448\u0435 \u043D\u0435\u0442 \u0432 \u043A\u043E\u0440\u0437\u0438\u043D\u0435",noLongerInBinRestored:"\u0424\u0430\u0439\u043B \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D \u0432 {path}.",noLongerInBinDesc:"\u0424\u0430\u0439\u043B \u0431\u044B\u043B \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D \u0438\u043B\u0438 \u0443\u0434\u0430\u043B\u0451\u043D \u043D\u0430\u0432\u0441\u0435\u0433\u0434\u0430.",openFile:"\u041E\u0442\u043A\u0440\u044B\u0442\u044C \u0444\u0430\u0439\u043B",originalTaken:"\u0418\u0441\u0445\u043E\u0434\u043D\u044B\u0439 \u043F\u0443\u0442\u044C \u0437\u0430\u043D\u044F\u0442",originalTakenDesc:"\u0412 \u0438\u0441\u0445\u043E\u0434\u043D\u043E\u043C \u0440\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0438 \u0442\u0435\u043F\u0435\u0440\u044C \u0435\u0441\u0442\u044C \u0444\u0430\u0439\u043B; \u043F\u0440\u0438 \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u0438\u0438 \u0431\u0443\u0434\u0435\u0442 \u043F\u0440\u0435\u0434\u043B\u043E\u0436\u0435\u043D\u043E \u0440\u0430\u0437\u0440\u0435\u0448\u0438\u0442\u044C \u043A\u043E\u043D\u0444\u043B\u0438\u043A\u0442",noFileSelected:"\u0424\u0430\u0439\u043B \u043D\u0435 \u0432\u044B\u0431\u0440\u0430\u043D",linkedFrom:"\u041F\u0440\u0438 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0438 \u043D\u0430 \u0444\u0430\u0439\u043B \u0441\u0441\u044B\u043B\u0430\u043B\u0438\u0441\u044C \u0437\u0430\u043C\u0435\u0442\u043A\u0438 ({count}):",updateLinks:"\u041E\u0431\u043D\u043E\u0432\u0438\u0442\u044C \u0441\u0441\u044B\u043B\u043A\u0438",updateLinksMessage:"\u0417\u0430\u043C\u0435\u0442\u043A\u0438 ({count}) \u0441\u0441\u044B\u043B\u0430\u043B\u0438\u0441\u044C \u043D\u0430 \u0432\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u043B\u0435\u043D\u043D\u044B\u0435 \u0444\u0430\u0439\u043B\u044B \u043F\u043E \u0441\u0442\u0430\u0440\u043E\u043C\u0443 \u0440\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u044E. \u041E\u0431\u043D\u043E\u0432\u0438\u0442\u044C \u044D\u0442\u0438 \u0441\u0441\u044B\u043B\u043A\u0438 \u043D\u0430 \u043D\u043E\u0432\u043E\u0435 \u0440\u0430\u0441\u043F\u043E\u043B\u043E\u0436\u0435\u043D\u0438\u0435?",updateLinksConfirm:"\u041E\u0431\u043D\u043E\u0432\u0438\u0442\u044C \u0441\u0441\u044B\u043B\u043A\u0438",linksUpdated:"\u041E\u0431\u043D\u043E\u0432\u043B\u0435\u043D\u043E \u0441\u0441\u044B\u043B\u043E\u043A: {count}",compareWithCurrent:"\u0421\u0440\u0430\u0432\u043D\u0438\u0442\u044C \u0441 \u0442\u0435\u043A\u0443\u0449\u0435\u0439",showPreview:"\u041F\u043E\u043A\u0430\u0437\u0430\u0442\u044C \u043F\u0440\u043E\u0441\u043C\u043E\u0442\u0440",filesIdentical:"\u0423\u0434\u0430\u043B\u0451\u043D\u043D\u044B\u0439 \u0444\u0430\u0439\u043B \u0438\u0434\u0435\u043D\u0442\u0438\u0447\u0435\u043D \u0442\u0435\u043A\u0443\u0449\u0435\u0439 \u0432\u0435\u0440\u0441\u0438\u0438",copyHunkToCurrent:"\u0421\u043A\u043E\u043F\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u0432 \u0442\u0435\u043A\u0443\u0449\u0443\u044E \u0437\u0430\u043C\u0435\u0442\u043A\u0443",hunkCopied:'\u0421\u0442\u0440\u043E\u043A\u0438 \u0441\u043A\u043E\u043F\u0438\u0440\u043E\u0432\u0430\u043D\u044B \u0432 "{path}"',hunkOutdated:"\u0417\u0430\u043C\u0435\u0442\u043A\u0430 \u0438\u0437\u043C\u0435\u043D\u0438\u043B\u0430\u0441\u044C \u043F\u043E\u0441\u043B\u0435 \u043F\u043E\u043A\u0430\u0437\u0430 \u0441\u0440\u0430\u0432\u043D\u0435\u043D\u0438\u044F. \u041F\u0440\u043E\u0432\u0435\u0440\u044C\u0442\u0435 \u043E\u0431\u043D\u043E\u0432\u043B\u0451\u043D\u043D\u043E\u0435 \u0441\u0440\u0430\u0432\u043D\u0435\u043D\u0438\u0435 \u0438 \u043F\u043E\u043F\u0440\u043E\u0431\u0443\u0439\u0442\u0435 \u0441\u043D\u043E\u0432\u0430.",hunkCopyFailed:"\u041D\u0435 \u0443\u0434\u0430\u043B\u043E\u0441\u044C \u0441\u043A\u043E\u043F\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u0441\u0442\u0440\u043E\u043A\u0438 \u0432 \u0442\u0435\u043A\u0443\u0449\u0443\u044E \u0437\u0430\u043C\u0435\u0442\u043A\u0443. \u041F\u043E\u0434\u0440\u043E\u0431\u043D\u043E\u0441\u0442\u0438 \u0432 \u043A\u043E\u043D\u0441\u043E\u043B\u0438.",versionCount:"\u0412\u0435\u0440\u0441\u0438\u0439: {count}",versionDeleted:"\u0423\u0434\u0430\u043B\u0435\u043D\u043E {date}",compareWithNewest:"\u0421\u0440\u0430\u0432\u043D\u0438\u0442\u044C \u0441 \u043D\u043E\u0432\u0435\u0439\u0448\u0435\u0439 \u0432\u0435\u0440\u0441\u0438\u0435\u0439",restoreVersion:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C \u044D\u0442\u0443 \u0432\u0435\u0440\u0441\u0438\u044E",trashStatistics:"\u0421\u0442\u0430\u0442\u0438\u0441\u0442\u0438\u043A\u0430 \u043A\u043E\u0440\u0437\u0438\u043D\u044B",totalSize:"\u041E\u0431\u0449\u0438\u0439 \u0440\u0430\u0437\u043C\u0435\u0440",trashedItems:"\u042D\u043B\u0435\u043C\u0435\u043D\u0442\u044B",itemsAndFiles:"{count} (\u0444\u0430\u0439\u043B\u043E\u0432: {files})",itemsCount:"\u042D\u043B\u0435\u043C\u0435\u043D\u0442\u043E\u0432: {count}",nextPurgeFrees:"\u0421\u043B\u0435\u0434\u0443\u044E\u0449\u0435\u0435 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u0435 \u043E\u0441\u0432\u043E\u0431\u043E\u0434\u0438\u0442",byFileType:"\u041F\u043E \u0442\u0438\u043F\u0443 \u0444\u0430\u0439\u043B\u0430",deletionsOverTime:"\u0423\u0434\u0430\u043B\u0435\u043D\u0438\u044F \u043F\u043E \u0432\u0440\u0435\u043C\u0435\u043D\u0438",perDay:"\u041F\u043E \u0434\u043D\u044F\u043C",perWeek:"\u041F\u043E \u043D\u0435\u0434\u0435\u043B\u044F\u043C",largestItems:"\u0421\u0430\u043C\u044B\u0435 \u0431\u043E\u043B\u044C\u0448\u0438\u0435 \u044D\u043B\u0435\u043C\u0435\u043D\u0442\u044B",topFolders:"\u041E\u0441\u043D\u043E\u0432\u043D\u044B\u0435 \u0438\u0441\u0445\u043E\u0434\u043D\u044B\u0435 \u043F\u0430\u043F\u043A\u0438",category_markdown:"Markdown",category_code:"\u041A\u043E\u0434",category_image:"\u0418\u0437\u043E\u0431\u0440\u0430\u0436\u0435\u043D\u0438\u044F",category_document:"\u0414\u043E\u043A\u0443\u043C\u0435\u043D\u0442\u044B",category_archive:"\u0410\u0440\u0445\u0438\u0432\u044B",category_audio:"\u0410\u0443\u0434\u0438\u043E",category_video:"\u0412\u0438\u0434\u0435\u043E",category_other:"\u0414\u0440\u0443\u0433\u043E\u0435",groupNone:"\u0411\u0435\u0437 \u0433\u0440\u0443\u043F\u043F\u0438\u0440\u043E\u0432\u043A\u0438",groupByFolder:"\u0413\u0440\u0443\u043F\u043F\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u043F\u043E \u043F\u0430\u043F\u043A\u0435",groupByType:"\u0413\u0440\u0443\u043F\u043F\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u043F\u043E \u0442\u0438\u043F\u0443 \u0444\u0430\u0439\u043B\u0430",groupByDate:"\u0413\u0440\u0443\u043F\u043F\u0438\u0440\u043E\u0432\u0430\u0442\u044C \u043F\u043E \u0434\u0430\u0442\u0435 \u0443\u0434\u0430\u043B\u0435\u043D\u0438\u044F",category_folder:"\u041F\u0430\u043F\u043A\u0438",thisWeek:"\u041D\u0430 \u044D\u0442\u043E\u0439 \u043D\u0435\u0434\u0435\u043B\u0435",older:"\u0421\u0442\u0430\u0440\u0448\u0435",restoreAll:"\u0412\u043E\u0441\u0441\u0442\u0430\u043D\u043E\u0432\u0438\u0442\u044C \u0432\u0441\u0435",deleteAll:"\u0423\u0434\u0430\u043B\u0438\u0442\u044C \u0432\u0441\u0435"}},ne="en";function ni(a,e){var t,i;if(e!=null&&e.language&&e.language!=="auto")return e.language;try{let r=(((i=(t=a==null?void 0:a.vault)==null?void 0:t.config)==null?void 0:i.locale)||(navigator==null?void 0:navigator.language)||"en").split("-")[0].toLowerCase();if(re.includes(r))return r}catch(s){}return"en"}function ai(a){re.includes(a)&&(ne=a)}function oi(a,e={}){var i;let t=((i=se[ne])==null?void 0:i[a])||se.en[a]||a;for(let[s,r]of Object.entries(e))t=t.replace(`{${s}}`,r);return t}Le.exports={SUPPORTED_LANGUAGES:re,TRANSLATIONS:se,getLanguage:ni,setLanguage:ai,t:oi,get currentLanguage(){return ne}}});var E=k((pr,Ie)=>{"use strict";function li(a){if(a===0)return"0 B";if(!a||isNaN(a))return"? B";let e=1024,t=["B","KB","MB","GB"],i=Math.floor(Math.log(a)/Math.log(e));return parseFloat((a/Math.pow(e,i)).toFixed(1))+" "+t[i]}function ci(a,e={}){if(!a)return e.unknown||"Unknown";let t=new Date(a),i=new Date,s=new Date(i.getFullYear(),i.getMonth(),i.getDate()),r=new Date(s.getTime()-864e5);return t>=s?e.today||"Today":t>=r?e.yesterday||"Yesterday":`${Math.floor((s.getTime()-t.getTime())/864e5)} ${e.daysAgo||"days ago"}`}function di(a){if(!a||typeof a!="string")return"";let e=a.split(".");return e.length>1?e.pop().toLowerCase():""}function ui(a){if(!a||typeof a!="string")return"";let e={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"};return a.replace(/[&<>"']/g,t=>e[t])}function hi(a){return a.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")}function pi(a){return!(!a||typeof a!="string"||a.includes("..")||a.startsWith("/")||a.startsWith("\\")||a.includes("://"))}function gi(a,e){return e.some(t=>a.startsWith(t+"/"))}function mi(a,e){let t;return function(...s){let r=()=>{clearTimeout(t),a(...s)};clearTimeout(t),t=setTimeout(r,e)}}async function fi(a,e,t){let i=new Array(a.length),s=0,r=async()=>{for(;s<a.length;){let n=s++;i[n]=await t(a[n],n)}};return await Promise.all(Array.from({length:Math.min(e,a.length)},r)),i}function ae(a,e){let t=a.lastIndexOf(".");return t<=0?`${a} (${e})`:`${a.slice(0,t)} (${e})${a.slice(t)}`}async function yi(a,e,t){let i=e.lastIndexOf("/"),s=i>=0?e.slice(0,i+1):"",r=e.slice(i+1),n=s+ae(r,t),o=2;for(;await a.exists(n);)n=s+ae(r,`${t} ${o++}`);return n}function vi(a){var e,t,i;try{let s=(i=(t=(e=a==null?void 0:a.internalPlugins)==null?void 0:e.plugins)==null?void 0:t.sync)==null?void 0:i.instance;if(s!=null&&s.deviceName)return s.deviceName;if(typeof window!="undefined"&&typeof window.require=="function"){let r=window.require("os");if(r!=null&&r.hostname)return r.hostname()}}catch(s){}return typeof navigator!="undefined"&&navigator.platform||"Unknown"}Ie.exports={formatFileSize:li,formatDate:ci,getExtension:di,escapeHtml:ui,escapeRegExp:hi,isValidPath:pi,isInFolders:gi,debounce:mi,mapConcurrent:fi,addNameSuffix:ae,getAvailablePath:yi,getDeviceName:vi}});var C=k((gr,ze)=>{"use strict";var wi="recycle-bin-view",bi="recycle-bin-preview",xi="recycle-bin-stats",ki="recycle-bin",Di=".trash",Si=".recycle-bin",Ai={captureMode:!1,binFolders:[],autoPurgeEnabled:!1,autoPurgeDays:90,autoPurgeInterval:"daily",retentionRules:[],maxBinSizeMb:0,purgeAction:"delete",archiveLocation:"Archive",showConfirmations:!0,showMetadata:!0,showDeleteButton:!1,searchContent:!1,previewWordWrap:!0,undoLimit:10,undoGraceSeconds:30,sortBy:"date",sortOrder:"desc",groupBy:"none",language:"auto"},Pi=16,Ei={hourly:60*60*1e3,daily:24*60*60*1e3},Ci=500,Ti=7,Be={markdown:["md","markdown"],code:["js","ts","jsx","tsx","css","scss","less","html","json","xml","yaml","yml","py","rb","java","c","cpp","h","go","rs","php","sh","bash"],image:["png","jpg","jpeg","gif","webp","svg","bmp","ico"],document:["pdf","doc","docx","xls","xlsx","ppt","pptx","txt"],archive:["zip","tar","gz","rar","7z"],audio:["mp3","wav","ogg","flac","m4a"],video:["mp4","webm","mov","avi","mkv"]},Fi={pdf:"application/pdf",mp3:"audio/mpeg",wav:"audio/wav",ogg:"audio/ogg",flac:"audio/flac",m4a:"audio/mp4",mp4:"video/mp4",webm:"video/webm",mov:"video/quicktime",avi:"video/x-msvideo",mkv:"video/x-matroska"},Li=["md","markdown","txt",...Be.code],Mi={md:"\u{1F4DD}",txt:"\u{1F4C4}",pdf:"\u{1F4D5}",js:"\u{1F49B}",ts:"\u{1F499}",css:"\u{1F49C}",html:"\u{1F9E1}",json:"\u{1F4CB}",png:"\u{1F5BC}\uFE0F",jpg:"\u{1F5BC}\uFE0F",gif:"\u{1F39E}\uFE0F",svg:"\u{1F3A8}",mp3:"\u{1F3B5}",mp4:"\u{1F3AC}",zip:"\u{1F4E6}",canvas:"\u{1F9E9}",excalidraw:"\u270F\uFE0F",default:"\u{1F4C4}"};ze.exports={VIEW_TYPE:wi,PREVIEW_VIEW_TYPE:bi,STATS_VIEW_TYPE:xi,PLUGIN_ID:ki,TRASH_FOLDER:Di,CAPTURE_FOLDER:Si,DEFAULT_SETTINGS:Ai,STAT_CONCURRENCY:Pi,PURGE_INTERVALS:Ei,EXPIRING_SOON_DAYS:Ti,PREVIEW_CHUNK_LINES:Ci,FILE_TYPES:Be,MEDIA_TYPES:Fi,TEXT_EXTENSIONS:Li,FILE_ICONS:Mi}});var Ue=k((mr,qe)=>{"use strict";var{TRASH_FOLDER:Ne}=C(),{escapeRegExp:Re,isInFolders:Ii}=E(),Oe="(?: \\d+| \\(\\d+\\))";function Ve(a,e){if(a===e)return!0;let t=e.lastIndexOf("."),i=t>0?e.slice(0,t):e,s=t>0?e.slice(t):"";return new RegExp(`^${Re(i)}${Oe}${Re(s)}$`).test(a)}function Bi(a){let e=new RegExp(`^(.+?)${Oe}(\\.[^.]+)?$`).exec(a);return e?e[1]+(e[2]||""):a}var oe=class{constructor(e={},t=()=>{}){this.entries=Object.assign({},e),this.onChange=t}get(e){return this.entries[e]||null}has(e){return Object.prototype.hasOwnProperty.call(this.entries,e)}set(e,t){this.entries[e]=t,this.onChange()}async claim(e,t){if(t.length===0)return[];if(!await e.exists(Ne))return[];let i=t.filter(o=>o.kind==="folder").map(o=>o.originalPath+"/"),s=t.filter(o=>!i.some(l=>o.originalPath.startsWith(l))),r=await e.list(Ne),n=[];for(let o of s){let l=o.originalPath.split("/").pop(),d=(o.kind==="folder"?r.folders:r.files).filter(h=>!this.has(h)&&Ve(h.split("/").pop(),l)),u=await this.pickCandidate(e,d,o);u&&(this.entries[u]={originalPath:o.originalPath,kind:o.kind,deletedAt:o.deletedAt,size:o.size,device:o.device,backlinks:o.backlinks||{}},n.push(u))}return n.length>0&&this.onChange(),n}async pickCandidate(e,t,i){if(t.length<=1||i.kind==="folder")return t[t.length-1]||null;for(let s of t){let r=await e.stat(s);if(r&&r.size===i.size)return s}return t[t.length-1]}prune(e,t){let i=!1;for(let s of Object.keys(this.entries))!e.has(s)&&Ii(s,t)&&(delete this.entries[s],i=!0);return i&&this.onChange(),i}toJSON(){return this.entries}};qe.exports={DeletionLedger:oe,matchesTrashName:Ve,stripTrashSuffix:Bi}});var We=k((fr,$e)=>{"use strict";var zi=1,le=class{constructor(e,t,i,s,r){this.adapter=e,this.ledger=t,this.pins=i,this.holdingFolder=s,this.getOptions=r,this.stack=[]}get stagesDeletes(){return this.getOptions().graceSeconds>0}get canUndo(){return this.stack.length>0}createOperation(e){return{id:zi++,type:e,moves:[],ledgerEntries:{},pinned:[],timer:null}}async stage(e,t){try{let i=`${this.holdingFolder}/${e.id}`;await this.adapter.mkdir(i);let s=`${i}/${e.moves.length}-${t.name}`;return await this.adapter.rename(t.path,s),e.moves.push({original:t.path,current:s}),t.ledgerEntry&&(e.ledgerEntries[t.path]=t.ledgerEntry),this.pins.has(t.path)&&e.pinned.push(t.path),!0}catch(i){return console.error("Failed to stage item for deletion:",i),!1}}recordRestore(e,t){let i=e.moves.length,s=r=>{r.kind==="folder"?r.children.forEach(s):r.restoredPath&&!r.overwrote&&e.moves.push({original:r.path,current:r.restoredPath})};s(t),e.moves.length!==i&&(t.ledgerEntry&&(e.ledgerEntries[t.path]=t.ledgerEntry),this.pins.has(t.path)&&e.pinned.push(t.path))}push(e){if(e.moves.length===0)return;this.stack.push(e),e.type==="delete"&&(e.timer=setTimeout(()=>this.finalize(e),this.getOptions().graceSeconds*1e3));let t=Math.max(1,this.getOptions().limit);for(;this.stack.length>t;){let i=this.stack.shift();i.type==="delete"&&this.finalize(i)}}async undo(){let e=this.stack.pop();if(!e)return null;clearTimeout(e.timer);let t=0;for(let i of[...e.moves].reverse())try{let s=i.original.split("/").slice(0,-1).join("/");s&&await this.adapter.mkdir(s),await this.adapter.rename(i.current,i.original)}catch(s){console.error("Failed to undo move:",i,s),t++}for(let[i,s]of Object.entries(e.ledgerEntries))this.ledger.set(i,s);for(let i of e.pinned)this.pins.set(i,!0);return e.type==="delete"&&await this.removeHolding(e),e.failed=t,e}async finalize(e){clearTimeout(e.timer),this.stack=this.stack.filter(t=>t!==e),await this.removeHolding(e)}async removeHolding(e){try{let t=`${this.holdingFolder}/${e.id}`;await this.adapter.exists(t)&&await this.adapter.rmdir(t,!0)}catch(t){console.error("Failed to remove staged items:",t)}}async flush(){for(let e of this.stack)clearTimeout(e.timer);this.stack=this.stack.filter(e=>e.type!=="delete");try{await this.adapter.exists(this.holdingFolder)&&await this.adapter.rmdir(this.holdingFolder,!0)}catch(e){console.error("Failed to empty holding folder:",e)}}};$e.exports={UndoManager:le}});var He=k((yr,Ge)=>{"use strict";var{FILE_TYPES:ce}=C(),Ni=["ext","size","deleted","path","tag","is"],Ri={b:1,kb:1024,mb:1024**2,gb:1024**3},Oi={h:36e5,d:864e5,w:7*864e5,m:30*864e5,y:365*864e5};function _e(a,e,t){switch(e){case"<":return a<t;case"<=":return a<=t;case">":return a>t;case">=":return a>=t;default:return a===t}}function Vi(a){let e=/^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)(b|kb|mb|gb)?$/i.exec(a);if(!e)return null;let t=Ri[(e[3]||"b").toLowerCase()];return{op:e[1]||">=",bytes:parseFloat(e[2])*t}}function qi(a){let e=/^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)(h|d|w|m|y)?$/i.exec(a);if(!e)return null;let t=Oi[(e[3]||"d").toLowerCase()];return{op:e[1]||"<",ms:parseFloat(e[2])*t}}function Ui(a){let e=/^(\d{4})-(\d{2})-(\d{2})(?:\.\.(\d{4})-(\d{2})-(\d{2}))?$/.exec(a);if(!e)return null;let t=new Date(+e[1],+e[2]-1,+e[3]),i=e[4]?new Date(+e[4],+e[5]-1,+e[6]):t,s=new Date(i.getFullYear(),i.getMonth(),i.getDate()+1);return{start:t.getTime(),end:s.getTime()}}function Ze(a){let e=new Set;for(let i of a.matchAll(/(?:^|\s)#([\p{L}\p{N}_\-/]+)/gu))e.add(i[1].toLowerCase());let t=/^---\r?\n([\s\S]*?)\r?\n---/.exec(a);if(t){let i=/^tags?:\s*(.*(?:\r?\n\s+-.*)*)/m.exec(t[1]);if(i)for(let s of i[1].split(/[\s,[\]-]+/)){let r=s.replace(/^#/,"").replace(/^["']|["']$/g,"").toLowerCase();r&&e.add(r)}}return e}function $i(a,e){for(let t=a.indexOf(e);t!==-1;t=a.indexOf(e,t+1))if(t===0||a[t-1]==="/")return!0;return!1}function Wi(a,e){let t=e.toLowerCase();switch(a){case"ext":{let i=t.split(",").map(s=>s.replace(/^\./,"")).filter(Boolean);return{op:a,test:s=>s.kind==="file"&&i.includes(s.extension)}}case"size":{let i=Vi(e);return i?{op:a,test:s=>_e(s.size,i.op,i.bytes)}:null}case"deleted":{let i=Ui(e);if(i)return{op:a,test:r=>r.deletedAt>=i.start&&r.deletedAt<i.end};let s=qi(e);return s?{op:a,test:r=>_e(Date.now()-r.deletedAt,s.op,s.ms)}:null}case"path":return{op:a,test:i=>$i(i.originalPath.toLowerCase(),t)};case"tag":{let i=t.replace(/^#/,"");return{op:a,needsContent:!0,test:(s,r)=>{if(r===null)return!1;let n=Ze(r);return n.has(i)||[...n].some(o=>o.startsWith(i+"/"))}}}case"is":if(t==="folder"||t==="file")return{op:a,test:i=>i.kind===t};if(ce[t])return{op:a,test:i=>i.kind==="file"&&ce[t].includes(i.extension)};if(t==="other"){let i=Object.values(ce).flat();return{op:a,test:s=>s.kind==="file"&&!i.includes(s.extension)}}return null;default:return null}}function _i(a){let e={terms:[],filters:[]},t=/(-)?(?:(\w+):)?(?:"([^"]*)"|(\S+))/g,i;for(;(i=t.exec(a||""))!==null;){let[,s,r,n,o]=i,l=(n!==void 0?n:o||"").trim(),d=r?r.toLowerCase():null,u=d&&Ni.includes(d)&&l?Wi(d,l):null;if(u){u.negate=!!s,e.filters.push(u);continue}let h=(r?r+":":"")+l;h&&e.terms.push({text:h.toLowerCase(),negate:!!s})}return e}function ji(a){return a.terms.length===0&&a.filters.length===0}function Zi(a,e){let t=a.toLowerCase().indexOf(e);if(t===-1)return null;let i=Math.max(0,t-30),s=Math.min(a.length,t+e.length+50);return(i>0?"\u2026":"")+a.slice(i,s).replace(/\s+/g," ")+(s<a.length?"\u2026":"")}async function je(a,e,t){let s=a.kind==="file"&&(e.filters.some(o=>o.needsContent)||t.searchContent&&e.terms.length>0)?await t.getContent(a):null;for(let o of e.filters)if(o.test(a,s)===o.negate)return null;let r=null,n=(a.name+`
+`+a.originalPath).toLowerCase();for(let o of e.terms){let l=n.includes(o.text);if(!l&&t.searchContent&&s!==null){let d=Zi(s,o.text);l=d!==null,l&&!o.negate&&!r&&(r=d)}if(l===o.negate)return null}return{snippet:r}}async function Gi(a,e,t){let i=await je(a,e,t),s=new Map,r=async n=>{for(let o of n.children){let l=await je(o,e,t);l&&s.set(o.path,l),o.kind==="folder"&&await r(o)}};return a.kind==="folder"&&await r(a),!i&&s.size===0?null:{self:!!i,snippet:i?i.snippet:null,descendants:s}}Ge.exports={parseQuery:_i,isEmptyQuery:ji,matchItem:Gi,extractTags:Ze}});var Je=k((vr,Ye)=>{"use strict";function Ke(a){return a.split(/\r?\n/)}function Hi(a,e){let t=a.length,i=e.length,s=t+i,r=s+1,n=new Int32Array(2*s+3),o=[],l=!1;for(let p=0;p<=Math.min(s,2e3)&&!l;p++){o.push(n.slice(r-p-1,r+p+2));for(let f=-p;f<=p;f+=2){let m=f===-p||f!==p&&n[r+f-1]<n[r+f+1]?n[r+f+1]:n[r+f-1]+1,v=m-f;for(;m<t&&v<i&&a[m]===e[v];)m++,v++;if(n[r+f]=m,m>=t&&v>=i){l=!0;break}}}let d=l?Ki(o,t,i):Yi(t,i),u=0,h=0;for(let p of d)p.oldIndex=u,p.newIndex=h,p.text=p.type==="add"?e[h]:a[u],p.type!=="add"&&u++,p.type!=="remove"&&h++;return d}function Ki(a,e,t){let i=[],s=e,r=t;for(let n=a.length-1;n>=0;n--){let o=a[n],l=f=>o[f+n+1],d=s-r,u=d===-n||d!==n&&l(d-1)<l(d+1)?d+1:d-1,h=l(u),p=h-u;for(;s>h&&r>p;)i.push({type:"equal"}),s--,r--;n>0&&i.push({type:s===h?"add":"remove"}),s=h,r=p}return i.reverse()}function Yi(a,e){let t=[];for(let i=0;i<a;i++)t.push({type:"remove"});for(let i=0;i<e;i++)t.push({type:"add"});return t}function Ji(a,e=3){let t=[],i=0;for(;i<a.length;){if(a[i].type==="equal"){i++;continue}let s=t.length?t[t.length-1].end:0,r=Math.max(s,i-e),n=i,o=i;for(;o<a.length;){if(a[o].type!=="equal")n=o;else if(o-n>2*e)break;o++}o=Math.min(a.length,n+e+1);let l=a.slice(r,o);t.push({ops:l,end:o,oldStart:l[0].oldIndex,oldCount:l.filter(d=>d.type!=="add").length,newStart:l[0].newIndex,newCount:l.filter(d=>d.type!=="remove").length}),i=o}return t}function Qi(a,e){return a.ops.length===e.ops.length&&a.ops.every((t,i)=>t.type===e.ops[i].type&&t.text===e.ops[i].text)}function Xi(a,e){let t=a.includes(`\r
+`)?`\r
+`:`
+`,i=Ke(a);return i.splice(e.newStart,e.newCount,...e.ops.map(s=>s.text)),i.join(t)}Ye.exports={splitLines:Ke,diffLines:Hi,buildHunks:Ji,isSameHunk:Qi,copyHunkToNew:Xi}});var de=k((wr,Qe)=>{"use strict";var z=require("obsidian");function es(a,e){let t=[];e instanceof z.TFolder?z.Vault.recurseChildren(e,r=>{r instanceof z.TFile&&t.push(r.path)}):t.push(e.path);let i=a.metadataCache.resolvedLinks||{},s={};for(let r of t){let n=Object.keys(i).filter(o=>o!==r&&i[o][r]);n.length>0&&(s[r]=n)}return s}function ts(a){let e=[],t=i=>{if(i.kind==="folder"){i.children.forEach(t);return}let s=i.backlinks;i.restoredPath&&i.restoredPath!==i.originalPath&&s.length>0&&e.push({oldPath:i.originalPath,newPath:i.restoredPath,sources:s})};return t(a),e}function is(a,e){let t=a;try{t=decodeURI(a)}catch(n){}t=t.replace(/^\//,"");let i=e.replace(/\.md$/,""),s=e.split("/").pop(),r=s.replace(/\.md$/,"");return[e,i,s,r].includes(t)||e.endsWith("/"+t)||i.endsWith("/"+t)}async function ss(a,e){let t=new Map;for(let s of e)for(let r of s.sources)t.has(r)||t.set(r,[]),t.get(r).push(s);let i=0;for(let[s,r]of t){let n=a.vault.getAbstractFileByPath(s);if(!(n instanceof z.TFile))continue;let o=a.metadataCache.getFileCache(n),l=[...(o==null?void 0:o.links)||[],...(o==null?void 0:o.embeds)||[]],d=[];for(let h of l){let[p,...f]=h.link.split("#"),m=r.find(T=>is(p,T.oldPath)),v=m&&a.vault.getAbstractFileByPath(m.newPath);if(!(v instanceof z.TFile))continue;let y=f.length>0?"#"+f.join("#"):"",b=h.original.replace(/^!/,""),x=b.includes("|")||!b.startsWith("[["),w=a.fileManager.generateMarkdownLink(v,s,y,x?h.displayText:void 0);h.original.startsWith("!")&&!w.startsWith("!")&&(w="!"+w),d.push({start:h.position.start.offset,end:h.position.end.offset,text:w})}if(d.length===0)continue;d.sort((h,p)=>p.start-h.start);let u=await a.vault.read(n);for(let h of d)u=u.slice(0,h.start)+h.text+u.slice(h.end);await a.vault.modify(n,u),i+=d.length}return i}Qe.exports={collectBacklinks:es,getLinkMoves:ts,rewriteLinks:ss}});var nt=k((br,rt)=>{"use strict";var{escapeRegExp:rs,isInFolders:ns}=E(),Xe=24*60*60*1e3,et=1024*1024;function as(){return{extensions:"",path:"",minSizeMb:0,action:"purge",days:30}}function tt(a){let e=a.trim().replace(/^\//,"");e.endsWith("/")&&(e+="**");let t=e.split(/(\*\*\/|\*\*|\*|\?)/).map(i=>i==="**/"?"(?:.*/)?":i==="**"?".*":i==="*"?"[^/]*":i==="?"?"[^/]":rs(i)).join("");return new RegExp(`^${t}$`,"i")}function it(a,e){let t=(a.extensions||"").split(",").map(i=>i.trim().toLowerCase().replace(/^\./,"")).filter(Boolean);if(t.length>0&&(e.kind!=="file"||!t.includes(e.extension)))return!1;if(a.path&&a.path.trim()){let i=tt(a.path);if(!i.test(e.originalPath)&&!(e.kind==="folder"&&i.test(e.originalPath+"/")))return!1}return!(a.minSizeMb>0&&e.size<a.minSizeMb*et)}function st(a,e){if(a.pinned)return{expiresAt:null,reason:"pinned",ruleIndex:-1};let t=e.rules.findIndex(r=>it(r,a)),i=e.rules[t];return i?{expiresAt:i.action==="keep"?null:a.deletedAt+i.days*Xe,reason:"rule",ruleIndex:t}:{expiresAt:e.defaultDays>0?a.deletedAt+e.defaultDays*Xe:null,reason:"default",ruleIndex:-1}}function os(a,e,t=Date.now()){let i=[],s=[],r=[];for(let n of a){let{expiresAt:o,reason:l,ruleIndex:d}=st(n,e);l==="pinned"||l==="rule"&&o===null?s.push(n):o!==null&&o<t?i.push({item:n,reason:l,ruleIndex:d}):r.push(n)}if(e.maxSizeMb>0){let n=e.maxSizeMb*et,o=[...s,...r].reduce((l,d)=>l+d.size,0);r.sort((l,d)=>l.deletedAt-d.deletedAt);for(let l of r){if(o<=n)break;i.push({item:l,reason:"sizeCap",ruleIndex:-1}),o-=l.size}}return i}var ue=class{constructor(e=[],t=()=>{}){this.paths=new Set(e),this.onChange=t}has(e){return this.paths.has(e)}set(e,t){t?this.paths.add(e):this.paths.delete(e),this.onChange()}prune(e,t){let i=this.paths.size;for(let s of this.paths)!e.has(s)&&ns(s,t)&&this.paths.delete(s);this.paths.size!==i&&this.onChange()}toJSON(){return[...this.paths]}};rt.exports={createRule:as,globToRegExp:tt,matchesRule:it,getRetention:st,planPurge:os,PinList:ue}});var ot=k((xr,at)=>{"use strict";var he=class{constructor(e,t){var i;this.scrollEl=e,this.getKey=t.getKey,this.renderRow=t.renderRow,this.estimateHeight=t.estimateHeight||(()=>48),this.overscan=(i=t.overscan)!=null?i:400,this.rows=[],this.offsets=[0],this.heights=new Map,this.rendered=new Map,this.frame=null,this.width=e.clientWidth,this.listEl=e.createDiv({cls:"recycle-bin-list"}),this.onScroll=()=>this.schedule(),e.addEventListener("scroll",this.onScroll),this.resizeObserver=new ResizeObserver(()=>{this.scrollEl.clientWidth!==this.width&&(this.width=this.scrollEl.clientWidth,this.heights.clear(),this.clear(),this.schedule())}),this.resizeObserver.observe(e)}setRows(e){this.rows=e,this.clear(),this.computeOffsets(),this.update()}getElement(e){return this.rendered.get(e)||null}forEachRendered(e){for(let[t,i]of this.rendered)e(i,t)}scrollToIndex(e){if(e<0||e>=this.rows.length)return;let t=this.offsets[e]+this.listEl.offsetTop,i=this.offsets[e+1]+this.listEl.offsetTop;t<this.scrollEl.scrollTop?this.scrollEl.scrollTop=t:i>this.scrollEl.scrollTop+this.scrollEl.clientHeight&&(this.scrollEl.scrollTop=i-this.scrollEl.clientHeight),this.update()}destroy(){this.frame&&cancelAnimationFrame(this.frame),this.scrollEl.removeEventListener("scroll",this.onScroll),this.resizeObserver.disconnect(),this.listEl.remove()}schedule(){this.frame||(this.frame=requestAnimationFrame(()=>{this.frame=null,this.update()}))}clear(){for(let e of this.rendered.values())e.remove();this.rendered.clear()}computeOffsets(){var t;let e=new Array(this.rows.length+1);e[0]=0;for(let i=0;i<this.rows.length;i++){let s=this.rows[i],r=(t=this.heights.get(this.getKey(s)))!=null?t:this.estimateHeight(s);e[i+1]=e[i]+r}this.offsets=e,this.listEl.style.height=`${e[this.rows.length]}px`}indexAt(e){let t=0,i=this.rows.length-1;for(;t<i;){let s=t+i+1>>1;this.offsets[s]<=e?t=s:i=s-1}return Math.max(0,t)}update(){for(let e=0;e<3;e++){let t=this.scrollEl.scrollTop-this.listEl.offsetTop,i=this.indexAt(t-this.overscan),s=Math.min(this.rows.length,this.indexAt(t+this.scrollEl.clientHeight+this.overscan)+1);for(let[n,o]of this.rendered)(n<i||n>=s)&&(o.remove(),this.rendered.delete(n));let r=!1;for(let n=i;n<s;n++){if(this.rendered.has(n))continue;let o=this.listEl.createDiv({cls:"recycle-bin-row"});o.style.top=`${this.offsets[n]}px`,this.renderRow(o,this.rows[n],n),this.rendered.set(n,o);let l=this.getKey(this.rows[n]);o.offsetHeight>0&&this.heights.get(l)!==o.offsetHeight&&(this.heights.set(l,o.offsetHeight),r=!0)}r&&this.computeOffsets();for(let[n,o]of this.rendered)o.style.top=`${this.offsets[n]}px`;if(!r)break}}};at.exports={VirtualList:he}});var pe=k((kr,ht)=>{"use strict";var{FILE_TYPES:ls}=C(),lt=24*60*60*1e3;function ut(a){for(let[e,t]of Object.entries(ls))if(t.includes(a))return e;return"other"}function ct(a){let e=new Date(a),t=i=>String(i).padStart(2,"0");return`${e.getFullYear()}-${t(e.getMonth()+1)}-${t(e.getDate())}`}function dt(a,e,t,i){let s=new Date(i),r=new Date(s.getFullYear(),s.getMonth(),s.getDate()+1).getTime(),n=[];for(let o=t-1;o>=0;o--){let l=r-o*e*lt,d=l-e*lt;n.push({start:d,end:l,from:ct(d),to:ct(l-1),count:0,size:0})}for(let o of a){let l=n.find(d=>o.deletedAt>=d.start&&o.deletedAt<d.end);l&&(l.count++,l.size+=o.size)}return n}function cs(a,e=Date.now()){let t=new Map,i=0,s=o=>{if(o.kind==="folder"){o.children.forEach(s);return}i++;let l=ut(o.extension),d=t.get(l)||{category:l,count:0,size:0};d.count++,d.size+=o.size,t.set(l,d)};a.forEach(s);let r=new Map;for(let o of a){let l=o.originalPath.includes("/")?o.originalPath.slice(0,o.originalPath.lastIndexOf("/")):"",d=r.get(l)||{folder:l,count:0,size:0};d.count++,d.size+=o.size,r.set(l,d)}let n=(o,l)=>l.size-o.size;return{count:a.length,fileCount:i,size:a.reduce((o,l)=>o+l.size,0),types:[...t.values()].sort(n),largest:[...a].sort(n).slice(0,10),days:dt(a,1,30,e),weeks:dt(a,7,12,e),folders:[...r.values()].sort(n).slice(0,10)}}ht.exports={getCategory:ut,computeStats:cs}});var yt=k((Dr,ft)=>{"use strict";var{FILE_TYPES:ds}=C(),{getCategory:us}=pe(),pt=24*60*60*1e3,hs=["none","folder","type","date"];function S(a,e){return{key:a,id:e,items:[],groups:[],count:0,size:0}}function gt(a){a.groups.forEach(gt),a.count=a.items.length+a.groups.reduce((e,t)=>e+t.count,0),a.size=a.items.reduce((e,t)=>e+t.size,0)+a.groups.reduce((e,t)=>e+t.size,0)}function ps(a){let e=S("folder:",""),t=new Map([["",e]]),i=r=>{if(t.has(r))return t.get(r);let n=r.lastIndexOf("/"),o=i(n===-1?"":r.slice(0,n)),l=S("folder:"+r,r.slice(n+1));return o.groups.push(l),t.set(r,l),l};for(let r of a){let n=r.originalPath.lastIndexOf("/");i(n===-1?"":r.originalPath.slice(0,n)).items.push(r)}let s=r=>{r.groups.sort((n,o)=>n.id.localeCompare(o.id)),r.groups.forEach(s)};return s(e),e}function gs(a){let e=S("type:",""),t=["folder",...Object.keys(ds),"other"],i=new Map(t.map(s=>[s,S("type:"+s,s)]));for(let s of a)i.get(s.kind==="folder"?"folder":us(s.extension)).items.push(s);return e.groups=[...i.values()].filter(s=>s.items.length>0),e}function ms(a,e){let t=S("date:",""),i=new Date(e),s=new Date(i.getFullYear(),i.getMonth(),i.getDate()).getTime(),r=[{group:S("date:today","today"),start:s},{group:S("date:yesterday","yesterday"),start:s-pt},{group:S("date:thisWeek","thisWeek"),start:s-6*pt},{group:S("date:older","older"),start:-1/0}];for(let n of a)r.find(o=>n.deletedAt>=o.start).group.items.push(n);return t.groups=r.map(n=>n.group).filter(n=>n.items.length>0),t}function fs(a,e,t=Date.now()){let i;switch(e){case"folder":i=ps(a);break;case"type":i=gs(a);break;case"date":i=ms(a,t);break;default:i=S("",""),i.items=[...a]}return gt(i),i}function mt(a){return[...a.groups.flatMap(mt),...a.items]}ft.exports={GROUP_MODES:hs,groupItems:fs,getGroupItems:mt}});var Dt=k((Sr,kt)=>{"use strict";var ys={1:"var(--color-red)",2:"var(--color-orange)",3:"var(--color-yellow)",4:"var(--color-green)",5:"var(--color-cyan)",6:"var(--color-purple)"},$=40;function vt(a){return ys[a]||a||"var(--background-modifier-border)"}function bt(a,e){let t=Math.max(1,e.maxX-e.minX)+2*$,i=Math.max(1,e.maxY-e.minY)+2*$,s=a.createSvg("svg",{cls:"recycle-bin-drawing",attr:{viewBox:`${e.minX-$} ${e.minY-$} ${t} ${i}`,preserveAspectRatio:"xMidYMid meet"}});return s.createSvg("defs").createSvg("marker",{attr:{id:"recycle-bin-arrow",viewBox:"0 0 10 10",refX:9,refY:5,markerWidth:8,markerHeight:8,orient:"auto-start-reverse"}}).createSvg("path",{attr:{d:"M 0 0 L 10 5 L 0 10 z",fill:"var(--text-muted)"}}),s}function xt(a){let e={minX:1/0,minY:1/0,maxX:-1/0,maxY:-1/0};for(let t of a)e.minX=Math.min(e.minX,t.x,t.x+t.width),e.minY=Math.min(e.minY,t.y,t.y+t.height),e.maxX=Math.max(e.maxX,t.x,t.x+t.width),e.maxY=Math.max(e.maxY,t.y,t.y+t.height);return e}function wt(a,e){switch(e){case"top":return[a.x+a.width/2,a.y];case"bottom":return[a.x+a.width/2,a.y+a.height];case"left":return[a.x,a.y+a.height/2];default:return[a.x+a.width,a.y+a.height/2]}}function vs(a,e){let t=(e.nodes||[]).filter(n=>[n.x,n.y,n.width,n.height].every(Number.isFinite));if(t.length===0)throw new Error("Empty canvas");let i=bt(a,xt(t)),s=new Map(t.map(n=>[n.id,n])),r=[...t].sort((n,o)=>(n.type==="group"?0:1)-(o.type==="group"?0:1));for(let n of r){let o=vt(n.color);i.createSvg("rect",{cls:`recycle-bin-canvas-node is-${n.type}`,attr:{x:n.x,y:n.y,width:n.width,height:n.height,rx:8,stroke:o}});let l="";n.type==="text"?l=n.text||"":n.type==="file"?l=`\u{1F4C4} ${n.file}${n.subpath||""}`:n.type==="link"&&(l=`\u{1F517} ${n.url}`),n.type==="group"?n.label&&(i.createSvg("text",{cls:"recycle-bin-canvas-label",attr:{x:n.x,y:n.y-8}}).textContent=n.label):i.createSvg("foreignObject",{attr:{x:n.x,y:n.y,width:n.width,height:n.height}}).createDiv({cls:"recycle-bin-canvas-text",text:l})}for(let n of e.edges||[]){let o=s.get(n.fromNode),l=s.get(n.toNode);if(!o||!l)continue;let[d,u]=wt(o,n.fromSide),[h,p]=wt(l,n.toSide),f=Math.max(40,Math.hypot(h-d,p-u)/3),m=T=>({top:[0,-f],bottom:[0,f],left:[-f,0]})[T]||[f,0],[v,y]=m(n.fromSide),[b,x]=m(n.toSide),w=i.createSvg("path",{cls:"recycle-bin-canvas-edge",attr:{d:`M ${d} ${u} C ${d+v} ${u+y} ${h+b} ${p+x} ${h} ${p}`,stroke:vt(n.color)}});n.toEnd!=="none"&&w.setAttr("marker-end","url(#recycle-bin-arrow)"),n.fromEnd==="arrow"&&w.setAttr("marker-start","url(#recycle-bin-arrow)"),n.label&&(i.createSvg("text",{cls:"recycle-bin-canvas-label",attr:{x:(d+h)/2,y:(u+p)/2,"text-anchor":"middle"}}).textContent=n.label)}}function ws(a){let e=/```json\s*\n([\s\S]*?)\n```/.exec(a),t;try{t=JSON.parse(e?e[1]:a)}catch(i){return null}return!t||t.type!=="excalidraw"||!Array.isArray(t.elements)?null:t.elements.filter(i=>!i.isDeleted)}function bs(a,e){var s;let t=e.flatMap(r=>Array.isArray(r.points)?r.points.map(([n,o])=>({x:r.x+n,y:r.y+o,width:0,height:0})):[r]);if(t.length===0)throw new Error("Empty drawing");let i=bt(a,xt(t));for(let r of e){let{x:n,y:o,width:l,height:d}=r,u={stroke:r.strokeColor||"currentColor",fill:!r.backgroundColor||r.backgroundColor==="transparent"?"none":r.backgroundColor,"stroke-width":r.strokeWidth||1,opacity:((s=r.opacity)!=null?s:100)/100};switch(r.angle&&(u.transform=`rotate(${r.angle*180/Math.PI} ${n+l/2} ${o+d/2})`),r.type){case"rectangle":i.createSvg("rect",{attr:{...u,x:n,y:o,width:l,height:d,rx:r.roundness?8:0}});break;case"ellipse":i.createSvg("ellipse",{attr:{...u,cx:n+l/2,cy:o+d/2,rx:l/2,ry:d/2}});break;case"diamond":i.createSvg("polygon",{attr:{...u,points:`${n+l/2},${o} ${n+l},${o+d/2} ${n+l/2},${o+d} ${n},${o+d/2}`}});break;case"line":case"arrow":case"freedraw":{let h=(r.points||[]).map(([f,m])=>`${n+f},${o+m}`).join(" "),p=i.createSvg("polyline",{attr:{...u,points:h,fill:"none"}});r.type==="arrow"&&r.endArrowhead!==null&&p.setAttr("marker-end","url(#recycle-bin-arrow)");break}case"text":{let h=r.fontSize||20,p=i.createSvg("text",{attr:{x:n,y:o,"font-size":h,fill:u.stroke,transform:u.transform||""}});(r.text||"").split(`
+`).forEach((f,m)=>{p.createSvg("tspan",{attr:{x:n,dy:m===0?h:h*1.25}}).textContent=f});break}default:i.createSvg("rect",{attr:{...u,x:n,y:o,width:l,height:d,fill:"none","stroke-dasharray":"4 4"}})}}}kt.exports={renderCanvas:vs,parseDrawing:ws,renderDrawing:bs}});var ge=k((Ar,Pt)=>{"use strict";var W=null;function St(a){if(!W){W=new Uint32Array(256);for(let t=0;t<256;t++){let i=t;for(let s=0;s<8;s++)i=i&1?3988292384^i>>>1:i>>>1;W[t]=i}}let e=4294967295;for(let t=0;t<a.length;t++)e=W[(e^a[t])&255]^e>>>8;return(e^4294967295)>>>0}async function At(a,e){let t=new Response(new Blob([a]).stream().pipeThrough(e));return new Uint8Array(await t.arrayBuffer())}function xs(a,e){return new Date(1980+(a>>9),(a>>5&15)-1,a&31,e>>11,e>>5&63,(e&31)*2).getTime()}function ks(a){let e=new Date(a);return e.getFullYear()<1980?{date:33,time:0}:{date:e.getFullYear()-1980<<9|e.getMonth()+1<<5|e.getDate(),time:e.getHours()<<11|e.getMinutes()<<5|Math.floor(e.getSeconds()/2)}}function Ds(a){let e=Math.max(0,a.byteLength-22-65535);for(let t=a.byteLength-22;t>=e;t--)if(a.getUint32(t,!0)===101010256)return t;throw new Error("Not a ZIP archive")}function Ss(a){let e=new DataView(a),t=Ds(e),i=e.getUint16(t+10,!0),s=e.getUint32(t+16,!0),r=t-20;if(r>=0&&e.getUint32(r,!0)===117853008){let l=Number(e.getBigUint64(r+8,!0));e.getUint32(l,!0)===101075792&&(i=Number(e.getBigUint64(l+32,!0)),s=Number(e.getBigUint64(l+48,!0)))}let n=new TextDecoder,o=[];for(let l=0;l<i;l++){if(e.getUint32(s,!0)!==33639248)throw new Error("Corrupt ZIP central directory");let d=e.getUint16(s+28,!0),u=e.getUint16(s+30,!0),h=e.getUint16(s+32,!0),p=n.decode(new Uint8Array(a,s+46,d)),f={name:p,size:e.getUint32(s+24,!0),compressedSize:e.getUint32(s+20,!0),method:e.getUint16(s+10,!0),crc:e.getUint32(s+16,!0),offset:e.getUint32(s+42,!0),modified:xs(e.getUint16(s+14,!0),e.getUint16(s+12,!0)),isFolder:p.endsWith("/")},m=s+46+d,v=m+u;for(;m+4<=v;){let y=e.getUint16(m,!0),b=e.getUint16(m+2,!0);if(y===1){let x=m+4;for(let w of["size","compressedSize","offset"])f[w]===4294967295&&x+8<=m+4+b&&(f[w]=Number(e.getBigUint64(x,!0)),x+=8)}m+=4+b}o.push(f),s=v+h}return o}async function As(a,e){let t=new DataView(a);if(t.getUint32(e.offset,!0)!==67324752)throw new Error(`Corrupt ZIP entry: ${e.name}`);let i=e.offset+30+t.getUint16(e.offset+26,!0)+t.getUint16(e.offset+28,!0),s=new Uint8Array(a,i,e.compressedSize),r;if(e.method===0)r=s.slice();else if(e.method===8)r=await At(s,new DecompressionStream("deflate-raw"));else throw new Error(`Unsupported ZIP compression method ${e.method}: ${e.name}`);if(St(r)!==e.crc)throw new Error(`Corrupt ZIP entry: ${e.name}`);return r.buffer}async function Ps(a){let e=new TextEncoder,t=[],i=[],s=0;for(let u of a){let h=e.encode(u.name),p=u.data?new Uint8Array(u.data):new Uint8Array(0),f=St(p),m=0,v=p;if(p.length>0){let T=await At(p,new CompressionStream("deflate-raw"));T.length<p.length&&(m=8,v=T)}let{date:y,time:b}=ks(u.modified||Date.now()),x=new DataView(new ArrayBuffer(30));x.setUint32(0,67324752,!0),x.setUint16(4,20,!0),x.setUint16(6,2048,!0),x.setUint16(8,m,!0),x.setUint16(10,b,!0),x.setUint16(12,y,!0),x.setUint32(14,f,!0),x.setUint32(18,v.length,!0),x.setUint32(22,p.length,!0),x.setUint16(26,h.length,!0);let w=new DataView(new ArrayBuffer(46));w.setUint32(0,33639248,!0),w.setUint16(4,20,!0),w.setUint16(6,20,!0),w.setUint16(8,2048,!0),w.setUint16(10,m,!0),w.setUint16(12,b,!0),w.setUint16(14,y,!0),w.setUint32(16,f,!0),w.setUint32(20,v.length,!0),w.setUint32(24,p.length,!0),w.setUint16(28,h.length,!0),w.setUint32(38,u.name.endsWith("/")?16:0,!0),w.setUint32(42,s,!0),t.push(new Uint8Array(x.buffer),h,v),i.push(new Uint8Array(w.buffer),h),s+=30+h.length+v.length}let r=i.reduce((u,h)=>u+h.length,0);if(a.length>65535||s+r>4294967295)throw new Error("Archive too large");let n=new DataView(new ArrayBuffer(22));n.setUint32(0,101010256,!0),n.setUint16(8,a.length,!0),n.setUint16(10,a.length,!0),n.setUint32(12,r,!0),n.setUint32(16,s,!0);let o=[...t,...i,new Uint8Array(n.buffer)],l=new Uint8Array(o.reduce((u,h)=>u+h.length,0)),d=0;for(let u of o)l.set(u,d),d+=u.length;return l.buffer}Pt.exports={readZipEntries:Ss,readZipEntry:As,createZip:Ps}});var Lt=k((Pr,Ft)=>{"use strict";var Et=require("obsidian"),{PREVIEW_CHUNK_LINES:me}=C(),{escapeHtml:Es,escapeRegExp:Cs}=E(),Ts={md:"markdown",js:"javascript",jsx:"jsx",ts:"typescript",tsx:"tsx",html:"markup",xml:"markup",svg:"markup",yml:"yaml",py:"python",rb:"ruby",h:"c",rs:"rust",sh:"bash"};function Ct(a){let e=[],t=[],i="";for(let[,s,r,n]of a.matchAll(/(<span[^>]*>)|(<\/span>)|([^<]+)/g))if(s)t.push(s),i+=s;else if(r)t.pop(),i+=r;else{let o=n.split(`
+`);i+=o[0];for(let l of o.slice(1))e.push(i+"</span>".repeat(t.length)),i=t.join("")+l}return e.push(i),e}function Tt(a,e){let t=[],i=[],s=null;for(let r of a.split(`
+`)){let n=/^\s*(`{3,}|~{3,})/.exec(r);n&&(!s||n[1].startsWith(s))&&(s=s?null:n[1]),!s&&i.length>=e&&r.trim()===""&&(t.push(i.join(`
+`)),i=[]),i.push(r)}return t.push(i.join(`
+`)),t}var fe=class{constructor(e,t){this.scrollEl=e,this.options=t,this.showRendered=t.rendered&&["md","markdown"].includes(t.extension),this.chunks=[],this.next=0,this.pending=null,this.destroyed=!1,this.matches=[],this.current=-1,this.bodyEl=e.createDiv({cls:this.showRendered?"recycle-bin-rendered":"recycle-bin-code"}),this.sentinel=e.createDiv({cls:"recycle-bin-preview-sentinel"}),this.observer=new IntersectionObserver(i=>{i.some(s=>s.isIntersecting)&&this.renderNext()},{root:e,rootMargin:"600px"})}async render(){let{text:e,extension:t}=this.options;if(this.showRendered)this.chunks=Tt(e,me);else{let i=null,s=Ts[t]||t;try{let n=await Et.loadPrism();n.languages[s]&&(i=n.highlight(e,n.languages[s],s))}catch(n){}let r=i===null?Es(e).split(`
+`):Ct(i);for(let n=0;n<r.length;n+=me)this.chunks.push({start:n,lines:r.slice(n,n+me)})}await this.renderNext()}renderNext(){return this.pending?this.pending:this.next>=this.chunks.length?Promise.resolve():(this.pending=this.renderChunk(this.chunks[this.next++]).catch(e=>{console.error("Failed to render preview:",e)}).finally(()=>{this.pending=null,!this.destroyed&&(this.sentinel.toggle(this.next<this.chunks.length),this.observer.unobserve(this.sentinel),this.observer.observe(this.sentinel))}),this.pending)}async renderChunk(e){if(this.showRendered){let t=this.bodyEl.createDiv();await Et.MarkdownRenderer.renderMarkdown(e,t,this.options.sourcePath,this.options.component)}else this.renderCode(e)}async renderAll(){for(;this.next<this.chunks.length;)await this.renderNext()}renderCode(e){let t=document.createDocumentFragment();e.lines.forEach((i,s)=>{let r=t.createDiv({cls:"recycle-bin-code-line"});r.createSpan({cls:"recycle-bin-code-line-number",text:String(e.start+s+1)}),r.createSpan({cls:"recycle-bin-code-text"}).innerHTML=i||`
+`}),this.bodyEl.addClass(`language-${this.options.extension}`),this.bodyEl.appendChild(t)}async find(e){if(this.clearFind(),!e)return 0;await this.renderAll();let t=new RegExp(Cs(e),"gi"),i=this.showRendered?[this.bodyEl]:Array.from(this.bodyEl.querySelectorAll(".recycle-bin-code-text"));for(let s of i){let r=[],n="",o=document.createTreeWalker(s,NodeFilter.SHOW_TEXT);for(;o.nextNode();)r.push({node:o.currentNode,start:n.length}),n+=o.currentNode.data;let l=d=>{let u=r.length-1;for(;u>0&&r[u].start>d;)u--;return[r[u].node,d-r[u].start]};for(let d of n.matchAll(t)){let u=document.createRange();u.setStart(...l(d.index)),u.setEnd(...l(d.index+d[0].length)),this.matches.push(u)}}return this.matches.length>0&&this.select(0),this.matches.length}select(e){var i;if(this.matches.length===0)return;this.current=(e+this.matches.length)%this.matches.length;let t=this.matches[this.current];typeof Highlight!="undefined"&&CSS.highlights&&(CSS.highlights.set("recycle-bin-find",new Highlight(...this.matches)),CSS.highlights.set("recycle-bin-find-current",new Highlight(t))),(i=t.startContainer.parentElement)==null||i.scrollIntoView({block:"center"})}clearFind(){this.matches=[],this.current=-1,typeof Highlight!="undefined"&&CSS.highlights&&(CSS.highlights.delete("recycle-bin-find"),CSS.highlights.delete("recycle-bin-find-current"))}destroy(){this.destroyed=!0,this.observer.disconnect(),this.clearFind()}};Ft.exports={TextPreview:fe,splitHighlightedLines:Ct,splitMarkdownChunks:Tt}});var ve=k((Er,zt)=>{"use strict";var Mt=require("obsidian"),{getDeviceName:Fs}=E(),{collectBacklinks:Ls}=de();async function It(a,e,t){let i=t.lastIndexOf("."),s=i>0?t.slice(0,i):t,r=i>0?t.slice(i):"",n=`${e}/${t}`,o=1;for(;await a.exists(n);)n=`${e}/${s} ${o++}${r}`;return n}async function Bt(a,e,t){let i=await a.stat(e);if(!i)throw new Error(`Not found: ${e}`);if(i.type==="folder"){await a.mkdir(t);let r=await a.list(e);for(let n of[...r.files,...r.folders])await Bt(a,n,`${t}/${n.split("/").pop()}`);return}let s=await a.readBinary(e);await a.writeBinary(t,s,{ctime:i.ctime,mtime:i.mtime})}var ye=class{constructor(e,t,i,s){this.app=e,this.ledger=t,this.folder=i,this.options=s}install(){let e=this.app.fileManager,t=e.trashFile,i=this,s=async function(r){if(i.options.isActive()&&!i.contains(r.path))try{let n=await i.capture(r);i.options.onCapture(n)}catch(n){i.options.onError(r,n);return}return t.call(this,r)};return e.trashFile=s,()=>{e.trashFile===s&&(e.trashFile=t)}}contains(e){return e===this.folder||e.startsWith(this.folder+"/")}async capture(e){var s;let t=this.app.vault.adapter;await t.exists(this.folder)||await t.mkdir(this.folder);let i=await It(t,this.folder,e.name);try{await Bt(t,e.path,i)}catch(r){throw await t.exists(i)&&await(e instanceof Mt.TFolder?t.rmdir(i,!0):t.remove(i)),r}return this.ledger.set(i,{originalPath:e.path,kind:e instanceof Mt.TFolder?"folder":"file",deletedAt:Date.now(),size:((s=e.stat)==null?void 0:s.size)||0,device:Fs(this.app),backlinks:Ls(this.app,e)}),i}};zt.exports={DeletionCapture:ye,getBinPath:It}});var Ut=k((Cr,qt)=>{"use strict";var{createZip:Ms,readZipEntries:Nt,readZipEntry:j}=ge(),{getBinPath:Is}=ve(),{isValidPath:we,addNameSuffix:Bs}=E(),_="manifest.json",Rt="obsidian-recycle-bin";async function Ot(a,e,t,i){if(e.kind==="folder"){i.push({name:t+"/",data:null,modified:e.deletedAt});for(let s of e.children)await Ot(a,s,`${t}/${s.name}`,i);return}i.push({name:t,data:await a.readBinary(e.path),modified:e.mtime})}function zs(a,e){for(let t of a)if(t===e||t.startsWith(e+"/")||e.startsWith(t+"/"))return!0;return!1}function Ns(a,e){let t=e.split("/"),i=t.slice(0,-1).findIndex((n,o)=>a.has(t.slice(0,o+1).join("/"))),s=i===-1?t.length-1:i,r=e;for(let n=2;zs(a,r);n++){let o=[...t];o[s]=s===t.length-1?Bs(t[s],String(n)):`${t[s]} (${n})`,r=o.join("/")}return r}async function Rs(a,e,t=null){var o,l;let i=[],s={format:Rt,version:1,exportedAt:Date.now(),items:[]},r=new Set([_]);if(t){let d=Nt(t);s.items=((o=await Vt(t,d))==null?void 0:o.items)||[];for(let u of d.filter(h=>h.name!==_))i.push({name:u.name,data:u.isFolder?null:await j(t,u),modified:u.modified}),r.add(u.name.replace(/\/$/,""))}for(let d of e){let u=Ns(r,d.originalPath);r.add(u),await Ot(a,d,u,i),s.items.push({originalPath:d.originalPath,archivePath:u,trashPath:d.path,kind:d.kind,size:d.size,deletedAt:d.deletedAt,device:d.device,backlinks:((l=d.ledgerEntry)==null?void 0:l.backlinks)||{}})}let n=new TextEncoder().encode(JSON.stringify(s,null,2));return i.unshift({name:_,data:n.buffer,modified:s.exportedAt}),{data:await Ms(i),manifest:s}}async function be(a,e){let t=e.split("/");for(let i=1;i<=t.length;i++){let s=t.slice(0,i).join("/");await a.exists(s)||await a.mkdir(s)}}async function Vt(a,e){let t=e.find(i=>i.name===_);if(!t)return null;try{let i=JSON.parse(new TextDecoder().decode(await j(a,t)));return(i==null?void 0:i.format)===Rt&&Array.isArray(i.items)?i:null}catch(i){return null}}async function Os(a,e,t,i){let s=Nt(t).filter(l=>we(l.name.replace(/\/$/,""))),r=await Vt(t,s),n=r?r.items.filter(l=>we(l.originalPath)&&we(l.archivePath)):s.filter(l=>!l.isFolder).map(l=>({originalPath:l.name,archivePath:l.name,kind:"file",size:l.size,deletedAt:l.modified}));await be(a,i);let o=[];for(let l of n){let d=await Is(a,i,l.originalPath.split("/").pop());if(l.kind==="folder"){await a.mkdir(d);let u=l.archivePath+"/";for(let h of s.filter(p=>p.name.startsWith(u)&&p.name!==u)){let p=`${d}/${h.name.slice(u.length).replace(/\/$/,"")}`;h.isFolder?await be(a,p):(await be(a,p.slice(0,p.lastIndexOf("/"))),await a.writeBinary(p,await j(t,h),{mtime:h.modified}))}}else{let u=s.find(h=>h.name===l.archivePath);if(!u)continue;await a.writeBinary(d,await j(t,u),{mtime:u.modified})}e.set(d,{originalPath:l.originalPath,kind:l.kind,deletedAt:l.deletedAt||Date.now(),size:l.size||0,device:l.device||null,backlinks:l.backlinks&&!Array.isArray(l.backlinks)?l.backlinks:{}}),o.push(d)}return o}qt.exports={exportItems:Rs,importArchive:Os}});var g=require("obsidian"),{t:c,getLanguage:Qt,setLanguage:Xt,TRANSLATIONS:Tr,SUPPORTED_LANGUAGES:Fr}=Me(),{formatFileSize:D,formatDate:ie,escapeHtml:$t,escapeRegExp:Vs,isValidPath:V,debounce:R,mapConcurrent:Wt,addNameSuffix:qs,getAvailablePath:ei,getDeviceName:Us}=E(),{VIEW_TYPE:A,PREVIEW_VIEW_TYPE:O,STATS_VIEW_TYPE:F,TRASH_FOLDER:M,CAPTURE_FOLDER:Z,DEFAULT_SETTINGS:G,STAT_CONCURRENCY:_t,PURGE_INTERVALS:jt,EXPIRING_SOON_DAYS:Zt,FILE_TYPES:H,MEDIA_TYPES:Gt,TEXT_EXTENSIONS:q,FILE_ICONS:K}=C(),{DeletionLedger:$s,stripTrashSuffix:Ws}=Ue(),{UndoManager:_s}=We(),{parseQuery:Ht,isEmptyQuery:js,matchItem:Zs}=He(),{splitLines:L,diffLines:De,buildHunks:Se,isSameHunk:Gs,copyHunkToNew:Hs}=Je(),{collectBacklinks:Ks,getLinkMoves:Ys,rewriteLinks:Js}=de(),{createRule:ti,getRetention:Qs,planPurge:ii,PinList:Xs}=nt(),{VirtualList:er}=ot(),{computeStats:tr}=pe(),{groupItems:ir,getGroupItems:N}=yt(),{renderCanvas:sr,parseDrawing:rr,renderDrawing:nr}=Dt(),{readZipEntries:ar}=ge(),{TextPreview:or}=Lt(),{DeletionCapture:lr}=ve(),{exportItems:xe,importArchive:cr}=Ut(),Y="en",J=class{constructor(e,t,i,s=M){this.vault=e,this.path=t,this.stat=i,this.source=s,this.kind="file",this.ledgerEntry=null,this.parent=null,this.versions=null,this.versionOf=null,this.name=t.split("/").pop(),this.originalPath=t.slice(s.length+1)}get size(){var e;return((e=this.stat)==null?void 0:e.size)||0}get mtime(){var e;return((e=this.stat)==null?void 0:e.mtime)||0}get deletedAt(){var e,t;return((e=this.ledgerEntry)==null?void 0:e.deletedAt)||((t=this.parent)==null?void 0:t.deletedAt)||this.mtime}get device(){var e,t;return((e=this.ledgerEntry)==null?void 0:e.device)||((t=this.parent)==null?void 0:t.device)||null}get rootEntry(){var e;return this.ledgerEntry||((e=this.parent)==null?void 0:e.rootEntry)||null}get backlinks(){var e,t;return((t=(e=this.rootEntry)==null?void 0:e.backlinks)==null?void 0:t[this.originalPath])||[]}get extension(){let e=this.name.split(".");return e.length>1?e.pop().toLowerCase():""}async restore(e={}){var t,i;try{let s=e.targetPath||this.originalPath;if(!V(s))return console.error("Invalid restore path:",s),!1;let r=this.vault.adapter,n=!1;if(await r.exists(s)){let u=e.onConflict?await e.onConflict(this,s):"skip";if(u==="rename")s=await ei(r,s,"restored");else if(u==="overwrite")n=!0;else return!1}let o=await r.readBinary(this.path),l=s.split("/").slice(0,-1).join("/");l&&await r.mkdir(l),n&&await this.trashExisting(s,e.fileManager);let d={};return(t=this.stat)!=null&&t.ctime&&(d.ctime=this.stat.ctime),(i=this.stat)!=null&&i.mtime&&(d.mtime=this.stat.mtime),await r.writeBinary(s,o,d),n&&(this.overwrote=!0),await this.verifyRestored(s,o.byteLength)?(await r.remove(this.path),this.restoredPath=s,!0):(console.error("Restored file size mismatch:",s),await r.remove(s),!1)}catch(s){return console.error("Failed to restore file:",s),!1}}async verifyRestored(e,t){var r;let i=typeof((r=this.stat)==null?void 0:r.size)=="number"?this.stat.size:t;if(t!==i)return!1;let s=await this.vault.adapter.stat(e);return!!s&&s.size===i}async trashExisting(e,t){let i=this.vault.getAbstractFileByPath(e);if(i?await t.trashFile(i):await this.vault.adapter.trashLocal(e),await this.vault.adapter.exists(e))throw new Error(`Could not move ${e} out of the way`)}async delete(){try{return await this.vault.adapter.remove(this.path),!0}catch(e){return console.error("Failed to delete file:",e),!1}}},Q=class{constructor(e,t,i=M){this.vault=e,this.path=t,this.source=i,this.kind="folder",this.children=[],this.ledgerEntry=null,this.parent=null,this.name=t.split("/").pop(),this.originalPath=t.slice(i.length+1)}get size(){return this.children.reduce((e,t)=>e+t.size,0)}get mtime(){return this.children.length===0?0:Math.max(...this.children.map(e=>e.mtime))}get deletedAt(){var e,t;return((e=this.ledgerEntry)==null?void 0:e.deletedAt)||((t=this.parent)==null?void 0:t.deletedAt)||this.mtime}get device(){var e,t;return((e=this.ledgerEntry)==null?void 0:e.device)||((t=this.parent)==null?void 0:t.device)||null}get rootEntry(){var e;return this.ledgerEntry||((e=this.parent)==null?void 0:e.rootEntry)||null}get fileCount(){return this.children.reduce((e,t)=>e+(t.kind==="folder"?t.fileCount:1),0)}async restore(e={}){try{let t=e.targetPath||this.originalPath;if(!V(t))return console.error("Invalid restore path:",t),!1;await this.vault.adapter.mkdir(t);let i=0;for(let s of this.children){let r=Object.assign({},e,{targetPath:`${t}/${s.name}`});await s.restore(r)||i++}return i>0?!1:(await this.vault.adapter.rmdir(this.path,!0),!0)}catch(t){return console.error("Failed to restore folder:",t),!1}}async delete(){try{return await this.vault.adapter.rmdir(this.path,!0),!0}catch(e){return console.error("Failed to delete folder:",e),!1}}},Ae=class{constructor(e,t=null,i=null,s=[M]){this.vault=e,this.ledger=t,this.pins=i,this.folders=s,this.index=new Map,this.items=[],this.loaded=!1,this.originalPaths=new Set,this.query=Ht(""),this.matches=new Map,this.textCache=new Map}async load(){this.loaded||await this.refresh()}async refresh(){this.index.clear(),this.textCache.clear(),await this.sync(),this.loaded=!0}getSource(e){let t=null;for(let i of this.folders)e.startsWith(i+"/")&&(!t||i.length>t.length)&&(t=i);return t}getTopLevelPath(e){let t=this.getSource(e);return t?`${t}/${e.slice(t.length+1).split("/")[0]}`:e}async sync(e=[]){let t=this.vault.adapter,i=[],s=[],r=[];for(let u of this.folders){if(!await t.exists(u))continue;r.push(u);let h=await t.list(u);i.push(...h.files.map(p=>({path:p,source:u}))),s.push(...h.folders.filter(p=>p!==u&&!this.folders.includes(p)).map(p=>({path:p,source:u})))}let n=new Set([...i,...s].map(u=>u.path)),o=new Set(e.map(u=>this.getTopLevelPath(u)));for(let u of[...this.index.keys()])(!n.has(u)||o.has(u))&&this.forget(u);let l=i.filter(u=>!this.index.has(u.path)),d=await Wt(l,_t,u=>t.stat(u.path));l.forEach(({path:u,source:h},p)=>{let f=new J(this.vault,u,d[p],h);this.resolveOrigin(f,null),this.index.set(u,f)});for(let{path:u,source:h}of s.filter(p=>!this.index.has(p.path))){let p=new Q(this.vault,u,h);this.resolveOrigin(p,null),await this.scanFolder(u,p),this.index.set(u,p)}this.items=[...this.index.values()],this.ledger&&this.ledger.prune(n,r),this.pins&&this.pins.prune(n,r),this.groupVersions(),this.originalPaths=new Set(this.items.map(u=>u.originalPath))}isOriginalPath(e){let t=e.split("/");for(let i=t.length;i>0;i--)if(this.originalPaths.has(t.slice(0,i).join("/")))return!0;return!1}forget(e){this.index.delete(e);for(let t of this.textCache.keys())(t===e||t.startsWith(e+"/"))&&this.textCache.delete(t)}groupVersions(){let e=this.items.filter(s=>s.kind==="file");for(let s of e)s.versions=null,s.versionOf=null,s.ledgerEntry||(s.originalPath=s.path.slice(s.source.length+1));let t=new Set(e.filter(s=>!s.ledgerEntry).map(s=>s.originalPath));for(let s of e){if(s.ledgerEntry)continue;let r=Ws(s.name);if(r===s.name)continue;let n=s.originalPath.slice(0,-s.name.length)+r;t.has(n)&&(s.originalPath=n)}let i=new Map;for(let s of e)i.has(s.originalPath)||i.set(s.originalPath,[]),i.get(s.originalPath).push(s);for(let s of i.values()){if(s.length<2)continue;s.sort((o,l)=>l.deletedAt-o.deletedAt);let[r,...n]=s;r.versions=s;for(let o of n)o.versionOf=r}}resolveOrigin(e,t){var s,r;if(t){e.parent=t,e.originalPath=t.originalPath+"/"+e.name;return}let i=(s=this.ledger)==null?void 0:s.get(e.path);i&&(e.ledgerEntry=i,e.originalPath=i.originalPath),e.pinned=!!((r=this.pins)!=null&&r.has(e.path))}async scanFolder(e,t){try{let i=await this.vault.adapter.list(e),s=await Wt(i.files,_t,r=>this.vault.adapter.stat(r));i.files.forEach((r,n)=>{let o=new J(this.vault,r,s[n],t.source);this.resolveOrigin(o,t),t.children.push(o)});for(let r of i.folders){let n=new Q(this.vault,r,t.source);this.resolveOrigin(n,t),await this.scanFolder(r,n),t.children.push(n)}}catch(i){console.error("Failed to scan folder:",i)}}async empty(e=t=>t.delete()){for(let t of this.items)await e(t);this.items=[]}async planPurge(e){return await this.sync(),ii(this.items,e)}async purge(e,t=null){let i=0,s=await this.planPurge(e);t&&s.length>0&&await t(s.map(({item:r})=>r));for(let{item:r}of s)await r.delete()&&(this.items=this.items.filter(n=>n!==r),i++);return i}sort(e,t="desc"){this.items.sort((i,s)=>{let r=0;switch(e){case"name":r=i.name.localeCompare(s.name);break;case"size":r=i.size-s.size;break;case"date":default:r=i.deletedAt-s.deletedAt}return t==="desc"?-r:r})}async filter(e,t={}){this.query=Ht(e),this.matches=new Map;let i=this.items.filter(n=>!n.versionOf);if(js(this.query))return i;let s={searchContent:!!t.searchContent,getContent:n=>this.readText(n)},r=[];for(let n of i){let o=await Zs(n,this.query,s);if(o){r.push(n),o.self&&this.matches.set(n.path,o);for(let[l,d]of o.descendants)this.matches.set(l,d)}}return r}async readText(e){if(!q.includes(e.extension)||e.size>1024*1024)return null;let t=this.textCache.get(e.path);if(t&&t.mtime===e.mtime)return t.text;try{let i=await this.vault.adapter.read(e.path);return this.textCache.set(e.path,{mtime:e.mtime,text:i}),i}catch(i){return null}}},U=class extends g.ItemView{constructor(e,t){super(e),this.plugin=t,this.file=null,this.mode="preview",this.compareVersion=null,this.sourceMode=!1,this.textPreview=null,this.findBar=null,this.state=null,this.scope=new g.Scope(this.app.scope),this.scope.register(["Mod"],"f",()=>(this.openFind(),!1))}getViewType(){return O}getDisplayText(){return this.file?`\u{1F5D1}\uFE0F ${this.file.name}`:c("trashedFilePreview")}getIcon(){return"trash-2"}async setFile(e,t={}){this.file=e,this.compareVersion=t.compareWith||null,this.mode=this.compareVersion?"compare":"preview",this.sourceMode=!1,await this.render(),this.leaf.updateHeader()}async restoreFile(e=null){let t=Ce(this.app,!1);if(await this.file.restore({onConflict:t,targetPath:e,fileManager:this.app.fileManager})){let i=this.plugin.undo.createOperation("restore");this.plugin.undo.recordRestore(i,this.file),this.plugin.finishOperation(i,c("restored",{name:this.file.name})),this.plugin.offerLinkUpdate([this.file]);let s=this.app.vault.getAbstractFileByPath(this.file.restoredPath);s?await this.leaf.openFile(s):this.leaf.detach(),await this.plugin.refreshViews([this.file.path])}else t.skipped>0?new g.Notice(c("restoreSkipped",{name:this.file.name})):new g.Notice(c("cannotRestore",{name:this.file.name}),5e3)}onClose(){var e;(e=this.textPreview)==null||e.destroy(),this.textPreview=null}async render(){var f;let e=this.containerEl.children[1];if((f=this.textPreview)==null||f.destroy(),this.textPreview=null,this.findBar=null,e.empty(),e.addClass("recycle-bin-preview-container"),!this.file){e.createEl("p",{text:c("noFileSelected")});return}if(this.state=await this.getState(),!this.state.inBin){this.renderGone(e);return}let t=this.file.device,i=t?` \u2022 ${$t(c("deletedOnDevice",{device:t}))}`:"",s=e.createDiv({cls:"recycle-bin-preview-banner"});s.innerHTML=`
             <div class="recycle-bin-preview-banner-icon">\u{1F5D1}\uFE0F</div>
             <div class="recycle-bin-preview-banner-text">
-                <strong>${t("fileInBin")}</strong><br>
-                <span>${t("originalLocation")}: ${ie(this.file.originalPath)} \u2022 ${W(this.file.size)} \u2022 ${t("deleted")} ${R(this.file.mtime)}</span>
+                <strong>${c("fileInBin")}</strong><br>
+                <span>${c("originalLocation")}: ${$t(this.file.originalPath)} \u2022 ${D(this.file.size)} \u2022 ${c("deleted")} ${ie(this.file.deletedAt)}${i}</span>
             </div>
-        `;let s=a.createDiv({cls:"recycle-bin-preview-banner-actions"}),i=s.createEl("button",{text:"\u21A9 "+t("restore"),cls:"recycle-bin-btn restore"});i.onclick=async()=>{if(await this.file.restore()){new c.Notice(t("restored",{name:this.file.name}));let n=this.app.vault.getAbstractFileByPath(this.file.originalPath);n?await this.leaf.openFile(n):this.leaf.detach(),await this.plugin.refreshViews()}else new c.Notice(t("cannotRestore"),5e3)};let o=s.createEl("button",{text:"\u2715 "+t("deleteForever"),cls:"recycle-bin-btn danger"});o.onclick=async()=>{this.plugin.settings.showConfirmations?new m(this.app,t("deletePermanently"),t("deleteConfirmMessage",{name:this.file.name}),t("delete"),async()=>{await this.file.delete(),new c.Notice(t("deleted",{name:this.file.name})),this.leaf.detach(),await this.plugin.refreshViews()}).open():(await this.file.delete(),new c.Notice(t("deleted",{name:this.file.name})),this.leaf.detach(),await this.plugin.refreshViews())};let d=e.createDiv({cls:"recycle-bin-preview-content"}),h=this.file.extension;if(["md","markdown","txt","js","ts","css","html","json","xml","yaml","yml"].includes(h))try{let n=await this.app.vault.adapter.read(this.file.path);if(h==="md"||h==="markdown")await c.MarkdownRenderer.renderMarkdown(n,d,this.file.path,this);else{let u=d.createEl("pre").createEl("code");u.textContent=n,u.className=`language-${h}`}}catch(n){d.createEl("p",{text:`Error loading file: ${n.message}`})}else if(["png","jpg","jpeg","gif","webp","svg","bmp"].includes(h))try{let n=await this.app.vault.adapter.readBinary(this.file.path),l=new Blob([n]),u=URL.createObjectURL(l),g=d.createEl("img",{cls:"recycle-bin-preview-image"});g.src=u,g.alt=this.file.name,this.register(()=>URL.revokeObjectURL(u))}catch(n){d.createEl("p",{text:t("unableToLoadImage")+`: ${n.message}`})}else d.createDiv({cls:"recycle-bin-unsupported"}).innerHTML=`
-                <div style="font-size: 48px; margin-bottom: 16px;">\u{1F4C4}</div>
-                <p>${t("previewNotAvailable")} <strong>.${h}</strong> ${t("files")}</p>
-                <p style="color: var(--text-muted);">${t("restoreToView")}</p>
-            `}},m=class extends c.Modal{constructor(e,a,s,i,o){super(e),this.titleText=a,this.message=s,this.confirmText=i,this.onConfirm=o}onOpen(){let{contentEl:e,titleEl:a}=this;a.setText(this.titleText),e.createEl("p",{text:this.message});let s=e.createDiv({cls:"recycle-bin-actions"}),i=s.createEl("button",{text:this.confirmText,cls:"recycle-bin-btn danger"});i.onclick=()=>{this.onConfirm(),this.close()};let o=s.createEl("button",{text:t("cancel"),cls:"recycle-bin-btn"});o.onclick=()=>this.close()}onClose(){this.contentEl.empty()}},w=class extends c.ItemView{constructor(e,a){super(e),this.plugin=a,this.searchQuery="",this.sortBy=a.settings.sortBy||"date",this.sortOrder=a.settings.sortOrder||"desc"}getViewType(){return p}getDisplayText(){return t("recycleBin")}getIcon(){return"trash-2"}async onOpen(){await this.render()}onClose(){}async render(){let e=this.containerEl.children[1];e.empty(),e.addClass("recycle-bin-container"),await this.plugin.trashManager.refresh(),this.renderToolbar(e);let a=e.createDiv({cls:"recycle-bin-content"}),s=this.plugin.trashManager.filter(this.searchQuery);if(this.plugin.trashManager.sort(this.sortBy,this.sortOrder),s.length===0)this.renderEmptyState(a);else{let i=a.createDiv({cls:"recycle-bin-list"});for(let o of s)this.renderItem(i,o)}}async refresh(){await this.render()}renderToolbar(e){let a=e.createDiv({cls:"recycle-bin-toolbar"}),s=a.createEl("input",{type:"text",cls:"recycle-bin-search",placeholder:t("searchPlaceholder")});s.value=this.searchQuery,s.oninput=ne(l=>{this.searchQuery=l.target.value,this.render()},200);let i=a.createEl("select",{cls:"recycle-bin-sort"}),o=[{value:"date-desc",text:t("sortNewest")},{value:"date-asc",text:t("sortOldest")},{value:"name-asc",text:t("sortNameAZ")},{value:"name-desc",text:t("sortNameZA")},{value:"size-desc",text:t("sortLargest")},{value:"size-asc",text:t("sortSmallest")}];for(let l of o){let u=i.createEl("option",{value:l.value,text:l.text});`${this.sortBy}-${this.sortOrder}`===l.value&&(u.selected=!0)}i.onchange=l=>{let[u,g]=l.target.value.split("-");this.sortBy=u,this.sortOrder=g,this.render()};let d=a.createDiv({cls:"recycle-bin-toolbar-buttons"}),h=d.createEl("button",{text:"\u{1F504}",cls:"recycle-bin-toolbar-btn",attr:{title:t("refresh")}});h.onclick=()=>this.refresh();let n=d.createEl("button",{text:"\u{1F5D1}\uFE0F",cls:"recycle-bin-toolbar-btn danger",attr:{title:t("emptyAll")}});n.onclick=()=>this.emptyAll()}renderEmptyState(e){let a=e.createDiv({cls:"recycle-bin-empty"});if(a.createDiv({cls:"recycle-bin-empty-icon",text:"\u{1F5D1}\uFE0F"}),(this.app.vault.config.trashOption||"system")!=="local"){a.createEl("p",{text:t("binNotConfigured")});let i=a.createEl("small");i.style.color="var(--text-warning)",i.innerHTML=t("usingSystemTrash")+"<br>"+t("goToSettings")}else a.createEl("p",{text:t("binEmpty")}),a.createEl("small",{text:t("deletedFilesAppear")})}getFileIcon(e){return z[e]||z.default}renderItem(e,a){let s=e.createDiv({cls:"recycle-bin-item"}),i=s.createDiv({cls:"recycle-bin-item-icon"});i.textContent=a.kind==="folder"?"\u{1F4C1}":this.getFileIcon(a.extension);let o=s.createDiv({cls:"recycle-bin-item-content"});if(o.createDiv({cls:"recycle-bin-item-name",text:a.name}),this.plugin.settings.showMetadata){let n=o.createDiv({cls:"recycle-bin-item-meta"});n.createSpan({text:W(a.size)}),n.createSpan({text:"\u2022"}),n.createSpan({text:R(a.mtime)})}let d=s.createDiv({cls:"recycle-bin-item-actions"}),h=d.createEl("button",{text:"\u21A9",cls:"recycle-bin-item-btn restore",attr:{title:t("restore")}});if(h.onclick=async n=>{n.stopPropagation(),await this.restoreItem(a)},this.plugin.settings.showDeleteButton){let n=d.createEl("button",{text:"\u2715",cls:"recycle-bin-item-btn delete",attr:{title:t("deletePermanently")}});n.onclick=async l=>{l.stopPropagation(),await this.deleteItem(a)}}a.kind==="file"&&(s.onclick=()=>this.openFilePreview(a))}async openFilePreview(e){let a=this.app.workspace.getLeaf("tab");await a.setViewState({type:f,active:!0});let s=a.view;s instanceof b&&await s.setFile(e)}async restoreItem(e){await e.restore()?(new c.Notice(t("restored",{name:e.name})),await this.refresh()):new c.Notice(t("cannotRestore"),5e3)}async deleteItem(e){this.plugin.settings.showConfirmations?new m(this.app,t("deletePermanently"),t("deleteConfirmMessage",{name:e.name}),t("delete"),async()=>{await e.delete(),new c.Notice(t("deleted",{name:e.name})),await this.refresh()}).open():(await e.delete(),new c.Notice(t("deleted",{name:e.name})),await this.refresh())}async emptyAll(){if(this.plugin.trashManager.items.length===0){new c.Notice(t("binAlreadyEmpty"));return}this.plugin.settings.showConfirmations?new m(this.app,t("emptyBin"),t("emptyBinConfirmMessage"),t("emptyAll"),async()=>{await this.plugin.trashManager.empty(),new c.Notice(t("binEmptied")),await this.refresh()}).open():(await this.plugin.trashManager.empty(),new c.Notice(t("binEmptied")),await this.refresh())}},L=class extends c.PluginSettingTab{constructor(e,a){super(e,a),this.plugin=a}display(){let{containerEl:e}=this;e.empty(),e.createEl("h2",{text:t("recycleBinSettings")}),e.createEl("h3",{text:t("trashLocation")});let a=this.app.vault.config.trashOption||"system",s=e.createDiv({cls:"setting-item-description"});s.style.marginBottom="12px",s.style.padding="12px",s.style.background="var(--background-secondary)",s.style.borderRadius="6px",a==="local"?s.innerHTML=`
-                <strong style="color: var(--text-success);">${t("usingObsidianTrash")}</strong><br>
-                <span style="color: var(--text-muted);">${t("deletedFilesWillAppear")}</span>
-            `:a==="system"?s.innerHTML=`
-                <strong style="color: var(--text-warning);">${t("usingSystemTrashWarning")}</strong><br>
-                <span style="color: var(--text-muted);">${t("systemTrashWarningDesc")}</span>
-            `:s.innerHTML=`
-                <strong style="color: var(--text-error);">${t("permanentDeleteWarning")}</strong><br>
-                <span style="color: var(--text-muted);">${t("permanentDeleteWarningDesc")}</span>
-            `,new c.Setting(e).setName(t("deletedFilesLocation")).setDesc(t("deletedFilesLocationDesc")).addDropdown(n=>n.addOption("local",t("obsidianTrashFolder")).addOption("system",t("systemTrash")).addOption("none",t("permanentDelete")).setValue(a).onChange(async l=>{this.app.vault.config.trashOption=l;try{await this.app.vault.setConfig("trashOption",l);let u=this.app.vault.configDir+"/app.json",g=JSON.stringify(this.app.vault.config,null,2);await this.app.vault.adapter.write(u,g)}catch(u){console.error("Failed to save trash config:",u)}new c.Notice(t("trashLocationChanged")+": "+(l==="local"?"Obsidian .trash":l==="system"?"System":"Permanent")),this.display()})),e.createEl("hr"),e.createEl("h3",{text:t("pluginSettings")});let i=a==="local";if(!i){let n=e.createDiv({cls:"setting-item-description"});n.style.marginBottom="12px",n.style.padding="12px",n.style.background="var(--background-modifier-error)",n.style.borderRadius="6px",n.style.color="var(--text-on-accent)",n.innerHTML=`
-                <strong>${t("settingsDisabled")}</strong><br>
-                ${t("settingsDisabledDesc")}
-            `}let o=e.createDiv();i||(o.style.opacity="0.4",o.style.pointerEvents="none"),new c.Setting(o).setName(t("autoPurge")).setDesc(t("autoPurgeDesc")).addToggle(n=>n.setValue(this.plugin.settings.autoPurgeEnabled).setDisabled(!i).onChange(async l=>{this.plugin.settings.autoPurgeEnabled=l,await this.plugin.saveSettings(),this.display()})),this.plugin.settings.autoPurgeEnabled&&new c.Setting(o).setName(t("autoPurgeDays")).setDesc(t("autoPurgeDaysDesc")).addText(n=>n.setPlaceholder("90").setValue(String(this.plugin.settings.autoPurgeDays)).setDisabled(!i).onChange(async l=>{let u=parseInt(l,10);!isNaN(u)&&u>0&&(this.plugin.settings.autoPurgeDays=u,await this.plugin.saveSettings())})),new c.Setting(o).setName(t("showConfirmations")).setDesc(t("showConfirmationsDesc")).addToggle(n=>n.setValue(this.plugin.settings.showConfirmations).setDisabled(!i).onChange(async l=>{this.plugin.settings.showConfirmations=l,await this.plugin.saveSettings()})),new c.Setting(o).setName(t("showMetadata")).setDesc(t("showMetadataDesc")).addToggle(n=>n.setValue(this.plugin.settings.showMetadata).setDisabled(!i).onChange(async l=>{this.plugin.settings.showMetadata=l,await this.plugin.saveSettings(),await this.plugin.refreshViews()})),new c.Setting(o).setName(t("showDeleteButton")).setDesc(t("showDeleteButtonDesc")).addToggle(n=>n.setValue(this.plugin.settings.showDeleteButton).setDisabled(!i).onChange(async l=>{this.plugin.settings.showDeleteButton=l,await this.plugin.saveSettings(),await this.plugin.refreshViews()})),e.createEl("hr"),e.createEl("h3",{text:"\u{1F30D} "+t("language")}),new c.Setting(e).setName(t("language")).setDesc(t("languageDesc")).addDropdown(n=>{n.addOption("auto",t("languageAuto")),n.addOption("en","English"),n.addOption("de","Deutsch"),n.addOption("zh","\u4E2D\u6587"),n.addOption("ja","\u65E5\u672C\u8A9E"),n.addOption("es","Espa\xF1ol"),n.addOption("fr","Fran\xE7ais"),n.addOption("pt","Portugu\xEAs"),n.addOption("ru","\u0420\u0443\u0441\u0441\u043A\u0438\u0439"),n.setValue(this.plugin.settings.language),n.onChange(async l=>{this.plugin.settings.language=l,y=I(this.app,this.plugin.settings),V(y),await this.plugin.saveSettings(),this.display(),await this.plugin.refreshViews()})});let d=e.createEl("p",{cls:"setting-item-description"});d.style.marginTop="8px",d.innerHTML=t("translationNote"),e.createEl("hr"),e.createEl("h3",{text:t("acknowledgements")});let h=e.createEl("p");h.innerHTML=t("acknowledgementsText")}},C=class extends c.Plugin{async onload(){if(console.log("Loading Recycle Bin plugin"),await this.loadSettings(),y=I(this.app,this.settings),V(y),this.trashManager=new S(this.app.vault),await this.trashManager.refresh(),this.registerView(p,e=>new w(e,this)),this.registerView(f,e=>new b(e,this)),this.addRibbonIcon("trash-2",t("recycleBin"),()=>{this.activateView()}),this.addCommand({id:"open-recycle-bin",name:t("recycleBin"),callback:()=>this.activateView()}),this.addCommand({id:"empty-recycle-bin",name:t("emptyBin"),callback:async()=>{if(await this.trashManager.refresh(),this.trashManager.items.length===0){new c.Notice(t("binAlreadyEmpty"));return}new m(this.app,t("emptyBin"),t("emptyBinConfirmMessage"),t("emptyAll"),async()=>{await this.trashManager.empty(),new c.Notice(t("binEmptied")),await this.refreshViews()}).open()}}),this.addSettingTab(new L(this.app,this)),this.settings.autoPurgeEnabled){let e=await this.trashManager.purgeOlderThan(this.settings.autoPurgeDays);e>0&&new c.Notice(t("autoPurged",{count:e}))}}onunload(){console.log("Unloading Recycle Bin plugin"),this.app.workspace.detachLeavesOfType(p),this.app.workspace.detachLeavesOfType(f)}async loadSettings(){this.settings=Object.assign({},re,await this.loadData())}async saveSettings(){await this.saveData(this.settings)}async activateView(){let e=this.app.workspace.getLeavesOfType(p);e.length?this.app.workspace.revealLeaf(e[0]):await this.app.workspace.getRightLeaf(!1).setViewState({type:p,active:!0})}async refreshViews(){await this.trashManager.refresh();for(let e of this.app.workspace.getLeavesOfType(p))e.view instanceof w&&await e.view.refresh()}};module.exports=C;
+        `;let r=this.file.backlinks;if(r.length>0){let m=e.createDiv({cls:"recycle-bin-preview-backlinks"});m.createSpan({text:c("linkedFrom",{count:r.length})+" "});for(let v of r){let y=m.createEl("a",{text:v.replace(/\.md$/,""),cls:"internal-link"});y.onclick=b=>{b.preventDefault(),this.app.workspace.openLinkText(v,"",!0)}}}let n=s.createDiv({cls:"recycle-bin-preview-banner-actions"}),o=n.createEl("button",{text:"\u21A9 "+c("restore"),cls:"recycle-bin-btn restore"});o.onclick=()=>this.restoreFile();let l=n.createEl("button",{text:"\u2934 "+c("restoreTo"),cls:"recycle-bin-btn"});l.onclick=()=>{new B(this.app,this.plugin.getReservedFolders(),m=>{this.restoreFile(ri(m,this.file.originalPath.split("/").pop()))}).open()};let d=n.createEl("button",{text:"\u2715 "+c("deleteForever"),cls:"recycle-bin-btn danger"});d.onclick=async()=>{this.plugin.settings.showConfirmations?new P(this.app,c("deletePermanently"),c("deleteConfirmMessage",{name:this.file.name}),c("delete"),async()=>{await this.plugin.deleteItem(this.file),this.leaf.detach()}).open():(await this.plugin.deleteItem(this.file),this.leaf.detach())};let u=this.getCompareTarget();if(u){let m=n.createEl("button",{text:this.mode==="compare"?"\u{1F441} "+c("showPreview"):"\u21C6 "+u.buttonText,cls:"recycle-bin-btn"});m.onclick=()=>{this.mode=this.mode==="compare"?"preview":"compare",this.render()}}let h=e.createDiv({cls:"recycle-bin-preview-content"}),p=this.file.extension;if(u&&this.mode==="compare"){await this.renderComparison(h,u);return}try{await this.renderContent(h,p)}catch(m){h.empty(),h.createEl("p",{text:`Error loading file: ${m.message}`})}}async refresh(){if(!this.file||!this.state)return;let e=await this.getState();(e.inBin!==this.state.inBin||e.comparable!==this.state.comparable)&&await this.render()}async getState(){let e=await this.app.vault.adapter.exists(this.file.path);return{inBin:e,comparable:e&&!!this.getCompareTarget()}}renderGone(e){let t=e.createDiv({cls:"recycle-bin-unsupported"});t.createDiv({text:"\u{1F5D1}\uFE0F"}).style.fontSize="48px",t.createEl("p").createEl("strong",{text:c("noLongerInBin",{name:this.file.name})});let i=this.app.vault.getAbstractFileByPath(this.file.restoredPath||this.file.originalPath),s=i instanceof g.TFile;t.createEl("p",{text:s?c("noLongerInBinRestored",{path:i.path}):c("noLongerInBinDesc")});let r=t.createDiv({cls:"recycle-bin-actions"});s&&(r.createEl("button",{text:c("openFile"),cls:"recycle-bin-btn mod-cta"}).onclick=()=>this.leaf.openFile(i)),r.createEl("button",{text:c("close"),cls:"recycle-bin-btn"}).onclick=()=>this.leaf.detach()}async renderContent(e,t){let i=this.app.vault.adapter;if(t==="canvas")e.addClass("recycle-bin-drawing-container"),sr(e,JSON.parse(await i.read(this.file.path)));else if(t==="excalidraw"||t==="json"||this.file.name.endsWith(".excalidraw.md")){let s=await i.read(this.file.path),r=rr(s);r?(e.addClass("recycle-bin-drawing-container"),nr(e,r)):await this.renderText(e,s,t)}else if(q.includes(t))await this.renderText(e,await i.read(this.file.path),t);else if(["png","jpg","jpeg","gif","webp","svg","bmp"].includes(t))try{let s=e.createEl("img",{cls:"recycle-bin-preview-image"});s.src=this.createBlobUrl(await i.readBinary(this.file.path),t==="svg"?"image/svg+xml":""),s.alt=this.file.name}catch(s){e.createEl("p",{text:c("unableToLoadImage")+`: ${s.message}`})}else if(t==="pdf")e.addClass("recycle-bin-embed-container"),e.createEl("iframe",{cls:"recycle-bin-preview-pdf",attr:{src:this.createBlobUrl(await i.readBinary(this.file.path),Gt.pdf)}});else if(H.audio.includes(t)||H.video.includes(t)){let s=e.createEl(H.audio.includes(t)?"audio":"video",{cls:"recycle-bin-preview-media",attr:{controls:""}});s.onerror=()=>{s.remove(),this.renderUnsupported(e,t,c("unableToPlay"))},s.src=this.createBlobUrl(await i.readBinary(this.file.path),Gt[t]||"")}else t==="zip"?this.renderZipListing(e,ar(await i.readBinary(this.file.path))):this.renderUnsupported(e,t)}async renderText(e,t,i){let s=(i==="md"||i==="markdown")&&!this.sourceMode;e.addClass("recycle-bin-text-preview"),e.toggleClass("is-wrapped",this.plugin.settings.previewWordWrap);let r=e.createDiv({cls:"recycle-bin-preview-toolbar"});if(i==="md"||i==="markdown"){let o=r.createEl("button",{text:s?"</> "+c("showSource"):"\u{1F441} "+c("showRendered"),cls:"recycle-bin-btn"});o.onclick=()=>{this.sourceMode=!this.sourceMode,this.render()}}if(!s){let o=r.createEl("button",{text:"\u21B5 "+c("wordWrap"),cls:"recycle-bin-btn"});o.toggleClass("is-active",this.plugin.settings.previewWordWrap),o.onclick=async()=>{this.plugin.settings.previewWordWrap=!this.plugin.settings.previewWordWrap,await this.plugin.saveSettings(),e.toggleClass("is-wrapped",this.plugin.settings.previewWordWrap),o.toggleClass("is-active",this.plugin.settings.previewWordWrap)}}let n=r.createEl("button",{text:"\u{1F50D} "+c("find"),cls:"recycle-bin-btn",attr:{title:"Ctrl+F"}});n.onclick=()=>this.openFind(),this.findBar=this.renderFindBar(r),this.textPreview=new or(e,{text:t,extension:i,rendered:s,sourcePath:this.file.path,component:this}),await this.textPreview.render()}renderFindBar(e){let t=e.createDiv({cls:"recycle-bin-find-bar"});t.hide();let i=t.createEl("input",{type:"text",cls:"recycle-bin-search",placeholder:c("findPlaceholder")}),s=t.createSpan({cls:"recycle-bin-find-count"}),r=()=>{let o=this.textPreview;i.value?o.matches.length===0?s.setText(c("noMatchesShort")):s.setText(`${o.current+1}/${o.matches.length}`):s.setText("")},n=o=>{this.textPreview.select(this.textPreview.current+o),r()};return i.oninput=R(async()=>{await this.textPreview.find(i.value),r()},200),i.onkeydown=o=>{o.key==="Enter"?(o.preventDefault(),n(o.shiftKey?-1:1)):o.key==="Escape"&&(o.preventDefault(),this.closeFind())},t.createEl("button",{text:"\u2191",cls:"recycle-bin-item-btn",attr:{title:c("previousMatch")}}).onclick=()=>n(-1),t.createEl("button",{text:"\u2193",cls:"recycle-bin-item-btn",attr:{title:c("nextMatch")}}).onclick=()=>n(1),t.createEl("button",{text:"\u2715",cls:"recycle-bin-item-btn",attr:{title:c("close")}}).onclick=()=>this.closeFind(),{el:t,input:i,count:s}}openFind(){this.findBar&&(this.findBar.el.show(),this.findBar.input.focus(),this.findBar.input.select())}closeFind(){var e;this.findBar&&(this.findBar.el.hide(),this.findBar.input.value="",(e=this.textPreview)==null||e.clearFind(),this.findBar.count.setText(""))}renderUnsupported(e,t,i=null){let s=e.createDiv({cls:"recycle-bin-unsupported"});s.createDiv({text:"\u{1F4C4}"}).style.fontSize="48px";let r=s.createEl("p");i?r.setText(i):(r.appendText(`${c("previewNotAvailable")} `),r.createEl("strong",{text:`.${t}`}),r.appendText(` ${c("files")}`)),s.createEl("p",{cls:"recycle-bin-item-meta",text:c("restoreToView")})}renderZipListing(e,t){let i=t.filter(l=>!l.isFolder),s=i.reduce((l,d)=>l+d.size,0);e.createEl("p",{text:c("archiveSummary",{count:i.length,size:D(s)})});let r=e.createEl("table",{cls:"recycle-bin-archive-listing"}),n=r.createEl("thead").createEl("tr");for(let l of[c("archiveName"),c("size"),c("archiveModified")])n.createEl("th",{text:l});let o=r.createEl("tbody");for(let l of[...t].sort((d,u)=>d.name.localeCompare(u.name))){let d=o.createEl("tr");d.createEl("td",{text:`${l.isFolder?"\u{1F4C1}":this.getFileIcon(l.name)} ${l.name}`}),d.createEl("td",{text:l.isFolder?"":D(l.size)}),d.createEl("td",{text:new Date(l.modified).toLocaleString()})}}getFileIcon(e){let t=e.includes(".")?e.split(".").pop().toLowerCase():"";return K[t]||K.default}createBlobUrl(e,t){let i=URL.createObjectURL(new Blob([e],{type:t}));return this.register(()=>URL.revokeObjectURL(i)),i}getCompareTarget(){if(!this.file||!q.includes(this.file.extension))return null;let e=this.compareVersion;if(e)return{buttonText:c("compareWithNewest"),label:`\u{1F5D1}\uFE0F ${c("versionDeleted",{date:new Date(e.deletedAt).toLocaleString()})}`,read:()=>this.app.vault.adapter.read(e.path),liveFile:null};let t=this.app.vault.getAbstractFileByPath(this.file.originalPath);return t instanceof g.TFile?{buttonText:c("compareWithCurrent"),label:`\u{1F4C4} ${c("currentVersion")}: ${t.path}`,read:()=>this.app.vault.read(t),liveFile:t}:null}async renderComparison(e,t){e.addClass("recycle-bin-diff-container");let i=t.liveFile,s,r;try{r=await this.app.vault.adapter.read(this.file.path);let n=await t.read();s=Se(De(L(r),L(n)))}catch(n){e.createEl("p",{text:`Error loading file: ${n.message}`});return}si(e,s,t.label,i?(n,o)=>{let l=n.createEl("button",{text:c("copyHunkToCurrent"),cls:"recycle-bin-btn"});l.onclick=async()=>{try{let d=await this.app.vault.read(i),u=Se(De(L(r),L(d))).find(h=>Gs(h,o));u?(await this.app.vault.modify(i,Hs(d,u)),new g.Notice(c("hunkCopied",{path:i.path}))):new g.Notice(c("hunkOutdated"),5e3)}catch(d){console.error("Failed to copy hunk:",d),new g.Notice(c("hunkCopyFailed"),5e3)}await this.render()}}:null)}};function si(a,e,t,i=null){if(e.length===0){a.createDiv({cls:"recycle-bin-unsupported",text:c("filesIdentical")});return}let s=a.createDiv({cls:"recycle-bin-diff-columns"});s.createDiv({text:`\u{1F5D1}\uFE0F ${c("trashedVersion")}`}),s.createDiv({text:t});for(let r of e){let n=a.createDiv({cls:"recycle-bin-diff-hunk"}),o=n.createDiv({cls:"recycle-bin-diff-hunk-header"});o.createSpan({text:`@@ -${r.oldStart+1},${r.oldCount} +${r.newStart+1},${r.newCount} @@`}),i&&i(o,r);let l=n.createDiv({cls:"recycle-bin-diff-table"});for(let d of dr(r.ops))Kt(l,d.left,"remove"),Kt(l,d.right,"add")}}function dr(a){let e=[],t=[],i=[],s=()=>{for(let r=0;r<Math.max(t.length,i.length);r++)e.push({left:t[r]||null,right:i[r]||null});t=[],i=[]};for(let r of a)r.type==="remove"?t.push(r):r.type==="add"?i.push(r):(s(),e.push({left:r,right:r}));return s(),e}function Kt(a,e,t){let i=a.createDiv({cls:"recycle-bin-diff-cell"});if(!e){i.addClass("is-empty");return}e.type!=="equal"&&i.addClass(`is-${t}`);let s=t==="remove"?e.oldIndex+1:e.newIndex+1;i.createSpan({cls:"recycle-bin-diff-line-number",text:String(s)}),i.createSpan({cls:"recycle-bin-diff-text",text:e.text})}function Yt(a){return a.includes('"')?null:`path:"${a}"`}var X=class extends g.ItemView{constructor(e,t){super(e),this.plugin=t,this.timeline="days"}getViewType(){return F}getDisplayText(){return c("trashStatistics")}getIcon(){return"bar-chart-2"}async onOpen(){await this.render()}async refresh(){await this.render()}async render(){let e=this.containerEl.children[1];e.empty(),e.addClass("recycle-bin-stats"),await this.plugin.trashManager.load();let t=this.plugin.trashManager.items,i=tr(t);e.createEl("h2",{text:c("trashStatistics")});let s=e.createDiv({cls:"recycle-bin-stats-summary"});if(this.renderCard(s,c("totalSize"),D(i.size)),this.renderCard(s,c("trashedItems"),c("itemsAndFiles",{count:i.count,files:i.fileCount})),this.plugin.settings.autoPurgeEnabled){let h=ii(t,this.plugin.getRetentionPolicy()),p=h.reduce((m,{item:v})=>m+v.size,0),f=this.renderCard(s,c("nextPurgeFrees"),D(p),c("itemsCount",{count:h.length}));f.addClass("is-clickable"),f.onclick=()=>new te(this.app,h,m=>this.plugin.purgeNow(m)).open()}if(t.length===0){e.createDiv({cls:"recycle-bin-empty",text:c("binEmpty")});return}this.renderSection(e,c("byFileType"),i.types.map(h=>({label:c("category_"+h.category),value:h.size,detail:`${D(h.size)} \u2022 ${h.count}`,query:`is:${h.category}`})));let r=e.createDiv({cls:"recycle-bin-stats-section"}),n=r.createDiv({cls:"recycle-bin-stats-heading"});n.createEl("h4",{text:c("deletionsOverTime")});let o=n.createEl("select",{cls:"dropdown"});o.createEl("option",{value:"days",text:c("perDay")}),o.createEl("option",{value:"weeks",text:c("perWeek")}),o.value=this.timeline,o.onchange=()=>{this.timeline=o.value,this.render()};let l=i[this.timeline],d=Math.max(1,...l.map(h=>h.count)),u=r.createDiv({cls:"recycle-bin-stats-timeline"});for(let h of l){let p=h.from===h.to?h.from:`${h.from}..${h.to}`,f=u.createDiv({cls:"recycle-bin-stats-column"});f.setAttr("title",`${p.replace(".."," \u2013 ")}: ${h.count} \u2022 ${D(h.size)}`),f.createDiv({cls:"recycle-bin-stats-column-bar"}).style.height=`${h.count/d*100}%`,h.count>0&&(f.addClass("is-clickable"),f.onclick=()=>this.plugin.showInSidebar(`deleted:${p}`))}this.renderSection(e,c("largestItems"),i.largest.map(h=>({label:h.originalPath,value:h.size,detail:D(h.size),query:Yt(h.originalPath)}))),this.renderSection(e,c("topFolders"),i.folders.map(h=>({label:h.folder||"/",value:h.size,detail:`${D(h.size)} \u2022 ${h.count}`,query:h.folder?Yt(h.folder+"/"):null})))}renderCard(e,t,i,s=null){let r=e.createDiv({cls:"recycle-bin-stats-card"});return r.createDiv({cls:"recycle-bin-stats-card-label",text:t}),r.createDiv({cls:"recycle-bin-stats-card-value",text:i}),s&&r.createDiv({cls:"recycle-bin-item-meta",text:s}),r}renderSection(e,t,i){let s=e.createDiv({cls:"recycle-bin-stats-section"});s.createEl("h4",{text:t});let r=Math.max(1,...i.map(n=>n.value));for(let n of i){let o=s.createDiv({cls:"recycle-bin-stats-row"});o.createDiv({cls:"recycle-bin-stats-label",text:n.label,attr:{title:n.label}});let l=o.createDiv({cls:"recycle-bin-stats-bar-track"});l.createDiv({cls:"recycle-bin-stats-bar"}).style.width=`${n.value/r*100}%`,o.createDiv({cls:"recycle-bin-stats-detail",text:n.detail}),n.query&&(o.addClass("is-clickable"),o.onclick=()=>this.plugin.showInSidebar(n.query))}}},P=class extends g.Modal{constructor(e,t,i,s,r){super(e),this.titleText=t,this.message=i,this.confirmText=s,this.onConfirm=r}onOpen(){let{contentEl:e,titleEl:t}=this;t.setText(this.titleText),e.createEl("p",{text:this.message});let i=e.createDiv({cls:"recycle-bin-actions"}),s=i.createEl("button",{text:this.confirmText,cls:"recycle-bin-btn danger"});s.onclick=()=>{this.onConfirm(),this.close()};let r=i.createEl("button",{text:c("cancel"),cls:"recycle-bin-btn"});r.onclick=()=>this.close()}onClose(){this.contentEl.empty()}},ee=class extends P{constructor(e,t,i){super(e,c("emptyBin"),c("emptyBinConfirmMessage"),c("emptyAll"),i),this.defaultAction=t}onOpen(){let{contentEl:e,titleEl:t}=this;t.setText(this.titleText),e.createEl("p",{text:this.message});let i=e.createDiv({cls:"recycle-bin-actions"}),s=r=>{this.onConfirm(r),this.close()};i.createEl("button",{text:c("archiveAll"),cls:"recycle-bin-btn"+(this.defaultAction==="archive"?" mod-cta":"")}).onclick=()=>s("archive"),i.createEl("button",{text:this.confirmText,cls:"recycle-bin-btn danger"}).onclick=()=>s("delete"),i.createEl("button",{text:c("cancel"),cls:"recycle-bin-btn"}).onclick=()=>this.close()}},Pe=class extends P{constructor(e,t,i,s,r){super(e,c("restoreConflict"),c("restoreConflictMessage",{path:i}),c("restore"),null),this.item=t,this.targetPath=i,this.allowApplyToAll=s,this.onChoose=r,this.choice="skip",this.applyToAll=!1}onOpen(){let{contentEl:e,titleEl:t}=this;t.setText(this.titleText),e.createEl("p",{text:this.message});let i=e.createDiv({cls:"recycle-bin-actions"}),s=n=>{this.choice=n,this.close()},r=qs(this.item.name,"restored");if(i.createEl("button",{text:c("restoreKeepBoth",{name:r}),cls:"recycle-bin-btn mod-cta"}).onclick=()=>s("rename"),i.createEl("button",{text:c("restoreOverwrite"),cls:"recycle-bin-btn danger"}).onclick=()=>s("overwrite"),i.createEl("button",{text:c("restoreCompare"),cls:"recycle-bin-btn"}).onclick=()=>new Ee(this.app,this.item,this.targetPath).open(),i.createEl("button",{text:c("restoreSkip"),cls:"recycle-bin-btn"}).onclick=()=>s("skip"),this.allowApplyToAll){let n=e.createEl("label",{cls:"recycle-bin-apply-all"}),o=n.createEl("input",{type:"checkbox"});n.appendText(" "+c("applyToAll")),o.onchange=()=>{this.applyToAll=o.checked}}}onClose(){this.contentEl.empty(),this.onChoose(this.choice,this.applyToAll)}},Ee=class extends g.Modal{constructor(e,t,i){super(e),this.item=t,this.currentPath=i}async onOpen(){let{contentEl:e,titleEl:t}=this,i=this.app.vault.adapter;t.setText(this.item.name),this.modalEl.addClass("recycle-bin-compare-modal");try{let s=e.createDiv({cls:"recycle-bin-compare"}),r=[[c("trashedVersion"),this.item.path],[c("currentVersion"),this.currentPath]];for(let[u,h]of r){let p=await i.stat(h);s.createDiv({cls:"recycle-bin-item-meta",text:`${u}: ${D(p==null?void 0:p.size)} \u2022 ${ie(p==null?void 0:p.mtime)}`})}if(!q.includes(this.item.extension))return;let n=await i.read(this.item.path),o=await i.read(this.currentPath),l=Se(De(L(n),L(o))),d=e.createDiv({cls:"recycle-bin-preview-content recycle-bin-diff-container"});si(d,l,`\u{1F4C4} ${c("currentVersion")}`)}catch(s){e.createEl("p",{text:`Error loading file: ${s.message}`})}}onClose(){this.contentEl.empty()}},te=class extends g.Modal{constructor(e,t,i=null){super(e),this.plan=t,this.onRun=i}onOpen(){let{contentEl:e,titleEl:t}=this;if(t.setText(c("previewPurge")),this.plan.length===0){e.createEl("p",{text:c("purgeNothing")});return}let i=this.plan.reduce((o,{item:l})=>o+l.size,0);e.createEl("p",{text:c("purgeSummary",{count:this.plan.length,size:D(i)})});let s=e.createDiv({cls:"recycle-bin-purge-list"});for(let{item:o,reason:l,ruleIndex:d}of this.plan){let u=s.createDiv({cls:"recycle-bin-purge-row"});u.createDiv({cls:"recycle-bin-item-name",text:o.originalPath}),u.createDiv({cls:"recycle-bin-item-meta",text:[D(o.size),ie(o.deletedAt),l==="rule"?c("retentionRule",{number:d+1}):c(l==="sizeCap"?"purgeReasonSize":"purgeReasonDefault")].join(" \u2022 ")})}if(!this.onRun)return;let r=e.createDiv({cls:"recycle-bin-actions"}),n=o=>{this.close(),this.onRun(o)};r.createEl("button",{text:c("archiveNow"),cls:"recycle-bin-btn mod-cta"}).onclick=()=>n("archive"),r.createEl("button",{text:c("purgeNow"),cls:"recycle-bin-btn danger"}).onclick=()=>n("delete")}onClose(){this.contentEl.empty()}};function Ce(a,e){let t=null,i=async(s,r)=>{let n=t;if(!n){let o=await new Promise(l=>{new Pe(a,s,r,e,(d,u)=>l({picked:d,applyToAll:u})).open()});n=o.picked,o.applyToAll&&(t=n)}return n==="skip"&&i.skipped++,n};return i.skipped=0,i}var B=class extends g.FuzzySuggestModal{constructor(e,t,i){super(e),this.excluded=t,this.onChoose=i,this.setPlaceholder(c("chooseFolder"))}getItems(){return this.app.vault.getAllLoadedFiles().filter(e=>e instanceof g.TFolder&&!this.excluded.some(t=>e.path===t||e.path.startsWith(t+"/"))).map(e=>({path:e.isRoot()?"":e.path,create:!1}))}getItemText(e){return e.create?c("createFolder",{path:e.path}):e.path||"/"}getSuggestions(e){let t=super.getSuggestions(e),i=e.trim().replace(/^\/+|\/+$/g,"");return i&&V(i)&&!this.app.vault.getAbstractFileByPath(i)&&!this.excluded.some(s=>i===s||i.startsWith(s+"/"))&&t.push({item:{path:i,create:!0},match:{score:0,matches:[]}}),t}async onChooseItem(e){if(e.create)try{await this.app.vault.createFolder(e.path)}catch(t){console.error("Failed to create folder:",t)}this.onChoose(e.path)}};function ke(a,e,t){let i=t.filter(r=>!r.negate).map(r=>r.text);if(i.length===0){a.appendText(e);return}let s=new RegExp(`(${i.map(Vs).join("|")})`,"gi");for(let r of e.split(s))r&&(i.includes(r.toLowerCase())?a.createEl("mark",{text:r}):a.appendText(r))}function Jt(a){return/^(\/|[A-Za-z]:[\\/]|\\\\)/.test(a)}function ri(a,e){return a?`${a}/${e}`:e}var I=class extends g.ItemView{constructor(e,t){super(e),this.plugin=t,this.searchQuery="",this.sortBy=t.settings.sortBy||"date",this.sortOrder=t.settings.sortOrder||"desc",this.groupBy=t.settings.groupBy||"none",this.groups=null,this.collapsedGroups=new Set,this.selected=new Set,this.lastClickedPath=null,this.visibleItems=[],this.itemEls=new Map,this.expanded=new Set,this.expandedForQuery="",this.retention=new Map,this.expiringItems=[],this.expiringCollapsed=!1,this.list=null,this.rows=[],this.focusedIndex=-1,this.focusedKey=null,this.updateToken=0}getViewType(){return A}getDisplayText(){return c("recycleBin")}getIcon(){return"trash-2"}async onOpen(){await this.render()}onClose(){var e;(e=this.list)==null||e.destroy(),this.list=null}async render(){var t;let e=this.containerEl.children[1];(t=this.list)==null||t.destroy(),this.list=null,e.empty(),e.addClass("recycle-bin-container"),this.renderToolbar(e),this.selectionBar=e.createDiv({cls:"recycle-bin-selection-bar"}),this.contentEl=e.createDiv({cls:"recycle-bin-content",attr:{tabindex:"0"}}),this.contentEl.addEventListener("keydown",i=>this.onKeyDown(i)),this.footerEl=e.createDiv({cls:"recycle-bin-footer"}),await this.updateList()}async setSearch(e){this.searchQuery=e,this.searchEl&&(this.searchEl.value=e),await this.updateList()}async refresh(){await this.updateList()}async updateList(){var n;let e=++this.updateToken;await this.plugin.trashManager.load();let t=new Set(this.plugin.trashManager.items.map(o=>o.path));for(let o of this.selected)t.has(o)||this.selected.delete(o);this.plugin.trashManager.sort(this.sortBy,this.sortOrder);let i=await this.plugin.trashManager.filter(this.searchQuery,{searchContent:this.plugin.settings.searchContent});if(e!==this.updateToken)return;this.retention.clear();let s=[],r=[];if(this.plugin.settings.autoPurgeEnabled){let o=this.plugin.getRetentionPolicy(),l=Date.now()+Zt*24*60*60*1e3;for(let d of i){let u=Qs(d,o);this.retention.set(d.path,u),(u.expiresAt!==null&&u.expiresAt<l?s:r).push(d)}}else r.push(...i);if(this.expiringItems=s,this.groups=ir(r,this.groupBy),this.visibleItems=[...s,...N(this.groups)],this.searchQuery!==this.expandedForQuery){this.expandedForQuery=this.searchQuery;let o=l=>{this.hasMatchingDescendant(l)&&(this.expanded.add(l.path),l.children.filter(d=>d.kind==="folder").forEach(o))};i.filter(l=>l.kind==="folder").forEach(o)}i.length===0?((n=this.list)==null||n.destroy(),this.list=null,this.rows=[],this.contentEl.empty(),this.plugin.trashManager.items.length>0?this.contentEl.createDiv({cls:"recycle-bin-empty",text:c("noMatches")}):this.renderEmptyState(this.contentEl)):(this.list||(this.contentEl.empty(),this.list=new er(this.contentEl,{getKey:o=>o.key,renderRow:(o,l,d)=>this.renderRow(o,l,d),estimateHeight:o=>o.type==="item"&&!o.nested?52:40})),this.updateRows()),this.renderFooter(),this.updateSelection()}updateRows(){let e=[];if(this.expiringItems.length>0&&(e.push({type:"expiring",key:"expiring",depth:0}),!this.expiringCollapsed))for(let t of this.expiringItems)this.pushItemRows(e,t,1,!1);this.pushGroupRows(e,this.groups,0),this.rows=e,this.focusedIndex=e.findIndex(t=>t.key===this.focusedKey),this.itemEls.clear(),this.list.setRows(e)}pushGroupRows(e,t,i){for(let s of t.groups)e.push({type:"group",key:"group:"+s.key,group:s,depth:i}),this.collapsedGroups.has(s.key)||this.pushGroupRows(e,s,i+1);for(let s of t.items)this.pushItemRows(e,s,i,!1)}pushItemRows(e,t,i,s){var r;if(e.push({type:"item",key:t.path,item:t,depth:i,nested:s}),!!this.expanded.has(t.path))if(t.kind==="folder"){let n=[...t.children].sort((o,l)=>(o.kind===l.kind?0:o.kind==="folder"?-1:1)||o.name.localeCompare(l.name));for(let o of n)this.pushItemRows(e,o,i+1,!0)}else((r=t.versions)==null?void 0:r.length)>1&&t.versions.forEach((n,o)=>{e.push({type:"version",key:`version:${n.path}`,item:n,newest:t,index:o,depth:i+1})})}renderRow(e,t,i){e.style.paddingLeft=`${t.depth*16}px`,e.style.setProperty("--indent",`${t.depth*16}px`),e.toggleClass("is-nested",t.depth>0),e.toggleClass("is-focused",i===this.focusedIndex),e.addEventListener("click",()=>this.setFocus(i)),t.type==="expiring"?this.renderExpiringHeader(e):t.type==="group"?this.renderGroupHeader(e,t.group):t.type==="version"?this.renderVersion(e,t.item,t.newest,t.index):this.renderItem(e,t.item,t.nested)}renderExpiringHeader(e){let t=e.createDiv({cls:"recycle-bin-item recycle-bin-folder-header recycle-bin-expiring"});t.toggleClass("is-collapsed",this.expiringCollapsed),t.createDiv({cls:"recycle-bin-folder-icon",text:"\u25BE"}),t.createDiv({cls:"recycle-bin-item-icon",text:"\u23F3"}),t.createDiv({cls:"recycle-bin-item-name",text:c("expiringSoon")}),t.createSpan({cls:"recycle-bin-item-badge",text:String(this.expiringItems.length)}),t.onclick=()=>this.toggleExpiring()}toggleExpiring(){this.expiringCollapsed=!this.expiringCollapsed,this.updateRows()}renderGroupHeader(e,t){var h;let i=e.createDiv({cls:"recycle-bin-item recycle-bin-folder-header recycle-bin-group"});i.toggleClass("is-collapsed",this.collapsedGroups.has(t.key)),i.createDiv({cls:"recycle-bin-folder-icon",text:"\u25BE"});let s="\u{1F4C5}",r=c(t.id);this.groupBy==="folder"?(s="\u{1F4C2}",r=t.id):this.groupBy==="type"&&(s=t.id==="folder"?"\u{1F4C1}":this.getFileIcon((h=H[t.id])==null?void 0:h[0]),r=c("category_"+t.id)),i.createDiv({cls:"recycle-bin-item-icon",text:s});let n=i.createDiv({cls:"recycle-bin-item-content"});n.createDiv({cls:"recycle-bin-item-name",text:r});let o=n.createDiv({cls:"recycle-bin-item-meta"});o.createSpan({cls:"recycle-bin-item-badge",text:String(t.count)}),o.createSpan({text:D(t.size)});let l=i.createDiv({cls:"recycle-bin-item-actions"}),d=l.createEl("button",{text:"\u21A9",cls:"recycle-bin-item-btn restore",attr:{title:c("restoreAll")}});d.onclick=async p=>{p.stopPropagation(),await this.restoreItems(N(t))};let u=l.createEl("button",{text:"\u2715",cls:"recycle-bin-item-btn delete",attr:{title:c("deleteAll")}});u.onclick=async p=>{p.stopPropagation(),await this.deleteItems(N(t))},i.onclick=()=>this.toggleGroup(t)}toggleGroup(e){this.collapsedGroups.has(e.key)?this.collapsedGroups.delete(e.key):this.collapsedGroups.add(e.key),this.updateRows()}setFocus(e){e<0||e>=this.rows.length||(this.focusedIndex=e,this.focusedKey=this.rows[e].key,this.list.scrollToIndex(e),this.list.forEachRendered((t,i)=>t.toggleClass("is-focused",i===e)))}onKeyDown(e){var n;if(!this.list||e.ctrlKey||e.metaKey||e.altKey)return;let t=this.rows[this.focusedIndex],i=t==null?void 0:t.item,s=t&&(t.type==="expiring"||t.type==="group"||t.type==="item"&&(i.kind==="folder"||((n=i.versions)==null?void 0:n.length)>1)),r=this.expanded.has(t==null?void 0:t.key);switch((t==null?void 0:t.type)==="expiring"&&(r=!this.expiringCollapsed),(t==null?void 0:t.type)==="group"&&(r=!this.collapsedGroups.has(t.group.key)),e.key){case"ArrowDown":this.setFocus(Math.min(this.rows.length-1,this.focusedIndex+1));break;case"ArrowUp":this.setFocus(Math.max(0,this.focusedIndex-1));break;case"ArrowRight":case"ArrowLeft":if(!s||r===(e.key==="ArrowRight"))return;t.type==="expiring"?this.toggleExpiring():t.type==="group"?this.toggleGroup(t.group):this.toggleFolder(i);break;case"Enter":if(!t)return;t.type==="expiring"?this.toggleExpiring():t.type==="group"?this.toggleGroup(t.group):i.kind==="folder"?this.toggleFolder(i):this.openFilePreview(i);break;case" ":if((t==null?void 0:t.type)!=="item"||t.nested)return;this.handleSelectClick(i,e);break;case"r":case"R":this.selected.size>0?this.restoreSelected():(t==null?void 0:t.type)==="group"?this.restoreItems(N(t.group)):i&&this.restoreItem(i);break;case"Delete":case"Backspace":this.selected.size>0?this.deleteSelected():(t==null?void 0:t.type)==="group"?this.deleteItems(N(t.group)):i&&this.deleteItem(i,t.type!=="version");break;default:return}e.preventDefault()}renderRetentionBadge(e,t){var n;if(t.pinned){e.createDiv({cls:"recycle-bin-item-badge is-pinned",text:`\u{1F4CC} ${c("keptForever")}`});return}let i=(n=this.retention.get(t.path))==null?void 0:n.expiresAt;if(i==null)return;let s=Math.ceil((i-Date.now())/(24*60*60*1e3)),r=e.createDiv({cls:"recycle-bin-item-badge recycle-bin-expiry",text:`\u23F3 ${s<=0?c("expiresNextPurge"):c("expiresInDays",{count:s})}`});r.toggleClass("is-soon",s<=Zt),r.setAttr("title",new Date(i).toLocaleString())}renderFooter(){let e=this.plugin.getNextPurgeTime();this.footerEl.toggle(e!==null),e!==null&&this.footerEl.setText(c("nextPurge",{time:new Date(Math.max(e,Date.now())).toLocaleString()}))}renderToolbar(e){let t=e.createDiv({cls:"recycle-bin-toolbar"}),i=t.createEl("input",{type:"text",cls:"recycle-bin-search",placeholder:c("searchPlaceholder")});i.value=this.searchQuery,this.searchEl=i,i.oninput=R(m=>{this.searchQuery=m.target.value,this.updateList()},200);let s=t.createEl("select",{cls:"recycle-bin-sort"}),r=[{value:"date-desc",text:c("sortNewest")},{value:"date-asc",text:c("sortOldest")},{value:"name-asc",text:c("sortNameAZ")},{value:"name-desc",text:c("sortNameZA")},{value:"size-desc",text:c("sortLargest")},{value:"size-asc",text:c("sortSmallest")}];for(let m of r){let v=s.createEl("option",{value:m.value,text:m.text});`${this.sortBy}-${this.sortOrder}`===m.value&&(v.selected=!0)}s.onchange=m=>{let[v,y]=m.target.value.split("-");this.sortBy=v,this.sortOrder=y,this.updateList()};let n=t.createEl("select",{cls:"recycle-bin-sort recycle-bin-group-by"}),o=[{value:"none",text:c("groupNone")},{value:"folder",text:c("groupByFolder")},{value:"type",text:c("groupByType")},{value:"date",text:c("groupByDate")}];for(let m of o)n.createEl("option",{value:m.value,text:m.text});n.value=this.groupBy,n.onchange=async m=>{this.groupBy=m.target.value,this.plugin.settings.groupBy=this.groupBy,await this.plugin.saveSettings(),await this.updateList()};let l=t.createDiv({cls:"recycle-bin-toolbar-buttons"}),d=l.createEl("button",{text:"\u{1F504}",cls:"recycle-bin-toolbar-btn",attr:{title:c("refresh")}});d.onclick=async()=>{await this.plugin.trashManager.refresh(),await this.plugin.refreshViews()};let u=l.createEl("button",{text:"\u{1F4CA}",cls:"recycle-bin-toolbar-btn",attr:{title:c("trashStatistics")}});u.onclick=()=>this.plugin.openStats();let h=l.createEl("button",{text:"\u{1F4E6}",cls:"recycle-bin-toolbar-btn",attr:{title:c("exportBinToZip")}});h.onclick=()=>this.plugin.exportToZip(this.plugin.trashManager.items);let p=l.createEl("button",{text:"\u{1F4E5}",cls:"recycle-bin-toolbar-btn",attr:{title:c("importFromZip")}});p.onclick=()=>this.plugin.importFromZip();let f=l.createEl("button",{text:"\u{1F5D1}\uFE0F",cls:"recycle-bin-toolbar-btn danger",attr:{title:c("emptyAll")}});f.onclick=()=>this.emptyAll()}renderEmptyState(e){let t=e.createDiv({cls:"recycle-bin-empty"});if(t.createDiv({cls:"recycle-bin-empty-icon",text:"\u{1F5D1}\uFE0F"}),(this.app.vault.config.trashOption||"system")!=="local"&&!this.plugin.settings.captureMode&&this.plugin.settings.binFolders.length===0){t.createEl("p",{text:c("binNotConfigured")});let s=t.createEl("small");s.style.color="var(--text-warning)",s.innerHTML=c("usingSystemTrash")+"<br>"+c("goToSettings")}else t.createEl("p",{text:c("binEmpty")}),t.createEl("small",{text:c("deletedFilesAppear")})}getFileIcon(e){return K[e]||K.default}renderItem(e,t,i=!1){var v;let s=t.kind==="file"&&((v=t.versions)==null?void 0:v.length)>1,r=t.kind==="folder"||s,n=e.createDiv({cls:"recycle-bin-item"});if(r&&(n.addClass("recycle-bin-folder-header"),n.toggleClass("recycle-bin-version-group",s),n.toggleClass("is-collapsed",!this.expanded.has(t.path))),n.setAttr("title",`${c("originalLocation")}: ${t.originalPath}`),!i){this.itemEls.set(t.path,n);let y=n.createEl("input",{type:"checkbox",cls:"recycle-bin-item-checkbox"});y.checked=this.selected.has(t.path),n.toggleClass("selected",y.checked),y.onclick=b=>{b.stopPropagation(),this.handleSelectClick(t,b)}}if(r){let y=n.createDiv({cls:"recycle-bin-folder-icon",text:"\u25BE"});y.onclick=b=>{b.stopPropagation(),this.toggleFolder(t)}}let o=n.createDiv({cls:"recycle-bin-item-icon"});o.textContent=t.kind==="folder"?"\u{1F4C1}":this.getFileIcon(t.extension);let{query:l,matches:d}=this.plugin.trashManager,u=d.get(t.path);n.toggleClass("is-match",!!u&&i);let h=n.createDiv({cls:"recycle-bin-item-content"});if(ke(h.createDiv({cls:"recycle-bin-item-name"}),t.name,l.terms),l.terms.length>0&&t.originalPath!==t.name&&!i&&ke(h.createDiv({cls:"recycle-bin-item-path"}),t.originalPath,l.terms),u!=null&&u.snippet&&ke(h.createDiv({cls:"recycle-bin-item-snippet"}),u.snippet,l.terms),this.plugin.settings.showMetadata){let y=h.createDiv({cls:"recycle-bin-item-meta"});y.createSpan({text:D(t.size)}),t.kind==="folder"&&(y.createSpan({text:"\u2022"}),y.createSpan({text:`${t.fileCount} ${c("items")}`})),s&&(y.createSpan({text:"\u2022"}),y.createSpan({cls:"recycle-bin-item-badge",text:c("versionCount",{count:t.versions.length})})),y.createSpan({text:"\u2022"}),y.createSpan({text:ie(t.deletedAt)})}i||(this.plugin.trashManager.folders.length>1&&h.createDiv({cls:"recycle-bin-item-badge is-source",text:this.plugin.getSourceLabel(t.source),attr:{title:`${c("binSource")}: ${t.source}`}}),this.renderRetentionBadge(h,t),this.app.vault.getAbstractFileByPath(t.originalPath)&&h.createDiv({cls:"recycle-bin-item-badge is-taken",text:`\u26A0 ${c("originalTaken")}`,attr:{title:c("originalTakenDesc")}}));let p=n.createDiv({cls:"recycle-bin-item-actions"});if(!i){let y=p.createEl("button",{text:"\u{1F4CC}",cls:"recycle-bin-item-btn recycle-bin-pin",attr:{title:t.pinned?c("allowPurge"):c("keepForever")}});y.toggleClass("is-pinned",t.pinned),y.onclick=async b=>{b.stopPropagation(),t.pinned=!t.pinned,this.plugin.pins.set(t.path,t.pinned),await this.plugin.refreshViews()}}let f=p.createEl("button",{text:"\u21A9",cls:"recycle-bin-item-btn restore",attr:{title:c(s?"restoreNewestVersion":"restore")}});f.onclick=async y=>{y.stopPropagation(),await this.restoreItem(t)};let m=p.createEl("button",{text:"\u2934",cls:"recycle-bin-item-btn",attr:{title:c("restoreTo")}});if(m.onclick=y=>{y.stopPropagation(),new B(this.app,this.plugin.getReservedFolders(),b=>{this.restoreItem(t,ri(b,t.originalPath.split("/").pop()))}).open()},this.plugin.settings.showDeleteButton){let y=p.createEl("button",{text:"\u2715",cls:"recycle-bin-item-btn delete",attr:{title:s?c("deleteAllVersions",{count:t.versions.length}):c("deletePermanently")}});y.onclick=async b=>{b.stopPropagation(),await this.deleteItem(t)}}n.onclick=y=>{!i&&(y.shiftKey||y.ctrlKey||y.metaKey||this.selected.size>0)?this.handleSelectClick(t,y):t.kind==="folder"?this.toggleFolder(t):this.openFilePreview(t)}}renderVersion(e,t,i,s){let r=e.createDiv({cls:"recycle-bin-item recycle-bin-version"});r.setAttr("title",t.path),r.createDiv({cls:"recycle-bin-item-icon",text:s===0?"\u2605":"\u{1F558}"});let n=r.createDiv({cls:"recycle-bin-item-content"});n.createDiv({cls:"recycle-bin-item-name",text:c("versionDeleted",{date:new Date(t.deletedAt).toLocaleString()})});let o=n.createDiv({cls:"recycle-bin-item-meta"});o.createSpan({text:D(t.size)}),t.device&&(o.createSpan({text:"\u2022"}),o.createSpan({text:t.device}));let l=r.createDiv({cls:"recycle-bin-item-actions"});if(s>0&&q.includes(t.extension)){let u=l.createEl("button",{text:"\u21C6",cls:"recycle-bin-item-btn",attr:{title:c("compareWithNewest")}});u.onclick=h=>{h.stopPropagation(),this.openFilePreview(t,{compareWith:i})}}let d=l.createEl("button",{text:"\u21A9",cls:"recycle-bin-item-btn restore",attr:{title:c("restoreVersion")}});if(d.onclick=async u=>{u.stopPropagation(),await this.restoreItem(t)},this.plugin.settings.showDeleteButton){let u=l.createEl("button",{text:"\u2715",cls:"recycle-bin-item-btn delete",attr:{title:c("deletePermanently")}});u.onclick=async h=>{h.stopPropagation(),await this.deleteItem(t,!1)}}r.onclick=()=>this.openFilePreview(t)}hasMatchingDescendant(e){let t=e.path+"/";for(let i of this.plugin.trashManager.matches.keys())if(i.startsWith(t))return!0;return!1}toggleFolder(e){this.expanded.has(e.path)?this.expanded.delete(e.path):this.expanded.add(e.path),this.updateRows()}handleSelectClick(e,t){let i=this.visibleItems.map(r=>r.path),s=i.indexOf(this.lastClickedPath);if(t.shiftKey&&s!==-1){let r=i.indexOf(e.path),[n,o]=s<r?[s,r]:[r,s];for(let l of i.slice(n,o+1))this.selected.add(l)}else this.selected.has(e.path)?this.selected.delete(e.path):this.selected.add(e.path);this.lastClickedPath=e.path,this.updateSelection()}updateSelection(){for(let[e,t]of this.itemEls){if(!t.isConnected){this.itemEls.delete(e);continue}let i=this.selected.has(e);t.toggleClass("selected",i);let s=t.querySelector(".recycle-bin-item-checkbox");s&&(s.checked=i)}this.selectionBar&&this.renderSelectionBar(this.selectionBar)}renderSelectionBar(e){e.empty();let t=this.selected.size;e.createSpan({cls:"recycle-bin-selection-count",text:c("selectedCount",{count:t})});let i=e.createDiv({cls:"recycle-bin-actions"});i.createEl("button",{text:c("selectAllMatching"),cls:"recycle-bin-btn"}).onclick=()=>{for(let s of this.visibleItems)this.selected.add(s.path);this.updateSelection()},i.createEl("button",{text:c("invertSelection"),cls:"recycle-bin-btn"}).onclick=()=>{for(let s of this.visibleItems)this.selected.has(s.path)?this.selected.delete(s.path):this.selected.add(s.path);this.updateSelection()},t!==0&&(i.createEl("button",{text:"\u21A9 "+c("restoreSelected"),cls:"recycle-bin-btn mod-cta"}).onclick=()=>this.restoreSelected(),i.createEl("button",{text:"\u{1F4E6} "+c("exportSelected"),cls:"recycle-bin-btn"}).onclick=()=>this.plugin.exportToZip(this.getSelectedItems()),i.createEl("button",{text:"\u2715 "+c("deleteSelected"),cls:"recycle-bin-btn danger"}).onclick=()=>this.deleteSelected())}getSelectedItems(){return this.plugin.trashManager.items.filter(e=>this.selected.has(e.path))}async runBulk(e,t,i){let s={succeeded:0,skipped:0,failed:0},r=new g.Notice(c(t,{done:0,total:e.length}),0);for(let[n,o]of e.entries()){let l=await i(o);l==="skipped"?s.skipped++:l?s.succeeded++:s.failed++,r.setMessage(c(t,{done:n+1,total:e.length}))}return r.hide(),s}async restoreSelected(){await this.restoreItems(this.getSelectedItems()),this.selected.clear(),this.updateSelection()}async restoreItems(e){let t=Ce(this.app,!0),i=this.plugin.undo.createOperation("restore"),s=[],r=await this.runBulk(e,"restoringProgress",async n=>{let o=t.skipped;return await n.restore({onConflict:t,fileManager:this.app.fileManager})?(this.plugin.undo.recordRestore(i,n),s.push(n),!0):t.skipped>o?"skipped":!1});this.plugin.finishOperation(i,c("bulkRestoreSummary",r),r.failed>0?8e3:4e3),this.plugin.offerLinkUpdate(s),await this.plugin.refreshViews(e.map(n=>n.path))}async deleteSelected(){await this.deleteItems(this.getSelectedItems(),"deleteSelectedConfirmMessage",()=>this.selected.clear())}async deleteItems(e,t="deleteItemsConfirmMessage",i=()=>{}){let s=async()=>{let r=this.plugin.undo.createOperation("delete"),n=await this.runBulk(e,"deletingProgress",o=>this.plugin.removeVersions(r,o));this.plugin.finishOperation(r,c("bulkDeleteSummary",n),n.failed>0?8e3:4e3),i(),await this.plugin.refreshViews()};this.plugin.settings.showConfirmations?new P(this.app,c("deletePermanently"),c(t,{count:e.length}),c("delete"),s).open():await s()}async openFilePreview(e,t={}){let i=this.app.workspace.getLeaf("tab");await i.setViewState({type:O,active:!0});let s=i.view;s instanceof U&&await s.setFile(e,t)}async restoreItem(e,t=null){let i=Ce(this.app,e.kind==="folder");if(await e.restore({onConflict:i,targetPath:t,fileManager:this.app.fileManager})){let s=this.plugin.undo.createOperation("restore");this.plugin.undo.recordRestore(s,e),this.plugin.finishOperation(s,c("restored",{name:e.name})),this.plugin.offerLinkUpdate([e])}else i.skipped>0?new g.Notice(c("restoreSkipped",{name:e.name})):new g.Notice(c("cannotRestore",{name:e.name}),5e3);await this.plugin.refreshViews([e.path])}async deleteItem(e,t=!0){var i;if(this.plugin.settings.showConfirmations){let s=t&&((i=e.versions)==null?void 0:i.length)||1;new P(this.app,c("deletePermanently"),s>1?c("deleteVersionsConfirmMessage",{name:e.name,count:s}):c("deleteConfirmMessage",{name:e.name}),c("delete"),()=>this.plugin.deleteItem(e,t)).open()}else await this.plugin.deleteItem(e,t)}async emptyAll(){if(this.plugin.trashManager.items.length===0){new g.Notice(c("binAlreadyEmpty"));return}this.plugin.settings.showConfirmations?new ee(this.app,this.plugin.settings.purgeAction,e=>this.plugin.emptyBin(e)).open():await this.plugin.emptyBin()}},Te=class extends g.PluginSettingTab{constructor(e,t){super(e,t),this.plugin=t}display(){let{containerEl:e}=this;e.empty(),e.createEl("h2",{text:c("recycleBinSettings")}),e.createEl("h3",{text:c("trashLocation")});let t=this.app.vault.config.trashOption||"system",i=e.createDiv({cls:"setting-item-description"});i.style.marginBottom="12px",i.style.padding="12px",i.style.background="var(--background-secondary)",i.style.borderRadius="6px",t==="local"?i.innerHTML=`
+                <strong style="color: var(--text-success);">${c("usingObsidianTrash")}</strong><br>
+                <span style="color: var(--text-muted);">${c("deletedFilesWillAppear")}</span>
+            `:this.plugin.settings.captureMode?i.innerHTML=`
+                <strong style="color: var(--text-success);">${c("captureActive")}</strong><br>
+                <span style="color: var(--text-muted);">${c("captureActiveDesc")}</span>
+            `:t==="system"?i.innerHTML=`
+                <strong style="color: var(--text-warning);">${c("usingSystemTrashWarning")}</strong><br>
+                <span style="color: var(--text-muted);">${c("systemTrashWarningDesc")}</span>
+            `:i.innerHTML=`
+                <strong style="color: var(--text-error);">${c("permanentDeleteWarning")}</strong><br>
+                <span style="color: var(--text-muted);">${c("permanentDeleteWarningDesc")}</span>
+            `,new g.Setting(e).setName(c("deletedFilesLocation")).setDesc(c("deletedFilesLocationDesc")).addDropdown(l=>l.addOption("local",c("obsidianTrashFolder")).addOption("system",c("systemTrash")).addOption("none",c("permanentDelete")).setValue(t).onChange(async d=>{this.app.vault.config.trashOption=d;try{await this.app.vault.setConfig("trashOption",d);let u=this.app.vault.configDir+"/app.json",h=JSON.stringify(this.app.vault.config,null,2);await this.app.vault.adapter.write(u,h)}catch(u){console.error("Failed to save trash config:",u)}new g.Notice(c("trashLocationChanged")+": "+(d==="local"?"Obsidian .trash":d==="system"?"System":"Permanent")),await this.plugin.updateBinSources(),this.display()})),t!=="local"&&new g.Setting(e).setName(c("captureMode")).setDesc(c("captureModeDesc")).addToggle(l=>l.setValue(this.plugin.settings.captureMode).onChange(async d=>{this.plugin.settings.captureMode=d,await this.plugin.saveSettings(),await this.plugin.updateBinSources(),this.display()})),this.renderBinFolders(e),e.createEl("hr"),e.createEl("h3",{text:c("pluginSettings")});let s=t==="local"||this.plugin.settings.captureMode||this.plugin.settings.binFolders.length>0;if(!s){let l=e.createDiv({cls:"setting-item-description"});l.style.marginBottom="12px",l.style.padding="12px",l.style.background="var(--background-modifier-error)",l.style.borderRadius="6px",l.style.color="var(--text-on-accent)",l.innerHTML=`
+                <strong>${c("settingsDisabled")}</strong><br>
+                ${c("settingsDisabledDesc")}
+            `}let r=e.createDiv();s||(r.style.opacity="0.4",r.style.pointerEvents="none"),new g.Setting(r).setName(c("autoPurge")).setDesc(c("autoPurgeDesc")).addToggle(l=>l.setValue(this.plugin.settings.autoPurgeEnabled).setDisabled(!s).onChange(async d=>{this.plugin.settings.autoPurgeEnabled=d,await this.plugin.saveSettings(),this.display()})),this.plugin.settings.autoPurgeEnabled&&(new g.Setting(r).setName(c("autoPurgeInterval")).setDesc(c("nextPurge",{time:new Date(this.plugin.getNextPurgeTime()).toLocaleString()})).addDropdown(l=>l.addOption("hourly",c("hourly")).addOption("daily",c("daily")).setValue(this.plugin.settings.autoPurgeInterval).setDisabled(!s).onChange(async d=>{this.plugin.settings.autoPurgeInterval=d,await this.plugin.saveSettings(),this.display()})),new g.Setting(r).setName(c("autoPurgeDays")).setDesc(c("autoPurgeDaysDesc")).addText(l=>l.setPlaceholder("90").setValue(String(this.plugin.settings.autoPurgeDays)).setDisabled(!s).onChange(async d=>{let u=parseInt(d,10);!isNaN(u)&&u>0&&(this.plugin.settings.autoPurgeDays=u,await this.plugin.saveSettings())})),new g.Setting(r).setName(c("maxBinSize")).setDesc(c("maxBinSizeDesc")).addText(l=>l.setPlaceholder("0").setValue(String(this.plugin.settings.maxBinSizeMb)).setDisabled(!s).onChange(async d=>{let u=parseFloat(d);!isNaN(u)&&u>=0&&(this.plugin.settings.maxBinSizeMb=u,await this.plugin.saveSettings())})),this.renderRetentionRules(r,s)),new g.Setting(r).setName(c("purgeAction")).setDesc(c("purgeActionDesc")).addDropdown(l=>l.addOption("delete",c("purgeActionDelete")).addOption("archive",c("purgeActionArchive")).setValue(this.plugin.settings.purgeAction).setDisabled(!s).onChange(async d=>{this.plugin.settings.purgeAction=d,await this.plugin.saveSettings(),this.display()})),this.plugin.settings.purgeAction==="archive"&&new g.Setting(r).setName(c("archiveLocation")).setDesc(c("archiveLocationDesc")).addText(l=>l.setPlaceholder(G.archiveLocation).setValue(this.plugin.settings.archiveLocation).setDisabled(!s).onChange(async d=>{this.plugin.settings.archiveLocation=d.trim(),await this.plugin.saveSettings()})),new g.Setting(r).setName(c("undoGraceSeconds")).setDesc(c("undoGraceSecondsDesc")).addText(l=>l.setPlaceholder("30").setValue(String(this.plugin.settings.undoGraceSeconds)).setDisabled(!s).onChange(async d=>{let u=parseInt(d,10);!isNaN(u)&&u>=0&&(this.plugin.settings.undoGraceSeconds=u,await this.plugin.saveSettings())})),new g.Setting(r).setName(c("undoLimit")).setDesc(c("undoLimitDesc")).addText(l=>l.setPlaceholder("10").setValue(String(this.plugin.settings.undoLimit)).setDisabled(!s).onChange(async d=>{let u=parseInt(d,10);!isNaN(u)&&u>0&&(this.plugin.settings.undoLimit=u,await this.plugin.saveSettings())})),new g.Setting(r).setName(c("showConfirmations")).setDesc(c("showConfirmationsDesc")).addToggle(l=>l.setValue(this.plugin.settings.showConfirmations).setDisabled(!s).onChange(async d=>{this.plugin.settings.showConfirmations=d,await this.plugin.saveSettings()})),new g.Setting(r).setName(c("showMetadata")).setDesc(c("showMetadataDesc")).addToggle(l=>l.setValue(this.plugin.settings.showMetadata).setDisabled(!s).onChange(async d=>{this.plugin.settings.showMetadata=d,await this.plugin.saveSettings(),await this.plugin.refreshViews()})),new g.Setting(r).setName(c("searchContent")).setDesc(c("searchContentDesc")).addToggle(l=>l.setValue(this.plugin.settings.searchContent).setDisabled(!s).onChange(async d=>{this.plugin.settings.searchContent=d,await this.plugin.saveSettings(),await this.plugin.refreshViews()})),new g.Setting(r).setName(c("showDeleteButton")).setDesc(c("showDeleteButtonDesc")).addToggle(l=>l.setValue(this.plugin.settings.showDeleteButton).setDisabled(!s).onChange(async d=>{this.plugin.settings.showDeleteButton=d,await this.plugin.saveSettings(),await this.plugin.refreshViews()})),e.createEl("hr"),e.createEl("h3",{text:"\u{1F30D} "+c("language")}),new g.Setting(e).setName(c("language")).setDesc(c("languageDesc")).addDropdown(l=>{l.addOption("auto",c("languageAuto")),l.addOption("en","English"),l.addOption("de","Deutsch"),l.addOption("zh","\u4E2D\u6587"),l.addOption("ja","\u65E5\u672C\u8A9E"),l.addOption("es","Espa\xF1ol"),l.addOption("fr","Fran\xE7ais"),l.addOption("pt","Portugu\xEAs"),l.addOption("ru","\u0420\u0443\u0441\u0441\u043A\u0438\u0439"),l.setValue(this.plugin.settings.language),l.onChange(async d=>{this.plugin.settings.language=d,Y=Qt(this.app,this.plugin.settings),Xt(Y),await this.plugin.saveSettings(),this.display();for(let u of this.app.workspace.getLeavesOfType(A))u.view instanceof I&&await u.view.render()})});let n=e.createEl("p",{cls:"setting-item-description"});n.style.marginTop="8px",n.innerHTML=c("translationNote"),e.createEl("hr"),e.createEl("h3",{text:c("acknowledgements")});let o=e.createEl("p");o.innerHTML=c("acknowledgementsText")}renderBinFolders(e){let t=this.plugin.settings.binFolders;new g.Setting(e).setName(c("binFolders")).setDesc(c("binFoldersDesc")).setHeading();let i=async()=>{await this.plugin.saveSettings(),await this.plugin.updateBinSources()};t.forEach((s,r)=>{new g.Setting(e).addText(n=>{n.setValue(s),n.inputEl.addEventListener("change",async()=>{let o=this.plugin.normalizeBinFolder(n.getValue());if(!o){new g.Notice(c("invalidBinFolder")),n.setValue(t[r]);return}t[r]=o,n.setValue(o),await i()})}).addExtraButton(n=>n.setIcon("trash").setTooltip(c("removeBinFolder")).onClick(async()=>{t.splice(r,1),await i(),this.display()}))}),new g.Setting(e).addButton(s=>s.setButtonText(c("addBinFolder")).onClick(()=>{new B(this.app,this.plugin.getReservedFolders(),async r=>{let n=this.plugin.normalizeBinFolder(r);if(!n){new g.Notice(c("invalidBinFolder"));return}t.includes(n)||t.push(n),await i(),this.display()}).open()}))}renderRetentionRules(e,t){let i=this.plugin.settings.retentionRules;new g.Setting(e).setName(c("retentionRules")).setDesc(c("retentionRulesDesc")).setHeading();let s=async()=>{await this.plugin.saveSettings()};i.forEach((r,n)=>{let o=new g.Setting(e).setName(c("retentionRule",{number:n+1})).setClass("recycle-bin-rule").addText(l=>l.setPlaceholder(c("ruleExtensions")).setValue(r.extensions).setDisabled(!t).onChange(async d=>{r.extensions=d,await s()})).addText(l=>l.setPlaceholder(c("rulePath")).setValue(r.path).setDisabled(!t).onChange(async d=>{r.path=d,await s()})).addText(l=>l.setPlaceholder(c("ruleMinSize")).setValue(r.minSizeMb?String(r.minSizeMb):"").setDisabled(!t).onChange(async d=>{let u=parseFloat(d);r.minSizeMb=!isNaN(u)&&u>0?u:0,await s()})).addDropdown(l=>l.addOption("purge",c("rulePurgeAfter")).addOption("keep",c("ruleKeepForever")).setValue(r.action).setDisabled(!t).onChange(async d=>{r.action=d,await s(),this.display()}));r.action==="purge"&&o.addText(l=>l.setPlaceholder(c("ruleDays")).setValue(String(r.days)).setDisabled(!t).onChange(async d=>{let u=parseInt(d,10);!isNaN(u)&&u>=0&&(r.days=u,await s())})),o.addExtraButton(l=>l.setIcon("arrow-up").setTooltip(c("moveUp")).setDisabled(n===0).onClick(async()=>{i.splice(n-1,0,i.splice(n,1)[0]),await s(),this.display()})).addExtraButton(l=>l.setIcon("arrow-down").setTooltip(c("moveDown")).setDisabled(n===i.length-1).onClick(async()=>{i.splice(n+1,0,i.splice(n,1)[0]),await s(),this.display()})).addExtraButton(l=>l.setIcon("trash").setTooltip(c("removeRule")).onClick(async()=>{i.splice(n,1),await s(),this.display()}))}),new g.Setting(e).addButton(r=>r.setButtonText(c("addRule")).setDisabled(!t).onClick(async()=>{i.push(ti()),await s(),this.display()})).addButton(r=>r.setButtonText(c("previewPurge")).setDisabled(!t).onClick(async()=>{let n=await this.plugin.trashManager.planPurge(this.plugin.getRetentionPolicy());new te(this.app,n,o=>this.plugin.purgeNow(o)).open()}))}},Fe=class extends g.Plugin{async onload(){console.log("Loading Recycle Bin plugin"),await this.loadSettings(),Y=Qt(this.app,this.settings),Xt(Y),this.trashManager=new Ae(this.app.vault,this.ledger,this.pins,this.getBinSources()),await this.trashManager.refresh(),this.undo=new _s(this.app.vault.adapter,this.ledger,this.pins,`${this.manifest.dir}/holding`,()=>({limit:this.settings.undoLimit,graceSeconds:this.settings.undoGraceSeconds})),await this.undo.flush(),this.pendingDeletions=[],this.claimPendingDeletions=R(()=>this.recordDeletions(),500),this.registerEvent(this.app.vault.on("delete",e=>this.onVaultDelete(e))),this.changedTrashPaths=new Set,this.syncTrash=R(()=>{let e=[...this.changedTrashPaths];this.changedTrashPaths.clear(),this.refreshViews(e).catch(t=>console.error("Failed to sync the trash:",t))},300),this.trashWatchers=new Map,this.register(()=>this.unwatchTrash()),this.watchTrash(),this.capture=new lr(this.app,this.ledger,Z,{isActive:()=>this.isCapturing(),onCapture:e=>{this.changedTrashPaths.add(e),this.syncTrash(),this.watchTrash()},onError:(e,t)=>{console.error("Failed to keep a copy of deleted item:",t),new g.Notice(c("captureFailed",{name:e.name}),8e3)}}),this.register(this.capture.install()),this.app.workspace.onLayoutReady(()=>{this.registerEvent(this.app.vault.on("create",e=>this.onVaultChange(e.path))),this.registerEvent(this.app.vault.on("rename",(e,t)=>{this.onVaultChange(t),this.onVaultChange(e.path)}))}),this.registerView(A,e=>new I(e,this)),this.registerView(O,e=>new U(e,this)),this.registerView(F,e=>new X(e,this)),this.addRibbonIcon("trash-2",c("recycleBin"),()=>{this.activateView()}),this.addCommand({id:"open-recycle-bin",name:c("recycleBin"),callback:()=>this.activateView()}),this.addCommand({id:"empty-recycle-bin",name:c("emptyBin"),callback:async()=>{if(await this.trashManager.sync(),this.trashManager.items.length===0){new g.Notice(c("binAlreadyEmpty"));return}new ee(this.app,this.settings.purgeAction,e=>this.emptyBin(e)).open()}}),this.addCommand({id:"open-recycle-bin-statistics",name:c("trashStatistics"),callback:()=>this.openStats()}),this.addCommand({id:"export-recycle-bin-to-zip",name:c("exportBinToZip"),callback:async()=>{await this.trashManager.load(),this.exportToZip(this.trashManager.items)}}),this.addCommand({id:"import-recycle-bin-from-zip",name:c("importFromZip"),callback:()=>this.importFromZip()}),this.addCommand({id:"undo-recycle-bin-action",name:c("undoLastAction"),callback:()=>this.undoLast()}),this.addSettingTab(new Te(this.app,this)),await this.runScheduledPurge(),this.registerInterval(window.setInterval(()=>this.runScheduledPurge(),60*1e3))}getNextPurgeTime(){if(!this.settings.autoPurgeEnabled)return null;let e=jt[this.settings.autoPurgeInterval]||jt.daily;return this.lastPurgeAt?this.lastPurgeAt+e:Date.now()}async runScheduledPurge(){let e=this.getNextPurgeTime();if(e===null||e>Date.now()||this.purging)return;this.purging=!0;let t=this.settings.purgeAction==="archive";try{this.lastPurgeAt=Date.now(),await this.saveSettings();let i=await this.trashManager.purge(this.getRetentionPolicy(),t?s=>this.archiveItems(s):null);i>0&&new g.Notice(c(t?"autoArchived":"autoPurged",{count:i})),await this.refreshViews()}catch(i){console.error(t?"Failed to archive purged items:":"Failed to purge the trash:",i),new g.Notice(c(t?"archiveFailed":"purgeFailed"),8e3)}finally{this.purging=!1}}getRetentionPolicy(){return{rules:this.settings.retentionRules,defaultDays:this.settings.autoPurgeDays,maxSizeMb:this.settings.maxBinSizeMb}}onunload(){var e;console.log("Unloading Recycle Bin plugin"),(e=this.undo)==null||e.flush().catch(t=>console.error("Failed to finalize staged deletes:",t)),this.ledgerDirty&&this.saveLedger(),this.app.workspace.detachLeavesOfType(A),this.app.workspace.detachLeavesOfType(O),this.app.workspace.detachLeavesOfType(F)}async loadSettings(){let e=Object.assign({},await this.loadData()),t=R(()=>{this.ledgerDirty&&this.saveLedger()},1e3),i=()=>{this.ledgerDirty=!0,t()};this.ledger=new $s(e.ledger,i),this.pins=new Xs(e.pins,i),this.lastPurgeAt=e.lastPurgeAt||0,delete e.ledger,delete e.pins,delete e.lastPurgeAt,this.settings=Object.assign({},G,e),this.settings.retentionRules=this.settings.retentionRules.map(s=>Object.assign(ti(),s)),this.settings.binFolders=[...this.settings.binFolders]}async saveSettings(){this.ledgerDirty=!1,await this.saveData(Object.assign({},this.settings,{ledger:this.ledger.toJSON(),pins:this.pins.toJSON(),lastPurgeAt:this.lastPurgeAt}))}saveLedger(){return this.saveSettings().catch(e=>{this.ledgerDirty=!0,console.error("Failed to save the deletion ledger:",e)})}onVaultDelete(e){var t;if(e){if(this.trashManager.getSource(e.path)){this.onVaultChange(e.path);return}if(this.isCapturing()){this.onVaultChange(e.path);return}this.pendingDeletions.push({originalPath:e.path,kind:e instanceof g.TFolder?"folder":"file",size:((t=e.stat)==null?void 0:t.size)||0,deletedAt:Date.now(),device:Us(this.app),backlinks:Ks(this.app,e)}),this.claimPendingDeletions()}}isCapturing(){return this.settings.captureMode&&(this.app.vault.config.trashOption||"system")!=="local"}getBinSources(){let e=this.isCapturing()?Z:M;return[...new Set([e,...this.settings.binFolders])]}getReservedFolders(){let e=[M,Z,...this.settings.binFolders],t=this.settings.archiveLocation.trim()||G.archiveLocation;return Jt(t)||e.push(g.normalizePath(t)),e}getSourceLabel(e){return e===M?c("sourceTrash"):e===Z?c("sourceCapture"):e}normalizeBinFolder(e){let t=g.normalizePath(e.trim()).replace(/^\/+|\/+$/g,"");if(!t||!V(t))return null;let i=this.app.vault.configDir;return t===i||t.startsWith(i+"/")?null:t}async updateBinSources(){let e=this.getBinSources();e.join(`
+`)!==this.trashManager.folders.join(`
+`)&&(this.trashManager.folders=e,this.unwatchTrash(),await this.trashManager.refresh(),this.watchTrash(),await this.refreshViews())}onVaultChange(e){this.trashManager.getSource(e)?(this.changedTrashPaths.add(e),this.syncTrash()):this.trashManager.folders.includes(e)?(this.syncTrash(),this.watchTrash()):this.trashManager.isOriginalPath(e)&&this.syncTrash()}watchTrash(){let e=this.app.vault.adapter;if(!(e instanceof g.FileSystemAdapter))return;let t=window.require("fs");for(let i of this.trashManager.folders){if(this.trashWatchers.has(i))continue;let s=e.getFullPath(i);if(!t.existsSync(s))continue;let r=(o,l)=>{l&&this.changedTrashPaths.add(`${i}/${String(l).replace(/\\/g,"/")}`),this.syncTrash()},n;try{try{n=t.watch(s,{recursive:!0},r)}catch(o){n=t.watch(s,r)}}catch(o){console.error("Failed to watch trash folder:",o);continue}n.on("error",()=>{n.close(),this.trashWatchers.delete(i)}),this.trashWatchers.set(i,n)}}unwatchTrash(){for(let e of this.trashWatchers.values())e.close();this.trashWatchers.clear()}async recordDeletions(){let e=this.pendingDeletions;this.pendingDeletions=[];try{let t=await this.ledger.claim(this.app.vault.adapter,e);await this.refreshViews(t),this.watchTrash()}catch(t){console.error("Failed to record deletions:",t)}}async removeItem(e,t){return this.undo.stagesDeletes?this.undo.stage(e,t):t.delete()}async removeVersions(e,t){let i=!0;for(let s of t.versions||[t])await this.removeItem(e,s)||(i=!1);return i}async deleteItem(e,t=!0){let i=this.undo.createOperation("delete");(t?await this.removeVersions(i,e):await this.removeItem(i,e))?this.finishOperation(i,c("deleted",{name:e.name})):new g.Notice(c("cannotDelete",{name:e.name}),5e3),await this.refreshViews()}async emptyBin(e=this.settings.purgeAction){let t=c("binEmptied");if(e==="archive")try{let s=await this.archiveItems(this.trashManager.items);t=c("binArchived",{path:s})}catch(s){console.error("Failed to archive the bin:",s),new g.Notice(c("archiveFailed"),8e3);return}let i=this.undo.createOperation("delete");await this.trashManager.empty(s=>this.removeItem(i,s)),this.finishOperation(i,t),await this.refreshViews()}async purgeNow(e){let t=e==="archive";try{let i=await this.trashManager.purge(this.getRetentionPolicy(),t?s=>this.archiveItems(s):null);new g.Notice(c(t?"autoArchived":"autoPurged",{count:i}))}catch(i){console.error(t?"Failed to archive purged items:":"Failed to purge the trash:",i),new g.Notice(c(t?"archiveFailed":"purgeFailed"),8e3)}await this.refreshViews()}async archiveItems(e){let t=this.app.vault.adapter,i=this.settings.archiveLocation.trim()||G.archiveLocation,s=new Date,r=`trash-${s.getFullYear()}-${String(s.getMonth()+1).padStart(2,"0")}.zip`;if(Jt(i)){if(!(t instanceof g.FileSystemAdapter))throw new Error("Archiving outside the vault needs the desktop app");let h=window.require("fs"),p=window.require("path").join(i,r),f=null;if(h.existsSync(p)){let v=await h.promises.readFile(p);f=v.buffer.slice(v.byteOffset,v.byteOffset+v.byteLength)}let{data:m}=await xe(t,e,f);return await h.promises.mkdir(i,{recursive:!0}),await h.promises.writeFile(p+".tmp",new Uint8Array(m)),await h.promises.rename(p+".tmp",p),p}let n=g.normalizePath(i);if(!V(n))throw new Error(`Invalid archive location: ${i}`);let o=`${n}/${r}`,l=o+".old";!await t.exists(o)&&await t.exists(l)&&await t.rename(l,o);let d=await t.exists(o)?await t.readBinary(o):null,{data:u}=await xe(t,e,d);return await t.exists(n)||await t.mkdir(n),await t.writeBinary(o+".tmp",u),await t.exists(l)&&await t.remove(l),await t.exists(o)&&await t.rename(o,l),await t.rename(o+".tmp",o),await t.exists(l)&&await t.remove(l),o}exportToZip(e){if(e.length===0){new g.Notice(c("binAlreadyEmpty"));return}new B(this.app,this.getReservedFolders(),async t=>{let i=new g.Notice(c("exportingProgress",{count:e.length}),0);try{let{data:s}=await xe(this.app.vault.adapter,e),r=`recycle-bin-${new Date().toISOString().slice(0,10)}.zip`,n=g.normalizePath(t?`${t}/${r}`:r);await this.app.vault.adapter.exists(n)&&(n=await ei(this.app.vault.adapter,n,"2")),await this.app.vault.createBinary(n,s),new g.Notice(c("exportedItems",{count:e.length,path:n}))}catch(s){console.error("Failed to export trashed items:",s),new g.Notice(c("exportFailed"))}finally{i.hide()}}).open()}importFromZip(){let e=document.createElement("input");e.type="file",e.accept=".zip,application/zip",e.onchange=async()=>{var s;let t=(s=e.files)==null?void 0:s[0];if(!t)return;let i=new g.Notice(c("importingProgress",{name:t.name}),0);try{let r=await t.arrayBuffer(),n=await cr(this.app.vault.adapter,this.ledger,r,this.trashManager.folders[0]);await this.refreshViews(n),new g.Notice(c("importedItems",{count:n.length}))}catch(r){console.error("Failed to import archive:",r),new g.Notice(c("importFailed",{name:t.name}))}finally{i.hide()}},e.click()}finishOperation(e,t,i=8e3){if(this.undo.push(e),!this.undo.stack.includes(e)){new g.Notice(t,i);return}let s=new g.Notice(createFragment(r=>{r.createSpan({text:t});let n=r.createEl("button",{text:c("undo"),cls:"recycle-bin-undo-btn"});n.onclick=()=>{s.hide(),this.undoLast()}}),i)}offerLinkUpdate(e){let t=e.flatMap(s=>Ys(s));if(t.length===0)return;let i=new Set(t.flatMap(s=>s.sources));new P(this.app,c("updateLinks"),c("updateLinksMessage",{count:i.size}),c("updateLinksConfirm"),async()=>{await sleep(500);let s=await Js(this.app,t);new g.Notice(c("linksUpdated",{count:s}))}).open()}async undoLast(){if(!this.undo.canUndo){new g.Notice(c("nothingToUndo"));return}let e=await this.undo.undo();e.failed>0?new g.Notice(c("undoFailed",{count:e.failed}),5e3):new g.Notice(c("undone")),await this.refreshViews(e.moves.map(t=>t.original))}async activateView(){let e=this.app.workspace.getLeavesOfType(A);e.length?this.app.workspace.revealLeaf(e[0]):await this.app.workspace.getRightLeaf(!1).setViewState({type:A,active:!0})}async openStats(){let e=this.app.workspace.getLeavesOfType(F);e.length?this.app.workspace.revealLeaf(e[0]):await this.app.workspace.getLeaf("tab").setViewState({type:F,active:!0})}async showInSidebar(e){await this.activateView();let t=this.app.workspace.getLeavesOfType(A)[0];(t==null?void 0:t.view)instanceof I&&await t.view.setSearch(e)}async refreshViews(e=[]){await this.trashManager.sync(e);for(let t of this.app.workspace.getLeavesOfType(A))t.view instanceof I&&await t.view.refresh();for(let t of this.app.workspace.getLeavesOfType(F))t.view instanceof X&&await t.view.refresh();for(let t of this.app.workspace.getLeavesOfType(O))t.view instanceof U&&await t.view.refresh()}};module.exports=Fe;
 /**
  * ============================================================================
  * RECYCLE BIN - Obsidian Plugin
@@ -0,0 +1,211 @@
+/**
+ * Recycle Bin Plugin - ZIP Export and Import
+ *
+ * Packs trashed items into a ZIP archive laid out by their original paths,
+ * with a manifest recording where each item came from and when it was
+ * deleted, and unpacks such archives back into the bin. Purges can add to
+ * an existing archive instead of deleting for good.
+ *
+ * @module archive
+ */
+
+'use strict';
+
+const { createZip, readZipEntries, readZipEntry } = require('./zip');
+const { getBinPath } = require('./capture');
+const { isValidPath, addNameSuffix } = require('./utils');
+
+const MANIFEST_NAME = 'manifest.json';
+const MANIFEST_FORMAT = 'obsidian-recycle-bin';
+
+/**
+ * Add a trashed item, and the contents of a trashed folder, to the archive files
+ * @param {object} adapter - Vault data adapter
+ * @param {TrashedFile|TrashedFolder} item
+ * @param {string} archivePath - Path of the item inside the archive
+ * @param {Array<object>} files - Archive files: { name, data, modified }
+ */
+async function addItem(adapter, item, archivePath, files) {
+    if (item.kind === 'folder') {
+        files.push({ name: archivePath + '/', data: null, modified: item.deletedAt });
+        for (const child of item.children) {
+            await addItem(adapter, child, `${archivePath}/${child.name}`, files);
+        }
+        return;
+    }
+    files.push({ name: archivePath, data: await adapter.readBinary(item.path), modified: item.mtime });
+}
+
+/**
+ * @param {Set<string>} taken - Archive paths in use
+ * @param {string} path
+ * @returns {boolean} True if the path, a folder containing it, or something inside it is in use
+ */
+function isTaken(taken, path) {
+    for (const other of taken) {
+        if (other === path || other.startsWith(path + '/') || path.startsWith(other + '/')) return true;
+    }
+    return false;
+}
+
+/**
+ * Find a free archive path for an item. Several deletions of the same path each keep their
+ * own copy, and no item ends up inside another item's folder, where importing would mix them up.
+ * @param {Set<string>} taken - Archive paths in use
+ * @param {string} originalPath
+ * @returns {string}
+ */
+function getArchivePath(taken, originalPath) {
+    const parts = originalPath.split('/');
+    // Inside a folder that is in use: rename the outermost such folder, else the item itself
+    const nested = parts.slice(0, -1).findIndex((_, i) => taken.has(parts.slice(0, i + 1).join('/')));
+    const level = nested === -1 ? parts.length - 1 : nested;
+
+    let path = originalPath;
+    for (let counter = 2; isTaken(taken, path); counter++) {
+        const renamed = [...parts];
+        renamed[level] = level === parts.length - 1 ? addNameSuffix(parts[level], String(counter)) : `${parts[level]} (${counter})`;
+        path = renamed.join('/');
+    }
+    return path;
+}
+
+/**
+ * Pack trashed items into a ZIP archive
+ * @param {object} adapter - Vault data adapter
+ * @param {Array<TrashedFile|TrashedFolder>} items - Top-level trashed items
+ * @param {ArrayBuffer} base - Existing archive to add the items to, if any
+ * @returns {Promise<object>} { data, manifest }; data is the archive as an ArrayBuffer
+ */
+async function exportItems(adapter, items, base = null) {
+    const files = [];
+    const manifest = { format: MANIFEST_FORMAT, version: 1, exportedAt: Date.now(), items: [] };
+    const taken = new Set([MANIFEST_NAME]);
+
+    if (base) {
+        const entries = readZipEntries(base);
+        manifest.items = (await readManifest(base, entries))?.items || [];
+        for (const entry of entries.filter(e => e.name !== MANIFEST_NAME)) {
+            files.push({ name: entry.name, data: entry.isFolder ? null : await readZipEntry(base, entry), modified: entry.modified });
+            taken.add(entry.name.replace(/\/$/, ''));
+        }
+    }
+
+    for (const item of items) {
+        const archivePath = getArchivePath(taken, item.originalPath);
+        taken.add(archivePath);
+
+        await addItem(adapter, item, archivePath, files);
+        manifest.items.push({
+            originalPath: item.originalPath,
+            archivePath,
+            trashPath: item.path,
+            kind: item.kind,
+            size: item.size,
+            deletedAt: item.deletedAt,
+            device: item.device,
+            backlinks: item.ledgerEntry?.backlinks || {}
+        });
+    }
+
+    const json = new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+    files.unshift({ name: MANIFEST_NAME, data: json.buffer, modified: manifest.exportedAt });
+    return { data: await createZip(files), manifest };
+}
+
+/**
+ * Create a folder and any missing parents
+ * @param {object} adapter - Vault data adapter
+ * @param {string} path
+ */
+async function ensureFolder(adapter, path) {
+    const parts = path.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+        const folder = parts.slice(0, i).join('/');
+        if (!(await adapter.exists(folder))) await adapter.mkdir(folder);
+    }
+}
+
+/**
+ * Read the manifest of an exported archive
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @param {Array<object>} entries - From readZipEntries
+ * @returns {Promise<object|null>} Manifest, or null for archives made elsewhere
+ */
+async function readManifest(buffer, entries) {
+    const entry = entries.find(e => e.name === MANIFEST_NAME);
+    if (!entry) return null;
+    try {
+        const manifest = JSON.parse(new TextDecoder().decode(await readZipEntry(buffer, entry)));
+        return manifest?.format === MANIFEST_FORMAT && Array.isArray(manifest.items) ? manifest : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Unpack an archive into a bin folder and record every item in the ledger.
+ * Archives without a manifest are imported file by file, with their paths in
+ * the archive as original paths.
+ * @param {object} adapter - Vault data adapter
+ * @param {DeletionLedger} ledger - Deletion ledger
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @param {string} folder - Bin folder to unpack into
+ * @returns {Promise<string[]>} Bin paths of the imported items
+ */
+async function importArchive(adapter, ledger, buffer, folder) {
+    const entries = readZipEntries(buffer).filter(entry => isValidPath(entry.name.replace(/\/$/, '')));
+    const manifest = await readManifest(buffer, entries);
+    const items = manifest
+        ? manifest.items.filter(item => isValidPath(item.originalPath) && isValidPath(item.archivePath))
+        : entries.filter(entry => !entry.isFolder).map(entry => ({
+            originalPath: entry.name,
+            archivePath: entry.name,
+            kind: 'file',
+            size: entry.size,
+            deletedAt: entry.modified
+        }));
+
+    await ensureFolder(adapter, folder);
+    const imported = [];
+
+    for (const item of items) {
+        const binPath = await getBinPath(adapter, folder, item.originalPath.split('/').pop());
+
+        if (item.kind === 'folder') {
+            await adapter.mkdir(binPath);
+            const prefix = item.archivePath + '/';
+            for (const entry of entries.filter(e => e.name.startsWith(prefix) && e.name !== prefix)) {
+                const path = `${binPath}/${entry.name.slice(prefix.length).replace(/\/$/, '')}`;
+                if (entry.isFolder) {
+                    await ensureFolder(adapter, path);
+                } else {
+                    await ensureFolder(adapter, path.slice(0, path.lastIndexOf('/')));
+                    await adapter.writeBinary(path, await readZipEntry(buffer, entry), { mtime: entry.modified });
+                }
+            }
+        } else {
+            const entry = entries.find(e => e.name === item.archivePath);
+            if (!entry) continue;
+            await adapter.writeBinary(binPath, await readZipEntry(buffer, entry), { mtime: entry.modified });
+        }
+
+        ledger.set(binPath, {
+            originalPath: item.originalPath,
+            kind: item.kind,
+            deletedAt: item.deletedAt || Date.now(),
+            size: item.size || 0,
+            device: item.device || null,
+            // Backlinks map target paths to linking notes
+            backlinks: item.backlinks && !Array.isArray(item.backlinks) ? item.backlinks : {}
+        });
+        imported.push(binPath);
+    }
+
+    return imported;
+}
+
+module.exports = {
+    exportItems,
+    importArchive
+};
@@ -0,0 +1,154 @@
+/**
+ * Recycle Bin Plugin - Deletion Capture
+ *
+ * Vaults set to use the system trash or to delete permanently never put
+ * anything in the .trash folder. In capture mode every deletion made through
+ * the file manager is copied into a bin folder owned by the plugin first,
+ * and recorded in the ledger, so it can still be previewed and restored.
+ *
+ * @module capture
+ */
+
+'use strict';
+
+const obsidian = require('obsidian');
+const { getDeviceName } = require('./utils');
+const { collectBacklinks } = require('./links');
+
+/**
+ * Find a free name at the top level of the bin, counting up like Obsidian does in .trash
+ * @param {object} adapter - Vault data adapter
+ * @param {string} folder - Bin folder
+ * @param {string} name - Name of the deleted item
+ * @returns {Promise<string>} Path inside the bin
+ */
+async function getBinPath(adapter, folder, name) {
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+
+    let candidate = `${folder}/${name}`;
+    let counter = 1;
+    while (await adapter.exists(candidate)) {
+        candidate = `${folder}/${stem} ${counter++}${ext}`;
+    }
+    return candidate;
+}
+
+/**
+ * Copy a file or folder byte for byte, keeping file timestamps
+ * @param {object} adapter - Vault data adapter
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ */
+async function copyEntry(adapter, from, to) {
+    const stat = await adapter.stat(from);
+    if (!stat) throw new Error(`Not found: ${from}`);
+
+    if (stat.type === 'folder') {
+        await adapter.mkdir(to);
+        const listing = await adapter.list(from);
+        for (const path of [...listing.files, ...listing.folders]) {
+            await copyEntry(adapter, path, `${to}/${path.split('/').pop()}`);
+        }
+        return;
+    }
+
+    const data = await adapter.readBinary(from);
+    await adapter.writeBinary(to, data, { ctime: stat.ctime, mtime: stat.mtime });
+}
+
+/**
+ * Copies files into the plugin's bin before the file manager deletes them
+ */
+class DeletionCapture {
+    /**
+     * @param {object} app - Obsidian app
+     * @param {DeletionLedger} ledger - Deletion ledger
+     * @param {string} folder - Bin folder owned by the plugin
+     * @param {object} options
+     * @param {Function} options.isActive - Returns true while deletions should be captured
+     * @param {Function} options.onCapture - Called with the bin path after an item was copied
+     * @param {Function} options.onError - Called with (file, error) when a copy failed; the file is then kept
+     */
+    constructor(app, ledger, folder, options) {
+        this.app = app;
+        this.ledger = ledger;
+        this.folder = folder;
+        this.options = options;
+    }
+
+    /**
+     * Wrap FileManager.trashFile, the entry point for deletions from the file explorer,
+     * commands and well-behaved plugins
+     * @returns {Function} Removes the wrapper again
+     */
+    install() {
+        const fileManager = this.app.fileManager;
+        const original = fileManager.trashFile;
+        const capture = this;
+
+        const wrapper = async function (file) {
+            if (capture.options.isActive() && !capture.contains(file.path)) {
+                try {
+                    const binPath = await capture.capture(file);
+                    capture.options.onCapture(binPath);
+                } catch (e) {
+                    capture.options.onError(file, e);
+                    return;
+                }
+            }
+            return original.call(this, file);
+        };
+
+        fileManager.trashFile = wrapper;
+        return () => {
+            // Leave wrappers installed later by other plugins in place
+            if (fileManager.trashFile === wrapper) fileManager.trashFile = original;
+        };
+    }
+
+    /**
+     * @param {string} path - Vault path
+     * @returns {boolean} True if the path is inside the bin folder
+     */
+    contains(path) {
+        return path === this.folder || path.startsWith(this.folder + '/');
+    }
+
+    /**
+     * Copy a file or folder into the bin and record where it came from
+     * @param {object} file - TFile or TFolder about to be deleted
+     * @returns {Promise<string>} Path of the copy inside the bin
+     */
+    async capture(file) {
+        const adapter = this.app.vault.adapter;
+        if (!(await adapter.exists(this.folder))) await adapter.mkdir(this.folder);
+
+        const binPath = await getBinPath(adapter, this.folder, file.name);
+        try {
+            await copyEntry(adapter, file.path, binPath);
+        } catch (e) {
+            // Do not leave half a copy behind
+            if (await adapter.exists(binPath)) {
+                await (file instanceof obsidian.TFolder ? adapter.rmdir(binPath, true) : adapter.remove(binPath));
+            }
+            throw e;
+        }
+
+        this.ledger.set(binPath, {
+            originalPath: file.path,
+            kind: file instanceof obsidian.TFolder ? 'folder' : 'file',
+            deletedAt: Date.now(),
+            size: file.stat?.size || 0,
+            device: getDeviceName(this.app),
+            backlinks: collectBacklinks(this.app, file)
+        });
+        return binPath;
+    }
+}
+
+module.exports = {
+    DeletionCapture,
+    getBinPath
+};
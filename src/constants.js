@@ -9,21 +9,52 @@
 // View type identifiers
 const VIEW_TYPE = 'recycle-bin-view';
 const PREVIEW_VIEW_TYPE = 'recycle-bin-preview';
+const STATS_VIEW_TYPE = 'recycle-bin-stats';
 const PLUGIN_ID = 'recycle-bin';
 const TRASH_FOLDER = '.trash';
 
+// Bin owned by the plugin, used in capture mode when Obsidian itself does not keep deleted files
+const CAPTURE_FOLDER = '.recycle-bin';
+
 // Default plugin settings
 const DEFAULT_SETTINGS = {
+    captureMode: false,
+    binFolders: [],
     autoPurgeEnabled: false,
     autoPurgeDays: 90,
+    autoPurgeInterval: 'daily',
+    retentionRules: [],
+    maxBinSizeMb: 0,
+    purgeAction: 'delete',
+    archiveLocation: 'Archive',
     showConfirmations: true,
     showMetadata: true,
     showDeleteButton: false,
+    searchContent: false,
+    previewWordWrap: true,
+    undoLimit: 10,
+    undoGraceSeconds: 30,
     sortBy: 'date',
     sortOrder: 'desc',
+    groupBy: 'none',
     language: 'auto'
 };
 
+// Number of file stats requested at the same time while indexing the trash
+const STAT_CONCURRENCY = 16;
+
+// How often the background auto-purge runs, in milliseconds
+const PURGE_INTERVALS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+
+// Lines of a text preview rendered at a time; more load while scrolling
+const PREVIEW_CHUNK_LINES = 500;
+
+// Items purged within this many days are listed under "Expiring soon"
+const EXPIRING_SOON_DAYS = 7;
+
 // File type categories for icons and preview
 const FILE_TYPES = {
     markdown: ['md', 'markdown'],
@@ -35,6 +66,24 @@ const FILE_TYPES = {
     video: ['mp4', 'webm', 'mov', 'avi', 'mkv']
 };
 
+// MIME types for previews played or embedded from blob URLs
+const MEDIA_TYPES = {
+    pdf: 'application/pdf',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    flac: 'audio/flac',
+    m4a: 'audio/mp4',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mov: 'video/quicktime',
+    avi: 'video/x-msvideo',
+    mkv: 'video/x-matroska'
+};
+
+// Extensions that can be read and compared as plain text
+const TEXT_EXTENSIONS = ['md', 'markdown', 'txt', ...FILE_TYPES.code];
+
 // File icons by extension
 const FILE_ICONS = {
     md: '📝',
@@ -52,15 +101,25 @@ const FILE_ICONS = {
     mp3: '🎵',
     mp4: '🎬',
     zip: '📦',
+    canvas: '🧩',
+    excalidraw: '✏️',
     default: '📄'
 };
 
 module.exports = {
     VIEW_TYPE,
     PREVIEW_VIEW_TYPE,
+    STATS_VIEW_TYPE,
     PLUGIN_ID,
     TRASH_FOLDER,
+    CAPTURE_FOLDER,
     DEFAULT_SETTINGS,
+    STAT_CONCURRENCY,
+    PURGE_INTERVALS,
+    EXPIRING_SOON_DAYS,
+    PREVIEW_CHUNK_LINES,
     FILE_TYPES,
+    MEDIA_TYPES,
+    TEXT_EXTENSIONS,
     FILE_ICONS
 };
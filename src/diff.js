@@ -0,0 +1,206 @@
+/**
+ * Recycle Bin Plugin - Line Diff
+ *
+ * Line-level diff (Myers' algorithm) between a trashed file ("old") and the
+ * file now living at its original path ("new"), grouped into hunks.
+ *
+ * @module diff
+ */
+
+'use strict';
+
+// Beyond this many edits the files are treated as completely different
+const MAX_EDITS = 2000;
+
+/**
+ * Split text into lines
+ * @param {string} text
+ * @returns {string[]} Lines without line endings
+ */
+function splitLines(text) {
+    return text.split(/\r?\n/);
+}
+
+/**
+ * Diff two arrays of lines
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {Array<object>} Operations { type: 'equal'|'remove'|'add', text, oldIndex, newIndex }
+ */
+function diffLines(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= Math.min(max, MAX_EDITS) && !found; d++) {
+        // Only diagonals -d-1 .. d+1 are read in this round
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && oldLines[x] === newLines[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    const ops = found ? backtrack(trace, n, m) : replaceAll(n, m);
+
+    // Number the operations and attach their text
+    let oldIndex = 0;
+    let newIndex = 0;
+    for (const op of ops) {
+        op.oldIndex = oldIndex;
+        op.newIndex = newIndex;
+        op.text = op.type === 'add' ? newLines[newIndex] : oldLines[oldIndex];
+        if (op.type !== 'add') oldIndex++;
+        if (op.type !== 'remove') newIndex++;
+    }
+
+    return ops;
+}
+
+/**
+ * Walk the Myers trace back from the end to recover the edit script
+ * @param {Int32Array[]} trace - Saved diagonals per round
+ * @param {number} n - Old line count
+ * @param {number} m - New line count
+ * @returns {Array<object>} Operations in order
+ */
+function backtrack(trace, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const at = k => v[k + d + 1];
+        const k = x - y;
+
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal' });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            ops.push({ type: x === prevX ? 'add' : 'remove' });
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Fallback edit script for files that differ too much
+ * @param {number} n - Old line count
+ * @param {number} m - New line count
+ * @returns {Array<object>} Operations
+ */
+function replaceAll(n, m) {
+    const ops = [];
+    for (let i = 0; i < n; i++) ops.push({ type: 'remove' });
+    for (let i = 0; i < m; i++) ops.push({ type: 'add' });
+    return ops;
+}
+
+/**
+ * Group operations into hunks of changes with surrounding context
+ * @param {Array<object>} ops - Output of diffLines
+ * @param {number} context - Unchanged lines to keep around each change
+ * @returns {Array<object>} Hunks { ops, oldStart, oldCount, newStart, newCount }
+ */
+function buildHunks(ops, context = 3) {
+    const hunks = [];
+    let i = 0;
+
+    while (i < ops.length) {
+        if (ops[i].type === 'equal') {
+            i++;
+            continue;
+        }
+
+        const previousEnd = hunks.length ? hunks[hunks.length - 1].end : 0;
+        const start = Math.max(previousEnd, i - context);
+
+        // Extend while changes are closer together than two contexts
+        let lastChange = i;
+        let end = i;
+        while (end < ops.length) {
+            if (ops[end].type !== 'equal') {
+                lastChange = end;
+            } else if (end - lastChange > 2 * context) {
+                break;
+            }
+            end++;
+        }
+        end = Math.min(ops.length, lastChange + context + 1);
+
+        const hunkOps = ops.slice(start, end);
+        hunks.push({
+            ops: hunkOps,
+            end,
+            oldStart: hunkOps[0].oldIndex,
+            oldCount: hunkOps.filter(op => op.type !== 'add').length,
+            newStart: hunkOps[0].newIndex,
+            newCount: hunkOps.filter(op => op.type !== 'remove').length
+        });
+        i = end;
+    }
+
+    return hunks;
+}
+
+/**
+ * @param {object} a - Hunk
+ * @param {object} b - Hunk
+ * @returns {boolean} True if both hunks show the same changes with the same context
+ */
+function isSameHunk(a, b) {
+    return a.ops.length === b.ops.length &&
+        a.ops.every((op, i) => op.type === b.ops[i].type && op.text === b.ops[i].text);
+}
+
+/**
+ * Copy the lines only the old side of a hunk has into the new text.
+ * Lines only the new side has stay where they are.
+ * @param {string} newText - Current text
+ * @param {object} hunk - Hunk computed against exactly this newText
+ * @returns {string} Text with the hunk's removed lines inserted
+ */
+function copyHunkToNew(newText, hunk) {
+    const eol = newText.includes('\r\n') ? '\r\n' : '\n';
+    const lines = splitLines(newText);
+
+    // In hunk order: context, removed lines copied in, and the new side's own lines
+    lines.splice(hunk.newStart, hunk.newCount, ...hunk.ops.map(op => op.text));
+    return lines.join(eol);
+}
+
+module.exports = {
+    splitLines,
+    diffLines,
+    buildHunks,
+    isSameHunk,
+    copyHunkToNew
+};
@@ -0,0 +1,156 @@
+/**
+ * Recycle Bin Plugin - Grouping
+ *
+ * Groups the trashed items listed in the sidebar by the folder they were
+ * deleted from, by file type category, or by the day they were deleted.
+ * Items keep their order within a group.
+ *
+ * @module grouping
+ */
+
+'use strict';
+
+const { FILE_TYPES } = require('./constants');
+const { getCategory } = require('./stats');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Group-by modes offered in the sidebar
+const GROUP_MODES = ['none', 'folder', 'type', 'date'];
+
+/**
+ * Create an empty group
+ * @param {string} key - Unique key, also used to remember collapsed groups
+ * @param {string} id - Folder name, category or date bucket
+ * @returns {object} Group: { key, id, items, groups, count, size }
+ */
+function createGroup(key, id) {
+    return { key, id, items: [], groups: [], count: 0, size: 0 };
+}
+
+/**
+ * Add up item counts and sizes, including nested groups
+ * @param {object} group
+ */
+function computeTotals(group) {
+    group.groups.forEach(computeTotals);
+    group.count = group.items.length + group.groups.reduce((sum, g) => sum + g.count, 0);
+    group.size = group.items.reduce((sum, item) => sum + item.size, 0) +
+        group.groups.reduce((sum, g) => sum + g.size, 0);
+}
+
+/**
+ * Rebuild the original folder tree
+ * @param {Array<TrashedFile|TrashedFolder>} items
+ * @returns {object} Root group; items deleted from the vault root are its direct items
+ */
+function groupByFolder(items) {
+    const root = createGroup('folder:', '');
+    const folders = new Map([['', root]]);
+
+    const getFolder = (path) => {
+        if (folders.has(path)) return folders.get(path);
+        const slash = path.lastIndexOf('/');
+        const parent = getFolder(slash === -1 ? '' : path.slice(0, slash));
+        const group = createGroup('folder:' + path, path.slice(slash + 1));
+        parent.groups.push(group);
+        folders.set(path, group);
+        return group;
+    };
+
+    for (const item of items) {
+        const slash = item.originalPath.lastIndexOf('/');
+        getFolder(slash === -1 ? '' : item.originalPath.slice(0, slash)).items.push(item);
+    }
+
+    const sortGroups = (group) => {
+        group.groups.sort((a, b) => a.id.localeCompare(b.id));
+        group.groups.forEach(sortGroups);
+    };
+    sortGroups(root);
+    return root;
+}
+
+/**
+ * Group items by file type category, trashed folders first
+ * @param {Array<TrashedFile|TrashedFolder>} items
+ * @returns {object} Root group
+ */
+function groupByType(items) {
+    const root = createGroup('type:', '');
+    const order = ['folder', ...Object.keys(FILE_TYPES), 'other'];
+    const groups = new Map(order.map(category => [category, createGroup('type:' + category, category)]));
+
+    for (const item of items) {
+        groups.get(item.kind === 'folder' ? 'folder' : getCategory(item.extension)).items.push(item);
+    }
+
+    root.groups = [...groups.values()].filter(group => group.items.length > 0);
+    return root;
+}
+
+/**
+ * Group items into Today, Yesterday, This week (the last seven days) and Older
+ * @param {Array<TrashedFile|TrashedFolder>} items
+ * @param {number} now - Current time
+ * @returns {object} Root group
+ */
+function groupByDate(items, now) {
+    const root = createGroup('date:', '');
+    const date = new Date(now);
+    const today = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    const buckets = [
+        { group: createGroup('date:today', 'today'), start: today },
+        { group: createGroup('date:yesterday', 'yesterday'), start: today - DAY },
+        { group: createGroup('date:thisWeek', 'thisWeek'), start: today - 6 * DAY },
+        { group: createGroup('date:older', 'older'), start: -Infinity }
+    ];
+
+    for (const item of items) {
+        buckets.find(bucket => item.deletedAt >= bucket.start).group.items.push(item);
+    }
+
+    root.groups = buckets.map(bucket => bucket.group).filter(group => group.items.length > 0);
+    return root;
+}
+
+/**
+ * Group items for the sidebar
+ * @param {Array<TrashedFile|TrashedFolder>} items - Top-level trashed items, already sorted
+ * @param {string} mode - One of GROUP_MODES
+ * @param {number} now - Current time
+ * @returns {object} Root group: { items, groups, count, size }; 'none' puts every item in the root
+ */
+function groupItems(items, mode, now = Date.now()) {
+    let root;
+    switch (mode) {
+        case 'folder':
+            root = groupByFolder(items);
+            break;
+        case 'type':
+            root = groupByType(items);
+            break;
+        case 'date':
+            root = groupByDate(items, now);
+            break;
+        default:
+            root = createGroup('', '');
+            root.items = [...items];
+    }
+    computeTotals(root);
+    return root;
+}
+
+/**
+ * @param {object} group
+ * @returns {Array<TrashedFile|TrashedFolder>} Items of a group and its nested groups, in list order
+ */
+function getGroupItems(group) {
+    return [...group.groups.flatMap(getGroupItems), ...group.items];
+}
+
+module.exports = {
+    GROUP_MODES,
+    groupItems,
+    getGroupItems
+};
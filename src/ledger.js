@@ -0,0 +1,177 @@
+/**
+ * Recycle Bin Plugin - Deletion Ledger
+ *
+ * Remembers where each trashed item came from and when it was deleted,
+ * keyed by its path inside the trash folder.
+ *
+ * @module ledger
+ */
+
+'use strict';
+
+const { TRASH_FOLDER } = require('./constants');
+const { escapeRegExp, isInFolders } = require('./utils');
+
+// Counter Obsidian appends to a name that is already taken in the trash: "Note 1.md", "Note (1).md"
+const TRASH_SUFFIX = '(?: \\d+| \\(\\d+\\))';
+
+/**
+ * Check whether a name in the trash could be a (possibly de-duplicated) copy of a deleted item.
+ * Obsidian appends a counter when the trash already holds an item with the same name.
+ * @param {string} trashName - Name of the item in the trash
+ * @param {string} originalName - Name of the item when it was deleted
+ * @returns {boolean} True if the names match
+ */
+function matchesTrashName(trashName, originalName) {
+    if (trashName === originalName) return true;
+
+    const dot = originalName.lastIndexOf('.');
+    const stem = dot > 0 ? originalName.slice(0, dot) : originalName;
+    const ext = dot > 0 ? originalName.slice(dot) : '';
+    const pattern = new RegExp(`^${escapeRegExp(stem)}${TRASH_SUFFIX}${escapeRegExp(ext)}$`);
+    return pattern.test(trashName);
+}
+
+/**
+ * Remove a de-duplication counter from a name in the trash
+ * @param {string} name - Name in the trash, e.g. "Note 2.md"
+ * @returns {string} Name without the counter, e.g. "Note.md"; unchanged if there is none
+ */
+function stripTrashSuffix(name) {
+    const match = new RegExp(`^(.+?)${TRASH_SUFFIX}(\\.[^.]+)?$`).exec(name);
+    return match ? match[1] + (match[2] || '') : name;
+}
+
+/**
+ * Persistent record of deletions
+ */
+class DeletionLedger {
+    /**
+     * @param {object} entries - Saved entries keyed by trash path
+     * @param {Function} onChange - Called after the ledger was modified
+     */
+    constructor(entries = {}, onChange = () => {}) {
+        this.entries = Object.assign({}, entries);
+        this.onChange = onChange;
+    }
+
+    /**
+     * Get the entry for a trashed item
+     * @param {string} trashPath - Path inside the trash folder
+     * @returns {object|null} Ledger entry
+     */
+    get(trashPath) {
+        return this.entries[trashPath] || null;
+    }
+
+    /**
+     * @param {string} trashPath - Path inside the trash folder
+     * @returns {boolean} True if an entry exists
+     */
+    has(trashPath) {
+        return Object.prototype.hasOwnProperty.call(this.entries, trashPath);
+    }
+
+    /**
+     * Put back an entry, e.g. when an item returns to the trash
+     * @param {string} trashPath - Path inside the trash folder
+     * @param {object} entry - Ledger entry
+     */
+    set(trashPath, entry) {
+        this.entries[trashPath] = entry;
+        this.onChange();
+    }
+
+    /**
+     * Match freshly deleted items to their copies in the trash folder
+     * @param {object} adapter - Vault data adapter
+     * @param {Array<object>} pending - Deletions: { originalPath, kind, size, deletedAt, device, backlinks }
+     * @returns {Promise<string[]>} Trash paths of the recorded entries
+     */
+    async claim(adapter, pending) {
+        if (pending.length === 0) return [];
+        if (!(await adapter.exists(TRASH_FOLDER))) return [];
+
+        // Children of a deleted folder travel with it, only the folder is recorded
+        const folderPrefixes = pending
+            .filter(p => p.kind === 'folder')
+            .map(p => p.originalPath + '/');
+        const topLevel = pending.filter(p =>
+            !folderPrefixes.some(prefix => p.originalPath.startsWith(prefix))
+        );
+
+        const listing = await adapter.list(TRASH_FOLDER);
+        const claimed = [];
+
+        for (const deletion of topLevel) {
+            const name = deletion.originalPath.split('/').pop();
+            const candidates = (deletion.kind === 'folder' ? listing.folders : listing.files)
+                .filter(path => !this.has(path) && matchesTrashName(path.split('/').pop(), name));
+
+            const match = await this.pickCandidate(adapter, candidates, deletion);
+            if (!match) continue;
+
+            this.entries[match] = {
+                originalPath: deletion.originalPath,
+                kind: deletion.kind,
+                deletedAt: deletion.deletedAt,
+                size: deletion.size,
+                device: deletion.device,
+                backlinks: deletion.backlinks || {}
+            };
+            claimed.push(match);
+        }
+
+        if (claimed.length > 0) this.onChange();
+        return claimed;
+    }
+
+    /**
+     * Choose the trash entry that best matches a deletion
+     * @param {object} adapter - Vault data adapter
+     * @param {string[]} candidates - Unclaimed trash paths with a matching name
+     * @param {object} deletion - Pending deletion
+     * @returns {Promise<string|null>} Trash path
+     */
+    async pickCandidate(adapter, candidates, deletion) {
+        if (candidates.length <= 1 || deletion.kind === 'folder') {
+            return candidates[candidates.length - 1] || null;
+        }
+
+        for (const path of candidates) {
+            const stat = await adapter.stat(path);
+            if (stat && stat.size === deletion.size) return path;
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Drop entries for items that are no longer in the trash. Entries outside the
+     * listed folders are kept, as their folder may just be switched off for now.
+     * @param {Set<string>} existingPaths - Top-level trash paths currently present
+     * @param {string[]} listedFolders - Bin folders that were listed
+     * @returns {boolean} True if anything was removed
+     */
+    prune(existingPaths, listedFolders) {
+        let changed = false;
+        for (const path of Object.keys(this.entries)) {
+            if (!existingPaths.has(path) && isInFolders(path, listedFolders)) {
+                delete this.entries[path];
+                changed = true;
+            }
+        }
+
+        if (changed) this.onChange();
+        return changed;
+    }
+
+    toJSON() {
+        return this.entries;
+    }
+}
+
+module.exports = {
+    DeletionLedger,
+    matchesTrashName,
+    stripTrashSuffix
+};
@@ -0,0 +1,142 @@
+/**
+ * Recycle Bin Plugin - Backlinks
+ *
+ * Records which notes link to an item when it is deleted, and rewrites
+ * those links when the item is restored under a different path.
+ *
+ * @module links
+ */
+
+'use strict';
+
+const obsidian = require('obsidian');
+
+/**
+ * Collect the notes linking to a file, or to any file inside a folder
+ * @param {object} app - Obsidian app
+ * @param {object} file - TFile or TFolder that is being deleted
+ * @returns {object} Source paths keyed by target path; empty if nothing links here
+ */
+function collectBacklinks(app, file) {
+    const targets = [];
+    if (file instanceof obsidian.TFolder) {
+        obsidian.Vault.recurseChildren(file, child => {
+            if (child instanceof obsidian.TFile) targets.push(child.path);
+        });
+    } else {
+        targets.push(file.path);
+    }
+
+    const resolvedLinks = app.metadataCache.resolvedLinks || {};
+    const backlinks = {};
+    for (const target of targets) {
+        const sources = Object.keys(resolvedLinks).filter(source =>
+            source !== target && resolvedLinks[source][target]
+        );
+        if (sources.length > 0) backlinks[target] = sources;
+    }
+    return backlinks;
+}
+
+/**
+ * List the link updates a restore needs: files that came back under a new path and had backlinks
+ * @param {TrashedFile|TrashedFolder} item - Restored item
+ * @returns {Array<object>} Moves { oldPath, newPath, sources }
+ */
+function getLinkMoves(item) {
+    const moves = [];
+    const walk = (entry) => {
+        if (entry.kind === 'folder') {
+            entry.children.forEach(walk);
+            return;
+        }
+        const sources = entry.backlinks;
+        if (entry.restoredPath && entry.restoredPath !== entry.originalPath && sources.length > 0) {
+            moves.push({ oldPath: entry.originalPath, newPath: entry.restoredPath, sources });
+        }
+    };
+    walk(item);
+    return moves;
+}
+
+/**
+ * Check whether a link text pointed at a path
+ * @param {string} linkpath - Link target without subpath
+ * @param {string} path - Vault path, e.g. "Folder/Note.md"
+ * @returns {boolean}
+ */
+function linkPointsTo(linkpath, path) {
+    let target = linkpath;
+    try {
+        target = decodeURI(linkpath);
+    } catch (e) {
+        // Not URI encoded
+    }
+    target = target.replace(/^\//, '');
+    const withoutExt = path.replace(/\.md$/, '');
+    const name = path.split('/').pop();
+    const nameWithoutExt = name.replace(/\.md$/, '');
+
+    return [path, withoutExt, name, nameWithoutExt].includes(target) ||
+        path.endsWith('/' + target) || withoutExt.endsWith('/' + target);
+}
+
+/**
+ * Point links at restored files' new locations
+ * @param {object} app - Obsidian app
+ * @param {Array<object>} moves - Output of getLinkMoves
+ * @returns {Promise<number>} Number of links rewritten
+ */
+async function rewriteLinks(app, moves) {
+    // Group by source note so each note is written once
+    const bySource = new Map();
+    for (const move of moves) {
+        for (const source of move.sources) {
+            if (!bySource.has(source)) bySource.set(source, []);
+            bySource.get(source).push(move);
+        }
+    }
+
+    let rewritten = 0;
+    for (const [sourcePath, sourceMoves] of bySource) {
+        const sourceFile = app.vault.getAbstractFileByPath(sourcePath);
+        if (!(sourceFile instanceof obsidian.TFile)) continue;
+
+        const cache = app.metadataCache.getFileCache(sourceFile);
+        const links = [...(cache?.links || []), ...(cache?.embeds || [])];
+
+        const edits = [];
+        for (const link of links) {
+            const [linkpath, ...rest] = link.link.split('#');
+            const move = sourceMoves.find(m => linkPointsTo(linkpath, m.oldPath));
+            const newFile = move && app.vault.getAbstractFileByPath(move.newPath);
+            if (!(newFile instanceof obsidian.TFile)) continue;
+
+            const subpath = rest.length > 0 ? '#' + rest.join('#') : '';
+            const raw = link.original.replace(/^!/, '');
+            const hasAlias = raw.includes('|') || !raw.startsWith('[[');
+            let text = app.fileManager.generateMarkdownLink(newFile, sourcePath, subpath, hasAlias ? link.displayText : undefined);
+            if (link.original.startsWith('!') && !text.startsWith('!')) text = '!' + text;
+
+            edits.push({ start: link.position.start.offset, end: link.position.end.offset, text });
+        }
+        if (edits.length === 0) continue;
+
+        // Apply from the end so earlier offsets stay valid
+        edits.sort((a, b) => b.start - a.start);
+        let data = await app.vault.read(sourceFile);
+        for (const edit of edits) {
+            data = data.slice(0, edit.start) + edit.text + data.slice(edit.end);
+        }
+        await app.vault.modify(sourceFile, data);
+        rewritten += edits.length;
+    }
+
+    return rewritten;
+}
+
+module.exports = {
+    collectBacklinks,
+    getLinkMoves,
+    rewriteLinks
+};
@@ -18,8 +18,22 @@ const obsidian = require('obsidian');
 
 // Import modules
 const { t, getLanguage, setLanguage, TRANSLATIONS, SUPPORTED_LANGUAGES } = require('./translations');
-const { formatFileSize, formatDate, escapeHtml, isValidPath, debounce } = require('./utils');
-const { VIEW_TYPE, PREVIEW_VIEW_TYPE, TRASH_FOLDER, DEFAULT_SETTINGS, FILE_ICONS } = require('./constants');
+const { formatFileSize, formatDate, escapeHtml, escapeRegExp, isValidPath, debounce, mapConcurrent, addNameSuffix, getAvailablePath, getDeviceName } = require('./utils');
+const { VIEW_TYPE, PREVIEW_VIEW_TYPE, STATS_VIEW_TYPE, TRASH_FOLDER, CAPTURE_FOLDER, DEFAULT_SETTINGS, STAT_CONCURRENCY, PURGE_INTERVALS, EXPIRING_SOON_DAYS, FILE_TYPES, MEDIA_TYPES, TEXT_EXTENSIONS, FILE_ICONS } = require('./constants');
+const { DeletionLedger, stripTrashSuffix } = require('./ledger');
+const { UndoManager } = require('./undo');
+const { parseQuery, isEmptyQuery, matchItem } = require('./search');
+const { splitLines, diffLines, buildHunks, isSameHunk, copyHunkToNew } = require('./diff');
+const { collectBacklinks, getLinkMoves, rewriteLinks } = require('./links');
+const { createRule, getRetention, planPurge, PinList } = require('./retention');
+const { VirtualList } = require('./virtual-list');
+const { computeStats } = require('./stats');
+const { groupItems, getGroupItems } = require('./grouping');
+const { renderCanvas, parseDrawing, renderDrawing } = require('./previews');
+const { readZipEntries } = require('./zip');
+const { TextPreview } = require('./text-preview');
+const { DeletionCapture } = require('./capture');
+const { exportItems, importArchive } = require('./archive');
 
 // Current language state (module-level)
 let currentLanguage = 'en';
@@ -36,53 +50,105 @@ class TrashedFile {
      * @param {object} vault - Obsidian vault
      * @param {string} path - Path to file in trash
      * @param {object} stat - File stats
+     * @param {string} source - Bin folder the file is in
      */
-    constructor(vault, path, stat) {
+    constructor(vault, path, stat, source = TRASH_FOLDER) {
         this.vault = vault;
         this.path = path;
         this.stat = stat;
+        this.source = source;
         this.kind = 'file';
+        this.ledgerEntry = null;
+        this.parent = null;
 
-        const pathParts = path.split('/');
-        this.name = pathParts.pop();
-        pathParts.shift(); // Remove .trash
-        this.originalPath = pathParts.length > 0
-            ? pathParts.join('/') + '/' + this.name
-            : this.name;
+        // Other trashed copies of the same original path, see TrashManager.groupVersions
+        this.versions = null;
+        this.versionOf = null;
+
+        this.name = path.split('/').pop();
+        this.originalPath = path.slice(source.length + 1);
     }
 
     get size() { return this.stat?.size || 0; }
     get mtime() { return this.stat?.mtime || 0; }
+    get deletedAt() { return this.ledgerEntry?.deletedAt || this.parent?.deletedAt || this.mtime; }
+    get device() { return this.ledgerEntry?.device || this.parent?.device || null; }
+    get rootEntry() { return this.ledgerEntry || this.parent?.rootEntry || null; }
+
+    /**
+     * Notes that linked to this file when it was deleted
+     * @returns {string[]} Source paths
+     */
+    get backlinks() {
+        return this.rootEntry?.backlinks?.[this.originalPath] || [];
+    }
     get extension() {
         const parts = this.name.split('.');
         return parts.length > 1 ? parts.pop().toLowerCase() : '';
     }
 
     /**
-     * Restore file to original location
+     * Restore file to original location.
+     * Bytes are copied verbatim so binary attachments survive the round trip,
+     * and the copy is verified against the scanned size before the trashed
+     * file is removed.
+     * @param {object} options
+     * @param {string} options.targetPath - Restore here instead of the original path
+     * @param {Function} options.onConflict - Async (item, path) => 'rename' | 'overwrite' | 'skip',
+     *   asked when the original location is taken. Without it the restore is skipped.
+     * @param {object} options.fileManager - Obsidian file manager, trashes the file an overwrite replaces
      * @returns {Promise<boolean>} Success status
      */
-    async restore() {
+    async restore(options = {}) {
         try {
+            let target = options.targetPath || this.originalPath;
+
             // Validate path before restore
-            if (!isValidPath(this.originalPath)) {
-                console.error('Invalid restore path:', this.originalPath);
+            if (!isValidPath(target)) {
+                console.error('Invalid restore path:', target);
                 return false;
             }
 
-            const exists = await this.vault.adapter.exists(this.originalPath);
-            if (exists) return false;
+            const adapter = this.vault.adapter;
+            let overwrite = false;
+            if (await adapter.exists(target)) {
+                const choice = options.onConflict ? await options.onConflict(this, target) : 'skip';
+                if (choice === 'rename') {
+                    target = await getAvailablePath(adapter, target, 'restored');
+                } else if (choice === 'overwrite') {
+                    overwrite = true;
+                } else {
+                    return false;
+                }
+            }
 
-            const content = await this.vault.adapter.read(this.path);
+            // Read before the current file is moved away, so a failed read leaves it in place
+            const data = await adapter.readBinary(this.path);
 
             // Ensure parent directories exist
-            const parentPath = this.originalPath.split('/').slice(0, -1).join('/');
+            const parentPath = target.split('/').slice(0, -1).join('/');
             if (parentPath) {
-                await this.vault.adapter.mkdir(parentPath);
+                await adapter.mkdir(parentPath);
             }
 
-            await this.vault.adapter.write(this.originalPath, content);
-            await this.vault.adapter.remove(this.path);
+            if (overwrite) await this.trashExisting(target, options.fileManager);
+
+            // Keep the original timestamps where the adapter supports it
+            const writeOptions = {};
+            if (this.stat?.ctime) writeOptions.ctime = this.stat.ctime;
+            if (this.stat?.mtime) writeOptions.mtime = this.stat.mtime;
+            await adapter.writeBinary(target, data, writeOptions);
+            // Undo could not bring the replaced file back, see UndoManager.recordRestore
+            if (overwrite) this.overwrote = true;
+
+            if (!(await this.verifyRestored(target, data.byteLength))) {
+                console.error('Restored file size mismatch:', target);
+                await adapter.remove(target);
+                return false;
+            }
+
+            await adapter.remove(this.path);
+            this.restoredPath = target;
             return true;
         } catch (e) {
             console.error('Failed to restore file:', e);
@@ -90,6 +156,37 @@ class TrashedFile {
         }
     }
 
+    /**
+     * Check that the restored copy has the size captured when the trash was scanned
+     * @param {string} target - Path the file was restored to
+     * @param {number} readSize - Number of bytes read from the trash
+     * @returns {Promise<boolean>} True if sizes match
+     */
+    async verifyRestored(target, readSize) {
+        const expected = typeof this.stat?.size === 'number' ? this.stat.size : readSize;
+        if (readSize !== expected) return false;
+
+        const restored = await this.vault.adapter.stat(target);
+        return !!restored && restored.size === expected;
+    }
+
+    /**
+     * Move the file currently occupying a path into the recycle bin.
+     * Going through the file manager applies the user's trash setting and capture mode.
+     * @param {string} path - Vault path
+     * @param {object} fileManager - Obsidian file manager
+     */
+    async trashExisting(path, fileManager) {
+        const existing = this.vault.getAbstractFileByPath(path);
+        if (existing) {
+            await fileManager.trashFile(existing);
+        } else {
+            await this.vault.adapter.trashLocal(path);
+        }
+        // Capture mode keeps the file when it could not copy it
+        if (await this.vault.adapter.exists(path)) throw new Error(`Could not move ${path} out of the way`);
+    }
+
     /**
      * Permanently delete file
      * @returns {Promise<boolean>} Success status
@@ -112,19 +209,19 @@ class TrashedFolder {
     /**
      * @param {object} vault - Obsidian vault
      * @param {string} path - Path to folder in trash
+     * @param {string} source - Bin folder the folder is in
      */
-    constructor(vault, path) {
+    constructor(vault, path, source = TRASH_FOLDER) {
         this.vault = vault;
         this.path = path;
+        this.source = source;
         this.kind = 'folder';
         this.children = [];
+        this.ledgerEntry = null;
+        this.parent = null;
 
-        const pathParts = path.split('/');
-        this.name = pathParts.pop();
-        pathParts.shift(); // Remove .trash
-        this.originalPath = pathParts.length > 0
-            ? pathParts.join('/') + '/' + this.name
-            : this.name;
+        this.name = path.split('/').pop();
+        this.originalPath = path.slice(source.length + 1);
     }
 
     get size() {
@@ -136,22 +233,51 @@ class TrashedFolder {
         return Math.max(...this.children.map(c => c.mtime));
     }
 
+    get deletedAt() {
+        return this.ledgerEntry?.deletedAt || this.parent?.deletedAt || this.mtime;
+    }
+
+    get device() {
+        return this.ledgerEntry?.device || this.parent?.device || null;
+    }
+
+    get rootEntry() {
+        return this.ledgerEntry || this.parent?.rootEntry || null;
+    }
+
     /**
-     * Restore folder and contents
+     * Number of files in this folder and its subfolders
+     */
+    get fileCount() {
+        return this.children.reduce((sum, child) =>
+            sum + (child.kind === 'folder' ? child.fileCount : 1), 0);
+    }
+
+    /**
+     * Restore folder and contents, merging into the target folder if it exists
+     * @param {object} options - See TrashedFile.restore; children follow options.targetPath
      * @returns {Promise<boolean>} Success status
      */
-    async restore() {
+    async restore(options = {}) {
         try {
+            const target = options.targetPath || this.originalPath;
+
             // Validate path
-            if (!isValidPath(this.originalPath)) {
-                console.error('Invalid restore path:', this.originalPath);
+            if (!isValidPath(target)) {
+                console.error('Invalid restore path:', target);
                 return false;
             }
 
-            await this.vault.adapter.mkdir(this.originalPath);
+            await this.vault.adapter.mkdir(target);
+            let failed = 0;
             for (const child of this.children) {
-                await child.restore();
+                const childOptions = Object.assign({}, options, { targetPath: `${target}/${child.name}` });
+                if (!(await child.restore(childOptions))) failed++;
             }
+
+            // Keep anything that failed to restore in the trash
+            if (failed > 0) return false;
+
             await this.vault.adapter.rmdir(this.path, true);
             return true;
         } catch (e) {
@@ -185,57 +311,230 @@ class TrashedFolder {
 class TrashManager {
     /**
      * @param {object} vault - Obsidian vault
+     * @param {DeletionLedger} ledger - Deletion ledger, if available
+     * @param {PinList} pins - Items kept forever, if available
+     * @param {string[]} folders - Bin folders to list, as one bin
      */
-    constructor(vault) {
+    constructor(vault, ledger = null, pins = null, folders = [TRASH_FOLDER]) {
         this.vault = vault;
+        this.ledger = ledger;
+        this.pins = pins;
+        this.folders = folders;
+
+        // Top-level trashed items keyed by trash path; `items` lists them for sorting and filtering
+        this.index = new Map();
         this.items = [];
+        this.loaded = false;
+
+        // Original paths of the listed items and their versions
+        this.originalPaths = new Set();
+
+        // Results of the last filter() call
+        this.query = parseQuery('');
+        this.matches = new Map();
+
+        // Text content cache for content search, keyed by trash path
+        this.textCache = new Map();
+    }
+
+    /**
+     * Build the index on first use
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.loaded) await this.refresh();
     }
 
     /**
-     * Refresh the list of trashed items
+     * Rebuild the index from scratch
      * @returns {Promise<void>}
      */
     async refresh() {
-        this.items = [];
+        this.index.clear();
+        this.textCache.clear();
+        await this.sync();
+        this.loaded = true;
+    }
 
-        const trashExists = await this.vault.adapter.exists(TRASH_FOLDER);
-        if (!trashExists) return;
+    /**
+     * @param {string} path - Vault path
+     * @returns {string|null} Bin folder containing the path, the innermost one if they are nested
+     */
+    getSource(path) {
+        let source = null;
+        for (const folder of this.folders) {
+            if (path.startsWith(folder + '/') && (!source || folder.length > source.length)) source = folder;
+        }
+        return source;
+    }
 
-        await this.scanFolder(TRASH_FOLDER);
+    /**
+     * @param {string} path - Path inside a bin folder
+     * @returns {string} Path of the top-level trashed item containing it
+     */
+    getTopLevelPath(path) {
+        const source = this.getSource(path);
+        if (!source) return path;
+        return `${source}/${path.slice(source.length + 1).split('/')[0]}`;
     }
 
     /**
-     * Recursively scan a folder for trashed items
-     * @param {string} folderPath - Path to scan
+     * Bring the index up to date with the bin folders.
+     * Only entries that appeared, and those listed in `changed`, are scanned again.
+     * @param {string[]} changed - Trash paths whose contents changed
+     * @returns {Promise<void>}
+     */
+    async sync(changed = []) {
+        const adapter = this.vault.adapter;
+        const files = [];
+        const folders = [];
+        const listed = [];
+        for (const source of this.folders) {
+            if (!(await adapter.exists(source))) continue;
+            listed.push(source);
+            const listing = await adapter.list(source);
+            // A bin folder nested in another one is listed as a source of its own
+            files.push(...listing.files.map(path => ({ path, source })));
+            folders.push(...listing.folders
+                .filter(path => path !== source && !this.folders.includes(path))
+                .map(path => ({ path, source })));
+        }
+
+        const present = new Set([...files, ...folders].map(entry => entry.path));
+        const stale = new Set(changed.map(path => this.getTopLevelPath(path)));
+        for (const path of [...this.index.keys()]) {
+            if (!present.has(path) || stale.has(path)) this.forget(path);
+        }
+
+        const newFiles = files.filter(entry => !this.index.has(entry.path));
+        const stats = await mapConcurrent(newFiles, STAT_CONCURRENCY, entry => adapter.stat(entry.path));
+        newFiles.forEach(({ path, source }, i) => {
+            const file = new TrashedFile(this.vault, path, stats[i], source);
+            this.resolveOrigin(file, null);
+            this.index.set(path, file);
+        });
+
+        for (const { path, source } of folders.filter(entry => !this.index.has(entry.path))) {
+            const folder = new TrashedFolder(this.vault, path, source);
+            this.resolveOrigin(folder, null);
+            await this.scanFolder(path, folder);
+            this.index.set(path, folder);
+        }
+
+        this.items = [...this.index.values()];
+        // Entries of folders that are missing or not listed right now are kept
+        if (this.ledger) this.ledger.prune(present, listed);
+        if (this.pins) this.pins.prune(present, listed);
+
+        this.groupVersions();
+        this.originalPaths = new Set(this.items.map(item => item.originalPath));
+    }
+
+    /**
+     * @param {string} path - Vault path
+     * @returns {boolean} True if a trashed item was deleted from this path or from a folder containing it
+     */
+    isOriginalPath(path) {
+        const parts = path.split('/');
+        for (let i = parts.length; i > 0; i--) {
+            if (this.originalPaths.has(parts.slice(0, i).join('/'))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Drop an entry and its cached contents from the index
+     * @param {string} path - Top-level trash path
+     */
+    forget(path) {
+        this.index.delete(path);
+        for (const cachedPath of this.textCache.keys()) {
+            if (cachedPath === path || cachedPath.startsWith(path + '/')) this.textCache.delete(cachedPath);
+        }
+    }
+
+    /**
+     * Group repeated deletions of the same original path.
+     * The newest copy becomes the list entry and holds all copies in `versions`,
+     * newest first; the older copies point back to it through `versionOf`.
+     */
+    groupVersions() {
+        const files = this.items.filter(item => item.kind === 'file');
+        for (const file of files) {
+            file.versions = null;
+            file.versionOf = null;
+            if (!file.ledgerEntry) file.originalPath = file.path.slice(file.source.length + 1);
+        }
+        // Without ledger entries for either, "Note 1.md" is a copy of "Note.md" if that is in the trash too.
+        // A file the ledger knows is never taken for a copy, so a real "Chapter 2.md" stays apart from "Chapter.md".
+        const originals = new Set(files.filter(file => !file.ledgerEntry).map(file => file.originalPath));
+        for (const file of files) {
+            if (file.ledgerEntry) continue;
+            const baseName = stripTrashSuffix(file.name);
+            if (baseName === file.name) continue;
+
+            const basePath = file.originalPath.slice(0, -file.name.length) + baseName;
+            if (originals.has(basePath)) file.originalPath = basePath;
+        }
+
+        const groups = new Map();
+        for (const file of files) {
+            if (!groups.has(file.originalPath)) groups.set(file.originalPath, []);
+            groups.get(file.originalPath).push(file);
+        }
+
+        for (const group of groups.values()) {
+            if (group.length < 2) continue;
+
+            group.sort((a, b) => b.deletedAt - a.deletedAt);
+            const [newest, ...older] = group;
+            newest.versions = group;
+            for (const version of older) version.versionOf = newest;
+        }
+    }
+
+    /**
+     * Work out where an item came from.
+     * Top-level items use the ledger when it knows them, children follow their parent.
+     * @param {TrashedFile|TrashedFolder} item
      * @param {TrashedFolder} parent - Parent folder if any
      */
-    async scanFolder(folderPath, parent = null) {
+    resolveOrigin(item, parent) {
+        if (parent) {
+            item.parent = parent;
+            item.originalPath = parent.originalPath + '/' + item.name;
+            return;
+        }
+
+        const entry = this.ledger?.get(item.path);
+        if (entry) {
+            item.ledgerEntry = entry;
+            item.originalPath = entry.originalPath;
+        }
+        item.pinned = !!this.pins?.has(item.path);
+    }
+
+    /**
+     * Recursively scan a trashed folder for its children
+     * @param {string} folderPath - Path to scan
+     * @param {TrashedFolder} parent - Folder the children belong to
+     */
+    async scanFolder(folderPath, parent) {
         try {
             const listing = await this.vault.adapter.list(folderPath);
 
-            for (const filePath of listing.files) {
-                const stat = await this.vault.adapter.stat(filePath);
-                const file = new TrashedFile(this.vault, filePath, stat);
-
-                if (parent) {
-                    parent.children.push(file);
-                } else {
-                    this.items.push(file);
-                }
-            }
+            const stats = await mapConcurrent(listing.files, STAT_CONCURRENCY, path => this.vault.adapter.stat(path));
+            listing.files.forEach((filePath, i) => {
+                const file = new TrashedFile(this.vault, filePath, stats[i], parent.source);
+                this.resolveOrigin(file, parent);
+                parent.children.push(file);
+            });
 
             for (const subFolder of listing.folders) {
-                if (subFolder === TRASH_FOLDER) continue;
-
-                const folder = new TrashedFolder(this.vault, subFolder);
-
+                const folder = new TrashedFolder(this.vault, subFolder, parent.source);
+                this.resolveOrigin(folder, parent);
                 await this.scanFolder(subFolder, folder);
-
-                if (parent) {
-                    parent.children.push(folder);
-                } else {
-                    this.items.push(folder);
-                }
+                parent.children.push(folder);
             }
         } catch (e) {
             console.error('Failed to scan folder:', e);
@@ -244,27 +543,39 @@ class TrashManager {
 
     /**
      * Empty the entire trash
+     * @param {Function} remove - Async (item) => boolean, defaults to a permanent delete
      * @returns {Promise<void>}
      */
-    async empty() {
+    async empty(remove = item => item.delete()) {
         for (const item of this.items) {
-            await item.delete();
+            await remove(item);
         }
         this.items = [];
     }
 
     /**
-     * Purge files older than specified days
-     * @param {number} days - Age threshold in days
+     * List what a purge with the given retention policy would remove
+     * @param {object} policy - See retention.planPurge
+     * @returns {Promise<Array<object>>} Purges { item, reason, ruleIndex }
+     */
+    async planPurge(policy) {
+        await this.sync();
+        return planPurge(this.items, policy);
+    }
+
+    /**
+     * Purge items according to the retention policy
+     * @param {object} policy - See retention.planPurge
+     * @param {Function} beforePurge - Async (items) called with everything about to be purged, e.g. to archive it; nothing is purged if it throws
      * @returns {Promise<number>} Number of items purged
      */
-    async purgeOlderThan(days) {
-        const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
+    async purge(policy, beforePurge = null) {
         let count = 0;
+        const plan = await this.planPurge(policy);
+        if (beforePurge && plan.length > 0) await beforePurge(plan.map(({ item }) => item));
 
-        for (const item of [...this.items]) {
-            if (item.mtime < cutoff) {
-                await item.delete();
+        for (const { item } of plan) {
+            if (await item.delete()) {
                 this.items = this.items.filter(i => i !== item);
                 count++;
             }
@@ -291,7 +602,7 @@ class TrashManager {
                     break;
                 case 'date':
                 default:
-                    comparison = a.mtime - b.mtime;
+                    comparison = a.deletedAt - b.deletedAt;
             }
 
             return order === 'desc' ? -comparison : comparison;
@@ -299,17 +610,58 @@ class TrashManager {
     }
 
     /**
-     * Filter items by search query
+     * Filter items by search query, see the search module for the syntax.
+     * Match details are kept in this.matches, keyed by trash path.
      * @param {string} query - Search string
-     * @returns {Array} Filtered items
+     * @param {object} options
+     * @param {boolean} options.searchContent - Also match the text of markdown/text files
+     * @returns {Promise<Array>} Filtered items
      */
-    filter(query) {
-        if (!query || !query.trim()) return this.items;
+    async filter(query, options = {}) {
+        this.query = parseQuery(query);
+        this.matches = new Map();
 
-        const lowerQuery = query.toLowerCase();
-        return this.items.filter(item =>
-            item.name.toLowerCase().includes(lowerQuery)
-        );
+        // Older versions are listed under their newest copy
+        const listed = this.items.filter(item => !item.versionOf);
+        if (isEmptyQuery(this.query)) return listed;
+
+        const matchOptions = {
+            searchContent: !!options.searchContent,
+            getContent: item => this.readText(item)
+        };
+
+        const results = [];
+        for (const item of listed) {
+            const match = await matchItem(item, this.query, matchOptions);
+            if (!match) continue;
+
+            results.push(item);
+            if (match.self) this.matches.set(item.path, match);
+            for (const [path, descendant] of match.descendants) {
+                this.matches.set(path, descendant);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Read a trashed text file for searching
+     * @param {TrashedFile} item
+     * @returns {Promise<string|null>} Content, or null for binary and very large files
+     */
+    async readText(item) {
+        if (!TEXT_EXTENSIONS.includes(item.extension) || item.size > 1024 * 1024) return null;
+
+        const cached = this.textCache.get(item.path);
+        if (cached && cached.mtime === item.mtime) return cached.text;
+
+        try {
+            const text = await this.vault.adapter.read(item.path);
+            this.textCache.set(item.path, { mtime: item.mtime, text });
+            return text;
+        } catch (e) {
+            return null;
+        }
     }
 }
 
@@ -329,6 +681,22 @@ class FilePreviewView extends obsidian.ItemView {
         super(leaf);
         this.plugin = plugin;
         this.file = null;
+        this.mode = 'preview';
+        this.compareVersion = null;
+
+        // Text previews: markdown source instead of rendered, and the find bar
+        this.sourceMode = false;
+        this.textPreview = null;
+        this.findBar = null;
+
+        // What the last render showed, see getState
+        this.state = null;
+
+        this.scope = new obsidian.Scope(this.app.scope);
+        this.scope.register(['Mod'], 'f', () => {
+            this.openFind();
+            return false;
+        });
     }
 
     getViewType() {
@@ -346,15 +714,53 @@ class FilePreviewView extends obsidian.ItemView {
     /**
      * Set the file to preview and render
      * @param {TrashedFile} file
+     * @param {object} options
+     * @param {TrashedFile} options.compareWith - Open comparing against another trashed version
      */
-    async setFile(file) {
+    async setFile(file, options = {}) {
         this.file = file;
+        this.compareVersion = options.compareWith || null;
+        this.mode = this.compareVersion ? 'compare' : 'preview';
+        this.sourceMode = false;
         await this.render();
         this.leaf.updateHeader();
     }
 
+    /**
+     * Restore the previewed file and open it
+     * @param {string} targetPath - Optional destination instead of the original path
+     */
+    async restoreFile(targetPath = null) {
+        const onConflict = createConflictResolver(this.app, false);
+        if (await this.file.restore({ onConflict, targetPath, fileManager: this.app.fileManager })) {
+            const op = this.plugin.undo.createOperation('restore');
+            this.plugin.undo.recordRestore(op, this.file);
+            this.plugin.finishOperation(op, t('restored', { name: this.file.name }));
+            this.plugin.offerLinkUpdate([this.file]);
+            const restoredFile = this.app.vault.getAbstractFileByPath(this.file.restoredPath);
+            if (restoredFile) {
+                await this.leaf.openFile(restoredFile);
+            } else {
+                this.leaf.detach();
+            }
+            await this.plugin.refreshViews([this.file.path]);
+        } else if (onConflict.skipped > 0) {
+            new obsidian.Notice(t('restoreSkipped', { name: this.file.name }));
+        } else {
+            new obsidian.Notice(t('cannotRestore', { name: this.file.name }), 5000);
+        }
+    }
+
+    onClose() {
+        this.textPreview?.destroy();
+        this.textPreview = null;
+    }
+
     async render() {
         const container = this.containerEl.children[1];
+        this.textPreview?.destroy();
+        this.textPreview = null;
+        this.findBar = null;
         container.empty();
         container.addClass('recycle-bin-preview-container');
 
@@ -363,33 +769,49 @@ class FilePreviewView extends obsidian.ItemView {
             return;
         }
 
+        this.state = await this.getState();
+        if (!this.state.inBin) {
+            this.renderGone(container);
+            return;
+        }
+
         // Info banner
+        const deviceName = this.file.device;
+        const device = deviceName ? ` • ${escapeHtml(t('deletedOnDevice', { device: deviceName }))}` : '';
         const banner = container.createDiv({ cls: 'recycle-bin-preview-banner' });
         banner.innerHTML = `
             <div class="recycle-bin-preview-banner-icon">🗑️</div>
             <div class="recycle-bin-preview-banner-text">
                 <strong>${t('fileInBin')}</strong><br>
-                <span>${t('originalLocation')}: ${escapeHtml(this.file.originalPath)} • ${formatFileSize(this.file.size)} • ${t('deleted')} ${formatDate(this.file.mtime)}</span>
+                <span>${t('originalLocation')}: ${escapeHtml(this.file.originalPath)} • ${formatFileSize(this.file.size)} • ${t('deleted')} ${formatDate(this.file.deletedAt)}${device}</span>
             </div>
         `;
 
+        // Notes that linked here when the file was deleted
+        const backlinks = this.file.backlinks;
+        if (backlinks.length > 0) {
+            const linksEl = container.createDiv({ cls: 'recycle-bin-preview-backlinks' });
+            linksEl.createSpan({ text: t('linkedFrom', { count: backlinks.length }) + ' ' });
+            for (const source of backlinks) {
+                const link = linksEl.createEl('a', { text: source.replace(/\.md$/, ''), cls: 'internal-link' });
+                link.onclick = (e) => {
+                    e.preventDefault();
+                    this.app.workspace.openLinkText(source, '', true);
+                };
+            }
+        }
+
         // Action buttons in banner
         const actions = banner.createDiv({ cls: 'recycle-bin-preview-banner-actions' });
 
         const restoreBtn = actions.createEl('button', { text: '↩ ' + t('restore'), cls: 'recycle-bin-btn restore' });
-        restoreBtn.onclick = async () => {
-            if (await this.file.restore()) {
-                new obsidian.Notice(t('restored', { name: this.file.name }));
-                const restoredFile = this.app.vault.getAbstractFileByPath(this.file.originalPath);
-                if (restoredFile) {
-                    await this.leaf.openFile(restoredFile);
-                } else {
-                    this.leaf.detach();
-                }
-                await this.plugin.refreshViews();
-            } else {
-                new obsidian.Notice(t('cannotRestore'), 5000);
-            }
+        restoreBtn.onclick = () => this.restoreFile();
+
+        const restoreToBtn = actions.createEl('button', { text: '⤴ ' + t('restoreTo'), cls: 'recycle-bin-btn' });
+        restoreToBtn.onclick = () => {
+            new FolderSuggestModal(this.app, this.plugin.getReservedFolders(), (folderPath) => {
+                this.restoreFile(joinPath(folderPath, this.file.originalPath.split('/').pop()));
+            }).open();
         };
 
         const deleteBtn = actions.createEl('button', { text: '✕ ' + t('deleteForever'), cls: 'recycle-bin-btn danger' });
@@ -401,116 +823,1044 @@ class FilePreviewView extends obsidian.ItemView {
                     t('deleteConfirmMessage', { name: this.file.name }),
                     t('delete'),
                     async () => {
-                        await this.file.delete();
-                        new obsidian.Notice(t('deleted', { name: this.file.name }));
+                        await this.plugin.deleteItem(this.file);
                         this.leaf.detach();
-                        await this.plugin.refreshViews();
                     }
                 ).open();
             } else {
-                await this.file.delete();
-                new obsidian.Notice(t('deleted', { name: this.file.name }));
+                await this.plugin.deleteItem(this.file);
                 this.leaf.detach();
-                await this.plugin.refreshViews();
             }
         };
 
+        // Compare with another version or the file that now lives at the original path
+        const compareTarget = this.getCompareTarget();
+        if (compareTarget) {
+            const compareBtn = actions.createEl('button', {
+                text: this.mode === 'compare' ? '👁 ' + t('showPreview') : '⇆ ' + compareTarget.buttonText,
+                cls: 'recycle-bin-btn'
+            });
+            compareBtn.onclick = () => {
+                this.mode = this.mode === 'compare' ? 'preview' : 'compare';
+                this.render();
+            };
+        }
+
         // Content area
         const content = container.createDiv({ cls: 'recycle-bin-preview-content' });
         const ext = this.file.extension;
 
-        if (['md', 'markdown', 'txt', 'js', 'ts', 'css', 'html', 'json', 'xml', 'yaml', 'yml'].includes(ext)) {
-            // Text file preview
-            try {
-                const text = await this.app.vault.adapter.read(this.file.path);
-                if (ext === 'md' || ext === 'markdown') {
-                    await obsidian.MarkdownRenderer.renderMarkdown(text, content, this.file.path, this);
-                } else {
-                    const pre = content.createEl('pre');
-                    const code = pre.createEl('code');
-                    code.textContent = text;
-                    code.className = `language-${ext}`;
-                }
-            } catch (e) {
-                content.createEl('p', { text: `Error loading file: ${e.message}` });
+        if (compareTarget && this.mode === 'compare') {
+            await this.renderComparison(content, compareTarget);
+            return;
+        }
+
+        try {
+            await this.renderContent(content, ext);
+        } catch (e) {
+            content.empty();
+            content.createEl('p', { text: `Error loading file: ${e.message}` });
+        }
+    }
+
+    /**
+     * Re-render if the file left or returned to the bin, or what it can be compared with changed
+     */
+    async refresh() {
+        if (!this.file || !this.state) return;
+        const state = await this.getState();
+        if (state.inBin !== this.state.inBin || state.comparable !== this.state.comparable) {
+            await this.render();
+        }
+    }
+
+    /**
+     * @returns {Promise<object>} { inBin, comparable }
+     */
+    async getState() {
+        const inBin = await this.app.vault.adapter.exists(this.file.path);
+        return { inBin, comparable: inBin && !!this.getCompareTarget() };
+    }
+
+    /**
+     * Show that the previewed file was restored or deleted elsewhere
+     * @param {HTMLElement} container
+     */
+    renderGone(container) {
+        const gone = container.createDiv({ cls: 'recycle-bin-unsupported' });
+        gone.createDiv({ text: '🗑️' }).style.fontSize = '48px';
+        gone.createEl('p').createEl('strong', { text: t('noLongerInBin', { name: this.file.name }) });
+
+        const restored = this.app.vault.getAbstractFileByPath(this.file.restoredPath || this.file.originalPath);
+        const isRestored = restored instanceof obsidian.TFile;
+        gone.createEl('p', {
+            text: isRestored ? t('noLongerInBinRestored', { path: restored.path }) : t('noLongerInBinDesc')
+        });
+
+        const actions = gone.createDiv({ cls: 'recycle-bin-actions' });
+        if (isRestored) {
+            actions.createEl('button', { text: t('openFile'), cls: 'recycle-bin-btn mod-cta' })
+                .onclick = () => this.leaf.openFile(restored);
+        }
+        actions.createEl('button', { text: t('close'), cls: 'recycle-bin-btn' })
+            .onclick = () => this.leaf.detach();
+    }
+
+    /**
+     * Render the file contents with the best preview for its type
+     * @param {HTMLElement} content
+     * @param {string} ext - File extension
+     */
+    async renderContent(content, ext) {
+        const adapter = this.app.vault.adapter;
+
+        if (ext === 'canvas') {
+            content.addClass('recycle-bin-drawing-container');
+            renderCanvas(content, JSON.parse(await adapter.read(this.file.path)));
+        } else if (ext === 'excalidraw' || ext === 'json' || this.file.name.endsWith('.excalidraw.md')) {
+            // Drawings render as such; other JSON and compressed drawings show as text
+            const text = await adapter.read(this.file.path);
+            const elements = parseDrawing(text);
+            if (elements) {
+                content.addClass('recycle-bin-drawing-container');
+                renderDrawing(content, elements);
+            } else {
+                await this.renderText(content, text, ext);
             }
+        } else if (TEXT_EXTENSIONS.includes(ext)) {
+            await this.renderText(content, await adapter.read(this.file.path), ext);
         } else if (['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp'].includes(ext)) {
             // Image preview
             try {
-                const arrayBuffer = await this.app.vault.adapter.readBinary(this.file.path);
-                const blob = new Blob([arrayBuffer]);
-                const url = URL.createObjectURL(blob);
                 const img = content.createEl('img', { cls: 'recycle-bin-preview-image' });
-                img.src = url;
+                img.src = this.createBlobUrl(await adapter.readBinary(this.file.path), ext === 'svg' ? 'image/svg+xml' : '');
                 img.alt = this.file.name;
-                this.register(() => URL.revokeObjectURL(url));
             } catch (e) {
                 content.createEl('p', { text: t('unableToLoadImage') + `: ${e.message}` });
             }
+        } else if (ext === 'pdf') {
+            content.addClass('recycle-bin-embed-container');
+            content.createEl('iframe', {
+                cls: 'recycle-bin-preview-pdf',
+                attr: { src: this.createBlobUrl(await adapter.readBinary(this.file.path), MEDIA_TYPES.pdf) }
+            });
+        } else if (FILE_TYPES.audio.includes(ext) || FILE_TYPES.video.includes(ext)) {
+            const media = content.createEl(FILE_TYPES.audio.includes(ext) ? 'audio' : 'video', {
+                cls: 'recycle-bin-preview-media',
+                attr: { controls: '' }
+            });
+            media.onerror = () => {
+                media.remove();
+                this.renderUnsupported(content, ext, t('unableToPlay'));
+            };
+            media.src = this.createBlobUrl(await adapter.readBinary(this.file.path), MEDIA_TYPES[ext] || '');
+        } else if (ext === 'zip') {
+            this.renderZipListing(content, readZipEntries(await adapter.readBinary(this.file.path)));
         } else {
-            // Unsupported format
-            content.createDiv({ cls: 'recycle-bin-unsupported' }).innerHTML = `
-                <div style="font-size: 48px; margin-bottom: 16px;">📄</div>
-                <p>${t('previewNotAvailable')} <strong>.${ext}</strong> ${t('files')}</p>
-                <p style="color: var(--text-muted);">${t('restoreToView')}</p>
-            `;
+            this.renderUnsupported(content, ext);
         }
     }
-}
-
-// ============================================================================
-// CONFIRM MODAL
-// ============================================================================
 
-/**
- * Generic confirmation modal
- */
-class ConfirmModal extends obsidian.Modal {
     /**
-     * @param {object} app - Obsidian app
-     * @param {string} title - Modal title
-     * @param {string} message - Confirmation message
-     * @param {string} confirmText - Button text
-     * @param {Function} onConfirm - Callback on confirm
+     * Render text: markdown rendered or as source, anything else as highlighted code
+     * @param {HTMLElement} content
+     * @param {string} text
+     * @param {string} ext - File extension
      */
-    constructor(app, title, message, confirmText, onConfirm) {
-        super(app);
-        this.titleText = title;
-        this.message = message;
-        this.confirmText = confirmText;
-        this.onConfirm = onConfirm;
-    }
-
-    onOpen() {
-        const { contentEl, titleEl } = this;
-
-        titleEl.setText(this.titleText);
-        contentEl.createEl('p', { text: this.message });
+    async renderText(content, text, ext) {
+        const rendered = (ext === 'md' || ext === 'markdown') && !this.sourceMode;
+        content.addClass('recycle-bin-text-preview');
+        content.toggleClass('is-wrapped', this.plugin.settings.previewWordWrap);
+
+        const toolbar = content.createDiv({ cls: 'recycle-bin-preview-toolbar' });
+        if (ext === 'md' || ext === 'markdown') {
+            const modeBtn = toolbar.createEl('button', {
+                text: rendered ? '</> ' + t('showSource') : '👁 ' + t('showRendered'),
+                cls: 'recycle-bin-btn'
+            });
+            modeBtn.onclick = () => {
+                this.sourceMode = !this.sourceMode;
+                this.render();
+            };
+        }
 
-        const buttons = contentEl.createDiv({ cls: 'recycle-bin-actions' });
+        if (!rendered) {
+            const wrapBtn = toolbar.createEl('button', { text: '↵ ' + t('wordWrap'), cls: 'recycle-bin-btn' });
+            wrapBtn.toggleClass('is-active', this.plugin.settings.previewWordWrap);
+            wrapBtn.onclick = async () => {
+                this.plugin.settings.previewWordWrap = !this.plugin.settings.previewWordWrap;
+                await this.plugin.saveSettings();
+                content.toggleClass('is-wrapped', this.plugin.settings.previewWordWrap);
+                wrapBtn.toggleClass('is-active', this.plugin.settings.previewWordWrap);
+            };
+        }
 
-        const confirmBtn = buttons.createEl('button', {
-            text: this.confirmText,
-            cls: 'recycle-bin-btn danger'
-        });
-        confirmBtn.onclick = () => {
-            this.onConfirm();
-            this.close();
-        };
+        const findBtn = toolbar.createEl('button', { text: '🔍 ' + t('find'), cls: 'recycle-bin-btn', attr: { title: 'Ctrl+F' } });
+        findBtn.onclick = () => this.openFind();
+        this.findBar = this.renderFindBar(toolbar);
 
-        const cancelBtn = buttons.createEl('button', {
-            text: t('cancel'),
-            cls: 'recycle-bin-btn'
+        this.textPreview = new TextPreview(content, {
+            text,
+            extension: ext,
+            rendered,
+            sourcePath: this.file.path,
+            component: this
         });
-        cancelBtn.onclick = () => this.close();
-    }
-
-    onClose() {
-        this.contentEl.empty();
+        await this.textPreview.render();
     }
-}
 
-// ============================================================================
+    /**
+     * Render the hidden find bar of a text preview
+     * @param {HTMLElement} container
+     * @returns {object} { el, input, count }
+     */
+    renderFindBar(container) {
+        const el = container.createDiv({ cls: 'recycle-bin-find-bar' });
+        el.hide();
+
+        const input = el.createEl('input', { type: 'text', cls: 'recycle-bin-search', placeholder: t('findPlaceholder') });
+        const count = el.createSpan({ cls: 'recycle-bin-find-count' });
+
+        const showCount = () => {
+            const preview = this.textPreview;
+            if (!input.value) {
+                count.setText('');
+            } else if (preview.matches.length === 0) {
+                count.setText(t('noMatchesShort'));
+            } else {
+                count.setText(`${preview.current + 1}/${preview.matches.length}`);
+            }
+        };
+        const step = (delta) => {
+            this.textPreview.select(this.textPreview.current + delta);
+            showCount();
+        };
+
+        input.oninput = debounce(async () => {
+            await this.textPreview.find(input.value);
+            showCount();
+        }, 200);
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                step(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeFind();
+            }
+        };
+
+        el.createEl('button', { text: '↑', cls: 'recycle-bin-item-btn', attr: { title: t('previousMatch') } })
+            .onclick = () => step(-1);
+        el.createEl('button', { text: '↓', cls: 'recycle-bin-item-btn', attr: { title: t('nextMatch') } })
+            .onclick = () => step(1);
+        el.createEl('button', { text: '✕', cls: 'recycle-bin-item-btn', attr: { title: t('close') } })
+            .onclick = () => this.closeFind();
+
+        return { el, input, count };
+    }
+
+    /**
+     * Show the find bar of a text preview and focus it
+     */
+    openFind() {
+        if (!this.findBar) return;
+        this.findBar.el.show();
+        this.findBar.input.focus();
+        this.findBar.input.select();
+    }
+
+    /**
+     * Hide the find bar and its highlights
+     */
+    closeFind() {
+        if (!this.findBar) return;
+        this.findBar.el.hide();
+        this.findBar.input.value = '';
+        this.textPreview?.clearFind();
+        this.findBar.count.setText('');
+    }
+
+    /**
+     * Show that a file type cannot be previewed
+     * @param {HTMLElement} content
+     * @param {string} ext - File extension
+     * @param {string} reason - Optional message instead of the default
+     */
+    renderUnsupported(content, ext, reason = null) {
+        const el = content.createDiv({ cls: 'recycle-bin-unsupported' });
+        el.createDiv({ text: '📄' }).style.fontSize = '48px';
+        const message = el.createEl('p');
+        if (reason) {
+            message.setText(reason);
+        } else {
+            message.appendText(`${t('previewNotAvailable')} `);
+            message.createEl('strong', { text: `.${ext}` });
+            message.appendText(` ${t('files')}`);
+        }
+        el.createEl('p', { cls: 'recycle-bin-item-meta', text: t('restoreToView') });
+    }
+
+    /**
+     * List the entries of a ZIP archive
+     * @param {HTMLElement} content
+     * @param {Array<object>} entries - From zip.readZipEntries
+     */
+    renderZipListing(content, entries) {
+        const files = entries.filter(entry => !entry.isFolder);
+        const total = files.reduce((sum, entry) => sum + entry.size, 0);
+        content.createEl('p', { text: t('archiveSummary', { count: files.length, size: formatFileSize(total) }) });
+
+        const table = content.createEl('table', { cls: 'recycle-bin-archive-listing' });
+        const head = table.createEl('thead').createEl('tr');
+        for (const label of [t('archiveName'), t('size'), t('archiveModified')]) head.createEl('th', { text: label });
+
+        const body = table.createEl('tbody');
+        for (const entry of [...entries].sort((a, b) => a.name.localeCompare(b.name))) {
+            const row = body.createEl('tr');
+            row.createEl('td', { text: `${entry.isFolder ? '📁' : this.getFileIcon(entry.name)} ${entry.name}` });
+            row.createEl('td', { text: entry.isFolder ? '' : formatFileSize(entry.size) });
+            row.createEl('td', { text: new Date(entry.modified).toLocaleString() });
+        }
+    }
+
+    /**
+     * @param {string} name - File name
+     * @returns {string} Emoji icon
+     */
+    getFileIcon(name) {
+        const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+        return FILE_ICONS[ext] || FILE_ICONS.default;
+    }
+
+    /**
+     * Create an object URL for binary data, revoked when the view closes
+     * @param {ArrayBuffer} data
+     * @param {string} type - MIME type
+     * @returns {string} URL
+     */
+    createBlobUrl(data, type) {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        this.register(() => URL.revokeObjectURL(url));
+        return url;
+    }
+
+    /**
+     * Work out what the previewed file can be compared with: the version chosen
+     * in the sidebar, or else the text file now at its original path
+     * @returns {object|null} { buttonText, label, read, liveFile }
+     */
+    getCompareTarget() {
+        if (!this.file || !TEXT_EXTENSIONS.includes(this.file.extension)) return null;
+
+        const version = this.compareVersion;
+        if (version) {
+            return {
+                buttonText: t('compareWithNewest'),
+                label: `🗑️ ${t('versionDeleted', { date: new Date(version.deletedAt).toLocaleString() })}`,
+                read: () => this.app.vault.adapter.read(version.path),
+                liveFile: null
+            };
+        }
+
+        const live = this.app.vault.getAbstractFileByPath(this.file.originalPath);
+        if (!(live instanceof obsidian.TFile)) return null;
+        return {
+            buttonText: t('compareWithCurrent'),
+            label: `📄 ${t('currentVersion')}: ${live.path}`,
+            read: () => this.app.vault.read(live),
+            liveFile: live
+        };
+    }
+
+    /**
+     * Render a side-by-side line diff between the trashed file and a compare target.
+     * Hunks can be copied into the target when it is a live vault file.
+     * @param {HTMLElement} container
+     * @param {object} target - From getCompareTarget
+     */
+    async renderComparison(container, target) {
+        container.addClass('recycle-bin-diff-container');
+        const liveFile = target.liveFile;
+
+        let hunks;
+        let trashedText;
+        try {
+            trashedText = await this.app.vault.adapter.read(this.file.path);
+            const otherText = await target.read();
+            hunks = buildHunks(diffLines(splitLines(trashedText), splitLines(otherText)));
+        } catch (e) {
+            container.createEl('p', { text: `Error loading file: ${e.message}` });
+            return;
+        }
+
+        renderHunks(container, hunks, target.label, liveFile ? (hunkHeader, hunk) => {
+            const copyBtn = hunkHeader.createEl('button', { text: t('copyHunkToCurrent'), cls: 'recycle-bin-btn' });
+            copyBtn.onclick = async () => {
+                try {
+                    // Diff again: the note may have changed since this comparison was shown
+                    const liveText = await this.app.vault.read(liveFile);
+                    const current = buildHunks(diffLines(splitLines(trashedText), splitLines(liveText)))
+                        .find(candidate => isSameHunk(candidate, hunk));
+                    if (current) {
+                        await this.app.vault.modify(liveFile, copyHunkToNew(liveText, current));
+                        new obsidian.Notice(t('hunkCopied', { path: liveFile.path }));
+                    } else {
+                        new obsidian.Notice(t('hunkOutdated'), 5000);
+                    }
+                } catch (e) {
+                    console.error('Failed to copy hunk:', e);
+                    new obsidian.Notice(t('hunkCopyFailed'), 5000);
+                }
+                await this.render();
+            };
+        } : null);
+    }
+}
+
+/**
+ * Render a side-by-side line diff, the trashed version on the left
+ * @param {HTMLElement} container
+ * @param {Array<object>} hunks - From buildHunks
+ * @param {string} label - Heading of the right-hand side
+ * @param {Function} addActions - Optional (hunkHeader, hunk) => void, adds buttons to each hunk
+ */
+function renderHunks(container, hunks, label, addActions = null) {
+    if (hunks.length === 0) {
+        container.createDiv({ cls: 'recycle-bin-unsupported', text: t('filesIdentical') });
+        return;
+    }
+
+    const header = container.createDiv({ cls: 'recycle-bin-diff-columns' });
+    header.createDiv({ text: `🗑️ ${t('trashedVersion')}` });
+    header.createDiv({ text: label });
+
+    for (const hunk of hunks) {
+        const hunkEl = container.createDiv({ cls: 'recycle-bin-diff-hunk' });
+
+        const hunkHeader = hunkEl.createDiv({ cls: 'recycle-bin-diff-hunk-header' });
+        hunkHeader.createSpan({ text: `@@ -${hunk.oldStart + 1},${hunk.oldCount} +${hunk.newStart + 1},${hunk.newCount} @@` });
+        if (addActions) addActions(hunkHeader, hunk);
+
+        const table = hunkEl.createDiv({ cls: 'recycle-bin-diff-table' });
+        for (const row of pairDiffRows(hunk.ops)) {
+            renderDiffCell(table, row.left, 'remove');
+            renderDiffCell(table, row.right, 'add');
+        }
+    }
+}
+
+/**
+ * Pair up removed and added lines so changes line up side by side
+ * @param {Array<object>} ops - Hunk operations
+ * @returns {Array<object>} Rows { left, right } of operations (either may be null)
+ */
+function pairDiffRows(ops) {
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            rows.push({ left: removed[i] || null, right: added[i] || null });
+        }
+        removed = [];
+        added = [];
+    };
+
+    for (const op of ops) {
+        if (op.type === 'remove') {
+            removed.push(op);
+        } else if (op.type === 'add') {
+            added.push(op);
+        } else {
+            flush();
+            rows.push({ left: op, right: op });
+        }
+    }
+    flush();
+
+    return rows;
+}
+
+/**
+ * Render one side of a diff row
+ * @param {HTMLElement} table
+ * @param {object|null} op - Operation shown in this cell
+ * @param {string} changeType - 'remove' for the trashed side, 'add' for the current side
+ */
+function renderDiffCell(table, op, changeType) {
+    const cell = table.createDiv({ cls: 'recycle-bin-diff-cell' });
+    if (!op) {
+        cell.addClass('is-empty');
+        return;
+    }
+
+    if (op.type !== 'equal') cell.addClass(`is-${changeType}`);
+    const lineNumber = changeType === 'remove' ? op.oldIndex + 1 : op.newIndex + 1;
+    cell.createSpan({ cls: 'recycle-bin-diff-line-number', text: String(lineNumber) });
+    cell.createSpan({ cls: 'recycle-bin-diff-text', text: op.text });
+}
+
+// ============================================================================
+// STATISTICS VIEW (Main Tab)
+// ============================================================================
+
+/**
+ * @param {string} path - Original path or folder
+ * @returns {string|null} Search filter for the path, or null if the path has a quote,
+ *   which a quoted search value cannot hold
+ */
+function getPathQuery(path) {
+    return path.includes('"') ? null : `path:"${path}"`;
+}
+
+/**
+ * Dashboard of what takes up space in the trash. Clicking a bar or row filters the sidebar.
+ */
+class StatsView extends obsidian.ItemView {
+    /**
+     * @param {object} leaf - Workspace leaf
+     * @param {RecycleBinPlugin} plugin - Plugin instance
+     */
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.timeline = 'days';
+    }
+
+    getViewType() {
+        return STATS_VIEW_TYPE;
+    }
+
+    getDisplayText() {
+        return t('trashStatistics');
+    }
+
+    getIcon() {
+        return 'bar-chart-2';
+    }
+
+    async onOpen() {
+        await this.render();
+    }
+
+    /**
+     * Refresh the view
+     */
+    async refresh() {
+        await this.render();
+    }
+
+    /**
+     * Render the dashboard
+     */
+    async render() {
+        const container = this.containerEl.children[1];
+        container.empty();
+        container.addClass('recycle-bin-stats');
+
+        await this.plugin.trashManager.load();
+        const items = this.plugin.trashManager.items;
+        const stats = computeStats(items);
+
+        container.createEl('h2', { text: t('trashStatistics') });
+
+        // Summary
+        const summary = container.createDiv({ cls: 'recycle-bin-stats-summary' });
+        this.renderCard(summary, t('totalSize'), formatFileSize(stats.size));
+        this.renderCard(summary, t('trashedItems'), t('itemsAndFiles', { count: stats.count, files: stats.fileCount }));
+        if (this.plugin.settings.autoPurgeEnabled) {
+            const plan = planPurge(items, this.plugin.getRetentionPolicy());
+            const freed = plan.reduce((sum, { item }) => sum + item.size, 0);
+            const card = this.renderCard(summary, t('nextPurgeFrees'), formatFileSize(freed), t('itemsCount', { count: plan.length }));
+            card.addClass('is-clickable');
+            card.onclick = () => new PurgePreviewModal(this.app, plan, (action) => this.plugin.purgeNow(action)).open();
+        }
+
+        if (items.length === 0) {
+            container.createDiv({ cls: 'recycle-bin-empty', text: t('binEmpty') });
+            return;
+        }
+
+        // Breakdown by file type
+        this.renderSection(container, t('byFileType'), stats.types.map(type => ({
+            label: t('category_' + type.category),
+            value: type.size,
+            detail: `${formatFileSize(type.size)} • ${type.count}`,
+            query: `is:${type.category}`
+        })));
+
+        // Deletions over time
+        const timeline = container.createDiv({ cls: 'recycle-bin-stats-section' });
+        const heading = timeline.createDiv({ cls: 'recycle-bin-stats-heading' });
+        heading.createEl('h4', { text: t('deletionsOverTime') });
+        const toggle = heading.createEl('select', { cls: 'dropdown' });
+        toggle.createEl('option', { value: 'days', text: t('perDay') });
+        toggle.createEl('option', { value: 'weeks', text: t('perWeek') });
+        toggle.value = this.timeline;
+        toggle.onchange = () => {
+            this.timeline = toggle.value;
+            this.render();
+        };
+
+        const buckets = stats[this.timeline];
+        const max = Math.max(1, ...buckets.map(b => b.count));
+        const chart = timeline.createDiv({ cls: 'recycle-bin-stats-timeline' });
+        for (const bucket of buckets) {
+            const range = bucket.from === bucket.to ? bucket.from : `${bucket.from}..${bucket.to}`;
+            const column = chart.createDiv({ cls: 'recycle-bin-stats-column' });
+            column.setAttr('title', `${range.replace('..', ' – ')}: ${bucket.count} • ${formatFileSize(bucket.size)}`);
+            column.createDiv({ cls: 'recycle-bin-stats-column-bar' }).style.height = `${(bucket.count / max) * 100}%`;
+            if (bucket.count > 0) {
+                column.addClass('is-clickable');
+                column.onclick = () => this.plugin.showInSidebar(`deleted:${range}`);
+            }
+        }
+
+        // Largest items
+        this.renderSection(container, t('largestItems'), stats.largest.map(item => ({
+            label: item.originalPath,
+            value: item.size,
+            detail: formatFileSize(item.size),
+            query: getPathQuery(item.originalPath)
+        })));
+
+        // Top original folders
+        this.renderSection(container, t('topFolders'), stats.folders.map(entry => ({
+            label: entry.folder || '/',
+            value: entry.size,
+            detail: `${formatFileSize(entry.size)} • ${entry.count}`,
+            query: entry.folder ? getPathQuery(entry.folder + '/') : null
+        })));
+    }
+
+    /**
+     * Render a summary card
+     * @param {HTMLElement} container
+     * @param {string} label
+     * @param {string} value
+     * @param {string} detail - Optional smaller text
+     * @returns {HTMLElement} Card element
+     */
+    renderCard(container, label, value, detail = null) {
+        const card = container.createDiv({ cls: 'recycle-bin-stats-card' });
+        card.createDiv({ cls: 'recycle-bin-stats-card-label', text: label });
+        card.createDiv({ cls: 'recycle-bin-stats-card-value', text: value });
+        if (detail) card.createDiv({ cls: 'recycle-bin-item-meta', text: detail });
+        return card;
+    }
+
+    /**
+     * Render a section of horizontal bars
+     * @param {HTMLElement} container
+     * @param {string} title
+     * @param {Array<object>} rows - { label, value, detail, query }; rows with a query filter the sidebar
+     */
+    renderSection(container, title, rows) {
+        const section = container.createDiv({ cls: 'recycle-bin-stats-section' });
+        section.createEl('h4', { text: title });
+
+        const max = Math.max(1, ...rows.map(row => row.value));
+        for (const row of rows) {
+            const rowEl = section.createDiv({ cls: 'recycle-bin-stats-row' });
+            rowEl.createDiv({ cls: 'recycle-bin-stats-label', text: row.label, attr: { title: row.label } });
+            const track = rowEl.createDiv({ cls: 'recycle-bin-stats-bar-track' });
+            track.createDiv({ cls: 'recycle-bin-stats-bar' }).style.width = `${(row.value / max) * 100}%`;
+            rowEl.createDiv({ cls: 'recycle-bin-stats-detail', text: row.detail });
+
+            if (row.query) {
+                rowEl.addClass('is-clickable');
+                rowEl.onclick = () => this.plugin.showInSidebar(row.query);
+            }
+        }
+    }
+}
+
+// ============================================================================
+// CONFIRM MODAL
+// ============================================================================
+
+/**
+ * Generic confirmation modal
+ */
+class ConfirmModal extends obsidian.Modal {
+    /**
+     * @param {object} app - Obsidian app
+     * @param {string} title - Modal title
+     * @param {string} message - Confirmation message
+     * @param {string} confirmText - Button text
+     * @param {Function} onConfirm - Callback on confirm
+     */
+    constructor(app, title, message, confirmText, onConfirm) {
+        super(app);
+        this.titleText = title;
+        this.message = message;
+        this.confirmText = confirmText;
+        this.onConfirm = onConfirm;
+    }
+
+    onOpen() {
+        const { contentEl, titleEl } = this;
+
+        titleEl.setText(this.titleText);
+        contentEl.createEl('p', { text: this.message });
+
+        const buttons = contentEl.createDiv({ cls: 'recycle-bin-actions' });
+
+        const confirmBtn = buttons.createEl('button', {
+            text: this.confirmText,
+            cls: 'recycle-bin-btn danger'
+        });
+        confirmBtn.onclick = () => {
+            this.onConfirm();
+            this.close();
+        };
+
+        const cancelBtn = buttons.createEl('button', {
+            text: t('cancel'),
+            cls: 'recycle-bin-btn'
+        });
+        cancelBtn.onclick = () => this.close();
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+/**
+ * Confirms emptying the bin, offering to archive the items instead of deleting them
+ */
+class EmptyBinModal extends ConfirmModal {
+    /**
+     * @param {object} app - Obsidian app
+     * @param {string} defaultAction - 'delete' or 'archive', highlighted as the default
+     * @param {Function} onConfirm - Callback with the chosen action
+     */
+    constructor(app, defaultAction, onConfirm) {
+        super(app, t('emptyBin'), t('emptyBinConfirmMessage'), t('emptyAll'), onConfirm);
+        this.defaultAction = defaultAction;
+    }
+
+    onOpen() {
+        const { contentEl, titleEl } = this;
+
+        titleEl.setText(this.titleText);
+        contentEl.createEl('p', { text: this.message });
+
+        const buttons = contentEl.createDiv({ cls: 'recycle-bin-actions' });
+        const confirm = (action) => {
+            this.onConfirm(action);
+            this.close();
+        };
+
+        buttons.createEl('button', {
+            text: t('archiveAll'),
+            cls: 'recycle-bin-btn' + (this.defaultAction === 'archive' ? ' mod-cta' : '')
+        }).onclick = () => confirm('archive');
+        buttons.createEl('button', { text: this.confirmText, cls: 'recycle-bin-btn danger' })
+            .onclick = () => confirm('delete');
+        buttons.createEl('button', { text: t('cancel'), cls: 'recycle-bin-btn' })
+            .onclick = () => this.close();
+    }
+}
+
+// ============================================================================
+// RESTORE CONFLICT HANDLING
+// ============================================================================
+
+/**
+ * Asks what to do when a restore target already exists
+ */
+class RestoreConflictModal extends ConfirmModal {
+    /**
+     * @param {object} app - Obsidian app
+     * @param {TrashedFile} item - Item being restored
+     * @param {string} targetPath - Path that is already taken
+     * @param {boolean} allowApplyToAll - Offer to reuse the choice for later conflicts
+     * @param {Function} onChoose - Callback (choice, applyToAll)
+     */
+    constructor(app, item, targetPath, allowApplyToAll, onChoose) {
+        super(app, t('restoreConflict'), t('restoreConflictMessage', { path: targetPath }), t('restore'), null);
+        this.item = item;
+        this.targetPath = targetPath;
+        this.allowApplyToAll = allowApplyToAll;
+        this.onChoose = onChoose;
+        this.choice = 'skip';
+        this.applyToAll = false;
+    }
+
+    onOpen() {
+        const { contentEl, titleEl } = this;
+
+        titleEl.setText(this.titleText);
+        contentEl.createEl('p', { text: this.message });
+
+        const buttons = contentEl.createDiv({ cls: 'recycle-bin-actions' });
+        const choose = (choice) => {
+            this.choice = choice;
+            this.close();
+        };
+
+        const renamedName = addNameSuffix(this.item.name, 'restored');
+        buttons.createEl('button', { text: t('restoreKeepBoth', { name: renamedName }), cls: 'recycle-bin-btn mod-cta' })
+            .onclick = () => choose('rename');
+        buttons.createEl('button', { text: t('restoreOverwrite'), cls: 'recycle-bin-btn danger' })
+            .onclick = () => choose('overwrite');
+        buttons.createEl('button', { text: t('restoreCompare'), cls: 'recycle-bin-btn' })
+            .onclick = () => new CompareModal(this.app, this.item, this.targetPath).open();
+        buttons.createEl('button', { text: t('restoreSkip'), cls: 'recycle-bin-btn' })
+            .onclick = () => choose('skip');
+
+        if (this.allowApplyToAll) {
+            const label = contentEl.createEl('label', { cls: 'recycle-bin-apply-all' });
+            const checkbox = label.createEl('input', { type: 'checkbox' });
+            label.appendText(' ' + t('applyToAll'));
+            checkbox.onchange = () => { this.applyToAll = checkbox.checked; };
+        }
+    }
+
+    onClose() {
+        this.contentEl.empty();
+        this.onChoose(this.choice, this.applyToAll);
+    }
+}
+
+/**
+ * Compares a trashed file with the file currently at its original path
+ */
+class CompareModal extends obsidian.Modal {
+    /**
+     * @param {object} app - Obsidian app
+     * @param {TrashedFile} item - Trashed file
+     * @param {string} currentPath - Path of the live file
+     */
+    constructor(app, item, currentPath) {
+        super(app);
+        this.item = item;
+        this.currentPath = currentPath;
+    }
+
+    async onOpen() {
+        const { contentEl, titleEl } = this;
+        const adapter = this.app.vault.adapter;
+
+        titleEl.setText(this.item.name);
+        this.modalEl.addClass('recycle-bin-compare-modal');
+
+        try {
+            const columns = contentEl.createDiv({ cls: 'recycle-bin-compare' });
+            const sides = [[t('trashedVersion'), this.item.path], [t('currentVersion'), this.currentPath]];
+            for (const [heading, path] of sides) {
+                const stat = await adapter.stat(path);
+                columns.createDiv({
+                    cls: 'recycle-bin-item-meta',
+                    text: `${heading}: ${formatFileSize(stat?.size)} • ${formatDate(stat?.mtime)}`
+                });
+            }
+
+            // Other files only differ by size and date
+            if (!TEXT_EXTENSIONS.includes(this.item.extension)) return;
+
+            const trashedText = await adapter.read(this.item.path);
+            const currentText = await adapter.read(this.currentPath);
+            const hunks = buildHunks(diffLines(splitLines(trashedText), splitLines(currentText)));
+            const diffEl = contentEl.createDiv({ cls: 'recycle-bin-preview-content recycle-bin-diff-container' });
+            renderHunks(diffEl, hunks, `📄 ${t('currentVersion')}`);
+        } catch (e) {
+            contentEl.createEl('p', { text: `Error loading file: ${e.message}` });
+        }
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+/**
+ * Dry run of the auto-purge: lists what would be removed and why
+ */
+class PurgePreviewModal extends obsidian.Modal {
+    /**
+     * @param {object} app - Obsidian app
+     * @param {Array<object>} plan - Output of TrashManager.planPurge
+     * @param {Function} onRun - Callback with 'delete' or 'archive' to run the purge now; omit for a preview only
+     */
+    constructor(app, plan, onRun = null) {
+        super(app);
+        this.plan = plan;
+        this.onRun = onRun;
+    }
+
+    onOpen() {
+        const { contentEl, titleEl } = this;
+        titleEl.setText(t('previewPurge'));
+
+        if (this.plan.length === 0) {
+            contentEl.createEl('p', { text: t('purgeNothing') });
+            return;
+        }
+
+        const total = this.plan.reduce((sum, { item }) => sum + item.size, 0);
+        contentEl.createEl('p', { text: t('purgeSummary', { count: this.plan.length, size: formatFileSize(total) }) });
+
+        const list = contentEl.createDiv({ cls: 'recycle-bin-purge-list' });
+        for (const { item, reason, ruleIndex } of this.plan) {
+            const row = list.createDiv({ cls: 'recycle-bin-purge-row' });
+            row.createDiv({ cls: 'recycle-bin-item-name', text: item.originalPath });
+            row.createDiv({
+                cls: 'recycle-bin-item-meta',
+                text: [
+                    formatFileSize(item.size),
+                    formatDate(item.deletedAt),
+                    reason === 'rule' ? t('retentionRule', { number: ruleIndex + 1 }) : t(reason === 'sizeCap' ? 'purgeReasonSize' : 'purgeReasonDefault')
+                ].join(' • ')
+            });
+        }
+
+        if (!this.onRun) return;
+        const buttons = contentEl.createDiv({ cls: 'recycle-bin-actions' });
+        const run = (action) => {
+            this.close();
+            this.onRun(action);
+        };
+        buttons.createEl('button', { text: t('archiveNow'), cls: 'recycle-bin-btn mod-cta' })
+            .onclick = () => run('archive');
+        buttons.createEl('button', { text: t('purgeNow'), cls: 'recycle-bin-btn danger' })
+            .onclick = () => run('delete');
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+/**
+ * Create an onConflict handler for restores that asks the user via RestoreConflictModal.
+ * The handler counts skipped files in its `skipped` property.
+ * @param {object} app - Obsidian app
+ * @param {boolean} allowApplyToAll - Offer to reuse the choice (folder and bulk restores)
+ * @returns {Function} Async (item, path) => choice
+ */
+function createConflictResolver(app, allowApplyToAll) {
+    let remembered = null;
+
+    const resolver = async (item, targetPath) => {
+        let choice = remembered;
+        if (!choice) {
+            const answer = await new Promise(resolve => {
+                new RestoreConflictModal(app, item, targetPath, allowApplyToAll,
+                    (picked, applyToAll) => resolve({ picked, applyToAll })).open();
+            });
+            choice = answer.picked;
+            if (answer.applyToAll) remembered = choice;
+        }
+
+        if (choice === 'skip') resolver.skipped++;
+        return choice;
+    };
+    resolver.skipped = 0;
+
+    return resolver;
+}
+
+/**
+ * Fuzzy picker over the vault's folders that can also create a new folder
+ */
+class FolderSuggestModal extends obsidian.FuzzySuggestModal {
+    /**
+     * @param {object} app - Obsidian app
+     * @param {string[]} excluded - Folders that are not offered, nor anything inside them
+     * @param {Function} onChoose - Callback with the chosen folder path ('' for the vault root)
+     */
+    constructor(app, excluded, onChoose) {
+        super(app);
+        this.excluded = excluded;
+        this.onChoose = onChoose;
+        this.setPlaceholder(t('chooseFolder'));
+    }
+
+    getItems() {
+        return this.app.vault.getAllLoadedFiles()
+            .filter(file => file instanceof obsidian.TFolder &&
+                !this.excluded.some(folder => file.path === folder || file.path.startsWith(folder + '/')))
+            .map(folder => ({ path: folder.isRoot() ? '' : folder.path, create: false }));
+    }
+
+    getItemText(item) {
+        if (item.create) return t('createFolder', { path: item.path });
+        return item.path || '/';
+    }
+
+    getSuggestions(query) {
+        const suggestions = super.getSuggestions(query);
+        const path = query.trim().replace(/^\/+|\/+$/g, '');
+
+        // Offer to create the typed folder if it does not exist yet
+        if (path && isValidPath(path) && !this.app.vault.getAbstractFileByPath(path) &&
+            !this.excluded.some(folder => path === folder || path.startsWith(folder + '/'))) {
+            suggestions.push({ item: { path, create: true }, match: { score: 0, matches: [] } });
+        }
+        return suggestions;
+    }
+
+    async onChooseItem(item) {
+        if (item.create) {
+            try {
+                await this.app.vault.createFolder(item.path);
+            } catch (e) {
+                console.error('Failed to create folder:', e);
+            }
+        }
+        this.onChoose(item.path);
+    }
+}
+
+/**
+ * Append text to an element, wrapping occurrences of search terms in <mark>
+ * @param {HTMLElement} el
+ * @param {string} text
+ * @param {Array<object>} terms - Parsed search terms
+ */
+function appendHighlighted(el, text, terms) {
+    const words = terms.filter(term => !term.negate).map(term => term.text);
+    if (words.length === 0) {
+        el.appendText(text);
+        return;
+    }
+
+    const pattern = new RegExp(`(${words.map(escapeRegExp).join('|')})`, 'gi');
+    for (const part of text.split(pattern)) {
+        if (!part) continue;
+        if (words.includes(part.toLowerCase())) {
+            el.createEl('mark', { text: part });
+        } else {
+            el.appendText(part);
+        }
+    }
+}
+
+/**
+ * @param {string} location - Archive location from the settings
+ * @returns {boolean} True for absolute paths, which are outside the vault:
+ *   "/backups", "C:\backups" and "\\server\share"
+ */
+function isOutsideVault(location) {
+    return /^(\/|[A-Za-z]:[\\/]|\\\\)/.test(location);
+}
+
+/**
+ * Join a folder path and a name ('' is the vault root)
+ * @param {string} folderPath
+ * @param {string} name
+ * @returns {string} Joined path
+ */
+function joinPath(folderPath, name) {
+    return folderPath ? `${folderPath}/${name}` : name;
+}
+
+// ============================================================================
 // RECYCLE BIN VIEW (Sidebar)
 // ============================================================================
 
@@ -528,6 +1878,33 @@ class RecycleBinView extends obsidian.ItemView {
         this.searchQuery = '';
         this.sortBy = plugin.settings.sortBy || 'date';
         this.sortOrder = plugin.settings.sortOrder || 'desc';
+
+        // Group-by mode and the keys of collapsed group headers
+        this.groupBy = plugin.settings.groupBy || 'none';
+        this.groups = null;
+        this.collapsedGroups = new Set();
+
+        // Multi-selection, keyed by trash path
+        this.selected = new Set();
+        this.lastClickedPath = null;
+        this.visibleItems = [];
+        this.itemEls = new Map();
+
+        // Trashed folders and version histories that are expanded in the tree
+        this.expanded = new Set();
+        this.expandedForQuery = '';
+
+        // Retention of the listed items while auto-purge is on, keyed by trash path
+        this.retention = new Map();
+        this.expiringItems = [];
+        this.expiringCollapsed = false;
+
+        // Virtual list and its flattened rows; the focused row is remembered by key across refreshes
+        this.list = null;
+        this.rows = [];
+        this.focusedIndex = -1;
+        this.focusedKey = null;
+        this.updateToken = 0;
     }
 
     getViewType() {
@@ -547,7 +1924,8 @@ class RecycleBinView extends obsidian.ItemView {
     }
 
     onClose() {
-        // Cleanup
+        this.list?.destroy();
+        this.list = null;
     }
 
     /**
@@ -555,35 +1933,395 @@ class RecycleBinView extends obsidian.ItemView {
      */
     async render() {
         const container = this.containerEl.children[1];
+        this.list?.destroy();
+        this.list = null;
         container.empty();
         container.addClass('recycle-bin-container');
 
-        await this.plugin.trashManager.refresh();
-
         // Toolbar
         this.renderToolbar(container);
+        this.selectionBar = container.createDiv({ cls: 'recycle-bin-selection-bar' });
+
+        // Content, navigable with the keyboard
+        this.contentEl = container.createDiv({ cls: 'recycle-bin-content', attr: { tabindex: '0' } });
+        this.contentEl.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        this.footerEl = container.createDiv({ cls: 'recycle-bin-footer' });
+
+        await this.updateList();
+    }
+
+    /**
+     * Replace the search query, e.g. from the statistics view
+     * @param {string} query
+     */
+    async setSearch(query) {
+        this.searchQuery = query;
+        if (this.searchEl) this.searchEl.value = query;
+        await this.updateList();
+    }
+
+    /**
+     * Refresh the list, keeping the toolbar, scroll position and selection
+     */
+    async refresh() {
+        await this.updateList();
+    }
 
-        // Content
-        const content = container.createDiv({ cls: 'recycle-bin-content' });
+    /**
+     * Sort and filter the trash index and show the result
+     */
+    async updateList() {
+        const token = ++this.updateToken;
+        await this.plugin.trashManager.load();
+
+        // Forget selected items that are gone
+        const existing = new Set(this.plugin.trashManager.items.map(item => item.path));
+        for (const path of this.selected) {
+            if (!existing.has(path)) this.selected.delete(path);
+        }
 
-        const filteredItems = this.plugin.trashManager.filter(this.searchQuery);
         this.plugin.trashManager.sort(this.sortBy, this.sortOrder);
+        const filteredItems = await this.plugin.trashManager.filter(this.searchQuery, {
+            searchContent: this.plugin.settings.searchContent
+        });
+        // A newer update started while this one was filtering
+        if (token !== this.updateToken) return;
+
+        // Items that auto-purge removes soon are listed first
+        this.retention.clear();
+        const expiring = [];
+        const rest = [];
+        if (this.plugin.settings.autoPurgeEnabled) {
+            const policy = this.plugin.getRetentionPolicy();
+            const soon = Date.now() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000;
+            for (const item of filteredItems) {
+                const retention = getRetention(item, policy);
+                this.retention.set(item.path, retention);
+                (retention.expiresAt !== null && retention.expiresAt < soon ? expiring : rest).push(item);
+            }
+        } else {
+            rest.push(...filteredItems);
+        }
+        this.expiringItems = expiring;
+        this.groups = groupItems(rest, this.groupBy);
+        this.visibleItems = [...expiring, ...getGroupItems(this.groups)];
+
+        // Folders with matching children open when the search changes
+        if (this.searchQuery !== this.expandedForQuery) {
+            this.expandedForQuery = this.searchQuery;
+            const expandMatches = (folder) => {
+                if (!this.hasMatchingDescendant(folder)) return;
+                this.expanded.add(folder.path);
+                folder.children.filter(child => child.kind === 'folder').forEach(expandMatches);
+            };
+            filteredItems.filter(item => item.kind === 'folder').forEach(expandMatches);
+        }
 
         if (filteredItems.length === 0) {
-            this.renderEmptyState(content);
+            this.list?.destroy();
+            this.list = null;
+            this.rows = [];
+            this.contentEl.empty();
+            if (this.plugin.trashManager.items.length > 0) {
+                this.contentEl.createDiv({ cls: 'recycle-bin-empty', text: t('noMatches') });
+            } else {
+                this.renderEmptyState(this.contentEl);
+            }
         } else {
-            const list = content.createDiv({ cls: 'recycle-bin-list' });
-            for (const item of filteredItems) {
-                this.renderItem(list, item);
+            if (!this.list) {
+                this.contentEl.empty();
+                this.list = new VirtualList(this.contentEl, {
+                    getKey: row => row.key,
+                    renderRow: (el, row, index) => this.renderRow(el, row, index),
+                    estimateHeight: row => (row.type === 'item' && !row.nested ? 52 : 40)
+                });
             }
+            this.updateRows();
         }
+
+        this.renderFooter();
+        this.updateSelection();
     }
 
     /**
-     * Refresh the view
+     * Flatten the visible items, groups, expanded folders and version histories into list rows
      */
-    async refresh() {
-        await this.render();
+    updateRows() {
+        const rows = [];
+
+        if (this.expiringItems.length > 0) {
+            rows.push({ type: 'expiring', key: 'expiring', depth: 0 });
+            if (!this.expiringCollapsed) {
+                for (const item of this.expiringItems) this.pushItemRows(rows, item, 1, false);
+            }
+        }
+        this.pushGroupRows(rows, this.groups, 0);
+
+        this.rows = rows;
+        this.focusedIndex = rows.findIndex(row => row.key === this.focusedKey);
+        this.itemEls.clear();
+        this.list.setRows(rows);
+    }
+
+    /**
+     * Add the headers of a group's nested groups and the rows of its items
+     * @param {Array<object>} rows
+     * @param {object} group - Group from grouping.groupItems
+     * @param {number} depth - Indentation level
+     */
+    pushGroupRows(rows, group, depth) {
+        for (const child of group.groups) {
+            rows.push({ type: 'group', key: 'group:' + child.key, group: child, depth });
+            if (!this.collapsedGroups.has(child.key)) this.pushGroupRows(rows, child, depth + 1);
+        }
+        for (const item of group.items) this.pushItemRows(rows, item, depth, false);
+    }
+
+    /**
+     * Add the row of an item, followed by its children when it is expanded
+     * @param {Array<object>} rows
+     * @param {TrashedFile|TrashedFolder} item
+     * @param {number} depth - Indentation level
+     * @param {boolean} nested - True for children of a trashed folder
+     */
+    pushItemRows(rows, item, depth, nested) {
+        rows.push({ type: 'item', key: item.path, item, depth, nested });
+        if (!this.expanded.has(item.path)) return;
+
+        if (item.kind === 'folder') {
+            const children = [...item.children].sort((a, b) =>
+                (a.kind === b.kind ? 0 : a.kind === 'folder' ? -1 : 1) || a.name.localeCompare(b.name)
+            );
+            for (const child of children) this.pushItemRows(rows, child, depth + 1, true);
+        } else if (item.versions?.length > 1) {
+            item.versions.forEach((version, index) => {
+                rows.push({ type: 'version', key: `version:${version.path}`, item: version, newest: item, index, depth: depth + 1 });
+            });
+        }
+    }
+
+    /**
+     * Fill a list row
+     * @param {HTMLElement} el - Row element
+     * @param {object} row - Row from updateRows
+     * @param {number} index - Row index
+     */
+    renderRow(el, row, index) {
+        el.style.paddingLeft = `${row.depth * 16}px`;
+        el.style.setProperty('--indent', `${row.depth * 16}px`);
+        el.toggleClass('is-nested', row.depth > 0);
+        el.toggleClass('is-focused', index === this.focusedIndex);
+        el.addEventListener('click', () => this.setFocus(index));
+
+        if (row.type === 'expiring') {
+            this.renderExpiringHeader(el);
+        } else if (row.type === 'group') {
+            this.renderGroupHeader(el, row.group);
+        } else if (row.type === 'version') {
+            this.renderVersion(el, row.item, row.newest, row.index);
+        } else {
+            this.renderItem(el, row.item, row.nested);
+        }
+    }
+
+    /**
+     * Render the header of the collapsible "Expiring soon" group
+     * @param {HTMLElement} container
+     */
+    renderExpiringHeader(container) {
+        const header = container.createDiv({ cls: 'recycle-bin-item recycle-bin-folder-header recycle-bin-expiring' });
+        header.toggleClass('is-collapsed', this.expiringCollapsed);
+        header.createDiv({ cls: 'recycle-bin-folder-icon', text: '▾' });
+        header.createDiv({ cls: 'recycle-bin-item-icon', text: '⏳' });
+        header.createDiv({ cls: 'recycle-bin-item-name', text: t('expiringSoon') });
+        header.createSpan({ cls: 'recycle-bin-item-badge', text: String(this.expiringItems.length) });
+        header.onclick = () => this.toggleExpiring();
+    }
+
+    /**
+     * Expand or collapse the "Expiring soon" group
+     */
+    toggleExpiring() {
+        this.expiringCollapsed = !this.expiringCollapsed;
+        this.updateRows();
+    }
+
+    /**
+     * Render the header of a collapsible group, with its totals and group actions
+     * @param {HTMLElement} container
+     * @param {object} group - Group from grouping.groupItems
+     */
+    renderGroupHeader(container, group) {
+        const header = container.createDiv({ cls: 'recycle-bin-item recycle-bin-folder-header recycle-bin-group' });
+        header.toggleClass('is-collapsed', this.collapsedGroups.has(group.key));
+        header.createDiv({ cls: 'recycle-bin-folder-icon', text: '▾' });
+
+        let icon = '📅';
+        let label = t(group.id);
+        if (this.groupBy === 'folder') {
+            icon = '📂';
+            label = group.id;
+        } else if (this.groupBy === 'type') {
+            icon = group.id === 'folder' ? '📁' : this.getFileIcon(FILE_TYPES[group.id]?.[0]);
+            label = t('category_' + group.id);
+        }
+        header.createDiv({ cls: 'recycle-bin-item-icon', text: icon });
+
+        const content = header.createDiv({ cls: 'recycle-bin-item-content' });
+        content.createDiv({ cls: 'recycle-bin-item-name', text: label });
+        const meta = content.createDiv({ cls: 'recycle-bin-item-meta' });
+        meta.createSpan({ cls: 'recycle-bin-item-badge', text: String(group.count) });
+        meta.createSpan({ text: formatFileSize(group.size) });
+
+        const actions = header.createDiv({ cls: 'recycle-bin-item-actions' });
+        const restoreBtn = actions.createEl('button', { text: '↩', cls: 'recycle-bin-item-btn restore', attr: { title: t('restoreAll') } });
+        restoreBtn.onclick = async (e) => {
+            e.stopPropagation();
+            await this.restoreItems(getGroupItems(group));
+        };
+        const deleteBtn = actions.createEl('button', { text: '✕', cls: 'recycle-bin-item-btn delete', attr: { title: t('deleteAll') } });
+        deleteBtn.onclick = async (e) => {
+            e.stopPropagation();
+            await this.deleteItems(getGroupItems(group));
+        };
+
+        header.onclick = () => this.toggleGroup(group);
+    }
+
+    /**
+     * Expand or collapse a group
+     * @param {object} group
+     */
+    toggleGroup(group) {
+        if (this.collapsedGroups.has(group.key)) {
+            this.collapsedGroups.delete(group.key);
+        } else {
+            this.collapsedGroups.add(group.key);
+        }
+        this.updateRows();
+    }
+
+    /**
+     * Move the keyboard focus to a row
+     * @param {number} index
+     */
+    setFocus(index) {
+        if (index < 0 || index >= this.rows.length) return;
+
+        this.focusedIndex = index;
+        this.focusedKey = this.rows[index].key;
+        this.list.scrollToIndex(index);
+        this.list.forEachRendered((el, i) => el.toggleClass('is-focused', i === index));
+    }
+
+    /**
+     * Keyboard navigation: arrows move, Enter opens, Space selects, R restores, Delete or Backspace deletes
+     * @param {KeyboardEvent} e
+     */
+    onKeyDown(e) {
+        if (!this.list || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const row = this.rows[this.focusedIndex];
+        const item = row?.item;
+        const expandable = row && (row.type === 'expiring' || row.type === 'group' ||
+            (row.type === 'item' && (item.kind === 'folder' || item.versions?.length > 1)));
+        let isExpanded = this.expanded.has(row?.key);
+        if (row?.type === 'expiring') isExpanded = !this.expiringCollapsed;
+        if (row?.type === 'group') isExpanded = !this.collapsedGroups.has(row.group.key);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                this.setFocus(Math.min(this.rows.length - 1, this.focusedIndex + 1));
+                break;
+            case 'ArrowUp':
+                this.setFocus(Math.max(0, this.focusedIndex - 1));
+                break;
+            case 'ArrowRight':
+            case 'ArrowLeft':
+                if (!expandable || isExpanded === (e.key === 'ArrowRight')) return;
+                if (row.type === 'expiring') {
+                    this.toggleExpiring();
+                } else if (row.type === 'group') {
+                    this.toggleGroup(row.group);
+                } else {
+                    this.toggleFolder(item);
+                }
+                break;
+            case 'Enter':
+                if (!row) return;
+                if (row.type === 'expiring') {
+                    this.toggleExpiring();
+                } else if (row.type === 'group') {
+                    this.toggleGroup(row.group);
+                } else if (item.kind === 'folder') {
+                    this.toggleFolder(item);
+                } else {
+                    this.openFilePreview(item);
+                }
+                break;
+            case ' ':
+                if (row?.type !== 'item' || row.nested) return;
+                this.handleSelectClick(item, e);
+                break;
+            case 'r':
+            case 'R':
+                if (this.selected.size > 0) {
+                    this.restoreSelected();
+                } else if (row?.type === 'group') {
+                    this.restoreItems(getGroupItems(row.group));
+                } else if (item) {
+                    this.restoreItem(item);
+                }
+                break;
+            case 'Delete':
+            case 'Backspace':
+                if (this.selected.size > 0) {
+                    this.deleteSelected();
+                } else if (row?.type === 'group') {
+                    this.deleteItems(getGroupItems(row.group));
+                } else if (item) {
+                    this.deleteItem(item, row.type !== 'version');
+                }
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Show when auto-purge removes an item, or that it is kept forever
+     * @param {HTMLElement} container
+     * @param {TrashedFile|TrashedFolder} item
+     */
+    renderRetentionBadge(container, item) {
+        if (item.pinned) {
+            container.createDiv({ cls: 'recycle-bin-item-badge is-pinned', text: `📌 ${t('keptForever')}` });
+            return;
+        }
+
+        const expiresAt = this.retention.get(item.path)?.expiresAt;
+        if (expiresAt === null || expiresAt === undefined) return;
+
+        const days = Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+        const badge = container.createDiv({
+            cls: 'recycle-bin-item-badge recycle-bin-expiry',
+            text: `⏳ ${days <= 0 ? t('expiresNextPurge') : t('expiresInDays', { count: days })}`
+        });
+        badge.toggleClass('is-soon', days <= EXPIRING_SOON_DAYS);
+        badge.setAttr('title', new Date(expiresAt).toLocaleString());
+    }
+
+    /**
+     * Show the next scheduled purge in the footer
+     */
+    renderFooter() {
+        const next = this.plugin.getNextPurgeTime();
+        this.footerEl.toggle(next !== null);
+        if (next === null) return;
+
+        this.footerEl.setText(t('nextPurge', { time: new Date(Math.max(next, Date.now())).toLocaleString() }));
     }
 
     /**
@@ -600,9 +2338,10 @@ class RecycleBinView extends obsidian.ItemView {
             placeholder: t('searchPlaceholder')
         });
         search.value = this.searchQuery;
+        this.searchEl = search;
         search.oninput = debounce((e) => {
             this.searchQuery = e.target.value;
-            this.render();
+            this.updateList();
         }, 200);
 
         // Sort dropdown
@@ -625,105 +2364,509 @@ class RecycleBinView extends obsidian.ItemView {
             const [sortBy, sortOrder] = e.target.value.split('-');
             this.sortBy = sortBy;
             this.sortOrder = sortOrder;
-            this.render();
+            this.updateList();
+        };
+
+        // Group-by dropdown
+        const groupBy = toolbar.createEl('select', { cls: 'recycle-bin-sort recycle-bin-group-by' });
+        const groupOptions = [
+            { value: 'none', text: t('groupNone') },
+            { value: 'folder', text: t('groupByFolder') },
+            { value: 'type', text: t('groupByType') },
+            { value: 'date', text: t('groupByDate') }
+        ];
+        for (const opt of groupOptions) {
+            groupBy.createEl('option', { value: opt.value, text: opt.text });
+        }
+        groupBy.value = this.groupBy;
+        groupBy.onchange = async (e) => {
+            this.groupBy = e.target.value;
+            this.plugin.settings.groupBy = this.groupBy;
+            await this.plugin.saveSettings();
+            await this.updateList();
+        };
+
+        // Buttons
+        const buttons = toolbar.createDiv({ cls: 'recycle-bin-toolbar-buttons' });
+
+        const refreshBtn = buttons.createEl('button', { text: '🔄', cls: 'recycle-bin-toolbar-btn', attr: { title: t('refresh') } });
+        refreshBtn.onclick = async () => {
+            await this.plugin.trashManager.refresh();
+            await this.plugin.refreshViews();
+        };
+
+        const statsBtn = buttons.createEl('button', { text: '📊', cls: 'recycle-bin-toolbar-btn', attr: { title: t('trashStatistics') } });
+        statsBtn.onclick = () => this.plugin.openStats();
+
+        const exportBtn = buttons.createEl('button', { text: '📦', cls: 'recycle-bin-toolbar-btn', attr: { title: t('exportBinToZip') } });
+        exportBtn.onclick = () => this.plugin.exportToZip(this.plugin.trashManager.items);
+
+        const importBtn = buttons.createEl('button', { text: '📥', cls: 'recycle-bin-toolbar-btn', attr: { title: t('importFromZip') } });
+        importBtn.onclick = () => this.plugin.importFromZip();
+
+        const emptyBtn = buttons.createEl('button', { text: '🗑️', cls: 'recycle-bin-toolbar-btn danger', attr: { title: t('emptyAll') } });
+        emptyBtn.onclick = () => this.emptyAll();
+    }
+
+    /**
+     * Render empty state
+     * @param {HTMLElement} container
+     */
+    renderEmptyState(container) {
+        const empty = container.createDiv({ cls: 'recycle-bin-empty' });
+        empty.createDiv({ cls: 'recycle-bin-empty-icon', text: '🗑️' });
+
+        // Check if using Obsidian's .trash folder, or the plugin keeps copies itself
+        const trashOption = this.app.vault.config.trashOption || 'system';
+
+        if (trashOption !== 'local' && !this.plugin.settings.captureMode && this.plugin.settings.binFolders.length === 0) {
+            // Show warning that plugin won't work with current setting
+            empty.createEl('p', { text: t('binNotConfigured') });
+            const warning = empty.createEl('small');
+            warning.style.color = 'var(--text-warning)';
+            warning.innerHTML = t('usingSystemTrash') + '<br>' + t('goToSettings');
+        } else {
+            empty.createEl('p', { text: t('binEmpty') });
+            empty.createEl('small', { text: t('deletedFilesAppear') });
+        }
+    }
+
+    /**
+     * Get file icon
+     * @param {string} ext - File extension
+     * @returns {string} Emoji icon
+     */
+    getFileIcon(ext) {
+        return FILE_ICONS[ext] || FILE_ICONS.default;
+    }
+
+    /**
+     * Render a single item. Folders render as expandable tree nodes,
+     * files deleted several times as an expandable version history.
+     * @param {HTMLElement} container
+     * @param {TrashedFile|TrashedFolder} item
+     * @param {boolean} nested - True for children of a trashed folder (not selectable)
+     */
+    renderItem(container, item, nested = false) {
+        const hasVersions = item.kind === 'file' && item.versions?.length > 1;
+        const expandable = item.kind === 'folder' || hasVersions;
+        const itemEl = container.createDiv({ cls: 'recycle-bin-item' });
+        if (expandable) {
+            itemEl.addClass('recycle-bin-folder-header');
+            itemEl.toggleClass('recycle-bin-version-group', hasVersions);
+            itemEl.toggleClass('is-collapsed', !this.expanded.has(item.path));
+        }
+        itemEl.setAttr('title', `${t('originalLocation')}: ${item.originalPath}`);
+
+        // Selection checkbox (top-level items only)
+        if (!nested) {
+            this.itemEls.set(item.path, itemEl);
+            const checkbox = itemEl.createEl('input', { type: 'checkbox', cls: 'recycle-bin-item-checkbox' });
+            checkbox.checked = this.selected.has(item.path);
+            itemEl.toggleClass('selected', checkbox.checked);
+            checkbox.onclick = (e) => {
+                e.stopPropagation();
+                this.handleSelectClick(item, e);
+            };
+        }
+
+        // Expand arrow for folders and version histories
+        if (expandable) {
+            const arrow = itemEl.createDiv({ cls: 'recycle-bin-folder-icon', text: '▾' });
+            arrow.onclick = (e) => {
+                e.stopPropagation();
+                this.toggleFolder(item);
+            };
+        }
+
+        // Icon
+        const icon = itemEl.createDiv({ cls: 'recycle-bin-item-icon' });
+        icon.textContent = item.kind === 'folder' ? '📁' : this.getFileIcon(item.extension);
+
+        // Content, with search matches highlighted
+        const { query, matches } = this.plugin.trashManager;
+        const match = matches.get(item.path);
+        itemEl.toggleClass('is-match', !!match && nested);
+
+        const content = itemEl.createDiv({ cls: 'recycle-bin-item-content' });
+        appendHighlighted(content.createDiv({ cls: 'recycle-bin-item-name' }), item.name, query.terms);
+        if (query.terms.length > 0 && item.originalPath !== item.name && !nested) {
+            appendHighlighted(content.createDiv({ cls: 'recycle-bin-item-path' }), item.originalPath, query.terms);
+        }
+        if (match?.snippet) {
+            appendHighlighted(content.createDiv({ cls: 'recycle-bin-item-snippet' }), match.snippet, query.terms);
+        }
+
+        // Metadata
+        if (this.plugin.settings.showMetadata) {
+            const meta = content.createDiv({ cls: 'recycle-bin-item-meta' });
+            meta.createSpan({ text: formatFileSize(item.size) });
+            if (item.kind === 'folder') {
+                meta.createSpan({ text: '•' });
+                meta.createSpan({ text: `${item.fileCount} ${t('items')}` });
+            }
+            if (hasVersions) {
+                meta.createSpan({ text: '•' });
+                meta.createSpan({ cls: 'recycle-bin-item-badge', text: t('versionCount', { count: item.versions.length }) });
+            }
+            meta.createSpan({ text: '•' });
+            meta.createSpan({ text: formatDate(item.deletedAt) });
+        }
+        if (!nested) {
+            if (this.plugin.trashManager.folders.length > 1) {
+                content.createDiv({
+                    cls: 'recycle-bin-item-badge is-source',
+                    text: this.plugin.getSourceLabel(item.source),
+                    attr: { title: `${t('binSource')}: ${item.source}` }
+                });
+            }
+            this.renderRetentionBadge(content, item);
+            if (this.app.vault.getAbstractFileByPath(item.originalPath)) {
+                content.createDiv({
+                    cls: 'recycle-bin-item-badge is-taken',
+                    text: `⚠ ${t('originalTaken')}`,
+                    attr: { title: t('originalTakenDesc') }
+                });
+            }
+        }
+
+        // Actions
+        const actions = itemEl.createDiv({ cls: 'recycle-bin-item-actions' });
+
+        // Keep forever
+        if (!nested) {
+            const pinBtn = actions.createEl('button', {
+                text: '📌',
+                cls: 'recycle-bin-item-btn recycle-bin-pin',
+                attr: { title: item.pinned ? t('allowPurge') : t('keepForever') }
+            });
+            pinBtn.toggleClass('is-pinned', item.pinned);
+            pinBtn.onclick = async (e) => {
+                e.stopPropagation();
+                item.pinned = !item.pinned;
+                this.plugin.pins.set(item.path, item.pinned);
+                await this.plugin.refreshViews();
+            };
+        }
+
+        // Restore button; on a version history only the newest version comes back
+        const restoreBtn = actions.createEl('button', {
+            text: '↩',
+            cls: 'recycle-bin-item-btn restore',
+            attr: { title: hasVersions ? t('restoreNewestVersion') : t('restore') }
+        });
+        restoreBtn.onclick = async (e) => {
+            e.stopPropagation();
+            await this.restoreItem(item);
+        };
+
+        // Restore to another folder
+        const restoreToBtn = actions.createEl('button', { text: '⤴', cls: 'recycle-bin-item-btn', attr: { title: t('restoreTo') } });
+        restoreToBtn.onclick = (e) => {
+            e.stopPropagation();
+            new FolderSuggestModal(this.app, this.plugin.getReservedFolders(), (folderPath) => {
+                this.restoreItem(item, joinPath(folderPath, item.originalPath.split('/').pop()));
+            }).open();
+        };
+
+        // Delete button (optional); on a version history every version goes
+        if (this.plugin.settings.showDeleteButton) {
+            const deleteBtn = actions.createEl('button', {
+                text: '✕',
+                cls: 'recycle-bin-item-btn delete',
+                attr: { title: hasVersions ? t('deleteAllVersions', { count: item.versions.length }) : t('deletePermanently') }
+            });
+            deleteBtn.onclick = async (e) => {
+                e.stopPropagation();
+                await this.deleteItem(item);
+            };
+        }
+
+        // Shift/Ctrl-click selects, plain click previews files and expands folders
+        itemEl.onclick = (e) => {
+            if (!nested && (e.shiftKey || e.ctrlKey || e.metaKey || this.selected.size > 0)) {
+                this.handleSelectClick(item, e);
+            } else if (item.kind === 'folder') {
+                this.toggleFolder(item);
+            } else {
+                this.openFilePreview(item);
+            }
+        };
+    }
+
+    /**
+     * Render one entry of the version history of a file that was deleted several times
+     * @param {HTMLElement} container
+     * @param {TrashedFile} version
+     * @param {TrashedFile} newest - Newest copy, holding all versions
+     * @param {number} index - Position in the history, 0 for the newest
+     */
+    renderVersion(container, version, newest, index) {
+        const row = container.createDiv({ cls: 'recycle-bin-item recycle-bin-version' });
+        row.setAttr('title', version.path);
+        row.createDiv({ cls: 'recycle-bin-item-icon', text: index === 0 ? '★' : '🕘' });
+
+        const content = row.createDiv({ cls: 'recycle-bin-item-content' });
+        content.createDiv({
+            cls: 'recycle-bin-item-name',
+            text: t('versionDeleted', { date: new Date(version.deletedAt).toLocaleString() })
+        });
+        const meta = content.createDiv({ cls: 'recycle-bin-item-meta' });
+        meta.createSpan({ text: formatFileSize(version.size) });
+        if (version.device) {
+            meta.createSpan({ text: '•' });
+            meta.createSpan({ text: version.device });
+        }
+
+        const actions = row.createDiv({ cls: 'recycle-bin-item-actions' });
+
+        // Diff older versions against the newest one
+        if (index > 0 && TEXT_EXTENSIONS.includes(version.extension)) {
+            const diffBtn = actions.createEl('button', { text: '⇆', cls: 'recycle-bin-item-btn', attr: { title: t('compareWithNewest') } });
+            diffBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.openFilePreview(version, { compareWith: newest });
+            };
+        }
+
+        const restoreBtn = actions.createEl('button', { text: '↩', cls: 'recycle-bin-item-btn restore', attr: { title: t('restoreVersion') } });
+        restoreBtn.onclick = async (e) => {
+            e.stopPropagation();
+            await this.restoreItem(version);
         };
 
-        // Buttons
-        const buttons = toolbar.createDiv({ cls: 'recycle-bin-toolbar-buttons' });
-
-        const refreshBtn = buttons.createEl('button', { text: '🔄', cls: 'recycle-bin-toolbar-btn', attr: { title: t('refresh') } });
-        refreshBtn.onclick = () => this.refresh();
+        if (this.plugin.settings.showDeleteButton) {
+            const deleteBtn = actions.createEl('button', { text: '✕', cls: 'recycle-bin-item-btn delete', attr: { title: t('deletePermanently') } });
+            deleteBtn.onclick = async (e) => {
+                e.stopPropagation();
+                await this.deleteItem(version, false);
+            };
+        }
 
-        const emptyBtn = buttons.createEl('button', { text: '🗑️', cls: 'recycle-bin-toolbar-btn danger', attr: { title: t('emptyAll') } });
-        emptyBtn.onclick = () => this.emptyAll();
+        row.onclick = () => this.openFilePreview(version);
     }
 
     /**
-     * Render empty state
-     * @param {HTMLElement} container
+     * @param {TrashedFolder} folder
+     * @returns {boolean} True if the current search matched something inside the folder
      */
-    renderEmptyState(container) {
-        const empty = container.createDiv({ cls: 'recycle-bin-empty' });
-        empty.createDiv({ cls: 'recycle-bin-empty-icon', text: '🗑️' });
-
-        // Check if using Obsidian's .trash folder
-        const trashOption = this.app.vault.config.trashOption || 'system';
+    hasMatchingDescendant(folder) {
+        const prefix = folder.path + '/';
+        for (const path of this.plugin.trashManager.matches.keys()) {
+            if (path.startsWith(prefix)) return true;
+        }
+        return false;
+    }
 
-        if (trashOption !== 'local') {
-            // Show warning that plugin won't work with current setting
-            empty.createEl('p', { text: t('binNotConfigured') });
-            const warning = empty.createEl('small');
-            warning.style.color = 'var(--text-warning)';
-            warning.innerHTML = t('usingSystemTrash') + '<br>' + t('goToSettings');
+    /**
+     * Expand or collapse a trashed folder or version history
+     * @param {TrashedFolder|TrashedFile} folder
+     */
+    toggleFolder(folder) {
+        if (this.expanded.has(folder.path)) {
+            this.expanded.delete(folder.path);
         } else {
-            empty.createEl('p', { text: t('binEmpty') });
-            empty.createEl('small', { text: t('deletedFilesAppear') });
+            this.expanded.add(folder.path);
         }
+        this.updateRows();
     }
 
     /**
-     * Get file icon
-     * @param {string} ext - File extension
-     * @returns {string} Emoji icon
+     * Update the selection from a click on an item.
+     * Shift extends a range from the last clicked item, anything else toggles.
+     * @param {TrashedFile|TrashedFolder} item
+     * @param {MouseEvent} e
      */
-    getFileIcon(ext) {
-        return FILE_ICONS[ext] || FILE_ICONS.default;
+    handleSelectClick(item, e) {
+        const paths = this.visibleItems.map(i => i.path);
+        const from = paths.indexOf(this.lastClickedPath);
+
+        if (e.shiftKey && from !== -1) {
+            const to = paths.indexOf(item.path);
+            const [start, end] = from < to ? [from, to] : [to, from];
+            for (const path of paths.slice(start, end + 1)) {
+                this.selected.add(path);
+            }
+        } else if (this.selected.has(item.path)) {
+            this.selected.delete(item.path);
+        } else {
+            this.selected.add(item.path);
+        }
+
+        this.lastClickedPath = item.path;
+        this.updateSelection();
     }
 
     /**
-     * Render a single item
-     * @param {HTMLElement} container
-     * @param {TrashedFile|TrashedFolder} item
+     * Sync item highlighting and the selection toolbar with the current selection
      */
-    renderItem(container, item) {
-        const itemEl = container.createDiv({ cls: 'recycle-bin-item' });
+    updateSelection() {
+        for (const [path, el] of this.itemEls) {
+            // Rows scrolled out of view are gone from the DOM
+            if (!el.isConnected) {
+                this.itemEls.delete(path);
+                continue;
+            }
+            const isSelected = this.selected.has(path);
+            el.toggleClass('selected', isSelected);
+            const checkbox = el.querySelector('.recycle-bin-item-checkbox');
+            if (checkbox) checkbox.checked = isSelected;
+        }
 
-        // Icon
-        const icon = itemEl.createDiv({ cls: 'recycle-bin-item-icon' });
-        icon.textContent = item.kind === 'folder' ? '📁' : this.getFileIcon(item.extension);
+        if (this.selectionBar) this.renderSelectionBar(this.selectionBar);
+    }
 
-        // Content
-        const content = itemEl.createDiv({ cls: 'recycle-bin-item-content' });
-        content.createDiv({ cls: 'recycle-bin-item-name', text: item.name });
+    /**
+     * Render the selection toolbar
+     * @param {HTMLElement} bar
+     */
+    renderSelectionBar(bar) {
+        bar.empty();
 
-        // Metadata
-        if (this.plugin.settings.showMetadata) {
-            const meta = content.createDiv({ cls: 'recycle-bin-item-meta' });
-            meta.createSpan({ text: formatFileSize(item.size) });
-            meta.createSpan({ text: '•' });
-            meta.createSpan({ text: formatDate(item.mtime) });
-        }
+        const count = this.selected.size;
+        bar.createSpan({ cls: 'recycle-bin-selection-count', text: t('selectedCount', { count }) });
 
-        // Actions
-        const actions = itemEl.createDiv({ cls: 'recycle-bin-item-actions' });
+        const buttons = bar.createDiv({ cls: 'recycle-bin-actions' });
 
-        // Restore button
-        const restoreBtn = actions.createEl('button', { text: '↩', cls: 'recycle-bin-item-btn restore', attr: { title: t('restore') } });
-        restoreBtn.onclick = async (e) => {
-            e.stopPropagation();
-            await this.restoreItem(item);
-        };
+        buttons.createEl('button', { text: t('selectAllMatching'), cls: 'recycle-bin-btn' })
+            .onclick = () => {
+                for (const item of this.visibleItems) this.selected.add(item.path);
+                this.updateSelection();
+            };
 
-        // Delete button (optional)
-        if (this.plugin.settings.showDeleteButton) {
-            const deleteBtn = actions.createEl('button', { text: '✕', cls: 'recycle-bin-item-btn delete', attr: { title: t('deletePermanently') } });
-            deleteBtn.onclick = async (e) => {
-                e.stopPropagation();
-                await this.deleteItem(item);
+        buttons.createEl('button', { text: t('invertSelection'), cls: 'recycle-bin-btn' })
+            .onclick = () => {
+                for (const item of this.visibleItems) {
+                    if (this.selected.has(item.path)) {
+                        this.selected.delete(item.path);
+                    } else {
+                        this.selected.add(item.path);
+                    }
+                }
+                this.updateSelection();
             };
+
+        if (count === 0) return;
+
+        buttons.createEl('button', { text: '↩ ' + t('restoreSelected'), cls: 'recycle-bin-btn mod-cta' })
+            .onclick = () => this.restoreSelected();
+
+        buttons.createEl('button', { text: '📦 ' + t('exportSelected'), cls: 'recycle-bin-btn' })
+            .onclick = () => this.plugin.exportToZip(this.getSelectedItems());
+
+        buttons.createEl('button', { text: '✕ ' + t('deleteSelected'), cls: 'recycle-bin-btn danger' })
+            .onclick = () => this.deleteSelected();
+    }
+
+    /**
+     * Get the selected items in list order
+     * @returns {Array<TrashedFile|TrashedFolder>}
+     */
+    getSelectedItems() {
+        return this.plugin.trashManager.items.filter(item => this.selected.has(item.path));
+    }
+
+    /**
+     * Run an action over several items, reporting progress in a notice
+     * @param {Array} items - Items to process
+     * @param {string} progressKey - Translation key taking {done} and {total}
+     * @param {Function} action - Async (item) => boolean | 'skipped'
+     * @returns {Promise<object>} Counts: { succeeded, skipped, failed }
+     */
+    async runBulk(items, progressKey, action) {
+        const result = { succeeded: 0, skipped: 0, failed: 0 };
+        const progress = new obsidian.Notice(t(progressKey, { done: 0, total: items.length }), 0);
+
+        for (const [index, item] of items.entries()) {
+            const outcome = await action(item);
+            if (outcome === 'skipped') {
+                result.skipped++;
+            } else if (outcome) {
+                result.succeeded++;
+            } else {
+                result.failed++;
+            }
+            progress.setMessage(t(progressKey, { done: index + 1, total: items.length }));
         }
 
-        // Click to preview (files only)
-        if (item.kind === 'file') {
-            itemEl.onclick = () => this.openFilePreview(item);
+        progress.hide();
+        return result;
+    }
+
+    /**
+     * Restore all selected items
+     */
+    async restoreSelected() {
+        await this.restoreItems(this.getSelectedItems());
+        this.selected.clear();
+        this.updateSelection();
+    }
+
+    /**
+     * Restore several items, e.g. the selection or a group
+     * @param {Array<TrashedFile|TrashedFolder>} items
+     */
+    async restoreItems(items) {
+        const onConflict = createConflictResolver(this.app, true);
+        const op = this.plugin.undo.createOperation('restore');
+        const restored = [];
+
+        const result = await this.runBulk(items, 'restoringProgress', async (item) => {
+            const skippedBefore = onConflict.skipped;
+            if (await item.restore({ onConflict, fileManager: this.app.fileManager })) {
+                this.plugin.undo.recordRestore(op, item);
+                restored.push(item);
+                return true;
+            }
+            return onConflict.skipped > skippedBefore ? 'skipped' : false;
+        });
+
+        this.plugin.finishOperation(op, t('bulkRestoreSummary', result), result.failed > 0 ? 8000 : 4000);
+        this.plugin.offerLinkUpdate(restored);
+        await this.plugin.refreshViews(items.map(item => item.path));
+    }
+
+    /**
+     * Permanently delete all selected items
+     */
+    async deleteSelected() {
+        await this.deleteItems(this.getSelectedItems(), 'deleteSelectedConfirmMessage', () => this.selected.clear());
+    }
+
+    /**
+     * Permanently delete several items, e.g. the selection or a group
+     * @param {Array<TrashedFile|TrashedFolder>} items
+     * @param {string} confirmKey - Translation key of the confirmation message, taking {count}
+     * @param {Function} onDone - Called after the items were deleted, before the views refresh
+     */
+    async deleteItems(items, confirmKey = 'deleteItemsConfirmMessage', onDone = () => {}) {
+        const run = async () => {
+            const op = this.plugin.undo.createOperation('delete');
+            const result = await this.runBulk(items, 'deletingProgress', item => this.plugin.removeVersions(op, item));
+            this.plugin.finishOperation(op, t('bulkDeleteSummary', result), result.failed > 0 ? 8000 : 4000);
+            onDone();
+            await this.plugin.refreshViews();
+        };
+
+        if (this.plugin.settings.showConfirmations) {
+            new ConfirmModal(
+                this.app,
+                t('deletePermanently'),
+                t(confirmKey, { count: items.length }),
+                t('delete'),
+                run
+            ).open();
+        } else {
+            await run();
         }
     }
 
     /**
      * Open file preview in main tab
      * @param {TrashedFile} file
+     * @param {object} options - See FilePreviewView.setFile
      */
-    async openFilePreview(file) {
+    async openFilePreview(file, options = {}) {
         const leaf = this.app.workspace.getLeaf('tab');
         await leaf.setViewState({
             type: PREVIEW_VIEW_TYPE,
@@ -732,44 +2875,49 @@ class RecycleBinView extends obsidian.ItemView {
 
         const view = leaf.view;
         if (view instanceof FilePreviewView) {
-            await view.setFile(file);
+            await view.setFile(file, options);
         }
     }
 
     /**
      * Restore an item
      * @param {TrashedFile|TrashedFolder} item
+     * @param {string} targetPath - Optional destination instead of the original path
      */
-    async restoreItem(item) {
-        if (await item.restore()) {
-            new obsidian.Notice(t('restored', { name: item.name }));
-            await this.refresh();
+    async restoreItem(item, targetPath = null) {
+        const onConflict = createConflictResolver(this.app, item.kind === 'folder');
+        if (await item.restore({ onConflict, targetPath, fileManager: this.app.fileManager })) {
+            const op = this.plugin.undo.createOperation('restore');
+            this.plugin.undo.recordRestore(op, item);
+            this.plugin.finishOperation(op, t('restored', { name: item.name }));
+            this.plugin.offerLinkUpdate([item]);
+        } else if (onConflict.skipped > 0) {
+            new obsidian.Notice(t('restoreSkipped', { name: item.name }));
         } else {
-            new obsidian.Notice(t('cannotRestore'), 5000);
+            new obsidian.Notice(t('cannotRestore', { name: item.name }), 5000);
         }
+        await this.plugin.refreshViews([item.path]);
     }
 
     /**
      * Delete an item permanently
      * @param {TrashedFile|TrashedFolder} item
+     * @param {boolean} allVersions - Also delete older versions of the same file
      */
-    async deleteItem(item) {
+    async deleteItem(item, allVersions = true) {
         if (this.plugin.settings.showConfirmations) {
+            const versionCount = allVersions ? item.versions?.length || 1 : 1;
             new ConfirmModal(
                 this.app,
                 t('deletePermanently'),
-                t('deleteConfirmMessage', { name: item.name }),
+                versionCount > 1
+                    ? t('deleteVersionsConfirmMessage', { name: item.name, count: versionCount })
+                    : t('deleteConfirmMessage', { name: item.name }),
                 t('delete'),
-                async () => {
-                    await item.delete();
-                    new obsidian.Notice(t('deleted', { name: item.name }));
-                    await this.refresh();
-                }
+                () => this.plugin.deleteItem(item, allVersions)
             ).open();
         } else {
-            await item.delete();
-            new obsidian.Notice(t('deleted', { name: item.name }));
-            await this.refresh();
+            await this.plugin.deleteItem(item, allVersions);
         }
     }
 
@@ -783,21 +2931,9 @@ class RecycleBinView extends obsidian.ItemView {
         }
 
         if (this.plugin.settings.showConfirmations) {
-            new ConfirmModal(
-                this.app,
-                t('emptyBin'),
-                t('emptyBinConfirmMessage'),
-                t('emptyAll'),
-                async () => {
-                    await this.plugin.trashManager.empty();
-                    new obsidian.Notice(t('binEmptied'));
-                    await this.refresh();
-                }
-            ).open();
+            new EmptyBinModal(this.app, this.plugin.settings.purgeAction, (action) => this.plugin.emptyBin(action)).open();
         } else {
-            await this.plugin.trashManager.empty();
-            new obsidian.Notice(t('binEmptied'));
-            await this.refresh();
+            await this.plugin.emptyBin();
         }
     }
 }
@@ -845,6 +2981,11 @@ class RecycleBinSettingTab extends obsidian.PluginSettingTab {
                 <strong style="color: var(--text-success);">${t('usingObsidianTrash')}</strong><br>
                 <span style="color: var(--text-muted);">${t('deletedFilesWillAppear')}</span>
             `;
+        } else if (this.plugin.settings.captureMode) {
+            trashExplanation.innerHTML = `
+                <strong style="color: var(--text-success);">${t('captureActive')}</strong><br>
+                <span style="color: var(--text-muted);">${t('captureActiveDesc')}</span>
+            `;
         } else if (currentTrashOption === 'system') {
             trashExplanation.innerHTML = `
                 <strong style="color: var(--text-warning);">${t('usingSystemTrashWarning')}</strong><br>
@@ -882,9 +3023,27 @@ class RecycleBinSettingTab extends obsidian.PluginSettingTab {
                     }
 
                     new obsidian.Notice(t('trashLocationChanged') + ': ' + (value === 'local' ? 'Obsidian .trash' : value === 'system' ? 'System' : 'Permanent'));
+                    await this.plugin.updateBinSources();
                     this.display();
                 }));
 
+        // Capture mode: the plugin keeps its own copies when Obsidian does not
+        if (currentTrashOption !== 'local') {
+            new obsidian.Setting(containerEl)
+                .setName(t('captureMode'))
+                .setDesc(t('captureModeDesc'))
+                .addToggle(toggle => toggle
+                    .setValue(this.plugin.settings.captureMode)
+                    .onChange(async (value) => {
+                        this.plugin.settings.captureMode = value;
+                        await this.plugin.saveSettings();
+                        await this.plugin.updateBinSources();
+                        this.display();
+                    }));
+        }
+
+        this.renderBinFolders(containerEl);
+
         containerEl.createEl('hr');
 
         // =============================================
@@ -892,7 +3051,8 @@ class RecycleBinSettingTab extends obsidian.PluginSettingTab {
         // =============================================
         containerEl.createEl('h3', { text: t('pluginSettings') });
 
-        const isPluginEnabled = currentTrashOption === 'local';
+        const isPluginEnabled = currentTrashOption === 'local' || this.plugin.settings.captureMode ||
+            this.plugin.settings.binFolders.length > 0;
 
         if (!isPluginEnabled) {
             const disabledNotice = containerEl.createDiv({ cls: 'setting-item-description' });
@@ -927,6 +3087,20 @@ class RecycleBinSettingTab extends obsidian.PluginSettingTab {
                 }));
 
         if (this.plugin.settings.autoPurgeEnabled) {
+            new obsidian.Setting(settingsContainer)
+                .setName(t('autoPurgeInterval'))
+                .setDesc(t('nextPurge', { time: new Date(this.plugin.getNextPurgeTime()).toLocaleString() }))
+                .addDropdown(dropdown => dropdown
+                    .addOption('hourly', t('hourly'))
+                    .addOption('daily', t('daily'))
+                    .setValue(this.plugin.settings.autoPurgeInterval)
+                    .setDisabled(!isPluginEnabled)
+                    .onChange(async (value) => {
+                        this.plugin.settings.autoPurgeInterval = value;
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }));
+
             new obsidian.Setting(settingsContainer)
                 .setName(t('autoPurgeDays'))
                 .setDesc(t('autoPurgeDaysDesc'))
@@ -941,8 +3115,85 @@ class RecycleBinSettingTab extends obsidian.PluginSettingTab {
                             await this.plugin.saveSettings();
                         }
                     }));
+
+            new obsidian.Setting(settingsContainer)
+                .setName(t('maxBinSize'))
+                .setDesc(t('maxBinSizeDesc'))
+                .addText(text => text
+                    .setPlaceholder('0')
+                    .setValue(String(this.plugin.settings.maxBinSizeMb))
+                    .setDisabled(!isPluginEnabled)
+                    .onChange(async (value) => {
+                        const size = parseFloat(value);
+                        if (!isNaN(size) && size >= 0) {
+                            this.plugin.settings.maxBinSizeMb = size;
+                            await this.plugin.saveSettings();
+                        }
+                    }));
+
+            this.renderRetentionRules(settingsContainer, isPluginEnabled);
+        }
+
+        // What happens to purged items, for Empty All and auto-purge alike
+        new obsidian.Setting(settingsContainer)
+            .setName(t('purgeAction'))
+            .setDesc(t('purgeActionDesc'))
+            .addDropdown(dropdown => dropdown
+                .addOption('delete', t('purgeActionDelete'))
+                .addOption('archive', t('purgeActionArchive'))
+                .setValue(this.plugin.settings.purgeAction)
+                .setDisabled(!isPluginEnabled)
+                .onChange(async (value) => {
+                    this.plugin.settings.purgeAction = value;
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+
+        if (this.plugin.settings.purgeAction === 'archive') {
+            new obsidian.Setting(settingsContainer)
+                .setName(t('archiveLocation'))
+                .setDesc(t('archiveLocationDesc'))
+                .addText(text => text
+                    .setPlaceholder(DEFAULT_SETTINGS.archiveLocation)
+                    .setValue(this.plugin.settings.archiveLocation)
+                    .setDisabled(!isPluginEnabled)
+                    .onChange(async (value) => {
+                        this.plugin.settings.archiveLocation = value.trim();
+                        await this.plugin.saveSettings();
+                    }));
         }
 
+        // Undo
+        new obsidian.Setting(settingsContainer)
+            .setName(t('undoGraceSeconds'))
+            .setDesc(t('undoGraceSecondsDesc'))
+            .addText(text => text
+                .setPlaceholder('30')
+                .setValue(String(this.plugin.settings.undoGraceSeconds))
+                .setDisabled(!isPluginEnabled)
+                .onChange(async (value) => {
+                    const seconds = parseInt(value, 10);
+                    if (!isNaN(seconds) && seconds >= 0) {
+                        this.plugin.settings.undoGraceSeconds = seconds;
+                        await this.plugin.saveSettings();
+                    }
+                }));
+
+        new obsidian.Setting(settingsContainer)
+            .setName(t('undoLimit'))
+            .setDesc(t('undoLimitDesc'))
+            .addText(text => text
+                .setPlaceholder('10')
+                .setValue(String(this.plugin.settings.undoLimit))
+                .setDisabled(!isPluginEnabled)
+                .onChange(async (value) => {
+                    const limit = parseInt(value, 10);
+                    if (!isNaN(limit) && limit > 0) {
+                        this.plugin.settings.undoLimit = limit;
+                        await this.plugin.saveSettings();
+                    }
+                }));
+
         // Show confirmations
         new obsidian.Setting(settingsContainer)
             .setName(t('showConfirmations'))
@@ -968,6 +3219,19 @@ class RecycleBinSettingTab extends obsidian.PluginSettingTab {
                     await this.plugin.refreshViews();
                 }));
 
+        // Content search
+        new obsidian.Setting(settingsContainer)
+            .setName(t('searchContent'))
+            .setDesc(t('searchContentDesc'))
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.searchContent)
+                .setDisabled(!isPluginEnabled)
+                .onChange(async (value) => {
+                    this.plugin.settings.searchContent = value;
+                    await this.plugin.saveSettings();
+                    await this.plugin.refreshViews();
+                }));
+
         // Show delete button
         new obsidian.Setting(settingsContainer)
             .setName(t('showDeleteButton'))
@@ -986,38 +3250,219 @@ class RecycleBinSettingTab extends obsidian.PluginSettingTab {
         containerEl.createEl('h3', { text: '🌍 ' + t('language') });
 
         new obsidian.Setting(containerEl)
-            .setName(t('language'))
-            .setDesc(t('languageDesc'))
-            .addDropdown(dropdown => {
-                dropdown.addOption('auto', t('languageAuto'));
-                dropdown.addOption('en', 'English');
-                dropdown.addOption('de', 'Deutsch');
-                dropdown.addOption('zh', '中文');
-                dropdown.addOption('ja', '日本語');
-                dropdown.addOption('es', 'Español');
-                dropdown.addOption('fr', 'Français');
-                dropdown.addOption('pt', 'Português');
-                dropdown.addOption('ru', 'Русский');
-                dropdown.setValue(this.plugin.settings.language);
-                dropdown.onChange(async (value) => {
-                    this.plugin.settings.language = value;
-                    currentLanguage = getLanguage(this.app, this.plugin.settings);
-                    setLanguage(currentLanguage);
-                    await this.plugin.saveSettings();
+            .setName(t('language'))
+            .setDesc(t('languageDesc'))
+            .addDropdown(dropdown => {
+                dropdown.addOption('auto', t('languageAuto'));
+                dropdown.addOption('en', 'English');
+                dropdown.addOption('de', 'Deutsch');
+                dropdown.addOption('zh', '中文');
+                dropdown.addOption('ja', '日本語');
+                dropdown.addOption('es', 'Español');
+                dropdown.addOption('fr', 'Français');
+                dropdown.addOption('pt', 'Português');
+                dropdown.addOption('ru', 'Русский');
+                dropdown.setValue(this.plugin.settings.language);
+                dropdown.onChange(async (value) => {
+                    this.plugin.settings.language = value;
+                    currentLanguage = getLanguage(this.app, this.plugin.settings);
+                    setLanguage(currentLanguage);
+                    await this.plugin.saveSettings();
+                    this.display();
+                    for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE)) {
+                        if (leaf.view instanceof RecycleBinView) await leaf.view.render();
+                    }
+                });
+            });
+
+        const translationNote = containerEl.createEl('p', { cls: 'setting-item-description' });
+        translationNote.style.marginTop = '8px';
+        translationNote.innerHTML = t('translationNote');
+
+        // Acknowledgements
+        containerEl.createEl('hr');
+        containerEl.createEl('h3', { text: t('acknowledgements') });
+        const ack = containerEl.createEl('p');
+        ack.innerHTML = t('acknowledgementsText');
+    }
+
+    /**
+     * Render the list of additional bin folders
+     * @param {HTMLElement} containerEl
+     */
+    renderBinFolders(containerEl) {
+        const folders = this.plugin.settings.binFolders;
+
+        new obsidian.Setting(containerEl)
+            .setName(t('binFolders'))
+            .setDesc(t('binFoldersDesc'))
+            .setHeading();
+
+        const save = async () => {
+            await this.plugin.saveSettings();
+            await this.plugin.updateBinSources();
+        };
+
+        folders.forEach((folder, index) => {
+            new obsidian.Setting(containerEl)
+                .addText(text => {
+                    text.setValue(folder);
+                    // Apply when the field is left, not on every keystroke
+                    text.inputEl.addEventListener('change', async () => {
+                        const path = this.plugin.normalizeBinFolder(text.getValue());
+                        if (!path) {
+                            new obsidian.Notice(t('invalidBinFolder'));
+                            text.setValue(folders[index]);
+                            return;
+                        }
+                        folders[index] = path;
+                        text.setValue(path);
+                        await save();
+                    });
+                })
+                .addExtraButton(button => button
+                    .setIcon('trash')
+                    .setTooltip(t('removeBinFolder'))
+                    .onClick(async () => {
+                        folders.splice(index, 1);
+                        await save();
+                        this.display();
+                    }));
+        });
+
+        new obsidian.Setting(containerEl)
+            .addButton(button => button
+                .setButtonText(t('addBinFolder'))
+                .onClick(() => {
+                    new FolderSuggestModal(this.app, this.plugin.getReservedFolders(), async (folderPath) => {
+                        const path = this.plugin.normalizeBinFolder(folderPath);
+                        if (!path) {
+                            new obsidian.Notice(t('invalidBinFolder'));
+                            return;
+                        }
+                        if (!folders.includes(path)) folders.push(path);
+                        await save();
+                        this.display();
+                    }).open();
+                }));
+    }
+
+    /**
+     * Render the retention rule editor
+     * @param {HTMLElement} containerEl
+     * @param {boolean} isPluginEnabled
+     */
+    renderRetentionRules(containerEl, isPluginEnabled) {
+        const rules = this.plugin.settings.retentionRules;
+
+        new obsidian.Setting(containerEl)
+            .setName(t('retentionRules'))
+            .setDesc(t('retentionRulesDesc'))
+            .setHeading();
+
+        const save = async () => {
+            await this.plugin.saveSettings();
+        };
+
+        rules.forEach((rule, index) => {
+            const setting = new obsidian.Setting(containerEl)
+                .setName(t('retentionRule', { number: index + 1 }))
+                .setClass('recycle-bin-rule')
+                .addText(text => text
+                    .setPlaceholder(t('ruleExtensions'))
+                    .setValue(rule.extensions)
+                    .setDisabled(!isPluginEnabled)
+                    .onChange(async (value) => {
+                        rule.extensions = value;
+                        await save();
+                    }))
+                .addText(text => text
+                    .setPlaceholder(t('rulePath'))
+                    .setValue(rule.path)
+                    .setDisabled(!isPluginEnabled)
+                    .onChange(async (value) => {
+                        rule.path = value;
+                        await save();
+                    }))
+                .addText(text => text
+                    .setPlaceholder(t('ruleMinSize'))
+                    .setValue(rule.minSizeMb ? String(rule.minSizeMb) : '')
+                    .setDisabled(!isPluginEnabled)
+                    .onChange(async (value) => {
+                        const size = parseFloat(value);
+                        rule.minSizeMb = !isNaN(size) && size > 0 ? size : 0;
+                        await save();
+                    }))
+                .addDropdown(dropdown => dropdown
+                    .addOption('purge', t('rulePurgeAfter'))
+                    .addOption('keep', t('ruleKeepForever'))
+                    .setValue(rule.action)
+                    .setDisabled(!isPluginEnabled)
+                    .onChange(async (value) => {
+                        rule.action = value;
+                        await save();
+                        this.display();
+                    }));
+
+            if (rule.action === 'purge') {
+                setting.addText(text => text
+                    .setPlaceholder(t('ruleDays'))
+                    .setValue(String(rule.days))
+                    .setDisabled(!isPluginEnabled)
+                    .onChange(async (value) => {
+                        const days = parseInt(value, 10);
+                        if (!isNaN(days) && days >= 0) {
+                            rule.days = days;
+                            await save();
+                        }
+                    }));
+            }
+
+            setting
+                .addExtraButton(button => button
+                    .setIcon('arrow-up')
+                    .setTooltip(t('moveUp'))
+                    .setDisabled(index === 0)
+                    .onClick(async () => {
+                        rules.splice(index - 1, 0, rules.splice(index, 1)[0]);
+                        await save();
+                        this.display();
+                    }))
+                .addExtraButton(button => button
+                    .setIcon('arrow-down')
+                    .setTooltip(t('moveDown'))
+                    .setDisabled(index === rules.length - 1)
+                    .onClick(async () => {
+                        rules.splice(index + 1, 0, rules.splice(index, 1)[0]);
+                        await save();
+                        this.display();
+                    }))
+                .addExtraButton(button => button
+                    .setIcon('trash')
+                    .setTooltip(t('removeRule'))
+                    .onClick(async () => {
+                        rules.splice(index, 1);
+                        await save();
+                        this.display();
+                    }));
+        });
+
+        new obsidian.Setting(containerEl)
+            .addButton(button => button
+                .setButtonText(t('addRule'))
+                .setDisabled(!isPluginEnabled)
+                .onClick(async () => {
+                    rules.push(createRule());
+                    await save();
                     this.display();
-                    await this.plugin.refreshViews();
-                });
-            });
-
-        const translationNote = containerEl.createEl('p', { cls: 'setting-item-description' });
-        translationNote.style.marginTop = '8px';
-        translationNote.innerHTML = t('translationNote');
-
-        // Acknowledgements
-        containerEl.createEl('hr');
-        containerEl.createEl('h3', { text: t('acknowledgements') });
-        const ack = containerEl.createEl('p');
-        ack.innerHTML = t('acknowledgementsText');
+                }))
+            .addButton(button => button
+                .setButtonText(t('previewPurge'))
+                .setDisabled(!isPluginEnabled)
+                .onClick(async () => {
+                    const plan = await this.plugin.trashManager.planPurge(this.plugin.getRetentionPolicy());
+                    new PurgePreviewModal(this.app, plan, (action) => this.plugin.purgeNow(action)).open();
+                }));
     }
 }
 
@@ -1040,9 +3485,61 @@ class RecycleBinPlugin extends obsidian.Plugin {
         setLanguage(currentLanguage);
 
         // Initialize trash manager
-        this.trashManager = new TrashManager(this.app.vault);
+        this.trashManager = new TrashManager(this.app.vault, this.ledger, this.pins, this.getBinSources());
         await this.trashManager.refresh();
 
+        // Undo stack; anything left in the holding folder from a previous session is due for removal
+        this.undo = new UndoManager(
+            this.app.vault.adapter,
+            this.ledger,
+            this.pins,
+            `${this.manifest.dir}/holding`,
+            () => ({ limit: this.settings.undoLimit, graceSeconds: this.settings.undoGraceSeconds })
+        );
+        await this.undo.flush();
+
+        // Record deletions as they happen
+        this.pendingDeletions = [];
+        this.claimPendingDeletions = debounce(() => this.recordDeletions(), 500);
+        this.registerEvent(this.app.vault.on('delete', (file) => this.onVaultDelete(file)));
+
+        // Pick up changes made to the trash folder outside the plugin
+        this.changedTrashPaths = new Set();
+        this.syncTrash = debounce(() => {
+            const changed = [...this.changedTrashPaths];
+            this.changedTrashPaths.clear();
+            this.refreshViews(changed).catch(e => console.error('Failed to sync the trash:', e));
+        }, 300);
+        this.trashWatchers = new Map();
+        this.register(() => this.unwatchTrash());
+        this.watchTrash();
+
+        // Keep copies of deletions that would otherwise go to the system trash or be gone for good.
+        // Installed after the sync above, since a deletion may come in right away.
+        this.capture = new DeletionCapture(this.app, this.ledger, CAPTURE_FOLDER, {
+            isActive: () => this.isCapturing(),
+            onCapture: (binPath) => {
+                this.changedTrashPaths.add(binPath);
+                this.syncTrash();
+                this.watchTrash();
+            },
+            onError: (file, e) => {
+                console.error('Failed to keep a copy of deleted item:', e);
+                new obsidian.Notice(t('captureFailed', { name: file.name }), 8000);
+            }
+        });
+        this.register(this.capture.install());
+
+        // Files appearing or moving in the trash, or at a trashed item's original path, change what the views show.
+        // Wait for the layout so the initial vault scan does not count as creations.
+        this.app.workspace.onLayoutReady(() => {
+            this.registerEvent(this.app.vault.on('create', (file) => this.onVaultChange(file.path)));
+            this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+                this.onVaultChange(oldPath);
+                this.onVaultChange(file.path);
+            }));
+        });
+
         // Register views
         this.registerView(
             VIEW_TYPE,
@@ -1054,6 +3551,11 @@ class RecycleBinPlugin extends obsidian.Plugin {
             (leaf) => new FilePreviewView(leaf, this)
         );
 
+        this.registerView(
+            STATS_VIEW_TYPE,
+            (leaf) => new StatsView(leaf, this)
+        );
+
         // Add ribbon icon
         this.addRibbonIcon('trash-2', t('recycleBin'), () => {
             this.activateView();
@@ -1070,49 +3572,573 @@ class RecycleBinPlugin extends obsidian.Plugin {
             id: 'empty-recycle-bin',
             name: t('emptyBin'),
             callback: async () => {
-                await this.trashManager.refresh();
+                await this.trashManager.sync();
                 if (this.trashManager.items.length === 0) {
                     new obsidian.Notice(t('binAlreadyEmpty'));
                     return;
                 }
-                new ConfirmModal(
-                    this.app,
-                    t('emptyBin'),
-                    t('emptyBinConfirmMessage'),
-                    t('emptyAll'),
-                    async () => {
-                        await this.trashManager.empty();
-                        new obsidian.Notice(t('binEmptied'));
-                        await this.refreshViews();
-                    }
-                ).open();
+                new EmptyBinModal(this.app, this.settings.purgeAction, (action) => this.emptyBin(action)).open();
+            }
+        });
+
+        this.addCommand({
+            id: 'open-recycle-bin-statistics',
+            name: t('trashStatistics'),
+            callback: () => this.openStats()
+        });
+
+        this.addCommand({
+            id: 'export-recycle-bin-to-zip',
+            name: t('exportBinToZip'),
+            callback: async () => {
+                await this.trashManager.load();
+                this.exportToZip(this.trashManager.items);
             }
         });
 
+        this.addCommand({
+            id: 'import-recycle-bin-from-zip',
+            name: t('importFromZip'),
+            callback: () => this.importFromZip()
+        });
+
+        this.addCommand({
+            id: 'undo-recycle-bin-action',
+            name: t('undoLastAction'),
+            callback: () => this.undoLast()
+        });
+
         // Add settings tab
         this.addSettingTab(new RecycleBinSettingTab(this.app, this));
 
-        // Run auto-purge on load if enabled
-        if (this.settings.autoPurgeEnabled) {
-            const purged = await this.trashManager.purgeOlderThan(this.settings.autoPurgeDays);
+        // Run auto-purge when due, now and while Obsidian stays open
+        await this.runScheduledPurge();
+        this.registerInterval(window.setInterval(() => this.runScheduledPurge(), 60 * 1000));
+    }
+
+    /**
+     * @returns {number|null} Time of the next scheduled purge, or null if auto-purge is off
+     */
+    getNextPurgeTime() {
+        if (!this.settings.autoPurgeEnabled) return null;
+        const interval = PURGE_INTERVALS[this.settings.autoPurgeInterval] || PURGE_INTERVALS.daily;
+        return this.lastPurgeAt ? this.lastPurgeAt + interval : Date.now();
+    }
+
+    /**
+     * Run the auto-purge if it is due
+     */
+    async runScheduledPurge() {
+        const next = this.getNextPurgeTime();
+        if (next === null || next > Date.now() || this.purging) return;
+
+        this.purging = true;
+        const archive = this.settings.purgeAction === 'archive';
+        try {
+            // Record the run first so a restart during the purge does not start another one
+            this.lastPurgeAt = Date.now();
+            await this.saveSettings();
+
+            const purged = await this.trashManager.purge(this.getRetentionPolicy(), archive ? items => this.archiveItems(items) : null);
             if (purged > 0) {
-                new obsidian.Notice(t('autoPurged', { count: purged }));
+                new obsidian.Notice(t(archive ? 'autoArchived' : 'autoPurged', { count: purged }));
             }
+            await this.refreshViews();
+        } catch (e) {
+            console.error(archive ? 'Failed to archive purged items:' : 'Failed to purge the trash:', e);
+            new obsidian.Notice(t(archive ? 'archiveFailed' : 'purgeFailed'), 8000);
+        } finally {
+            this.purging = false;
         }
     }
 
+    /**
+     * @returns {object} Retention policy from the current settings
+     */
+    getRetentionPolicy() {
+        return {
+            rules: this.settings.retentionRules,
+            defaultDays: this.settings.autoPurgeDays,
+            maxSizeMb: this.settings.maxBinSizeMb
+        };
+    }
+
     onunload() {
         console.log('Unloading Recycle Bin plugin');
+        // Anything still held back is removed on the next load otherwise
+        this.undo?.flush().catch(e => console.error('Failed to finalize staged deletes:', e));
+        if (this.ledgerDirty) this.saveLedger();
         this.app.workspace.detachLeavesOfType(VIEW_TYPE);
         this.app.workspace.detachLeavesOfType(PREVIEW_VIEW_TYPE);
+        this.app.workspace.detachLeavesOfType(STATS_VIEW_TYPE);
     }
 
     async loadSettings() {
-        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+        const data = Object.assign({}, await this.loadData());
+        // Ledger and pins change in bursts, e.g. during a bulk delete: save once they settle
+        const saveSoon = debounce(() => {
+            if (this.ledgerDirty) this.saveLedger();
+        }, 1000);
+        const onChange = () => {
+            this.ledgerDirty = true;
+            saveSoon();
+        };
+        this.ledger = new DeletionLedger(data.ledger, onChange);
+        this.pins = new PinList(data.pins, onChange);
+        this.lastPurgeAt = data.lastPurgeAt || 0;
+        delete data.ledger;
+        delete data.pins;
+        delete data.lastPurgeAt;
+
+        this.settings = Object.assign({}, DEFAULT_SETTINGS, data);
+        this.settings.retentionRules = this.settings.retentionRules.map(rule => Object.assign(createRule(), rule));
+        this.settings.binFolders = [...this.settings.binFolders];
     }
 
     async saveSettings() {
-        await this.saveData(this.settings);
+        this.ledgerDirty = false;
+        await this.saveData(Object.assign({}, this.settings, {
+            ledger: this.ledger.toJSON(),
+            pins: this.pins.toJSON(),
+            lastPurgeAt: this.lastPurgeAt
+        }));
+    }
+
+    /**
+     * Save the ledger and pins along with the settings. A failure is logged, and the
+     * next change or unload tries again.
+     * @returns {Promise<void>}
+     */
+    saveLedger() {
+        return this.saveSettings().catch(e => {
+            this.ledgerDirty = true;
+            console.error('Failed to save the deletion ledger:', e);
+        });
+    }
+
+    /**
+     * Queue a vault deletion for the ledger
+     * @param {object} file - Deleted TFile or TFolder
+     */
+    onVaultDelete(file) {
+        if (!file) return;
+        if (this.trashManager.getSource(file.path)) {
+            this.onVaultChange(file.path);
+            return;
+        }
+        // Captured deletions are recorded already and never reach .trash
+        if (this.isCapturing()) {
+            this.onVaultChange(file.path);
+            return;
+        }
+
+        this.pendingDeletions.push({
+            originalPath: file.path,
+            kind: file instanceof obsidian.TFolder ? 'folder' : 'file',
+            size: file.stat?.size || 0,
+            deletedAt: Date.now(),
+            device: getDeviceName(this.app),
+            backlinks: collectBacklinks(this.app, file)
+        });
+        this.claimPendingDeletions();
+    }
+
+    /**
+     * @returns {boolean} True if deletions are copied into the plugin's own bin
+     */
+    isCapturing() {
+        return this.settings.captureMode && (this.app.vault.config.trashOption || 'system') !== 'local';
+    }
+
+    /**
+     * @returns {string[]} Folders the bin is read from: the plugin's own bin in capture mode, else .trash,
+     * followed by any additional bin folders
+     */
+    getBinSources() {
+        const main = this.isCapturing() ? CAPTURE_FOLDER : TRASH_FOLDER;
+        return [...new Set([main, ...this.settings.binFolders])];
+    }
+
+    /**
+     * @returns {string[]} Folders the plugin keeps deleted or archived items in, which are
+     * no place to restore or export to: every bin folder, whether read right now or not,
+     * and the archive folder if it is inside the vault
+     */
+    getReservedFolders() {
+        const folders = [TRASH_FOLDER, CAPTURE_FOLDER, ...this.settings.binFolders];
+        const location = this.settings.archiveLocation.trim() || DEFAULT_SETTINGS.archiveLocation;
+        if (!isOutsideVault(location)) folders.push(obsidian.normalizePath(location));
+        return folders;
+    }
+
+    /**
+     * @param {string} source - Bin folder
+     * @returns {string} Name shown on the source badge
+     */
+    getSourceLabel(source) {
+        if (source === TRASH_FOLDER) return t('sourceTrash');
+        if (source === CAPTURE_FOLDER) return t('sourceCapture');
+        return source;
+    }
+
+    /**
+     * Clean up a bin folder entered in the settings
+     * @param {string} value
+     * @returns {string|null} Vault path, or null if it cannot be a bin folder
+     */
+    normalizeBinFolder(value) {
+        const path = obsidian.normalizePath(value.trim()).replace(/^\/+|\/+$/g, '');
+        if (!path || !isValidPath(path)) return null;
+        // Obsidian's own settings are never a bin
+        const configDir = this.app.vault.configDir;
+        if (path === configDir || path.startsWith(configDir + '/')) return null;
+        return path;
+    }
+
+    /**
+     * Switch to other bin folders after the trash settings changed
+     */
+    async updateBinSources() {
+        const sources = this.getBinSources();
+        if (sources.join('\n') === this.trashManager.folders.join('\n')) return;
+
+        this.trashManager.folders = sources;
+        this.unwatchTrash();
+        await this.trashManager.refresh();
+        this.watchTrash();
+        await this.refreshViews();
+    }
+
+    /**
+     * Refresh the views soon if a vault change concerns the bin
+     * @param {string} path - Created, renamed or deleted path
+     */
+    onVaultChange(path) {
+        if (this.trashManager.getSource(path)) {
+            this.changedTrashPaths.add(path);
+            this.syncTrash();
+        } else if (this.trashManager.folders.includes(path)) {
+            // A bin folder was created, moved or removed
+            this.syncTrash();
+            this.watchTrash();
+        } else if (this.trashManager.isOriginalPath(path)) {
+            this.syncTrash();
+        }
+    }
+
+    /**
+     * Watch the bin folders on the file system (desktop only); the vault itself
+     * does not report changes inside hidden folders
+     */
+    watchTrash() {
+        const adapter = this.app.vault.adapter;
+        if (!(adapter instanceof obsidian.FileSystemAdapter)) return;
+
+        const fs = window.require('fs');
+        for (const folder of this.trashManager.folders) {
+            if (this.trashWatchers.has(folder)) continue;
+            const trashPath = adapter.getFullPath(folder);
+            if (!fs.existsSync(trashPath)) continue;
+
+            const onChange = (event, filename) => {
+                if (filename) this.changedTrashPaths.add(`${folder}/${String(filename).replace(/\\/g, '/')}`);
+                this.syncTrash();
+            };
+            let watcher;
+            try {
+                try {
+                    watcher = fs.watch(trashPath, { recursive: true }, onChange);
+                } catch (e) {
+                    // Recursive watching is not available on every platform
+                    watcher = fs.watch(trashPath, onChange);
+                }
+            } catch (e) {
+                console.error('Failed to watch trash folder:', e);
+                continue;
+            }
+            watcher.on('error', () => {
+                watcher.close();
+                this.trashWatchers.delete(folder);
+            });
+            this.trashWatchers.set(folder, watcher);
+        }
+    }
+
+    /**
+     * Stop watching the bin folders
+     */
+    unwatchTrash() {
+        for (const watcher of this.trashWatchers.values()) watcher.close();
+        this.trashWatchers.clear();
+    }
+
+    /**
+     * Match queued deletions to their copies in the trash folder
+     */
+    async recordDeletions() {
+        const pending = this.pendingDeletions;
+        this.pendingDeletions = [];
+
+        try {
+            // Claimed items were possibly indexed before their origin was known
+            const claimed = await this.ledger.claim(this.app.vault.adapter, pending);
+            await this.refreshViews(claimed);
+            this.watchTrash();
+        } catch (e) {
+            console.error('Failed to record deletions:', e);
+        }
+    }
+
+    /**
+     * Delete a trashed item, keeping it undoable for the grace period
+     * @param {object} op - Delete operation from this.undo.createOperation
+     * @param {TrashedFile|TrashedFolder} item
+     * @returns {Promise<boolean>} Success status
+     */
+    async removeItem(op, item) {
+        if (this.undo.stagesDeletes) {
+            return this.undo.stage(op, item);
+        }
+        return item.delete();
+    }
+
+    /**
+     * Delete a file together with all its older versions
+     * @param {object} op - Delete operation from this.undo.createOperation
+     * @param {TrashedFile|TrashedFolder} item
+     * @returns {Promise<boolean>} True if every version was deleted
+     */
+    async removeVersions(op, item) {
+        let removed = true;
+        for (const version of item.versions || [item]) {
+            if (!(await this.removeItem(op, version))) removed = false;
+        }
+        return removed;
+    }
+
+    /**
+     * Delete a single trashed item and offer to undo it
+     * @param {TrashedFile|TrashedFolder} item
+     * @param {boolean} allVersions - Also delete older versions of the same file
+     */
+    async deleteItem(item, allVersions = true) {
+        const op = this.undo.createOperation('delete');
+        const removed = allVersions ? await this.removeVersions(op, item) : await this.removeItem(op, item);
+        if (removed) {
+            this.finishOperation(op, t('deleted', { name: item.name }));
+        } else {
+            new obsidian.Notice(t('cannotDelete', { name: item.name }), 5000);
+        }
+        await this.refreshViews();
+    }
+
+    /**
+     * Delete everything in the bin and offer to undo it
+     * @param {string} action - 'archive' to add the items to the archive first, 'delete' to only delete them
+     */
+    async emptyBin(action = this.settings.purgeAction) {
+        let message = t('binEmptied');
+        if (action === 'archive') {
+            try {
+                const path = await this.archiveItems(this.trashManager.items);
+                message = t('binArchived', { path });
+            } catch (e) {
+                console.error('Failed to archive the bin:', e);
+                new obsidian.Notice(t('archiveFailed'), 8000);
+                return;
+            }
+        }
+
+        const op = this.undo.createOperation('delete');
+        await this.trashManager.empty(item => this.removeItem(op, item));
+        this.finishOperation(op, message);
+        await this.refreshViews();
+    }
+
+    /**
+     * Run the retention policy now instead of waiting for the schedule
+     * @param {string} action - 'archive' or 'delete'
+     */
+    async purgeNow(action) {
+        const archive = action === 'archive';
+        try {
+            const purged = await this.trashManager.purge(this.getRetentionPolicy(), archive ? items => this.archiveItems(items) : null);
+            new obsidian.Notice(t(archive ? 'autoArchived' : 'autoPurged', { count: purged }));
+        } catch (e) {
+            console.error(archive ? 'Failed to archive purged items:' : 'Failed to purge the trash:', e);
+            new obsidian.Notice(t(archive ? 'archiveFailed' : 'purgeFailed'), 8000);
+        }
+        await this.refreshViews();
+    }
+
+    /**
+     * Add items to this month's archive, e.g. Archive/trash-2026-10.zip, with their manifest entries.
+     * The archive location is a vault folder, or on desktop an absolute path outside the vault.
+     * @param {Array<TrashedFile|TrashedFolder>} items
+     * @returns {Promise<string>} Path of the archive
+     */
+    async archiveItems(items) {
+        const adapter = this.app.vault.adapter;
+        const location = this.settings.archiveLocation.trim() || DEFAULT_SETTINGS.archiveLocation;
+        const date = new Date();
+        const name = `trash-${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}.zip`;
+
+        if (isOutsideVault(location)) {
+            if (!(adapter instanceof obsidian.FileSystemAdapter)) throw new Error('Archiving outside the vault needs the desktop app');
+            const fs = window.require('fs');
+            const path = window.require('path').join(location, name);
+
+            let base = null;
+            if (fs.existsSync(path)) {
+                const existing = await fs.promises.readFile(path);
+                base = existing.buffer.slice(existing.byteOffset, existing.byteOffset + existing.byteLength);
+            }
+            const { data } = await exportItems(adapter, items, base);
+            await fs.promises.mkdir(location, { recursive: true });
+            // Replace the previous archive only once the new one is complete
+            await fs.promises.writeFile(path + '.tmp', new Uint8Array(data));
+            await fs.promises.rename(path + '.tmp', path);
+            return path;
+        }
+
+        const folder = obsidian.normalizePath(location);
+        if (!isValidPath(folder)) throw new Error(`Invalid archive location: ${location}`);
+        const path = `${folder}/${name}`;
+        const previous = path + '.old';
+        // A run that stopped between the renames below left the last archive aside
+        if (!(await adapter.exists(path)) && await adapter.exists(previous)) await adapter.rename(previous, path);
+
+        const base = await adapter.exists(path) ? await adapter.readBinary(path) : null;
+        const { data } = await exportItems(adapter, items, base);
+        if (!(await adapter.exists(folder))) await adapter.mkdir(folder);
+        // As above, but the adapter cannot rename over a file: move the previous archive
+        // aside and remove it only once the new one is in place
+        await adapter.writeBinary(path + '.tmp', data);
+        if (await adapter.exists(previous)) await adapter.remove(previous);
+        if (await adapter.exists(path)) await adapter.rename(path, previous);
+        await adapter.rename(path + '.tmp', path);
+        if (await adapter.exists(previous)) await adapter.remove(previous);
+        return path;
+    }
+
+    /**
+     * Ask for a vault folder and save trashed items there as a ZIP archive with a manifest
+     * @param {Array<TrashedFile|TrashedFolder>} items
+     */
+    exportToZip(items) {
+        if (items.length === 0) {
+            new obsidian.Notice(t('binAlreadyEmpty'));
+            return;
+        }
+
+        new FolderSuggestModal(this.app, this.getReservedFolders(), async (folderPath) => {
+            const progress = new obsidian.Notice(t('exportingProgress', { count: items.length }), 0);
+            try {
+                const { data } = await exportItems(this.app.vault.adapter, items);
+                const name = `recycle-bin-${new Date().toISOString().slice(0, 10)}.zip`;
+                let path = obsidian.normalizePath(folderPath ? `${folderPath}/${name}` : name);
+                if (await this.app.vault.adapter.exists(path)) path = await getAvailablePath(this.app.vault.adapter, path, '2');
+
+                await this.app.vault.createBinary(path, data);
+                new obsidian.Notice(t('exportedItems', { count: items.length, path }));
+            } catch (e) {
+                console.error('Failed to export trashed items:', e);
+                new obsidian.Notice(t('exportFailed'));
+            } finally {
+                progress.hide();
+            }
+        }).open();
+    }
+
+    /**
+     * Let the user pick a ZIP archive and unpack it into the bin
+     */
+    importFromZip() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.zip,application/zip';
+        input.onchange = async () => {
+            const file = input.files?.[0];
+            if (!file) return;
+
+            const progress = new obsidian.Notice(t('importingProgress', { name: file.name }), 0);
+            try {
+                const buffer = await file.arrayBuffer();
+                const imported = await importArchive(this.app.vault.adapter, this.ledger, buffer, this.trashManager.folders[0]);
+                await this.refreshViews(imported);
+                new obsidian.Notice(t('importedItems', { count: imported.length }));
+            } catch (e) {
+                console.error('Failed to import archive:', e);
+                new obsidian.Notice(t('importFailed', { name: file.name }));
+            } finally {
+                progress.hide();
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Push an operation onto the undo stack and show a notice with an Undo button
+     * @param {object} op - Operation from this.undo.createOperation
+     * @param {string} message - Notice text
+     * @param {number} timeout - Notice duration in ms
+     */
+    finishOperation(op, message, timeout = 8000) {
+        this.undo.push(op);
+        if (!this.undo.stack.includes(op)) {
+            new obsidian.Notice(message, timeout);
+            return;
+        }
+
+        const notice = new obsidian.Notice(createFragment(frag => {
+            frag.createSpan({ text: message });
+            const undoBtn = frag.createEl('button', { text: t('undo'), cls: 'recycle-bin-undo-btn' });
+            undoBtn.onclick = () => {
+                notice.hide();
+                this.undoLast();
+            };
+        }), timeout);
+    }
+
+    /**
+     * Offer to point backlinks at restored files that came back under a new path
+     * @param {Array<TrashedFile|TrashedFolder>} items - Restored items
+     */
+    offerLinkUpdate(items) {
+        const moves = items.flatMap(item => getLinkMoves(item));
+        if (moves.length === 0) return;
+
+        const sources = new Set(moves.flatMap(move => move.sources));
+        new ConfirmModal(
+            this.app,
+            t('updateLinks'),
+            t('updateLinksMessage', { count: sources.size }),
+            t('updateLinksConfirm'),
+            async () => {
+                // Give the metadata cache a moment to see the restored files
+                await sleep(500);
+                const count = await rewriteLinks(this.app, moves);
+                new obsidian.Notice(t('linksUpdated', { count }));
+            }
+        ).open();
+    }
+
+    /**
+     * Undo the most recent recycle bin operation
+     */
+    async undoLast() {
+        if (!this.undo.canUndo) {
+            new obsidian.Notice(t('nothingToUndo'));
+            return;
+        }
+
+        const op = await this.undo.undo();
+        if (op.failed > 0) {
+            new obsidian.Notice(t('undoFailed', { count: op.failed }), 5000);
+        } else {
+            new obsidian.Notice(t('undone'));
+        }
+        await this.refreshViews(op.moves.map(move => move.original));
     }
 
     /**
@@ -1131,15 +4157,53 @@ class RecycleBinPlugin extends obsidian.Plugin {
     }
 
     /**
-     * Refresh all recycle bin views
+     * Open the statistics dashboard in a main tab
      */
-    async refreshViews() {
-        await this.trashManager.refresh();
+    async openStats() {
+        const existing = this.app.workspace.getLeavesOfType(STATS_VIEW_TYPE);
+        if (existing.length) {
+            this.app.workspace.revealLeaf(existing[0]);
+        } else {
+            await this.app.workspace.getLeaf('tab').setViewState({
+                type: STATS_VIEW_TYPE,
+                active: true
+            });
+        }
+    }
+
+    /**
+     * Open the sidebar and filter it with a search query
+     * @param {string} query - Search query, see search.parseQuery
+     */
+    async showInSidebar(query) {
+        await this.activateView();
+        const leaf = this.app.workspace.getLeavesOfType(VIEW_TYPE)[0];
+        if (leaf?.view instanceof RecycleBinView) {
+            await leaf.view.setSearch(query);
+        }
+    }
+
+    /**
+     * Update the trash index and refresh all recycle bin views
+     * @param {string[]} changed - Trash paths whose contents changed, see TrashManager.sync
+     */
+    async refreshViews(changed = []) {
+        await this.trashManager.sync(changed);
         for (const leaf of this.app.workspace.getLeavesOfType(VIEW_TYPE)) {
             if (leaf.view instanceof RecycleBinView) {
                 await leaf.view.refresh();
             }
         }
+        for (const leaf of this.app.workspace.getLeavesOfType(STATS_VIEW_TYPE)) {
+            if (leaf.view instanceof StatsView) {
+                await leaf.view.refresh();
+            }
+        }
+        for (const leaf of this.app.workspace.getLeavesOfType(PREVIEW_VIEW_TYPE)) {
+            if (leaf.view instanceof FilePreviewView) {
+                await leaf.view.refresh();
+            }
+        }
     }
 }
 
@@ -0,0 +1,240 @@
+/**
+ * Recycle Bin Plugin - Drawing Previews
+ *
+ * Draws read-only previews of Obsidian canvases and Excalidraw drawings as
+ * SVG, so their layout can be checked before restoring them.
+ *
+ * @module previews
+ */
+
+'use strict';
+
+// Canvas colour presets "1" to "6"
+const CANVAS_COLORS = {
+    1: 'var(--color-red)',
+    2: 'var(--color-orange)',
+    3: 'var(--color-yellow)',
+    4: 'var(--color-green)',
+    5: 'var(--color-cyan)',
+    6: 'var(--color-purple)'
+};
+
+const PADDING = 40;
+
+/**
+ * @param {string} color - Canvas preset number or CSS colour
+ * @returns {string} CSS colour
+ */
+function canvasColor(color) {
+    return CANVAS_COLORS[color] || color || 'var(--background-modifier-border)';
+}
+
+/**
+ * Create an SVG that fits a bounding box
+ * @param {HTMLElement} container
+ * @param {object} bounds - { minX, minY, maxX, maxY }
+ * @returns {SVGElement}
+ */
+function createFittedSvg(container, bounds) {
+    const width = Math.max(1, bounds.maxX - bounds.minX) + 2 * PADDING;
+    const height = Math.max(1, bounds.maxY - bounds.minY) + 2 * PADDING;
+    const svg = container.createSvg('svg', {
+        cls: 'recycle-bin-drawing',
+        attr: {
+            viewBox: `${bounds.minX - PADDING} ${bounds.minY - PADDING} ${width} ${height}`,
+            preserveAspectRatio: 'xMidYMid meet'
+        }
+    });
+
+    const marker = svg.createSvg('defs').createSvg('marker', {
+        attr: { id: 'recycle-bin-arrow', viewBox: '0 0 10 10', refX: 9, refY: 5, markerWidth: 8, markerHeight: 8, orient: 'auto-start-reverse' }
+    });
+    marker.createSvg('path', { attr: { d: 'M 0 0 L 10 5 L 0 10 z', fill: 'var(--text-muted)' } });
+    return svg;
+}
+
+/**
+ * @param {Array<object>} boxes - Objects with x, y, width, height
+ * @returns {object} { minX, minY, maxX, maxY }
+ */
+function getBounds(boxes) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const box of boxes) {
+        bounds.minX = Math.min(bounds.minX, box.x, box.x + box.width);
+        bounds.minY = Math.min(bounds.minY, box.y, box.y + box.height);
+        bounds.maxX = Math.max(bounds.maxX, box.x, box.x + box.width);
+        bounds.maxY = Math.max(bounds.maxY, box.y, box.y + box.height);
+    }
+    return bounds;
+}
+
+/**
+ * Point on the side of a canvas node where an edge attaches
+ * @param {object} node
+ * @param {string} side - 'top', 'right', 'bottom' or 'left'
+ * @returns {Array<number>} [x, y]
+ */
+function sidePoint(node, side) {
+    switch (side) {
+        case 'top': return [node.x + node.width / 2, node.y];
+        case 'bottom': return [node.x + node.width / 2, node.y + node.height];
+        case 'left': return [node.x, node.y + node.height / 2];
+        default: return [node.x + node.width, node.y + node.height / 2];
+    }
+}
+
+/**
+ * Render an Obsidian canvas: nodes as cards, groups as frames and edges as curves
+ * @param {HTMLElement} container
+ * @param {object} canvas - Parsed .canvas file: { nodes, edges }
+ */
+function renderCanvas(container, canvas) {
+    const nodes = (canvas.nodes || []).filter(node => [node.x, node.y, node.width, node.height].every(Number.isFinite));
+    if (nodes.length === 0) throw new Error('Empty canvas');
+
+    const svg = createFittedSvg(container, getBounds(nodes));
+    const byId = new Map(nodes.map(node => [node.id, node]));
+
+    // Groups first so cards are drawn on top of them
+    const ordered = [...nodes].sort((a, b) => (a.type === 'group' ? 0 : 1) - (b.type === 'group' ? 0 : 1));
+    for (const node of ordered) {
+        const color = canvasColor(node.color);
+        svg.createSvg('rect', {
+            cls: `recycle-bin-canvas-node is-${node.type}`,
+            attr: { x: node.x, y: node.y, width: node.width, height: node.height, rx: 8, stroke: color }
+        });
+
+        let text = '';
+        if (node.type === 'text') text = node.text || '';
+        else if (node.type === 'file') text = `📄 ${node.file}${node.subpath || ''}`;
+        else if (node.type === 'link') text = `🔗 ${node.url}`;
+
+        if (node.type === 'group') {
+            if (node.label) {
+                svg.createSvg('text', { cls: 'recycle-bin-canvas-label', attr: { x: node.x, y: node.y - 8 } }).textContent = node.label;
+            }
+        } else {
+            const body = svg.createSvg('foreignObject', {
+                attr: { x: node.x, y: node.y, width: node.width, height: node.height }
+            });
+            body.createDiv({ cls: 'recycle-bin-canvas-text', text });
+        }
+    }
+
+    for (const edge of canvas.edges || []) {
+        const from = byId.get(edge.fromNode);
+        const to = byId.get(edge.toNode);
+        if (!from || !to) continue;
+
+        const [x1, y1] = sidePoint(from, edge.fromSide);
+        const [x2, y2] = sidePoint(to, edge.toSide);
+        // Control points leave and enter the nodes perpendicular to their sides
+        const pull = Math.max(40, Math.hypot(x2 - x1, y2 - y1) / 3);
+        const outward = side => ({ top: [0, -pull], bottom: [0, pull], left: [-pull, 0] }[side] || [pull, 0]);
+        const [c1x, c1y] = outward(edge.fromSide);
+        const [c2x, c2y] = outward(edge.toSide);
+
+        const path = svg.createSvg('path', {
+            cls: 'recycle-bin-canvas-edge',
+            attr: {
+                d: `M ${x1} ${y1} C ${x1 + c1x} ${y1 + c1y} ${x2 + c2x} ${y2 + c2y} ${x2} ${y2}`,
+                stroke: canvasColor(edge.color)
+            }
+        });
+        if (edge.toEnd !== 'none') path.setAttr('marker-end', 'url(#recycle-bin-arrow)');
+        if (edge.fromEnd === 'arrow') path.setAttr('marker-start', 'url(#recycle-bin-arrow)');
+
+        if (edge.label) {
+            svg.createSvg('text', {
+                cls: 'recycle-bin-canvas-label',
+                attr: { x: (x1 + x2) / 2, y: (y1 + y2) / 2, 'text-anchor': 'middle' }
+            }).textContent = edge.label;
+        }
+    }
+}
+
+/**
+ * Extract Excalidraw elements from a drawing file
+ * @param {string} text - Contents of a .excalidraw, .excalidraw.md or .json file
+ * @returns {Array<object>|null} Visible elements, or null if this is not an uncompressed drawing
+ */
+function parseDrawing(text) {
+    // The Excalidraw plugin stores the scene in a ```json block of a markdown file
+    const block = /```json\s*\n([\s\S]*?)\n```/.exec(text);
+    let data;
+    try {
+        data = JSON.parse(block ? block[1] : text);
+    } catch (e) {
+        return null;
+    }
+    if (!data || data.type !== 'excalidraw' || !Array.isArray(data.elements)) return null;
+    return data.elements.filter(element => !element.isDeleted);
+}
+
+/**
+ * Render Excalidraw elements
+ * @param {HTMLElement} container
+ * @param {Array<object>} elements - From parseDrawing
+ */
+function renderDrawing(container, elements) {
+    const boxes = elements.flatMap(element => {
+        if (!Array.isArray(element.points)) return [element];
+        return element.points.map(([px, py]) => ({ x: element.x + px, y: element.y + py, width: 0, height: 0 }));
+    });
+    if (boxes.length === 0) throw new Error('Empty drawing');
+
+    const svg = createFittedSvg(container, getBounds(boxes));
+    for (const element of elements) {
+        const { x, y, width, height } = element;
+        const attr = {
+            stroke: element.strokeColor || 'currentColor',
+            fill: !element.backgroundColor || element.backgroundColor === 'transparent' ? 'none' : element.backgroundColor,
+            'stroke-width': element.strokeWidth || 1,
+            opacity: (element.opacity ?? 100) / 100
+        };
+        if (element.angle) {
+            attr.transform = `rotate(${element.angle * 180 / Math.PI} ${x + width / 2} ${y + height / 2})`;
+        }
+
+        switch (element.type) {
+            case 'rectangle':
+                svg.createSvg('rect', { attr: { ...attr, x, y, width, height, rx: element.roundness ? 8 : 0 } });
+                break;
+            case 'ellipse':
+                svg.createSvg('ellipse', { attr: { ...attr, cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 } });
+                break;
+            case 'diamond':
+                svg.createSvg('polygon', {
+                    attr: { ...attr, points: `${x + width / 2},${y} ${x + width},${y + height / 2} ${x + width / 2},${y + height} ${x},${y + height / 2}` }
+                });
+                break;
+            case 'line':
+            case 'arrow':
+            case 'freedraw': {
+                const points = (element.points || []).map(([px, py]) => `${x + px},${y + py}`).join(' ');
+                const line = svg.createSvg('polyline', { attr: { ...attr, points, fill: 'none' } });
+                if (element.type === 'arrow' && element.endArrowhead !== null) line.setAttr('marker-end', 'url(#recycle-bin-arrow)');
+                break;
+            }
+            case 'text': {
+                const fontSize = element.fontSize || 20;
+                const textEl = svg.createSvg('text', {
+                    attr: { x, y, 'font-size': fontSize, fill: attr.stroke, transform: attr.transform || '' }
+                });
+                (element.text || '').split('\n').forEach((line, index) => {
+                    textEl.createSvg('tspan', { attr: { x, dy: index === 0 ? fontSize : fontSize * 1.25 } }).textContent = line;
+                });
+                break;
+            }
+            default:
+                // Images and embeds: outline where they sit
+                svg.createSvg('rect', { attr: { ...attr, x, y, width, height, fill: 'none', 'stroke-dasharray': '4 4' } });
+        }
+    }
+}
+
+module.exports = {
+    renderCanvas,
+    parseDrawing,
+    renderDrawing
+};
@@ -0,0 +1,205 @@
+/**
+ * Recycle Bin Plugin - Retention Rules
+ *
+ * Decides which trashed items the auto-purge removes. Rules are checked in
+ * order and the first one that matches an item decides its fate:
+ *
+ *   { extensions: 'png, jpg', path: '', minSizeMb: 0, action: 'purge', days: 30 }
+ *   { extensions: '', path: 'Journal/**', minSizeMb: 0, action: 'keep' }
+ *
+ * Items no rule matches fall back to the default age. Finally the oldest
+ * remaining items are evicted until the bin fits under the size cap.
+ * Pinned items are never purged.
+ *
+ * @module retention
+ */
+
+'use strict';
+
+const { escapeRegExp, isInFolders } = require('./utils');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MEGABYTE = 1024 * 1024;
+
+/**
+ * Create an empty rule
+ * @returns {object} Rule
+ */
+function createRule() {
+    return { extensions: '', path: '', minSizeMb: 0, action: 'purge', days: 30 };
+}
+
+/**
+ * Convert a path glob to a regular expression.
+ * "*" matches within a folder, "**" across folders, "?" a single character.
+ * A "**" folder segment matches zero or more folders, so a PNG glob starting
+ * with it matches "img.png" at the vault root as well as "a/b/img.png".
+ * A trailing "/" matches everything inside the folder.
+ * @param {string} glob - e.g. "Journal/**" or "*.png"
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    let pattern = glob.trim().replace(/^\//, '');
+    if (pattern.endsWith('/')) pattern += '**';
+
+    const source = pattern.split(/(\*\*\/|\*\*|\*|\?)/).map(part => {
+        if (part === '**/') return '(?:.*/)?';
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return escapeRegExp(part);
+    }).join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a rule applies to an item
+ * @param {object} rule
+ * @param {TrashedFile|TrashedFolder} item
+ * @returns {boolean}
+ */
+function matchesRule(rule, item) {
+    const extensions = (rule.extensions || '')
+        .split(',')
+        .map(ext => ext.trim().toLowerCase().replace(/^\./, ''))
+        .filter(Boolean);
+    if (extensions.length > 0 && (item.kind !== 'file' || !extensions.includes(item.extension))) {
+        return false;
+    }
+
+    if (rule.path && rule.path.trim()) {
+        const regex = globToRegExp(rule.path);
+        // Folders also match a glob for their contents, e.g. "Journal/" matches the folder "Journal"
+        if (!regex.test(item.originalPath) && !(item.kind === 'folder' && regex.test(item.originalPath + '/'))) {
+            return false;
+        }
+    }
+
+    if (rule.minSizeMb > 0 && item.size < rule.minSizeMb * MEGABYTE) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Decide what the retention policy does with an item
+ * @param {TrashedFile|TrashedFolder} item
+ * @param {object} policy - See planPurge
+ * @returns {object} { expiresAt, reason, ruleIndex }; expiresAt is null if the item is kept
+ */
+function getRetention(item, policy) {
+    if (item.pinned) return { expiresAt: null, reason: 'pinned', ruleIndex: -1 };
+
+    const ruleIndex = policy.rules.findIndex(rule => matchesRule(rule, item));
+    const rule = policy.rules[ruleIndex];
+    if (rule) {
+        const expiresAt = rule.action === 'keep' ? null : item.deletedAt + rule.days * DAY;
+        return { expiresAt, reason: 'rule', ruleIndex };
+    }
+
+    const expiresAt = policy.defaultDays > 0 ? item.deletedAt + policy.defaultDays * DAY : null;
+    return { expiresAt, reason: 'default', ruleIndex: -1 };
+}
+
+/**
+ * Work out what the next purge would remove
+ * @param {Array<TrashedFile|TrashedFolder>} items - Top-level trashed items
+ * @param {object} policy - { rules, defaultDays, maxSizeMb }; defaultDays 0 keeps unmatched items
+ * @param {number} now - Current time
+ * @returns {Array<object>} Purges { item, reason: 'rule'|'default'|'sizeCap', ruleIndex }
+ */
+function planPurge(items, policy, now = Date.now()) {
+    const plan = [];
+    const kept = [];
+    const remaining = [];
+
+    for (const item of items) {
+        const { expiresAt, reason, ruleIndex } = getRetention(item, policy);
+
+        if (reason === 'pinned' || (reason === 'rule' && expiresAt === null)) {
+            kept.push(item);
+        } else if (expiresAt !== null && expiresAt < now) {
+            plan.push({ item, reason, ruleIndex });
+        } else {
+            remaining.push(item);
+        }
+    }
+
+    // Evict the oldest items until the bin fits; kept items count towards the total but stay
+    if (policy.maxSizeMb > 0) {
+        const limit = policy.maxSizeMb * MEGABYTE;
+        let total = [...kept, ...remaining].reduce((sum, item) => sum + item.size, 0);
+
+        remaining.sort((a, b) => a.deletedAt - b.deletedAt);
+        for (const item of remaining) {
+            if (total <= limit) break;
+            plan.push({ item, reason: 'sizeCap', ruleIndex: -1 });
+            total -= item.size;
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Trashed items the user chose to keep forever, keyed by trash path
+ */
+class PinList {
+    /**
+     * @param {string[]} paths - Saved trash paths
+     * @param {Function} onChange - Called after the list was modified
+     */
+    constructor(paths = [], onChange = () => {}) {
+        this.paths = new Set(paths);
+        this.onChange = onChange;
+    }
+
+    /**
+     * @param {string} trashPath - Path inside the trash folder
+     * @returns {boolean} True if the item is pinned
+     */
+    has(trashPath) {
+        return this.paths.has(trashPath);
+    }
+
+    /**
+     * Pin or unpin an item
+     * @param {string} trashPath - Path inside the trash folder
+     * @param {boolean} pinned
+     */
+    set(trashPath, pinned) {
+        if (pinned) {
+            this.paths.add(trashPath);
+        } else {
+            this.paths.delete(trashPath);
+        }
+        this.onChange();
+    }
+
+    /**
+     * Forget pins of items that are no longer in the trash, within the listed folders
+     * @param {Set<string>} existingPaths - Top-level trash paths currently present
+     * @param {string[]} listedFolders - Bin folders that were listed
+     */
+    prune(existingPaths, listedFolders) {
+        const before = this.paths.size;
+        for (const path of this.paths) {
+            if (!existingPaths.has(path) && isInFolders(path, listedFolders)) this.paths.delete(path);
+        }
+        if (this.paths.size !== before) this.onChange();
+    }
+
+    toJSON() {
+        return [...this.paths];
+    }
+}
+
+module.exports = {
+    createRule,
+    globToRegExp,
+    matchesRule,
+    getRetention,
+    planPurge,
+    PinList
+};
@@ -0,0 +1,289 @@
+/**
+ * Recycle Bin Plugin - Search
+ *
+ * Parses search queries with filter operators and matches them against
+ * trashed items:
+ *
+ *   ext:pdf,png  size:>1mb  deleted:<7d  deleted:2026-10-01..2026-10-07  path:Projects/  tag:#meeting  is:folder
+ *
+ * Anything else is free text matched against names, original paths and,
+ * when enabled, file contents. Prefix a term or filter with "-" to exclude.
+ *
+ * @module search
+ */
+
+'use strict';
+
+const { FILE_TYPES } = require('./constants');
+
+const OPERATORS = ['ext', 'size', 'deleted', 'path', 'tag', 'is'];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const AGE_UNITS = { h: 3600000, d: 86400000, w: 7 * 86400000, m: 30 * 86400000, y: 365 * 86400000 };
+
+/**
+ * Compare two numbers with an operator
+ * @param {number} a
+ * @param {string} op - One of <, <=, >, >=, =
+ * @param {number} b
+ * @returns {boolean}
+ */
+function compare(a, op, b) {
+    switch (op) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        default: return a === b;
+    }
+}
+
+/**
+ * Parse a size like ">1.5mb"
+ * @param {string} value
+ * @returns {object|null} { op, bytes }
+ */
+function parseSize(value) {
+    const match = /^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)(b|kb|mb|gb)?$/i.exec(value);
+    if (!match) return null;
+    const unit = SIZE_UNITS[(match[3] || 'b').toLowerCase()];
+    return { op: match[1] || '>=', bytes: parseFloat(match[2]) * unit };
+}
+
+/**
+ * Parse an age like "<7d"
+ * @param {string} value
+ * @returns {object|null} { op, ms }
+ */
+function parseAge(value) {
+    const match = /^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)(h|d|w|m|y)?$/i.exec(value);
+    if (!match) return null;
+    const unit = AGE_UNITS[(match[3] || 'd').toLowerCase()];
+    return { op: match[1] || '<', ms: parseFloat(match[2]) * unit };
+}
+
+/**
+ * Parse a calendar day or range of days like "2026-10-01..2026-10-07"
+ * @param {string} value
+ * @returns {object|null} { start, end } in local time; end is exclusive
+ */
+function parseDateRange(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:\.\.(\d{4})-(\d{2})-(\d{2}))?$/.exec(value);
+    if (!match) return null;
+    const start = new Date(+match[1], +match[2] - 1, +match[3]);
+    const last = match[4] ? new Date(+match[4], +match[5] - 1, +match[6]) : start;
+    const end = new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+    return { start: start.getTime(), end: end.getTime() };
+}
+
+/**
+ * Collect the tags of a markdown note, from inline #tags and frontmatter
+ * @param {string} text - Note content
+ * @returns {Set<string>} Lower-case tags without the leading #
+ */
+function extractTags(text) {
+    const tags = new Set();
+
+    for (const match of text.matchAll(/(?:^|\s)#([\p{L}\p{N}_\-/]+)/gu)) {
+        tags.add(match[1].toLowerCase());
+    }
+
+    const frontmatter = /^---\r?\n([\s\S]*?)\r?\n---/.exec(text);
+    if (frontmatter) {
+        const block = /^tags?:\s*(.*(?:\r?\n\s+-.*)*)/m.exec(frontmatter[1]);
+        if (block) {
+            for (const tag of block[1].split(/[\s,[\]-]+/)) {
+                const clean = tag.replace(/^#/, '').replace(/^["']|["']$/g, '').toLowerCase();
+                if (clean) tags.add(clean);
+            }
+        }
+    }
+
+    return tags;
+}
+
+/**
+ * @param {string} path
+ * @param {string} text
+ * @returns {boolean} True if the text occurs at the start of the path or of one of its segments
+ */
+function startsAtSegment(path, text) {
+    for (let index = path.indexOf(text); index !== -1; index = path.indexOf(text, index + 1)) {
+        if (index === 0 || path[index - 1] === '/') return true;
+    }
+    return false;
+}
+
+/**
+ * Build a filter from an operator and its value
+ * @param {string} op - Operator name
+ * @param {string} value - Operator value
+ * @returns {object|null} Filter { op, test, needsContent }
+ */
+function createFilter(op, value) {
+    const lower = value.toLowerCase();
+
+    switch (op) {
+        case 'ext': {
+            const exts = lower.split(',').map(e => e.replace(/^\./, '')).filter(Boolean);
+            return { op, test: item => item.kind === 'file' && exts.includes(item.extension) };
+        }
+        case 'size': {
+            const size = parseSize(value);
+            if (!size) return null;
+            return { op, test: item => compare(item.size, size.op, size.bytes) };
+        }
+        case 'deleted': {
+            const range = parseDateRange(value);
+            if (range) {
+                return { op, test: item => item.deletedAt >= range.start && item.deletedAt < range.end };
+            }
+            const age = parseAge(value);
+            if (!age) return null;
+            return { op, test: item => compare(Date.now() - item.deletedAt, age.op, age.ms) };
+        }
+        case 'path':
+            return { op, test: item => startsAtSegment(item.originalPath.toLowerCase(), lower) };
+        case 'tag': {
+            const tag = lower.replace(/^#/, '');
+            return {
+                op,
+                needsContent: true,
+                test: (item, text) => {
+                    if (text === null) return false;
+                    const tags = extractTags(text);
+                    return tags.has(tag) || [...tags].some(t => t.startsWith(tag + '/'));
+                }
+            };
+        }
+        case 'is':
+            if (lower === 'folder' || lower === 'file') {
+                return { op, test: item => item.kind === lower };
+            }
+            if (FILE_TYPES[lower]) {
+                return { op, test: item => item.kind === 'file' && FILE_TYPES[lower].includes(item.extension) };
+            }
+            if (lower === 'other') {
+                const known = Object.values(FILE_TYPES).flat();
+                return { op, test: item => item.kind === 'file' && !known.includes(item.extension) };
+            }
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Raw search string
+ * @returns {object} { terms: [{ text, negate }], filters: [{ op, test, negate, needsContent }] }
+ */
+function parseQuery(query) {
+    const parsed = { terms: [], filters: [] };
+    const pattern = /(-)?(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+        const [, negate, key, quoted, bare] = match;
+        const value = (quoted !== undefined ? quoted : bare || '').trim();
+        const op = key ? key.toLowerCase() : null;
+
+        const filter = op && OPERATORS.includes(op) && value ? createFilter(op, value) : null;
+        if (filter) {
+            filter.negate = !!negate;
+            parsed.filters.push(filter);
+            continue;
+        }
+
+        // Unknown operators are plain text
+        const text = (key ? key + ':' : '') + value;
+        if (text) parsed.terms.push({ text: text.toLowerCase(), negate: !!negate });
+    }
+
+    return parsed;
+}
+
+/**
+ * @param {object} parsed - Parsed query
+ * @returns {boolean} True if the query matches everything
+ */
+function isEmptyQuery(parsed) {
+    return parsed.terms.length === 0 && parsed.filters.length === 0;
+}
+
+/**
+ * Find a short piece of text around the first occurrence of a term
+ * @param {string} text - Content
+ * @param {string} term - Lower-case term
+ * @returns {string|null} Snippet
+ */
+function getSnippet(text, term) {
+    const index = text.toLowerCase().indexOf(term);
+    if (index === -1) return null;
+
+    const start = Math.max(0, index - 30);
+    const end = Math.min(text.length, index + term.length + 50);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+}
+
+/**
+ * Check a single file or folder node against the query, ignoring its children
+ * @param {TrashedFile|TrashedFolder} item
+ * @param {object} parsed - Parsed query
+ * @param {object} options - { searchContent, getContent: async item => string|null }
+ * @returns {Promise<object|null>} { snippet } when the node matches
+ */
+async function matchNode(item, parsed, options) {
+    const needsContent = item.kind === 'file' &&
+        (parsed.filters.some(f => f.needsContent) || (options.searchContent && parsed.terms.length > 0));
+    const text = needsContent ? await options.getContent(item) : null;
+
+    for (const filter of parsed.filters) {
+        if (filter.test(item, text) === filter.negate) return null;
+    }
+
+    let snippet = null;
+    const haystack = (item.name + '\n' + item.originalPath).toLowerCase();
+    for (const term of parsed.terms) {
+        let found = haystack.includes(term.text);
+        if (!found && options.searchContent && text !== null) {
+            const termSnippet = getSnippet(text, term.text);
+            found = termSnippet !== null;
+            if (found && !term.negate && !snippet) snippet = termSnippet;
+        }
+        if (found === term.negate) return null;
+    }
+
+    return { snippet };
+}
+
+/**
+ * Match an item and, for folders, its descendants
+ * @param {TrashedFile|TrashedFolder} item
+ * @param {object} parsed - Parsed query
+ * @param {object} options - { searchContent, getContent }
+ * @returns {Promise<object|null>} { self, snippet, descendants: Map<path, { snippet }> }
+ */
+async function matchItem(item, parsed, options) {
+    const self = await matchNode(item, parsed, options);
+    const descendants = new Map();
+
+    const walk = async (folder) => {
+        for (const child of folder.children) {
+            const match = await matchNode(child, parsed, options);
+            if (match) descendants.set(child.path, match);
+            if (child.kind === 'folder') await walk(child);
+        }
+    };
+    if (item.kind === 'folder') await walk(item);
+
+    if (!self && descendants.size === 0) return null;
+    return { self: !!self, snippet: self ? self.snippet : null, descendants };
+}
+
+module.exports = {
+    parseQuery,
+    isEmptyQuery,
+    matchItem,
+    extractTags
+};
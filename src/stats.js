@@ -0,0 +1,118 @@
+/**
+ * Recycle Bin Plugin - Statistics
+ *
+ * Summarises what is in the trash: totals, file type breakdown, largest
+ * items, deletions over time and the folders things were deleted from.
+ *
+ * @module stats
+ */
+
+'use strict';
+
+const { FILE_TYPES } = require('./constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} extension
+ * @returns {string} FILE_TYPES category, or 'other'
+ */
+function getCategory(extension) {
+    for (const [category, extensions] of Object.entries(FILE_TYPES)) {
+        if (extensions.includes(extension)) return category;
+    }
+    return 'other';
+}
+
+/**
+ * Format a time as a local calendar day
+ * @param {number} time
+ * @returns {string} e.g. "2026-10-19"
+ */
+function dayKey(time) {
+    const date = new Date(time);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Count deletions in consecutive periods ending today
+ * @param {Array<TrashedFile|TrashedFolder>} items
+ * @param {number} days - Length of one period in days
+ * @param {number} periods - Number of periods
+ * @param {number} now - Current time
+ * @returns {Array<object>} Oldest first: { from, to, count, size }; from/to are day keys
+ */
+function buildTimeline(items, days, periods, now) {
+    const today = new Date(now);
+    const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).getTime();
+
+    const buckets = [];
+    for (let i = periods - 1; i >= 0; i--) {
+        const end = tomorrow - i * days * DAY;
+        const start = end - days * DAY;
+        buckets.push({ start, end, from: dayKey(start), to: dayKey(end - 1), count: 0, size: 0 });
+    }
+
+    for (const item of items) {
+        const bucket = buckets.find(b => item.deletedAt >= b.start && item.deletedAt < b.end);
+        if (bucket) {
+            bucket.count++;
+            bucket.size += item.size;
+        }
+    }
+    return buckets;
+}
+
+/**
+ * Compute statistics for the trash
+ * @param {Array<TrashedFile|TrashedFolder>} items - Top-level trashed items
+ * @param {number} now - Current time
+ * @returns {object} { count, fileCount, size, types, largest, days, weeks, folders }
+ */
+function computeStats(items, now = Date.now()) {
+    const types = new Map();
+    let fileCount = 0;
+
+    const walk = (entry) => {
+        if (entry.kind === 'folder') {
+            entry.children.forEach(walk);
+            return;
+        }
+        fileCount++;
+        const category = getCategory(entry.extension);
+        const type = types.get(category) || { category, count: 0, size: 0 };
+        type.count++;
+        type.size += entry.size;
+        types.set(category, type);
+    };
+    items.forEach(walk);
+
+    const folders = new Map();
+    for (const item of items) {
+        const folder = item.originalPath.includes('/')
+            ? item.originalPath.slice(0, item.originalPath.lastIndexOf('/'))
+            : '';
+        const entry = folders.get(folder) || { folder, count: 0, size: 0 };
+        entry.count++;
+        entry.size += item.size;
+        folders.set(folder, entry);
+    }
+
+    const bySize = (a, b) => b.size - a.size;
+    return {
+        count: items.length,
+        fileCount,
+        size: items.reduce((sum, item) => sum + item.size, 0),
+        types: [...types.values()].sort(bySize),
+        largest: [...items].sort(bySize).slice(0, 10),
+        days: buildTimeline(items, 1, 30, now),
+        weeks: buildTimeline(items, 7, 12, now),
+        folders: [...folders.values()].sort(bySize).slice(0, 10)
+    };
+}
+
+module.exports = {
+    getCategory,
+    computeStats
+};
@@ -0,0 +1,297 @@
+/**
+ * Recycle Bin Plugin - Text Preview
+ *
+ * Shows trashed text files: code and markdown source with syntax
+ * highlighting and line numbers, or markdown rendered. Long files are
+ * rendered in chunks as they are scrolled into view, and the preview can
+ * be searched with highlighted, navigable matches.
+ *
+ * @module text-preview
+ */
+
+'use strict';
+
+const obsidian = require('obsidian');
+const { PREVIEW_CHUNK_LINES } = require('./constants');
+const { escapeHtml, escapeRegExp } = require('./utils');
+
+// Prism grammar names for extensions that differ from them
+const PRISM_LANGUAGES = {
+    md: 'markdown',
+    js: 'javascript',
+    jsx: 'jsx',
+    ts: 'typescript',
+    tsx: 'tsx',
+    html: 'markup',
+    xml: 'markup',
+    svg: 'markup',
+    yml: 'yaml',
+    py: 'python',
+    rb: 'ruby',
+    h: 'c',
+    rs: 'rust',
+    sh: 'bash'
+};
+
+/**
+ * Split highlighted HTML into lines, closing and reopening the token spans around each line break
+ * @param {string} html - Prism output, where only <span> tags occur
+ * @returns {string[]} HTML of each line
+ */
+function splitHighlightedLines(html) {
+    const lines = [];
+    const open = [];
+    let line = '';
+
+    for (const [, tag, close, text] of html.matchAll(/(<span[^>]*>)|(<\/span>)|([^<]+)/g)) {
+        if (tag) {
+            open.push(tag);
+            line += tag;
+        } else if (close) {
+            open.pop();
+            line += close;
+        } else {
+            const parts = text.split('\n');
+            line += parts[0];
+            for (const part of parts.slice(1)) {
+                lines.push(line + '</span>'.repeat(open.length));
+                line = open.join('') + part;
+            }
+        }
+    }
+    lines.push(line);
+    return lines;
+}
+
+/**
+ * Split markdown into chunks of about maxLines lines, cutting only at blank lines outside code blocks
+ * @param {string} text
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+function splitMarkdownChunks(text, maxLines) {
+    const chunks = [];
+    let chunk = [];
+    let fence = null;
+
+    for (const line of text.split('\n')) {
+        const marker = /^\s*(`{3,}|~{3,})/.exec(line);
+        if (marker && (!fence || marker[1].startsWith(fence))) {
+            fence = fence ? null : marker[1];
+        }
+
+        if (!fence && chunk.length >= maxLines && line.trim() === '') {
+            chunks.push(chunk.join('\n'));
+            chunk = [];
+        }
+        chunk.push(line);
+    }
+    chunks.push(chunk.join('\n'));
+    return chunks;
+}
+
+/**
+ * Lazily rendered, searchable preview of a text file
+ */
+class TextPreview {
+    /**
+     * @param {HTMLElement} scrollEl - Scrolling container the preview is added to
+     * @param {object} options
+     * @param {string} options.text - File contents
+     * @param {string} options.extension - File extension, selects the highlighting
+     * @param {boolean} options.rendered - Render markdown instead of showing its source
+     * @param {string} options.sourcePath - Path used to resolve links in rendered markdown
+     * @param {object} options.component - Owner of rendered markdown children
+     */
+    constructor(scrollEl, options) {
+        this.scrollEl = scrollEl;
+        this.options = options;
+        this.showRendered = options.rendered && ['md', 'markdown'].includes(options.extension);
+
+        this.chunks = [];
+        this.next = 0;
+        this.pending = null;
+        this.destroyed = false;
+
+        this.matches = [];
+        this.current = -1;
+
+        this.bodyEl = scrollEl.createDiv({ cls: this.showRendered ? 'recycle-bin-rendered' : 'recycle-bin-code' });
+        this.sentinel = scrollEl.createDiv({ cls: 'recycle-bin-preview-sentinel' });
+        this.observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) this.renderNext();
+        }, { root: scrollEl, rootMargin: '600px' });
+    }
+
+    /**
+     * Render the first chunk and load the rest on scroll
+     */
+    async render() {
+        const { text, extension } = this.options;
+        if (this.showRendered) {
+            this.chunks = splitMarkdownChunks(text, PREVIEW_CHUNK_LINES);
+        } else {
+            // Highlight the whole text at once, so comments and strings spanning chunks stay intact
+            let html = null;
+            const language = PRISM_LANGUAGES[extension] || extension;
+            try {
+                const prism = await obsidian.loadPrism();
+                if (prism.languages[language]) html = prism.highlight(text, prism.languages[language], language);
+            } catch (e) {
+                // No highlighting, the text is still shown
+            }
+
+            const lines = html === null ? escapeHtml(text).split('\n') : splitHighlightedLines(html);
+            for (let start = 0; start < lines.length; start += PREVIEW_CHUNK_LINES) {
+                this.chunks.push({ start, lines: lines.slice(start, start + PREVIEW_CHUNK_LINES) });
+            }
+        }
+
+        await this.renderNext();
+    }
+
+    /**
+     * Render the next chunk, if any
+     * @returns {Promise<void>} Resolves when the chunk, or the one already rendering, is done
+     */
+    renderNext() {
+        if (this.pending) return this.pending;
+        if (this.next >= this.chunks.length) return Promise.resolve();
+
+        this.pending = this.renderChunk(this.chunks[this.next++]).catch(e => {
+            console.error('Failed to render preview:', e);
+        }).finally(() => {
+            this.pending = null;
+            if (this.destroyed) return;
+            this.sentinel.toggle(this.next < this.chunks.length);
+
+            // Observe again so a sentinel that is still in view asks for the next chunk
+            this.observer.unobserve(this.sentinel);
+            this.observer.observe(this.sentinel);
+        });
+        return this.pending;
+    }
+
+    /**
+     * @param {string|object} chunk - Markdown, or lines of code: { start, lines }
+     */
+    async renderChunk(chunk) {
+        if (this.showRendered) {
+            const el = this.bodyEl.createDiv();
+            await obsidian.MarkdownRenderer.renderMarkdown(chunk, el, this.options.sourcePath, this.options.component);
+        } else {
+            this.renderCode(chunk);
+        }
+    }
+
+    /**
+     * Render every chunk that is still missing
+     */
+    async renderAll() {
+        while (this.next < this.chunks.length) await this.renderNext();
+    }
+
+    /**
+     * Render lines of code with line numbers
+     * @param {object} chunk - { start, lines }; lines hold escaped or highlighted HTML
+     */
+    renderCode(chunk) {
+        const fragment = document.createDocumentFragment();
+        chunk.lines.forEach((line, index) => {
+            const row = fragment.createDiv({ cls: 'recycle-bin-code-line' });
+            row.createSpan({ cls: 'recycle-bin-code-line-number', text: String(chunk.start + index + 1) });
+            // Lines are escaped, or highlighted by Prism, which escapes them
+            row.createSpan({ cls: 'recycle-bin-code-text' }).innerHTML = line || '\n';
+        });
+        this.bodyEl.addClass(`language-${this.options.extension}`);
+        this.bodyEl.appendChild(fragment);
+    }
+
+    /**
+     * Highlight all matches of a query and select the first one
+     * @param {string} query - Case-insensitive text
+     * @returns {Promise<number>} Number of matches
+     */
+    async find(query) {
+        this.clearFind();
+        if (!query) return 0;
+
+        // Matches in chunks that were not scrolled to yet count too
+        await this.renderAll();
+
+        const regex = new RegExp(escapeRegExp(query), 'gi');
+        const segments = this.showRendered
+            ? [this.bodyEl]
+            : Array.from(this.bodyEl.querySelectorAll('.recycle-bin-code-text'));
+
+        for (const segment of segments) {
+            // Map offsets in the segment's text back to its text nodes
+            const nodes = [];
+            let text = '';
+            const walker = document.createTreeWalker(segment, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                nodes.push({ node: walker.currentNode, start: text.length });
+                text += walker.currentNode.data;
+            }
+
+            const locate = (offset) => {
+                let i = nodes.length - 1;
+                while (i > 0 && nodes[i].start > offset) i--;
+                return [nodes[i].node, offset - nodes[i].start];
+            };
+
+            for (const match of text.matchAll(regex)) {
+                const range = document.createRange();
+                range.setStart(...locate(match.index));
+                range.setEnd(...locate(match.index + match[0].length));
+                this.matches.push(range);
+            }
+        }
+
+        if (this.matches.length > 0) this.select(0);
+        return this.matches.length;
+    }
+
+    /**
+     * Select a match, wrapping around at either end
+     * @param {number} index
+     */
+    select(index) {
+        if (this.matches.length === 0) return;
+        this.current = (index + this.matches.length) % this.matches.length;
+
+        const range = this.matches[this.current];
+        if (typeof Highlight !== 'undefined' && CSS.highlights) {
+            CSS.highlights.set('recycle-bin-find', new Highlight(...this.matches));
+            CSS.highlights.set('recycle-bin-find-current', new Highlight(range));
+        }
+        range.startContainer.parentElement?.scrollIntoView({ block: 'center' });
+    }
+
+    /**
+     * Remove the match highlights
+     */
+    clearFind() {
+        this.matches = [];
+        this.current = -1;
+        if (typeof Highlight !== 'undefined' && CSS.highlights) {
+            CSS.highlights.delete('recycle-bin-find');
+            CSS.highlights.delete('recycle-bin-find-current');
+        }
+    }
+
+    /**
+     * Stop loading chunks and remove highlights
+     */
+    destroy() {
+        this.destroyed = true;
+        this.observer.disconnect();
+        this.clearFind();
+    }
+}
+
+module.exports = {
+    TextPreview,
+    splitHighlightedLines,
+    splitMarkdownChunks
+};
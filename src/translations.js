@@ -30,6 +30,9 @@ const TRANSLATIONS = {
 
         // Actions
         restore: 'Restore',
+        restoreTo: 'Restore to…',
+        chooseFolder: 'Choose a folder to restore into…',
+        createFolder: 'Create folder "{path}"',
         deleteForever: 'Delete Forever',
         emptyAll: 'Empty All',
         refresh: 'Refresh',
@@ -43,6 +46,7 @@ const TRANSLATIONS = {
         size: 'Size',
         deleted: 'Deleted',
         items: 'items',
+        deletedOnDevice: 'on {device}',
 
         // Time
         today: 'Today',
@@ -56,27 +60,83 @@ const TRANSLATIONS = {
         // Settings - Trash location
         trashLocation: '📍 Trash Location',
         deletedFilesLocation: 'Deleted files location',
-        deletedFilesLocationDesc: 'Choose where deleted files should go. "Obsidian .trash" is required for this plugin to work.',
+        deletedFilesLocationDesc: 'Choose where deleted files should go. With the system trash or permanent deletion, turn on "Keep copies of deleted files" below to use this plugin.',
         obsidianTrashFolder: '📁 Obsidian .trash folder (recommended)',
         systemTrash: '🗑️ System trash',
         permanentDelete: '⚠️ Permanently delete (no recovery)',
         usingObsidianTrash: "✓ Using Obsidian's .trash folder",
         deletedFilesWillAppear: 'Deleted files will appear in this Recycle Bin.',
         usingSystemTrashWarning: '⚠ Using System Trash',
-        systemTrashWarningDesc: 'Deleted files go to your OS trash, not this Recycle Bin. Change below to use this plugin.',
+        systemTrashWarningDesc: 'Deleted files go to your OS trash, not this Recycle Bin. Change below, or keep copies of deleted files, to use this plugin.',
         permanentDeleteWarning: '⚠ Permanent Deletion Enabled',
         permanentDeleteWarningDesc: 'Deleted files are immediately destroyed! Change below to enable recovery.',
         trashLocationChanged: 'Trash location changed to',
+        captureMode: 'Keep copies of deleted files',
+        captureModeDesc: 'Copy every file deleted in Obsidian into the plugin\'s own bin (.recycle-bin) before it goes to the system trash or is deleted, so you can still preview and restore it here.',
+        captureActive: '✓ Keeping copies of deleted files',
+        captureActiveDesc: 'Deleted files are copied into this Recycle Bin before Obsidian removes them.',
+        captureFailed: 'Could not keep a copy of {name}, so it was not deleted',
+        binFolders: 'Additional bin folders',
+        binFoldersDesc: 'Folders whose contents are listed in this Recycle Bin alongside the trash, for example a folder other tools move deleted notes to. Paths are relative to the vault root.',
+        addBinFolder: 'Add folder',
+        removeBinFolder: 'Remove folder',
+        invalidBinFolder: 'This folder cannot be used as a bin folder',
+        binSource: 'Bin folder',
+        sourceTrash: 'Trash',
+        sourceCapture: 'Kept copy',
 
         // Settings - Plugin settings
         pluginSettings: '⚙️ Plugin Settings',
         settingsDisabled: '⚠️ Settings disabled',
-        settingsDisabledDesc: 'Change "Deleted files location" above to "Obsidian .trash folder" to enable this plugin.',
+        settingsDisabledDesc: 'Change "Deleted files location" above to "Obsidian .trash folder", or turn on "Keep copies of deleted files", to enable this plugin.',
 
         autoPurge: 'Auto-purge old files',
         autoPurgeDesc: 'Automatically delete files older than a specified number of days',
         autoPurgeDays: 'Auto-purge after (days)',
-        autoPurgeDaysDesc: 'Delete files older than this many days',
+        autoPurgeDaysDesc: 'Delete files that match no retention rule once they are older than this many days',
+        autoPurgeInterval: 'Auto-purge schedule',
+        hourly: 'Hourly',
+        daily: 'Daily',
+        nextPurge: 'Next auto-purge: {time}',
+        expiringSoon: 'Expiring soon',
+        expiresInDays: 'Expires in {count} day(s)',
+        expiresNextPurge: 'Purged on next run',
+        keepForever: 'Keep forever',
+        allowPurge: 'Allow auto-purge',
+        keptForever: 'Kept forever',
+        maxBinSize: 'Maximum bin size (MB)',
+        maxBinSizeDesc: 'When the bin grows beyond this size, the oldest items are purged first. 0 means no limit.',
+        purgeAction: 'Purged items',
+        purgeActionDesc: 'What Empty All and auto-purge do with the items they remove. Archived items are added to a ZIP archive per month, with a manifest of their original paths and deletion dates.',
+        purgeActionDelete: 'Delete permanently',
+        purgeActionArchive: 'Move to archive',
+        archiveLocation: 'Archive location',
+        archiveLocationDesc: 'Vault folder for the archives, or on desktop an absolute path outside the vault, such as /Users/me/Backups.',
+        retentionRules: 'Retention rules',
+        retentionRulesDesc: 'Checked from top to bottom; the first rule matching an item decides how long it is kept. Empty fields match everything. Paths are globs against the original path, e.g. Journal/** or **/*.png.',
+        retentionRule: 'Rule {number}',
+        ruleExtensions: 'Extensions, e.g. md, png',
+        rulePath: 'Path, e.g. Journal/**',
+        ruleMinSize: 'Min size (MB)',
+        ruleDays: 'Days',
+        rulePurgeAfter: 'Purge after days',
+        ruleKeepForever: 'Never purge',
+        moveUp: 'Move up',
+        moveDown: 'Move down',
+        removeRule: 'Remove rule',
+        addRule: 'Add rule',
+        previewPurge: 'Preview next purge',
+        purgeNothing: 'The next purge would not remove anything.',
+        purgeSummary: 'The next purge would remove {count} item(s), freeing {size}:',
+        archiveNow: 'Archive now',
+        purgeNow: 'Delete now',
+        purgeReasonDefault: 'Default age',
+        purgeReasonSize: 'Bin size limit',
+
+        undoGraceSeconds: 'Undo grace period (seconds)',
+        undoGraceSecondsDesc: 'Permanently deleted items are held back this long so they can be undone. 0 deletes immediately.',
+        undoLimit: 'Undo history',
+        undoLimitDesc: 'Number of recent restore and delete operations that can be undone',
 
         showConfirmations: 'Show confirmation dialogs',
         showConfirmationsDesc: 'Ask for confirmation before deleting or emptying trash',
@@ -84,6 +144,9 @@ const TRANSLATIONS = {
         showMetadata: 'Show file metadata',
         showMetadataDesc: 'Display file size and deletion date in the list',
 
+        searchContent: 'Search file contents',
+        searchContentDesc: 'Also match the text of trashed markdown and text files when searching (slower on large bins)',
+
         showDeleteButton: 'Show per-item delete button',
         showDeleteButtonDesc: 'Show a delete button on each item to permanently delete individual files',
 
@@ -98,32 +161,154 @@ const TRANSLATIONS = {
 
         // Modals
         deletePermanently: 'Delete permanently',
-        deleteConfirmMessage: 'Are you sure you want to permanently delete "{name}"? This cannot be undone.',
+        deleteConfirmMessage: 'Are you sure you want to permanently delete "{name}"? It can only be undone until the undo grace period ends.',
+        restoreConflict: 'File already exists',
+        restoreConflictMessage: '"{path}" already exists in your vault. What would you like to do?',
+        restoreKeepBoth: 'Restore as "{name}"',
+        restoreOverwrite: 'Overwrite (move current file to bin)',
+        restoreCompare: 'Compare',
+        restoreSkip: 'Skip',
+        applyToAll: 'Apply to all conflicts',
+        trashedVersion: 'In recycle bin',
+        currentVersion: 'Current file',
         emptyBin: 'Empty recycle bin',
-        emptyBinConfirmMessage: 'Are you sure you want to permanently delete ALL files in the recycle bin? This cannot be undone!',
+        emptyBinConfirmMessage: 'Are you sure you want to permanently delete ALL files in the recycle bin? It can only be undone until the undo grace period ends!',
+        archiveAll: 'Archive all',
 
         // Notices
         restored: 'Restored "{name}"',
-        cannotRestore: 'Cannot restore: file already exists at original location',
+        cannotRestore: 'Could not restore "{name}". See the console for details.',
+        restoreSkipped: 'Skipped restoring "{name}"',
+        cannotDelete: 'Could not delete "{name}". See the console for details.',
+        undo: 'Undo',
+        undoLastAction: 'Undo last recycle bin action',
+        undone: 'Recycle bin action undone',
+        undoFailed: 'Undo incomplete: {count} item(s) could not be moved back',
+        nothingToUndo: 'Nothing to undo',
         binEmptied: 'Recycle bin emptied',
         binAlreadyEmpty: 'Recycle bin is already empty',
         autoPurged: 'Auto-purged {count} old file(s) from recycle bin',
+        autoArchived: 'Archived {count} old item(s) from the recycle bin',
+        binArchived: 'Recycle bin archived to {path} and emptied',
+        archiveFailed: 'Archiving failed, nothing was deleted. See the developer console for details',
+        purgeFailed: 'Purging the recycle bin failed. See the developer console for details',
+        exportingProgress: 'Exporting {count} item(s)...',
+        exportedItems: 'Exported {count} item(s) to {path}',
+        exportFailed: 'Export failed, see the developer console for details',
+        importingProgress: 'Importing {name}...',
+        importedItems: 'Imported {count} item(s) into the recycle bin',
+        importFailed: 'Could not import {name}',
 
         // Toolbar
-        searchPlaceholder: 'Search deleted files...',
+        searchPlaceholder: 'Search deleted files... (try ext:pdf or is:folder)',
+        noMatches: 'No items match your search',
         sortNewest: 'Newest first',
         sortOldest: 'Oldest first',
         sortNameAZ: 'Name A-Z',
         sortNameZA: 'Name Z-A',
         sortLargest: 'Largest first',
         sortSmallest: 'Smallest first',
+        exportBinToZip: 'Export recycle bin to ZIP',
+        importFromZip: 'Import from ZIP',
+
+        // Selection
+        selectedCount: '{count} selected',
+        selectAllMatching: 'Select all',
+        invertSelection: 'Invert',
+        restoreSelected: 'Restore selected',
+        deleteSelected: 'Delete selected',
+        restoreNewestVersion: 'Restore the newest version',
+        deleteAllVersions: 'Delete all {count} versions permanently',
+        exportSelected: 'Export selected',
+        deleteSelectedConfirmMessage: 'Are you sure you want to permanently delete {count} selected item(s)? It can only be undone until the undo grace period ends.',
+        deleteItemsConfirmMessage: 'Are you sure you want to permanently delete {count} item(s)? It can only be undone until the undo grace period ends.',
+        deleteVersionsConfirmMessage: 'Are you sure you want to permanently delete all {count} versions of "{name}"? It can only be undone until the undo grace period ends.',
+        restoringProgress: 'Restoring {done}/{total}…',
+        deletingProgress: 'Deleting {done}/{total}…',
+        bulkRestoreSummary: 'Restored {succeeded} item(s), skipped {skipped}, failed {failed}',
+        bulkDeleteSummary: 'Deleted {succeeded} item(s), failed {failed}',
 
         // Preview
         previewNotAvailable: 'Preview not available for',
         files: 'files',
         restoreToView: 'Restore the file to view it normally',
         unableToLoadImage: 'Unable to load image',
-        noFileSelected: 'No file selected'
+        unableToPlay: 'This file cannot be played here',
+        archiveSummary: '{count} file(s), {size} uncompressed',
+        archiveName: 'Name',
+        archiveModified: 'Modified',
+        showSource: 'Source',
+        showRendered: 'Rendered',
+        wordWrap: 'Word wrap',
+        find: 'Find',
+        findPlaceholder: 'Find in file…',
+        noMatchesShort: 'No results',
+        previousMatch: 'Previous match (Shift+Enter)',
+        nextMatch: 'Next match (Enter)',
+
+        // Live updates
+        noLongerInBin: '{name} is no longer in the recycle bin',
+        noLongerInBinRestored: 'It was restored to {path}.',
+        noLongerInBinDesc: 'It was restored or permanently deleted.',
+        openFile: 'Open file',
+        originalTaken: 'Original path in use',
+        originalTakenDesc: 'A file now exists at the original location; restoring will ask how to resolve the conflict',
+        noFileSelected: 'No file selected',
+
+        // Backlinks
+        linkedFrom: 'Linked from {count} note(s) when deleted:',
+        updateLinks: 'Update links',
+        updateLinksMessage: '{count} note(s) linked to the restored file(s) at their old location. Update those links to the new location?',
+        updateLinksConfirm: 'Update links',
+        linksUpdated: 'Updated {count} link(s)',
+
+        // Comparison
+        compareWithCurrent: 'Compare with current',
+        showPreview: 'Show preview',
+        filesIdentical: 'The trashed file is identical to the current version',
+        copyHunkToCurrent: 'Copy to current note',
+        hunkCopied: 'Copied lines into "{path}"',
+        hunkOutdated: 'The note changed since the comparison was shown. Check the updated comparison and try again.',
+        hunkCopyFailed: 'Could not copy lines into the current note. See the console for details.',
+
+        // Versions
+        versionCount: '{count} versions',
+        versionDeleted: 'Deleted {date}',
+        compareWithNewest: 'Compare with newest version',
+        restoreVersion: 'Restore this version',
+
+        // Statistics
+        trashStatistics: 'Trash statistics',
+        totalSize: 'Total size',
+        trashedItems: 'Items',
+        itemsAndFiles: '{count} ({files} files)',
+        itemsCount: '{count} item(s)',
+        nextPurgeFrees: 'Next purge frees',
+        byFileType: 'By file type',
+        deletionsOverTime: 'Deletions over time',
+        perDay: 'Per day',
+        perWeek: 'Per week',
+        largestItems: 'Largest items',
+        topFolders: 'Top original folders',
+        category_markdown: 'Markdown',
+        category_code: 'Code',
+        category_image: 'Images',
+        category_document: 'Documents',
+        category_archive: 'Archives',
+        category_audio: 'Audio',
+        category_video: 'Video',
+        category_other: 'Other',
+
+        // Grouping
+        groupNone: 'No grouping',
+        groupByFolder: 'Group by folder',
+        groupByType: 'Group by file type',
+        groupByDate: 'Group by deletion date',
+        category_folder: 'Folders',
+        thisWeek: 'This week',
+        older: 'Older',
+        restoreAll: 'Restore all',
+        deleteAll: 'Delete all'
     },
 
     // German
@@ -137,6 +322,9 @@ const TRANSLATIONS = {
         usingSystemTrash: '⚠️ Du verwendest den System-Papierkorb.',
         goToSettings: 'Gehe zu Einstellungen → Papierkorb zum Aktivieren.',
         restore: 'Wiederherstellen',
+        restoreTo: 'Wiederherstellen nach…',
+        chooseFolder: 'Ordner für die Wiederherstellung wählen…',
+        createFolder: 'Ordner "{path}" erstellen',
         deleteForever: 'Endgültig löschen',
         emptyAll: 'Alles leeren',
         refresh: 'Aktualisieren',
@@ -148,6 +336,7 @@ const TRANSLATIONS = {
         size: 'Größe',
         deleted: 'Gelöscht',
         items: 'Elemente',
+        deletedOnDevice: 'auf {device}',
         today: 'Heute',
         yesterday: 'Gestern',
         daysAgo: 'Tagen',
@@ -155,28 +344,85 @@ const TRANSLATIONS = {
         fileInBin: 'Diese Datei befindet sich im Papierkorb',
         trashLocation: '📍 Papierkorb-Speicherort',
         deletedFilesLocation: 'Speicherort für gelöschte Dateien',
-        deletedFilesLocationDesc: 'Wähle, wohin gelöschte Dateien gehen sollen. "Obsidian .trash" ist für dieses Plugin erforderlich.',
+        deletedFilesLocationDesc: 'Wähle, wohin gelöschte Dateien gehen sollen. Mit dem System-Papierkorb oder endgültigem Löschen schalte unten "Kopien gelöschter Dateien behalten" ein, um dieses Plugin zu verwenden.',
         obsidianTrashFolder: '📁 Obsidian .trash Ordner (empfohlen)',
         systemTrash: '🗑️ System-Papierkorb',
         permanentDelete: '⚠️ Endgültig löschen (keine Wiederherstellung)',
         usingObsidianTrash: '✓ Verwendet Obsidians .trash-Ordner',
         deletedFilesWillAppear: 'Gelöschte Dateien erscheinen in diesem Papierkorb.',
         usingSystemTrashWarning: '⚠ Verwendet System-Papierkorb',
-        systemTrashWarningDesc: 'Gelöschte Dateien gehen in den OS-Papierkorb, nicht in diesen. Ändere unten, um dieses Plugin zu verwenden.',
+        systemTrashWarningDesc: 'Gelöschte Dateien gehen in den OS-Papierkorb, nicht in diesen. Ändere unten die Einstellung oder behalte Kopien gelöschter Dateien, um dieses Plugin zu verwenden.',
         permanentDeleteWarning: '⚠ Endgültiges Löschen aktiviert',
         permanentDeleteWarningDesc: 'Gelöschte Dateien werden sofort zerstört! Ändere unten, um Wiederherstellung zu ermöglichen.',
         trashLocationChanged: 'Papierkorb-Speicherort geändert zu',
+        captureMode: 'Kopien gelöschter Dateien behalten',
+        captureModeDesc: 'Jede in Obsidian gelöschte Datei in den eigenen Papierkorb des Plugins (.recycle-bin) kopieren, bevor sie in den System-Papierkorb verschoben oder gelöscht wird, damit du sie hier weiterhin ansehen und wiederherstellen kannst.',
+        captureActive: '✓ Kopien gelöschter Dateien werden behalten',
+        captureActiveDesc: 'Gelöschte Dateien werden in diesen Papierkorb kopiert, bevor Obsidian sie entfernt.',
+        captureFailed: 'Von {name} konnte keine Kopie behalten werden, daher wurde die Datei nicht gelöscht',
+        binFolders: 'Zusätzliche Papierkorb-Ordner',
+        binFoldersDesc: 'Ordner, deren Inhalt neben dem Papierkorb in diesem Papierkorb aufgelistet wird, zum Beispiel ein Ordner, in den andere Tools gelöschte Notizen verschieben. Pfade sind relativ zum Vault-Stammordner.',
+        addBinFolder: 'Ordner hinzufügen',
+        removeBinFolder: 'Ordner entfernen',
+        invalidBinFolder: 'Dieser Ordner kann nicht als Papierkorb-Ordner verwendet werden',
+        binSource: 'Papierkorb-Ordner',
+        sourceTrash: 'Papierkorb',
+        sourceCapture: 'Behaltene Kopie',
         pluginSettings: '⚙️ Plugin-Einstellungen',
         settingsDisabled: '⚠️ Einstellungen deaktiviert',
-        settingsDisabledDesc: 'Ändere "Speicherort für gelöschte Dateien" oben zu "Obsidian .trash Ordner", um dieses Plugin zu aktivieren.',
+        settingsDisabledDesc: 'Ändere "Speicherort für gelöschte Dateien" oben zu "Obsidian .trash Ordner" oder schalte "Kopien gelöschter Dateien behalten" ein, um dieses Plugin zu aktivieren.',
         autoPurge: 'Alte Dateien automatisch löschen',
         autoPurgeDesc: 'Automatisch Dateien löschen, die älter als eine bestimmte Anzahl von Tagen sind',
         autoPurgeDays: 'Automatisch löschen nach (Tagen)',
-        autoPurgeDaysDesc: 'Dateien löschen, die älter als diese Anzahl von Tagen sind',
+        autoPurgeDaysDesc: 'Dateien, auf die keine Aufbewahrungsregel zutrifft, löschen, sobald sie älter als diese Anzahl von Tagen sind',
+        autoPurgeInterval: 'Zeitplan für automatisches Löschen',
+        hourly: 'Stündlich',
+        daily: 'Täglich',
+        nextPurge: 'Nächstes automatisches Löschen: {time}',
+        expiringSoon: 'Läuft bald ab',
+        expiresInDays: 'Läuft in {count} Tag(en) ab',
+        expiresNextPurge: 'Wird beim nächsten Durchlauf gelöscht',
+        keepForever: 'Für immer behalten',
+        allowPurge: 'Automatisches Löschen erlauben',
+        keptForever: 'Wird für immer behalten',
+        maxBinSize: 'Maximale Papierkorbgröße (MB)',
+        maxBinSizeDesc: 'Wenn der Papierkorb größer als diese Größe wird, werden die ältesten Elemente zuerst gelöscht. 0 bedeutet keine Begrenzung.',
+        purgeAction: 'Gelöschte Elemente',
+        purgeActionDesc: 'Was "Alles leeren" und das automatische Löschen mit den entfernten Elementen tun. Archivierte Elemente werden pro Monat einem ZIP-Archiv hinzugefügt, mit einem Manifest ihrer ursprünglichen Pfade und Löschdaten.',
+        purgeActionDelete: 'Endgültig löschen',
+        purgeActionArchive: 'In Archiv verschieben',
+        archiveLocation: 'Archiv-Speicherort',
+        archiveLocationDesc: 'Vault-Ordner für die Archive oder auf dem Desktop ein absoluter Pfad außerhalb des Vaults, z. B. /Users/ich/Backups.',
+        retentionRules: 'Aufbewahrungsregeln',
+        retentionRulesDesc: 'Werden von oben nach unten geprüft; die erste Regel, die auf ein Element zutrifft, bestimmt, wie lange es behalten wird. Leere Felder treffen auf alles zu. Pfade sind Globs für den ursprünglichen Pfad, z. B. Journal/** oder **/*.png.',
+        retentionRule: 'Regel {number}',
+        ruleExtensions: 'Endungen, z. B. md, png',
+        rulePath: 'Pfad, z. B. Journal/**',
+        ruleMinSize: 'Mindestgröße (MB)',
+        ruleDays: 'Tage',
+        rulePurgeAfter: 'Löschen nach Tagen',
+        ruleKeepForever: 'Nie löschen',
+        moveUp: 'Nach oben',
+        moveDown: 'Nach unten',
+        removeRule: 'Regel entfernen',
+        addRule: 'Regel hinzufügen',
+        previewPurge: 'Nächstes Löschen anzeigen',
+        purgeNothing: 'Das nächste Löschen würde nichts entfernen.',
+        purgeSummary: 'Das nächste Löschen würde {count} Element(e) entfernen und {size} freigeben:',
+        archiveNow: 'Jetzt archivieren',
+        purgeNow: 'Jetzt löschen',
+        purgeReasonDefault: 'Standardalter',
+        purgeReasonSize: 'Größenlimit des Papierkorbs',
+        undoGraceSeconds: 'Rückgängig-Frist (Sekunden)',
+        undoGraceSecondsDesc: 'Endgültig gelöschte Elemente werden so lange zurückgehalten, damit das Löschen rückgängig gemacht werden kann. 0 löscht sofort.',
+        undoLimit: 'Rückgängig-Verlauf',
+        undoLimitDesc: 'Anzahl der letzten Wiederherstellungen und Löschungen, die rückgängig gemacht werden können',
         showConfirmations: 'Bestätigungsdialoge anzeigen',
         showConfirmationsDesc: 'Vor dem Löschen oder Leeren des Papierkorbs um Bestätigung bitten',
         showMetadata: 'Datei-Metadaten anzeigen',
         showMetadataDesc: 'Dateigröße und Löschdatum in der Liste anzeigen',
+        searchContent: 'Dateiinhalte durchsuchen',
+        searchContentDesc: 'Bei der Suche auch den Text gelöschter Markdown- und Textdateien durchsuchen (langsamer bei großen Papierkörben)',
         showDeleteButton: 'Löschen-Schaltfläche pro Element anzeigen',
         showDeleteButtonDesc: 'Eine Löschen-Schaltfläche auf jedem Element anzeigen, um einzelne Dateien endgültig zu löschen',
         language: 'Sprache',
@@ -186,26 +432,134 @@ const TRANSLATIONS = {
         acknowledgementsText: 'Dieses Plugin wurde inspiriert von <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> von <strong>Per Mortensen</strong>. Danke für das ursprüngliche Konzept und die Inspiration!',
         translationNote: '🌍 Übersetzungen wurden von KI generiert. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Fehler melden</a>',
         deletePermanently: 'Endgültig löschen',
-        deleteConfirmMessage: 'Bist du sicher, dass du "{name}" endgültig löschen möchtest? Dies kann nicht rückgängig gemacht werden.',
+        deleteConfirmMessage: 'Bist du sicher, dass du "{name}" endgültig löschen möchtest? Dies kann nur bis zum Ende der Rückgängig-Frist rückgängig gemacht werden.',
+        restoreConflict: 'Datei existiert bereits',
+        restoreConflictMessage: '"{path}" existiert bereits in deinem Vault. Was möchtest du tun?',
+        restoreKeepBoth: 'Als "{name}" wiederherstellen',
+        restoreOverwrite: 'Überschreiben (aktuelle Datei in den Papierkorb verschieben)',
+        restoreCompare: 'Vergleichen',
+        restoreSkip: 'Überspringen',
+        applyToAll: 'Auf alle Konflikte anwenden',
+        trashedVersion: 'Im Papierkorb',
+        currentVersion: 'Aktuelle Datei',
         emptyBin: 'Papierkorb leeren',
-        emptyBinConfirmMessage: 'Bist du sicher, dass du ALLE Dateien im Papierkorb endgültig löschen möchtest? Dies kann nicht rückgängig gemacht werden!',
+        emptyBinConfirmMessage: 'Bist du sicher, dass du ALLE Dateien im Papierkorb endgültig löschen möchtest? Dies kann nur bis zum Ende der Rückgängig-Frist rückgängig gemacht werden!',
+        archiveAll: 'Alles archivieren',
         restored: '"{name}" wiederhergestellt',
-        cannotRestore: 'Kann nicht wiederherstellen: Datei existiert bereits am ursprünglichen Speicherort',
+        cannotRestore: '"{name}" konnte nicht wiederhergestellt werden. Details in der Konsole.',
+        restoreSkipped: 'Wiederherstellung von "{name}" übersprungen',
+        cannotDelete: '"{name}" konnte nicht gelöscht werden. Details in der Konsole.',
+        undo: 'Rückgängig',
+        undoLastAction: 'Letzte Papierkorb-Aktion rückgängig machen',
+        undone: 'Papierkorb-Aktion rückgängig gemacht',
+        undoFailed: 'Rückgängig unvollständig: {count} Element(e) konnten nicht zurückverschoben werden',
+        nothingToUndo: 'Nichts rückgängig zu machen',
         binEmptied: 'Papierkorb geleert',
         binAlreadyEmpty: 'Papierkorb ist bereits leer',
         autoPurged: '{count} alte Datei(en) automatisch aus dem Papierkorb gelöscht',
-        searchPlaceholder: 'Gelöschte Dateien suchen...',
+        autoArchived: '{count} alte(s) Element(e) aus dem Papierkorb archiviert',
+        binArchived: 'Papierkorb nach {path} archiviert und geleert',
+        archiveFailed: 'Archivieren fehlgeschlagen, es wurde nichts gelöscht. Details in der Entwicklerkonsole',
+        purgeFailed: 'Leeren des Papierkorbs fehlgeschlagen. Details in der Entwicklerkonsole',
+        exportingProgress: '{count} Element(e) werden exportiert...',
+        exportedItems: '{count} Element(e) nach {path} exportiert',
+        exportFailed: 'Export fehlgeschlagen, Details in der Entwicklerkonsole',
+        importingProgress: '{name} wird importiert...',
+        importedItems: '{count} Element(e) in den Papierkorb importiert',
+        importFailed: '{name} konnte nicht importiert werden',
+        searchPlaceholder: 'Gelöschte Dateien durchsuchen... (z. B. ext:pdf oder is:folder)',
+        noMatches: 'Keine Elemente entsprechen deiner Suche',
         sortNewest: 'Neueste zuerst',
         sortOldest: 'Älteste zuerst',
         sortNameAZ: 'Name A-Z',
         sortNameZA: 'Name Z-A',
         sortLargest: 'Größte zuerst',
         sortSmallest: 'Kleinste zuerst',
+        exportBinToZip: 'Papierkorb als ZIP exportieren',
+        importFromZip: 'Aus ZIP importieren',
+        selectedCount: '{count} ausgewählt',
+        selectAllMatching: 'Alle auswählen',
+        invertSelection: 'Umkehren',
+        restoreSelected: 'Auswahl wiederherstellen',
+        deleteSelected: 'Auswahl löschen',
+        restoreNewestVersion: 'Neueste Version wiederherstellen',
+        deleteAllVersions: 'Alle {count} Versionen endgültig löschen',
+        exportSelected: 'Auswahl exportieren',
+        deleteSelectedConfirmMessage: 'Bist du sicher, dass du {count} ausgewählte(s) Element(e) endgültig löschen möchtest? Dies kann nur bis zum Ende der Rückgängig-Frist rückgängig gemacht werden.',
+        deleteItemsConfirmMessage: 'Bist du sicher, dass du {count} Element(e) endgültig löschen möchtest? Dies kann nur bis zum Ende der Rückgängig-Frist rückgängig gemacht werden.',
+        deleteVersionsConfirmMessage: 'Bist du sicher, dass du alle {count} Versionen von "{name}" endgültig löschen möchtest? Dies kann nur bis zum Ende der Rückgängig-Frist rückgängig gemacht werden.',
+        restoringProgress: 'Wiederherstellen {done}/{total}…',
+        deletingProgress: 'Löschen {done}/{total}…',
+        bulkRestoreSummary: '{succeeded} Element(e) wiederhergestellt, {skipped} übersprungen, {failed} fehlgeschlagen',
+        bulkDeleteSummary: '{succeeded} Element(e) gelöscht, {failed} fehlgeschlagen',
         previewNotAvailable: 'Vorschau nicht verfügbar für',
         files: 'Dateien',
         restoreToView: 'Stelle die Datei wieder her, um sie normal anzuzeigen',
         unableToLoadImage: 'Bild konnte nicht geladen werden',
-        noFileSelected: 'Keine Datei ausgewählt'
+        unableToPlay: 'Diese Datei kann hier nicht abgespielt werden',
+        archiveSummary: '{count} Datei(en), {size} unkomprimiert',
+        archiveName: 'Name',
+        archiveModified: 'Geändert',
+        showSource: 'Quelltext',
+        showRendered: 'Gerendert',
+        wordWrap: 'Zeilenumbruch',
+        find: 'Suchen',
+        findPlaceholder: 'In Datei suchen…',
+        noMatchesShort: 'Keine Ergebnisse',
+        previousMatch: 'Vorheriger Treffer (Umschalt+Enter)',
+        nextMatch: 'Nächster Treffer (Enter)',
+        noLongerInBin: '{name} ist nicht mehr im Papierkorb',
+        noLongerInBinRestored: 'Die Datei wurde nach {path} wiederhergestellt.',
+        noLongerInBinDesc: 'Die Datei wurde wiederhergestellt oder endgültig gelöscht.',
+        openFile: 'Datei öffnen',
+        originalTaken: 'Ursprünglicher Pfad belegt',
+        originalTakenDesc: 'Am ursprünglichen Speicherort existiert jetzt eine Datei; beim Wiederherstellen wirst du gefragt, wie der Konflikt gelöst werden soll',
+        noFileSelected: 'Keine Datei ausgewählt',
+        linkedFrom: 'Beim Löschen von {count} Notiz(en) verlinkt:',
+        updateLinks: 'Links aktualisieren',
+        updateLinksMessage: '{count} Notiz(en) verlinkten die wiederhergestellte(n) Datei(en) am alten Speicherort. Diese Links auf den neuen Speicherort aktualisieren?',
+        updateLinksConfirm: 'Links aktualisieren',
+        linksUpdated: '{count} Link(s) aktualisiert',
+        compareWithCurrent: 'Mit aktueller Version vergleichen',
+        showPreview: 'Vorschau anzeigen',
+        filesIdentical: 'Die gelöschte Datei ist identisch mit der aktuellen Version',
+        copyHunkToCurrent: 'In aktuelle Notiz kopieren',
+        hunkCopied: 'Zeilen in "{path}" kopiert',
+        hunkOutdated: 'Die Notiz hat sich geändert, seit der Vergleich angezeigt wurde. Prüfe den aktualisierten Vergleich und versuche es erneut.',
+        hunkCopyFailed: 'Zeilen konnten nicht in die aktuelle Notiz kopiert werden. Details in der Konsole.',
+        versionCount: '{count} Versionen',
+        versionDeleted: 'Gelöscht {date}',
+        compareWithNewest: 'Mit neuester Version vergleichen',
+        restoreVersion: 'Diese Version wiederherstellen',
+        trashStatistics: 'Papierkorb-Statistik',
+        totalSize: 'Gesamtgröße',
+        trashedItems: 'Elemente',
+        itemsAndFiles: '{count} ({files} Dateien)',
+        itemsCount: '{count} Element(e)',
+        nextPurgeFrees: 'Nächstes Löschen gibt frei',
+        byFileType: 'Nach Dateityp',
+        deletionsOverTime: 'Löschungen im Zeitverlauf',
+        perDay: 'Pro Tag',
+        perWeek: 'Pro Woche',
+        largestItems: 'Größte Elemente',
+        topFolders: 'Häufigste ursprüngliche Ordner',
+        category_markdown: 'Markdown',
+        category_code: 'Code',
+        category_image: 'Bilder',
+        category_document: 'Dokumente',
+        category_archive: 'Archive',
+        category_audio: 'Audio',
+        category_video: 'Video',
+        category_other: 'Sonstige',
+        groupNone: 'Keine Gruppierung',
+        groupByFolder: 'Nach Ordner gruppieren',
+        groupByType: 'Nach Dateityp gruppieren',
+        groupByDate: 'Nach Löschdatum gruppieren',
+        category_folder: 'Ordner',
+        thisWeek: 'Diese Woche',
+        older: 'Älter',
+        restoreAll: 'Alle wiederherstellen',
+        deleteAll: 'Alle löschen'
     },
 
     // Chinese (Simplified)
@@ -219,6 +573,9 @@ const TRANSLATIONS = {
         usingSystemTrash: '⚠️ 您正在使用系统回收站。',
         goToSettings: '前往 设置 → 回收站 以启用。',
         restore: '恢复',
+        restoreTo: '恢复到…',
+        chooseFolder: '选择要恢复到的文件夹…',
+        createFolder: '创建文件夹"{path}"',
         deleteForever: '永久删除',
         emptyAll: '清空全部',
         refresh: '刷新',
@@ -230,6 +587,7 @@ const TRANSLATIONS = {
         size: '大小',
         deleted: '已删除',
         items: '项目',
+        deletedOnDevice: '在 {device} 上',
         today: '今天',
         yesterday: '昨天',
         daysAgo: '天前',
@@ -237,28 +595,85 @@ const TRANSLATIONS = {
         fileInBin: '此文件在回收站中',
         trashLocation: '📍 回收站位置',
         deletedFilesLocation: '已删除文件位置',
-        deletedFilesLocationDesc: '选择已删除文件的存放位置。此插件需要"Obsidian .trash"。',
+        deletedFilesLocationDesc: '选择已删除文件的存放位置。使用系统回收站或永久删除时，请在下方开启"保留已删除文件的副本"以使用此插件。',
         obsidianTrashFolder: '📁 Obsidian .trash 文件夹（推荐）',
         systemTrash: '🗑️ 系统回收站',
         permanentDelete: '⚠️ 永久删除（无法恢复）',
         usingObsidianTrash: '✓ 正在使用 Obsidian 的 .trash 文件夹',
         deletedFilesWillAppear: '已删除的文件将显示在此回收站中。',
         usingSystemTrashWarning: '⚠ 正在使用系统回收站',
-        systemTrashWarningDesc: '已删除的文件会进入系统回收站，而非此回收站。请在下方更改以使用此插件。',
+        systemTrashWarningDesc: '已删除的文件会进入系统回收站，而非此回收站。请在下方更改，或保留已删除文件的副本，以使用此插件。',
         permanentDeleteWarning: '⚠ 已启用永久删除',
         permanentDeleteWarningDesc: '已删除的文件会被立即销毁！请在下方更改以启用恢复功能。',
         trashLocationChanged: '回收站位置已更改为',
+        captureMode: '保留已删除文件的副本',
+        captureModeDesc: '在 Obsidian 中删除的每个文件进入系统回收站或被删除之前，先复制到插件自己的回收站（.recycle-bin），以便您仍可在此预览和恢复。',
+        captureActive: '✓ 正在保留已删除文件的副本',
+        captureActiveDesc: '已删除的文件会在 Obsidian 移除前复制到此回收站。',
+        captureFailed: '无法保留 {name} 的副本，因此未删除该文件',
+        binFolders: '其他回收站文件夹',
+        binFoldersDesc: '其内容与回收站一起在此回收站中列出的文件夹，例如其他工具存放已删除笔记的文件夹。路径相对于仓库根目录。',
+        addBinFolder: '添加文件夹',
+        removeBinFolder: '移除文件夹',
+        invalidBinFolder: '此文件夹不能用作回收站文件夹',
+        binSource: '回收站文件夹',
+        sourceTrash: '回收站',
+        sourceCapture: '保留的副本',
         pluginSettings: '⚙️ 插件设置',
         settingsDisabled: '⚠️ 设置已禁用',
-        settingsDisabledDesc: '请将上方的"已删除文件位置"更改为"Obsidian .trash 文件夹"以启用此插件。',
+        settingsDisabledDesc: '请将上方的"已删除文件位置"更改为"Obsidian .trash 文件夹"，或开启"保留已删除文件的副本"，以启用此插件。',
         autoPurge: '自动清除旧文件',
         autoPurgeDesc: '自动删除超过指定天数的文件',
         autoPurgeDays: '自动清除天数',
-        autoPurgeDaysDesc: '删除超过此天数的文件',
+        autoPurgeDaysDesc: '不匹配任何保留规则的文件在超过此天数后删除',
+        autoPurgeInterval: '自动清除计划',
+        hourly: '每小时',
+        daily: '每天',
+        nextPurge: '下次自动清除：{time}',
+        expiringSoon: '即将过期',
+        expiresInDays: '{count} 天后过期',
+        expiresNextPurge: '下次运行时清除',
+        keepForever: '永久保留',
+        allowPurge: '允许自动清除',
+        keptForever: '永久保留中',
+        maxBinSize: '回收站最大大小（MB）',
+        maxBinSizeDesc: '回收站超过此大小时，最旧的项目会先被清除。0 表示不限制。',
+        purgeAction: '清除的项目',
+        purgeActionDesc: '"清空全部"和自动清除如何处理移除的项目。归档的项目按月添加到 ZIP 归档中，并附带记录其原始路径和删除日期的清单。',
+        purgeActionDelete: '永久删除',
+        purgeActionArchive: '移至归档',
+        archiveLocation: '归档位置',
+        archiveLocationDesc: '存放归档的仓库文件夹，或在桌面端使用仓库外的绝对路径，例如 /Users/me/Backups。',
+        retentionRules: '保留规则',
+        retentionRulesDesc: '从上到下检查；第一条匹配项目的规则决定其保留时长。空字段匹配所有内容。路径是针对原始路径的通配符，例如 Journal/** 或 **/*.png。',
+        retentionRule: '规则 {number}',
+        ruleExtensions: '扩展名，例如 md, png',
+        rulePath: '路径，例如 Journal/**',
+        ruleMinSize: '最小大小（MB）',
+        ruleDays: '天数',
+        rulePurgeAfter: '多少天后清除',
+        ruleKeepForever: '从不清除',
+        moveUp: '上移',
+        moveDown: '下移',
+        removeRule: '移除规则',
+        addRule: '添加规则',
+        previewPurge: '预览下次清除',
+        purgeNothing: '下次清除不会移除任何内容。',
+        purgeSummary: '下次清除将移除 {count} 个项目，释放 {size}：',
+        archiveNow: '立即归档',
+        purgeNow: '立即删除',
+        purgeReasonDefault: '默认期限',
+        purgeReasonSize: '回收站大小限制',
+        undoGraceSeconds: '撤销宽限期（秒）',
+        undoGraceSecondsDesc: '永久删除的项目会保留这么长时间，以便撤销。0 表示立即删除。',
+        undoLimit: '撤销历史',
+        undoLimitDesc: '可撤销的最近恢复和删除操作的数量',
         showConfirmations: '显示确认对话框',
         showConfirmationsDesc: '在删除或清空回收站之前确认',
         showMetadata: '显示文件元数据',
         showMetadataDesc: '在列表中显示文件大小和删除日期',
+        searchContent: '搜索文件内容',
+        searchContentDesc: '搜索时同时匹配已删除的 Markdown 和文本文件的内容（回收站较大时会变慢）',
         showDeleteButton: '显示单项删除按钮',
         showDeleteButtonDesc: '在每个项目上显示删除按钮以永久删除单个文件',
         language: '语言',
@@ -268,26 +683,134 @@ const TRANSLATIONS = {
         acknowledgementsText: '此插件受到 <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a>（由 <strong>Per Mortensen</strong> 开发）的启发。感谢原创概念和灵感！',
         translationNote: '🌍 翻译由 AI 生成。<a href="https://github.com/wronginput/obsidian-recycle-bin/issues">报告错误</a>',
         deletePermanently: '永久删除',
-        deleteConfirmMessage: '您确定要永久删除"{name}"吗？此操作无法撤消。',
+        deleteConfirmMessage: '您确定要永久删除"{name}"吗？此操作只能在撤销宽限期内撤销。',
+        restoreConflict: '文件已存在',
+        restoreConflictMessage: '"{path}"已存在于您的仓库中。您想怎么做？',
+        restoreKeepBoth: '恢复为"{name}"',
+        restoreOverwrite: '覆盖（将当前文件移至回收站）',
+        restoreCompare: '比较',
+        restoreSkip: '跳过',
+        applyToAll: '应用于所有冲突',
+        trashedVersion: '回收站中',
+        currentVersion: '当前文件',
         emptyBin: '清空回收站',
-        emptyBinConfirmMessage: '您确定要永久删除回收站中的所有文件吗？此操作无法撤消！',
+        emptyBinConfirmMessage: '您确定要永久删除回收站中的所有文件吗？此操作只能在撤销宽限期内撤销！',
+        archiveAll: '全部归档',
         restored: '已恢复"{name}"',
-        cannotRestore: '无法恢复：原位置已存在该文件',
+        cannotRestore: '无法恢复"{name}"，详情请查看控制台。',
+        restoreSkipped: '已跳过恢复"{name}"',
+        cannotDelete: '无法删除"{name}"。详情请查看控制台。',
+        undo: '撤销',
+        undoLastAction: '撤销上一次回收站操作',
+        undone: '回收站操作已撤销',
+        undoFailed: '撤销未完成：{count} 个项目无法移回',
+        nothingToUndo: '没有可撤销的操作',
         binEmptied: '回收站已清空',
         binAlreadyEmpty: '回收站已经是空的',
         autoPurged: '已自动从回收站清除 {count} 个旧文件',
-        searchPlaceholder: '搜索已删除的文件...',
+        autoArchived: '已从回收站归档 {count} 个旧项目',
+        binArchived: '回收站已归档到 {path} 并清空',
+        archiveFailed: '归档失败，未删除任何内容。详情请查看开发者控制台',
+        purgeFailed: '清除回收站失败。详情请查看开发者控制台',
+        exportingProgress: '正在导出 {count} 个项目...',
+        exportedItems: '已将 {count} 个项目导出到 {path}',
+        exportFailed: '导出失败，详情请查看开发者控制台',
+        importingProgress: '正在导入 {name}...',
+        importedItems: '已将 {count} 个项目导入回收站',
+        importFailed: '无法导入 {name}',
+        searchPlaceholder: '搜索已删除的文件...（试试 ext:pdf 或 is:folder）',
+        noMatches: '没有符合搜索条件的项目',
         sortNewest: '最新优先',
         sortOldest: '最旧优先',
         sortNameAZ: '名称 A-Z',
         sortNameZA: '名称 Z-A',
         sortLargest: '最大优先',
         sortSmallest: '最小优先',
+        exportBinToZip: '将回收站导出为 ZIP',
+        importFromZip: '从 ZIP 导入',
+        selectedCount: '已选择 {count} 个',
+        selectAllMatching: '全选',
+        invertSelection: '反选',
+        restoreSelected: '恢复所选',
+        deleteSelected: '删除所选',
+        restoreNewestVersion: '恢复最新版本',
+        deleteAllVersions: '永久删除全部 {count} 个版本',
+        exportSelected: '导出所选',
+        deleteSelectedConfirmMessage: '您确定要永久删除所选的 {count} 个项目吗？此操作只能在撤销宽限期内撤销。',
+        deleteItemsConfirmMessage: '您确定要永久删除 {count} 个项目吗？此操作只能在撤销宽限期内撤销。',
+        deleteVersionsConfirmMessage: '您确定要永久删除"{name}"的全部 {count} 个版本吗？此操作只能在撤销宽限期内撤销。',
+        restoringProgress: '正在恢复 {done}/{total}…',
+        deletingProgress: '正在删除 {done}/{total}…',
+        bulkRestoreSummary: '已恢复 {succeeded} 个项目，跳过 {skipped} 个，失败 {failed} 个',
+        bulkDeleteSummary: '已删除 {succeeded} 个项目，失败 {failed} 个',
         previewNotAvailable: '预览不可用',
         files: '文件',
         restoreToView: '恢复文件以正常查看',
         unableToLoadImage: '无法加载图片',
-        noFileSelected: '未选择文件'
+        unableToPlay: '无法在此播放此文件',
+        archiveSummary: '{count} 个文件，未压缩 {size}',
+        archiveName: '名称',
+        archiveModified: '修改时间',
+        showSource: '源码',
+        showRendered: '渲染',
+        wordWrap: '自动换行',
+        find: '查找',
+        findPlaceholder: '在文件中查找…',
+        noMatchesShort: '无结果',
+        previousMatch: '上一个匹配（Shift+Enter）',
+        nextMatch: '下一个匹配（Enter）',
+        noLongerInBin: '{name} 已不在回收站中',
+        noLongerInBinRestored: '它已恢复到 {path}。',
+        noLongerInBinDesc: '它已被恢复或永久删除。',
+        openFile: '打开文件',
+        originalTaken: '原始路径已被占用',
+        originalTakenDesc: '原始位置现在已有文件；恢复时会询问如何解决冲突',
+        noFileSelected: '未选择文件',
+        linkedFrom: '删除时被 {count} 篇笔记链接：',
+        updateLinks: '更新链接',
+        updateLinksMessage: '有 {count} 篇笔记链接到恢复文件的旧位置。要将这些链接更新到新位置吗？',
+        updateLinksConfirm: '更新链接',
+        linksUpdated: '已更新 {count} 个链接',
+        compareWithCurrent: '与当前版本比较',
+        showPreview: '显示预览',
+        filesIdentical: '已删除的文件与当前版本相同',
+        copyHunkToCurrent: '复制到当前笔记',
+        hunkCopied: '已将这些行复制到"{path}"',
+        hunkOutdated: '显示比较后笔记已更改。请检查更新后的比较并重试。',
+        hunkCopyFailed: '无法将这些行复制到当前笔记。详情请查看控制台。',
+        versionCount: '{count} 个版本',
+        versionDeleted: '删除于 {date}',
+        compareWithNewest: '与最新版本比较',
+        restoreVersion: '恢复此版本',
+        trashStatistics: '回收站统计',
+        totalSize: '总大小',
+        trashedItems: '项目',
+        itemsAndFiles: '{count}（{files} 个文件）',
+        itemsCount: '{count} 个项目',
+        nextPurgeFrees: '下次清除释放',
+        byFileType: '按文件类型',
+        deletionsOverTime: '删除趋势',
+        perDay: '按天',
+        perWeek: '按周',
+        largestItems: '最大的项目',
+        topFolders: '最常见的原始文件夹',
+        category_markdown: 'Markdown',
+        category_code: '代码',
+        category_image: '图片',
+        category_document: '文档',
+        category_archive: '压缩包',
+        category_audio: '音频',
+        category_video: '视频',
+        category_other: '其他',
+        groupNone: '不分组',
+        groupByFolder: '按文件夹分组',
+        groupByType: '按文件类型分组',
+        groupByDate: '按删除日期分组',
+        category_folder: '文件夹',
+        thisWeek: '本周',
+        older: '更早',
+        restoreAll: '全部恢复',
+        deleteAll: '全部删除'
     },
 
     // Japanese
@@ -301,6 +824,9 @@ const TRANSLATIONS = {
         usingSystemTrash: '⚠️ システムのごみ箱を使用しています。',
         goToSettings: '設定 → ごみ箱 に移動して有効にしてください。',
         restore: '復元',
+        restoreTo: '復元先を指定…',
+        chooseFolder: '復元先のフォルダを選択…',
+        createFolder: 'フォルダ「{path}」を作成',
         deleteForever: '完全に削除',
         emptyAll: 'すべて削除',
         refresh: '更新',
@@ -312,6 +838,7 @@ const TRANSLATIONS = {
         size: 'サイズ',
         deleted: '削除日',
         items: '項目',
+        deletedOnDevice: '{device} で',
         today: '今日',
         yesterday: '昨日',
         daysAgo: '日前',
@@ -319,28 +846,85 @@ const TRANSLATIONS = {
         fileInBin: 'このファイルはごみ箱にあります',
         trashLocation: '📍 ごみ箱の場所',
         deletedFilesLocation: '削除したファイルの場所',
-        deletedFilesLocationDesc: '削除したファイルの保存先を選択してください。このプラグインには「Obsidian .trash」が必要です。',
+        deletedFilesLocationDesc: '削除したファイルの保存先を選択してください。システムのごみ箱または完全に削除を使う場合は、下の「削除したファイルのコピーを保持」をオンにするとこのプラグインを使えます。',
         obsidianTrashFolder: '📁 Obsidian .trash フォルダ（推奨）',
         systemTrash: '🗑️ システムのごみ箱',
         permanentDelete: '⚠️ 完全に削除（復元不可）',
         usingObsidianTrash: '✓ Obsidian の .trash フォルダを使用中',
         deletedFilesWillAppear: '削除されたファイルはこのごみ箱に表示されます。',
         usingSystemTrashWarning: '⚠ システムのごみ箱を使用中',
-        systemTrashWarningDesc: '削除されたファイルはOSのごみ箱に移動し、このプラグインでは表示されません。下で変更してください。',
+        systemTrashWarningDesc: '削除されたファイルはOSのごみ箱に移動し、このごみ箱には入りません。このプラグインを使うには下で変更するか、削除したファイルのコピーを保持してください。',
         permanentDeleteWarning: '⚠ 完全削除が有効',
         permanentDeleteWarningDesc: '削除されたファイルは即座に破壊されます！下で変更して復元を有効にしてください。',
         trashLocationChanged: 'ごみ箱の場所を変更しました',
+        captureMode: '削除したファイルのコピーを保持',
+        captureModeDesc: 'Obsidian で削除したファイルを、システムのごみ箱に移動または削除される前にプラグイン独自のごみ箱（.recycle-bin）にコピーし、ここでプレビューや復元ができるようにします。',
+        captureActive: '✓ 削除したファイルのコピーを保持中',
+        captureActiveDesc: '削除したファイルは Obsidian が削除する前にこのごみ箱にコピーされます。',
+        captureFailed: '{name} のコピーを保持できなかったため、削除しませんでした',
+        binFolders: '追加のごみ箱フォルダ',
+        binFoldersDesc: 'ごみ箱と一緒にこのごみ箱に内容が表示されるフォルダ。たとえば他のツールが削除したノートを移動するフォルダです。パスは保管庫のルートからの相対パスです。',
+        addBinFolder: 'フォルダを追加',
+        removeBinFolder: 'フォルダを削除',
+        invalidBinFolder: 'このフォルダはごみ箱フォルダとして使用できません',
+        binSource: 'ごみ箱フォルダ',
+        sourceTrash: 'ごみ箱',
+        sourceCapture: '保持したコピー',
         pluginSettings: '⚙️ プラグイン設定',
         settingsDisabled: '⚠️ 設定が無効です',
-        settingsDisabledDesc: '上の「削除したファイルの場所」を「Obsidian .trash フォルダ」に変更してこのプラグインを有効にしてください。',
+        settingsDisabledDesc: '上の「削除したファイルの場所」を「Obsidian .trash フォルダ」に変更するか、「削除したファイルのコピーを保持」をオンにしてこのプラグインを有効にしてください。',
         autoPurge: '古いファイルを自動削除',
         autoPurgeDesc: '指定した日数より古いファイルを自動的に削除します',
         autoPurgeDays: '自動削除までの日数',
-        autoPurgeDaysDesc: 'この日数より古いファイルを削除',
+        autoPurgeDaysDesc: 'どの保持ルールにも一致しないファイルを、この日数より古くなったら削除',
+        autoPurgeInterval: '自動削除のスケジュール',
+        hourly: '毎時',
+        daily: '毎日',
+        nextPurge: '次回の自動削除：{time}',
+        expiringSoon: 'まもなく期限切れ',
+        expiresInDays: '{count} 日後に期限切れ',
+        expiresNextPurge: '次回の実行で削除',
+        keepForever: '永久に保持',
+        allowPurge: '自動削除を許可',
+        keptForever: '永久に保持中',
+        maxBinSize: 'ごみ箱の最大サイズ（MB）',
+        maxBinSizeDesc: 'ごみ箱がこのサイズを超えると、古い項目から削除されます。0 は無制限です。',
+        purgeAction: '削除された項目',
+        purgeActionDesc: '「すべて削除」と自動削除で取り除いた項目の扱い。アーカイブした項目は月ごとの ZIP アーカイブに追加され、元のパスと削除日のマニフェストが付きます。',
+        purgeActionDelete: '完全に削除',
+        purgeActionArchive: 'アーカイブに移動',
+        archiveLocation: 'アーカイブの場所',
+        archiveLocationDesc: 'アーカイブを置く保管庫内のフォルダ。デスクトップでは保管庫外の絶対パス（例：/Users/me/Backups）も指定できます。',
+        retentionRules: '保持ルール',
+        retentionRulesDesc: '上から順に確認され、項目に最初に一致したルールが保持期間を決めます。空欄はすべてに一致します。パスは元のパスに対する glob です（例：Journal/** や **/*.png）。',
+        retentionRule: 'ルール {number}',
+        ruleExtensions: '拡張子（例：md, png）',
+        rulePath: 'パス（例：Journal/**）',
+        ruleMinSize: '最小サイズ（MB）',
+        ruleDays: '日数',
+        rulePurgeAfter: '削除までの日数',
+        ruleKeepForever: '削除しない',
+        moveUp: '上へ移動',
+        moveDown: '下へ移動',
+        removeRule: 'ルールを削除',
+        addRule: 'ルールを追加',
+        previewPurge: '次回の削除をプレビュー',
+        purgeNothing: '次回の削除では何も削除されません。',
+        purgeSummary: '次回の削除で {count} 個の項目が削除され、{size} が解放されます：',
+        archiveNow: '今すぐアーカイブ',
+        purgeNow: '今すぐ削除',
+        purgeReasonDefault: '既定の期間',
+        purgeReasonSize: 'ごみ箱のサイズ上限',
+        undoGraceSeconds: '取り消し猶予期間（秒）',
+        undoGraceSecondsDesc: '完全に削除した項目はこの期間保留され、取り消すことができます。0 ですぐに削除します。',
+        undoLimit: '取り消し履歴',
+        undoLimitDesc: '取り消せる最近の復元・削除操作の数',
         showConfirmations: '確認ダイアログを表示',
         showConfirmationsDesc: '削除またはごみ箱を空にする前に確認を求める',
         showMetadata: 'ファイルのメタデータを表示',
         showMetadataDesc: 'リストにファイルサイズと削除日を表示',
+        searchContent: 'ファイルの内容を検索',
+        searchContentDesc: '検索時に削除した Markdown やテキストファイルの本文も対象にします（大きなごみ箱では遅くなります）',
         showDeleteButton: '項目ごとの削除ボタンを表示',
         showDeleteButtonDesc: '各項目に削除ボタンを表示して個別のファイルを完全に削除',
         language: '言語',
@@ -350,26 +934,134 @@ const TRANSLATIONS = {
         acknowledgementsText: 'このプラグインは <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a>（<strong>Per Mortensen</strong> 作）からインスピレーションを受けました。オリジナルのコンセプトとインスピレーションに感謝します！',
         translationNote: '🌍 翻訳はAIによって生成されました。<a href="https://github.com/wronginput/obsidian-recycle-bin/issues">エラーを報告</a>',
         deletePermanently: '完全に削除',
-        deleteConfirmMessage: '「{name}」を完全に削除してもよろしいですか？この操作は取り消せません。',
+        deleteConfirmMessage: '「{name}」を完全に削除してもよろしいですか？取り消せるのは取り消し猶予期間が終わるまでです。',
+        restoreConflict: 'ファイルが既に存在します',
+        restoreConflictMessage: '「{path}」は既に保管庫に存在します。どうしますか？',
+        restoreKeepBoth: '「{name}」として復元',
+        restoreOverwrite: '上書き（現在のファイルをごみ箱に移動）',
+        restoreCompare: '比較',
+        restoreSkip: 'スキップ',
+        applyToAll: 'すべての競合に適用',
+        trashedVersion: 'ごみ箱内',
+        currentVersion: '現在のファイル',
         emptyBin: 'ごみ箱を空にする',
-        emptyBinConfirmMessage: 'ごみ箱内のすべてのファイルを完全に削除してもよろしいですか？この操作は取り消せません！',
+        emptyBinConfirmMessage: 'ごみ箱内のすべてのファイルを完全に削除してもよろしいですか？取り消せるのは取り消し猶予期間が終わるまでです！',
+        archiveAll: 'すべてアーカイブ',
         restored: '「{name}」を復元しました',
-        cannotRestore: '復元できません：元の場所にファイルが既に存在します',
+        cannotRestore: '「{name}」を復元できませんでした。詳細はコンソールを確認してください。',
+        restoreSkipped: '「{name}」の復元をスキップしました',
+        cannotDelete: '「{name}」を削除できませんでした。詳細はコンソールを確認してください。',
+        undo: '取り消し',
+        undoLastAction: '最後のごみ箱操作を取り消す',
+        undone: 'ごみ箱操作を取り消しました',
+        undoFailed: '取り消しが完了しませんでした：{count} 個の項目を戻せませんでした',
+        nothingToUndo: '取り消す操作はありません',
         binEmptied: 'ごみ箱を空にしました',
         binAlreadyEmpty: 'ごみ箱は既に空です',
         autoPurged: 'ごみ箱から {count} 個の古いファイルを自動削除しました',
-        searchPlaceholder: '削除済みファイルを検索...',
+        autoArchived: 'ごみ箱から古い項目を {count} 個アーカイブしました',
+        binArchived: 'ごみ箱を {path} にアーカイブして空にしました',
+        archiveFailed: 'アーカイブに失敗したため、何も削除していません。詳細は開発者コンソールを確認してください',
+        purgeFailed: 'ごみ箱の削除に失敗しました。詳細は開発者コンソールを確認してください',
+        exportingProgress: '{count} 個の項目をエクスポート中...',
+        exportedItems: '{count} 個の項目を {path} にエクスポートしました',
+        exportFailed: 'エクスポートに失敗しました。詳細は開発者コンソールを確認してください',
+        importingProgress: '{name} をインポート中...',
+        importedItems: '{count} 個の項目をごみ箱にインポートしました',
+        importFailed: '{name} をインポートできませんでした',
+        searchPlaceholder: '削除したファイルを検索...（ext:pdf や is:folder も使えます）',
+        noMatches: '検索に一致する項目はありません',
         sortNewest: '新しい順',
         sortOldest: '古い順',
         sortNameAZ: '名前 A-Z',
         sortNameZA: '名前 Z-A',
         sortLargest: '大きい順',
         sortSmallest: '小さい順',
+        exportBinToZip: 'ごみ箱を ZIP にエクスポート',
+        importFromZip: 'ZIP からインポート',
+        selectedCount: '{count} 個選択中',
+        selectAllMatching: 'すべて選択',
+        invertSelection: '選択を反転',
+        restoreSelected: '選択項目を復元',
+        deleteSelected: '選択項目を削除',
+        restoreNewestVersion: '最新のバージョンを復元',
+        deleteAllVersions: '{count} 個のバージョンをすべて完全に削除',
+        exportSelected: '選択項目をエクスポート',
+        deleteSelectedConfirmMessage: '選択した {count} 個の項目を完全に削除してもよろしいですか？取り消せるのは取り消し猶予期間が終わるまでです。',
+        deleteItemsConfirmMessage: '{count} 個の項目を完全に削除してもよろしいですか？取り消せるのは取り消し猶予期間が終わるまでです。',
+        deleteVersionsConfirmMessage: '「{name}」の {count} 個のバージョンをすべて完全に削除してもよろしいですか？取り消せるのは取り消し猶予期間が終わるまでです。',
+        restoringProgress: '復元中 {done}/{total}…',
+        deletingProgress: '削除中 {done}/{total}…',
+        bulkRestoreSummary: '{succeeded} 個の項目を復元、{skipped} 個をスキップ、{failed} 個が失敗',
+        bulkDeleteSummary: '{succeeded} 個の項目を削除、{failed} 個が失敗',
         previewNotAvailable: 'プレビューは利用できません',
         files: 'ファイル',
         restoreToView: 'ファイルを復元して通常表示',
         unableToLoadImage: '画像を読み込めません',
-        noFileSelected: 'ファイルが選択されていません'
+        unableToPlay: 'このファイルはここでは再生できません',
+        archiveSummary: '{count} 個のファイル、非圧縮で {size}',
+        archiveName: '名前',
+        archiveModified: '更新日時',
+        showSource: 'ソース',
+        showRendered: 'レンダリング',
+        wordWrap: '折り返し',
+        find: '検索',
+        findPlaceholder: 'ファイル内を検索…',
+        noMatchesShort: '結果なし',
+        previousMatch: '前の一致（Shift+Enter）',
+        nextMatch: '次の一致（Enter）',
+        noLongerInBin: '{name} はもうごみ箱にありません',
+        noLongerInBinRestored: '{path} に復元されました。',
+        noLongerInBinDesc: '復元されたか、完全に削除されました。',
+        openFile: 'ファイルを開く',
+        originalTaken: '元のパスは使用中です',
+        originalTakenDesc: '元の場所に別のファイルがあります。復元時に競合の解決方法を確認します',
+        noFileSelected: 'ファイルが選択されていません',
+        linkedFrom: '削除時に {count} 件のノートからリンクされていました：',
+        updateLinks: 'リンクを更新',
+        updateLinksMessage: '{count} 件のノートが復元したファイルの元の場所にリンクしています。これらのリンクを新しい場所に更新しますか？',
+        updateLinksConfirm: 'リンクを更新',
+        linksUpdated: '{count} 件のリンクを更新しました',
+        compareWithCurrent: '現在のバージョンと比較',
+        showPreview: 'プレビューを表示',
+        filesIdentical: '削除したファイルは現在のバージョンと同じです',
+        copyHunkToCurrent: '現在のノートにコピー',
+        hunkCopied: '「{path}」に行をコピーしました',
+        hunkOutdated: '比較を表示した後にノートが変更されました。更新された比較を確認してもう一度お試しください。',
+        hunkCopyFailed: '現在のノートに行をコピーできませんでした。詳細はコンソールを確認してください。',
+        versionCount: '{count} 個のバージョン',
+        versionDeleted: '{date} に削除',
+        compareWithNewest: '最新のバージョンと比較',
+        restoreVersion: 'このバージョンを復元',
+        trashStatistics: 'ごみ箱の統計',
+        totalSize: '合計サイズ',
+        trashedItems: '項目',
+        itemsAndFiles: '{count}（{files} 個のファイル）',
+        itemsCount: '{count} 個の項目',
+        nextPurgeFrees: '次回の削除で解放',
+        byFileType: 'ファイルの種類別',
+        deletionsOverTime: '削除の推移',
+        perDay: '日ごと',
+        perWeek: '週ごと',
+        largestItems: '最も大きい項目',
+        topFolders: '多い元のフォルダ',
+        category_markdown: 'Markdown',
+        category_code: 'コード',
+        category_image: '画像',
+        category_document: 'ドキュメント',
+        category_archive: 'アーカイブ',
+        category_audio: 'オーディオ',
+        category_video: '動画',
+        category_other: 'その他',
+        groupNone: 'グループ化しない',
+        groupByFolder: 'フォルダでグループ化',
+        groupByType: 'ファイルの種類でグループ化',
+        groupByDate: '削除日でグループ化',
+        category_folder: 'フォルダ',
+        thisWeek: '今週',
+        older: 'それ以前',
+        restoreAll: 'すべて復元',
+        deleteAll: 'すべて削除'
     },
 
     // Spanish
@@ -383,6 +1075,9 @@ const TRANSLATIONS = {
         usingSystemTrash: '⚠️ Estás usando la papelera del sistema.',
         goToSettings: 'Ve a Ajustes → Papelera para activar.',
         restore: 'Restaurar',
+        restoreTo: 'Restaurar en…',
+        chooseFolder: 'Elige una carpeta donde restaurar…',
+        createFolder: 'Crear carpeta "{path}"',
         deleteForever: 'Eliminar permanentemente',
         emptyAll: 'Vaciar todo',
         refresh: 'Actualizar',
@@ -394,6 +1089,7 @@ const TRANSLATIONS = {
         size: 'Tamaño',
         deleted: 'Eliminado',
         items: 'elementos',
+        deletedOnDevice: 'en {device}',
         today: 'Hoy',
         yesterday: 'Ayer',
         daysAgo: 'días',
@@ -401,28 +1097,85 @@ const TRANSLATIONS = {
         fileInBin: 'Este archivo está en la Papelera',
         trashLocation: '📍 Ubicación de la Papelera',
         deletedFilesLocation: 'Ubicación de archivos eliminados',
-        deletedFilesLocationDesc: 'Elige dónde van los archivos eliminados. Se requiere "Obsidian .trash" para que este plugin funcione.',
+        deletedFilesLocationDesc: 'Elige dónde van los archivos eliminados. Con la papelera del sistema o la eliminación permanente, activa "Conservar copias de archivos eliminados" abajo para usar este plugin.',
         obsidianTrashFolder: '📁 Carpeta .trash de Obsidian (recomendado)',
         systemTrash: '🗑️ Papelera del sistema',
         permanentDelete: '⚠️ Eliminar permanentemente (sin recuperación)',
         usingObsidianTrash: '✓ Usando la carpeta .trash de Obsidian',
         deletedFilesWillAppear: 'Los archivos eliminados aparecerán en esta Papelera.',
         usingSystemTrashWarning: '⚠ Usando la papelera del sistema',
-        systemTrashWarningDesc: 'Los archivos eliminados van a la papelera del SO, no a esta Papelera. Cambia abajo para usar este plugin.',
+        systemTrashWarningDesc: 'Los archivos eliminados van a la papelera del SO, no a esta Papelera. Cambia abajo, o conserva copias de los archivos eliminados, para usar este plugin.',
         permanentDeleteWarning: '⚠ Eliminación permanente activada',
         permanentDeleteWarningDesc: '¡Los archivos eliminados se destruyen inmediatamente! Cambia abajo para habilitar la recuperación.',
         trashLocationChanged: 'Ubicación de papelera cambiada a',
+        captureMode: 'Conservar copias de archivos eliminados',
+        captureModeDesc: 'Copia cada archivo eliminado en Obsidian a la papelera propia del plugin (.recycle-bin) antes de que vaya a la papelera del sistema o se elimine, para que puedas seguir viéndolo y restaurándolo aquí.',
+        captureActive: '✓ Conservando copias de archivos eliminados',
+        captureActiveDesc: 'Los archivos eliminados se copian en esta Papelera antes de que Obsidian los quite.',
+        captureFailed: 'No se pudo conservar una copia de {name}, así que no se eliminó',
+        binFolders: 'Carpetas de papelera adicionales',
+        binFoldersDesc: 'Carpetas cuyo contenido se muestra en esta Papelera junto a la papelera, por ejemplo una carpeta a la que otras herramientas mueven las notas eliminadas. Las rutas son relativas a la raíz de la bóveda.',
+        addBinFolder: 'Añadir carpeta',
+        removeBinFolder: 'Quitar carpeta',
+        invalidBinFolder: 'Esta carpeta no se puede usar como carpeta de papelera',
+        binSource: 'Carpeta de papelera',
+        sourceTrash: 'Papelera',
+        sourceCapture: 'Copia conservada',
         pluginSettings: '⚙️ Ajustes del Plugin',
         settingsDisabled: '⚠️ Ajustes desactivados',
-        settingsDisabledDesc: 'Cambia "Ubicación de archivos eliminados" arriba a "Carpeta .trash de Obsidian" para activar este plugin.',
+        settingsDisabledDesc: 'Cambia "Ubicación de archivos eliminados" arriba a "Carpeta .trash de Obsidian", o activa "Conservar copias de archivos eliminados", para activar este plugin.',
         autoPurge: 'Auto-eliminar archivos antiguos',
         autoPurgeDesc: 'Eliminar automáticamente archivos más antiguos que un número especificado de días',
         autoPurgeDays: 'Auto-eliminar después de (días)',
-        autoPurgeDaysDesc: 'Eliminar archivos más antiguos que este número de días',
+        autoPurgeDaysDesc: 'Eliminar los archivos que no coinciden con ninguna regla de retención cuando superen este número de días',
+        autoPurgeInterval: 'Programación de auto-eliminación',
+        hourly: 'Cada hora',
+        daily: 'Cada día',
+        nextPurge: 'Próxima auto-eliminación: {time}',
+        expiringSoon: 'Caduca pronto',
+        expiresInDays: 'Caduca en {count} día(s)',
+        expiresNextPurge: 'Se eliminará en la próxima ejecución',
+        keepForever: 'Conservar para siempre',
+        allowPurge: 'Permitir auto-eliminación',
+        keptForever: 'Conservado para siempre',
+        maxBinSize: 'Tamaño máximo de la papelera (MB)',
+        maxBinSizeDesc: 'Cuando la papelera supera este tamaño, se eliminan primero los elementos más antiguos. 0 significa sin límite.',
+        purgeAction: 'Elementos eliminados',
+        purgeActionDesc: 'Qué hacen Vaciar todo y la auto-eliminación con los elementos que quitan. Los elementos archivados se añaden a un archivo ZIP por mes, con un manifiesto de sus rutas originales y fechas de eliminación.',
+        purgeActionDelete: 'Eliminar permanentemente',
+        purgeActionArchive: 'Mover al archivo',
+        archiveLocation: 'Ubicación del archivo',
+        archiveLocationDesc: 'Carpeta de la bóveda para los archivos, o en escritorio una ruta absoluta fuera de la bóveda, como /Users/yo/Copias.',
+        retentionRules: 'Reglas de retención',
+        retentionRulesDesc: 'Se comprueban de arriba abajo; la primera regla que coincide con un elemento decide cuánto tiempo se conserva. Los campos vacíos coinciden con todo. Las rutas son globs sobre la ruta original, p. ej. Journal/** o **/*.png.',
+        retentionRule: 'Regla {number}',
+        ruleExtensions: 'Extensiones, p. ej. md, png',
+        rulePath: 'Ruta, p. ej. Journal/**',
+        ruleMinSize: 'Tamaño mín. (MB)',
+        ruleDays: 'Días',
+        rulePurgeAfter: 'Eliminar tras días',
+        ruleKeepForever: 'No eliminar nunca',
+        moveUp: 'Subir',
+        moveDown: 'Bajar',
+        removeRule: 'Quitar regla',
+        addRule: 'Añadir regla',
+        previewPurge: 'Vista previa de la próxima eliminación',
+        purgeNothing: 'La próxima eliminación no quitaría nada.',
+        purgeSummary: 'La próxima eliminación quitaría {count} elemento(s) y liberaría {size}:',
+        archiveNow: 'Archivar ahora',
+        purgeNow: 'Eliminar ahora',
+        purgeReasonDefault: 'Antigüedad predeterminada',
+        purgeReasonSize: 'Límite de tamaño de la papelera',
+        undoGraceSeconds: 'Periodo de gracia para deshacer (segundos)',
+        undoGraceSecondsDesc: 'Los elementos eliminados permanentemente se retienen este tiempo para poder deshacerlo. 0 elimina de inmediato.',
+        undoLimit: 'Historial de deshacer',
+        undoLimitDesc: 'Número de restauraciones y eliminaciones recientes que se pueden deshacer',
         showConfirmations: 'Mostrar diálogos de confirmación',
         showConfirmationsDesc: 'Pedir confirmación antes de eliminar o vaciar la papelera',
         showMetadata: 'Mostrar metadatos de archivos',
         showMetadataDesc: 'Mostrar tamaño y fecha de eliminación en la lista',
+        searchContent: 'Buscar en el contenido de los archivos',
+        searchContentDesc: 'Al buscar, comparar también el texto de los archivos markdown y de texto eliminados (más lento en papeleras grandes)',
         showDeleteButton: 'Mostrar botón de eliminar por elemento',
         showDeleteButtonDesc: 'Mostrar un botón de eliminar en cada elemento para eliminar archivos individuales permanentemente',
         language: 'Idioma',
@@ -432,26 +1185,134 @@ const TRANSLATIONS = {
         acknowledgementsText: 'Este plugin fue inspirado por <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. ¡Gracias por el concepto original y la inspiración!',
         translationNote: '🌍 Las traducciones fueron generadas por IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Reportar errores</a>',
         deletePermanently: 'Eliminar permanentemente',
-        deleteConfirmMessage: '¿Estás seguro de que quieres eliminar permanentemente "{name}"? Esto no se puede deshacer.',
+        deleteConfirmMessage: '¿Estás seguro de que quieres eliminar permanentemente "{name}"? Solo se puede deshacer hasta que termine el periodo de gracia.',
+        restoreConflict: 'El archivo ya existe',
+        restoreConflictMessage: '"{path}" ya existe en tu bóveda. ¿Qué quieres hacer?',
+        restoreKeepBoth: 'Restaurar como "{name}"',
+        restoreOverwrite: 'Sobrescribir (mover el archivo actual a la papelera)',
+        restoreCompare: 'Comparar',
+        restoreSkip: 'Omitir',
+        applyToAll: 'Aplicar a todos los conflictos',
+        trashedVersion: 'En la papelera',
+        currentVersion: 'Archivo actual',
         emptyBin: 'Vaciar papelera',
-        emptyBinConfirmMessage: '¿Estás seguro de que quieres eliminar permanentemente TODOS los archivos de la papelera? ¡Esto no se puede deshacer!',
+        emptyBinConfirmMessage: '¿Estás seguro de que quieres eliminar permanentemente TODOS los archivos de la papelera? ¡Solo se puede deshacer hasta que termine el periodo de gracia!',
+        archiveAll: 'Archivar todo',
         restored: '"{name}" restaurado',
-        cannotRestore: 'No se puede restaurar: el archivo ya existe en la ubicación original',
+        cannotRestore: 'No se pudo restaurar "{name}". Consulta la consola para más detalles.',
+        restoreSkipped: 'Se omitió restaurar "{name}"',
+        cannotDelete: 'No se pudo eliminar "{name}". Consulta la consola para más detalles.',
+        undo: 'Deshacer',
+        undoLastAction: 'Deshacer la última acción de la papelera',
+        undone: 'Acción de la papelera deshecha',
+        undoFailed: 'Deshacer incompleto: {count} elemento(s) no se pudieron devolver',
+        nothingToUndo: 'Nada que deshacer',
         binEmptied: 'Papelera vaciada',
         binAlreadyEmpty: 'La papelera ya está vacía',
         autoPurged: 'Se eliminaron automáticamente {count} archivo(s) antiguo(s) de la papelera',
-        searchPlaceholder: 'Buscar archivos eliminados...',
+        autoArchived: 'Se archivaron {count} elemento(s) antiguos de la papelera',
+        binArchived: 'Papelera archivada en {path} y vaciada',
+        archiveFailed: 'Error al archivar, no se eliminó nada. Consulta la consola de desarrollador para más detalles',
+        purgeFailed: 'Error al vaciar la papelera. Consulta la consola de desarrollador para más detalles',
+        exportingProgress: 'Exportando {count} elemento(s)...',
+        exportedItems: 'Se exportaron {count} elemento(s) a {path}',
+        exportFailed: 'Error al exportar, consulta la consola de desarrollador para más detalles',
+        importingProgress: 'Importando {name}...',
+        importedItems: 'Se importaron {count} elemento(s) a la papelera',
+        importFailed: 'No se pudo importar {name}',
+        searchPlaceholder: 'Buscar archivos eliminados... (prueba ext:pdf o is:folder)',
+        noMatches: 'Ningún elemento coincide con tu búsqueda',
         sortNewest: 'Más recientes primero',
         sortOldest: 'Más antiguos primero',
         sortNameAZ: 'Nombre A-Z',
         sortNameZA: 'Nombre Z-A',
         sortLargest: 'Más grandes primero',
         sortSmallest: 'Más pequeños primero',
+        exportBinToZip: 'Exportar papelera a ZIP',
+        importFromZip: 'Importar desde ZIP',
+        selectedCount: '{count} seleccionado(s)',
+        selectAllMatching: 'Seleccionar todo',
+        invertSelection: 'Invertir',
+        restoreSelected: 'Restaurar selección',
+        deleteSelected: 'Eliminar selección',
+        restoreNewestVersion: 'Restaurar la versión más reciente',
+        deleteAllVersions: 'Eliminar permanentemente las {count} versiones',
+        exportSelected: 'Exportar selección',
+        deleteSelectedConfirmMessage: '¿Estás seguro de que quieres eliminar permanentemente {count} elemento(s) seleccionado(s)? Solo se puede deshacer hasta que termine el periodo de gracia.',
+        deleteItemsConfirmMessage: '¿Estás seguro de que quieres eliminar permanentemente {count} elemento(s)? Solo se puede deshacer hasta que termine el periodo de gracia.',
+        deleteVersionsConfirmMessage: '¿Estás seguro de que quieres eliminar permanentemente las {count} versiones de "{name}"? Solo se puede deshacer hasta que termine el periodo de gracia.',
+        restoringProgress: 'Restaurando {done}/{total}…',
+        deletingProgress: 'Eliminando {done}/{total}…',
+        bulkRestoreSummary: 'Se restauraron {succeeded} elemento(s), {skipped} omitido(s), {failed} con error',
+        bulkDeleteSummary: 'Se eliminaron {succeeded} elemento(s), {failed} con error',
         previewNotAvailable: 'Vista previa no disponible para',
         files: 'archivos',
         restoreToView: 'Restaura el archivo para verlo normalmente',
         unableToLoadImage: 'No se pudo cargar la imagen',
-        noFileSelected: 'Ningún archivo seleccionado'
+        unableToPlay: 'Este archivo no se puede reproducir aquí',
+        archiveSummary: '{count} archivo(s), {size} sin comprimir',
+        archiveName: 'Nombre',
+        archiveModified: 'Modificado',
+        showSource: 'Código fuente',
+        showRendered: 'Renderizado',
+        wordWrap: 'Ajuste de línea',
+        find: 'Buscar',
+        findPlaceholder: 'Buscar en el archivo…',
+        noMatchesShort: 'Sin resultados',
+        previousMatch: 'Coincidencia anterior (Mayús+Intro)',
+        nextMatch: 'Siguiente coincidencia (Intro)',
+        noLongerInBin: '{name} ya no está en la papelera',
+        noLongerInBinRestored: 'Se restauró en {path}.',
+        noLongerInBinDesc: 'Se restauró o se eliminó permanentemente.',
+        openFile: 'Abrir archivo',
+        originalTaken: 'Ruta original en uso',
+        originalTakenDesc: 'Ahora existe un archivo en la ubicación original; al restaurar se preguntará cómo resolver el conflicto',
+        noFileSelected: 'Ningún archivo seleccionado',
+        linkedFrom: 'Enlazado desde {count} nota(s) al eliminarse:',
+        updateLinks: 'Actualizar enlaces',
+        updateLinksMessage: '{count} nota(s) enlazaban a los archivos restaurados en su ubicación anterior. ¿Actualizar esos enlaces a la nueva ubicación?',
+        updateLinksConfirm: 'Actualizar enlaces',
+        linksUpdated: 'Se actualizaron {count} enlace(s)',
+        compareWithCurrent: 'Comparar con la actual',
+        showPreview: 'Mostrar vista previa',
+        filesIdentical: 'El archivo eliminado es idéntico a la versión actual',
+        copyHunkToCurrent: 'Copiar a la nota actual',
+        hunkCopied: 'Líneas copiadas en "{path}"',
+        hunkOutdated: 'La nota cambió desde que se mostró la comparación. Revisa la comparación actualizada e inténtalo de nuevo.',
+        hunkCopyFailed: 'No se pudieron copiar las líneas en la nota actual. Consulta la consola para más detalles.',
+        versionCount: '{count} versiones',
+        versionDeleted: 'Eliminado {date}',
+        compareWithNewest: 'Comparar con la versión más reciente',
+        restoreVersion: 'Restaurar esta versión',
+        trashStatistics: 'Estadísticas de la papelera',
+        totalSize: 'Tamaño total',
+        trashedItems: 'Elementos',
+        itemsAndFiles: '{count} ({files} archivos)',
+        itemsCount: '{count} elemento(s)',
+        nextPurgeFrees: 'La próxima eliminación libera',
+        byFileType: 'Por tipo de archivo',
+        deletionsOverTime: 'Eliminaciones a lo largo del tiempo',
+        perDay: 'Por día',
+        perWeek: 'Por semana',
+        largestItems: 'Elementos más grandes',
+        topFolders: 'Carpetas originales principales',
+        category_markdown: 'Markdown',
+        category_code: 'Código',
+        category_image: 'Imágenes',
+        category_document: 'Documentos',
+        category_archive: 'Archivos comprimidos',
+        category_audio: 'Audio',
+        category_video: 'Vídeo',
+        category_other: 'Otros',
+        groupNone: 'Sin agrupar',
+        groupByFolder: 'Agrupar por carpeta',
+        groupByType: 'Agrupar por tipo de archivo',
+        groupByDate: 'Agrupar por fecha de eliminación',
+        category_folder: 'Carpetas',
+        thisWeek: 'Esta semana',
+        older: 'Más antiguos',
+        restoreAll: 'Restaurar todo',
+        deleteAll: 'Eliminar todo'
     },
 
     // French
@@ -465,6 +1326,9 @@ const TRANSLATIONS = {
         usingSystemTrash: '⚠️ Vous utilisez la corbeille système.',
         goToSettings: 'Allez dans Paramètres → Corbeille pour activer.',
         restore: 'Restaurer',
+        restoreTo: 'Restaurer dans…',
+        chooseFolder: 'Choisissez un dossier où restaurer…',
+        createFolder: 'Créer le dossier "{path}"',
         deleteForever: 'Supprimer définitivement',
         emptyAll: 'Tout vider',
         refresh: 'Actualiser',
@@ -476,6 +1340,7 @@ const TRANSLATIONS = {
         size: 'Taille',
         deleted: 'Supprimé',
         items: 'éléments',
+        deletedOnDevice: 'sur {device}',
         today: "Aujourd'hui",
         yesterday: 'Hier',
         daysAgo: 'jours',
@@ -483,28 +1348,85 @@ const TRANSLATIONS = {
         fileInBin: 'Ce fichier est dans la Corbeille',
         trashLocation: '📍 Emplacement de la Corbeille',
         deletedFilesLocation: 'Emplacement des fichiers supprimés',
-        deletedFilesLocationDesc: 'Choisissez où vont les fichiers supprimés. "Obsidian .trash" est requis pour que ce plugin fonctionne.',
+        deletedFilesLocationDesc: 'Choisissez où vont les fichiers supprimés. Avec la corbeille système ou la suppression définitive, activez "Conserver des copies des fichiers supprimés" ci-dessous pour utiliser ce plugin.',
         obsidianTrashFolder: "📁 Dossier .trash d'Obsidian (recommandé)",
         systemTrash: '🗑️ Corbeille système',
         permanentDelete: '⚠️ Supprimer définitivement (sans récupération)',
         usingObsidianTrash: "✓ Utilise le dossier .trash d'Obsidian",
         deletedFilesWillAppear: 'Les fichiers supprimés apparaîtront dans cette Corbeille.',
         usingSystemTrashWarning: '⚠ Utilise la corbeille système',
-        systemTrashWarningDesc: "Les fichiers supprimés vont dans la corbeille de l'OS, pas dans cette Corbeille. Changez ci-dessous pour utiliser ce plugin.",
+        systemTrashWarningDesc: 'Les fichiers supprimés vont dans la corbeille de l\'OS, pas dans cette Corbeille. Changez ci-dessous, ou conservez des copies des fichiers supprimés, pour utiliser ce plugin.',
         permanentDeleteWarning: '⚠ Suppression permanente activée',
         permanentDeleteWarningDesc: 'Les fichiers supprimés sont détruits immédiatement ! Changez ci-dessous pour activer la récupération.',
         trashLocationChanged: 'Emplacement de la corbeille changé en',
+        captureMode: 'Conserver des copies des fichiers supprimés',
+        captureModeDesc: 'Copie chaque fichier supprimé dans Obsidian dans la corbeille propre au plugin (.recycle-bin) avant qu\'il ne parte dans la corbeille système ou ne soit supprimé, pour que vous puissiez toujours le prévisualiser et le restaurer ici.',
+        captureActive: '✓ Copies des fichiers supprimés conservées',
+        captureActiveDesc: 'Les fichiers supprimés sont copiés dans cette Corbeille avant qu\'Obsidian ne les retire.',
+        captureFailed: 'Impossible de conserver une copie de {name}, le fichier n\'a donc pas été supprimé',
+        binFolders: 'Dossiers de corbeille supplémentaires',
+        binFoldersDesc: 'Dossiers dont le contenu est listé dans cette Corbeille à côté de la corbeille, par exemple un dossier dans lequel d\'autres outils déplacent les notes supprimées. Les chemins sont relatifs à la racine du coffre.',
+        addBinFolder: 'Ajouter un dossier',
+        removeBinFolder: 'Retirer le dossier',
+        invalidBinFolder: 'Ce dossier ne peut pas être utilisé comme dossier de corbeille',
+        binSource: 'Dossier de corbeille',
+        sourceTrash: 'Corbeille',
+        sourceCapture: 'Copie conservée',
         pluginSettings: '⚙️ Paramètres du Plugin',
         settingsDisabled: '⚠️ Paramètres désactivés',
-        settingsDisabledDesc: 'Changez "Emplacement des fichiers supprimés" ci-dessus en "Dossier .trash d\'Obsidian" pour activer ce plugin.',
+        settingsDisabledDesc: 'Changez "Emplacement des fichiers supprimés" ci-dessus en "Dossier .trash d\'Obsidian", ou activez "Conserver des copies des fichiers supprimés", pour activer ce plugin.',
         autoPurge: 'Supprimer automatiquement les anciens fichiers',
         autoPurgeDesc: "Supprimer automatiquement les fichiers plus anciens qu'un nombre spécifié de jours",
         autoPurgeDays: 'Supprimer automatiquement après (jours)',
-        autoPurgeDaysDesc: 'Supprimer les fichiers plus anciens que ce nombre de jours',
+        autoPurgeDaysDesc: 'Supprimer les fichiers qui ne correspondent à aucune règle de conservation une fois plus anciens que ce nombre de jours',
+        autoPurgeInterval: 'Planification de la suppression automatique',
+        hourly: 'Toutes les heures',
+        daily: 'Tous les jours',
+        nextPurge: 'Prochaine suppression automatique : {time}',
+        expiringSoon: 'Expire bientôt',
+        expiresInDays: 'Expire dans {count} jour(s)',
+        expiresNextPurge: 'Supprimé au prochain passage',
+        keepForever: 'Conserver pour toujours',
+        allowPurge: 'Autoriser la suppression automatique',
+        keptForever: 'Conservé pour toujours',
+        maxBinSize: 'Taille maximale de la corbeille (Mo)',
+        maxBinSizeDesc: 'Quand la corbeille dépasse cette taille, les éléments les plus anciens sont supprimés en premier. 0 signifie aucune limite.',
+        purgeAction: 'Éléments supprimés',
+        purgeActionDesc: 'Ce que Tout vider et la suppression automatique font des éléments qu\'ils retirent. Les éléments archivés sont ajoutés à une archive ZIP par mois, avec un manifeste de leurs chemins d\'origine et dates de suppression.',
+        purgeActionDelete: 'Supprimer définitivement',
+        purgeActionArchive: 'Déplacer vers l\'archive',
+        archiveLocation: 'Emplacement des archives',
+        archiveLocationDesc: 'Dossier du coffre pour les archives, ou sur ordinateur un chemin absolu hors du coffre, comme /Users/moi/Sauvegardes.',
+        retentionRules: 'Règles de conservation',
+        retentionRulesDesc: 'Vérifiées de haut en bas ; la première règle correspondant à un élément décide combien de temps il est conservé. Les champs vides correspondent à tout. Les chemins sont des globs sur le chemin d\'origine, p. ex. Journal/** ou **/*.png.',
+        retentionRule: 'Règle {number}',
+        ruleExtensions: 'Extensions, p. ex. md, png',
+        rulePath: 'Chemin, p. ex. Journal/**',
+        ruleMinSize: 'Taille min. (Mo)',
+        ruleDays: 'Jours',
+        rulePurgeAfter: 'Supprimer après (jours)',
+        ruleKeepForever: 'Ne jamais supprimer',
+        moveUp: 'Monter',
+        moveDown: 'Descendre',
+        removeRule: 'Retirer la règle',
+        addRule: 'Ajouter une règle',
+        previewPurge: 'Aperçu de la prochaine suppression',
+        purgeNothing: 'La prochaine suppression ne retirerait rien.',
+        purgeSummary: 'La prochaine suppression retirerait {count} élément(s) et libérerait {size} :',
+        archiveNow: 'Archiver maintenant',
+        purgeNow: 'Supprimer maintenant',
+        purgeReasonDefault: 'Âge par défaut',
+        purgeReasonSize: 'Limite de taille de la corbeille',
+        undoGraceSeconds: 'Délai d\'annulation (secondes)',
+        undoGraceSecondsDesc: 'Les éléments supprimés définitivement sont retenus pendant ce délai pour pouvoir être annulés. 0 supprime immédiatement.',
+        undoLimit: 'Historique d\'annulation',
+        undoLimitDesc: 'Nombre de restaurations et suppressions récentes qui peuvent être annulées',
         showConfirmations: 'Afficher les dialogues de confirmation',
         showConfirmationsDesc: 'Demander confirmation avant de supprimer ou vider la corbeille',
         showMetadata: 'Afficher les métadonnées des fichiers',
         showMetadataDesc: 'Afficher la taille et la date de suppression dans la liste',
+        searchContent: 'Rechercher dans le contenu des fichiers',
+        searchContentDesc: 'Rechercher aussi dans le texte des fichiers markdown et texte supprimés (plus lent pour les grandes corbeilles)',
         showDeleteButton: 'Afficher le bouton de suppression par élément',
         showDeleteButtonDesc: 'Afficher un bouton de suppression sur chaque élément pour supprimer définitivement des fichiers individuels',
         language: 'Langue',
@@ -514,26 +1436,134 @@ const TRANSLATIONS = {
         acknowledgementsText: 'Ce plugin a été inspiré par <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. Merci pour le concept original et l\'inspiration !',
         translationNote: '🌍 Les traductions ont été générées par IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Signaler des erreurs</a>',
         deletePermanently: 'Supprimer définitivement',
-        deleteConfirmMessage: 'Êtes-vous sûr de vouloir supprimer définitivement "{name}" ? Cette action est irréversible.',
+        deleteConfirmMessage: 'Êtes-vous sûr de vouloir supprimer définitivement "{name}" ? Cette action ne peut être annulée que pendant le délai d\'annulation.',
+        restoreConflict: 'Le fichier existe déjà',
+        restoreConflictMessage: '"{path}" existe déjà dans votre coffre. Que voulez-vous faire ?',
+        restoreKeepBoth: 'Restaurer sous "{name}"',
+        restoreOverwrite: 'Écraser (déplacer le fichier actuel dans la corbeille)',
+        restoreCompare: 'Comparer',
+        restoreSkip: 'Ignorer',
+        applyToAll: 'Appliquer à tous les conflits',
+        trashedVersion: 'Dans la corbeille',
+        currentVersion: 'Fichier actuel',
         emptyBin: 'Vider la corbeille',
-        emptyBinConfirmMessage: 'Êtes-vous sûr de vouloir supprimer définitivement TOUS les fichiers de la corbeille ? Cette action est irréversible !',
+        emptyBinConfirmMessage: 'Êtes-vous sûr de vouloir supprimer définitivement TOUS les fichiers de la corbeille ? Cette action ne peut être annulée que pendant le délai d\'annulation !',
+        archiveAll: 'Tout archiver',
         restored: '"{name}" restauré',
-        cannotRestore: "Impossible de restaurer : le fichier existe déjà à l'emplacement d'origine",
+        cannotRestore: 'Impossible de restaurer "{name}". Consultez la console pour plus de détails.',
+        restoreSkipped: 'Restauration de "{name}" ignorée',
+        cannotDelete: 'Impossible de supprimer "{name}". Voir la console pour plus de détails.',
+        undo: 'Annuler',
+        undoLastAction: 'Annuler la dernière action de la corbeille',
+        undone: 'Action de la corbeille annulée',
+        undoFailed: 'Annulation incomplète : {count} élément(s) n\'ont pas pu être remis en place',
+        nothingToUndo: 'Rien à annuler',
         binEmptied: 'Corbeille vidée',
         binAlreadyEmpty: 'La corbeille est déjà vide',
         autoPurged: '{count} ancien(s) fichier(s) automatiquement supprimé(s) de la corbeille',
-        searchPlaceholder: 'Rechercher des fichiers supprimés...',
+        autoArchived: '{count} ancien(s) élément(s) archivé(s) depuis la corbeille',
+        binArchived: 'Corbeille archivée dans {path} et vidée',
+        archiveFailed: 'Échec de l\'archivage, rien n\'a été supprimé. Voir la console développeur pour plus de détails',
+        purgeFailed: 'Échec du vidage de la corbeille. Voir la console développeur pour plus de détails',
+        exportingProgress: 'Export de {count} élément(s)...',
+        exportedItems: '{count} élément(s) exporté(s) vers {path}',
+        exportFailed: 'Échec de l\'export, voir la console développeur pour plus de détails',
+        importingProgress: 'Import de {name}...',
+        importedItems: '{count} élément(s) importé(s) dans la corbeille',
+        importFailed: 'Impossible d\'importer {name}',
+        searchPlaceholder: 'Rechercher des fichiers supprimés... (essayez ext:pdf ou is:folder)',
+        noMatches: 'Aucun élément ne correspond à votre recherche',
         sortNewest: "Plus récents d'abord",
         sortOldest: "Plus anciens d'abord",
         sortNameAZ: 'Nom A-Z',
         sortNameZA: 'Nom Z-A',
         sortLargest: "Plus grands d'abord",
         sortSmallest: "Plus petits d'abord",
+        exportBinToZip: 'Exporter la corbeille en ZIP',
+        importFromZip: 'Importer depuis un ZIP',
+        selectedCount: '{count} sélectionné(s)',
+        selectAllMatching: 'Tout sélectionner',
+        invertSelection: 'Inverser',
+        restoreSelected: 'Restaurer la sélection',
+        deleteSelected: 'Supprimer la sélection',
+        restoreNewestVersion: 'Restaurer la version la plus récente',
+        deleteAllVersions: 'Supprimer définitivement les {count} versions',
+        exportSelected: 'Exporter la sélection',
+        deleteSelectedConfirmMessage: 'Êtes-vous sûr de vouloir supprimer définitivement {count} élément(s) sélectionné(s) ? Cette action ne peut être annulée que pendant le délai d\'annulation.',
+        deleteItemsConfirmMessage: 'Êtes-vous sûr de vouloir supprimer définitivement {count} élément(s) ? Cette action ne peut être annulée que pendant le délai d\'annulation.',
+        deleteVersionsConfirmMessage: 'Êtes-vous sûr de vouloir supprimer définitivement les {count} versions de "{name}" ? Cette action ne peut être annulée que pendant le délai d\'annulation.',
+        restoringProgress: 'Restauration {done}/{total}…',
+        deletingProgress: 'Suppression {done}/{total}…',
+        bulkRestoreSummary: '{succeeded} élément(s) restauré(s), {skipped} ignoré(s), {failed} en échec',
+        bulkDeleteSummary: '{succeeded} élément(s) supprimé(s), {failed} en échec',
         previewNotAvailable: 'Aperçu non disponible pour',
         files: 'fichiers',
         restoreToView: 'Restaurez le fichier pour le voir normalement',
         unableToLoadImage: "Impossible de charger l'image",
-        noFileSelected: 'Aucun fichier sélectionné'
+        unableToPlay: 'Ce fichier ne peut pas être lu ici',
+        archiveSummary: '{count} fichier(s), {size} non compressé(s)',
+        archiveName: 'Nom',
+        archiveModified: 'Modifié',
+        showSource: 'Source',
+        showRendered: 'Rendu',
+        wordWrap: 'Retour à la ligne',
+        find: 'Rechercher',
+        findPlaceholder: 'Rechercher dans le fichier…',
+        noMatchesShort: 'Aucun résultat',
+        previousMatch: 'Résultat précédent (Maj+Entrée)',
+        nextMatch: 'Résultat suivant (Entrée)',
+        noLongerInBin: '{name} n\'est plus dans la corbeille',
+        noLongerInBinRestored: 'Il a été restauré dans {path}.',
+        noLongerInBinDesc: 'Il a été restauré ou supprimé définitivement.',
+        openFile: 'Ouvrir le fichier',
+        originalTaken: 'Chemin d\'origine utilisé',
+        originalTakenDesc: 'Un fichier existe maintenant à l\'emplacement d\'origine ; la restauration demandera comment résoudre le conflit',
+        noFileSelected: 'Aucun fichier sélectionné',
+        linkedFrom: 'Lié depuis {count} note(s) lors de la suppression :',
+        updateLinks: 'Mettre à jour les liens',
+        updateLinksMessage: '{count} note(s) pointaient vers le ou les fichiers restaurés à leur ancien emplacement. Mettre à jour ces liens vers le nouvel emplacement ?',
+        updateLinksConfirm: 'Mettre à jour les liens',
+        linksUpdated: '{count} lien(s) mis à jour',
+        compareWithCurrent: 'Comparer avec la version actuelle',
+        showPreview: 'Afficher l\'aperçu',
+        filesIdentical: 'Le fichier supprimé est identique à la version actuelle',
+        copyHunkToCurrent: 'Copier dans la note actuelle',
+        hunkCopied: 'Lignes copiées dans "{path}"',
+        hunkOutdated: 'La note a changé depuis l\'affichage de la comparaison. Vérifiez la comparaison mise à jour et réessayez.',
+        hunkCopyFailed: 'Impossible de copier les lignes dans la note actuelle. Voir la console pour plus de détails.',
+        versionCount: '{count} versions',
+        versionDeleted: 'Supprimé {date}',
+        compareWithNewest: 'Comparer avec la version la plus récente',
+        restoreVersion: 'Restaurer cette version',
+        trashStatistics: 'Statistiques de la corbeille',
+        totalSize: 'Taille totale',
+        trashedItems: 'Éléments',
+        itemsAndFiles: '{count} ({files} fichiers)',
+        itemsCount: '{count} élément(s)',
+        nextPurgeFrees: 'La prochaine suppression libère',
+        byFileType: 'Par type de fichier',
+        deletionsOverTime: 'Suppressions dans le temps',
+        perDay: 'Par jour',
+        perWeek: 'Par semaine',
+        largestItems: 'Plus gros éléments',
+        topFolders: 'Principaux dossiers d\'origine',
+        category_markdown: 'Markdown',
+        category_code: 'Code',
+        category_image: 'Images',
+        category_document: 'Documents',
+        category_archive: 'Archives',
+        category_audio: 'Audio',
+        category_video: 'Vidéo',
+        category_other: 'Autres',
+        groupNone: 'Aucun regroupement',
+        groupByFolder: 'Grouper par dossier',
+        groupByType: 'Grouper par type de fichier',
+        groupByDate: 'Grouper par date de suppression',
+        category_folder: 'Dossiers',
+        thisWeek: 'Cette semaine',
+        older: 'Plus ancien',
+        restoreAll: 'Tout restaurer',
+        deleteAll: 'Tout supprimer'
     },
 
     // Portuguese
@@ -547,6 +1577,9 @@ const TRANSLATIONS = {
         usingSystemTrash: '⚠️ Você está usando a lixeira do sistema.',
         goToSettings: 'Vá para Configurações → Lixeira para ativar.',
         restore: 'Restaurar',
+        restoreTo: 'Restaurar em…',
+        chooseFolder: 'Escolha uma pasta para restaurar…',
+        createFolder: 'Criar pasta "{path}"',
         deleteForever: 'Excluir permanentemente',
         emptyAll: 'Esvaziar tudo',
         refresh: 'Atualizar',
@@ -558,6 +1591,7 @@ const TRANSLATIONS = {
         size: 'Tamanho',
         deleted: 'Excluído',
         items: 'itens',
+        deletedOnDevice: 'em {device}',
         today: 'Hoje',
         yesterday: 'Ontem',
         daysAgo: 'dias atrás',
@@ -565,28 +1599,85 @@ const TRANSLATIONS = {
         fileInBin: 'Este arquivo está na Lixeira',
         trashLocation: '📍 Local da Lixeira',
         deletedFilesLocation: 'Local dos arquivos excluídos',
-        deletedFilesLocationDesc: 'Escolha para onde vão os arquivos excluídos. "Obsidian .trash" é necessário para este plugin funcionar.',
+        deletedFilesLocationDesc: 'Escolha para onde vão os arquivos excluídos. Com a lixeira do sistema ou a exclusão permanente, ative "Manter cópias dos arquivos excluídos" abaixo para usar este plugin.',
         obsidianTrashFolder: '📁 Pasta .trash do Obsidian (recomendado)',
         systemTrash: '🗑️ Lixeira do sistema',
         permanentDelete: '⚠️ Excluir permanentemente (sem recuperação)',
         usingObsidianTrash: '✓ Usando a pasta .trash do Obsidian',
         deletedFilesWillAppear: 'Arquivos excluídos aparecerão nesta Lixeira.',
         usingSystemTrashWarning: '⚠ Usando a lixeira do sistema',
-        systemTrashWarningDesc: 'Arquivos excluídos vão para a lixeira do SO, não para esta Lixeira. Mude abaixo para usar este plugin.',
+        systemTrashWarningDesc: 'Arquivos excluídos vão para a lixeira do SO, não para esta Lixeira. Mude abaixo, ou mantenha cópias dos arquivos excluídos, para usar este plugin.',
         permanentDeleteWarning: '⚠ Exclusão permanente ativada',
         permanentDeleteWarningDesc: 'Arquivos excluídos são destruídos imediatamente! Mude abaixo para ativar a recuperação.',
         trashLocationChanged: 'Local da lixeira alterado para',
+        captureMode: 'Manter cópias dos arquivos excluídos',
+        captureModeDesc: 'Copia cada arquivo excluído no Obsidian para a lixeira própria do plugin (.recycle-bin) antes que ele vá para a lixeira do sistema ou seja excluído, para que você ainda possa visualizá-lo e restaurá-lo aqui.',
+        captureActive: '✓ Mantendo cópias dos arquivos excluídos',
+        captureActiveDesc: 'Arquivos excluídos são copiados para esta Lixeira antes que o Obsidian os remova.',
+        captureFailed: 'Não foi possível manter uma cópia de {name}, por isso ele não foi excluído',
+        binFolders: 'Pastas de lixeira adicionais',
+        binFoldersDesc: 'Pastas cujo conteúdo é listado nesta Lixeira junto com a lixeira, por exemplo uma pasta para onde outras ferramentas movem notas excluídas. Os caminhos são relativos à raiz do cofre.',
+        addBinFolder: 'Adicionar pasta',
+        removeBinFolder: 'Remover pasta',
+        invalidBinFolder: 'Esta pasta não pode ser usada como pasta de lixeira',
+        binSource: 'Pasta de lixeira',
+        sourceTrash: 'Lixeira',
+        sourceCapture: 'Cópia mantida',
         pluginSettings: '⚙️ Configurações do Plugin',
         settingsDisabled: '⚠️ Configurações desativadas',
-        settingsDisabledDesc: 'Altere "Local dos arquivos excluídos" acima para "Pasta .trash do Obsidian" para ativar este plugin.',
+        settingsDisabledDesc: 'Altere "Local dos arquivos excluídos" acima para "Pasta .trash do Obsidian", ou ative "Manter cópias dos arquivos excluídos", para ativar este plugin.',
         autoPurge: 'Excluir arquivos antigos automaticamente',
         autoPurgeDesc: 'Excluir automaticamente arquivos mais antigos que um número especificado de dias',
         autoPurgeDays: 'Excluir automaticamente após (dias)',
-        autoPurgeDaysDesc: 'Excluir arquivos mais antigos que este número de dias',
+        autoPurgeDaysDesc: 'Excluir arquivos que não correspondem a nenhuma regra de retenção quando forem mais antigos que este número de dias',
+        autoPurgeInterval: 'Agendamento da exclusão automática',
+        hourly: 'A cada hora',
+        daily: 'Diariamente',
+        nextPurge: 'Próxima exclusão automática: {time}',
+        expiringSoon: 'Expirando em breve',
+        expiresInDays: 'Expira em {count} dia(s)',
+        expiresNextPurge: 'Excluído na próxima execução',
+        keepForever: 'Manter para sempre',
+        allowPurge: 'Permitir exclusão automática',
+        keptForever: 'Mantido para sempre',
+        maxBinSize: 'Tamanho máximo da lixeira (MB)',
+        maxBinSizeDesc: 'Quando a lixeira ultrapassa este tamanho, os itens mais antigos são excluídos primeiro. 0 significa sem limite.',
+        purgeAction: 'Itens excluídos',
+        purgeActionDesc: 'O que Esvaziar tudo e a exclusão automática fazem com os itens que removem. Itens arquivados são adicionados a um arquivo ZIP por mês, com um manifesto dos caminhos originais e datas de exclusão.',
+        purgeActionDelete: 'Excluir permanentemente',
+        purgeActionArchive: 'Mover para o arquivo',
+        archiveLocation: 'Local do arquivo',
+        archiveLocationDesc: 'Pasta do cofre para os arquivos, ou no desktop um caminho absoluto fora do cofre, como /Users/eu/Backups.',
+        retentionRules: 'Regras de retenção',
+        retentionRulesDesc: 'Verificadas de cima para baixo; a primeira regra que corresponde a um item decide por quanto tempo ele é mantido. Campos vazios correspondem a tudo. Caminhos são globs sobre o caminho original, ex.: Journal/** ou **/*.png.',
+        retentionRule: 'Regra {number}',
+        ruleExtensions: 'Extensões, ex.: md, png',
+        rulePath: 'Caminho, ex.: Journal/**',
+        ruleMinSize: 'Tamanho mín. (MB)',
+        ruleDays: 'Dias',
+        rulePurgeAfter: 'Excluir após dias',
+        ruleKeepForever: 'Nunca excluir',
+        moveUp: 'Mover para cima',
+        moveDown: 'Mover para baixo',
+        removeRule: 'Remover regra',
+        addRule: 'Adicionar regra',
+        previewPurge: 'Visualizar próxima exclusão',
+        purgeNothing: 'A próxima exclusão não removeria nada.',
+        purgeSummary: 'A próxima exclusão removeria {count} item(ns), liberando {size}:',
+        archiveNow: 'Arquivar agora',
+        purgeNow: 'Excluir agora',
+        purgeReasonDefault: 'Idade padrão',
+        purgeReasonSize: 'Limite de tamanho da lixeira',
+        undoGraceSeconds: 'Período de carência para desfazer (segundos)',
+        undoGraceSecondsDesc: 'Itens excluídos permanentemente são retidos por este tempo para que possam ser desfeitos. 0 exclui imediatamente.',
+        undoLimit: 'Histórico de desfazer',
+        undoLimitDesc: 'Número de restaurações e exclusões recentes que podem ser desfeitas',
         showConfirmations: 'Mostrar diálogos de confirmação',
         showConfirmationsDesc: 'Pedir confirmação antes de excluir ou esvaziar a lixeira',
         showMetadata: 'Mostrar metadados de arquivos',
         showMetadataDesc: 'Exibir tamanho e data de exclusão na lista',
+        searchContent: 'Pesquisar conteúdo dos arquivos',
+        searchContentDesc: 'Também pesquisar o texto dos arquivos markdown e de texto excluídos (mais lento em lixeiras grandes)',
         showDeleteButton: 'Mostrar botão de exclusão por item',
         showDeleteButtonDesc: 'Mostrar um botão de exclusão em cada item para excluir permanentemente arquivos individuais',
         language: 'Idioma',
@@ -596,26 +1687,134 @@ const TRANSLATIONS = {
         acknowledgementsText: 'Este plugin foi inspirado pelo <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> de <strong>Per Mortensen</strong>. Obrigado pelo conceito original e inspiração!',
         translationNote: '🌍 Traduções foram geradas por IA. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Reportar erros</a>',
         deletePermanently: 'Excluir permanentemente',
-        deleteConfirmMessage: 'Tem certeza de que deseja excluir permanentemente "{name}"? Esta ação não pode ser desfeita.',
+        deleteConfirmMessage: 'Tem certeza de que deseja excluir permanentemente "{name}"? Só é possível desfazer até o fim do período de carência.',
+        restoreConflict: 'O arquivo já existe',
+        restoreConflictMessage: '"{path}" já existe no seu cofre. O que você deseja fazer?',
+        restoreKeepBoth: 'Restaurar como "{name}"',
+        restoreOverwrite: 'Sobrescrever (mover o arquivo atual para a lixeira)',
+        restoreCompare: 'Comparar',
+        restoreSkip: 'Pular',
+        applyToAll: 'Aplicar a todos os conflitos',
+        trashedVersion: 'Na lixeira',
+        currentVersion: 'Arquivo atual',
         emptyBin: 'Esvaziar lixeira',
-        emptyBinConfirmMessage: 'Tem certeza de que deseja excluir permanentemente TODOS os arquivos da lixeira? Esta ação não pode ser desfeita!',
+        emptyBinConfirmMessage: 'Tem certeza de que deseja excluir permanentemente TODOS os arquivos da lixeira? Só é possível desfazer até o fim do período de carência!',
+        archiveAll: 'Arquivar tudo',
         restored: '"{name}" restaurado',
-        cannotRestore: 'Não é possível restaurar: arquivo já existe no local original',
+        cannotRestore: 'Não foi possível restaurar "{name}". Veja o console para detalhes.',
+        restoreSkipped: 'Restauração de "{name}" pulada',
+        cannotDelete: 'Não foi possível excluir "{name}". Veja o console para detalhes.',
+        undo: 'Desfazer',
+        undoLastAction: 'Desfazer a última ação da lixeira',
+        undone: 'Ação da lixeira desfeita',
+        undoFailed: 'Desfazer incompleto: {count} item(ns) não puderam ser devolvidos',
+        nothingToUndo: 'Nada para desfazer',
         binEmptied: 'Lixeira esvaziada',
         binAlreadyEmpty: 'A lixeira já está vazia',
         autoPurged: '{count} arquivo(s) antigo(s) excluído(s) automaticamente da lixeira',
-        searchPlaceholder: 'Pesquisar arquivos excluídos...',
+        autoArchived: '{count} item(ns) antigo(s) arquivado(s) da lixeira',
+        binArchived: 'Lixeira arquivada em {path} e esvaziada',
+        archiveFailed: 'Falha ao arquivar, nada foi excluído. Veja o console do desenvolvedor para detalhes',
+        purgeFailed: 'Falha ao esvaziar a lixeira. Veja o console do desenvolvedor para detalhes',
+        exportingProgress: 'Exportando {count} item(ns)...',
+        exportedItems: '{count} item(ns) exportado(s) para {path}',
+        exportFailed: 'Falha na exportação, veja o console do desenvolvedor para detalhes',
+        importingProgress: 'Importando {name}...',
+        importedItems: '{count} item(ns) importado(s) para a lixeira',
+        importFailed: 'Não foi possível importar {name}',
+        searchPlaceholder: 'Pesquisar arquivos excluídos... (experimente ext:pdf ou is:folder)',
+        noMatches: 'Nenhum item corresponde à sua pesquisa',
         sortNewest: 'Mais recentes primeiro',
         sortOldest: 'Mais antigos primeiro',
         sortNameAZ: 'Nome A-Z',
         sortNameZA: 'Nome Z-A',
         sortLargest: 'Maiores primeiro',
         sortSmallest: 'Menores primeiro',
+        exportBinToZip: 'Exportar lixeira para ZIP',
+        importFromZip: 'Importar de ZIP',
+        selectedCount: '{count} selecionado(s)',
+        selectAllMatching: 'Selecionar tudo',
+        invertSelection: 'Inverter',
+        restoreSelected: 'Restaurar seleção',
+        deleteSelected: 'Excluir seleção',
+        restoreNewestVersion: 'Restaurar a versão mais recente',
+        deleteAllVersions: 'Excluir permanentemente todas as {count} versões',
+        exportSelected: 'Exportar seleção',
+        deleteSelectedConfirmMessage: 'Tem certeza de que deseja excluir permanentemente {count} item(ns) selecionado(s)? Só é possível desfazer até o fim do período de carência.',
+        deleteItemsConfirmMessage: 'Tem certeza de que deseja excluir permanentemente {count} item(ns)? Só é possível desfazer até o fim do período de carência.',
+        deleteVersionsConfirmMessage: 'Tem certeza de que deseja excluir permanentemente todas as {count} versões de "{name}"? Só é possível desfazer até o fim do período de carência.',
+        restoringProgress: 'Restaurando {done}/{total}…',
+        deletingProgress: 'Excluindo {done}/{total}…',
+        bulkRestoreSummary: '{succeeded} item(ns) restaurado(s), {skipped} pulado(s), {failed} com falha',
+        bulkDeleteSummary: '{succeeded} item(ns) excluído(s), {failed} com falha',
         previewNotAvailable: 'Visualização não disponível para',
         files: 'arquivos',
         restoreToView: 'Restaure o arquivo para visualizá-lo normalmente',
         unableToLoadImage: 'Não foi possível carregar a imagem',
-        noFileSelected: 'Nenhum arquivo selecionado'
+        unableToPlay: 'Este arquivo não pode ser reproduzido aqui',
+        archiveSummary: '{count} arquivo(s), {size} descompactado(s)',
+        archiveName: 'Nome',
+        archiveModified: 'Modificado',
+        showSource: 'Código-fonte',
+        showRendered: 'Renderizado',
+        wordWrap: 'Quebra de linha',
+        find: 'Localizar',
+        findPlaceholder: 'Localizar no arquivo…',
+        noMatchesShort: 'Sem resultados',
+        previousMatch: 'Resultado anterior (Shift+Enter)',
+        nextMatch: 'Próximo resultado (Enter)',
+        noLongerInBin: '{name} não está mais na lixeira',
+        noLongerInBinRestored: 'Foi restaurado em {path}.',
+        noLongerInBinDesc: 'Foi restaurado ou excluído permanentemente.',
+        openFile: 'Abrir arquivo',
+        originalTaken: 'Caminho original em uso',
+        originalTakenDesc: 'Agora existe um arquivo no local original; ao restaurar, será perguntado como resolver o conflito',
+        noFileSelected: 'Nenhum arquivo selecionado',
+        linkedFrom: 'Vinculado por {count} nota(s) ao ser excluído:',
+        updateLinks: 'Atualizar links',
+        updateLinksMessage: '{count} nota(s) vinculavam o(s) arquivo(s) restaurado(s) no local antigo. Atualizar esses links para o novo local?',
+        updateLinksConfirm: 'Atualizar links',
+        linksUpdated: '{count} link(s) atualizado(s)',
+        compareWithCurrent: 'Comparar com a atual',
+        showPreview: 'Mostrar visualização',
+        filesIdentical: 'O arquivo excluído é idêntico à versão atual',
+        copyHunkToCurrent: 'Copiar para a nota atual',
+        hunkCopied: 'Linhas copiadas para "{path}"',
+        hunkOutdated: 'A nota mudou desde que a comparação foi exibida. Verifique a comparação atualizada e tente novamente.',
+        hunkCopyFailed: 'Não foi possível copiar as linhas para a nota atual. Veja o console para detalhes.',
+        versionCount: '{count} versões',
+        versionDeleted: 'Excluído {date}',
+        compareWithNewest: 'Comparar com a versão mais recente',
+        restoreVersion: 'Restaurar esta versão',
+        trashStatistics: 'Estatísticas da lixeira',
+        totalSize: 'Tamanho total',
+        trashedItems: 'Itens',
+        itemsAndFiles: '{count} ({files} arquivos)',
+        itemsCount: '{count} item(ns)',
+        nextPurgeFrees: 'A próxima exclusão libera',
+        byFileType: 'Por tipo de arquivo',
+        deletionsOverTime: 'Exclusões ao longo do tempo',
+        perDay: 'Por dia',
+        perWeek: 'Por semana',
+        largestItems: 'Maiores itens',
+        topFolders: 'Principais pastas originais',
+        category_markdown: 'Markdown',
+        category_code: 'Código',
+        category_image: 'Imagens',
+        category_document: 'Documentos',
+        category_archive: 'Arquivos compactados',
+        category_audio: 'Áudio',
+        category_video: 'Vídeo',
+        category_other: 'Outros',
+        groupNone: 'Sem agrupamento',
+        groupByFolder: 'Agrupar por pasta',
+        groupByType: 'Agrupar por tipo de arquivo',
+        groupByDate: 'Agrupar por data de exclusão',
+        category_folder: 'Pastas',
+        thisWeek: 'Esta semana',
+        older: 'Mais antigos',
+        restoreAll: 'Restaurar tudo',
+        deleteAll: 'Excluir tudo'
     },
 
     // Russian
@@ -629,6 +1828,9 @@ const TRANSLATIONS = {
         usingSystemTrash: '⚠️ Вы используете системную корзину.',
         goToSettings: 'Перейдите в Настройки → Корзина для включения.',
         restore: 'Восстановить',
+        restoreTo: 'Восстановить в…',
+        chooseFolder: 'Выберите папку для восстановления…',
+        createFolder: 'Создать папку "{path}"',
         deleteForever: 'Удалить навсегда',
         emptyAll: 'Очистить всё',
         refresh: 'Обновить',
@@ -640,6 +1842,7 @@ const TRANSLATIONS = {
         size: 'Размер',
         deleted: 'Удалено',
         items: 'элементов',
+        deletedOnDevice: 'на {device}',
         today: 'Сегодня',
         yesterday: 'Вчера',
         daysAgo: 'дней назад',
@@ -647,28 +1850,85 @@ const TRANSLATIONS = {
         fileInBin: 'Этот файл находится в Корзине',
         trashLocation: '📍 Расположение Корзины',
         deletedFilesLocation: 'Расположение удалённых файлов',
-        deletedFilesLocationDesc: 'Выберите, куда отправляются удалённые файлы. Для работы этого плагина требуется "Obsidian .trash".',
+        deletedFilesLocationDesc: 'Выберите, куда отправляются удалённые файлы. При системной корзине или безвозвратном удалении включите ниже "Сохранять копии удалённых файлов", чтобы использовать этот плагин.',
         obsidianTrashFolder: '📁 Папка .trash Obsidian (рекомендуется)',
         systemTrash: '🗑️ Системная корзина',
         permanentDelete: '⚠️ Удалить навсегда (без восстановления)',
         usingObsidianTrash: '✓ Используется папка .trash Obsidian',
         deletedFilesWillAppear: 'Удалённые файлы появятся в этой Корзине.',
         usingSystemTrashWarning: '⚠ Используется системная корзина',
-        systemTrashWarningDesc: 'Удалённые файлы отправляются в корзину ОС, а не в эту Корзину. Измените ниже, чтобы использовать этот плагин.',
+        systemTrashWarningDesc: 'Удалённые файлы отправляются в корзину ОС, а не в эту Корзину. Измените ниже или сохраняйте копии удалённых файлов, чтобы использовать этот плагин.',
         permanentDeleteWarning: '⚠ Включено безвозвратное удаление',
         permanentDeleteWarningDesc: 'Удалённые файлы уничтожаются немедленно! Измените ниже, чтобы включить восстановление.',
         trashLocationChanged: 'Расположение корзины изменено на',
+        captureMode: 'Сохранять копии удалённых файлов',
+        captureModeDesc: 'Копировать каждый удалённый в Obsidian файл в собственную корзину плагина (.recycle-bin) до того, как он попадёт в системную корзину или будет удалён, чтобы его можно было просмотреть и восстановить здесь.',
+        captureActive: '✓ Копии удалённых файлов сохраняются',
+        captureActiveDesc: 'Удалённые файлы копируются в эту Корзину до того, как Obsidian их удалит.',
+        captureFailed: 'Не удалось сохранить копию {name}, поэтому файл не был удалён',
+        binFolders: 'Дополнительные папки корзины',
+        binFoldersDesc: 'Папки, содержимое которых показывается в этой Корзине вместе с корзиной, например папка, в которую другие инструменты перемещают удалённые заметки. Пути указываются относительно корня хранилища.',
+        addBinFolder: 'Добавить папку',
+        removeBinFolder: 'Удалить папку',
+        invalidBinFolder: 'Эту папку нельзя использовать как папку корзины',
+        binSource: 'Папка корзины',
+        sourceTrash: 'Корзина',
+        sourceCapture: 'Сохранённая копия',
         pluginSettings: '⚙️ Настройки плагина',
         settingsDisabled: '⚠️ Настройки отключены',
-        settingsDisabledDesc: 'Измените "Расположение удалённых файлов" выше на "Папка .trash Obsidian", чтобы включить этот плагин.',
+        settingsDisabledDesc: 'Измените "Расположение удалённых файлов" выше на "Папка .trash Obsidian" или включите "Сохранять копии удалённых файлов", чтобы включить этот плагин.',
         autoPurge: 'Автоматически удалять старые файлы',
         autoPurgeDesc: 'Автоматически удалять файлы старше указанного количества дней',
         autoPurgeDays: 'Автоудаление через (дней)',
-        autoPurgeDaysDesc: 'Удалять файлы старше этого количества дней',
+        autoPurgeDaysDesc: 'Удалять файлы, не подпадающие ни под одно правило хранения, когда они старше этого количества дней',
+        autoPurgeInterval: 'Расписание автоудаления',
+        hourly: 'Каждый час',
+        daily: 'Каждый день',
+        nextPurge: 'Следующее автоудаление: {time}',
+        expiringSoon: 'Скоро истекает',
+        expiresInDays: 'Истекает через {count} дн.',
+        expiresNextPurge: 'Будет удалено при следующем запуске',
+        keepForever: 'Хранить всегда',
+        allowPurge: 'Разрешить автоудаление',
+        keptForever: 'Хранится всегда',
+        maxBinSize: 'Максимальный размер корзины (МБ)',
+        maxBinSizeDesc: 'Когда корзина превышает этот размер, сначала удаляются самые старые элементы. 0 означает без ограничений.',
+        purgeAction: 'Удаляемые элементы',
+        purgeActionDesc: 'Что "Очистить всё" и автоудаление делают с удаляемыми элементами. Архивируемые элементы добавляются в ZIP-архив за месяц вместе с манифестом их исходных путей и дат удаления.',
+        purgeActionDelete: 'Удалить навсегда',
+        purgeActionArchive: 'Переместить в архив',
+        archiveLocation: 'Расположение архива',
+        archiveLocationDesc: 'Папка хранилища для архивов или на компьютере абсолютный путь вне хранилища, например /Users/me/Backups.',
+        retentionRules: 'Правила хранения',
+        retentionRulesDesc: 'Проверяются сверху вниз; первое подходящее к элементу правило определяет, сколько он хранится. Пустые поля подходят ко всему. Пути задаются glob-шаблонами по исходному пути, например Journal/** или **/*.png.',
+        retentionRule: 'Правило {number}',
+        ruleExtensions: 'Расширения, например md, png',
+        rulePath: 'Путь, например Journal/**',
+        ruleMinSize: 'Мин. размер (МБ)',
+        ruleDays: 'Дней',
+        rulePurgeAfter: 'Удалить через (дней)',
+        ruleKeepForever: 'Никогда не удалять',
+        moveUp: 'Вверх',
+        moveDown: 'Вниз',
+        removeRule: 'Удалить правило',
+        addRule: 'Добавить правило',
+        previewPurge: 'Предпросмотр следующего удаления',
+        purgeNothing: 'Следующее удаление ничего не удалит.',
+        purgeSummary: 'Следующее удаление удалит элементов: {count} и освободит {size}:',
+        archiveNow: 'Архивировать сейчас',
+        purgeNow: 'Удалить сейчас',
+        purgeReasonDefault: 'Возраст по умолчанию',
+        purgeReasonSize: 'Ограничение размера корзины',
+        undoGraceSeconds: 'Период отмены (секунды)',
+        undoGraceSecondsDesc: 'Безвозвратно удалённые элементы удерживаются это время, чтобы удаление можно было отменить. 0 удаляет сразу.',
+        undoLimit: 'История отмены',
+        undoLimitDesc: 'Количество последних восстановлений и удалений, которые можно отменить',
         showConfirmations: 'Показывать диалоги подтверждения',
         showConfirmationsDesc: 'Запрашивать подтверждение перед удалением или очисткой корзины',
         showMetadata: 'Показывать метаданные файлов',
         showMetadataDesc: 'Отображать размер файла и дату удаления в списке',
+        searchContent: 'Искать в содержимом файлов',
+        searchContentDesc: 'При поиске также проверять текст удалённых markdown- и текстовых файлов (медленнее для больших корзин)',
         showDeleteButton: 'Показывать кнопку удаления для каждого элемента',
         showDeleteButtonDesc: 'Показывать кнопку удаления на каждом элементе для безвозвратного удаления отдельных файлов',
         language: 'Язык',
@@ -678,26 +1938,134 @@ const TRANSLATIONS = {
         acknowledgementsText: 'Этот плагин был вдохновлён <a href="https://github.com/proog/obsidian-trash-explorer">Trash Explorer</a> от <strong>Per Mortensen</strong>. Спасибо за оригинальную концепцию и вдохновение!',
         translationNote: '🌍 Переводы были сгенерированы ИИ. <a href="https://github.com/wronginput/obsidian-recycle-bin/issues">Сообщить об ошибках</a>',
         deletePermanently: 'Удалить навсегда',
-        deleteConfirmMessage: 'Вы уверены, что хотите навсегда удалить "{name}"? Это действие нельзя отменить.',
+        deleteConfirmMessage: 'Вы уверены, что хотите навсегда удалить "{name}"? Отменить это можно только до конца периода отмены.',
+        restoreConflict: 'Файл уже существует',
+        restoreConflictMessage: '"{path}" уже существует в вашем хранилище. Что вы хотите сделать?',
+        restoreKeepBoth: 'Восстановить как "{name}"',
+        restoreOverwrite: 'Перезаписать (переместить текущий файл в корзину)',
+        restoreCompare: 'Сравнить',
+        restoreSkip: 'Пропустить',
+        applyToAll: 'Применить ко всем конфликтам',
+        trashedVersion: 'В корзине',
+        currentVersion: 'Текущий файл',
         emptyBin: 'Очистить корзину',
-        emptyBinConfirmMessage: 'Вы уверены, что хотите навсегда удалить ВСЕ файлы из корзины? Это действие нельзя отменить!',
+        emptyBinConfirmMessage: 'Вы уверены, что хотите навсегда удалить ВСЕ файлы из корзины? Отменить это можно только до конца периода отмены!',
+        archiveAll: 'Архивировать всё',
         restored: '"{name}" восстановлен',
-        cannotRestore: 'Невозможно восстановить: файл уже существует в исходном расположении',
+        cannotRestore: 'Не удалось восстановить "{name}". Подробности в консоли.',
+        restoreSkipped: 'Восстановление "{name}" пропущено',
+        cannotDelete: 'Не удалось удалить "{name}". Подробности в консоли.',
+        undo: 'Отменить',
+        undoLastAction: 'Отменить последнее действие с корзиной',
+        undone: 'Действие с корзиной отменено',
+        undoFailed: 'Отмена не завершена: не удалось вернуть элементов: {count}',
+        nothingToUndo: 'Нечего отменять',
         binEmptied: 'Корзина очищена',
         binAlreadyEmpty: 'Корзина уже пуста',
         autoPurged: 'Автоматически удалено {count} старых файлов из корзины',
-        searchPlaceholder: 'Поиск удалённых файлов...',
+        autoArchived: 'Из корзины архивировано старых элементов: {count}',
+        binArchived: 'Корзина архивирована в {path} и очищена',
+        archiveFailed: 'Не удалось архивировать, ничего не удалено. Подробности в консоли разработчика',
+        purgeFailed: 'Не удалось очистить корзину. Подробности в консоли разработчика',
+        exportingProgress: 'Экспорт элементов: {count}...',
+        exportedItems: 'Экспортировано элементов: {count} в {path}',
+        exportFailed: 'Ошибка экспорта, подробности в консоли разработчика',
+        importingProgress: 'Импорт {name}...',
+        importedItems: 'Импортировано в корзину элементов: {count}',
+        importFailed: 'Не удалось импортировать {name}',
+        searchPlaceholder: 'Поиск удалённых файлов... (попробуйте ext:pdf или is:folder)',
+        noMatches: 'Нет элементов, соответствующих поиску',
         sortNewest: 'Сначала новые',
         sortOldest: 'Сначала старые',
         sortNameAZ: 'Имя А-Я',
         sortNameZA: 'Имя Я-А',
         sortLargest: 'Сначала большие',
         sortSmallest: 'Сначала маленькие',
+        exportBinToZip: 'Экспортировать корзину в ZIP',
+        importFromZip: 'Импортировать из ZIP',
+        selectedCount: 'Выбрано: {count}',
+        selectAllMatching: 'Выбрать все',
+        invertSelection: 'Инвертировать',
+        restoreSelected: 'Восстановить выбранные',
+        deleteSelected: 'Удалить выбранные',
+        restoreNewestVersion: 'Восстановить новейшую версию',
+        deleteAllVersions: 'Удалить навсегда все версии ({count})',
+        exportSelected: 'Экспортировать выбранные',
+        deleteSelectedConfirmMessage: 'Вы уверены, что хотите навсегда удалить выбранные элементы ({count})? Отменить это можно только до конца периода отмены.',
+        deleteItemsConfirmMessage: 'Вы уверены, что хотите навсегда удалить элементы ({count})? Отменить это можно только до конца периода отмены.',
+        deleteVersionsConfirmMessage: 'Вы уверены, что хотите навсегда удалить все версии "{name}" ({count})? Отменить это можно только до конца периода отмены.',
+        restoringProgress: 'Восстановление {done}/{total}…',
+        deletingProgress: 'Удаление {done}/{total}…',
+        bulkRestoreSummary: 'Восстановлено: {succeeded}, пропущено: {skipped}, с ошибкой: {failed}',
+        bulkDeleteSummary: 'Удалено: {succeeded}, с ошибкой: {failed}',
         previewNotAvailable: 'Просмотр недоступен для',
         files: 'файлов',
         restoreToView: 'Восстановите файл для обычного просмотра',
         unableToLoadImage: 'Не удалось загрузить изображение',
-        noFileSelected: 'Файл не выбран'
+        unableToPlay: 'Этот файл нельзя воспроизвести здесь',
+        archiveSummary: 'Файлов: {count}, {size} без сжатия',
+        archiveName: 'Имя',
+        archiveModified: 'Изменён',
+        showSource: 'Исходный текст',
+        showRendered: 'Отображение',
+        wordWrap: 'Перенос строк',
+        find: 'Найти',
+        findPlaceholder: 'Найти в файле…',
+        noMatchesShort: 'Нет результатов',
+        previousMatch: 'Предыдущее совпадение (Shift+Enter)',
+        nextMatch: 'Следующее совпадение (Enter)',
+        noLongerInBin: '{name} больше нет в корзине',
+        noLongerInBinRestored: 'Файл восстановлен в {path}.',
+        noLongerInBinDesc: 'Файл был восстановлен или удалён навсегда.',
+        openFile: 'Открыть файл',
+        originalTaken: 'Исходный путь занят',
+        originalTakenDesc: 'В исходном расположении теперь есть файл; при восстановлении будет предложено разрешить конфликт',
+        noFileSelected: 'Файл не выбран',
+        linkedFrom: 'При удалении на файл ссылались заметки ({count}):',
+        updateLinks: 'Обновить ссылки',
+        updateLinksMessage: 'Заметки ({count}) ссылались на восстановленные файлы по старому расположению. Обновить эти ссылки на новое расположение?',
+        updateLinksConfirm: 'Обновить ссылки',
+        linksUpdated: 'Обновлено ссылок: {count}',
+        compareWithCurrent: 'Сравнить с текущей',
+        showPreview: 'Показать просмотр',
+        filesIdentical: 'Удалённый файл идентичен текущей версии',
+        copyHunkToCurrent: 'Скопировать в текущую заметку',
+        hunkCopied: 'Строки скопированы в "{path}"',
+        hunkOutdated: 'Заметка изменилась после показа сравнения. Проверьте обновлённое сравнение и попробуйте снова.',
+        hunkCopyFailed: 'Не удалось скопировать строки в текущую заметку. Подробности в консоли.',
+        versionCount: 'Версий: {count}',
+        versionDeleted: 'Удалено {date}',
+        compareWithNewest: 'Сравнить с новейшей версией',
+        restoreVersion: 'Восстановить эту версию',
+        trashStatistics: 'Статистика корзины',
+        totalSize: 'Общий размер',
+        trashedItems: 'Элементы',
+        itemsAndFiles: '{count} (файлов: {files})',
+        itemsCount: 'Элементов: {count}',
+        nextPurgeFrees: 'Следующее удаление освободит',
+        byFileType: 'По типу файла',
+        deletionsOverTime: 'Удаления по времени',
+        perDay: 'По дням',
+        perWeek: 'По неделям',
+        largestItems: 'Самые большие элементы',
+        topFolders: 'Основные исходные папки',
+        category_markdown: 'Markdown',
+        category_code: 'Код',
+        category_image: 'Изображения',
+        category_document: 'Документы',
+        category_archive: 'Архивы',
+        category_audio: 'Аудио',
+        category_video: 'Видео',
+        category_other: 'Другое',
+        groupNone: 'Без группировки',
+        groupByFolder: 'Группировать по папке',
+        groupByType: 'Группировать по типу файла',
+        groupByDate: 'Группировать по дате удаления',
+        category_folder: 'Папки',
+        thisWeek: 'На этой неделе',
+        older: 'Старше',
+        restoreAll: 'Восстановить все',
+        deleteAll: 'Удалить все'
     }
 };
 
@@ -0,0 +1,201 @@
+/**
+ * Recycle Bin Plugin - Undo Stack
+ *
+ * Restores and permanent deletes are recorded as file moves that can be
+ * reversed. Deleted items are parked in a holding folder and only removed
+ * for good once their grace period runs out.
+ *
+ * @module undo
+ */
+
+'use strict';
+
+let nextOperationId = 1;
+
+/**
+ * Undo stack for recycle bin operations
+ */
+class UndoManager {
+    /**
+     * @param {object} adapter - Vault data adapter
+     * @param {DeletionLedger} ledger - Deletion ledger
+     * @param {PinList} pins - Items kept forever
+     * @param {string} holdingFolder - Hidden folder that holds deleted items during their grace period
+     * @param {Function} getOptions - Returns { limit, graceSeconds } from the current settings
+     */
+    constructor(adapter, ledger, pins, holdingFolder, getOptions) {
+        this.adapter = adapter;
+        this.ledger = ledger;
+        this.pins = pins;
+        this.holdingFolder = holdingFolder;
+        this.getOptions = getOptions;
+        this.stack = [];
+    }
+
+    /**
+     * @returns {boolean} True if deletes get a grace period
+     */
+    get stagesDeletes() {
+        return this.getOptions().graceSeconds > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is something to undo
+     */
+    get canUndo() {
+        return this.stack.length > 0;
+    }
+
+    /**
+     * Start a new operation; fill it with stage()/recordRestore() and then push() it
+     * @param {string} type - 'delete' or 'restore'
+     * @returns {object} Operation
+     */
+    createOperation(type) {
+        return { id: nextOperationId++, type, moves: [], ledgerEntries: {}, pinned: [], timer: null };
+    }
+
+    /**
+     * Move a trashed item into the holding folder instead of deleting it
+     * @param {object} op - Delete operation
+     * @param {TrashedFile|TrashedFolder} item
+     * @returns {Promise<boolean>} Success status
+     */
+    async stage(op, item) {
+        try {
+            const folder = `${this.holdingFolder}/${op.id}`;
+            await this.adapter.mkdir(folder);
+
+            const held = `${folder}/${op.moves.length}-${item.name}`;
+            await this.adapter.rename(item.path, held);
+
+            op.moves.push({ original: item.path, current: held });
+            if (item.ledgerEntry) op.ledgerEntries[item.path] = item.ledgerEntry;
+            // The pin is pruned once the item leaves the trash
+            if (this.pins.has(item.path)) op.pinned.push(item.path);
+            return true;
+        } catch (e) {
+            console.error('Failed to stage item for deletion:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Record the files a successful restore moved out of the trash.
+     * Files restored over an existing file are left out: the replaced file went to
+     * the trash under a name Obsidian chose, so undo could not put it back.
+     * @param {object} op - Restore operation
+     * @param {TrashedFile|TrashedFolder} item - Restored item
+     */
+    recordRestore(op, item) {
+        const movesBefore = op.moves.length;
+        const collect = (entry) => {
+            if (entry.kind === 'folder') {
+                entry.children.forEach(collect);
+            } else if (entry.restoredPath && !entry.overwrote) {
+                op.moves.push({ original: entry.path, current: entry.restoredPath });
+            }
+        };
+        collect(item);
+
+        if (op.moves.length === movesBefore) return;
+        if (item.ledgerEntry) op.ledgerEntries[item.path] = item.ledgerEntry;
+        if (this.pins.has(item.path)) op.pinned.push(item.path);
+    }
+
+    /**
+     * Put an operation on the stack
+     * @param {object} op
+     */
+    push(op) {
+        if (op.moves.length === 0) return;
+
+        this.stack.push(op);
+        if (op.type === 'delete') {
+            op.timer = setTimeout(() => this.finalize(op), this.getOptions().graceSeconds * 1000);
+        }
+
+        // Drop the oldest operations beyond the limit
+        const limit = Math.max(1, this.getOptions().limit);
+        while (this.stack.length > limit) {
+            const dropped = this.stack.shift();
+            if (dropped.type === 'delete') this.finalize(dropped);
+        }
+    }
+
+    /**
+     * Undo the most recent operation
+     * @returns {Promise<object|null>} The undone operation, or null if nothing could be undone
+     */
+    async undo() {
+        const op = this.stack.pop();
+        if (!op) return null;
+        clearTimeout(op.timer);
+
+        let failed = 0;
+        for (const move of [...op.moves].reverse()) {
+            try {
+                const parent = move.original.split('/').slice(0, -1).join('/');
+                if (parent) await this.adapter.mkdir(parent);
+                await this.adapter.rename(move.current, move.original);
+            } catch (e) {
+                console.error('Failed to undo move:', move, e);
+                failed++;
+            }
+        }
+
+        for (const [path, entry] of Object.entries(op.ledgerEntries)) {
+            this.ledger.set(path, entry);
+        }
+        for (const path of op.pinned) this.pins.set(path, true);
+
+        if (op.type === 'delete') await this.removeHolding(op);
+        op.failed = failed;
+        return op;
+    }
+
+    /**
+     * Permanently remove the items of a delete operation
+     * @param {object} op
+     */
+    async finalize(op) {
+        clearTimeout(op.timer);
+        this.stack = this.stack.filter(o => o !== op);
+        await this.removeHolding(op);
+    }
+
+    /**
+     * @param {object} op
+     */
+    async removeHolding(op) {
+        try {
+            const folder = `${this.holdingFolder}/${op.id}`;
+            if (await this.adapter.exists(folder)) {
+                await this.adapter.rmdir(folder, true);
+            }
+        } catch (e) {
+            console.error('Failed to remove staged items:', e);
+        }
+    }
+
+    /**
+     * Remove everything still waiting in the holding folder
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        for (const op of this.stack) clearTimeout(op.timer);
+        this.stack = this.stack.filter(op => op.type !== 'delete');
+
+        try {
+            if (await this.adapter.exists(this.holdingFolder)) {
+                await this.adapter.rmdir(this.holdingFolder, true);
+            }
+        } catch (e) {
+            console.error('Failed to empty holding folder:', e);
+        }
+    }
+}
+
+module.exports = {
+    UndoManager
+};
@@ -74,6 +74,15 @@ function escapeHtml(text) {
     return text.replace(/[&<>"']/g, m => map[m]);
 }
 
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Validate file path for safety
  * @param {string} path - File path to validate
@@ -94,6 +103,15 @@ function isValidPath(path) {
     return true;
 }
 
+/**
+ * @param {string} path - Vault path
+ * @param {string[]} folders - Folder paths
+ * @returns {boolean} True if the path lies inside one of the folders
+ */
+function isInFolders(path, folders) {
+    return folders.some(folder => path.startsWith(folder + '/'));
+}
+
 /**
  * Debounce function calls
  * @param {Function} func - Function to debounce
@@ -112,11 +130,93 @@ function debounce(func, wait) {
     };
 }
 
+/**
+ * Map over items with an async function, running at most `limit` calls at once
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {Function} fn - Async (item, index) => result
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Insert a label before the extension of a file name
+ * @param {string} name - File name, e.g. "note.md"
+ * @param {string} label - Label to insert, e.g. "restored"
+ * @returns {string} Labelled name, e.g. "note (restored).md"
+ */
+function addNameSuffix(name, label) {
+    const dot = name.lastIndexOf('.');
+    if (dot <= 0) return `${name} (${label})`;
+    return `${name.slice(0, dot)} (${label})${name.slice(dot)}`;
+}
+
+/**
+ * Find a free path next to an existing one by labelling the file name
+ * @param {object} adapter - Vault data adapter
+ * @param {string} path - Path that is already taken
+ * @param {string} label - Label to insert before the extension
+ * @returns {Promise<string>} Path that does not exist yet
+ */
+async function getAvailablePath(adapter, path, label) {
+    const slash = path.lastIndexOf('/');
+    const dir = slash >= 0 ? path.slice(0, slash + 1) : '';
+    const name = path.slice(slash + 1);
+
+    let candidate = dir + addNameSuffix(name, label);
+    let counter = 2;
+    while (await adapter.exists(candidate)) {
+        candidate = dir + addNameSuffix(name, `${label} ${counter++}`);
+    }
+    return candidate;
+}
+
+/**
+ * Get a human readable name for the current device
+ * @param {object} app - Obsidian app
+ * @returns {string} Device name
+ */
+function getDeviceName(app) {
+    try {
+        const sync = app?.internalPlugins?.plugins?.sync?.instance;
+        if (sync?.deviceName) return sync.deviceName;
+
+        // Desktop only: Node's os module is not available on mobile
+        if (typeof window !== 'undefined' && typeof window.require === 'function') {
+            const os = window.require('os');
+            if (os?.hostname) return os.hostname();
+        }
+    } catch (e) {
+        // Fall through to the platform name
+    }
+
+    return (typeof navigator !== 'undefined' && navigator.platform) || 'Unknown';
+}
+
 module.exports = {
     formatFileSize,
     formatDate,
     getExtension,
     escapeHtml,
+    escapeRegExp,
     isValidPath,
-    debounce
+    isInFolders,
+    debounce,
+    mapConcurrent,
+    addNameSuffix,
+    getAvailablePath,
+    getDeviceName
 };
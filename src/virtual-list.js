@@ -0,0 +1,205 @@
+/**
+ * Recycle Bin Plugin - Virtual List
+ *
+ * Renders only the rows of a long list that are scrolled into view. Row
+ * heights are estimated until a row has been rendered once and measured.
+ *
+ * @module virtual-list
+ */
+
+'use strict';
+
+/**
+ * Scrolling list that keeps only the visible rows in the DOM
+ */
+class VirtualList {
+    /**
+     * @param {HTMLElement} scrollEl - Scrolling container
+     * @param {object} options
+     * @param {Function} options.getKey - Row => unique string, used to remember measured heights
+     * @param {Function} options.renderRow - (el, row, index) => void, fills a row element
+     * @param {Function} options.estimateHeight - Row => height in px before the row was measured
+     * @param {number} options.overscan - Extra px rendered above and below the visible area
+     */
+    constructor(scrollEl, options) {
+        this.scrollEl = scrollEl;
+        this.getKey = options.getKey;
+        this.renderRow = options.renderRow;
+        this.estimateHeight = options.estimateHeight || (() => 48);
+        this.overscan = options.overscan ?? 400;
+
+        this.rows = [];
+        this.offsets = [0];
+        this.heights = new Map();
+        this.rendered = new Map();
+        this.frame = null;
+        this.width = scrollEl.clientWidth;
+
+        this.listEl = scrollEl.createDiv({ cls: 'recycle-bin-list' });
+
+        this.onScroll = () => this.schedule();
+        scrollEl.addEventListener('scroll', this.onScroll);
+
+        // Rows wrap differently at another width, so measure again
+        this.resizeObserver = new ResizeObserver(() => {
+            if (this.scrollEl.clientWidth === this.width) return;
+            this.width = this.scrollEl.clientWidth;
+            this.heights.clear();
+            this.clear();
+            this.schedule();
+        });
+        this.resizeObserver.observe(scrollEl);
+    }
+
+    /**
+     * Replace the rows and re-render the visible part, keeping the scroll position
+     * @param {Array<object>} rows
+     */
+    setRows(rows) {
+        this.rows = rows;
+        this.clear();
+        this.computeOffsets();
+        this.update();
+    }
+
+    /**
+     * @param {number} index
+     * @returns {HTMLElement|null} Element of a rendered row
+     */
+    getElement(index) {
+        return this.rendered.get(index) || null;
+    }
+
+    /**
+     * Call a function for every rendered row
+     * @param {Function} fn - (el, index) => void
+     */
+    forEachRendered(fn) {
+        for (const [index, el] of this.rendered) fn(el, index);
+    }
+
+    /**
+     * Scroll just far enough to show a row
+     * @param {number} index
+     */
+    scrollToIndex(index) {
+        if (index < 0 || index >= this.rows.length) return;
+
+        const top = this.offsets[index] + this.listEl.offsetTop;
+        const bottom = this.offsets[index + 1] + this.listEl.offsetTop;
+        if (top < this.scrollEl.scrollTop) {
+            this.scrollEl.scrollTop = top;
+        } else if (bottom > this.scrollEl.scrollTop + this.scrollEl.clientHeight) {
+            this.scrollEl.scrollTop = bottom - this.scrollEl.clientHeight;
+        }
+        this.update();
+    }
+
+    /**
+     * Stop listening and remove the list
+     */
+    destroy() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.scrollEl.removeEventListener('scroll', this.onScroll);
+        this.resizeObserver.disconnect();
+        this.listEl.remove();
+    }
+
+    /**
+     * Render on the next animation frame
+     */
+    schedule() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Remove all rendered rows
+     */
+    clear() {
+        for (const el of this.rendered.values()) el.remove();
+        this.rendered.clear();
+    }
+
+    /**
+     * Work out where each row starts from the measured or estimated heights
+     */
+    computeOffsets() {
+        const offsets = new Array(this.rows.length + 1);
+        offsets[0] = 0;
+        for (let i = 0; i < this.rows.length; i++) {
+            const row = this.rows[i];
+            const height = this.heights.get(this.getKey(row)) ?? this.estimateHeight(row);
+            offsets[i + 1] = offsets[i] + height;
+        }
+        this.offsets = offsets;
+        this.listEl.style.height = `${offsets[this.rows.length]}px`;
+    }
+
+    /**
+     * @param {number} y - Offset within the list
+     * @returns {number} Index of the row at that offset
+     */
+    indexAt(y) {
+        let low = 0;
+        let high = this.rows.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.offsets[mid] <= y) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return Math.max(0, low);
+    }
+
+    /**
+     * Render the rows in and around the visible area and drop the rest
+     */
+    update() {
+        // Newly measured rows shift the ones below; a couple of passes settle the layout
+        for (let pass = 0; pass < 3; pass++) {
+            const top = this.scrollEl.scrollTop - this.listEl.offsetTop;
+            const start = this.indexAt(top - this.overscan);
+            const end = Math.min(this.rows.length, this.indexAt(top + this.scrollEl.clientHeight + this.overscan) + 1);
+
+            for (const [index, el] of this.rendered) {
+                if (index < start || index >= end) {
+                    el.remove();
+                    this.rendered.delete(index);
+                }
+            }
+
+            let measured = false;
+            for (let i = start; i < end; i++) {
+                if (this.rendered.has(i)) continue;
+
+                const el = this.listEl.createDiv({ cls: 'recycle-bin-row' });
+                el.style.top = `${this.offsets[i]}px`;
+                this.renderRow(el, this.rows[i], i);
+                this.rendered.set(i, el);
+
+                // Hidden views measure zero; keep the estimate until they are shown
+                const key = this.getKey(this.rows[i]);
+                if (el.offsetHeight > 0 && this.heights.get(key) !== el.offsetHeight) {
+                    this.heights.set(key, el.offsetHeight);
+                    measured = true;
+                }
+            }
+
+            if (measured) this.computeOffsets();
+            for (const [index, el] of this.rendered) {
+                el.style.top = `${this.offsets[index]}px`;
+            }
+            if (!measured) break;
+        }
+    }
+}
+
+module.exports = {
+    VirtualList
+};
@@ -0,0 +1,280 @@
+/**
+ * Recycle Bin Plugin - ZIP Archives
+ *
+ * Reads the table of contents of a ZIP archive, so trashed archives can be
+ * previewed without extracting them, extracts single entries and writes
+ * new archives for exports.
+ *
+ * @module zip
+ */
+
+'use strict';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// General purpose flag: names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number} CRC-32 checksum
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Run data through a compression or decompression stream
+ * @param {Uint8Array} data
+ * @param {object} stream - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>}
+ */
+async function transform(data, stream) {
+    const response = new Response(new Blob([data]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Convert an MS-DOS date and time to a timestamp
+ * @param {number} date
+ * @param {number} time
+ * @returns {number} Local time in milliseconds
+ */
+function fromDosTime(date, time) {
+    return new Date(
+        1980 + (date >> 9), ((date >> 5) & 0x0f) - 1, date & 0x1f,
+        time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+    ).getTime();
+}
+
+/**
+ * Convert a timestamp to an MS-DOS date and time
+ * @param {number} timestamp
+ * @returns {object} { date, time }
+ */
+function toDosTime(timestamp) {
+    const d = new Date(timestamp);
+    // MS-DOS dates start in 1980
+    if (d.getFullYear() < 1980) return { date: (1 << 5) | 1, time: 0 };
+    return {
+        date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2)
+    };
+}
+
+/**
+ * Find the end of central directory record
+ * @param {DataView} view
+ * @returns {number} Offset of the record
+ */
+function findEndOfCentralDirectory(view) {
+    // The record is 22 bytes plus a comment of at most 65535 bytes
+    const last = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= last; offset--) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+    }
+    throw new Error('Not a ZIP archive');
+}
+
+/**
+ * List the entries of a ZIP archive
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Array<object>} Entries: { name, size, compressedSize, method, crc, offset, modified, isFolder }
+ */
+function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const eocd = findEndOfCentralDirectory(view);
+
+    let count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+
+    // Large archives keep the real values in a ZIP64 record
+    const locator = eocd - 20;
+    if (locator >= 0 && view.getUint32(locator, true) === ZIP64_LOCATOR_SIGNATURE) {
+        const zip64 = Number(view.getBigUint64(locator + 8, true));
+        if (view.getUint32(zip64, true) === ZIP64_EOCD_SIGNATURE) {
+            count = Number(view.getBigUint64(zip64 + 32, true));
+            offset = Number(view.getBigUint64(zip64 + 48, true));
+        }
+    }
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        const entry = {
+            name,
+            size: view.getUint32(offset + 24, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            method: view.getUint16(offset + 10, true),
+            crc: view.getUint32(offset + 16, true),
+            offset: view.getUint32(offset + 42, true),
+            modified: fromDosTime(view.getUint16(offset + 14, true), view.getUint16(offset + 12, true)),
+            isFolder: name.endsWith('/')
+        };
+
+        // ZIP64 extra field: values that did not fit in 32 bits, in this order
+        let extra = offset + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const id = view.getUint16(extra, true);
+            const length = view.getUint16(extra + 2, true);
+            if (id === 0x0001) {
+                let field = extra + 4;
+                for (const key of ['size', 'compressedSize', 'offset']) {
+                    if (entry[key] === 0xffffffff && field + 8 <= extra + 4 + length) {
+                        entry[key] = Number(view.getBigUint64(field, true));
+                        field += 8;
+                    }
+                }
+            }
+            extra += 4 + length;
+        }
+
+        entries.push(entry);
+        offset = extraEnd + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Extract an entry
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @param {object} entry - From readZipEntries
+ * @returns {Promise<ArrayBuffer>} Uncompressed contents
+ */
+async function readZipEntry(buffer, entry) {
+    const view = new DataView(buffer);
+    if (view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) {
+        throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+    }
+
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const raw = new Uint8Array(buffer, start, entry.compressedSize);
+
+    let data;
+    if (entry.method === 0) {
+        data = raw.slice();
+    } else if (entry.method === 8) {
+        data = await transform(raw, new DecompressionStream('deflate-raw'));
+    } else {
+        throw new Error(`Unsupported ZIP compression method ${entry.method}: ${entry.name}`);
+    }
+
+    if (crc32(data) !== entry.crc) throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+    return data.buffer;
+}
+
+/**
+ * Write a ZIP archive. Files are deflated where that makes them smaller.
+ * @param {Array<object>} files - { name, data, modified }; data is an ArrayBuffer, or null for a folder whose name ends in '/'
+ * @returns {Promise<ArrayBuffer>} Archive contents
+ */
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = file.data ? new Uint8Array(file.data) : new Uint8Array(0);
+        const crc = crc32(data);
+
+        let method = 0;
+        let stored = data;
+        if (data.length > 0) {
+            const deflated = await transform(data, new CompressionStream('deflate-raw'));
+            if (deflated.length < data.length) {
+                method = 8;
+                stored = deflated;
+            }
+        }
+
+        const { date, time } = toDosTime(file.modified || Date.now());
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_SIGNATURE, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, method, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, stored.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, CENTRAL_SIGNATURE, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, UTF8_FLAG, true);
+        header.setUint16(10, method, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, date, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, stored.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, name.length, true);
+        // MS-DOS directory attribute
+        header.setUint32(38, file.name.endsWith('/') ? 0x10 : 0, true);
+        header.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(local.buffer), name, stored);
+        central.push(new Uint8Array(header.buffer), name);
+        offset += 30 + name.length + stored.length;
+    }
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    if (files.length > 0xffff || offset + centralSize > 0xffffffff) {
+        throw new Error('Archive too large');
+    }
+
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, EOCD_SIGNATURE, true);
+    eocd.setUint16(8, files.length, true);
+    eocd.setUint16(10, files.length, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+
+    const all = [...chunks, ...central, new Uint8Array(eocd.buffer)];
+    const result = new Uint8Array(all.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const chunk of all) {
+        result.set(chunk, position);
+        position += chunk.length;
+    }
+    return result.buffer;
+}
+
+module.exports = {
+    readZipEntries,
+    readZipEntry,
+    createZip
+};